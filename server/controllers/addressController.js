@@ -0,0 +1,113 @@
+import { UserAddress } from "../models/UserAddress.js";
+import { normalizeAddress } from "../utils/address.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// Request body -> user_addresses columns. Accepts the checkout form's
+// camelCase names as well as the column names.
+const addressFromBody = (body) => {
+  const { email, ...address } = normalizeAddress(body);
+  return { ...address, label: body.label ? String(body.label).trim() : null };
+};
+
+export const addressController = {
+  // The authenticated user's saved addresses, defaults first
+  getAddresses: async (req, res) => {
+    try {
+      const addresses = await UserAddress.listForUser(req.user.id);
+      res.json({ success: true, data: { addresses } });
+    } catch (error) {
+      console.error("Get addresses error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch addresses",
+      });
+    }
+  },
+
+  createAddress: async (req, res) => {
+    try {
+      const address = await UserAddress.create(
+        req.user.id,
+        addressFromBody(req.body),
+        {
+          shipping: req.body.isDefaultShipping,
+          billing: req.body.isDefaultBilling,
+        }
+      );
+      res.status(201).json({
+        success: true,
+        message: "Address saved",
+        data: { address },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create address error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save address",
+      });
+    }
+  },
+
+  // Replace an address's fields (defaults are changed via /default)
+  updateAddress: async (req, res) => {
+    try {
+      const address = await UserAddress.update(
+        req.params.id,
+        req.user.id,
+        addressFromBody(req.body)
+      );
+      if (!address) throw new HttpError(404, "Address not found");
+      res.json({
+        success: true,
+        message: "Address updated",
+        data: { address },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update address error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update address",
+      });
+    }
+  },
+
+  deleteAddress: async (req, res) => {
+    try {
+      const removed = await UserAddress.remove(req.params.id, req.user.id);
+      if (!removed) throw new HttpError(404, "Address not found");
+      res.json({ success: true, message: "Address deleted" });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Delete address error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete address",
+      });
+    }
+  },
+
+  // Body: { shipping?: boolean, billing?: boolean }
+  setDefaultAddress: async (req, res) => {
+    try {
+      const address = await UserAddress.setDefault(req.params.id, req.user.id, {
+        shipping: req.body.shipping,
+        billing: req.body.billing,
+      });
+      if (!address) throw new HttpError(404, "Address not found");
+      res.json({
+        success: true,
+        message: "Default address updated",
+        data: { address },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Set default address error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update default address",
+      });
+    }
+  },
+};
@@ -0,0 +1,84 @@
+import { ApiSyncLog } from "../models/ApiSyncLog.js";
+import { BrandApiConfig } from "../models/BrandApiConfig.js";
+import { runBrandSync } from "../services/brandApi/index.js";
+import {
+  parseSyncLogParams,
+  toBrandApiConfig,
+  toSyncLog,
+} from "../services/brandApi/configs.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+const loadConfig = async (id) => {
+  const config = await BrandApiConfig.findById(id);
+  if (!config) throw new HttpError(404, "Brand API config not found");
+  return config;
+};
+
+export const brandApiController = {
+  listConfigs: async (req, res) => {
+    try {
+      const configs = await BrandApiConfig.list();
+      res.json({
+        success: true,
+        data: { configs: configs.map(toBrandApiConfig) },
+      });
+    } catch (error) {
+      console.error("List brand API configs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch brand API configs",
+      });
+    }
+  },
+
+  // Sync the brand's catalog now, whether or not it is due or active, and
+  // answer with the finished log
+  runSync: async (req, res) => {
+    try {
+      const config = await loadConfig(req.params.id);
+      const log = await runBrandSync(config);
+      if (!log) {
+        throw new HttpError(409, "A sync of this catalog is already running");
+      }
+      res.json({
+        success: log.status !== "failed",
+        message:
+          log.status === "completed"
+            ? "Catalog synced"
+            : log.status === "partial"
+              ? "Catalog synced with errors"
+              : "Catalog sync failed",
+        data: { log: toSyncLog(log) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Run brand sync error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to sync catalog",
+      });
+    }
+  },
+
+  listSyncLogs: async (req, res) => {
+    try {
+      const config = await loadConfig(req.params.id);
+      const params = parseSyncLogParams(req.query);
+      const { logs, total } = await ApiSyncLog.listForConfig(config.id, params);
+      res.json({
+        success: true,
+        data: {
+          logs: logs.map(toSyncLog),
+          pagination: { page: params.page, limit: params.limit, total },
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("List brand sync logs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch sync logs",
+      });
+    }
+  },
+};
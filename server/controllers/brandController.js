@@ -0,0 +1,154 @@
+import { Brand } from "../models/Brand.js";
+import { Product } from "../models/Product.js";
+import {
+  BRAND_FEATURED_LIMIT,
+  listBrands,
+  parseBrandListParams,
+  toBrand,
+} from "../services/products/brands.js";
+import { parseListingParams } from "../services/products/listing.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// The active brand behind `req.params.ref` (id or slug)
+const loadBrand = async (req) => {
+  const brand = await Brand.findByRef(req.params.ref);
+  if (!brand) throw new HttpError(404, "Brand not found");
+  return brand;
+};
+
+// The brand's featured products, or its best sellers when none are featured
+const showcaseProducts = async (brandId) => {
+  const featured = await Product.getFeatured(BRAND_FEATURED_LIMIT, {
+    brandId,
+  });
+  if (featured.length > 0) return featured;
+  const { products } = await Product.list({
+    ...parseListingParams({ sort: "popularity" }),
+    limit: BRAND_FEATURED_LIMIT,
+    brandId,
+  });
+  return products;
+};
+
+// Follow state after a follow or unfollow
+const sendFollowState = async (res, brand, following, message) => {
+  res.json({
+    success: true,
+    message,
+    data: {
+      following,
+      follower_count: await Brand.followerCount(brand.id),
+    },
+  });
+};
+
+export const brandController = {
+  // Active brands; `featured`, `q` and `sort` narrow and order the list
+  listBrands: async (req, res) => {
+    try {
+      const brands = listBrands(
+        await Brand.all(),
+        parseBrandListParams(req.query)
+      );
+      res.json({ success: true, data: { brands } });
+    } catch (error) {
+      console.error("Get brands error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch brands",
+      });
+    }
+  },
+
+  // One brand with its categories, showcase products and whether the
+  // signed-in shopper follows it
+  getBrand: async (req, res) => {
+    try {
+      const row = await loadBrand(req);
+      const [categories, featuredProducts, following] = await Promise.all([
+        Brand.categoryCounts(row.id),
+        showcaseProducts(row.id),
+        Brand.isFollowedBy(row.id, req.user?.id),
+      ]);
+      res.json({
+        success: true,
+        data: {
+          brand: { ...toBrand(row), is_following: following },
+          categories,
+          featured_products: featuredProducts,
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get brand error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch brand",
+      });
+    }
+  },
+
+  // The brand's active products, filtered and paged like GET /products
+  getBrandProducts: async (req, res) => {
+    try {
+      const params = parseListingParams(req.query);
+      const brand = await loadBrand(req);
+      const { products, total, hasMore, nextCursor } = await Product.list({
+        ...params,
+        brandId: brand.id,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          brand: { id: brand.id, name: brand.name, slug: brand.slug },
+          products,
+          pagination: {
+            sort: params.sort,
+            limit: params.limit,
+            total,
+            hasMore,
+            nextCursor,
+          },
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get brand products error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch brand products",
+      });
+    }
+  },
+
+  followBrand: async (req, res) => {
+    try {
+      const brand = await loadBrand(req);
+      await Brand.follow(brand.id, req.user.id);
+      await sendFollowState(res, brand, true, "Brand followed");
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Follow brand error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to follow brand",
+      });
+    }
+  },
+
+  unfollowBrand: async (req, res) => {
+    try {
+      const brand = await loadBrand(req);
+      await Brand.unfollow(brand.id, req.user.id);
+      await sendFollowState(res, brand, false, "Brand unfollowed");
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Unfollow brand error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unfollow brand",
+      });
+    }
+  },
+};
@@ -1,4 +1,21 @@
 import { CartItem } from '../models/CartItem.js';
+import { CartList } from '../models/CartList.js';
+import { StockReservation } from '../models/StockReservation.js';
+import { Promotion } from '../models/Promotion.js';
+import { ShippingMethod } from '../models/ShippingMethod.js';
+import { buildCartSummary, summarizeCartLists } from '../services/cart/cartSummary.js';
+import { isUuid, parseQuantity } from '../services/cart/cartValidation.js';
+import { HttpError } from '../utils/httpError.js';
+
+// Client errors go out as { error, code?, details? } so the cart UI can
+// explain them (see services/cart/cartValidation.js for the codes)
+const sendCartError = (res, err) => {
+  const { code, ...details } = err.details || {};
+  const body = { error: err.message };
+  if (code) body.code = code;
+  if (Object.keys(details).length > 0) body.details = details;
+  return res.status(err.status).json(body);
+};
 
 export const getCart = async (req, res) => {
   const userId = req.user && req.user.id;
@@ -18,9 +35,15 @@ export const addCartItem = async (req, res) => {
   const { product_id, variant_id = null, quantity = 1 } = req.body;
   if (!product_id) return res.status(400).json({ error: 'product_id required' });
   try {
-    const item = await CartItem.addItem({ userId, product_id, variant_id, quantity });
-    return res.status(201).json({ data: item });
+    const { item, adjustment } = await CartItem.addItem({
+      userId,
+      product_id,
+      variant_id,
+      quantity: parseQuantity(quantity),
+    });
+    return res.status(201).json({ data: item, ...(adjustment && { adjustment }) });
   } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
     console.error('addCartItem error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
@@ -30,12 +53,13 @@ export const updateCartItem = async (req, res) => {
   const userId = req.user && req.user.id;
   if (!userId) return res.status(401).json({ error: 'Unauthorized' });
   const { id } = req.params;
-  const { quantity } = req.body;
-  if (typeof quantity !== 'number') return res.status(400).json({ error: 'quantity required' });
   try {
-    const item = await CartItem.updateItem(id, { quantity });
-    return res.json({ data: item });
+    const { item, adjustment } = await CartItem.updateItem(userId, id, {
+      quantity: parseQuantity(req.body.quantity),
+    });
+    return res.json({ data: item, ...(adjustment && { adjustment }) });
   } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
     console.error('updateCartItem error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
@@ -46,9 +70,10 @@ export const removeCartItem = async (req, res) => {
   if (!userId) return res.status(401).json({ error: 'Unauthorized' });
   const { id } = req.params;
   try {
-    const item = await CartItem.removeItem(id);
+    const item = await CartItem.removeItem(userId, id);
     return res.json({ data: item });
   } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
     console.error('removeCartItem error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
@@ -66,17 +91,240 @@ export const clearCart = async (req, res) => {
   }
 };
 
-// Accepts { items: [{ product_id, variant_id?, quantity }] }
+// Accepts { items: [{ product_id, variant_id?, quantity }], saved_items? }.
+// `saved_items` (the guest's saved-for-later lines) go to the saved list.
+// Items that can no longer be bought are reported in `skipped`, quantities
+// cut to the stock in `adjustments`.
 export const mergeCart = async (req, res) => {
   const userId = req.user && req.user.id;
   if (!userId) return res.status(401).json({ error: 'Unauthorized' });
-  const { items } = req.body;
+  const { items, saved_items: savedItems = [] } = req.body;
   if (!Array.isArray(items)) return res.status(400).json({ error: 'items array required' });
+  if (!Array.isArray(savedItems)) {
+    return res.status(400).json({ error: 'saved_items must be an array' });
+  }
   try {
-    const merged = await CartItem.bulkMerge(userId, items);
-    return res.json({ data: merged });
+    const { items: merged, skipped, adjustments } = await CartItem.bulkMerge(userId, items);
+    if (savedItems.length > 0) {
+      const saved = await CartList.savedList(userId);
+      const parked = await CartItem.bulkMerge(userId, savedItems, { listId: saved.id });
+      skipped.push(...parked.skipped);
+    }
+    return res.json({ data: merged, skipped, adjustments });
   } catch (err) {
     console.error('mergeCart error', err);
     return res.status(500).json({ error: err.message || 'Server error' });
   }
 };
+
+// Called when the buyer reaches the payment step: hold the cart's stock for a
+// limited time. Calling it again re-syncs the holds with the cart.
+export const reserveCart = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const items = await CartItem.getByUser(userId);
+    if (items.length === 0) return res.status(400).json({ error: 'Cart is empty' });
+    const reservations = await StockReservation.reserveForUser(
+      userId,
+      items.map((it) => ({
+        product_id: it.product_id,
+        variant_id: it.variant_id,
+        quantity: it.quantity,
+        name: it.product_name || (it.products && it.products.name),
+      }))
+    );
+    const expiresAt = reservations.reduce(
+      (min, r) => (!min || r.expires_at < min ? r.expires_at : min),
+      null
+    );
+    return res.json({ data: { reservations, expires_at: expiresAt } });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('reserveCart error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// Price cart rows with the promotions and shipping methods available now
+const summarize = async (rows, { shippingMethod, country, requested = null }) => {
+  const [promotions, shippingMethods] = await Promise.all([
+    Promotion.listActive(),
+    ShippingMethod.listAvailable({ country }),
+  ]);
+  if (shippingMethod && !shippingMethods.some((m) => m.code === shippingMethod)) {
+    throw new HttpError(400, `Shipping method ${shippingMethod} is not available`);
+  }
+  return buildCartSummary(rows, {
+    promotions,
+    shippingMethods,
+    shippingMethodCode: shippingMethod,
+    requested,
+  });
+};
+
+// Server-priced cart: line and variant prices, price / stock change flags,
+// promotions, shipping options, estimated tax and grand total.
+// Query: ?shipping_method=standard&country=US
+export const getCartSummary = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const rows = await CartItem.pricedRows(userId);
+    const summary = await summarize(rows, {
+      shippingMethod: req.query.shipping_method || null,
+      country: req.query.country || null,
+    });
+    return res.json({ data: summary });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('getCartSummary error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// The same summary for a guest cart kept in the browser.
+// Accepts { items: [{ product_id, variant_id?, quantity }], shipping_method?, country? }
+export const getGuestCartSummary = async (req, res) => {
+  const { items, shipping_method = null, country = null } = req.body;
+  if (!Array.isArray(items) || items.length > 100) {
+    return res.status(400).json({ error: 'items array (max 100) required' });
+  }
+  const requested = items
+    .filter((it) => it && it.product_id)
+    .map((it) => ({
+      product_id: String(it.product_id),
+      variant_id: it.variant_id ? String(it.variant_id) : null,
+      quantity: Math.max(parseInt(it.quantity, 10) || 1, 1),
+    }));
+  try {
+    // Ids that are not UUIDs cannot match a product; they come back unavailable
+    const rows = await CartItem.pricedGuestRows(
+      requested.filter(
+        (it) => isUuid(it.product_id) && (!it.variant_id || isUuid(it.variant_id))
+      )
+    );
+    const summary = await summarize(rows, {
+      shippingMethod: shipping_method,
+      country,
+      requested,
+    });
+    return res.json({ data: summary });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('getGuestCartSummary error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// Saved-for-later list and named carts, each with its lines priced
+export const getCartLists = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const [lists, rows] = await Promise.all([
+      CartList.listForUser(userId),
+      CartItem.pricedListRows(userId),
+    ]);
+    return res.json({ data: summarizeCartLists(lists, rows) });
+  } catch (err) {
+    console.error('getCartLists error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+const listName = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    throw new HttpError(400, 'name must be 1 to 100 characters');
+  }
+  return name;
+};
+
+// Accepts { name }
+export const createCartList = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const list = await CartList.create(userId, listName(req.body));
+    return res.status(201).json({ data: list });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('createCartList error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// Accepts { name }
+export const renameCartList = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const list = await CartList.rename(userId, req.params.id, listName(req.body));
+    return res.json({ data: list });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('renameCartList error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// Deletes the list and every line in it
+export const deleteCartList = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    await CartList.remove(userId, req.params.id);
+    return res.json({ data: true });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('deleteCartList error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+const moveTarget = (body) => {
+  const to = body && body.to;
+  if (typeof to !== 'string' || !to) {
+    throw new HttpError(400, 'to must be "cart", "saved" or a cart list id');
+  }
+  return to;
+};
+
+// Accepts { to: "cart" | "saved" | <list id> }. Moving into the cart is
+// checked like adding to it.
+export const moveCartItem = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const { item, adjustment } = await CartItem.moveItem(
+      userId,
+      req.params.id,
+      moveTarget(req.body)
+    );
+    return res.json({ data: item, ...(adjustment && { adjustment }) });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('moveCartItem error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
+
+// Accepts { to }. Moves every line of the list; lines that cannot go into
+// the cart stay in the list and are reported in `skipped`.
+export const moveCartList = async (req, res) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    const { items, skipped, adjustments } = await CartItem.moveList(
+      userId,
+      req.params.id,
+      moveTarget(req.body)
+    );
+    return res.json({ data: items, skipped, adjustments });
+  } catch (err) {
+    if (err instanceof HttpError) return sendCartError(res, err);
+    console.error('moveCartList error', err);
+    return res.status(500).json({ error: err.message || 'Server error' });
+  }
+};
@@ -0,0 +1,185 @@
+import { Category } from "../models/Category.js";
+import { Product } from "../models/Product.js";
+import {
+  breadcrumbsFor,
+  buildCategoryTree,
+  findInTree,
+  subtreeIds,
+} from "../services/products/categoryTree.js";
+import { parseListingParams } from "../services/products/listing.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// Admins may ask for inactive categories too (`?all=true`)
+const wantsInactive = (req) =>
+  req.query.all === "true" && req.user?.role === "admin";
+
+// The category behind `req.params.ref` (id or slug) in the tree the caller
+// can see, with the flat rows it came from
+const loadCategory = async (req) => {
+  const rows = await Category.all();
+  const tree = buildCategoryTree(rows, {
+    includeInactive: wantsInactive(req),
+  });
+  const category = findInTree(tree, req.params.ref);
+  if (!category) throw new HttpError(404, "Category not found");
+  return { rows, category };
+};
+
+export const categoryController = {
+  // The whole tree, top-level categories first by sort_order
+  getTree: async (req, res) => {
+    try {
+      const rows = await Category.all();
+      res.json({
+        success: true,
+        data: {
+          categories: buildCategoryTree(rows, {
+            includeInactive: wantsInactive(req),
+          }),
+        },
+      });
+    } catch (error) {
+      console.error("Get category tree error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch categories",
+      });
+    }
+  },
+
+  // One category with its subcategories and the path down to it
+  getCategory: async (req, res) => {
+    try {
+      const { rows, category } = await loadCategory(req);
+      res.json({
+        success: true,
+        data: {
+          category,
+          breadcrumbs: breadcrumbsFor(rows, category.id),
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch category",
+      });
+    }
+  },
+
+  // Active products in the category or any of its subcategories, paged
+  // like GET /products
+  getCategoryProducts: async (req, res) => {
+    try {
+      const params = parseListingParams(req.query);
+      const { rows, category } = await loadCategory(req);
+      const { products, total, hasMore, nextCursor } = await Product.list({
+        ...params,
+        categoryId: null,
+        categoryIds: subtreeIds(category),
+      });
+
+      res.json({
+        success: true,
+        data: {
+          category: {
+            id: category.id,
+            name: category.name,
+            slug: category.slug,
+          },
+          breadcrumbs: breadcrumbsFor(rows, category.id),
+          products,
+          pagination: {
+            sort: params.sort,
+            limit: params.limit,
+            total,
+            hasMore,
+            nextCursor,
+          },
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get category products error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch category products",
+      });
+    }
+  },
+
+  createCategory: async (req, res) => {
+    try {
+      const category = await Category.create(req.body);
+      res.status(201).json({
+        success: true,
+        message: "Category created",
+        data: { category },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create category",
+      });
+    }
+  },
+
+  updateCategory: async (req, res) => {
+    try {
+      const category = await Category.update(req.params.id, req.body);
+      if (!category) throw new HttpError(404, "Category not found");
+      res.json({
+        success: true,
+        message: "Category updated",
+        data: { category },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update category",
+      });
+    }
+  },
+
+  deleteCategory: async (req, res) => {
+    try {
+      const deleted = await Category.remove(req.params.id);
+      if (!deleted) throw new HttpError(404, "Category not found");
+      res.json({
+        success: true,
+        message: "Category deleted",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Delete category error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete category",
+      });
+    }
+  },
+
+  // Put one parent's subcategories in the order given
+  reorderCategories: async (req, res) => {
+    try {
+      const { parent_id: parentId = null, order } = req.body;
+      await Category.reorder(parentId, order);
+      res.json({
+        success: true,
+        message: "Categories reordered",
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Reorder categories error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reorder categories",
+      });
+    }
+  },
+};
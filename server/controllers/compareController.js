@@ -0,0 +1,79 @@
+import { CompareList } from "../models/CompareList.js";
+import { Product } from "../models/Product.js";
+import {
+  buildComparison,
+  compareShareUrl,
+  inRequestedOrder,
+  parseCompareIds,
+} from "../services/products/compare.js";
+
+// The comparison of `ids` as the API returns it. Products that are unknown
+// or no longer active are left out.
+const comparisonData = async (ids) => {
+  const products = inRequestedOrder(ids, await Product.findForCompare(ids));
+  const productIds = products.map((product) => product.id);
+  return {
+    product_ids: productIds,
+    ...buildComparison(products),
+    share_url: productIds.length > 0 ? compareShareUrl(productIds) : null,
+  };
+};
+
+export const compareController = {
+  // Anyone can compare; this is also what a shared compare URL opens
+  compareProducts: async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await comparisonData(parseCompareIds(req.query.ids)),
+      });
+    } catch (error) {
+      console.error("Compare products error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to compare products",
+      });
+    }
+  },
+
+  getCompareList: async (req, res) => {
+    try {
+      const ids = await CompareList.productIds(req.user.id);
+      res.json({ success: true, data: await comparisonData(ids) });
+    } catch (error) {
+      console.error("Get compare list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch compare list",
+      });
+    }
+  },
+
+  // Replace the list; only products that can be compared are kept
+  saveCompareList: async (req, res) => {
+    try {
+      const data = await comparisonData(parseCompareIds(req.body.product_ids));
+      await CompareList.save(req.user.id, data.product_ids);
+      res.json({ success: true, message: "Compare list saved", data });
+    } catch (error) {
+      console.error("Save compare list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save compare list",
+      });
+    }
+  },
+
+  clearCompareList: async (req, res) => {
+    try {
+      await CompareList.clear(req.user.id);
+      res.json({ success: true, message: "Compare list cleared" });
+    } catch (error) {
+      console.error("Clear compare list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to clear compare list",
+      });
+    }
+  },
+};
@@ -0,0 +1,395 @@
+import { Order } from "../models/Order.js";
+import { OrderFulfillment } from "../models/OrderFulfillment.js";
+import { normalizeAddress } from "../utils/address.js";
+import { settleOrderPayments } from "../services/payments/settlement.js";
+import {
+  canTransitionOrder,
+  CUSTOMER_CANCELLABLE,
+  SELLER_TARGET_STATUSES,
+} from "../services/orders/orderStatus.js";
+import {
+  deriveOrderStatus,
+  forwardPath,
+} from "../services/orders/fulfillment.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+import { auditContext } from "../utils/auditContext.js";
+import {
+  signGuestOrderToken,
+  signOrderClaimToken,
+  verifyOrderClaimToken,
+} from "../utils/orderClaim.js";
+import { sendMail } from "../utils/mailer.js";
+
+// Cancelling or refunding gives the money back first; a failed refund
+// leaves the order untouched so it can be retried. A move the order cannot
+// make is refused before any money is touched.
+const settleBeforeClosing = async (res, order, status) => {
+  if (!canTransitionOrder(order.status, status)) {
+    throw new HttpError(
+      409,
+      `Order cannot move from ${order.status} to ${status}`
+    );
+  }
+  if (status !== "cancelled" && status !== "refunded") return true;
+  const failed = await settleOrderPayments(order.id);
+  if (!failed) return true;
+  res.status(402).json({
+    success: false,
+    message: failed.message || "Refund failed",
+    data: { code: failed.code },
+  });
+  return false;
+};
+
+// Move one shipment, then walk the parent order forward to whatever its
+// groups now add up to (e.g. the last group delivered -> order delivered)
+const advanceFulfillment = async (req, order, fulfillment, status) => {
+  const updated = await OrderFulfillment.updateStatus(
+    order.id,
+    fulfillment.id,
+    status,
+    { carrier: req.body.carrier, trackingNumber: req.body.trackingNumber }
+  );
+
+  const groups = await OrderFulfillment.listForOrder(order.id);
+  let parent = order;
+  for (const next of forwardPath(
+    order.status,
+    deriveOrderStatus(groups, order.status)
+  )) {
+    parent = await Order.transitionStatus(order.id, next, {
+      ...auditContext(req, req.body.note || null),
+      cascadeFulfillments: false,
+    });
+  }
+  return { order: parent, fulfillment: updated };
+};
+
+// Email the guest a link that attaches the order to an account. Best effort:
+// the order stands even if the mail cannot be sent.
+const sendClaimEmail = async (order) => {
+  try {
+    const token = signOrderClaimToken({
+      orderId: order.id,
+      email: order.guest_email,
+    });
+    const claimLink = `${
+      process.env.FRONTEND_URL || "http://localhost:5173"
+    }/claim-order?token=${token}`;
+    const { previewUrl } = await sendMail({
+      to: order.guest_email,
+      subject: `Your order ${order.order_number}`,
+      template: "order-claim",
+      templateData: { claimLink, orderNumber: order.order_number },
+    });
+    if (previewUrl) console.log("Email preview URL:", previewUrl);
+  } catch (e) {
+    console.warn("Failed to send order claim email:", e.message || e);
+  }
+};
+
+export const orderController = {
+  // Place an order from the authenticated user's cart
+  createOrder: async (req, res) => {
+    try {
+      const { shippingAddress, billingAddress, notes, couponCode, shippingMethod } =
+        req.body;
+
+      const order = await Order.createFromCart({
+        userId: req.user.id,
+        shippingAddress: normalizeAddress(shippingAddress),
+        billingAddress: normalizeAddress(billingAddress),
+        notes: notes || null,
+        couponCode: couponCode ? String(couponCode).trim() : null,
+        shippingMethod: shippingMethod || null,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Order placed successfully",
+        data: { order },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to place order",
+      });
+    }
+  },
+  // Place an order without an account. The cart is posted by the browser;
+  // the response carries a guest token for paying and viewing the order.
+  createGuestOrder: async (req, res) => {
+    try {
+      const {
+        email,
+        items,
+        shippingAddress,
+        billingAddress,
+        notes,
+        couponCode,
+        shippingMethod,
+      } = req.body;
+
+      const order = await Order.createFromCart({
+        guestEmail: email,
+        guestItems: items.map((item) => ({
+          product_id: item.product_id,
+          variant_id: item.variant_id || null,
+          quantity: parseInt(item.quantity, 10),
+        })),
+        shippingAddress: { ...normalizeAddress(shippingAddress), email },
+        billingAddress: normalizeAddress(billingAddress),
+        notes: notes || null,
+        couponCode: couponCode ? String(couponCode).trim() : null,
+        shippingMethod: shippingMethod || null,
+      });
+      await sendClaimEmail(order);
+
+      res.status(201).json({
+        success: true,
+        message: "Order placed successfully",
+        data: {
+          order,
+          guestToken: signGuestOrderToken({ orderId: order.id, email }),
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create guest order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to place order",
+      });
+    }
+  },
+
+  // The guest order behind the X-Guest-Token header
+  getGuestOrder: async (req, res) => {
+    try {
+      const order = await Order.findDetailed(req.guestOrder.id);
+      res.json({ success: true, data: { order } });
+    } catch (error) {
+      console.error("Get guest order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch order",
+      });
+    }
+  },
+
+  // Attach a guest order to the signed-in account using the emailed token
+  claimOrder: async (req, res) => {
+    try {
+      const payload = verifyOrderClaimToken(req.body.token);
+      if (!payload) throw new HttpError(400, "Invalid or expired claim link");
+
+      const order = await Order.claimGuestOrder(
+        payload.sub,
+        payload.email,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: "Order added to your account",
+        data: { order },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Claim order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to claim order",
+      });
+    }
+  },
+
+  // List the authenticated user's orders, newest first
+  getOrders: async (req, res) => {
+    try {
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 10);
+
+      const { orders, total } = await Order.listForUser(req.user.id, {
+        limit,
+        offset: (page - 1) * limit,
+        status: req.query.status || null,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasMore: page * limit < total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get orders error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch orders",
+      });
+    }
+  },
+
+  // Single order with items, payments and status timeline
+  getOrder: async (req, res) => {
+    try {
+      const order = await Order.findDetailed(req.params.id, req.user.id);
+      if (!order) throw new HttpError(404, "Order not found");
+
+      res.json({
+        success: true,
+        data: { order },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch order",
+      });
+    }
+  },
+  // Customers may cancel their own order while it is pending or confirmed
+  cancelOrder: async (req, res) => {
+    try {
+      const order = await Order.findById(req.params.id, req.user.id);
+      if (!order) throw new HttpError(404, "Order not found");
+      if (!CUSTOMER_CANCELLABLE.includes(order.status)) {
+        throw new HttpError(409, "This order can no longer be cancelled");
+      }
+
+      if (!(await settleBeforeClosing(res, order, "cancelled"))) return;
+      const updated = await Order.transitionStatus(
+        order.id,
+        "cancelled",
+        auditContext(req, req.body.reason || "Cancelled by customer")
+      );
+
+      res.json({
+        success: true,
+        message: "Order cancelled",
+        data: { order: updated },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Cancel order error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel order",
+      });
+    }
+  },
+
+  // Admins move orders to any legal status; sellers advance fulfilment
+  // (processing, shipped, delivered) on orders containing their products
+  updateOrderStatus: async (req, res) => {
+    try {
+      const { status, note } = req.body;
+      const isAdmin = req.user.role === "admin";
+
+      if (!isAdmin && !SELLER_TARGET_STATUSES.includes(status)) {
+        throw new HttpError(403, `Sellers cannot move orders to ${status}`);
+      }
+
+      const order = await Order.findById(req.params.id);
+      if (
+        !order ||
+        (!isAdmin && !(await Order.hasSellerItems(order.id, req.user.id)))
+      ) {
+        throw new HttpError(404, "Order not found");
+      }
+
+      // Split orders: a seller only moves their own shipment. Orders placed
+      // before fulfilment groups existed have none and move as a whole.
+      if (!isAdmin) {
+        const fulfillment = await OrderFulfillment.findForSeller(
+          order.id,
+          req.user.id
+        );
+        if (fulfillment) {
+          const result = await advanceFulfillment(
+            req,
+            order,
+            fulfillment,
+            status
+          );
+          return res.json({
+            success: true,
+            message: `Shipment marked as ${status}`,
+            data: result,
+          });
+        }
+      }
+
+      if (!(await settleBeforeClosing(res, order, status))) return;
+      const updated = await Order.transitionStatus(
+        order.id,
+        status,
+        auditContext(req, note || null)
+      );
+
+      res.json({
+        success: true,
+        message: `Order marked as ${status}`,
+        data: { order: updated },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update order status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update order status",
+      });
+    }
+  },
+  // Advance one seller's shipment. Sellers may only touch their own group;
+  // the parent order follows once every live group has caught up.
+  // Body: { status, carrier?, trackingNumber?, note? }
+  updateFulfillment: async (req, res) => {
+    try {
+      const isAdmin = req.user.role === "admin";
+      const order = await Order.findById(req.params.id);
+      if (!order) throw new HttpError(404, "Order not found");
+
+      const fulfillment = await OrderFulfillment.findById(
+        order.id,
+        req.params.fulfillmentId
+      );
+      if (
+        !fulfillment ||
+        (!isAdmin && fulfillment.seller_id !== req.user.id)
+      ) {
+        throw new HttpError(404, "Fulfilment not found");
+      }
+
+      const result = await advanceFulfillment(
+        req,
+        order,
+        fulfillment,
+        req.body.status
+      );
+      res.json({
+        success: true,
+        message: `Shipment marked as ${req.body.status}`,
+        data: result,
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update fulfilment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update shipment",
+      });
+    }
+  },
+};
@@ -0,0 +1,284 @@
+import { Order } from "../models/Order.js";
+import { Payment } from "../models/Payment.js";
+import { StockReservation } from "../models/StockReservation.js";
+import { getPaymentProvider } from "../services/payments/index.js";
+import {
+  withGatewayResponse,
+  refundPayment,
+} from "../services/payments/settlement.js";
+import { canTransitionOrder } from "../services/orders/orderStatus.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+import { auditContext } from "../utils/auditContext.js";
+
+// Capture an authorized payment and confirm its order on success.
+// Confirming commits the order's stock; if that fails (the hold expired and
+// the stock sold out meanwhile) the captured money is refunded.
+const capturePayment = async (provider, payment, order, context) => {
+  const result = await provider.capture(payment.payment_intent_id, {
+    amount: Number(payment.amount),
+    currency: payment.currency,
+  });
+  const updated = await Payment.updateStatus(payment, result.status, {
+    gatewayResponse: withGatewayResponse(payment, "capture", result.raw),
+  });
+  let updatedOrder = order;
+  if (result.success && order.status === "pending") {
+    try {
+      updatedOrder = await Order.transitionStatus(order.id, "confirmed", context);
+    } catch (error) {
+      if (error instanceof HttpError && error.status === 409) {
+        await refundPayment(updated);
+      }
+      throw error;
+    }
+  }
+  return { result, payment: updated, order: updatedOrder };
+};
+
+const loadPaymentForUser = async (req) => {
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) throw new HttpError(404, "Payment not found");
+  const isAdmin = req.user.role === "admin";
+  const order = await Order.findById(
+    payment.order_id,
+    isAdmin ? null : req.user.id
+  );
+  if (!order) throw new HttpError(404, "Payment not found");
+  return { payment, order };
+};
+
+// Authorize (and by default capture) payment for an order the caller may pay
+const payOrder = async (req, res, order) => {
+  const { paymentMethod, capture = true } = req.body;
+  if (order.status !== "pending") {
+    throw new HttpError(409, "Order is not awaiting payment");
+  }
+
+  const existing = await Payment.findByOrder(order.id);
+  if (existing.some((p) => ["processing", "completed"].includes(p.status))) {
+    throw new HttpError(409, "Order already has an active payment");
+  }
+
+  // Re-check the stock hold (it may have expired) before charging
+  await StockReservation.ensureForOrder(order.id);
+
+  const provider = getPaymentProvider();
+  const amount = Number(order.total_amount);
+  let payment = await Payment.create({
+    orderId: order.id,
+    paymentMethod: paymentMethod.type || "card",
+    amount,
+    currency: order.currency,
+    gatewayResponse: { provider: provider.name },
+  });
+
+  const auth = await provider.authorize({
+    amount,
+    currency: order.currency,
+    paymentMethod,
+    reference: payment.id,
+  });
+  payment = await Payment.updateStatus(payment, auth.status, {
+    paymentIntentId: auth.intentId,
+    gatewayResponse: withGatewayResponse(payment, "authorize", auth.raw),
+  });
+
+  if (!auth.success) {
+    return res.status(402).json({
+      success: false,
+      message: auth.message || "Payment was declined",
+      data: { payment, code: auth.code },
+    });
+  }
+
+  let updatedOrder = order;
+  if (capture) {
+    const captured = await capturePayment(
+      provider,
+      payment,
+      order,
+      auditContext(req, "Payment captured")
+    );
+    payment = captured.payment;
+    updatedOrder = captured.order;
+    if (!captured.result.success) {
+      return res.status(402).json({
+        success: false,
+        message: captured.result.message || "Payment could not be captured",
+        data: { payment, code: captured.result.code },
+      });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: capture ? "Payment completed" : "Payment authorized",
+    data: { payment, order: updatedOrder },
+  });
+};
+
+export const paymentController = {
+  // Pay for one of the caller's orders
+  createPayment: async (req, res) => {
+    try {
+      const order = await Order.findById(req.body.orderId, req.user.id);
+      if (!order) throw new HttpError(404, "Order not found");
+      await payOrder(req, res, order);
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process payment",
+      });
+    }
+  },
+
+  // Pay for a guest order (authenticateGuestOrder sets req.guestOrder)
+  createGuestPayment: async (req, res) => {
+    try {
+      if (req.body.orderId !== req.guestOrder.id) {
+        throw new HttpError(404, "Order not found");
+      }
+      await payOrder(req, res, req.guestOrder);
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create guest payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process payment",
+      });
+    }
+  },
+
+  // Capture a previously authorized payment (order owner or admin)
+  capturePayment: async (req, res) => {
+    try {
+      const { payment, order } = await loadPaymentForUser(req);
+      if (payment.status !== "processing") {
+        throw new HttpError(409, "Payment is not awaiting capture");
+      }
+
+      if (order.status === "pending") {
+        await StockReservation.ensureForOrder(order.id);
+      }
+
+      const provider = getPaymentProvider(payment.gateway_response?.provider);
+      const captured = await capturePayment(
+        provider,
+        payment,
+        order,
+        auditContext(req, "Payment captured")
+      );
+      if (!captured.result.success) {
+        return res.status(402).json({
+          success: false,
+          message: captured.result.message || "Payment could not be captured",
+          data: { payment: captured.payment, code: captured.result.code },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Payment captured",
+        data: { payment: captured.payment, order: captured.order },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Capture payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to capture payment",
+      });
+    }
+  },
+
+  // Refund a captured payment (admin only)
+  refundPayment: async (req, res) => {
+    try {
+      const { payment, order } = await loadPaymentForUser(req);
+      if (payment.status !== "completed") {
+        throw new HttpError(409, "Only completed payments can be refunded");
+      }
+
+      const { result, payment: updated } = await refundPayment(payment);
+      if (!result.success) {
+        return res.status(402).json({
+          success: false,
+          message: result.message || "Refund failed",
+          data: { payment, code: result.code },
+        });
+      }
+
+      const updatedOrder = canTransitionOrder(order.status, "refunded")
+        ? await Order.transitionStatus(
+            order.id,
+            "refunded",
+            auditContext(req, req.body?.reason || "Payment refunded")
+          )
+        : order;
+
+      res.json({
+        success: true,
+        message: "Payment refunded",
+        data: { payment: updated, order: updatedOrder },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Refund payment error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to refund payment",
+      });
+    }
+  },
+
+  // Gateway callbacks: POST /payments/webhooks/:provider
+  handleWebhook: async (req, res) => {
+    try {
+      let provider;
+      let event;
+      try {
+        provider = getPaymentProvider(req.params.provider);
+        event = provider.parseWebhook(req.body, req.headers);
+      } catch (e) {
+        return res.status(400).json({ success: false, message: e.message });
+      }
+
+      const payment = await Payment.findByIntentId(event.intentId);
+      if (!payment) {
+        // Acknowledge so the gateway stops retrying events we cannot match
+        return res.json({ success: true, message: "Event ignored" });
+      }
+      if (payment.status === event.status) {
+        return res.json({ success: true, message: "Already processed" });
+      }
+
+      const updated = await Payment.updateStatus(payment, event.status, {
+        gatewayResponse: withGatewayResponse(payment, "webhook", event.raw),
+      });
+      const order = await Order.findById(payment.order_id);
+      const context = {
+        note: `Payment ${event.status} (${provider.name} webhook)`,
+      };
+      if (order && event.status === "completed" && order.status === "pending") {
+        await Order.transitionStatus(order.id, "confirmed", context);
+      } else if (
+        order &&
+        event.status === "refunded" &&
+        canTransitionOrder(order.status, "refunded")
+      ) {
+        await Order.transitionStatus(order.id, "refunded", context);
+      }
+
+      res.json({ success: true, data: { payment: updated } });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Payment webhook error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process webhook",
+      });
+    }
+  },
+};
@@ -1,46 +1,100 @@
 import { Product } from "../../server/models/Product.js";
+import { ProductVariant } from "../models/ProductVariant.js";
+import { parseListingParams } from "../services/products/listing.js";
+import { canTransitionProduct } from "../services/products/productStatus.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// The product behind `req.params.id` in any status, if the caller may manage
+// it: admins manage every listing, sellers only their own
+const loadManagedProduct = async (req) => {
+  const product = await Product.findById(req.params.id, { anyStatus: true });
+  if (!product) throw new HttpError(404, "Product not found");
+  if (req.user.role !== "admin" && product.seller_id !== req.user.id) {
+    throw new HttpError(403, "You can only manage your own products");
+  }
+  return product;
+};
+
+const assertTransition = (product, status, role) => {
+  if (status && !canTransitionProduct(product.status, status, role)) {
+    throw new HttpError(
+      409,
+      `A ${product.status} product cannot be moved to ${status}`
+    );
+  }
+};
+
+// Shared by PUT and PATCH of a variant
+const applyVariantUpdate = async (req, res) => {
+  try {
+    const product = await loadManagedProduct(req);
+    const variant = await ProductVariant.update(
+      product.id,
+      req.params.variantId,
+      req.body
+    );
+    if (!variant) throw new HttpError(404, "Variant not found");
+
+    res.json({
+      success: true,
+      message: "Variant updated successfully",
+      data: { variant },
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error("Update variant error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update variant",
+    });
+  }
+};
+
+// Shared by PUT (full replace) and PATCH (only the fields sent)
+const applyProductUpdate = async (req, res) => {
+  try {
+    const product = await loadManagedProduct(req);
+    assertTransition(product, req.body.status, req.user.role);
+    const updated = await Product.update(product.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Product updated successfully",
+      data: { product: updated },
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error("Update product error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update product",
+    });
+  }
+};
 
 export const productController = {
-  // Get all products with filtering
+  // Active products, filtered and sorted, one cursor page at a time
   getProducts: async (req, res) => {
     try {
-      const {
-        page = 1,
-        limit = 20,
-        category,
-        brand,
-        minPrice,
-        maxPrice,
-        search,
-        sort = "newest",
-      } = req.query;
-
-      const offset = (page - 1) * limit;
-
-      const filters = {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        categoryId: category,
-        brandId: brand,
-        minPrice: minPrice ? parseFloat(minPrice) : null,
-        maxPrice: maxPrice ? parseFloat(maxPrice) : null,
-        search,
-      };
-
-      const products = await Product.getAll(filters);
+      const params = parseListingParams(req.query);
+      const { products, total, hasMore, nextCursor } =
+        await Product.list(params);
 
       res.json({
         success: true,
         data: {
           products,
           pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            hasMore: products.length === parseInt(limit),
+            sort: params.sort,
+            limit: params.limit,
+            total,
+            hasMore,
+            nextCursor,
           },
         },
       });
     } catch (error) {
+      if (sendHttpError(res, error)) return;
       console.error("Get products error:", error);
       res.status(500).json({
         success: false,
@@ -49,13 +103,17 @@ export const productController = {
     }
   },
 
-  // Get single product
+  // Get single product. Listings that are not active are only shown to
+  // their seller and admins (e.g. to edit a draft).
   getProduct: async (req, res) => {
     try {
       const { id } = req.params;
-      const product = await Product.findById(id);
+      const product = await Product.findById(id, { anyStatus: true });
+      const canManage =
+        req.user &&
+        (req.user.role === "admin" || product?.seller_id === req.user.id);
 
-      if (!product) {
+      if (!product || (product.status !== "active" && !canManage)) {
         return res.status(404).json({
           success: false,
           message: "Product not found",
@@ -101,6 +159,9 @@ export const productController = {
         ...req.body,
         sellerId: req.user.role === "seller" ? req.user.id : null,
       };
+      // Admins may publish directly; a seller's listing starts as a draft or
+      // goes live as active
+      assertTransition({ status: "draft" }, req.body.status, req.user.role);
 
       const product = await Product.create(productData);
 
@@ -110,6 +171,7 @@ export const productController = {
         data: { product },
       });
     } catch (error) {
+      if (sendHttpError(res, error)) return;
       console.error("Create product error:", error);
       res.status(500).json({
         success: false,
@@ -117,4 +179,121 @@ export const productController = {
       });
     }
   },
+
+  // Replace a product's fields (owner or admin)
+  updateProduct: applyProductUpdate,
+
+  // Change some fields, e.g. `{ status: "inactive" }` (owner or admin)
+  patchProduct: applyProductUpdate,
+
+  // A product's variants. Its seller and admins also see inactive ones.
+  getVariants: async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id, {
+        anyStatus: true,
+      });
+      const canManage =
+        req.user &&
+        (req.user.role === "admin" || product?.seller_id === req.user.id);
+      if (!product || (product.status !== "active" && !canManage)) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+      const variants = canManage
+        ? await ProductVariant.listForProduct(product.id, {
+            includeInactive: true,
+          })
+        : product.variants;
+
+      res.json({
+        success: true,
+        data: { variants, options: product.variant_options },
+      });
+    } catch (error) {
+      console.error("Get variants error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch variants",
+      });
+    }
+  },
+
+  // Add a variant (owner or admin)
+  createVariant: async (req, res) => {
+    try {
+      const product = await loadManagedProduct(req);
+      const variant = await ProductVariant.create(product.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Variant created successfully",
+        data: { variant },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create variant error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create variant",
+      });
+    }
+  },
+
+  updateVariant: applyVariantUpdate,
+
+  patchVariant: applyVariantUpdate,
+
+  // Variants are deactivated rather than deleted: order lines keep pointing
+  // at them. Carts holding one see it as unavailable.
+  deleteVariant: async (req, res) => {
+    try {
+      const product = await loadManagedProduct(req);
+      const variant = await ProductVariant.update(
+        product.id,
+        req.params.variantId,
+        { is_active: false }
+      );
+      if (!variant) throw new HttpError(404, "Variant not found");
+
+      res.json({
+        success: true,
+        message: "Variant deactivated",
+        data: { variant },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Delete variant error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete variant",
+      });
+    }
+  },
+
+  // Soft delete: the listing becomes discontinued so orders, carts and
+  // reviews that point at it keep working
+  deleteProduct: async (req, res) => {
+    try {
+      const product = await loadManagedProduct(req);
+      const discontinued =
+        product.status === "discontinued"
+          ? product
+          : await Product.update(product.id, { status: "discontinued" });
+
+      res.json({
+        success: true,
+        message: "Product discontinued",
+        data: { product: discontinued },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Delete product error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete product",
+      });
+    }
+  },
 };
@@ -0,0 +1,217 @@
+import { Product } from "../models/Product.js";
+import { Review } from "../models/Review.js";
+import {
+  normalizeReviewInput,
+  parseReviewListParams,
+  ratingSummary,
+  toOwnReview,
+  toPublicReview,
+} from "../services/products/reviews.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// The review behind `req.params.id`; only approved reviews are public
+const loadPublicReview = async (req) => {
+  const review = await Review.findById(req.params.id);
+  if (!review || !review.is_approved) {
+    throw new HttpError(404, "Review not found");
+  }
+  return review;
+};
+
+// Helpful votes go to other shoppers' reviews
+const setHelpful = async (req, res, helpful) => {
+  const review = await loadPublicReview(req);
+  if (review.user_id === req.user.id) {
+    throw new HttpError(403, "You cannot vote on your own review");
+  }
+  const helpfulCount = await Review.setHelpfulVote(
+    review.id,
+    req.user.id,
+    helpful
+  );
+  res.json({
+    success: true,
+    message: helpful ? "Marked as helpful" : "Vote removed",
+    data: { voted_helpful: helpful, helpful_count: helpfulCount },
+  });
+};
+
+export const reviewController = {
+  // A product's rating summary and one page of its approved reviews, plus
+  // the signed-in shopper's own review in whatever state it is
+  listReviews: async (req, res) => {
+    try {
+      const params = parseReviewListParams(req.query);
+      const productId = req.params.id;
+      const [{ reviews, total }, counts, mine] = await Promise.all([
+        Review.listForProduct(productId, params),
+        Review.ratingCounts(productId),
+        req.user ? Review.findForUser(productId, req.user.id) : null,
+      ]);
+      const votedIds = await Review.votedBy(
+        req.user?.id,
+        reviews.map((review) => review.id)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          summary: ratingSummary(counts),
+          reviews: reviews.map((review) =>
+            toPublicReview(review, { votedIds })
+          ),
+          my_review: mine ? toOwnReview(mine) : null,
+          pagination: {
+            page: params.page,
+            limit: params.limit,
+            total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get reviews error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch reviews",
+      });
+    }
+  },
+
+  // Review an active product; it is marked as a verified purchase when the
+  // shopper has had it delivered, and waits for moderation
+  createReview: async (req, res) => {
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) throw new HttpError(404, "Product not found");
+
+      const review = await Review.create({
+        productId: product.id,
+        userId: req.user.id,
+        orderId: await Review.deliveredOrderId(req.user.id, product.id),
+        fields: normalizeReviewInput(req.body),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Review submitted for moderation",
+        data: { review: toOwnReview(review) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to submit review",
+      });
+    }
+  },
+
+  // Edit your own review; it goes back into the moderation queue
+  updateReview: async (req, res) => {
+    try {
+      const existing = await Review.findById(req.params.id);
+      if (!existing) throw new HttpError(404, "Review not found");
+      if (existing.user_id !== req.user.id) {
+        throw new HttpError(403, "You can only edit your own reviews");
+      }
+
+      const review = await Review.update(existing.id, {
+        orderId: await Review.deliveredOrderId(
+          req.user.id,
+          existing.product_id
+        ),
+        fields: normalizeReviewInput(req.body),
+      });
+
+      res.json({
+        success: true,
+        message: "Review updated and submitted for moderation",
+        data: { review: toOwnReview(review) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update review",
+      });
+    }
+  },
+
+  markHelpful: async (req, res) => {
+    try {
+      await setHelpful(req, res, true);
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Mark review helpful error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record vote",
+      });
+    }
+  },
+
+  unmarkHelpful: async (req, res) => {
+    try {
+      await setHelpful(req, res, false);
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Unmark review helpful error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove vote",
+      });
+    }
+  },
+
+  // Reviews waiting for a moderator, oldest first (admin)
+  getModerationQueue: async (req, res) => {
+    try {
+      const { page, limit, offset } = parseReviewListParams(req.query);
+      const { reviews, total } = await Review.queue({ limit, offset });
+
+      res.json({
+        success: true,
+        data: {
+          reviews: reviews.map((review) => ({
+            ...toOwnReview(review),
+            product_name: review.product_name,
+          })),
+          pagination: { page, limit, total },
+        },
+      });
+    } catch (error) {
+      console.error("Get review queue error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch review queue",
+      });
+    }
+  },
+
+  // Approve or reject a review (admin); `reason` is shown to the reviewer
+  moderateReview: async (req, res) => {
+    try {
+      const approve = req.body.decision === "approve";
+      const review = await Review.moderate(req.params.id, {
+        approve,
+        reason: req.body.reason?.trim() || null,
+        moderatorId: req.user.id,
+      });
+      if (!review) throw new HttpError(404, "Review not found");
+
+      res.json({
+        success: true,
+        message: approve ? "Review approved" : "Review rejected",
+        data: { review: toOwnReview(review) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Moderate review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to moderate review",
+      });
+    }
+  },
+};
@@ -0,0 +1,201 @@
+import { Product } from "../models/Product.js";
+import { SearchHistory } from "../models/SearchHistory.js";
+import { SearchQuery } from "../models/SearchQuery.js";
+import { SearchSuggestion } from "../models/SearchSuggestion.js";
+import { parseSearchParams } from "../services/search/productSearch.js";
+import {
+  REPORT_DEFAULT_DAYS,
+  REPORT_DEFAULT_LIMIT,
+} from "../services/search/searchAnalytics.js";
+import { SUGGEST_LIMIT } from "../services/search/suggestions.js";
+import { sendHttpError } from "../utils/httpError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The browser tab's search session (X-Session-Id), so guest searches and
+// their clicks can be tied together
+const sessionIdOf = (req) => {
+  const id = String(req.get("X-Session-Id") || "").trim();
+  return /^[\w-]{1,100}$/.test(id) ? id : null;
+};
+
+// Filters worth remembering with a search (what the shopper narrowed by)
+const appliedFilters = (params) => {
+  const filters = {};
+  if (params.brands.length > 0) filters.brand = params.brands;
+  if (params.categories.length > 0) filters.category = params.categories;
+  if (params.minPrice !== null) filters.minPrice = params.minPrice;
+  if (params.maxPrice !== null) filters.maxPrice = params.maxPrice;
+  if (params.minRating !== null) filters.minRating = params.minRating;
+  return filters;
+};
+
+export const searchController = {
+  // Ranked product search with facet counts (see docs/search.md)
+  searchProducts: async (req, res) => {
+    try {
+      const params = parseSearchParams(req.query);
+      const { products, total, facets, hasMore, nextCursor } =
+        await Product.search(params);
+
+      // Every text search is logged for analytics, and signed-in shoppers
+      // get theirs back as "recent searches". Only first pages (no cursor)
+      // count, and a failure here must not fail the search.
+      let searchId = null;
+      if (params.q && !params.cursor) {
+        const sessionId = sessionIdOf(req);
+        const logged = {
+          query: params.q,
+          filters: appliedFilters(params),
+          resultsCount: total,
+          sessionId,
+        };
+        try {
+          searchId = await SearchQuery.log({
+            ...logged,
+            userId: req.user?.id || null,
+            ipAddress: req.ip || null,
+          });
+        } catch (error) {
+          console.error("Log search error:", error);
+        }
+        if (req.user) {
+          SearchHistory.record(req.user.id, logged).catch((error) =>
+            console.error("Record search error:", error)
+          );
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          query: params.q,
+          search_id: searchId,
+          products,
+          facets,
+          pagination: {
+            sort: params.sort,
+            limit: params.limit,
+            total,
+            hasMore,
+            nextCursor,
+          },
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Search products error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search products",
+      });
+    }
+  },
+
+  // Autocomplete: matching products, brands and categories, popular
+  // searches, and the signed-in user's recent searches
+  suggest: async (req, res) => {
+    try {
+      const q = String(req.query.q || "");
+      const [suggestions, recent] = await Promise.all([
+        SearchSuggestion.forQuery(q, SUGGEST_LIMIT),
+        req.user ? SearchHistory.recent(req.user.id, q) : [],
+      ]);
+
+      // Shared caches may keep anonymous suggestions briefly; personal ones
+      // (with recent searches) only the browser
+      res.set(
+        "Cache-Control",
+        req.user ? "private, max-age=30" : "public, max-age=60"
+      );
+      res.json({
+        success: true,
+        data: { query: q.trim(), ...suggestions, recent },
+      });
+    } catch (error) {
+      console.error("Search suggest error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load suggestions",
+      });
+    }
+  },
+
+  // A product opened from a search's results. Only whoever ran the search
+  // (same user, or same session for guests) can record it.
+  recordClick: async (req, res) => {
+    try {
+      const search = await SearchQuery.findById(req.params.id);
+      const sessionId = sessionIdOf(req);
+      const owns =
+        search &&
+        (search.user_id
+          ? search.user_id === req.user?.id
+          : Boolean(sessionId) && search.session_id === sessionId);
+      if (!owns) {
+        return res.status(404).json({
+          success: false,
+          message: "Search not found",
+        });
+      }
+
+      const { product_id: productId, position } = req.body;
+      await SearchQuery.recordClick(search.id, {
+        productId,
+        position: position ?? null,
+      });
+      if (req.user) {
+        await SearchHistory.recordClick(req.user.id, search.query, productId);
+      }
+
+      res.json({
+        success: true,
+        message: "Click recorded",
+      });
+    } catch (error) {
+      console.error("Record search click error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record click",
+      });
+    }
+  },
+
+  // Admin: top queries, zero-result queries and click-through per query
+  report: async (req, res) => {
+    try {
+      const days = Number(req.query.days) || REPORT_DEFAULT_DAYS;
+      const limit = Number(req.query.limit) || REPORT_DEFAULT_LIMIT;
+      const since = new Date(Date.now() - days * DAY_MS).toISOString();
+      const report = await SearchQuery.report({ since, limit });
+
+      res.json({
+        success: true,
+        data: { days, since, ...report },
+      });
+    } catch (error) {
+      console.error("Search report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load search report",
+      });
+    }
+  },
+
+  // Forget the signed-in user's recent searches
+  clearHistory: async (req, res) => {
+    try {
+      await SearchHistory.clear(req.user.id);
+      res.json({
+        success: true,
+        message: "Search history cleared",
+      });
+    } catch (error) {
+      console.error("Clear search history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to clear search history",
+      });
+    }
+  },
+};
@@ -0,0 +1,174 @@
+import { WishlistCollection } from "../models/WishlistCollection.js";
+import { WishlistItem } from "../models/WishlistItem.js";
+import {
+  canView,
+  parsePublicCollectionParams,
+  toCollection,
+  toPublicCollection,
+  toSharedCollection,
+} from "../services/wishlist/collections.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// Optional text fields: blank clears them
+const optionalText = (value) =>
+  value === undefined ? undefined : String(value ?? "").trim() || null;
+
+export const wishlistCollectionController = {
+  listCollections: async (req, res) => {
+    try {
+      const collections = await WishlistCollection.listForUser(req.user.id);
+      res.json({
+        success: true,
+        data: { collections: collections.map(toCollection) },
+      });
+    } catch (error) {
+      console.error("Get wishlist collections error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch collections",
+      });
+    }
+  },
+
+  createCollection: async (req, res) => {
+    try {
+      const collection = await WishlistCollection.create(req.user.id, {
+        name: req.body.name.trim(),
+        description: optionalText(req.body.description) ?? null,
+        visibility: req.body.visibility,
+      });
+      res.status(201).json({
+        success: true,
+        message: "Collection created",
+        data: { collection: toCollection(collection) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Create wishlist collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create collection",
+      });
+    }
+  },
+
+  // Rename, describe or change who can see a collection
+  updateCollection: async (req, res) => {
+    try {
+      const collection = await WishlistCollection.update(
+        req.user.id,
+        req.params.id,
+        {
+          name: req.body.name?.trim(),
+          description: optionalText(req.body.description),
+          visibility: req.body.visibility,
+        }
+      );
+      res.json({
+        success: true,
+        message: "Collection updated",
+        data: { collection: toCollection(collection) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Update wishlist collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update collection",
+      });
+    }
+  },
+
+  deleteCollection: async (req, res) => {
+    try {
+      await WishlistCollection.remove(req.user.id, req.params.id);
+      res.json({ success: true, message: "Collection deleted" });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Delete wishlist collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete collection",
+      });
+    }
+  },
+
+  // New share URL; whoever had the old one loses access
+  resetShareLink: async (req, res) => {
+    try {
+      const collection = await WishlistCollection.resetShareToken(
+        req.user.id,
+        req.params.id
+      );
+      res.json({
+        success: true,
+        message: "Share link reset",
+        data: { collection: toCollection(collection) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Reset wishlist share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset share link",
+      });
+    }
+  },
+
+  // The read-only page behind a share URL. Private collections are only
+  // there for their owner; to everyone else they do not exist.
+  getSharedCollection: async (req, res) => {
+    try {
+      const collection = await WishlistCollection.findByShareToken(
+        req.params.token
+      );
+      const viewerId = req.user?.id ?? null;
+      if (!canView(collection, viewerId)) {
+        throw new HttpError(404, "Collection not found");
+      }
+      const items = await WishlistItem.listForUser(
+        collection.user_id,
+        collection.id
+      );
+      res.json({
+        success: true,
+        data: {
+          collection: toSharedCollection(collection, items),
+          is_owner: collection.user_id === viewerId,
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get shared collection error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch collection",
+      });
+    }
+  },
+
+  listPublicCollections: async (req, res) => {
+    try {
+      const params = parsePublicCollectionParams(req.query);
+      const { collections, total } =
+        await WishlistCollection.listPublic(params);
+      res.json({
+        success: true,
+        data: {
+          collections: collections.map(toPublicCollection),
+          pagination: {
+            page: params.page,
+            limit: params.limit,
+            total,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Get public collections error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch collections",
+      });
+    }
+  },
+};
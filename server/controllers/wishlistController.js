@@ -0,0 +1,140 @@
+import { Product } from "../models/Product.js";
+import { WishlistCollection } from "../models/WishlistCollection.js";
+import { WishlistItem } from "../models/WishlistItem.js";
+import { toCollection } from "../services/wishlist/collections.js";
+import {
+  normalizeMergeItems,
+  toWishlistItem,
+} from "../services/wishlist/wishlist.js";
+import { HttpError, sendHttpError } from "../utils/httpError.js";
+
+// The whole wishlist, or one collection, as the API returns it
+const wishlistData = async (userId, collectionId = null) => {
+  const items = (await WishlistItem.listForUser(userId, collectionId)).map(
+    toWishlistItem
+  );
+  return { items, count: items.length };
+};
+
+export const wishlistController = {
+  // `?collection_id=` lists one of the user's collections instead
+  getWishlist: async (req, res) => {
+    try {
+      const collectionId = req.query.collection_id || null;
+      if (!collectionId) {
+        res.json({ success: true, data: await wishlistData(req.user.id) });
+        return;
+      }
+      const collection = await WishlistCollection.findOwned(
+        req.user.id,
+        collectionId
+      );
+      res.json({
+        success: true,
+        data: {
+          ...(await wishlistData(req.user.id, collection.id)),
+          collection: toCollection(collection),
+        },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Get wishlist error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch wishlist",
+      });
+    }
+  },
+
+  // Save an active product at its current price, to the wishlist or to one
+  // of the user's collections (`collection_id`); saving it there again is
+  // not an error and keeps the first save
+  addItem: async (req, res) => {
+    try {
+      const collection = req.body.collection_id
+        ? await WishlistCollection.findOwned(
+            req.user.id,
+            req.body.collection_id
+          )
+        : null;
+      const product = await Product.findById(req.body.product_id);
+      if (!product) throw new HttpError(404, "Product not found");
+
+      const { id, created } = await WishlistItem.add(
+        req.user.id,
+        product.id,
+        product.price,
+        collection?.id ?? null
+      );
+      if (collection && created) await WishlistCollection.touch(collection.id);
+      const item = await WishlistItem.findForUser(req.user.id, id);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created
+          ? `Added to ${collection ? collection.name : "wishlist"}`
+          : `Already in ${collection ? collection.name : "wishlist"}`,
+        data: { item: toWishlistItem(item) },
+      });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Add wishlist item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add to wishlist",
+      });
+    }
+  },
+
+  removeItem: async (req, res) => {
+    try {
+      const removed = await WishlistItem.remove(req.user.id, req.params.id);
+      if (!removed) throw new HttpError(404, "Wishlist item not found");
+      if (removed.collection_id) {
+        await WishlistCollection.touch(removed.collection_id);
+      }
+      res.json({ success: true, message: "Removed from wishlist" });
+    } catch (error) {
+      if (sendHttpError(res, error)) return;
+      console.error("Remove wishlist item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove from wishlist",
+      });
+    }
+  },
+
+  clearWishlist: async (req, res) => {
+    try {
+      await WishlistItem.clear(req.user.id);
+      res.json({ success: true, message: "Wishlist cleared" });
+    } catch (error) {
+      console.error("Clear wishlist error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to clear wishlist",
+      });
+    }
+  },
+
+  // The guest wishlist after signing in; answers with the merged wishlist
+  mergeWishlist: async (req, res) => {
+    try {
+      const added = await WishlistItem.merge(
+        req.user.id,
+        normalizeMergeItems(req.body.items)
+      );
+      res.json({
+        success: true,
+        message: "Wishlist merged",
+        data: { ...(await wishlistData(req.user.id)), added },
+      });
+    } catch (error) {
+      console.error("Merge wishlist error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to merge wishlist",
+      });
+    }
+  },
+};
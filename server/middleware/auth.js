@@ -1,5 +1,7 @@
 import { verifyAccessToken } from "../utils/jwt.js";
 import { User } from "../models/User.js";
+import { Order } from "../models/Order.js";
+import { verifyGuestOrderToken } from "../utils/orderClaim.js";
 
 // Authentication middleware
 export const authenticate = async (req, res, next) => {
@@ -94,3 +96,34 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Guest checkout: the X-Guest-Token header issued when a guest order was
+// placed grants access to that one (still unclaimed) order as req.guestOrder
+export const authenticateGuestOrder = async (req, res, next) => {
+  try {
+    const payload = verifyGuestOrderToken(req.headers["x-guest-token"]);
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: "Guest token required",
+      });
+    }
+
+    const order = await Order.findGuestOrder(payload.sub, payload.email);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    req.guestOrder = order;
+    next();
+  } catch (error) {
+    console.error("Guest order authentication error:", error);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid guest token",
+    });
+  }
+};
@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import { IdempotencyKey } from "../models/IdempotencyKey.js";
+
+const DEFAULT_TTL_SECONDS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || "24") * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys so equal payloads always hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const hashRequest = ({ method, path, body }) =>
+  crypto
+    .createHash("sha256")
+    .update(`${method} ${path}\n${stableStringify(body || {})}`)
+    .digest("hex");
+
+// Whose keys these are: the signed-in user by default. Guest checkout has
+// no user, so its keys belong to the email the order is placed with, and
+// then to the order the X-Guest-Token is for.
+const byUser = (req) => ({ userId: req.user.id });
+export const byGuestEmail = (req) => ({
+  guestKey: `email:${String(req.body?.email || "")
+    .trim()
+    .toLowerCase()}`,
+});
+export const byGuestOrder = (req) => ({
+  guestKey: `order:${req.guestOrder.id}`,
+});
+
+// Make a route safe to retry. When the client sends an Idempotency-Key
+// header the first response is stored and replayed for repeats of the same
+// request; reusing the key for a different request returns 409. Requests
+// without the header run normally. Must run after whatever `owner` reads
+// (`authenticate` for the default).
+export const idempotent = (
+  scope,
+  {
+    store = IdempotencyKey,
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+    owner = byUser,
+  } = {}
+) => {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    try {
+      const requestHash = hashRequest({
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        body: req.body,
+      });
+      const { created, record } = await store.begin({
+        ...owner(req),
+        scope,
+        key,
+        requestHash,
+        ttlSeconds,
+      });
+
+      if (!created) {
+        if (record.request_hash !== requestHash) {
+          return res.status(409).json({
+            success: false,
+            message: "Idempotency-Key was already used for a different request",
+          });
+        }
+        if (record.status !== "completed") {
+          return res.status(409).json({
+            success: false,
+            message: "A request with this Idempotency-Key is still in progress",
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      // Save the response before it is sent. Server errors release the key
+      // so the client can retry the same request.
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const save =
+          res.statusCode >= 500
+            ? store.release(record.id)
+            : store.complete(record.id, res.statusCode, body);
+        save
+          .catch((error) => console.error("Idempotency save error:", error))
+          .finally(() => sendJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error("Idempotency error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process request",
+      });
+    }
+  };
+};
+
+export default idempotent;
@@ -1,4 +1,29 @@
-import { body, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
+import { normalizeAddress, validateAddress } from "../utils/address.js";
+import {
+  MANUAL_TARGET_STATUSES,
+  ORDER_STATUSES,
+  SELLER_TARGET_STATUSES,
+} from "../services/orders/orderStatus.js";
+import { PRODUCT_STATUSES } from "../services/products/productStatus.js";
+import { LISTING_SORTS, SEARCH_SORTS } from "../services/products/listing.js";
+import { BRAND_SORTS } from "../services/products/brands.js";
+import { COMPARE_MAX_PRODUCTS } from "../services/products/compare.js";
+import { isUuid } from "../services/cart/cartValidation.js";
+import { SYNC_LOGS_MAX_LIMIT } from "../services/brandApi/configs.js";
+import {
+  MODERATION_DECISIONS,
+  REVIEW_MAX_LIMIT,
+  REVIEW_MAX_PHOTOS,
+  REVIEW_SORTS,
+} from "../services/products/reviews.js";
+import { normalizeVariantInput } from "../services/products/variants.js";
+import {
+  COLLECTION_VISIBILITIES,
+  PUBLIC_COLLECTIONS_MAX_LIMIT,
+} from "../services/wishlist/collections.js";
+import { WISHLIST_MERGE_MAX } from "../services/wishlist/wishlist.js";
+import { normalizeProductInput } from "../utils/product.js";
 
 // Handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -57,20 +82,754 @@ export const validateLogin = [
   handleValidationErrors,
 ];
 
+// Product bodies may use column names or camelCase (`brandId`, ...);
+// validate the column names (see utils/product.js)
+const normalizeProductBody = (req, res, next) => {
+  req.body = normalizeProductInput(req.body);
+  next();
+};
+
+// Checks for the fields a product has; `required` for create and PUT
+const productFieldRules = (required) => {
+  const field = (name) =>
+    required ? body(name) : body(name).optional();
+  const optional = (name) => body(name).optional({ nullable: true });
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Product name must be between 2 and 200 characters"),
+    field("description")
+      .trim()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage("Description must be between 10 and 2000 characters"),
+    field("price")
+      .isFloat({ min: 0.01 })
+      .withMessage("Price must be a positive number"),
+    field("brand_id").isUUID().withMessage("Valid brand ID is required"),
+    field("category_id").isUUID().withMessage("Valid category ID is required"),
+    optional("slug")
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Slug must be at most 200 characters"),
+    optional("compare_price")
+      .isFloat({ min: 0 })
+      .withMessage("Compare price must be zero or more"),
+    optional("cost_price")
+      .isFloat({ min: 0 })
+      .withMessage("Cost price must be zero or more"),
+    optional("stock_quantity")
+      .isInt({ min: 0 })
+      .withMessage("Stock quantity must be a whole number of 0 or more"),
+    optional("status")
+      .isIn(PRODUCT_STATUSES)
+      .withMessage("Invalid product status"),
+  ];
+};
+
 // Product validation
 export const validateProduct = [
-  body("name")
+  normalizeProductBody,
+  ...productFieldRules(true),
+  handleValidationErrors,
+];
+
+// Partial product update: only the fields sent are checked
+export const validateProductPatch = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  normalizeProductBody,
+  ...productFieldRules(false),
+  handleValidationErrors,
+];
+
+export const validateProductUpdate = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  ...validateProduct,
+];
+
+// Variant bodies: column names or camelCase (`stockQuantity`, `isActive`)
+const normalizeVariantBody = (req, res, next) => {
+  req.body = normalizeVariantInput(req.body);
+  next();
+};
+
+const variantFieldRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  const optional = (name) => body(name).optional({ nullable: true });
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Variant name must be between 1 and 100 characters"),
+    field("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be zero or more"),
+    optional("sku")
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("SKU must be at most 100 characters"),
+    optional("stock_quantity")
+      .isInt({ min: 0 })
+      .withMessage("Stock quantity must be a whole number of 0 or more"),
+    body("attributes")
+      .optional()
+      .custom(
+        (value) =>
+          value !== null && typeof value === "object" && !Array.isArray(value)
+      )
+      .withMessage('Attributes must be an object such as { "size": "M" }'),
+    body("images")
+      .optional()
+      .isArray()
+      .withMessage("Images must be an array of URLs"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be true or false"),
+  ];
+};
+
+const productAndVariantIds = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  param("variantId").isUUID().withMessage("Valid variant ID is required"),
+];
+
+export const validateVariant = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  normalizeVariantBody,
+  ...variantFieldRules(true),
+  handleValidationErrors,
+];
+
+export const validateVariantUpdate = [
+  ...productAndVariantIds,
+  normalizeVariantBody,
+  ...variantFieldRules(true),
+  handleValidationErrors,
+];
+
+export const validateVariantPatch = [
+  ...productAndVariantIds,
+  normalizeVariantBody,
+  ...variantFieldRules(false),
+  handleValidationErrors,
+];
+
+export const validateVariantId = [
+  ...productAndVariantIds,
+  handleValidationErrors,
+];
+
+export const validateProductId = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  handleValidationErrors,
+];
+
+// Address payloads may use the checkout form's camelCase names or the
+// snake_case column names; validate after normalizing. Postal code and state
+// rules depend on the country (see utils/address.js).
+const isCompleteAddress = (value) => {
+  const problems = validateAddress(normalizeAddress(value));
+  if (problems.length > 0) {
+    throw new Error(problems.map((p) => p.message).join(", "));
+  }
+  return true;
+};
+
+// Order placement validation
+export const validateOrder = [
+  body("shippingAddress").custom(isCompleteAddress),
+  body("billingAddress").optional({ nullable: true }).custom(isCompleteAddress),
+  body("notes")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage("Notes must be at most 1000 characters"),
+  body("couponCode")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Invalid coupon code"),
+  body("shippingMethod")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Invalid shipping method"),
+  handleValidationErrors,
+];
+
+// Guest checkout: the cart lives in the browser, so the lines are posted
+export const validateGuestOrder = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+  body("items")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Cart is empty"),
+  body("items.*.product_id").isUUID().withMessage("Invalid product"),
+  body("items.*.variant_id")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid variant"),
+  body("items.*.quantity")
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Quantity must be between 1 and 100"),
+  ...validateOrder,
+];
+
+export const validateOrderClaim = [
+  body("token").isString().notEmpty().withMessage("Claim token is required"),
+  handleValidationErrors,
+];
+
+// Product search query validation
+export const validateSearch = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Search text must be at most 200 characters"),
+  query("sort")
+    .optional()
+    .isIn(SEARCH_SORTS)
+    .withMessage(`Sort must be one of: ${SEARCH_SORTS.join(", ")}`),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Invalid cursor"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query(["minPrice", "maxPrice"])
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Prices must be zero or more"),
+  query("minRating")
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0, max: 5 })
+    .withMessage("Minimum rating must be between 0 and 5"),
+  handleValidationErrors,
+];
+
+// Category bodies (admin)
+const categoryFieldRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  const optional = (name) => body(name).optional({ nullable: true });
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Category name must be between 1 and 100 characters"),
+    optional("slug")
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Slug must be at most 100 characters"),
+    optional("description").isString(),
+    optional("parent_id")
+      .isUUID()
+      .withMessage("Parent must be a category ID or null"),
+    optional("image_url")
+      .isString()
+      .withMessage("Image URL must be a string"),
+    body("sort_order")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Sort order must be a whole number of 0 or more"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be true or false"),
+  ];
+};
+
+const categoryId = param("id")
+  .isUUID()
+  .withMessage("Valid category ID is required");
+
+export const validateCategory = [
+  ...categoryFieldRules(true),
+  handleValidationErrors,
+];
+
+export const validateCategoryPatch = [
+  categoryId,
+  ...categoryFieldRules(false),
+  handleValidationErrors,
+];
+
+export const validateCategoryId = [categoryId, handleValidationErrors];
+
+// New order of one parent's subcategories (parent_id null = top level)
+export const validateCategoryReorder = [
+  body("parent_id")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Parent must be a category ID or null"),
+  body("order")
+    .isArray({ min: 1 })
+    .withMessage("Order must be a list of category IDs"),
+  body("order.*").isUUID().withMessage("Order must be a list of category IDs"),
+  handleValidationErrors,
+];
+
+// Product listing query validation
+export const validateProductList = [
+  query("sort")
+    .optional()
+    .isIn(LISTING_SORTS)
+    .withMessage(`Sort must be one of: ${LISTING_SORTS.join(", ")}`),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Invalid cursor"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query(["minPrice", "maxPrice"])
+    .optional({ checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage("Prices must be zero or more"),
+  handleValidationErrors,
+];
+
+export const validateBrandList = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Search text must be at most 100 characters"),
+  query("featured")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Featured must be true or false"),
+  query("sort")
+    .optional()
+    .isIn(BRAND_SORTS)
+    .withMessage(`Sort must be one of: ${BRAND_SORTS.join(", ")}`),
+  handleValidationErrors,
+];
+
+// Review validation; `partial` lets edits send only what changes
+const reviewFields = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("rating")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Rating must be a whole number from 1 to 5"),
+    body("title")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Title must be at most 200 characters"),
+    body("comment")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage("Review must be at most 5000 characters"),
+    body(["images", "photos"])
+      .optional()
+      .isArray({ max: REVIEW_MAX_PHOTOS })
+      .withMessage(`Add at most ${REVIEW_MAX_PHOTOS} photos`),
+    body(["images.*", "photos.*"])
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Photos must be image URLs"),
+    handleValidationErrors,
+  ];
+};
+
+export const validateReview = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  ...reviewFields(false),
+];
+
+export const validateReviewUpdate = [
+  param("id").isUUID().withMessage("Valid review ID is required"),
+  ...reviewFields(true),
+];
+
+export const validateReviewId = [
+  param("id").isUUID().withMessage("Valid review ID is required"),
+  handleValidationErrors,
+];
+
+export const validateReviewList = [
+  param("id").isUUID().withMessage("Valid product ID is required"),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(REVIEW_SORTS))
+    .withMessage(
+      `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(", ")}`
+    ),
+  query("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be a whole number from 1 to 5"),
+  query(["verified", "photos"])
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Must be true or false"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: REVIEW_MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${REVIEW_MAX_LIMIT}`),
+  handleValidationErrors,
+];
+
+export const validateReviewModeration = [
+  param("id").isUUID().withMessage("Valid review ID is required"),
+  body("decision")
+    .isIn(MODERATION_DECISIONS)
+    .withMessage(
+      `Decision must be one of: ${MODERATION_DECISIONS.join(", ")}`
+    ),
+  body("reason")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+  handleValidationErrors,
+];
+
+// Wishlist validation
+export const validateWishlistItem = [
+  body("product_id").isUUID().withMessage("Valid product ID is required"),
+  body("collection_id")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Valid collection ID is required"),
+  handleValidationErrors,
+];
+
+export const validateWishlistQuery = [
+  query("collection_id")
+    .optional()
+    .isUUID()
+    .withMessage("Valid collection ID is required"),
+  handleValidationErrors,
+];
+
+export const validateWishlistItemId = [
+  param("id").isUUID().withMessage("Valid wishlist item ID is required"),
+  handleValidationErrors,
+];
+
+const collectionFields = (nameRule) => [
+  nameRule
+    .isString()
     .trim()
-    .isLength({ min: 2, max: 200 })
-    .withMessage("Product name must be between 2 and 200 characters"),
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Collection name must be 1-100 characters"),
   body("description")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Description must be at most 500 characters"),
+  body("visibility")
+    .optional()
+    .isIn(COLLECTION_VISIBILITIES)
+    .withMessage(
+      `Visibility must be one of: ${COLLECTION_VISIBILITIES.join(", ")}`
+    ),
+];
+
+export const validateWishlistCollection = [
+  ...collectionFields(body("name")),
+  handleValidationErrors,
+];
+
+export const validateWishlistCollectionUpdate = [
+  param("id").isUUID().withMessage("Valid collection ID is required"),
+  ...collectionFields(body("name").optional()),
+  handleValidationErrors,
+];
+
+export const validateWishlistCollectionId = [
+  param("id").isUUID().withMessage("Valid collection ID is required"),
+  handleValidationErrors,
+];
+
+export const validateShareToken = [
+  param("token")
+    .isString()
+    .isLength({ min: 8, max: 64 })
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage("Valid share link is required"),
+  handleValidationErrors,
+];
+
+export const validatePublicCollections = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: PUBLIC_COLLECTIONS_MAX_LIMIT })
+    .withMessage(
+      `Limit must be between 1 and ${PUBLIC_COLLECTIONS_MAX_LIMIT}`
+    ),
+  handleValidationErrors,
+];
+
+// Guest entries are checked loosely: ones that cannot be merged are skipped
+export const validateWishlistMerge = [
+  body("items")
+    .isArray({ max: WISHLIST_MERGE_MAX })
+    .withMessage(`Items must be a list of at most ${WISHLIST_MERGE_MAX}`),
+  body("items.*").isObject().withMessage("Each item must be an object"),
+  body("items.*.price_at_add")
+    .not()
+    .exists()
+    .withMessage("price_at_add is recorded by the server"),
+  handleValidationErrors,
+];
+
+export const validateCompareQuery = [
+  query("ids")
+    .optional()
+    .isString()
+    .custom((value) => {
+      const ids = value.split(",").map((id) => id.trim());
+      return (
+        ids.length <= COMPARE_MAX_PRODUCTS &&
+        ids.every(isUuid)
+      );
+    })
+    .withMessage(
+      `Ids must be up to ${COMPARE_MAX_PRODUCTS} comma-separated product IDs`
+    ),
+  handleValidationErrors,
+];
+
+export const validateCompareList = [
+  body("product_ids")
+    .isArray({ max: COMPARE_MAX_PRODUCTS })
+    .withMessage(
+      `Product IDs must be a list of at most ${COMPARE_MAX_PRODUCTS}`
+    ),
+  body("product_ids.*").isUUID().withMessage("Valid product ID is required"),
+  handleValidationErrors,
+];
+
+export const validateSearchSuggest = [
+  query("q")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Search text must be at most 100 characters"),
+  handleValidationErrors,
+];
+
+export const validateSearchClick = [
+  param("id").isUUID().withMessage("Valid search ID is required"),
+  body("product_id").isUUID().withMessage("Valid product ID is required"),
+  body("position")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("Position must be a positive integer")
+    .toInt(),
+  handleValidationErrors,
+];
+
+export const validateSearchReport = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  handleValidationErrors,
+];
+
+export const validateBrandApiConfigId = [
+  param("id").isUUID().withMessage("Valid brand API config ID is required"),
+  handleValidationErrors,
+];
+
+export const validateBrandSyncLogs = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: SYNC_LOGS_MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${SYNC_LOGS_MAX_LIMIT}`),
+  handleValidationErrors,
+];
+
+// Order history query validation
+export const validateOrderList = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query("status")
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage("Invalid order status"),
+  handleValidationErrors,
+];
+
+export const validateOrderId = [
+  param("id").isUUID().withMessage("Valid order ID is required"),
+  handleValidationErrors,
+];
+
+export const validateOrderCancel = [
+  param("id").isUUID().withMessage("Valid order ID is required"),
+  body("reason")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+  handleValidationErrors,
+];
+
+export const validateOrderStatusUpdate = [
+  param("id").isUUID().withMessage("Valid order ID is required"),
+  body("status")
+    .isIn(ORDER_STATUSES)
+    .withMessage("Invalid order status")
+    .bail()
+    .isIn(MANUAL_TARGET_STATUSES)
+    .withMessage("Orders are confirmed by a successful payment"),
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note must be at most 500 characters"),
+  handleValidationErrors,
+];
+
+// One seller's shipment within an order; cancelling happens on the order
+export const validateFulfillmentUpdate = [
+  param("id").isUUID().withMessage("Valid order ID is required"),
+  param("fulfillmentId")
+    .isUUID()
+    .withMessage("Valid fulfilment ID is required"),
+  body("status")
+    .isIn(SELLER_TARGET_STATUSES)
+    .withMessage("Invalid shipment status"),
+  body("carrier")
+    .optional({ nullable: true })
+    .isString()
     .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage("Description must be between 10 and 2000 characters"),
-  body("price")
-    .isFloat({ min: 0.01 })
-    .withMessage("Price must be a positive number"),
-  body("brandId").isUUID().withMessage("Valid brand ID is required"),
-  body("categoryId").isUUID().withMessage("Valid category ID is required"),
+    .isLength({ max: 100 })
+    .withMessage("Carrier must be at most 100 characters"),
+  body("trackingNumber")
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage("Tracking number must be at most 255 characters"),
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note must be at most 500 characters"),
+  handleValidationErrors,
+];
+
+// Address book: the body is the address itself, reported per field
+const checkAddressBody = (req, res, next) => {
+  const problems = validateAddress(normalizeAddress(req.body));
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: problems.map(({ field, message }) => ({
+        type: "field",
+        path: field,
+        msg: message,
+        location: "body",
+      })),
+    });
+  }
+  next();
+};
+
+const addressLabel = body("label")
+  .optional({ nullable: true })
+  .isString()
+  .isLength({ max: 50 })
+  .withMessage("Label must be at most 50 characters");
+
+const addressDefaults = ["isDefaultShipping", "isDefaultBilling"].map((f) =>
+  body(f).optional().isBoolean().withMessage(`${f} must be a boolean`)
+);
+
+export const validateAddressCreate = [
+  addressLabel,
+  ...addressDefaults,
+  handleValidationErrors,
+  checkAddressBody,
+];
+
+export const validateAddressUpdate = [
+  param("id").isUUID().withMessage("Valid address ID is required"),
+  addressLabel,
+  handleValidationErrors,
+  checkAddressBody,
+];
+
+export const validateAddressId = [
+  param("id").isUUID().withMessage("Valid address ID is required"),
+  handleValidationErrors,
+];
+
+export const validateAddressDefault = [
+  param("id").isUUID().withMessage("Valid address ID is required"),
+  body("shipping").optional().isBoolean().withMessage("shipping must be a boolean"),
+  body("billing").optional().isBoolean().withMessage("billing must be a boolean"),
+  body().custom((value) => {
+    if (value?.shipping === undefined && value?.billing === undefined) {
+      throw new Error("Set shipping and/or billing");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+// Payment validation (card details are only passed through to the provider)
+export const validatePayment = [
+  body("orderId").isUUID().withMessage("Valid order ID is required"),
+  body("paymentMethod")
+    .isObject()
+    .withMessage("Payment method is required"),
+  body("paymentMethod.type")
+    .optional()
+    .isIn(["card"])
+    .withMessage("Unsupported payment method"),
+  body("paymentMethod.cardNumber")
+    .isString()
+    .notEmpty()
+    .withMessage("Card number is required"),
+  body("paymentMethod.expiryDate")
+    .isString()
+    .notEmpty()
+    .withMessage("Expiry date is required"),
+  body("paymentMethod.cvv")
+    .isString()
+    .notEmpty()
+    .withMessage("CVV is required"),
+  body("capture").optional().isBoolean().toBoolean(),
   handleValidationErrors,
 ];
@@ -0,0 +1,127 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Columns a finished sync fills in (services/brandApi/catalogSync.js)
+const RESULT_COLUMNS = [
+  "status",
+  "records_processed",
+  "records_created",
+  "records_updated",
+  "records_failed",
+  "error_message",
+  "error_details",
+  "completed_at",
+  "duration_seconds",
+];
+
+// One run of a brand catalog sync (`api_sync_logs`)
+export class ApiSyncLog {
+  static async start(configId, syncType, startedAt) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `INSERT INTO api_sync_logs (brand_api_config_id, sync_type, status, started_at)
+           VALUES ($1, $2, 'started', $3)
+           RETURNING *`,
+          [configId, syncType, startedAt]
+        );
+        return result.rows[0];
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("api_sync_logs")
+      .insert({
+        brand_api_config_id: configId,
+        sync_type: syncType,
+        status: "started",
+        started_at: startedAt.toISOString(),
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  static async finish(id, result) {
+    const columns = {};
+    for (const name of RESULT_COLUMNS) {
+      if (result[name] !== undefined) columns[name] = result[name];
+    }
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const names = Object.keys(columns);
+        const updated = await client.query(
+          `UPDATE api_sync_logs
+           SET ${names.map((name, i) => `${name} = $${i + 2}`).join(", ")}
+           WHERE id = $1
+           RETURNING *`,
+          [
+            id,
+            ...names.map((name) =>
+              name === "error_details" && columns[name] !== null
+                ? JSON.stringify(columns[name])
+                : columns[name]
+            ),
+          ]
+        );
+        return updated.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("api_sync_logs")
+      .update({
+        ...columns,
+        ...(columns.completed_at
+          ? { completed_at: columns.completed_at.toISOString() }
+          : {}),
+      })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // A config's syncs, newest first -> { logs, total }
+  static async listForConfig(configId, { limit, offset }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT *, COUNT(*) OVER() AS total_count
+           FROM api_sync_logs
+           WHERE brand_api_config_id = $1
+           ORDER BY started_at DESC
+           LIMIT $2 OFFSET $3`,
+          [configId, limit, offset]
+        );
+        return {
+          logs: result.rows.map(({ total_count, ...row }) => row),
+          total: Number(result.rows[0]?.total_count || 0),
+        };
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error, count } = await pool
+      .from("api_sync_logs")
+      .select("*", { count: "exact" })
+      .eq("brand_api_config_id", configId)
+      .order("started_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return { logs: data || [], total: count || 0 };
+  }
+}
+
+export default ApiSyncLog;
@@ -0,0 +1,204 @@
+import { pool } from "../config/database.js";
+import { isUuid } from "../services/cart/cartValidation.js";
+import { countByCategory } from "../services/products/brands.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Products a brand's category counts are taken from on Supabase
+const SUPABASE_CATEGORY_CAP = 1000;
+
+// A brand row with its active product and follower counts
+const BRAND_COLUMNS = `b.*,
+  (SELECT COUNT(*) FROM products p
+   WHERE p.brand_id = b.id AND p.status = 'active') AS product_count,
+  (SELECT COUNT(*) FROM brand_follows f
+   WHERE f.brand_id = b.id) AS follower_count`;
+
+const SUPABASE_BRAND_SELECT = "*, products(count), brand_follows(count)";
+
+const withSupabaseCounts = ({ products, brand_follows: follows, ...row }) => ({
+  ...row,
+  product_count: Number(products?.[0]?.count) || 0,
+  follower_count: Number(follows?.[0]?.count) || 0,
+});
+
+// Product brands (`brands`) and the shoppers following them
+// (`brand_follows`). See services/products/brands.js for listing them.
+export class Brand {
+  // Every brand, with `product_count` (active products) and
+  // `follower_count`
+  static async all() {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT ${BRAND_COLUMNS} FROM brands b ORDER BY b.name`
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("brands")
+      .select(SUPABASE_BRAND_SELECT)
+      .eq("products.status", "active")
+      .order("name", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(withSupabaseCounts);
+  }
+
+  // The active brand with this id or slug, counted like all(); null when
+  // there is none
+  static async findByRef(ref) {
+    const column = isUuid(ref) ? "id" : "slug";
+    let row;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT ${BRAND_COLUMNS} FROM brands b WHERE b.${column} = $1`,
+          [String(ref)]
+        );
+        row = result.rows[0];
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("brands")
+        .select(SUPABASE_BRAND_SELECT)
+        .eq("products.status", "active")
+        .eq(column, String(ref))
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      row = data && withSupabaseCounts(data);
+    }
+    return row && row.is_active !== false ? row : null;
+  }
+
+  // Categories of the brand's active products, most products first
+  static async categoryCounts(brandId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.id, c.name, c.slug, COUNT(*) AS product_count
+           FROM products p
+           JOIN categories c ON c.id = p.category_id
+           WHERE p.brand_id = $1 AND p.status = 'active'
+           GROUP BY c.id
+           ORDER BY product_count DESC, c.name`,
+          [brandId]
+        );
+        return result.rows.map((row) => ({
+          ...row,
+          product_count: Number(row.product_count) || 0,
+        }));
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("products")
+      .select("category_id, categories(id, name, slug)")
+      .eq("brand_id", brandId)
+      .eq("status", "active")
+      .limit(SUPABASE_CATEGORY_CAP);
+    if (error) throw error;
+    return countByCategory(data || []);
+  }
+
+  static async isFollowedBy(brandId, userId) {
+    if (!userId) return false;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          "SELECT 1 FROM brand_follows WHERE brand_id = $1 AND user_id = $2",
+          [brandId, userId]
+        );
+        return result.rowCount > 0;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("brand_follows")
+      .select("brand_id")
+      .eq("brand_id", brandId)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return Boolean(data);
+  }
+
+  static async followerCount(brandId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          "SELECT COUNT(*) AS count FROM brand_follows WHERE brand_id = $1",
+          [brandId]
+        );
+        return Number(result.rows[0].count) || 0;
+      } finally {
+        client.release();
+      }
+    }
+    const { count, error } = await pool
+      .from("brand_follows")
+      .select("brand_id", { count: "exact", head: true })
+      .eq("brand_id", brandId);
+    if (error) throw error;
+    return count || 0;
+  }
+
+  // Following twice is a no-op
+  static async follow(brandId, userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `INSERT INTO brand_follows (brand_id, user_id)
+           VALUES ($1, $2)
+           ON CONFLICT (brand_id, user_id) DO NOTHING`,
+          [brandId, userId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("brand_follows")
+      .insert({ brand_id: brandId, user_id: userId });
+    if (error && error.code !== "23505") throw error;
+  }
+
+  static async unfollow(brandId, userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          "DELETE FROM brand_follows WHERE brand_id = $1 AND user_id = $2",
+          [brandId, userId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("brand_follows")
+      .delete()
+      .eq("brand_id", brandId)
+      .eq("user_id", userId);
+    if (error) throw error;
+  }
+}
+
+export default Brand;
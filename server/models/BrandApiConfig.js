@@ -0,0 +1,123 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// A brand's catalog API connection (`brand_api_configs`). Rows hold
+// credentials in `auth_config`; see toBrandApiConfig for what is safe to
+// send back.
+export class BrandApiConfig {
+  static async findById(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, b.name AS brand_name
+           FROM brand_api_configs c
+           JOIN brands b ON b.id = c.brand_id
+           WHERE c.id = $1`,
+          [id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("brand_api_configs")
+      .select("*, brands(name)")
+      .eq("id", id)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? withBrandName(data) : null;
+  }
+
+  // Every config, by brand then API name
+  static async list() {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, b.name AS brand_name
+           FROM brand_api_configs c
+           JOIN brands b ON b.id = c.brand_id
+           ORDER BY b.name, c.api_name`
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("brand_api_configs")
+      .select("*, brands(name)")
+      .order("api_name");
+    if (error) throw error;
+    return (data || [])
+      .map(withBrandName)
+      .sort((a, b) => String(a.brand_name).localeCompare(b.brand_name));
+  }
+
+  // Active configs whose next sync time has come (or that never synced),
+  // longest overdue first
+  static async listDue(now = new Date()) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM brand_api_configs
+           WHERE is_active AND (next_sync_at IS NULL OR next_sync_at <= $1)
+           ORDER BY next_sync_at ASC NULLS FIRST`,
+          [now]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("brand_api_configs")
+      .select("*")
+      .eq("is_active", true)
+      .or(`next_sync_at.is.null,next_sync_at.lte.${now.toISOString()}`)
+      .order("next_sync_at", { ascending: true, nullsFirst: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async markSynced(id, lastSyncAt, nextSyncAt) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `UPDATE brand_api_configs
+           SET last_sync_at = $2, next_sync_at = $3, updated_at = now()
+           WHERE id = $1`,
+          [id, lastSyncAt, nextSyncAt]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("brand_api_configs")
+      .update({
+        last_sync_at: lastSyncAt.toISOString(),
+        next_sync_at: nextSyncAt.toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id);
+    if (error) throw error;
+  }
+}
+
+// Supabase embeds the brand as `brands`; expose `brand_name` like Postgres
+const withBrandName = ({ brands, ...row }) => ({
+  ...row,
+  brand_name: brands ? brands.name : null,
+});
+
+export default BrandApiConfig;
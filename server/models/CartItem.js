@@ -1,85 +1,494 @@
 import { pool } from "../config/database.js";
+import { HttpError } from "../utils/httpError.js";
+import { CartList } from "./CartList.js";
+import {
+  CART_ERROR_CODES,
+  assertExists,
+  assertPurchasable,
+  cartError,
+  clampQuantity,
+  isUuid,
+  parseQuantity,
+} from "../services/cart/cartValidation.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
 const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
 
+const PRICED_COLUMNS = `p.name, p.sku, p.price, p.compare_price, p.images, p.status, p.stock_quantity,
+         p.seller_id, p.brand_id, p.category_id,
+         b.name as brand_name,
+         pv.name as variant_name, pv.sku as variant_sku, pv.price as variant_price,
+         pv.attributes as variant_attributes, pv.images as variant_images,
+         pv.stock_quantity as variant_stock_quantity, pv.is_active as variant_is_active`;
+
+const PRICED_LINES_SQL = `SELECT ci.id, ci.list_id, ci.product_id, ci.variant_id, ci.quantity, ci.price_at_add,
+         ${PRICED_COLUMNS}
+  FROM cart_items ci
+  JOIN products p ON ci.product_id = p.id
+  LEFT JOIN brands b ON p.brand_id = b.id
+  LEFT JOIN product_variants pv ON ci.variant_id = pv.id`;
+
+// Cart lines joined to the catalogue: everything pricing and checkout need.
+// Lines parked in a list (saved for later, named carts) are not the cart.
+const PRICED_CART_SQL = `${PRICED_LINES_SQL}
+  WHERE ci.user_id = $1 AND ci.list_id IS NULL
+  ORDER BY ci.created_at ASC`;
+
+// The same join for every line parked in one of the user's lists
+const PRICED_LISTS_SQL = `${PRICED_LINES_SQL}
+  WHERE ci.user_id = $1 AND ci.list_id IS NOT NULL
+  ORDER BY ci.created_at ASC`;
+
+// Catalogue rows for the items a guest posts, in the same shape as the cart
+// join. Items whose product or variant does not exist are left out.
+const PRICED_GUEST_SQL = `SELECT g.product_id, g.variant_id, g.quantity,
+         ${PRICED_COLUMNS}
+  FROM jsonb_to_recordset($1::jsonb) AS g(product_id uuid, variant_id uuid, quantity integer)
+  JOIN products p ON g.product_id = p.id
+  LEFT JOIN brands b ON p.brand_id = b.id
+  LEFT JOIN product_variants pv ON g.variant_id = pv.id AND pv.product_id = p.id
+  WHERE g.variant_id IS NULL OR pv.id IS NOT NULL`;
+
+const PRODUCT_SELECT =
+  "name, sku, price, compare_price, images, status, stock_quantity, seller_id, brand_id, category_id, brands(name)";
+const VARIANT_SELECT =
+  "name, sku, price, attributes, images, stock_quantity, is_active";
+
+// Flatten a Supabase nested cart row into the same shape the SQL join returns
+const flattenSupabaseCartRow = (row) => ({
+  id: row.id,
+  list_id: row.list_id ?? null,
+  product_id: row.product_id,
+  variant_id: row.variant_id,
+  quantity: row.quantity,
+  price_at_add: row.price_at_add ?? null,
+  name: row.products?.name,
+  sku: row.products?.sku,
+  price: row.products?.price,
+  compare_price: row.products?.compare_price ?? null,
+  images: row.products?.images,
+  status: row.products?.status,
+  stock_quantity: row.products?.stock_quantity,
+  seller_id: row.products?.seller_id,
+  brand_id: row.products?.brand_id,
+  category_id: row.products?.category_id,
+  brand_name: row.products?.brands?.name || null,
+  variant_name: row.product_variants?.name || null,
+  variant_sku: row.product_variants?.sku || null,
+  variant_price: row.product_variants?.price ?? null,
+  variant_attributes: row.product_variants?.attributes || null,
+  variant_images: row.product_variants?.images || null,
+  variant_stock_quantity: row.product_variants?.stock_quantity ?? null,
+  variant_is_active: row.product_variants?.is_active ?? null,
+});
+
+// Run `fn` with the caller's pg client, or a pooled one released afterwards
+const withClient = async (txClient, fn) => {
+  if (txClient) return fn(txClient);
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+};
+
+// The product and (optional) variant a cart line points at, with what is
+// needed to check it can be bought and to record its price
+const loadCatalogue = async (client, productId, variantId) => {
+  // Ids that are not UUIDs cannot match a row (and would make pg throw)
+  if (!isUuid(productId) || (variantId && !isUuid(variantId))) {
+    return { product: null, variant: null };
+  }
+  if (DATABASE_TYPE === "postgresql") {
+    const productResult = await client.query(
+      `SELECT id, name, price, status, stock_quantity FROM products WHERE id = $1`,
+      [productId]
+    );
+    let variant = null;
+    if (variantId) {
+      const variantResult = await client.query(
+        `SELECT id, product_id, price, is_active, stock_quantity
+         FROM product_variants WHERE id = $1`,
+        [variantId]
+      );
+      variant = variantResult.rows[0] || null;
+    }
+    return { product: productResult.rows[0] || null, variant };
+  }
+  const { data: product, error } = await pool
+    .from("products")
+    .select("id, name, price, status, stock_quantity")
+    .eq("id", productId)
+    .maybeSingle();
+  if (error && error.code !== "PGRST116") throw error;
+  let variant = null;
+  if (variantId) {
+    const { data, error: variantError } = await pool
+      .from("product_variants")
+      .select("id, product_id, price, is_active, stock_quantity")
+      .eq("id", variantId)
+      .maybeSingle();
+    if (variantError && variantError.code !== "PGRST116") throw variantError;
+    variant = data || null;
+  }
+  return { product: product || null, variant };
+};
+
+// Validate a line against the catalogue. Lines going into the cart
+// (`listId` null) must be on sale and have `quantity` fitted to the stock;
+// lines parked in a list only need to exist. Returns the quantity to store,
+// any adjustment, and the price to record.
+const checkLine = async (
+  client,
+  { product_id, variant_id, quantity },
+  listId = null
+) => {
+  const { product, variant } = await loadCatalogue(
+    client,
+    product_id,
+    variant_id
+  );
+  const ids = { productId: product_id, variantId: variant_id };
+  const priceAtAdd = variant?.price ?? product?.price;
+  if (listId) {
+    assertExists(product, variant, ids);
+    return { quantity, adjustment: null, priceAtAdd };
+  }
+  const available = assertPurchasable(product, variant, ids);
+  return {
+    ...clampQuantity(quantity, available, product.name),
+    priceAtAdd,
+  };
+};
+
+// Match `column` against a value that may be null (Supabase needs `is`)
+const eqOrNull = (query, column, value) =>
+  value ? query.eq(column, value) : query.is(column, null);
+
+// The user's existing line for a product/variant in the cart or a list
+const findLine = async (client, userId, productId, variantId, listId) => {
+  if (DATABASE_TYPE === "postgresql") {
+    const result = await client.query(
+      `SELECT * FROM cart_items
+       WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3
+         AND list_id IS NOT DISTINCT FROM $4
+       FOR UPDATE`,
+      [userId, productId, variantId, listId]
+    );
+    return result.rows[0] || null;
+  }
+  let query = pool
+    .from("cart_items")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("product_id", productId);
+  query = eqOrNull(query, "variant_id", variantId);
+  query = eqOrNull(query, "list_id", listId);
+  const { data, error } = await query.maybeSingle();
+  if (error && error.code !== "PGRST116") throw error;
+  return data || null;
+};
+
+// Add `line.quantity` to the user's cart (or list), merging with an
+// existing line. In the cart the combined quantity is clamped to the stock;
+// the price is recorded only when the line is first added.
+const addLine = async (client, userId, line, listId = null) => {
+  const variantId = line.variant_id || null;
+  const existing = await findLine(
+    client,
+    userId,
+    line.product_id,
+    variantId,
+    listId
+  );
+  const { quantity, adjustment, priceAtAdd } = await checkLine(
+    client,
+    {
+      product_id: line.product_id,
+      variant_id: variantId,
+      quantity: (existing ? Number(existing.quantity) : 0) + line.quantity,
+    },
+    listId
+  );
+
+  if (DATABASE_TYPE === "postgresql") {
+    const result = existing
+      ? await client.query(
+          `UPDATE cart_items SET quantity = $1, updated_at = now() WHERE id = $2 RETURNING *`,
+          [quantity, existing.id]
+        )
+      : await client.query(
+          `INSERT INTO cart_items (user_id, list_id, product_id, variant_id, quantity, price_at_add)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [userId, listId, line.product_id, variantId, quantity, priceAtAdd]
+        );
+    return { item: result.rows[0], adjustment };
+  }
+  const { data, error } = existing
+    ? await pool
+        .from("cart_items")
+        .update({ quantity, updated_at: new Date().toISOString() })
+        .eq("id", existing.id)
+        .select()
+        .single()
+    : await pool
+        .from("cart_items")
+        .insert({
+          user_id: userId,
+          list_id: listId,
+          product_id: line.product_id,
+          variant_id: variantId,
+          quantity,
+          price_at_add: priceAtAdd,
+        })
+        .select()
+        .single();
+  if (error) throw error;
+  return { item: data, adjustment };
+};
+
+const itemNotFound = () =>
+  cartError(404, CART_ERROR_CODES.ITEM_NOT_FOUND, "Cart item not found");
+
+// One of the user's lines, locked for update on Postgres (404 for anyone
+// else's)
+const loadOwnedLine = async (client, userId, itemId) => {
+  if (!isUuid(itemId)) throw itemNotFound();
+  let line;
+  if (DATABASE_TYPE === "postgresql") {
+    const result = await client.query(
+      `SELECT * FROM cart_items WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [itemId, userId]
+    );
+    line = result.rows[0];
+  } else {
+    const { data, error } = await pool
+      .from("cart_items")
+      .select("*")
+      .eq("id", itemId)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    line = data;
+  }
+  if (!line) throw itemNotFound();
+  return line;
+};
+
+// Move a line to the cart (`listId` null) or a list. If the destination
+// already has the product/variant the quantities are combined. Moving into
+// the cart is checked like adding to it.
+const moveLine = async (client, userId, line, listId) => {
+  if ((line.list_id || null) === listId)
+    return { item: line, adjustment: null };
+  const existing = await findLine(
+    client,
+    userId,
+    line.product_id,
+    line.variant_id || null,
+    listId
+  );
+  const { quantity, adjustment } = await checkLine(
+    client,
+    {
+      product_id: line.product_id,
+      variant_id: line.variant_id || null,
+      quantity:
+        (existing ? Number(existing.quantity) : 0) + Number(line.quantity),
+    },
+    listId
+  );
+
+  if (DATABASE_TYPE === "postgresql") {
+    if (existing) {
+      await client.query(`DELETE FROM cart_items WHERE id = $1`, [line.id]);
+      const result = await client.query(
+        `UPDATE cart_items SET quantity = $1, updated_at = now() WHERE id = $2 RETURNING *`,
+        [quantity, existing.id]
+      );
+      return { item: result.rows[0], adjustment };
+    }
+    const result = await client.query(
+      `UPDATE cart_items SET list_id = $1, quantity = $2, updated_at = now()
+       WHERE id = $3 RETURNING *`,
+      [listId, quantity, line.id]
+    );
+    return { item: result.rows[0], adjustment };
+  }
+
+  const now = new Date().toISOString();
+  if (existing) {
+    const { error: deleteError } = await pool
+      .from("cart_items")
+      .delete()
+      .eq("id", line.id);
+    if (deleteError) throw deleteError;
+  }
+  const { data, error } = await pool
+    .from("cart_items")
+    .update(
+      existing
+        ? { quantity, updated_at: now }
+        : { list_id: listId, quantity, updated_at: now }
+    )
+    .eq("id", existing ? existing.id : line.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return { item: data, adjustment };
+};
+
+// Run `fn` inside a transaction on Postgres; Supabase runs it as is
+const inTransaction = async (fn) => {
+  if (DATABASE_TYPE !== "postgresql") return fn(null);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 export class CartItem {
-  // Add or increment an item for a user (upsert semantics)
+  // Add or increment an item for a user. The product (and variant) must
+  // exist and be on sale; the line quantity is clamped to the stock.
+  // Returns `{ item, adjustment }`.
   static async addItem({
     userId,
     product_id,
     variant_id = null,
     quantity = 1,
   }) {
-    if (DATABASE_TYPE === "postgresql") {
-      const client = await pool.connect();
-      try {
-        const result = await client.query(
-          `INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
-           VALUES ($1, $2, $3, $4)
-           ON CONFLICT (user_id, product_id, variant_id)
-           DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, updated_at = now()
-           RETURNING *`,
-          [userId, product_id, variant_id, quantity]
-        );
-        return result.rows[0];
-      } finally {
-        client.release();
-      }
-    } else {
-      // Supabase client
-      const { data, error } = await pool
-        .from("cart_items")
-        .upsert(
-          {
-            user_id: userId,
-            product_id,
-            variant_id,
-            quantity,
-          },
-          { onConflict: "user_id,product_id,variant_id" }
-        )
-        .select();
-      if (error) throw error;
-      // Supabase may return an array
-      return Array.isArray(data) ? data[0] : data;
-    }
+    return inTransaction((client) =>
+      addLine(client, userId, { product_id, variant_id, quantity })
+    );
   }
 
-  static async updateItem(itemId, update) {
-    if (DATABASE_TYPE === "postgresql") {
-      const client = await pool.connect();
-      try {
+  // Change the quantity of one of the user's own lines (404 for anyone
+  // else's). Cart lines are clamped to the stock. Returns `{ item, adjustment }`.
+  static async updateItem(userId, itemId, update) {
+    return inTransaction(async (client) => {
+      const current = await loadOwnedLine(client, userId, itemId);
+      const { quantity, adjustment } = await checkLine(
+        client,
+        {
+          product_id: current.product_id,
+          variant_id: current.variant_id,
+          quantity: update.quantity,
+        },
+        current.list_id || null
+      );
+
+      if (DATABASE_TYPE === "postgresql") {
         const result = await client.query(
           `UPDATE cart_items SET quantity = $1, updated_at = now() WHERE id = $2 RETURNING *`,
-          [update.quantity, itemId]
+          [quantity, itemId]
         );
-        return result.rows[0];
-      } finally {
-        client.release();
+        return { item: result.rows[0], adjustment };
       }
-    } else {
       const { data, error } = await pool
         .from("cart_items")
-        .update({ quantity: update.quantity })
+        .update({ quantity, updated_at: new Date().toISOString() })
         .eq("id", itemId)
+        .eq("user_id", userId)
         .select()
         .single();
       if (error) throw error;
-      return data;
-    }
+      return { item: data, adjustment };
+    });
+  }
+
+  // Move one of the user's lines to the cart or one of their lists.
+  // `to` is "cart", "saved" or a named cart id. Returns `{ item, adjustment }`.
+  static async moveItem(userId, itemId, to) {
+    return inTransaction(async (client) => {
+      const line = await loadOwnedLine(client, userId, itemId);
+      const listId = await CartList.resolveTarget(userId, to, {
+        txClient: client,
+      });
+      return moveLine(client, userId, line, listId);
+    });
   }
 
-  static async removeItem(itemId) {
+  // Move every line of one of the user's lists. Lines that cannot go into
+  // the cart right now stay where they are and come back in `skipped`.
+  // Returns `{ items, skipped, adjustments }`.
+  static async moveList(userId, fromListId, to) {
+    return inTransaction(async (client) => {
+      const from = await CartList.findOwned(userId, fromListId, {
+        txClient: client,
+      });
+      const listId = await CartList.resolveTarget(userId, to, {
+        txClient: client,
+      });
+      let lines;
+      if (DATABASE_TYPE === "postgresql") {
+        const result = await client.query(
+          `SELECT * FROM cart_items WHERE user_id = $1 AND list_id = $2
+           ORDER BY created_at ASC FOR UPDATE`,
+          [userId, from.id]
+        );
+        lines = result.rows;
+      } else {
+        const { data, error } = await pool
+          .from("cart_items")
+          .select("*")
+          .eq("user_id", userId)
+          .eq("list_id", from.id)
+          .order("created_at", { ascending: true });
+        if (error) throw error;
+        lines = data || [];
+      }
+
+      const moved = { items: [], skipped: [], adjustments: [] };
+      for (const line of lines) {
+        try {
+          const { item, adjustment } = await moveLine(
+            client,
+            userId,
+            line,
+            listId
+          );
+          moved.items.push(item);
+          if (adjustment) {
+            moved.adjustments.push({ ...adjustment, item_id: item.id });
+          }
+        } catch (err) {
+          if (!(err instanceof HttpError)) throw err;
+          moved.skipped.push({
+            item_id: line.id,
+            product_id: line.product_id,
+            variant_id: line.variant_id,
+            code: err.details?.code || null,
+            message: err.message,
+          });
+        }
+      }
+      return moved;
+    });
+  }
+
+  // Delete one of the user's own lines (404 for anyone else's)
+  static async removeItem(userId, itemId) {
+    if (!isUuid(itemId)) throw itemNotFound();
     if (DATABASE_TYPE === "postgresql") {
       const client = await pool.connect();
       try {
         const result = await client.query(
-          `DELETE FROM cart_items WHERE id = $1 RETURNING *`,
-          [itemId]
+          `DELETE FROM cart_items WHERE id = $1 AND user_id = $2 RETURNING *`,
+          [itemId, userId]
         );
+        if (!result.rows[0]) throw itemNotFound();
         return result.rows[0];
       } finally {
         client.release();
@@ -89,9 +498,11 @@ export class CartItem {
         .from("cart_items")
         .delete()
         .eq("id", itemId)
+        .eq("user_id", userId)
         .select()
-        .single();
-      if (error) throw error;
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      if (!data) throw itemNotFound();
       return data;
     }
   }
@@ -100,9 +511,10 @@ export class CartItem {
     if (DATABASE_TYPE === "postgresql") {
       const client = await pool.connect();
       try {
-        await client.query(`DELETE FROM cart_items WHERE user_id = $1`, [
-          userId,
-        ]);
+        await client.query(
+          `DELETE FROM cart_items WHERE user_id = $1 AND list_id IS NULL`,
+          [userId]
+        );
         return true;
       } finally {
         client.release();
@@ -111,7 +523,8 @@ export class CartItem {
       const { error } = await pool
         .from("cart_items")
         .delete()
-        .eq("user_id", userId);
+        .eq("user_id", userId)
+        .is("list_id", null);
       if (error) throw error;
       return true;
     }
@@ -126,7 +539,7 @@ export class CartItem {
                   p.name as product_name, p.price as product_price, p.images as product_images
            FROM cart_items ci
            LEFT JOIN products p ON ci.product_id = p.id
-           WHERE ci.user_id = $1
+           WHERE ci.user_id = $1 AND ci.list_id IS NULL
            ORDER BY ci.created_at DESC`,
           [userId]
         );
@@ -138,62 +551,149 @@ export class CartItem {
       const { data, error } = await pool
         .from("cart_items")
         .select(`*, products(*)`)
-        .eq("user_id", userId);
+        .eq("user_id", userId)
+        .is("list_id", null);
       if (error) throw error;
       return data;
     }
   }
 
-  // Bulk merge: perform upsert for multiple guest items atomically (Postgres transaction)
-  static async bulkMerge(userId, items = []) {
-    if (!Array.isArray(items) || items.length === 0) return [];
-
-    if (DATABASE_TYPE === "postgresql") {
-      const client = await pool.connect();
-      try {
-        await client.query("BEGIN");
-        const merged = [];
-        for (const it of items) {
-          const { product_id, variant_id = null, quantity = 1 } = it;
-          const res = await client.query(
-            `INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
-             VALUES ($1, $2, $3, $4)
-             ON CONFLICT (user_id, product_id, variant_id)
-             DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, updated_at = now()
-             RETURNING *`,
-            [userId, product_id, variant_id, quantity]
+  // Merge a guest cart into the user's cart, or into one of their lists
+  // with `listId` (one transaction on Postgres). Lines that can no longer be
+  // bought are skipped rather than failing the merge; each comes back in
+  // `skipped` with its error code. Returns `{ items, skipped, adjustments }`.
+  static async bulkMerge(userId, items = [], { listId = null } = {}) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { items: [], skipped: [], adjustments: [] };
+    }
+    return inTransaction(async (client) => {
+      const merged = { items: [], skipped: [], adjustments: [] };
+      for (const it of items) {
+        const line = {
+          product_id: it.product_id,
+          variant_id: it.variant_id || null,
+        };
+        try {
+          const { item, adjustment } = await addLine(
+            client,
+            userId,
+            { ...line, quantity: parseQuantity(it.quantity) },
+            listId
           );
-          merged.push(res.rows[0]);
+          merged.items.push(item);
+          if (adjustment) {
+            merged.adjustments.push({ ...adjustment, item_id: item.id });
+          }
+        } catch (err) {
+          if (!(err instanceof HttpError)) throw err;
+          merged.skipped.push({
+            product_id: line.product_id,
+            variant_id: line.variant_id,
+            code: err.details?.code || null,
+            message: err.message,
+          });
         }
-        await client.query("COMMIT");
-        return merged;
-      } catch (err) {
-        await client.query("ROLLBACK");
-        throw err;
-      } finally {
-        client.release();
-      }
-    } else {
-      // Supabase: perform upserts in a loop (no direct transaction here)
-      const merged = [];
-      for (const it of items) {
-        const { product_id, variant_id = null, quantity = 1 } = it;
-        const { data, error } = await pool
-          .from("cart_items")
-          .upsert(
-            {
-              user_id: userId,
-              product_id,
-              variant_id,
-              quantity,
-            },
-            { onConflict: "user_id,product_id,variant_id" }
-          )
-          .select();
-        if (error) throw error;
-        merged.push(Array.isArray(data) ? data[0] : data);
       }
       return merged;
+    });
+  }
+
+  // The user's cart joined to current catalogue prices, stock and brand
+  static async pricedRows(userId, { txClient = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(txClient, async (client) => {
+        const result = await client.query(PRICED_CART_SQL, [userId]);
+        return result.rows;
+      });
+    }
+    const { data, error } = await pool
+      .from("cart_items")
+      .select(
+        `id, product_id, variant_id, quantity, price_at_add, created_at,
+         products(${PRODUCT_SELECT}),
+         product_variants(${VARIANT_SELECT})`
+      )
+      .eq("user_id", userId)
+      .is("list_id", null)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(flattenSupabaseCartRow);
+  }
+
+  // Every line parked in the user's lists, in the same shape as
+  // `pricedRows` plus `list_id`
+  static async pricedListRows(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(null, async (client) => {
+        const result = await client.query(PRICED_LISTS_SQL, [userId]);
+        return result.rows;
+      });
+    }
+    const { data, error } = await pool
+      .from("cart_items")
+      .select(
+        `id, list_id, product_id, variant_id, quantity, price_at_add, created_at,
+         products(${PRODUCT_SELECT}),
+         product_variants(${VARIANT_SELECT})`
+      )
+      .eq("user_id", userId)
+      .not("list_id", "is", null)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(flattenSupabaseCartRow);
+  }
+
+  // Same rows for a guest cart posted from the browser
+  // (`[{ product_id, variant_id?, quantity }]`). Unknown products and
+  // variants are left out; callers compare against what they sent.
+  static async pricedGuestRows(items = [], { txClient = null } = {}) {
+    if (items.length === 0) return [];
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(txClient, async (client) => {
+        const result = await client.query(PRICED_GUEST_SQL, [
+          JSON.stringify(items),
+        ]);
+        return result.rows;
+      });
+    }
+
+    const productIds = [...new Set(items.map((i) => i.product_id))];
+    const variantIds = [
+      ...new Set(items.map((i) => i.variant_id).filter(Boolean)),
+    ];
+    const { data: products, error } = await pool
+      .from("products")
+      .select(`id, ${PRODUCT_SELECT}`)
+      .in("id", productIds);
+    if (error) throw error;
+    let variants = [];
+    if (variantIds.length > 0) {
+      const { data, error: variantError } = await pool
+        .from("product_variants")
+        .select(`id, product_id, ${VARIANT_SELECT}`)
+        .in("id", variantIds);
+      if (variantError) throw variantError;
+      variants = data || [];
+    }
+    const rows = [];
+    for (const item of items) {
+      const product = (products || []).find((p) => p.id === item.product_id);
+      const variant = item.variant_id
+        ? variants.find(
+            (v) => v.id === item.variant_id && v.product_id === item.product_id
+          )
+        : null;
+      if (!product || (item.variant_id && !variant)) continue;
+      rows.push(
+        flattenSupabaseCartRow({
+          product_id: item.product_id,
+          variant_id: item.variant_id || null,
+          quantity: item.quantity,
+          products: product,
+          product_variants: variant,
+        })
+      );
     }
+    return rows;
   }
 }
@@ -0,0 +1,208 @@
+import { pool } from "../config/database.js";
+import {
+  CART_ERROR_CODES,
+  cartError,
+  isUuid,
+} from "../services/cart/cartValidation.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+export const SAVED_LIST_NAME = "Saved for later";
+
+const listNotFound = () =>
+  cartError(404, CART_ERROR_CODES.LIST_NOT_FOUND, "Cart list not found");
+
+const nameTaken = (name) =>
+  cartError(
+    409,
+    CART_ERROR_CODES.LIST_NAME_TAKEN,
+    `You already have a list called ${name}`
+  );
+
+// Run `fn` with the caller's pg client, or a pooled one released afterwards
+const withClient = async (txClient, fn) => {
+  if (txClient) return fn(txClient);
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+};
+
+const isUniqueViolation = (error) => error?.code === "23505";
+
+// The user's "saved for later" list and named carts (`cart_lists`). Lines
+// in a list are ordinary `cart_items` rows with that `list_id`; lines
+// without one are the cart.
+export class CartList {
+  static async listForUser(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(null, async (client) => {
+        const result = await client.query(
+          `SELECT * FROM cart_lists WHERE user_id = $1
+           ORDER BY (kind = 'saved') DESC, created_at ASC`,
+          [userId]
+        );
+        return result.rows;
+      });
+    }
+    const { data, error } = await pool
+      .from("cart_lists")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return (data || []).sort(
+      (a, b) => (b.kind === "saved") - (a.kind === "saved")
+    );
+  }
+
+  // One of the user's lists (404 for anyone else's)
+  static async findOwned(userId, id, { txClient = null } = {}) {
+    if (!isUuid(id)) throw listNotFound();
+    let list;
+    if (DATABASE_TYPE === "postgresql") {
+      list = await withClient(txClient, async (client) => {
+        const result = await client.query(
+          `SELECT * FROM cart_lists WHERE id = $1 AND user_id = $2`,
+          [id, userId]
+        );
+        return result.rows[0];
+      });
+    } else {
+      const { data, error } = await pool
+        .from("cart_lists")
+        .select("*")
+        .eq("id", id)
+        .eq("user_id", userId)
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      list = data;
+    }
+    if (!list) throw listNotFound();
+    return list;
+  }
+
+  // The user's saved-for-later list, created the first time it is needed
+  static async savedList(userId, { txClient = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(txClient, async (client) => {
+        await client.query(
+          `INSERT INTO cart_lists (user_id, kind, name) VALUES ($1, 'saved', $2)
+           ON CONFLICT (user_id) WHERE kind = 'saved' DO NOTHING`,
+          [userId, SAVED_LIST_NAME]
+        );
+        const result = await client.query(
+          `SELECT * FROM cart_lists WHERE user_id = $1 AND kind = 'saved'`,
+          [userId]
+        );
+        return result.rows[0];
+      });
+    }
+    const { data, error } = await pool
+      .from("cart_lists")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("kind", "saved")
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    if (data) return data;
+    const { data: created, error: createError } = await pool
+      .from("cart_lists")
+      .insert({ user_id: userId, kind: "saved", name: SAVED_LIST_NAME })
+      .select()
+      .single();
+    if (createError) throw createError;
+    return created;
+  }
+
+  // Where a move goes: "cart" (null), "saved", or the id of a named cart
+  static async resolveTarget(userId, to, { txClient = null } = {}) {
+    if (to === "cart") return null;
+    if (to === "saved") {
+      return (await CartList.savedList(userId, { txClient })).id;
+    }
+    return (await CartList.findOwned(userId, to, { txClient })).id;
+  }
+
+  static async create(userId, name) {
+    if (DATABASE_TYPE === "postgresql") {
+      try {
+        return await withClient(null, async (client) => {
+          const result = await client.query(
+            `INSERT INTO cart_lists (user_id, kind, name) VALUES ($1, 'named', $2)
+             RETURNING *`,
+            [userId, name]
+          );
+          return result.rows[0];
+        });
+      } catch (err) {
+        if (isUniqueViolation(err)) throw nameTaken(name);
+        throw err;
+      }
+    }
+    const { data, error } = await pool
+      .from("cart_lists")
+      .insert({ user_id: userId, kind: "named", name })
+      .select()
+      .single();
+    if (isUniqueViolation(error)) throw nameTaken(name);
+    if (error) throw error;
+    return data;
+  }
+
+  // Rename a named cart. The saved-for-later list keeps its name.
+  static async rename(userId, id, name) {
+    const list = await CartList.findOwned(userId, id);
+    if (list.kind === "saved") {
+      throw cartError(
+        400,
+        CART_ERROR_CODES.LIST_LOCKED,
+        "The saved-for-later list cannot be renamed"
+      );
+    }
+    if (DATABASE_TYPE === "postgresql") {
+      try {
+        return await withClient(null, async (client) => {
+          const result = await client.query(
+            `UPDATE cart_lists SET name = $1, updated_at = now() WHERE id = $2 RETURNING *`,
+            [name, id]
+          );
+          return result.rows[0];
+        });
+      } catch (err) {
+        if (isUniqueViolation(err)) throw nameTaken(name);
+        throw err;
+      }
+    }
+    const { data, error } = await pool
+      .from("cart_lists")
+      .update({ name, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (isUniqueViolation(error)) throw nameTaken(name);
+    if (error) throw error;
+    return data;
+  }
+
+  // Delete a list and the lines in it
+  static async remove(userId, id) {
+    await CartList.findOwned(userId, id);
+    if (DATABASE_TYPE === "postgresql") {
+      return withClient(null, async (client) => {
+        await client.query(`DELETE FROM cart_lists WHERE id = $1`, [id]);
+        return true;
+      });
+    }
+    const { error } = await pool.from("cart_lists").delete().eq("id", id);
+    if (error) throw error;
+    return true;
+  }
+}
+
+export default CartList;
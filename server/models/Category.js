@@ -0,0 +1,283 @@
+import { pool } from "../config/database.js";
+import {
+  assertSiblingOrder,
+  assertValidParent,
+  normalizeCategoryInput,
+} from "../services/products/categoryTree.js";
+import { HttpError } from "../utils/httpError.js";
+import { nextFreeSlug, slugify } from "../utils/product.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// categories.slug is varchar(100)
+const CATEGORY_SLUG_MAX_LENGTH = 100;
+
+const isSlugConflict = (error) =>
+  error?.code === "23505" && /slug/.test(error.constraint || error.message);
+
+// A slug for `source` no other category (but `excludeId`) uses
+const uniqueSlug = (rows, source, excludeId = null) =>
+  nextFreeSlug(
+    slugify(source, {
+      maxLength: CATEGORY_SLUG_MAX_LENGTH,
+      fallback: "category",
+    }),
+    rows.filter((row) => row.id !== excludeId).map((row) => row.slug),
+    CATEGORY_SLUG_MAX_LENGTH
+  );
+
+// Two admins can pick the same free slug; the unique index rejects the
+// second, which then picks again
+const withSlugRetry = async (write) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write();
+    } catch (err) {
+      if (!isSlugConflict(err) || attempt >= 2) throw err;
+    }
+  }
+};
+
+// Deleting a category must not orphan subcategories or products
+const assertEmpty = ({ children, products }) => {
+  if (Number(children) > 0) {
+    throw new HttpError(409, "Move or delete its subcategories first");
+  }
+  if (Number(products) > 0) {
+    throw new HttpError(409, "Move its products to another category first");
+  }
+};
+
+// Product categories (`categories`), a tree through `parent_id`. See
+// services/products/categoryTree.js for assembling it.
+export class Category {
+  // Every category, flat, each with `product_count`: its own active products
+  // (not those of subcategories)
+  static async all() {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, COUNT(p.id) AS product_count
+           FROM categories c
+           LEFT JOIN products p
+             ON p.category_id = c.id AND p.status = 'active'
+           GROUP BY c.id
+           ORDER BY c.sort_order, c.name`
+        );
+        return result.rows.map((row) => ({
+          ...row,
+          product_count: Number(row.product_count) || 0,
+        }));
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("categories")
+      .select("*, products(count)")
+      .eq("products.status", "active")
+      .order("sort_order", { ascending: true })
+      .order("name", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(({ products, ...row }) => ({
+      ...row,
+      product_count: Number(products?.[0]?.count) || 0,
+    }));
+  }
+
+  static async findById(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          "SELECT * FROM categories WHERE id = $1",
+          [id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("categories")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // New categories go last among their siblings unless `sort_order` is
+  // given. The slug comes from `slug` or the name and is made unique.
+  static async create(input) {
+    const columns = normalizeCategoryInput(input);
+    return withSlugRetry(async () => {
+      const rows = await Category.all();
+      assertValidParent(rows, null, columns.parent_id);
+      const siblings = rows.filter(
+        (row) => (row.parent_id ?? null) === (columns.parent_id ?? null)
+      );
+      const values = {
+        sort_order:
+          siblings.reduce(
+            (max, row) => Math.max(max, Number(row.sort_order) || 0),
+            -1
+          ) + 1,
+        ...columns,
+        slug: uniqueSlug(rows, columns.slug || columns.name),
+      };
+
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const names = Object.keys(values);
+          const result = await client.query(
+            `INSERT INTO categories (${names.join(", ")})
+             VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+             RETURNING *`,
+            names.map((name) => values[name])
+          );
+          return result.rows[0];
+        } finally {
+          client.release();
+        }
+      }
+      const { data, error } = await pool
+        .from("categories")
+        .insert(values)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    });
+  }
+
+  // Apply `changes`; a category can move to another parent, but not under
+  // itself or its own subcategories
+  static async update(id, changes) {
+    const columns = normalizeCategoryInput(changes);
+    return withSlugRetry(async () => {
+      const rows = await Category.all();
+      if (!rows.some((row) => row.id === id)) return null;
+      if (columns.parent_id !== undefined) {
+        assertValidParent(rows, id, columns.parent_id);
+      }
+      if (columns.slug !== undefined) {
+        columns.slug = uniqueSlug(rows, columns.slug || columns.name, id);
+      }
+      const names = Object.keys(columns);
+
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const assignments = [
+            ...names.map((name, i) => `${name} = $${i + 2}`),
+            "updated_at = now()",
+          ];
+          const result = await client.query(
+            `UPDATE categories SET ${assignments.join(", ")}
+             WHERE id = $1
+             RETURNING *`,
+            [id, ...names.map((name) => columns[name])]
+          );
+          return result.rows[0] || null;
+        } finally {
+          client.release();
+        }
+      }
+      const { data, error } = await pool
+        .from("categories")
+        .update({ ...columns, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .select()
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    });
+  }
+
+  // Only empty categories can go: no subcategories and no products (in any
+  // status, since orders and carts point at products). Returns false when
+  // there was nothing to delete.
+  static async remove(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const usage = await client.query(
+          `SELECT
+             (SELECT COUNT(*) FROM categories WHERE parent_id = $1) AS children,
+             (SELECT COUNT(*) FROM products WHERE category_id = $1) AS products`,
+          [id]
+        );
+        assertEmpty(usage.rows[0]);
+        const result = await client.query(
+          "DELETE FROM categories WHERE id = $1",
+          [id]
+        );
+        return result.rowCount > 0;
+      } finally {
+        client.release();
+      }
+    }
+    const [children, products] = await Promise.all([
+      pool
+        .from("categories")
+        .select("id", { count: "exact", head: true })
+        .eq("parent_id", id),
+      pool
+        .from("products")
+        .select("id", { count: "exact", head: true })
+        .eq("category_id", id),
+    ]);
+    if (children.error) throw children.error;
+    if (products.error) throw products.error;
+    assertEmpty({ children: children.count, products: products.count });
+    const { data, error } = await pool
+      .from("categories")
+      .delete()
+      .eq("id", id)
+      .select("id");
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  // Set `sort_order` of the children of `parentId` (null = top level) to
+  // their position in `order`, which must list each of them once
+  static async reorder(parentId, order) {
+    const rows = await Category.all();
+    if (parentId && !rows.some((row) => row.id === parentId)) {
+      throw new HttpError(404, "Category not found");
+    }
+    assertSiblingOrder(rows, parentId, order);
+
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `UPDATE categories c
+           SET sort_order = o.position - 1, updated_at = now()
+           FROM unnest($1::uuid[]) WITH ORDINALITY AS o(id, position)
+           WHERE c.id = o.id`,
+          [order]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const now = new Date().toISOString();
+    for (const [position, id] of order.entries()) {
+      const { error } = await pool
+        .from("categories")
+        .update({ sort_order: position, updated_at: now })
+        .eq("id", id);
+      if (error) throw error;
+    }
+  }
+}
+
+export default Category;
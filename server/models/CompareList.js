@@ -0,0 +1,82 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// The signed-in shopper's compare list (`compare_lists`): one row per user
+// holding product ids in the order they were added
+export class CompareList {
+  // [] when the user has not compared anything yet
+  static async productIds(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          "SELECT product_ids FROM compare_lists WHERE user_id = $1",
+          [userId]
+        );
+        return result.rows[0]?.product_ids || [];
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("compare_lists")
+      .select("product_ids")
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data?.product_ids || [];
+  }
+
+  // Replace the list
+  static async save(userId, productIds) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `INSERT INTO compare_lists (user_id, product_ids, updated_at)
+           VALUES ($1, $2::uuid[], now())
+           ON CONFLICT (user_id)
+           DO UPDATE SET product_ids = EXCLUDED.product_ids, updated_at = now()`,
+          [userId, productIds]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool.from("compare_lists").upsert(
+      {
+        user_id: userId,
+        product_ids: productIds,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    );
+    if (error) throw error;
+  }
+
+  static async clear(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query("DELETE FROM compare_lists WHERE user_id = $1", [
+          userId,
+        ]);
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("compare_lists")
+      .delete()
+      .eq("user_id", userId);
+    if (error) throw error;
+  }
+}
+
+export default CompareList;
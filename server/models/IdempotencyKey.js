@@ -0,0 +1,141 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+const UNIQUE_VIOLATION = "23505";
+
+// Keys belong to a user or, in guest checkout, to a `guest_key`
+const ownedBy = (query, { userId, guestKey }) =>
+  userId
+    ? query.eq("user_id", userId).is("guest_key", null)
+    : query.is("user_id", null).eq("guest_key", guestKey);
+
+export class IdempotencyKey {
+  // Claim a key for a request. Returns { created: true, record } for a new
+  // key, or { created: false, record } with the row stored by an earlier
+  // request. Expired keys are dropped first so they can be reused. The key
+  // belongs to `userId`, or to `guestKey` when there is no user.
+  static async begin({
+    userId = null,
+    guestKey = null,
+    scope,
+    key,
+    requestHash,
+    ttlSeconds,
+  }) {
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+    const owner = { userId, guestKey: userId ? null : guestKey };
+
+    if (DATABASE_TYPE === "postgresql") {
+      const ownerSql = `user_id IS NOT DISTINCT FROM $1
+        AND guest_key IS NOT DISTINCT FROM $2`;
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `DELETE FROM idempotency_keys
+           WHERE ${ownerSql} AND scope = $3 AND idempotency_key = $4 AND expires_at < now()`,
+          [owner.userId, owner.guestKey, scope, key]
+        );
+        // Users' and guests' keys are unique under separate constraints
+        const inserted = await client.query(
+          `INSERT INTO idempotency_keys (user_id, guest_key, scope, idempotency_key, request_hash, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT DO NOTHING
+           RETURNING *`,
+          [owner.userId, owner.guestKey, scope, key, requestHash, expiresAt]
+        );
+        if (inserted.rows[0]) return { created: true, record: inserted.rows[0] };
+
+        const existing = await client.query(
+          `SELECT * FROM idempotency_keys
+           WHERE ${ownerSql} AND scope = $3 AND idempotency_key = $4`,
+          [owner.userId, owner.guestKey, scope, key]
+        );
+        return { created: false, record: existing.rows[0] };
+      } finally {
+        client.release();
+      }
+    } else {
+      const { error: expireError } = await ownedBy(
+        pool.from("idempotency_keys").delete(),
+        owner
+      )
+        .eq("scope", scope)
+        .eq("idempotency_key", key)
+        .lt("expires_at", new Date().toISOString());
+      if (expireError) throw expireError;
+
+      const { data, error } = await pool
+        .from("idempotency_keys")
+        .insert({
+          user_id: owner.userId,
+          guest_key: owner.guestKey,
+          scope,
+          idempotency_key: key,
+          request_hash: requestHash,
+          expires_at: expiresAt,
+        })
+        .select()
+        .single();
+      if (!error) return { created: true, record: data };
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+
+      const { data: existing, error: readError } = await ownedBy(
+        pool.from("idempotency_keys").select("*"),
+        owner
+      )
+        .eq("scope", scope)
+        .eq("idempotency_key", key)
+        .single();
+      if (readError) throw readError;
+      return { created: false, record: existing };
+    }
+  }
+
+  // Store the response so later requests with the same key can replay it
+  static async complete(id, responseStatus, responseBody) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `UPDATE idempotency_keys
+           SET status = 'completed', response_status = $1, response_body = $2, completed_at = now()
+           WHERE id = $3`,
+          [responseStatus, JSON.stringify(responseBody), id]
+        );
+      } finally {
+        client.release();
+      }
+    } else {
+      const { error } = await pool
+        .from("idempotency_keys")
+        .update({
+          status: "completed",
+          response_status: responseStatus,
+          response_body: responseBody,
+          completed_at: new Date().toISOString(),
+        })
+        .eq("id", id);
+      if (error) throw error;
+    }
+  }
+
+  // Forget a key whose request failed unexpectedly so the client can retry
+  static async release(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(`DELETE FROM idempotency_keys WHERE id = $1`, [id]);
+      } finally {
+        client.release();
+      }
+    } else {
+      const { error } = await pool.from("idempotency_keys").delete().eq("id", id);
+      if (error) throw error;
+    }
+  }
+}
+
+export default IdempotencyKey;
@@ -0,0 +1,769 @@
+import { pool } from "../config/database.js";
+import { Product } from "./Product.js";
+import { Payment } from "./Payment.js";
+import { StockReservation } from "./StockReservation.js";
+import { CartItem } from "./CartItem.js";
+import { Promotion } from "./Promotion.js";
+import { ShippingMethod } from "./ShippingMethod.js";
+import { OrderFulfillment } from "./OrderFulfillment.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  buildOrderLines,
+  assertCouponUsable,
+  calculateOrderTotals,
+  generateOrderNumber,
+  selectPromotion,
+} from "../utils/orderPricing.js";
+import { buildOrderTimeline } from "../services/orders/orderTimeline.js";
+import { splitOrderLines } from "../services/orders/fulfillment.js";
+import {
+  canTransitionOrder,
+  commitsStock,
+  releasesReservation,
+  releasesStock,
+  STATUS_TIMESTAMPS,
+} from "../services/orders/orderStatus.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// What a customer sees of a payment: no raw gateway payloads
+const summarizePayment = (payment) => ({
+  id: payment.id,
+  payment_method: payment.payment_method,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  card_last4: payment.gateway_response?.authorize?.card_last4 || null,
+  processed_at: payment.processed_at,
+  created_at: payment.created_at,
+});
+
+const withItemCount = (order, items) => ({
+  ...order,
+  items,
+  item_count: items.reduce((sum, item) => sum + Number(item.quantity), 0),
+});
+
+const assertOrderTransition = (from, to) => {
+  if (!canTransitionOrder(from, to)) {
+    throw new HttpError(409, `Order cannot move from ${from} to ${to}`);
+  }
+};
+
+const insufficientStock = (name) =>
+  new HttpError(409, `Insufficient stock for ${name || "a product"}`);
+
+// Order lines in the shape StockReservation expects
+const reservationLines = (lines) =>
+  lines.map((line) => ({
+    product_id: line.product_id,
+    variant_id: line.variant_id,
+    quantity: line.quantity,
+    name: line.product_snapshot?.name || line.name,
+  }));
+
+// Payment received: decrement products.stock_quantity and turn the order's
+// reservations into product_inventory decrements
+const commitOrderStock = async (orderId, items, client = null) => {
+  await StockReservation.commitForOrder(orderId, { txClient: client });
+  for (const item of items) {
+    try {
+      await Product.updateStock(item.product_id, item.quantity, client);
+    } catch (err) {
+      if (err.message === "Insufficient stock") {
+        throw insufficientStock(item.product_snapshot?.name);
+      }
+      throw err;
+    }
+  }
+};
+
+// Paid order cancelled or refunded before shipping
+const restockOrder = async (orderId, items, reason, client = null) => {
+  await StockReservation.restockForOrder(orderId, reason, { txClient: client });
+  for (const item of items) {
+    await Product.restoreStock(item.product_id, item.quantity, client);
+  }
+};
+
+// Line -> id of the fulfilment group it ships in
+const fulfillmentIdsByLine = (groups, fulfillments) => {
+  const ids = new Map();
+  groups.forEach((group, index) => {
+    for (const line of group.lines) ids.set(line, fulfillments[index].id);
+  });
+  return ids;
+};
+
+// Carry a parent status change over to the fulfilment groups and settle
+// seller revenue: recorded on payment, voided on cancellation or refund
+const syncFulfillments = async (order, status, cascade, client = null) => {
+  await OrderFulfillment.syncWithOrder(order.id, status, {
+    cascade,
+    txClient: client,
+  });
+  if (status === "confirmed") {
+    await OrderFulfillment.recordRevenue(order.id, {
+      currency: order.currency || "USD",
+      txClient: client,
+    });
+  } else if (["cancelled", "refunded"].includes(status)) {
+    await OrderFulfillment.voidRevenue(order.id, { txClient: client });
+  }
+};
+
+// Shipping method and automatic promotion the order is priced with, the
+// same way the cart summary prices it
+const pricingOptions = async (lines, shippingMethod, country, client = null) => {
+  const method = await ShippingMethod.findAvailable(shippingMethod, {
+    country,
+    txClient: client,
+  });
+  if (!method) {
+    throw new HttpError(
+      400,
+      `Shipping method ${shippingMethod} is not available`
+    );
+  }
+  const promotions = await Promotion.listActive(new Date(), {
+    txClient: client,
+  });
+  return {
+    shippingMethod: method,
+    promotion: selectPromotion(promotions, lines),
+  };
+};
+
+const assertGuestItemsFound = (items, rows) => {
+  if (rows.length !== items.length) {
+    throw new HttpError(409, "Some items in your cart are no longer available");
+  }
+  return rows;
+};
+
+export class Order {
+  // Turn the user's cart into an order + order_items snapshot, split into
+  // one fulfilment group per seller (see services/orders/fulfillment.js).
+  // Postgres runs everything (stock holds, coupon usage, cart clear) in a single
+  // transaction; the Supabase client has no transactions so it runs the
+  // same steps sequentially.
+  // Guest checkout passes `guestEmail` and the posted `guestItems` instead of
+  // a `userId`; the order is marked `is_guest` and holds stock by order id.
+  static async createFromCart({
+    userId = null,
+    guestEmail = null,
+    guestItems = null,
+    shippingAddress,
+    billingAddress = null,
+    notes = null,
+    couponCode = null,
+    shippingMethod = null,
+  }) {
+    const isGuest = !userId;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+
+        const lines = buildOrderLines(
+          isGuest
+            ? assertGuestItemsFound(
+                guestItems,
+                await CartItem.pricedGuestRows(guestItems, { txClient: client })
+              )
+            : await CartItem.pricedRows(userId, { txClient: client })
+        );
+
+        let coupon = null;
+        if (couponCode) {
+          const couponResult = await client.query(
+            `SELECT * FROM coupons WHERE code = $1 FOR UPDATE`,
+            [couponCode]
+          );
+          coupon = couponResult.rows[0] || null;
+          const subtotal = lines.reduce((s, l) => s + l.total_price, 0);
+          assertCouponUsable(coupon, subtotal);
+        }
+        const pricing = await pricingOptions(
+          lines,
+          shippingMethod,
+          shippingAddress?.country,
+          client
+        );
+        const totals = calculateOrderTotals(lines, coupon, pricing);
+        const groups = splitOrderLines(lines, totals);
+
+        // Hold the stock until payment (re-using holds from the payment step)
+        if (!isGuest) {
+          await StockReservation.reserveForUser(userId, reservationLines(lines), {
+            txClient: client,
+          });
+        }
+
+        const orderResult = await client.query(
+          `INSERT INTO orders (order_number, user_id, status, subtotal, tax_amount, shipping_amount,
+                               discount_amount, total_amount, currency, shipping_address, billing_address, notes,
+                               is_guest, guest_email, shipping_method, promotion_id)
+           VALUES ($1, $2, 'pending', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+           RETURNING *`,
+          [
+            generateOrderNumber(),
+            userId,
+            totals.subtotal,
+            totals.tax_amount,
+            totals.shipping_amount,
+            totals.discount_amount,
+            totals.total_amount,
+            totals.currency,
+            JSON.stringify(shippingAddress),
+            JSON.stringify(billingAddress || shippingAddress),
+            notes,
+            isGuest,
+            guestEmail,
+            pricing.shippingMethod.code,
+            pricing.promotion?.id || null,
+          ]
+        );
+        const order = orderResult.rows[0];
+
+        const fulfillments = await OrderFulfillment.createForOrder(
+          order.id,
+          groups,
+          { txClient: client }
+        );
+        const fulfillmentIds = fulfillmentIdsByLine(groups, fulfillments);
+
+        const items = [];
+        for (const line of lines) {
+          const itemResult = await client.query(
+            `INSERT INTO order_items (order_id, fulfillment_id, product_id, variant_id, quantity, unit_price, total_price, product_snapshot)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+              order.id,
+              fulfillmentIds.get(line),
+              line.product_id,
+              line.variant_id,
+              line.quantity,
+              line.unit_price,
+              line.total_price,
+              JSON.stringify(line.product_snapshot),
+            ]
+          );
+          items.push(itemResult.rows[0]);
+        }
+        if (isGuest) {
+          await StockReservation.ensureForOrder(order.id, { txClient: client });
+        } else {
+          await StockReservation.attachToOrder(userId, order.id, {
+            txClient: client,
+          });
+        }
+
+        if (coupon) {
+          await client.query(
+            `UPDATE coupons SET usage_count = usage_count + 1, updated_at = now() WHERE id = $1`,
+            [coupon.id]
+          );
+        }
+
+        if (!isGuest) {
+          await client.query(
+            `DELETE FROM cart_items WHERE user_id = $1 AND list_id IS NULL`,
+            [userId]
+          );
+        }
+
+        await client.query("COMMIT");
+        return { ...order, items, fulfillments };
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    } else {
+      // Supabase client: no transactions, run the steps in order
+      const rows = isGuest
+        ? assertGuestItemsFound(
+            guestItems,
+            await CartItem.pricedGuestRows(guestItems)
+          )
+        : await CartItem.pricedRows(userId);
+
+      const lines = buildOrderLines(rows);
+
+      let coupon = null;
+      if (couponCode) {
+        const { data, error } = await pool
+          .from("coupons")
+          .select("*")
+          .eq("code", couponCode)
+          .maybeSingle();
+        if (error) throw error;
+        coupon = data;
+        const subtotal = lines.reduce((s, l) => s + l.total_price, 0);
+        assertCouponUsable(coupon, subtotal);
+      }
+      const pricing = await pricingOptions(
+        lines,
+        shippingMethod,
+        shippingAddress?.country
+      );
+      const totals = calculateOrderTotals(lines, coupon, pricing);
+      const groups = splitOrderLines(lines, totals);
+
+      // Hold the stock until payment (re-using holds from the payment step)
+      if (!isGuest) {
+        await StockReservation.reserveForUser(userId, reservationLines(lines));
+      }
+
+      const { data: order, error: orderError } = await pool
+        .from("orders")
+        .insert({
+          order_number: generateOrderNumber(),
+          user_id: userId,
+          status: "pending",
+          ...totals,
+          shipping_address: shippingAddress,
+          billing_address: billingAddress || shippingAddress,
+          notes,
+          is_guest: isGuest,
+          guest_email: guestEmail,
+          shipping_method: pricing.shippingMethod.code,
+          promotion_id: pricing.promotion?.id || null,
+        })
+        .select()
+        .single();
+      if (orderError) throw orderError;
+
+      const fulfillments = await OrderFulfillment.createForOrder(
+        order.id,
+        groups
+      );
+      const fulfillmentIds = fulfillmentIdsByLine(groups, fulfillments);
+
+      const { data: items, error: itemsError } = await pool
+        .from("order_items")
+        .insert(
+          lines.map((line) => ({
+            order_id: order.id,
+            fulfillment_id: fulfillmentIds.get(line),
+            product_id: line.product_id,
+            variant_id: line.variant_id,
+            quantity: line.quantity,
+            unit_price: line.unit_price,
+            total_price: line.total_price,
+            product_snapshot: line.product_snapshot,
+          }))
+        )
+        .select();
+      if (itemsError) throw itemsError;
+
+      if (isGuest) {
+        await StockReservation.ensureForOrder(order.id);
+      } else {
+        await StockReservation.attachToOrder(userId, order.id);
+      }
+
+      if (coupon) {
+        const { error } = await pool
+          .from("coupons")
+          .update({
+            usage_count: Number(coupon.usage_count || 0) + 1,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", coupon.id);
+        if (error) throw error;
+      }
+
+      if (!isGuest) {
+        const { error: clearError } = await pool
+          .from("cart_items")
+          .delete()
+          .eq("user_id", userId)
+          .is("list_id", null);
+        if (clearError) throw clearError;
+      }
+
+      return { ...order, items: items || [], fulfillments };
+    }
+  }
+
+  // Load an order row. Pass `userId` to scope the lookup to its owner.
+  static async findById(id, userId = null) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const params = [id];
+        let query = `SELECT * FROM orders WHERE id = $1`;
+        if (userId) {
+          params.push(userId);
+          query += ` AND user_id = $2`;
+        }
+        const result = await client.query(query, params);
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      let query = pool.from("orders").select("*").eq("id", id);
+      if (userId) query = query.eq("user_id", userId);
+      const { data, error } = await query.maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    }
+  }
+
+  // Page through a user's orders, newest first, with their items
+  static async listForUser(userId, { limit = 10, offset = 0, status = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const params = [userId];
+        let where = `WHERE user_id = $1`;
+        if (status) {
+          params.push(status);
+          where += ` AND status = $2`;
+        }
+
+        const countResult = await client.query(
+          `SELECT COUNT(*)::int AS total FROM orders ${where}`,
+          params
+        );
+        const ordersResult = await client.query(
+          `SELECT * FROM orders ${where}
+           ORDER BY created_at DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        );
+        const orders = ordersResult.rows;
+
+        const itemsResult = orders.length
+          ? await client.query(
+              `SELECT * FROM order_items WHERE order_id = ANY($1::uuid[]) ORDER BY created_at ASC`,
+              [orders.map((o) => o.id)]
+            )
+          : { rows: [] };
+
+        return {
+          orders: orders.map((order) =>
+            withItemCount(
+              order,
+              itemsResult.rows.filter((item) => item.order_id === order.id)
+            )
+          ),
+          total: countResult.rows[0].total,
+        };
+      } finally {
+        client.release();
+      }
+    } else {
+      let query = pool
+        .from("orders")
+        .select("*, order_items(*)", { count: "exact" })
+        .eq("user_id", userId);
+      if (status) query = query.eq("status", status);
+
+      const { data, error, count } = await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+
+      return {
+        orders: (data || []).map(({ order_items, ...order }) =>
+          withItemCount(order, order_items || [])
+        ),
+        total: count || 0,
+      };
+    }
+  }
+
+  // Full order view: items, seller shipments, payments and status timeline.
+  // Pass `userId` to scope the lookup to its owner.
+  static async findDetailed(id, userId = null) {
+    const order = await Order.findById(id, userId);
+    if (!order) return null;
+
+    let items;
+    let auditLogs;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const itemsResult = await client.query(
+          `SELECT * FROM order_items WHERE order_id = $1 ORDER BY created_at ASC`,
+          [id]
+        );
+        const auditResult = await client.query(
+          `SELECT * FROM audit_logs
+           WHERE table_name = 'orders' AND record_id = $1
+           ORDER BY created_at ASC`,
+          [id]
+        );
+        items = itemsResult.rows;
+        auditLogs = auditResult.rows;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data: itemRows, error: itemsError } = await pool
+        .from("order_items")
+        .select("*")
+        .eq("order_id", id)
+        .order("created_at", { ascending: true });
+      if (itemsError) throw itemsError;
+
+      const { data: auditRows, error: auditError } = await pool
+        .from("audit_logs")
+        .select("*")
+        .eq("table_name", "orders")
+        .eq("record_id", id)
+        .order("created_at", { ascending: true });
+      if (auditError) throw auditError;
+
+      items = itemRows || [];
+      auditLogs = auditRows || [];
+    }
+
+    const payments = await Payment.findByOrder(id);
+    const fulfillments = await OrderFulfillment.listForOrder(id);
+    return {
+      ...withItemCount(order, items),
+      fulfillments,
+      payments: payments.map(summarizePayment),
+      timeline: buildOrderTimeline(order, { payments, auditLogs }),
+    };
+  }
+
+  // True when at least one line of the order is for the seller's products
+  static async hasSellerItems(orderId, sellerId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT 1 FROM order_items oi
+           JOIN products p ON oi.product_id = p.id
+           WHERE oi.order_id = $1 AND p.seller_id = $2
+           LIMIT 1`,
+          [orderId, sellerId]
+        );
+        return result.rows.length > 0;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("order_items")
+        .select("id, products!inner(seller_id)")
+        .eq("order_id", orderId)
+        .eq("products.seller_id", sellerId)
+        .limit(1);
+      if (error) throw error;
+      return (data || []).length > 0;
+    }
+  }
+
+  // Load a guest order the holder of a guest token may act on: still
+  // unclaimed and placed with that email
+  static async findGuestOrder(id, email) {
+    const order = await Order.findById(id);
+    if (
+      !order ||
+      !order.is_guest ||
+      order.user_id ||
+      order.guest_email?.toLowerCase() !== String(email).toLowerCase()
+    ) {
+      return null;
+    }
+    return order;
+  }
+
+  // Attach an unclaimed guest order to `userId`. Claiming again with the
+  // same account is a no-op; an order claimed by someone else is a 409.
+  static async claimGuestOrder(id, email, userId) {
+    let claimed;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `UPDATE orders SET user_id = $3, claimed_at = NOW(), updated_at = NOW()
+           WHERE id = $1 AND is_guest AND user_id IS NULL
+             AND lower(guest_email) = lower($2)
+           RETURNING *`,
+          [id, email, userId]
+        );
+        claimed = result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      const now = new Date().toISOString();
+      const { data, error } = await pool
+        .from("orders")
+        .update({ user_id: userId, claimed_at: now, updated_at: now })
+        .eq("id", id)
+        .eq("is_guest", true)
+        .is("user_id", null)
+        .eq("guest_email", email)
+        .select()
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      claimed = data || null;
+    }
+    if (claimed) return claimed;
+
+    const existing = await Order.findById(id);
+    if (!existing || !existing.is_guest) {
+      throw new HttpError(404, "Order not found");
+    }
+    if (existing.user_id === userId) return existing;
+    throw new HttpError(409, "This order has already been claimed");
+  }
+
+  // Move an order to `status` through the order state machine.
+  // Illegal moves are rejected with 409 and every change is written to
+  // audit_logs. Confirming (paying) commits the reserved stock; cancelling
+  // releases it, or restocks it when the order had already been paid.
+  // Fulfilment groups and seller revenue follow the parent; pass
+  // `cascadeFulfillments: false` when the move was derived from the groups.
+  static async transitionStatus(
+    id,
+    status,
+    {
+      actor = null,
+      note = null,
+      ipAddress = null,
+      userAgent = null,
+      cascadeFulfillments = true,
+    } = {}
+  ) {
+    const now = new Date().toISOString();
+    const stampColumn = STATUS_TIMESTAMPS[status];
+    const auditEntry = (from) => ({
+      table_name: "orders",
+      record_id: id,
+      action: "UPDATE",
+      old_values: { status: from },
+      new_values: {
+        status,
+        note,
+        actor_role: actor?.role || "system",
+        ...(stampColumn ? { [stampColumn]: now } : {}),
+      },
+      user_id: actor?.id || null,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    });
+
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+
+        const currentResult = await client.query(
+          `SELECT * FROM orders WHERE id = $1 FOR UPDATE`,
+          [id]
+        );
+        const current = currentResult.rows[0];
+        if (!current) throw new HttpError(404, "Order not found");
+        assertOrderTransition(current.status, status);
+
+        const result = await client.query(
+          `UPDATE orders
+           SET status = $1, updated_at = $2${stampColumn ? `, ${stampColumn} = $2` : ""}
+           WHERE id = $3
+           RETURNING *`,
+          [status, now, id]
+        );
+
+        const itemsResult = await client.query(
+          `SELECT product_id, quantity, product_snapshot FROM order_items WHERE order_id = $1`,
+          [id]
+        );
+        if (commitsStock(current.status, status)) {
+          await commitOrderStock(id, itemsResult.rows, client);
+        } else if (releasesReservation(current.status, status)) {
+          await StockReservation.releaseForOrder(id, "order_cancelled", {
+            txClient: client,
+          });
+        } else if (releasesStock(current.status, status)) {
+          await restockOrder(id, itemsResult.rows, `order_${status}`, client);
+        }
+        await syncFulfillments(current, status, cascadeFulfillments, client);
+
+        const audit = auditEntry(current.status);
+        await client.query(
+          `INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id, ip_address, user_agent)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            audit.table_name,
+            audit.record_id,
+            audit.action,
+            JSON.stringify(audit.old_values),
+            JSON.stringify(audit.new_values),
+            audit.user_id,
+            audit.ip_address,
+            audit.user_agent,
+          ]
+        );
+
+        await client.query("COMMIT");
+        return result.rows[0];
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    } else {
+      const current = await Order.findById(id);
+      if (!current) throw new HttpError(404, "Order not found");
+      assertOrderTransition(current.status, status);
+
+      const { data: items, error: itemsError } = await pool
+        .from("order_items")
+        .select("product_id, quantity, product_snapshot")
+        .eq("order_id", id);
+      if (itemsError) throw itemsError;
+
+      // Take the stock before flipping the status so an out-of-stock
+      // payment leaves the order pending
+      if (commitsStock(current.status, status)) {
+        await commitOrderStock(id, items || []);
+      }
+
+      const update = { status, updated_at: now };
+      if (stampColumn) update[stampColumn] = now;
+
+      // Guard on the old status so concurrent moves cannot both win
+      const { data: updated, error } = await pool
+        .from("orders")
+        .update(update)
+        .eq("id", id)
+        .eq("status", current.status)
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      if (!updated) throw new HttpError(409, "Order was updated concurrently");
+
+      if (releasesReservation(current.status, status)) {
+        await StockReservation.releaseForOrder(id, "order_cancelled");
+      } else if (releasesStock(current.status, status)) {
+        await restockOrder(id, items || [], `order_${status}`);
+      }
+      await syncFulfillments(current, status, cascadeFulfillments);
+
+      const { error: auditError } = await pool
+        .from("audit_logs")
+        .insert(auditEntry(current.status));
+      if (auditError) throw auditError;
+
+      return updated;
+    }
+  }
+}
+
+export default Order;
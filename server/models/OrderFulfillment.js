@@ -0,0 +1,354 @@
+import { pool } from "../config/database.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  canTransitionFulfillment,
+  computeRevenueShare,
+} from "../services/orders/fulfillment.js";
+import { STATUS_TIMESTAMPS } from "../services/orders/orderStatus.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Group statuses a parent status change pulls along. Forward moves are
+// only cascaded when an admin moves the whole order.
+const SYNC_FROM = {
+  confirmed: ["pending"],
+  processing: ["confirmed"],
+  shipped: ["confirmed", "processing"],
+  delivered: ["confirmed", "processing", "shipped"],
+  cancelled: ["pending", "confirmed", "processing"],
+  refunded: ["pending", "confirmed", "processing"],
+};
+
+const CASCADE_ONLY = ["processing", "shipped", "delivered"];
+
+// Run `fn` with a pg client inside a transaction, reusing the caller's
+// transaction when one is passed in
+const withTransaction = async (txClient, fn) => {
+  if (txClient) return fn(txClient);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Columns to set when a group enters `status`
+const statusUpdate = (status, now, { carrier, trackingNumber } = {}) => {
+  const update = { status, updated_at: now };
+  const stampColumn = STATUS_TIMESTAMPS[status];
+  if (stampColumn) update[stampColumn] = now;
+  if (carrier !== undefined) update.carrier = carrier;
+  if (trackingNumber !== undefined) update.tracking_number = trackingNumber;
+  return update;
+};
+
+// The seller's commission row in force right now, if any
+const activeCommission = async (client, sellerId) => {
+  const now = new Date().toISOString();
+  if (DATABASE_TYPE === "postgresql") {
+    const result = await client.query(
+      `SELECT * FROM seller_commissions
+       WHERE seller_id = $1 AND is_active
+         AND (effective_from IS NULL OR effective_from <= $2)
+         AND (effective_until IS NULL OR effective_until > $2)
+       ORDER BY effective_from DESC NULLS LAST
+       LIMIT 1`,
+      [sellerId, now]
+    );
+    return result.rows[0] || null;
+  }
+  const { data, error } = await pool
+    .from("seller_commissions")
+    .select("*")
+    .eq("seller_id", sellerId)
+    .eq("is_active", true)
+    .lte("effective_from", now)
+    .or(`effective_until.is.null,effective_until.gt.${now}`)
+    .order("effective_from", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error && error.code !== "PGRST116") throw error;
+  return data || null;
+};
+
+export class OrderFulfillment {
+  // Insert the fulfilment groups produced by splitOrderLines. Returns the
+  // rows in the same order as `groups`.
+  static async createForOrder(orderId, groups, { txClient = null } = {}) {
+    const rows = groups.map((group) => ({
+      order_id: orderId,
+      seller_id: group.seller_id,
+      brand_id: group.brand_id,
+      status: "pending",
+      subtotal: group.subtotal,
+      discount_amount: group.discount_amount,
+      shipping_amount: group.shipping_amount,
+      tax_amount: group.tax_amount,
+      total_amount: group.total_amount,
+    }));
+
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, async (client) => {
+        const created = [];
+        for (const row of rows) {
+          const result = await client.query(
+            `INSERT INTO order_fulfillments (order_id, seller_id, brand_id, status, subtotal,
+                                             discount_amount, shipping_amount, tax_amount, total_amount)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [
+              row.order_id,
+              row.seller_id,
+              row.brand_id,
+              row.status,
+              row.subtotal,
+              row.discount_amount,
+              row.shipping_amount,
+              row.tax_amount,
+              row.total_amount,
+            ]
+          );
+          created.push(result.rows[0]);
+        }
+        return created;
+      });
+    }
+
+    // Insert one at a time so the returned rows line up with `groups`
+    const created = [];
+    for (const row of rows) {
+      const { data, error } = await pool
+        .from("order_fulfillments")
+        .insert(row)
+        .select()
+        .single();
+      if (error) throw error;
+      created.push(data);
+    }
+    return created;
+  }
+
+  static async listForOrder(orderId, { txClient = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, async (client) => {
+        const result = await client.query(
+          `SELECT * FROM order_fulfillments WHERE order_id = $1 ORDER BY created_at ASC`,
+          [orderId]
+        );
+        return result.rows;
+      });
+    }
+    const { data, error } = await pool
+      .from("order_fulfillments")
+      .select("*")
+      .eq("order_id", orderId)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Load one group of an order
+  static async findById(orderId, id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM order_fulfillments WHERE id = $1 AND order_id = $2`,
+          [id, orderId]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("order_fulfillments")
+      .select("*")
+      .eq("id", id)
+      .eq("order_id", orderId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // The group of an order a seller ships, if they have one
+  static async findForSeller(orderId, sellerId) {
+    const groups = await OrderFulfillment.listForOrder(orderId);
+    return groups.find((group) => group.seller_id === sellerId) || null;
+  }
+
+  // Move one group through its own state machine (409 on illegal moves).
+  // Carrier and tracking number are saved alongside when given.
+  static async updateStatus(
+    orderId,
+    id,
+    status,
+    { carrier, trackingNumber } = {}
+  ) {
+    const now = new Date().toISOString();
+    const assertMove = (current) => {
+      if (!current) throw new HttpError(404, "Fulfilment not found");
+      if (!canTransitionFulfillment(current.status, status)) {
+        throw new HttpError(
+          409,
+          `Shipment cannot move from ${current.status} to ${status}`
+        );
+      }
+    };
+    const update = statusUpdate(status, now, { carrier, trackingNumber });
+
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(null, async (client) => {
+        const currentResult = await client.query(
+          `SELECT * FROM order_fulfillments WHERE id = $1 AND order_id = $2 FOR UPDATE`,
+          [id, orderId]
+        );
+        assertMove(currentResult.rows[0]);
+
+        const columns = Object.keys(update);
+        const result = await client.query(
+          `UPDATE order_fulfillments
+           SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(", ")}
+           WHERE id = $${columns.length + 1}
+           RETURNING *`,
+          [...Object.values(update), id]
+        );
+        return result.rows[0];
+      });
+    }
+
+    const current = await OrderFulfillment.findById(orderId, id);
+    assertMove(current);
+    // Guard on the old status so concurrent moves cannot both win
+    const { data, error } = await pool
+      .from("order_fulfillments")
+      .update(update)
+      .eq("id", id)
+      .eq("status", current.status)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new HttpError(409, "Shipment was updated concurrently");
+    return data;
+  }
+
+  // Bring the groups in line with a parent status change. Paying confirms
+  // every group, cancelling or refunding cancels the ones not yet shipped,
+  // and with `cascade` forward moves drag lagging groups along.
+  static async syncWithOrder(
+    orderId,
+    status,
+    { cascade = false, txClient = null } = {}
+  ) {
+    const fromStatuses = SYNC_FROM[status];
+    if (!fromStatuses || (CASCADE_ONLY.includes(status) && !cascade)) return;
+    const groupStatus = status === "refunded" ? "cancelled" : status;
+    const update = statusUpdate(groupStatus, new Date().toISOString());
+
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, async (client) => {
+        const stampColumn = STATUS_TIMESTAMPS[groupStatus];
+        await client.query(
+          `UPDATE order_fulfillments
+           SET status = $1, updated_at = $2${stampColumn ? `, ${stampColumn} = $2` : ""}
+           WHERE order_id = $3 AND status = ANY($4::text[])`,
+          [groupStatus, update.updated_at, orderId, fromStatuses]
+        );
+      });
+    }
+    const { error } = await pool
+      .from("order_fulfillments")
+      .update(update)
+      .eq("order_id", orderId)
+      .in("status", fromStatuses);
+    if (error) throw error;
+  }
+
+  // Paid order: one revenue_tracking row per seller group, priced from the
+  // seller's active `seller_commissions` row. Brand and platform groups have
+  // no seller to pay out. Safe to call twice.
+  static async recordRevenue(
+    orderId,
+    { currency = "USD", txClient = null } = {}
+  ) {
+    const run = async (client) => {
+      const groups = (
+        await OrderFulfillment.listForOrder(orderId, { txClient: client })
+      ).filter((group) => group.seller_id);
+      if (groups.length === 0) return [];
+
+      let recorded = [];
+      if (DATABASE_TYPE !== "postgresql") {
+        const { data, error } = await pool
+          .from("revenue_tracking")
+          .select("fulfillment_id")
+          .eq("order_id", orderId);
+        if (error) throw error;
+        recorded = (data || []).map((row) => row.fulfillment_id);
+      }
+
+      const rows = [];
+      for (const group of groups) {
+        if (recorded.includes(group.id)) continue;
+        const commission = await activeCommission(client, group.seller_id);
+        rows.push({
+          order_id: orderId,
+          fulfillment_id: group.id,
+          seller_id: group.seller_id,
+          currency,
+          payment_status: "pending",
+          ...computeRevenueShare(group, commission),
+        });
+      }
+
+      if (DATABASE_TYPE === "postgresql") {
+        for (const row of rows) {
+          const columns = Object.keys(row);
+          await client.query(
+            `INSERT INTO revenue_tracking (${columns.join(", ")})
+             VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+             ON CONFLICT (fulfillment_id) WHERE fulfillment_id IS NOT NULL DO NOTHING`,
+            Object.values(row)
+          );
+        }
+      } else if (rows.length > 0) {
+        const { error } = await pool.from("revenue_tracking").insert(rows);
+        if (error) throw error;
+      }
+      return rows;
+    };
+    if (DATABASE_TYPE === "postgresql") return withTransaction(txClient, run);
+    return run(null);
+  }
+
+  // Cancelled or refunded order: drop revenue that has not been paid out.
+  // Rows already paid to the seller stay for finance to reconcile.
+  static async voidRevenue(orderId, { txClient = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, async (client) => {
+        await client.query(
+          `DELETE FROM revenue_tracking WHERE order_id = $1 AND payment_status = 'pending'`,
+          [orderId]
+        );
+      });
+    }
+    const { error } = await pool
+      .from("revenue_tracking")
+      .delete()
+      .eq("order_id", orderId)
+      .eq("payment_status", "pending");
+    if (error) throw error;
+  }
+}
+
+export default OrderFulfillment;
@@ -0,0 +1,188 @@
+import { pool } from "../config/database.js";
+import { HttpError } from "../utils/httpError.js";
+import { canTransitionPayment } from "../services/payments/paymentStatus.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+export class Payment {
+  static async create({
+    orderId,
+    paymentMethod,
+    amount,
+    currency = "USD",
+    gatewayResponse = {},
+  }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `INSERT INTO payments (order_id, payment_method, amount, currency, status, gateway_response)
+           VALUES ($1, $2, $3, $4, 'pending', $5)
+           RETURNING *`,
+          [orderId, paymentMethod, amount, currency, JSON.stringify(gatewayResponse)]
+        );
+        return result.rows[0];
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("payments")
+        .insert({
+          order_id: orderId,
+          payment_method: paymentMethod,
+          amount,
+          currency,
+          status: "pending",
+          gateway_response: gatewayResponse,
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+  }
+
+  static async findById(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM payments WHERE id = $1`,
+          [id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("payments")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    }
+  }
+
+  static async findByIntentId(intentId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM payments WHERE payment_intent_id = $1 LIMIT 1`,
+          [intentId]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("payments")
+        .select("*")
+        .eq("payment_intent_id", intentId)
+        .limit(1)
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    }
+  }
+
+  static async findByOrder(orderId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC`,
+          [orderId]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("payments")
+        .select("*")
+        .eq("order_id", orderId)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      return data || [];
+    }
+  }
+
+  // Move a payment to `status`, rejecting moves payment_status does not allow.
+  // `gatewayResponse` replaces the stored response (callers merge history).
+  static async updateStatus(
+    payment,
+    status,
+    { paymentIntentId, gatewayResponse } = {}
+  ) {
+    if (!canTransitionPayment(payment.status, status)) {
+      throw new HttpError(
+        409,
+        `Payment cannot move from ${payment.status} to ${status}`
+      );
+    }
+    const processedAt =
+      status === "completed" || status === "refunded"
+        ? new Date().toISOString()
+        : payment.processed_at || null;
+
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `UPDATE payments
+           SET status = $1,
+               payment_intent_id = COALESCE($2, payment_intent_id),
+               gateway_response = COALESCE($3::jsonb, gateway_response),
+               processed_at = $4,
+               updated_at = now()
+           WHERE id = $5 AND status = $6
+           RETURNING *`,
+          [
+            status,
+            paymentIntentId || null,
+            gatewayResponse ? JSON.stringify(gatewayResponse) : null,
+            processedAt,
+            payment.id,
+            payment.status,
+          ]
+        );
+        if (!result.rows[0]) {
+          throw new HttpError(409, "Payment was updated concurrently");
+        }
+        return result.rows[0];
+      } finally {
+        client.release();
+      }
+    } else {
+      const update = {
+        status,
+        processed_at: processedAt,
+        updated_at: new Date().toISOString(),
+      };
+      if (paymentIntentId) update.payment_intent_id = paymentIntentId;
+      if (gatewayResponse) update.gateway_response = gatewayResponse;
+
+      const { data, error } = await pool
+        .from("payments")
+        .update(update)
+        .eq("id", payment.id)
+        .eq("status", payment.status)
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) throw new HttpError(409, "Payment was updated concurrently");
+      return data;
+    }
+  }
+}
+
+export default Payment;
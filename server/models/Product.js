@@ -1,312 +1,770 @@
 import { pool } from "../config/database.js";
+import {
+  PRODUCT_JSON_COLUMNS,
+  nextFreeSlug,
+  normalizeProductInput,
+  slugify,
+} from "../utils/product.js";
+import { withVariants } from "../services/products/variants.js";
+import {
+  PRICE_BUCKETS,
+  RATING_THRESHOLDS,
+  buildFacets,
+  facetsFromCounts,
+  matchesSearchFilters,
+} from "../services/search/productSearch.js";
+import {
+  PRODUCT_SORTS,
+  SOLD_ORDER_STATUSES,
+  discountOf,
+  encodeCursor,
+  pageAfterCursor,
+  unitsSoldOf,
+} from "../services/products/listing.js";
+import { approvedRatingStats } from "../services/products/reviews.js";
+import { ProductVariant } from "./ProductVariant.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
 const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
 
+const isSlugConflict = (error) =>
+  error?.code === "23505" && /slug/.test(error.constraint || error.message);
+
+// Slugs already used by other products that `base` could collide with
+const takenSlugs = async (base, excludeId) => {
+  if (DATABASE_TYPE === "postgresql") {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        `SELECT slug FROM products
+         WHERE (slug = $1 OR slug LIKE $2) AND ($3::uuid IS NULL OR id <> $3)`,
+        [base, `${base}-%`, excludeId || null]
+      );
+      return result.rows.map((row) => row.slug);
+    } finally {
+      client.release();
+    }
+  }
+  let query = pool
+    .from("products")
+    .select("slug")
+    .or(`slug.eq.${base},slug.like.${base}-*`);
+  if (excludeId) query = query.neq("id", excludeId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map((row) => row.slug);
+};
+
+// A slug for `source` (a requested slug or the product name) that no other
+// product uses
+const uniqueSlug = async (source, excludeId = null) => {
+  const base = slugify(source);
+  return nextFreeSlug(base, await takenSlugs(base, excludeId));
+};
+
+// Two writers can pick the same free slug; the unique index rejects the
+// second, which then picks again
+const withSlugRetry = async (write) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write();
+    } catch (err) {
+      if (!isSlugConflict(err) || attempt >= 2) throw err;
+    }
+  }
+};
+
+// Active variants of each listed product, as a json array (Postgres)
+const VARIANTS_SQL = `COALESCE((
+  SELECT json_agg(v ORDER BY v.created_at)
+  FROM product_variants v
+  WHERE v.product_id = p.id AND v.is_active
+), '[]') AS variants`;
+
+// Supabase embeds variants as `product_variants`; expose them as `variants`
+// like the Postgres path
+const withEmbeddedVariants = ({ product_variants: rows, ...product }) =>
+  withVariants(product, rows || []);
+
+const toPgValue = (column, value) =>
+  PRODUCT_JSON_COLUMNS.includes(column) && value !== null
+    ? JSON.stringify(value)
+    : value;
+
+// Listings read at most this many matching products on Supabase, which
+// sorts and pages them in memory
+const SUPABASE_LISTING_CAP = 1000;
+
+// Approved-review stats of product `p`, joined as `rs`
+const RATING_JOIN_SQL = `LEFT JOIN LATERAL (
+    SELECT AVG(r.rating) AS avg_rating, COUNT(*) AS review_count
+    FROM reviews r
+    WHERE r.product_id = p.id AND r.is_approved
+  ) rs ON true`;
+
+// Units of product `p` sold in orders that were paid for. Only worked out
+// when the popularity sort needs it.
+const unitsSoldSql = (sort) =>
+  sort === "popularity"
+    ? `COALESCE((
+    SELECT SUM(oi.quantity)
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.product_id = p.id
+      AND o.status IN (${SOLD_ORDER_STATUSES.map((status) => `'${status}'`).join(", ")})
+  ), 0)`
+    : "0";
+
+// The keys every listing sort reads (PRODUCT_SORTS), for product `p`
+// joined with `rs`
+const sortKeysSql = (sort) => `p.created_at, p.price,
+    COALESCE(rs.avg_rating, 0) AS avg_rating,
+    COALESCE(rs.review_count, 0) AS review_count,
+    ${unitsSoldSql(sort)} AS units_sold,
+    CASE WHEN p.compare_price > p.price
+         THEN ROUND((p.compare_price - p.price) / p.compare_price, 4)
+         ELSE 0
+    END AS discount`;
+
+// ORDER BY for a sort over rows `m`, and the condition that keeps only rows
+// after the cursor (its values are appended to `values`). The cursor value
+// is the sort key as Postgres printed it, so nothing is lost to rounding.
+const keysetSql = (sort, cursor, values) => {
+  const { key, direction, sqlType } = PRODUCT_SORTS[sort];
+  const order = `ORDER BY m.${key} ${direction}, m.id ${direction}`;
+  if (!cursor) return { where: "TRUE", order };
+  values.push(cursor.value, cursor.id);
+  const op = direction === "asc" ? ">" : "<";
+  return {
+    where: `(m.${key}, m.id) ${op} ($${values.length - 1}::${sqlType}, $${values.length}::uuid)`,
+    order,
+  };
+};
+
+// Page rows (fetched one past `limit`) -> the page and the cursor that
+// continues it. Rows carry the sort key as text in `cursor_value`.
+const keysetPage = (rows, { sort, limit }) => {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const hasMore = rows.length > limit;
+  return {
+    products: page.map(({ cursor_value: _cursor, ...row }) =>
+      withVariants(row, row.variants)
+    ),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, last.cursor_value, last.id) : null,
+  };
+};
+
+// Search: how close (pg_trgm word similarity) a query has to be to a product
+// or brand name to count as a misspelling of it
+const TYPO_SIMILARITY = 0.4;
+
+// Supabase search filters and pages in memory; it reads at most this many
+// matching products
+const SUPABASE_SEARCH_CAP = 1000;
+
+// Active products matching the search text ($1; all of them when empty),
+// with what the filters, facets and sorts need. Name matches weigh most,
+// then brand, category and tags, then descriptions (see product_search).
+const searchCandidatesSql = (sort = null) => `
+  SELECT p.id, p.brand_id, p.category_id,
+         b.slug AS brand_slug, b.name AS brand_name,
+         c.slug AS category_slug, c.name AS category_name,
+         ${sortKeysSql(sort)},
+         CASE WHEN $1::text = '' THEN 0
+              ELSE COALESCE(ts_rank_cd(ps.document, websearch_to_tsquery('english', $1)), 0) * 2
+                   + word_similarity($1, p.name)
+         END::float8 AS rank
+  FROM products p
+  LEFT JOIN product_search ps ON ps.product_id = p.id
+  LEFT JOIN brands b ON b.id = p.brand_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  ${RATING_JOIN_SQL}
+  WHERE p.status = 'active'
+    AND ($1 = ''
+         OR ps.document @@ websearch_to_tsquery('english', $1)
+         OR $1 <% p.name
+         OR $1 <% b.name)`;
+
+// One SQL condition per active filter, on the candidates (`m`); their
+// values are appended to `values`
+const searchConditions = (params, values) => {
+  const add = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  const conditions = {};
+  if (params.brands.length > 0) {
+    const ref = add(params.brands);
+    conditions.brand = `(m.brand_id::text = ANY(${ref}) OR m.brand_slug = ANY(${ref}))`;
+  }
+  if (params.categories.length > 0) {
+    const ref = add(params.categories);
+    conditions.category = `(m.category_id::text = ANY(${ref}) OR m.category_slug = ANY(${ref}))`;
+  }
+  const price = [];
+  if (params.minPrice !== null)
+    price.push(`m.price >= ${add(params.minPrice)}`);
+  if (params.maxPrice !== null)
+    price.push(`m.price <= ${add(params.maxPrice)}`);
+  if (price.length > 0) conditions.price = price.join(" AND ");
+  if (params.minRating !== null) {
+    conditions.rating = `m.avg_rating >= ${add(params.minRating)}`;
+  }
+  return conditions;
+};
+
+// The conditions joined with AND, leaving out one facet's own filter
+const whereExcept = (conditions, except = null) =>
+  Object.entries(conditions)
+    .filter(([facet]) => facet !== except)
+    .map(([, sql]) => sql)
+    .join(" AND ") || "TRUE";
+
+const PRICE_EDGES_SQL = `ARRAY[${PRICE_BUCKETS.slice(1)
+  .map((bucket) => bucket.min)
+  .join(", ")}]::numeric[]`;
+
+const refFacetSql = (key, conditions) => `(
+  SELECT json_agg(f) FROM (
+    SELECT m.${key}_id AS id, m.${key}_slug AS slug, m.${key}_name AS name,
+           COUNT(*) AS count
+    FROM m
+    WHERE m.${key}_id IS NOT NULL AND ${whereExcept(conditions, key)}
+    GROUP BY 1, 2, 3
+  ) f)`;
+
+const facetsSql = (conditions) => `
+  WITH m AS (${searchCandidatesSql()})
+  SELECT
+    (SELECT COUNT(*) FROM m WHERE ${whereExcept(conditions)}) AS total,
+    ${refFacetSql("brand", conditions)} AS brands,
+    ${refFacetSql("category", conditions)} AS categories,
+    (SELECT json_agg(f) FROM (
+      SELECT width_bucket(m.price, ${PRICE_EDGES_SQL}) AS bucket, COUNT(*) AS count
+      FROM m
+      WHERE ${whereExcept(conditions, "price")}
+      GROUP BY 1
+    ) f) AS price,
+    (SELECT json_build_object(${RATING_THRESHOLDS.map(
+      (min) => `'${min}', COUNT(*) FILTER (WHERE m.avg_rating >= ${min})`
+    ).join(", ")})
+     FROM m
+     WHERE ${whereExcept(conditions, "rating")}) AS rating`;
+
+// Supabase row -> the fields the shared filters, facets and sorts read.
+// PostgREST cannot rank matches, so newer products count as better ones.
+const toListingRow = ({
+  brands,
+  categories,
+  reviews,
+  order_items: orderItems,
+  product_search: _document,
+  ...product
+}) => ({
+  ...product,
+  brand_name: brands ? brands.name : null,
+  brand_slug: brands ? brands.slug : null,
+  category_name: categories ? categories.name : null,
+  category_slug: categories ? categories.slug : null,
+  ...approvedRatingStats(reviews),
+  units_sold: unitsSoldOf(orderItems),
+  discount: discountOf(product.price, product.compare_price),
+  rank: Date.parse(product.created_at) || 0,
+});
+
+// Embeds a Supabase listing needs; sales only for the popularity sort
+const listingEmbeds = (sort) => {
+  const embeds = [
+    "brands(name, slug)",
+    "categories(name, slug)",
+    "reviews(rating, is_approved)",
+    "product_variants(*)",
+  ];
+  if (sort === "popularity")
+    embeds.push("order_items(quantity, orders(status))");
+  return embeds;
+};
+
+// Listing row -> product as returned by the API
+const toListedProduct = ({
+  brand_slug: _brandSlug,
+  category_slug: _categorySlug,
+  rank: _rank,
+  ...product
+}) => withEmbeddedVariants(product);
+
 export class Product {
-  static async create(productData) {
-    const {
-      name,
-      description,
-      price,
-      brandId,
-      categoryId,
-      sku,
-      stockQuantity,
-      images,
-      specifications,
-      sellerId,
-    } = productData;
+  // `productData` uses column names or their camelCase aliases
+  // (utils/product.js). The slug is made unique; new listings start as drafts.
+  // `sourceType` records where a product came from other than a seller's
+  // form ("api" for brand catalog syncs).
+  static async create(productData, { sourceType = null } = {}) {
+    const fields = normalizeProductInput(productData);
+    const sellerId = productData.sellerId ?? productData.seller_id ?? null;
+    const columns = {
+      status: "draft",
+      images: [],
+      specifications: {},
+      ...fields,
+      seller_id: sellerId,
+      ...(sourceType ? { source_type: sourceType } : {}),
+    };
+
+    return withSlugRetry(async () => {
+      columns.slug = await uniqueSlug(fields.slug || fields.name);
+
+      if (DATABASE_TYPE === "postgresql") {
+        // PostgreSQL implementation
+        const client = await pool.connect();
+        try {
+          const names = Object.keys(columns);
+          const result = await client.query(
+            `INSERT INTO products (${names.join(", ")})
+             VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+             RETURNING *`,
+            names.map((name) => toPgValue(name, columns[name]))
+          );
+
+          return result.rows[0];
+        } finally {
+          client.release();
+        }
+      } else {
+        // Supabase implementation
+        const { data, error } = await pool
+          .from("products")
+          .insert(columns)
+          .select()
+          .single();
+
+        if (error) throw error;
+        return data;
+      }
+    });
+  }
 
-    if (DATABASE_TYPE === "postgresql") {
-      // PostgreSQL implementation
-      const client = await pool.connect();
-      try {
-        const result = await client.query(
-          `INSERT INTO products (name, slug, description, price, brand_id, category_id, sku, stock_quantity, images, specifications, seller_id) 
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
-           RETURNING *`,
-          [
-            name,
-            name.toLowerCase().replace(/\s+/g, "-"),
-            description,
-            price,
-            brandId,
-            categoryId,
-            sku,
-            stockQuantity,
-            JSON.stringify(images || []),
-            JSON.stringify(specifications || {}),
-            sellerId,
-          ]
-        );
+  // Apply `changes` (column names or camelCase aliases) to a product.
+  // A new slug is made unique; the seller never changes.
+  static async update(id, changes) {
+    const columns = normalizeProductInput(changes);
 
-        return result.rows[0];
-      } finally {
-        client.release();
+    return withSlugRetry(async () => {
+      if (columns.slug !== undefined) {
+        columns.slug = await uniqueSlug(columns.slug || columns.name, id);
       }
-    } else {
-      // Supabase implementation
+      const names = Object.keys(columns);
+
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const assignments = [
+            ...names.map((name, i) => `${name} = $${i + 2}`),
+            "updated_at = now()",
+          ];
+          const result = await client.query(
+            `UPDATE products SET ${assignments.join(", ")}
+             WHERE id = $1
+             RETURNING *`,
+            [id, ...names.map((name) => toPgValue(name, columns[name]))]
+          );
+          return result.rows[0] || null;
+        } finally {
+          client.release();
+        }
+      }
+
       const { data, error } = await pool
         .from("products")
-        .insert({
-          name,
-          slug: name.toLowerCase().replace(/\s+/g, "-"),
-          description,
-          price,
-          brand_id: brandId,
-          category_id: categoryId,
-          sku,
-          stock_quantity: stockQuantity,
-          images: images || [],
-          specifications: specifications || {},
-          seller_id: sellerId,
-        })
+        .update({ ...columns, updated_at: new Date().toISOString() })
+        .eq("id", id)
         .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    }
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    });
   }
 
-  static async findById(id) {
+  // Active products only, unless `anyStatus` (sellers and admins managing a
+  // listing)
+  static async findById(id, { anyStatus = false } = {}) {
     if (DATABASE_TYPE === "postgresql") {
       // PostgreSQL implementation
       const client = await pool.connect();
       try {
         const result = await client.query(
           `SELECT p.*, b.name as brand_name, c.name as category_name, 
-                    u.first_name, u.last_name
+                    u.first_name, u.last_name,
+                    COALESCE(rs.avg_rating, 0) AS avg_rating,
+                    COALESCE(rs.review_count, 0) AS review_count
              FROM products p
              LEFT JOIN brands b ON p.brand_id = b.id
              LEFT JOIN categories c ON p.category_id = c.id
              LEFT JOIN users u ON p.seller_id = u.id
-             WHERE p.id = $1 AND p.status = 'active'`,
-          [id]
+             ${RATING_JOIN_SQL}
+             WHERE p.id = $1 AND ($2 OR p.status = 'active')`,
+          [id, anyStatus]
         );
 
         const product = result.rows[0];
         if (!product) return null;
 
-        return {
-          ...product,
-          seller_name: product.first_name
-            ? `${product.first_name} ${product.last_name}`
-            : null,
-        };
+        return withVariants(
+          {
+            ...product,
+            seller_name: product.first_name
+              ? `${product.first_name} ${product.last_name}`
+              : null,
+          },
+          await ProductVariant.listForProduct(id)
+        );
       } finally {
         client.release();
       }
     } else {
       // Supabase implementation
-      const { data, error } = await pool
+      let query = pool
         .from("products")
         .select(
           `
           *,
           brands(name),
           categories(name),
-          users(first_name, last_name)
+          users(first_name, last_name),
+          product_variants(*),
+          reviews(rating, is_approved)
         `
         )
-        .eq("id", id)
-        .eq("status", "active")
-        .single();
+        .eq("id", id);
+      if (!anyStatus) query = query.eq("status", "active");
+      const { data, error } = await query.single();
 
       if (error && error.code !== "PGRST116") throw error;
       if (!data) return null;
 
-      return {
-        ...data,
+      const { reviews, ...product } = data;
+      return withEmbeddedVariants({
+        ...product,
+        ...approvedRatingStats(reviews),
         brand_name: data.brands ? data.brands.name : null,
         category_name: data.categories ? data.categories.name : null,
         seller_name: data.users
           ? `${data.users.first_name} ${data.users.last_name}`
           : null,
-      };
+      });
     }
   }
 
-  static async getAll(filters = {}) {
+  // Active products among `ids` with their brand, category and approved
+  // rating, for a comparison. Order is not kept; see inRequestedOrder.
+  static async findForCompare(ids) {
+    if (ids.length === 0) return [];
     if (DATABASE_TYPE === "postgresql") {
-      // PostgreSQL implementation
       const client = await pool.connect();
       try {
-        let query = `
-          SELECT p.*, b.name as brand_name, c.name as category_name,
-                 COALESCE(AVG(r.rating), 0) as avg_rating,
-                 COUNT(r.id) as review_count
-          FROM products p
-          LEFT JOIN brands b ON p.brand_id = b.id
-          LEFT JOIN categories c ON p.category_id = c.id
-          LEFT JOIN reviews r ON p.id = r.product_id
-          WHERE p.status = 'active'
-        `;
-
-        const params = [];
-        let paramCount = 0;
-
-        // Apply filters
-        if (filters.categoryId) {
-          paramCount++;
-          query += ` AND p.category_id = $${paramCount}`;
-          params.push(filters.categoryId);
-        }
-
-        if (filters.brandId) {
-          paramCount++;
-          query += ` AND p.brand_id = $${paramCount}`;
-          params.push(filters.brandId);
-        }
-
-        if (filters.minPrice) {
-          paramCount++;
-          query += ` AND p.price >= $${paramCount}`;
-          params.push(filters.minPrice);
-        }
-
-        if (filters.maxPrice) {
-          paramCount++;
-          query += ` AND p.price <= $${paramCount}`;
-          params.push(filters.maxPrice);
-        }
+        const result = await client.query(
+          `SELECT p.id, p.name, p.slug, p.price, p.compare_price, p.images,
+                  p.specifications, p.weight, p.status, p.stock_quantity,
+                  b.name AS brand_name, c.name AS category_name,
+                  COALESCE(rs.avg_rating, 0) AS avg_rating,
+                  COALESCE(rs.review_count, 0) AS review_count
+           FROM products p
+           LEFT JOIN brands b ON p.brand_id = b.id
+           LEFT JOIN categories c ON p.category_id = c.id
+           ${RATING_JOIN_SQL}
+           WHERE p.id = ANY($1::uuid[]) AND p.status = 'active'`,
+          [ids]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("products")
+      .select(
+        `id, name, slug, price, compare_price, images, specifications, weight,
+         status, stock_quantity, brands(name), categories(name),
+         reviews(rating, is_approved)`
+      )
+      .in("id", ids)
+      .eq("status", "active");
+    if (error) throw error;
+    return (data || []).map(({ brands, categories, reviews, ...product }) => ({
+      ...product,
+      ...approvedRatingStats(reviews),
+      brand_name: brands?.name ?? null,
+      category_name: categories?.name ?? null,
+    }));
+  }
 
-        if (filters.search) {
-          paramCount++;
-          query += ` AND (p.name ILIKE $${paramCount} OR p.description ILIKE $${paramCount})`;
-          params.push(`%${filters.search}%`);
+  // One page of active products (`params` from parseListingParams, plus
+  // optionally `categoryIds`: any of these categories), in
+  // `params.sort` order after `params.cursor`. Returns the products, how
+  // many match in all, and the cursor of the next page (null on the last).
+  static async list(params) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const values = [];
+        const add = (value) => {
+          values.push(value);
+          return `$${values.length}`;
+        };
+        const where = ["p.status = 'active'"];
+        if (params.categoryId)
+          where.push(`p.category_id = ${add(params.categoryId)}`);
+        if (params.categoryIds)
+          where.push(`p.category_id = ANY(${add(params.categoryIds)}::uuid[])`);
+        if (params.brandId) where.push(`p.brand_id = ${add(params.brandId)}`);
+        if (params.minPrice !== null)
+          where.push(`p.price >= ${add(params.minPrice)}`);
+        if (params.maxPrice !== null)
+          where.push(`p.price <= ${add(params.maxPrice)}`);
+        if (params.search) {
+          const ref = add(`%${params.search}%`);
+          where.push(`(p.name ILIKE ${ref} OR p.description ILIKE ${ref})`);
         }
+        const filterValues = [...values];
 
-        query += ` GROUP BY p.id, b.name, c.name ORDER BY p.created_at DESC`;
-
-        if (filters.limit) {
-          paramCount++;
-          query += ` LIMIT $${paramCount}`;
-          params.push(filters.limit);
-        }
+        const totalResult = await client.query(
+          `SELECT COUNT(*) AS total FROM products p WHERE ${where.join(" AND ")}`,
+          filterValues
+        );
 
-        if (filters.offset) {
-          paramCount++;
-          query += ` OFFSET $${paramCount}`;
-          params.push(filters.offset);
-        }
+        const keyset = keysetSql(params.sort, params.cursor, values);
+        const { key } = PRODUCT_SORTS[params.sort];
+        const pageResult = await client.query(
+          `WITH m AS (
+             SELECT p.id, ${sortKeysSql(params.sort)}
+             FROM products p
+             ${RATING_JOIN_SQL}
+             WHERE ${where.join(" AND ")}
+           )
+           SELECT p.*, b.name AS brand_name, c.name AS category_name,
+                  m.avg_rating, m.review_count, m.units_sold, m.discount,
+                  m.${key}::text AS cursor_value,
+                  ${VARIANTS_SQL}
+           FROM m
+           JOIN products p ON p.id = m.id
+           LEFT JOIN brands b ON b.id = p.brand_id
+           LEFT JOIN categories c ON c.id = p.category_id
+           WHERE ${keyset.where}
+           ${keyset.order}
+           LIMIT ${add(params.limit + 1)}`,
+          values
+        );
 
-        const result = await client.query(query, params);
-        return result.rows;
+        return {
+          ...keysetPage(pageResult.rows, params),
+          total: Number(totalResult.rows[0].total) || 0,
+        };
       } finally {
         client.release();
       }
-    } else {
-      // Supabase implementation
-      let query = pool
-        .from("products")
-        .select(
-          `
-          *,
-          brands(name),
-          categories(name),
-          reviews(rating),
-          product_variants(id,sku,price,stock_quantity,attributes,images)
-        `
-        )
-        .eq("status", "active");
-
-      // Apply filters
-      if (filters.categoryId) {
-        query = query.eq("category_id", filters.categoryId);
-      }
-
-      if (filters.brandId) {
-        query = query.eq("brand_id", filters.brandId);
-      }
+    }
 
-      if (filters.minPrice) {
-        query = query.gte("price", filters.minPrice);
-      }
+    // Supabase: computed sort keys (rating, sales) cannot be ordered by in
+    // PostgREST, so matching products are sorted and paged in memory
+    let query = pool
+      .from("products")
+      .select(["*", ...listingEmbeds(params.sort)].join(", "), {
+        count: "exact",
+      })
+      .eq("status", "active");
+    if (params.categoryId) query = query.eq("category_id", params.categoryId);
+    if (params.categoryIds) query = query.in("category_id", params.categoryIds);
+    if (params.brandId) query = query.eq("brand_id", params.brandId);
+    if (params.minPrice !== null) query = query.gte("price", params.minPrice);
+    if (params.maxPrice !== null) query = query.lte("price", params.maxPrice);
+    if (params.search) {
+      query = query.or(
+        `name.ilike.%${params.search}%,description.ilike.%${params.search}%`
+      );
+    }
+    const { data, count, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(SUPABASE_LISTING_CAP);
+    if (error) throw error;
+
+    const page = pageAfterCursor((data || []).map(toListingRow), params);
+    return {
+      products: page.rows.map(toListedProduct),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      total: count ?? (data || []).length,
+    };
+  }
 
-      if (filters.maxPrice) {
-        query = query.lte("price", filters.maxPrice);
-      }
+  // Full-text search over active products (`params` from
+  // parseSearchParams). Returns one page of products in `params.sort` order
+  // (best match first by default), the total number of matches, the facet
+  // counts and the next page's cursor.
+  static async search(params) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const values = [params.q];
+        const conditions = searchConditions(params, values);
 
-      if (filters.search) {
-        query = query.or(
-          `name.ilike.%${filters.search}%,description.ilike.%${filters.search}%`
+        await client.query("BEGIN");
+        await client.query(
+          "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+          [String(TYPO_SIMILARITY)]
         );
-      }
-
-      // Apply ordering and pagination
-      query = query
-        .order("created_at", { ascending: false })
-        .range(
-          filters.offset || 0,
-          (filters.offset || 0) + (filters.limit || 20) - 1
+        const facetResult = await client.query(facetsSql(conditions), values);
+        const pageValues = [...values];
+        const keyset = keysetSql(params.sort, params.cursor, pageValues);
+        const { key } = PRODUCT_SORTS[params.sort];
+        pageValues.push(params.limit + 1);
+        const pageResult = await client.query(
+          `WITH m AS (${searchCandidatesSql(params.sort)})
+           SELECT p.*, m.brand_name, m.category_name, m.avg_rating,
+                  m.review_count, m.units_sold, m.discount,
+                  m.${key}::text AS cursor_value, ${VARIANTS_SQL}
+           FROM m
+           JOIN products p ON p.id = m.id
+           WHERE ${whereExcept(conditions)} AND ${keyset.where}
+           ${keyset.order}
+           LIMIT $${pageValues.length}`,
+          pageValues
         );
+        await client.query("COMMIT");
 
-      const { data, error } = await query;
-
-      if (error) throw error;
+        const counts = facetResult.rows[0] || {};
+        return {
+          ...keysetPage(pageResult.rows, params),
+          total: Number(counts.total) || 0,
+          facets: facetsFromCounts(counts),
+        };
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    }
 
-      return data.map((product) => ({
-        ...product,
-        brand_name: product.brands ? product.brands.name : null,
-        category_name: product.categories ? product.categories.name : null,
-        avg_rating:
-          product.reviews.length > 0
-            ? product.reviews.reduce((sum, r) => sum + r.rating, 0) /
-              product.reviews.length
-            : 0,
-        review_count: product.reviews.length,
-      }));
+    // Supabase: PostgREST can match the search document but not rank or
+    // fuzzy-match, so "relevance" means newest first
+    const embeds = listingEmbeds(params.sort);
+    if (params.q) embeds.push("product_search!inner(product_id)");
+    let query = pool
+      .from("products")
+      .select(["*", ...embeds].join(", "))
+      .eq("status", "active");
+    if (params.q) {
+      query = query.textSearch("product_search.document", params.q, {
+        type: "websearch",
+        config: "english",
+      });
     }
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(SUPABASE_SEARCH_CAP);
+    if (error) throw error;
+
+    const candidates = (data || []).map(toListingRow);
+    const matches = candidates.filter((row) =>
+      matchesSearchFilters(row, params)
+    );
+    const page = pageAfterCursor(matches, params);
+    return {
+      products: page.rows.map(toListedProduct),
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      total: matches.length,
+      facets: buildFacets(candidates, params),
+    };
   }
 
-  static async updateStock(id, quantity) {
+  // Decrement product stock. Pass `txClient` to run inside a caller-managed
+  // transaction (e.g. order payment); the client is then left open.
+  // The check and the decrement happen in one statement so concurrent
+  // buyers cannot both take the last unit.
+  static async updateStock(id, quantity, txClient = null) {
     if (DATABASE_TYPE === "postgresql") {
       // PostgreSQL implementation
-      const client = await pool.connect();
+      const client = txClient || (await pool.connect());
       try {
-        // First check current stock
-        const stockResult = await client.query(
-          "SELECT stock_quantity FROM products WHERE id = $1",
-          [id]
+        const result = await client.query(
+          `UPDATE products 
+           SET stock_quantity = stock_quantity - $1, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = $2 AND stock_quantity >= $1
+           RETURNING stock_quantity`,
+          [quantity, id]
         );
 
-        const currentProduct = stockResult.rows[0];
+        if (!result.rows[0]) {
+          throw new Error("Insufficient stock");
+        }
+        return result.rows[0];
+      } finally {
+        if (!txClient) client.release();
+      }
+    } else {
+      // Supabase implementation: compare-and-set on the value we read, and
+      // retry if another checkout changed it in between
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: currentProduct } = await pool
+          .from("products")
+          .select("stock_quantity")
+          .eq("id", id)
+          .single();
+
         if (!currentProduct || currentProduct.stock_quantity < quantity) {
           throw new Error("Insufficient stock");
         }
 
+        const { data, error } = await pool
+          .from("products")
+          .update({
+            stock_quantity: currentProduct.stock_quantity - quantity,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", id)
+          .eq("stock_quantity", currentProduct.stock_quantity)
+          .select("stock_quantity")
+          .maybeSingle();
+
+        if (error) throw error;
+        if (data) return data;
+      }
+      throw new Error("Insufficient stock");
+    }
+  }
+
+  // Put stock back, e.g. when an unshipped order is cancelled
+  static async restoreStock(id, quantity, txClient = null) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = txClient || (await pool.connect());
+      try {
         const result = await client.query(
-          `UPDATE products 
-           SET stock_quantity = stock_quantity - $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = $2 
+          `UPDATE products
+           SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
            RETURNING stock_quantity`,
           [quantity, id]
         );
-
         return result.rows[0];
       } finally {
-        client.release();
+        if (!txClient) client.release();
       }
     } else {
-      // Supabase implementation
-      const { data: currentProduct } = await pool
+      const { data: currentProduct, error: readError } = await pool
         .from("products")
         .select("stock_quantity")
         .eq("id", id)
         .single();
-
-      if (!currentProduct || currentProduct.stock_quantity < quantity) {
-        throw new Error("Insufficient stock");
-      }
+      if (readError) throw readError;
 
       const { data, error } = await pool
         .from("products")
         .update({
-          stock_quantity: currentProduct.stock_quantity - quantity,
+          stock_quantity: currentProduct.stock_quantity + quantity,
           updated_at: new Date().toISOString(),
         })
         .eq("id", id)
@@ -318,7 +776,8 @@ export class Product {
     }
   }
 
-  static async getFeatured(limit = 6) {
+  // Newest featured products, optionally of one brand
+  static async getFeatured(limit = 6, { brandId = null } = {}) {
     if (DATABASE_TYPE === "postgresql") {
       // PostgreSQL implementation
       const client = await pool.connect();
@@ -326,53 +785,54 @@ export class Product {
         const result = await client.query(
           `SELECT p.*, b.name as brand_name, c.name as category_name,
                   COALESCE(AVG(r.rating), 0) as avg_rating,
-                  COUNT(r.id) as review_count
+                  COUNT(r.id) as review_count,
+                  ${VARIANTS_SQL}
            FROM products p
            INNER JOIN brands b ON p.brand_id = b.id
            INNER JOIN categories c ON p.category_id = c.id
-           LEFT JOIN reviews r ON p.id = r.product_id
+           LEFT JOIN reviews r ON p.id = r.product_id AND r.is_approved
            WHERE p.status = 'active' AND p.is_featured = true
+             AND ($2::uuid IS NULL OR p.brand_id = $2)
            GROUP BY p.id, b.name, c.name
            ORDER BY p.created_at DESC
            LIMIT $1`,
-          [limit]
+          [limit, brandId]
         );
 
-        return result.rows;
+        return result.rows.map((row) => withVariants(row, row.variants));
       } finally {
         client.release();
       }
     } else {
       // Supabase implementation
-      const { data, error } = await pool
+      let query = pool
         .from("products")
         .select(
           `
           *,
           brands!inner(name),
           categories!inner(name),
-          reviews(rating),
-          product_variants(id,sku,price,stock_quantity,attributes,images)
+          reviews(rating, is_approved),
+          product_variants(*)
         `
         )
         .eq("status", "active")
-        .eq("is_featured", true)
+        .eq("is_featured", true);
+      if (brandId) query = query.eq("brand_id", brandId);
+      const { data, error } = await query
         .order("created_at", { ascending: false })
         .limit(limit);
 
       if (error) throw error;
 
-      return data.map((product) => ({
-        ...product,
-        brand_name: product.brands.name,
-        category_name: product.categories.name,
-        avg_rating:
-          product.reviews.length > 0
-            ? product.reviews.reduce((sum, r) => sum + r.rating, 0) /
-              product.reviews.length
-            : 0,
-        review_count: product.reviews.length,
-      }));
+      return data.map(({ reviews, ...product }) =>
+        withEmbeddedVariants({
+          ...product,
+          brand_name: product.brands.name,
+          category_name: product.categories.name,
+          ...approvedRatingStats(reviews),
+        })
+      );
     }
   }
 }
@@ -0,0 +1,83 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Which of our products a brand API's product became (`product_mappings`).
+// `variant_mappings` maps the brand's variant ids to our variant ids.
+export class ProductMapping {
+  static async find(configId, externalId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM product_mappings
+           WHERE brand_api_config_id = $1 AND external_product_id = $2`,
+          [configId, externalId]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("product_mappings")
+      .select("*")
+      .eq("brand_api_config_id", configId)
+      .eq("external_product_id", externalId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // Create or replace the mapping for the external product
+  static async save(
+    configId,
+    externalId,
+    { productId, externalData, variantMappings }
+  ) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `INSERT INTO product_mappings (
+             brand_api_config_id, external_product_id, internal_product_id,
+             external_data, variant_mappings, last_synced_at
+           )
+           VALUES ($1, $2, $3, $4, $5, now())
+           ON CONFLICT (external_product_id, brand_api_config_id)
+           DO UPDATE SET internal_product_id = EXCLUDED.internal_product_id,
+                         external_data = EXCLUDED.external_data,
+                         variant_mappings = EXCLUDED.variant_mappings,
+                         last_synced_at = now()`,
+          [
+            configId,
+            externalId,
+            productId,
+            JSON.stringify(externalData ?? null),
+            JSON.stringify(variantMappings || {}),
+          ]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool.from("product_mappings").upsert(
+      {
+        brand_api_config_id: configId,
+        external_product_id: externalId,
+        internal_product_id: productId,
+        external_data: externalData ?? null,
+        variant_mappings: variantMappings || {},
+        last_synced_at: new Date().toISOString(),
+      },
+      { onConflict: "external_product_id,brand_api_config_id" }
+    );
+    if (error) throw error;
+  }
+}
+
+export default ProductMapping;
@@ -0,0 +1,158 @@
+import { pool } from "../config/database.js";
+import {
+  VARIANT_JSON_COLUMNS,
+  normalizeVariantInput,
+  serializeVariant,
+} from "../services/products/variants.js";
+import { HttpError } from "../utils/httpError.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// SKUs are unique, and so are the option combinations of a product's
+// active variants
+const conflictError = (error) => {
+  if (error?.code !== "23505") return null;
+  return /sku/.test(error.constraint || error.message)
+    ? new HttpError(409, "Another variant already uses this SKU")
+    : new HttpError(409, "Another variant already has these options");
+};
+
+const toPgValue = (column, value) =>
+  VARIANT_JSON_COLUMNS.includes(column) && value !== null
+    ? JSON.stringify(value)
+    : value;
+
+export class ProductVariant {
+  // A product's variants, oldest first; inactive ones only when asked for
+  static async listForProduct(productId, { includeInactive = false } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM product_variants
+           WHERE product_id = $1 AND ($2 OR is_active)
+           ORDER BY created_at ASC`,
+          [productId, includeInactive]
+        );
+        return result.rows.map(serializeVariant);
+      } finally {
+        client.release();
+      }
+    }
+    let query = pool
+      .from("product_variants")
+      .select("*")
+      .eq("product_id", productId);
+    if (!includeInactive) query = query.eq("is_active", true);
+    const { data, error } = await query.order("created_at", {
+      ascending: true,
+    });
+    if (error) throw error;
+    return (data || []).map(serializeVariant);
+  }
+
+  // One of the product's variants, active or not
+  static async findForProduct(productId, variantId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM product_variants WHERE id = $1 AND product_id = $2`,
+          [variantId, productId]
+        );
+        return result.rows[0] ? serializeVariant(result.rows[0]) : null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("product_variants")
+      .select("*")
+      .eq("id", variantId)
+      .eq("product_id", productId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? serializeVariant(data) : null;
+  }
+
+  static async create(productId, input) {
+    const columns = {
+      attributes: {},
+      images: [],
+      ...normalizeVariantInput(input),
+      product_id: productId,
+    };
+    try {
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const names = Object.keys(columns);
+          const result = await client.query(
+            `INSERT INTO product_variants (${names.join(", ")})
+             VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+             RETURNING *`,
+            names.map((name) => toPgValue(name, columns[name]))
+          );
+          return serializeVariant(result.rows[0]);
+        } finally {
+          client.release();
+        }
+      }
+      const { data, error } = await pool
+        .from("product_variants")
+        .insert(columns)
+        .select()
+        .single();
+      if (error) throw error;
+      return serializeVariant(data);
+    } catch (err) {
+      throw conflictError(err) || err;
+    }
+  }
+
+  // Apply `changes` (column names or camelCase aliases) to a variant
+  static async update(productId, variantId, changes) {
+    const columns = normalizeVariantInput(changes);
+    try {
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const names = Object.keys(columns);
+          const assignments = [
+            ...names.map((name, i) => `${name} = $${i + 3}`),
+            "updated_at = now()",
+          ];
+          const result = await client.query(
+            `UPDATE product_variants SET ${assignments.join(", ")}
+             WHERE id = $1 AND product_id = $2
+             RETURNING *`,
+            [
+              variantId,
+              productId,
+              ...names.map((name) => toPgValue(name, columns[name])),
+            ]
+          );
+          return result.rows[0] ? serializeVariant(result.rows[0]) : null;
+        } finally {
+          client.release();
+        }
+      }
+      const { data, error } = await pool
+        .from("product_variants")
+        .update({ ...columns, updated_at: new Date().toISOString() })
+        .eq("id", variantId)
+        .eq("product_id", productId)
+        .select()
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data ? serializeVariant(data) : null;
+    } catch (err) {
+      throw conflictError(err) || err;
+    }
+  }
+}
+
+export default ProductVariant;
@@ -0,0 +1,37 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+export class Promotion {
+  // Automatic promotions running right now, highest priority first.
+  // Whether one applies to a cart is decided by selectPromotion.
+  static async listActive(now = new Date(), { txClient = null } = {}) {
+    const at = now.toISOString();
+    if (DATABASE_TYPE === "postgresql") {
+      const query = `SELECT * FROM promotions
+         WHERE is_active AND start_date <= $1 AND end_date >= $1
+         ORDER BY priority DESC, created_at ASC`;
+      if (txClient) return (await txClient.query(query, [at])).rows;
+      const client = await pool.connect();
+      try {
+        return (await client.query(query, [at])).rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("promotions")
+      .select("*")
+      .eq("is_active", true)
+      .lte("start_date", at)
+      .gte("end_date", at)
+      .order("priority", { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export default Promotion;
@@ -0,0 +1,461 @@
+import { pool } from "../config/database.js";
+import {
+  REVIEW_SORTS,
+  latestDeliveredOrderId,
+} from "../services/products/reviews.js";
+import { HttpError } from "../utils/httpError.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Joined so the API can show "Sarah M." without exposing the user
+const AUTHOR_COLUMNS_SQL = `u.first_name AS author_first_name,
+  u.last_name AS author_last_name`;
+
+// Supabase rows embed the author instead
+const withAuthor = ({ users, ...row }) => ({
+  ...row,
+  author_first_name: users?.first_name ?? null,
+  author_last_name: users?.last_name ?? null,
+});
+
+// A user reviews a product once (idx_reviews_product_user)
+const duplicateError = (error) =>
+  error?.code === "23505"
+    ? new HttpError(409, "You have already reviewed this product")
+    : null;
+
+// Back into the moderation queue after any change by the reviewer
+const REQUEUE = {
+  is_approved: false,
+  moderated_at: null,
+  moderated_by: null,
+  rejection_reason: null,
+};
+
+const toPgValue = (column, value) =>
+  column === "images" ? JSON.stringify(value) : value;
+
+// Product reviews (`reviews`) and helpful votes (`review_votes`). See
+// services/products/reviews.js for the rules.
+export class Review {
+  // One page of a product's approved reviews (`params` from
+  // parseReviewListParams) and how many match in all
+  static async listForProduct(productId, params) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const values = [productId];
+        const where = ["r.product_id = $1", "r.is_approved"];
+        if (params.rating) {
+          values.push(params.rating);
+          where.push(`r.rating = $${values.length}`);
+        }
+        if (params.verifiedOnly) where.push("r.is_verified_purchase");
+        if (params.withPhotos) where.push("jsonb_array_length(r.images) > 0");
+
+        const totalResult = await client.query(
+          `SELECT COUNT(*) AS total FROM reviews r WHERE ${where.join(" AND ")}`,
+          values
+        );
+        const order = REVIEW_SORTS[params.sort]
+          .map(([column, asc]) => `r.${column} ${asc ? "ASC" : "DESC"}`)
+          .concat("r.id")
+          .join(", ");
+        const result = await client.query(
+          `SELECT r.*, ${AUTHOR_COLUMNS_SQL}
+           FROM reviews r
+           JOIN users u ON u.id = r.user_id
+           WHERE ${where.join(" AND ")}
+           ORDER BY ${order}
+           LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, params.limit, params.offset]
+        );
+        return {
+          reviews: result.rows,
+          total: Number(totalResult.rows[0].total) || 0,
+        };
+      } finally {
+        client.release();
+      }
+    }
+    let query = pool
+      .from("reviews")
+      .select("*, users(first_name, last_name)", { count: "exact" })
+      .eq("product_id", productId)
+      .eq("is_approved", true);
+    if (params.rating) query = query.eq("rating", params.rating);
+    if (params.verifiedOnly) query = query.eq("is_verified_purchase", true);
+    if (params.withPhotos) query = query.neq("images", "[]");
+    for (const [column, ascending] of REVIEW_SORTS[params.sort]) {
+      query = query.order(column, { ascending });
+    }
+    const { data, count, error } = await query
+      .order("id", { ascending: true })
+      .range(params.offset, params.offset + params.limit - 1);
+    if (error) throw error;
+    return {
+      reviews: (data || []).map(withAuthor),
+      total: count ?? (data || []).length,
+    };
+  }
+
+  // [{ rating, count }] over the product's approved reviews
+  static async ratingCounts(productId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT rating, COUNT(*) AS count
+           FROM reviews
+           WHERE product_id = $1 AND is_approved
+           GROUP BY rating`,
+          [productId]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("reviews")
+      .select("rating")
+      .eq("product_id", productId)
+      .eq("is_approved", true);
+    if (error) throw error;
+    return (data || []).map((row) => ({ rating: row.rating, count: 1 }));
+  }
+
+  static async findById(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT r.*, ${AUTHOR_COLUMNS_SQL}
+           FROM reviews r
+           JOIN users u ON u.id = r.user_id
+           WHERE r.id = $1`,
+          [id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("reviews")
+      .select("*, users(first_name, last_name)")
+      .eq("id", id)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? withAuthor(data) : null;
+  }
+
+  // The user's review of the product, approved or not
+  static async findForUser(productId, userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT r.*, ${AUTHOR_COLUMNS_SQL}
+           FROM reviews r
+           JOIN users u ON u.id = r.user_id
+           WHERE r.product_id = $1 AND r.user_id = $2`,
+          [productId, userId]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("reviews")
+      .select("*, users(first_name, last_name)")
+      .eq("product_id", productId)
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? withAuthor(data) : null;
+  }
+
+  // The latest of the user's orders in which the product was delivered, or
+  // null when they never received it
+  static async deliveredOrderId(userId, productId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT o.id
+           FROM order_items oi
+           JOIN orders o ON o.id = oi.order_id
+           LEFT JOIN order_fulfillments f ON f.id = oi.fulfillment_id
+           WHERE o.user_id = $1 AND oi.product_id = $2
+             AND COALESCE(f.status, o.status::text) = 'delivered'
+           ORDER BY o.created_at DESC
+           LIMIT 1`,
+          [userId, productId]
+        );
+        return result.rows[0]?.id ?? null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("order_items")
+      .select(
+        "order_id, orders!inner(user_id, status, created_at), order_fulfillments(status)"
+      )
+      .eq("product_id", productId)
+      .eq("orders.user_id", userId);
+    if (error) throw error;
+    return latestDeliveredOrderId(data);
+  }
+
+  // `fields` from normalizeReviewInput plus the verified-purchase order
+  static async create({ productId, userId, orderId, fields }) {
+    const columns = {
+      images: [],
+      ...fields,
+      product_id: productId,
+      user_id: userId,
+      order_id: orderId,
+      is_verified_purchase: Boolean(orderId),
+      ...REQUEUE,
+    };
+    try {
+      if (DATABASE_TYPE === "postgresql") {
+        const client = await pool.connect();
+        try {
+          const names = Object.keys(columns);
+          const result = await client.query(
+            `INSERT INTO reviews (${names.join(", ")})
+             VALUES (${names.map((_, i) => `$${i + 1}`).join(", ")})
+             RETURNING id`,
+            names.map((name) => toPgValue(name, columns[name]))
+          );
+          return Review.findById(result.rows[0].id);
+        } finally {
+          client.release();
+        }
+      }
+      const { data, error } = await pool
+        .from("reviews")
+        .insert(columns)
+        .select("id")
+        .single();
+      if (error) throw error;
+      return Review.findById(data.id);
+    } catch (err) {
+      throw duplicateError(err) || err;
+    }
+  }
+
+  // Apply the reviewer's changes; the purchase check is redone and the
+  // review waits for moderation again
+  static async update(id, { orderId, fields }) {
+    const columns = {
+      ...fields,
+      order_id: orderId,
+      is_verified_purchase: Boolean(orderId),
+      ...REQUEUE,
+    };
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const names = Object.keys(columns);
+        const assignments = [
+          ...names.map((name, i) => `${name} = $${i + 2}`),
+          "updated_at = now()",
+        ];
+        const result = await client.query(
+          `UPDATE reviews SET ${assignments.join(", ")}
+           WHERE id = $1
+           RETURNING id`,
+          [id, ...names.map((name) => toPgValue(name, columns[name]))]
+        );
+        return result.rows[0] ? Review.findById(id) : null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("reviews")
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select("id")
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? Review.findById(id) : null;
+  }
+
+  // Which of `reviewIds` the user marked helpful
+  static async votedBy(userId, reviewIds) {
+    if (!userId || reviewIds.length === 0) return new Set();
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT review_id FROM review_votes
+           WHERE user_id = $1 AND review_id = ANY($2::uuid[])`,
+          [userId, reviewIds]
+        );
+        return new Set(result.rows.map((row) => row.review_id));
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("review_votes")
+      .select("review_id")
+      .eq("user_id", userId)
+      .in("review_id", reviewIds);
+    if (error) throw error;
+    return new Set((data || []).map((row) => row.review_id));
+  }
+
+  // Add (`helpful` true) or take back the user's helpful vote and return
+  // the review's new `helpful_count`. Voting twice changes nothing.
+  static async setHelpfulVote(reviewId, userId, helpful) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query(
+          helpful
+            ? `INSERT INTO review_votes (review_id, user_id) VALUES ($1, $2)
+               ON CONFLICT (review_id, user_id) DO NOTHING`
+            : "DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2",
+          [reviewId, userId]
+        );
+        const result = await client.query(
+          `UPDATE reviews
+           SET helpful_count =
+             (SELECT COUNT(*) FROM review_votes WHERE review_id = $1)
+           WHERE id = $1
+           RETURNING helpful_count`,
+          [reviewId]
+        );
+        await client.query("COMMIT");
+        return Number(result.rows[0]?.helpful_count) || 0;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+    const write = helpful
+      ? pool
+          .from("review_votes")
+          .insert({ review_id: reviewId, user_id: userId })
+      : pool
+          .from("review_votes")
+          .delete()
+          .eq("review_id", reviewId)
+          .eq("user_id", userId);
+    const { error } = await write;
+    if (error && error.code !== "23505") throw error;
+    const { count, error: countError } = await pool
+      .from("review_votes")
+      .select("review_id", { count: "exact", head: true })
+      .eq("review_id", reviewId);
+    if (countError) throw countError;
+    const { error: updateError } = await pool
+      .from("reviews")
+      .update({ helpful_count: count || 0 })
+      .eq("id", reviewId);
+    if (updateError) throw updateError;
+    return count || 0;
+  }
+
+  // Reviews waiting for a moderator, oldest first, with the product name
+  static async queue({ limit, offset }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const totalResult = await client.query(
+          `SELECT COUNT(*) AS total FROM reviews
+           WHERE NOT is_approved AND moderated_at IS NULL`
+        );
+        const result = await client.query(
+          `SELECT r.*, ${AUTHOR_COLUMNS_SQL}, p.name AS product_name
+           FROM reviews r
+           JOIN users u ON u.id = r.user_id
+           JOIN products p ON p.id = r.product_id
+           WHERE NOT r.is_approved AND r.moderated_at IS NULL
+           ORDER BY r.updated_at ASC, r.id
+           LIMIT $1 OFFSET $2`,
+          [limit, offset]
+        );
+        return {
+          reviews: result.rows,
+          total: Number(totalResult.rows[0].total) || 0,
+        };
+      } finally {
+        client.release();
+      }
+    }
+    const { data, count, error } = await pool
+      .from("reviews")
+      .select("*, users(first_name, last_name), products(name)", {
+        count: "exact",
+      })
+      .eq("is_approved", false)
+      .is("moderated_at", null)
+      .order("updated_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return {
+      reviews: (data || []).map(({ products, ...row }) => ({
+        ...withAuthor(row),
+        product_name: products?.name ?? null,
+      })),
+      total: count ?? (data || []).length,
+    };
+  }
+
+  // Approve or reject a review; a rejected one stays hidden with `reason`
+  static async moderate(id, { approve, reason = null, moderatorId }) {
+    const columns = {
+      is_approved: approve,
+      moderated_at: new Date().toISOString(),
+      moderated_by: moderatorId,
+      rejection_reason: approve ? null : reason,
+    };
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `UPDATE reviews
+           SET is_approved = $2, moderated_at = $3, moderated_by = $4,
+               rejection_reason = $5
+           WHERE id = $1
+           RETURNING id`,
+          [
+            id,
+            columns.is_approved,
+            columns.moderated_at,
+            columns.moderated_by,
+            columns.rejection_reason,
+          ]
+        );
+        return result.rows[0] ? Review.findById(id) : null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("reviews")
+      .update(columns)
+      .eq("id", id)
+      .select("id")
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? Review.findById(id) : null;
+  }
+}
+
+export default Review;
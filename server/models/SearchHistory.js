@@ -0,0 +1,140 @@
+import { pool } from "../config/database.js";
+import {
+  distinctRecent,
+  SUGGEST_LIMIT,
+} from "../services/search/suggestions.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// How many of a user's latest searches are read to find their distinct
+// recent queries
+const RECENT_SCAN = 50;
+
+// A signed-in user's own searches (user_search_history), shown back to them
+// as "recent searches"
+export class SearchHistory {
+  static async record(
+    userId,
+    { query, filters = {}, resultsCount = 0, sessionId = null }
+  ) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `INSERT INTO user_search_history
+             (user_id, search_query, filters_applied, results_count, session_id)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [userId, query, JSON.stringify(filters), resultsCount, sessionId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool.from("user_search_history").insert({
+      user_id: userId,
+      search_query: query,
+      filters_applied: filters,
+      results_count: resultsCount,
+      session_id: sessionId,
+    });
+    if (error) throw error;
+  }
+
+  // Add a clicked product to the user's latest search for `query`
+  static async recordClick(userId, query, productId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `UPDATE user_search_history
+           SET clicked_products = array_append(
+             COALESCE(clicked_products, '{}'), $3::uuid)
+           WHERE id = (
+             SELECT id FROM user_search_history
+             WHERE user_id = $1 AND search_query = $2
+             ORDER BY created_at DESC
+             LIMIT 1
+           )
+           AND NOT ($3::uuid = ANY(COALESCE(clicked_products, '{}')))`,
+          [userId, query, productId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { data, error } = await pool
+      .from("user_search_history")
+      .select("id, clicked_products")
+      .eq("user_id", userId)
+      .eq("search_query", query)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    const clicked = data?.clicked_products || [];
+    if (!data || clicked.includes(productId)) return;
+    const { error: updateError } = await pool
+      .from("user_search_history")
+      .update({ clicked_products: [...clicked, productId] })
+      .eq("id", data.id);
+    if (updateError) throw updateError;
+  }
+
+  // Distinct queries, newest first, optionally only those starting with `q`
+  static async recent(userId, q = "", limit = SUGGEST_LIMIT) {
+    let rows;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT search_query FROM user_search_history
+           WHERE user_id = $1 AND search_type = 'text'
+           ORDER BY created_at DESC
+           LIMIT $2`,
+          [userId, RECENT_SCAN]
+        );
+        rows = result.rows;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("user_search_history")
+        .select("search_query")
+        .eq("user_id", userId)
+        .eq("search_type", "text")
+        .order("created_at", { ascending: false })
+        .limit(RECENT_SCAN);
+      if (error) throw error;
+      rows = data || [];
+    }
+    return distinctRecent(rows, q, limit);
+  }
+
+  static async clear(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          "DELETE FROM user_search_history WHERE user_id = $1",
+          [userId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("user_search_history")
+      .delete()
+      .eq("user_id", userId);
+    if (error) throw error;
+  }
+}
+
+export default SearchHistory;
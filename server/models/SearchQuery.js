@@ -0,0 +1,170 @@
+import { pool } from "../config/database.js";
+import {
+  buildSearchReport,
+  reportEntry,
+  reportTotals,
+} from "../services/search/searchAnalytics.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Logged searches the Supabase report reads at most
+const SUPABASE_REPORT_SCAN = 10000;
+
+// Per-query aggregates over search_queries since $1, most searched first,
+// at most $2; `where` narrows the rows (e.g. zero results)
+const queryStatsSql = (where = "TRUE") => `
+  SELECT lower(trim(query)) AS query,
+         COUNT(*) AS searches,
+         COUNT(DISTINCT COALESCE(user_id::text, session_id, id::text)) AS searchers,
+         AVG(results_count) AS avg_results,
+         COUNT(clicked_product_id) AS clicks,
+         MAX(created_at) AS last_searched_at
+  FROM search_queries
+  WHERE created_at >= $1 AND trim(query) <> '' AND ${where}
+  GROUP BY 1
+  ORDER BY searches DESC, query
+  LIMIT $2`;
+
+// One row per search anyone ran (search_queries): what was asked, with which
+// filters, how many results came back, and the first product clicked
+export class SearchQuery {
+  // Returns the new row's id, which the client sends back with clicks
+  static async log({
+    query,
+    userId = null,
+    sessionId = null,
+    resultsCount = 0,
+    filters = {},
+    ipAddress = null,
+  }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `INSERT INTO search_queries
+             (query, user_id, session_id, results_count, filters_applied, ip_address)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id`,
+          [
+            query,
+            userId,
+            sessionId,
+            resultsCount,
+            JSON.stringify(filters),
+            ipAddress,
+          ]
+        );
+        return result.rows[0].id;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("search_queries")
+      .insert({
+        query,
+        user_id: userId,
+        session_id: sessionId,
+        results_count: resultsCount,
+        filters_applied: filters,
+        ip_address: ipAddress,
+      })
+      .select("id")
+      .single();
+    if (error) throw error;
+    return data.id;
+  }
+
+  static async findById(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          "SELECT * FROM search_queries WHERE id = $1",
+          [id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("search_queries")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // Keep the first product clicked from a search's results (and where it
+  // was listed, 1-based). Later clicks leave the row as it is.
+  static async recordClick(id, { productId, position = null }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          `UPDATE search_queries
+           SET clicked_product_id = $2, clicked_position = $3
+           WHERE id = $1 AND clicked_product_id IS NULL`,
+          [id, productId, position]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("search_queries")
+      .update({ clicked_product_id: productId, clicked_position: position })
+      .eq("id", id)
+      .is("clicked_product_id", null);
+    if (error) throw error;
+  }
+
+  // Admin report for searches since `since`: totals, the most searched
+  // queries with their click-through, and the queries that found nothing
+  static async report({ since, limit }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const values = [since, limit];
+        const totals = await client.query(
+          `SELECT COUNT(*) AS searches,
+                  COUNT(*) FILTER (WHERE results_count = 0) AS zero_results,
+                  COUNT(clicked_product_id) AS clicked
+           FROM search_queries
+           WHERE created_at >= $1`,
+          [since]
+        );
+        const top = await client.query(queryStatsSql(), values);
+        const zero = await client.query(
+          queryStatsSql("results_count = 0"),
+          values
+        );
+        return {
+          totals: reportTotals(totals.rows[0]),
+          top_queries: top.rows.map(reportEntry),
+          zero_result_queries: zero.rows.map(reportEntry),
+        };
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("search_queries")
+      .select(
+        "id, query, user_id, session_id, results_count, clicked_product_id, created_at"
+      )
+      .gte("created_at", since)
+      .order("created_at", { ascending: false })
+      .limit(SUPABASE_REPORT_SCAN);
+    if (error) throw error;
+    return buildSearchReport(data || [], { limit });
+  }
+}
+
+export default SearchQuery;
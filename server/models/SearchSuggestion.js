@@ -0,0 +1,214 @@
+import { pool } from "../config/database.js";
+import {
+  POPULAR_WINDOW_DAYS,
+  SUGGEST_LIMIT,
+  likePatterns,
+  normalizeQuery,
+  postgrestSafe,
+  rankPopularQueries,
+} from "../services/search/suggestions.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Search rows the Supabase path reads per table to rank popular queries
+const SUPABASE_POPULAR_SCAN = 500;
+
+// Names starting with the text first, then a word starting with it, then
+// close misspellings (pg_trgm, default threshold); $1 = text, $2 = prefix
+// pattern, $3 = word-prefix pattern
+const nameMatchSql = (column) => `(
+  ${column} ILIKE $2 OR ${column} ILIKE $3 OR $1 <% ${column}
+)`;
+const nameOrderSql = (column) =>
+  `(${column} ILIKE $2) DESC, word_similarity($1, ${column}) DESC, ${column}`;
+
+// Queries with results in the last POPULAR_WINDOW_DAYS, from anonymous
+// logs and signed-in history, each searcher counted once per query
+const popularSql = (patternRef, limitRef) => `
+  SELECT query, COUNT(DISTINCT searcher) AS count
+  FROM (
+    SELECT lower(trim(query)) AS query,
+           COALESCE(user_id::text, session_id, id::text) AS searcher
+    FROM search_queries
+    WHERE results_count > 0
+      AND created_at > now() - interval '${POPULAR_WINDOW_DAYS} days'
+    UNION ALL
+    SELECT lower(trim(search_query)), user_id::text
+    FROM user_search_history
+    WHERE results_count > 0 AND search_type = 'text'
+      AND created_at > now() - interval '${POPULAR_WINDOW_DAYS} days'
+  ) s
+  WHERE query LIKE ${patternRef}
+  GROUP BY query
+  ORDER BY count DESC, query
+  LIMIT ${limitRef}`;
+
+// Everything the dropdown needs in one round trip; $4 = limit
+const SUGGEST_SQL = `
+  SELECT
+    (SELECT COALESCE(json_agg(x), '[]') FROM (
+      SELECT p.id, p.slug, p.name, p.price, p.images->>0 AS image,
+             b.name AS brand_name
+      FROM products p
+      LEFT JOIN brands b ON b.id = p.brand_id
+      WHERE p.status = 'active' AND ${nameMatchSql("p.name")}
+      ORDER BY ${nameOrderSql("p.name")}
+      LIMIT $4
+    ) x) AS products,
+    (SELECT COALESCE(json_agg(x), '[]') FROM (
+      SELECT id, slug, name FROM brands
+      WHERE is_active AND ${nameMatchSql("name")}
+      ORDER BY ${nameOrderSql("name")}
+      LIMIT $4
+    ) x) AS brands,
+    (SELECT COALESCE(json_agg(x), '[]') FROM (
+      SELECT id, slug, name FROM categories
+      WHERE is_active AND ${nameMatchSql("name")}
+      ORDER BY ${nameOrderSql("name")}
+      LIMIT $4
+    ) x) AS categories,
+    (SELECT COALESCE(json_agg(x), '[]') FROM (${popularSql("$2", "$4")}) x)
+      AS queries`;
+
+const toPopular = (rows) =>
+  rows.map((row) => ({ query: row.query, count: Number(row.count) }));
+
+const sinceWindow = () =>
+  new Date(
+    Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data || [];
+};
+
+// Supabase: popular queries ranked in memory from the latest searches
+const supabasePopular = async (q, limit) => {
+  const pattern = `${postgrestSafe(q)}*`;
+  const [searches, history] = await Promise.all([
+    pool
+      .from("search_queries")
+      .select("id, query, user_id, session_id")
+      .gt("results_count", 0)
+      .gte("created_at", sinceWindow())
+      .ilike("query", pattern)
+      .order("created_at", { ascending: false })
+      .limit(SUPABASE_POPULAR_SCAN),
+    pool
+      .from("user_search_history")
+      .select("search_query, user_id")
+      .gt("results_count", 0)
+      .eq("search_type", "text")
+      .gte("created_at", sinceWindow())
+      .ilike("search_query", pattern)
+      .order("created_at", { ascending: false })
+      .limit(SUPABASE_POPULAR_SCAN),
+  ]);
+  return rankPopularQueries(
+    [
+      ...unwrap(searches).map((row) => ({
+        query: row.query,
+        searcher: row.user_id || row.session_id || row.id,
+      })),
+      ...unwrap(history).map((row) => ({
+        query: row.search_query,
+        searcher: row.user_id,
+      })),
+    ],
+    q,
+    limit
+  );
+};
+
+// Supabase: name matches by prefix and word prefix (no fuzzy matching)
+const supabaseSuggestions = async (q, limit) => {
+  const safe = postgrestSafe(q);
+  const nameFilter = `name.ilike.${safe}*,name.ilike.* ${safe}*`;
+  const byName = (table, columns) => {
+    let query = pool.from(table).select(columns).or(nameFilter);
+    query =
+      table === "products"
+        ? query.eq("status", "active")
+        : query.eq("is_active", true);
+    return query.order("name").limit(limit);
+  };
+  const [products, brands, categories, queries] = await Promise.all([
+    byName("products", "id, slug, name, price, images, brands(name)"),
+    byName("brands", "id, slug, name"),
+    byName("categories", "id, slug, name"),
+    supabasePopular(q, limit),
+  ]);
+  return {
+    products: unwrap(products).map(({ images, brands: brand, ...p }) => ({
+      ...p,
+      price: Number(p.price),
+      image: Array.isArray(images) ? images[0] || null : null,
+      brand_name: brand ? brand.name : null,
+    })),
+    brands: unwrap(brands),
+    categories: unwrap(categories),
+    queries,
+  };
+};
+
+// Autocomplete suggestions for what the shopper has typed so far
+export class SearchSuggestion {
+  // Products, brands and categories whose names match `q`, and the most
+  // popular recent searches starting with it (all popular searches when `q`
+  // is empty)
+  static async forQuery(q, limit = SUGGEST_LIMIT) {
+    const text = normalizeQuery(q);
+    if (!text) {
+      return {
+        products: [],
+        brands: [],
+        categories: [],
+        queries: await SearchSuggestion.popular("", limit),
+      };
+    }
+    if (DATABASE_TYPE !== "postgresql") {
+      return supabaseSuggestions(text, limit);
+    }
+    const { prefix, wordPrefix } = likePatterns(text);
+    const client = await pool.connect();
+    try {
+      const result = await client.query(SUGGEST_SQL, [
+        text,
+        prefix,
+        wordPrefix,
+        limit,
+      ]);
+      const row = result.rows[0];
+      return {
+        products: row.products.map((p) => ({ ...p, price: Number(p.price) })),
+        brands: row.brands,
+        categories: row.categories,
+        queries: toPopular(row.queries),
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Most searched queries starting with `q`
+  static async popular(q = "", limit = SUGGEST_LIMIT) {
+    const text = normalizeQuery(q);
+    if (DATABASE_TYPE !== "postgresql") return supabasePopular(text, limit);
+    const client = await pool.connect();
+    try {
+      const result = await client.query(popularSql("$1", "$2"), [
+        likePatterns(text).prefix,
+        limit,
+      ]);
+      return toPopular(result.rows);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default SearchSuggestion;
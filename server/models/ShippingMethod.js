@@ -0,0 +1,64 @@
+import { pool } from "../config/database.js";
+import { STANDARD_SHIPPING } from "../utils/orderPricing.js";
+import { countryCode } from "../utils/address.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Methods limited to some countries list them by name or ISO code
+const servesCountry = (method, country) => {
+  const countries = method.available_countries || [];
+  if (!country || countries.length === 0) return true;
+  const wanted = [country, countryCode(country)]
+    .filter(Boolean)
+    .map((c) => String(c).toLowerCase());
+  return countries.some((c) => wanted.includes(String(c).toLowerCase()));
+};
+
+export class ShippingMethod {
+  // Methods a cart can ship with: standard shipping first, then the active
+  // `shipping_methods` rows in `sort_order`. A row with code "standard"
+  // replaces the built-in one.
+  static async listAvailable({ country = null, txClient = null } = {}) {
+    let rows;
+    if (DATABASE_TYPE === "postgresql") {
+      const query = `SELECT * FROM shipping_methods WHERE is_active ORDER BY sort_order ASC, name ASC`;
+      if (txClient) {
+        rows = (await txClient.query(query)).rows;
+      } else {
+        const client = await pool.connect();
+        try {
+          rows = (await client.query(query)).rows;
+        } finally {
+          client.release();
+        }
+      }
+    } else {
+      const { data, error } = await pool
+        .from("shipping_methods")
+        .select("*")
+        .eq("is_active", true)
+        .order("sort_order", { ascending: true });
+      if (error) throw error;
+      rows = data || [];
+    }
+
+    const methods = rows.filter((row) => servesCountry(row, country));
+    if (!methods.some((m) => m.code === STANDARD_SHIPPING.code)) {
+      methods.unshift(STANDARD_SHIPPING);
+    }
+    return methods;
+  }
+
+  // Resolve the method a shopper picked; null when it is not offered
+  static async findAvailable(code, { country = null, txClient = null } = {}) {
+    const methods = await ShippingMethod.listAvailable({ country, txClient });
+    return (
+      methods.find((m) => m.code === (code || STANDARD_SHIPPING.code)) || null
+    );
+  }
+}
+
+export default ShippingMethod;
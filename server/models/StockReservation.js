@@ -0,0 +1,520 @@
+import { pool } from "../config/database.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  RESERVATION_TTL_SECONDS,
+  planReservations,
+  allocateStock,
+  freeQuantity,
+} from "../services/inventory/reservations.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+const SUPABASE_RETRIES = 3;
+
+const insufficientStock = (line) =>
+  new HttpError(409, `Insufficient stock for ${line.name || "a product"}`);
+
+const expiresAtFrom = (ttlSeconds) =>
+  new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+// Run `fn` with a pg client inside a transaction, reusing the caller's
+// transaction when one is passed in
+const withTransaction = async (txClient, fn) => {
+  if (txClient) return fn(txClient);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Shift quantity_available / quantity_reserved on one product_inventory row.
+// Returns the row before and after. `requireFree` rejects the change when it
+// would promise more than is free. Postgres callers hold the row lock; the
+// Supabase path retries on a concurrent change instead.
+const adjustInventory = async (
+  client,
+  inventoryId,
+  { available = 0, reserved = 0, requireFree = false, line = {} }
+) => {
+  const check = (before) => {
+    const next = {
+      quantity_available: Number(before.quantity_available) + available,
+      quantity_reserved: Math.max(Number(before.quantity_reserved) + reserved, 0),
+    };
+    if (next.quantity_available < 0 || (requireFree && freeQuantity(next) < 0)) {
+      throw insufficientStock(line);
+    }
+    return next;
+  };
+
+  if (DATABASE_TYPE === "postgresql") {
+    const beforeResult = await client.query(
+      `SELECT * FROM product_inventory WHERE id = $1 FOR UPDATE`,
+      [inventoryId]
+    );
+    const before = beforeResult.rows[0];
+    const next = check(before);
+    const afterResult = await client.query(
+      `UPDATE product_inventory
+       SET quantity_available = $1, quantity_reserved = $2, updated_at = now()
+       WHERE id = $3
+       RETURNING *`,
+      [next.quantity_available, next.quantity_reserved, inventoryId]
+    );
+    return { before, after: afterResult.rows[0] };
+  }
+
+  for (let attempt = 0; attempt < SUPABASE_RETRIES; attempt++) {
+    const { data: before, error: readError } = await pool
+      .from("product_inventory")
+      .select("*")
+      .eq("id", inventoryId)
+      .single();
+    if (readError) throw readError;
+    const next = check(before);
+
+    const { data: after, error } = await pool
+      .from("product_inventory")
+      .update({ ...next, updated_at: new Date().toISOString() })
+      .eq("id", inventoryId)
+      .eq("quantity_available", before.quantity_available)
+      .eq("quantity_reserved", before.quantity_reserved)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (after) return { before, after };
+  }
+  throw new HttpError(409, "Stock changed while checking out, please retry");
+};
+
+// One inventory_movements row per stock change. Reservation movements track
+// quantity_reserved; sale and restock movements track quantity_available.
+const recordMovement = async (
+  client,
+  { before, after, type, column, reason, orderId = null, userId = null }
+) => {
+  const movement = {
+    product_id: after.product_id,
+    variant_id: after.variant_id,
+    warehouse_id: after.warehouse_id,
+    location_id: after.location_id,
+    movement_type: type,
+    quantity_change: Number(after[column]) - Number(before[column]),
+    quantity_before: Number(before[column]),
+    quantity_after: Number(after[column]),
+    reference_type: orderId ? "order" : "checkout",
+    reference_id: orderId,
+    reason,
+    performed_by: userId,
+  };
+
+  if (DATABASE_TYPE === "postgresql") {
+    const columns = Object.keys(movement);
+    await client.query(
+      `INSERT INTO inventory_movements (${columns.join(", ")})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})`,
+      Object.values(movement)
+    );
+  } else {
+    const { error } = await pool.from("inventory_movements").insert(movement);
+    if (error) throw error;
+  }
+};
+
+const setReservationStatus = async (client, ids, update) => {
+  if (ids.length === 0) return;
+  if (DATABASE_TYPE === "postgresql") {
+    const fields = Object.keys(update);
+    await client.query(
+      `UPDATE stock_reservations
+       SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(", ")}, updated_at = now()
+       WHERE id = ANY($1::uuid[])`,
+      [ids, ...Object.values(update)]
+    );
+  } else {
+    const { error } = await pool
+      .from("stock_reservations")
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .in("id", ids);
+    if (error) throw error;
+  }
+};
+
+// Reservations that are still holding stock for a user's checkout or an order
+const findActive = async (client, { userId = null, orderId = null }) => {
+  if (DATABASE_TYPE === "postgresql") {
+    const result = orderId
+      ? await client.query(
+          `SELECT * FROM stock_reservations
+           WHERE order_id = $1 AND status = 'active'
+           FOR UPDATE`,
+          [orderId]
+        )
+      : await client.query(
+          `SELECT * FROM stock_reservations
+           WHERE user_id = $1 AND order_id IS NULL AND status = 'active'
+           FOR UPDATE`,
+          [userId]
+        );
+    return result.rows;
+  }
+
+  let query = pool.from("stock_reservations").select("*").eq("status", "active");
+  query = orderId
+    ? query.eq("order_id", orderId)
+    : query.eq("user_id", userId).is("order_id", null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+};
+
+// Inventory rows in active warehouses that can supply a product/variant
+const findInventoryRows = async (client, line) => {
+  if (DATABASE_TYPE === "postgresql") {
+    const result = await client.query(
+      `SELECT pi.* FROM product_inventory pi
+       JOIN warehouses w ON w.id = pi.warehouse_id
+       WHERE pi.product_id = $1
+         AND pi.variant_id IS NOT DISTINCT FROM $2
+         AND w.is_active = true
+       ORDER BY pi.id
+       FOR UPDATE OF pi`,
+      [line.product_id, line.variant_id]
+    );
+    return result.rows;
+  }
+
+  let query = pool
+    .from("product_inventory")
+    .select("*, warehouses!inner(is_active)")
+    .eq("product_id", line.product_id)
+    .eq("warehouses.is_active", true);
+  query = line.variant_id
+    ? query.eq("variant_id", line.variant_id)
+    : query.is("variant_id", null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(({ warehouses, ...row }) => row);
+};
+
+// Reserve one line across inventory rows. Products with no product_inventory
+// rows are not tracked per warehouse and are skipped.
+const reserveLine = async (client, line, { userId, orderId, expiresAt }) => {
+  const rows = await findInventoryRows(client, line);
+  if (rows.length === 0) return [];
+
+  const allocations = allocateStock(rows, line.quantity);
+  if (!allocations) throw insufficientStock(line);
+
+  const created = [];
+  for (const { inventory, quantity } of allocations) {
+    const { before, after } = await adjustInventory(client, inventory.id, {
+      reserved: quantity,
+      requireFree: true,
+      line,
+    });
+    await recordMovement(client, {
+      before,
+      after,
+      type: "reserve",
+      column: "quantity_reserved",
+      reason: "checkout_reservation",
+      orderId,
+      userId,
+    });
+
+    const reservation = {
+      user_id: userId,
+      order_id: orderId,
+      inventory_id: inventory.id,
+      product_id: line.product_id,
+      variant_id: line.variant_id,
+      quantity,
+      expires_at: expiresAt,
+    };
+    if (DATABASE_TYPE === "postgresql") {
+      const columns = Object.keys(reservation);
+      const result = await client.query(
+        `INSERT INTO stock_reservations (${columns.join(", ")})
+         VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+         RETURNING *`,
+        Object.values(reservation)
+      );
+      created.push(result.rows[0]);
+    } else {
+      const { data, error } = await pool
+        .from("stock_reservations")
+        .insert(reservation)
+        .select()
+        .single();
+      if (error) throw error;
+      created.push(data);
+    }
+  }
+  return created;
+};
+
+// Give reserved stock back and close the reservations with `status`
+const releaseReservations = async (client, reservations, status, reason) => {
+  for (const reservation of reservations) {
+    const { before, after } = await adjustInventory(
+      client,
+      reservation.inventory_id,
+      { reserved: -reservation.quantity }
+    );
+    await recordMovement(client, {
+      before,
+      after,
+      type: "release",
+      column: "quantity_reserved",
+      reason,
+      orderId: reservation.order_id,
+      userId: reservation.user_id,
+    });
+  }
+  await setReservationStatus(
+    client,
+    reservations.map((r) => r.id),
+    { status }
+  );
+};
+
+// Bring a checkout's (or order's) reservations in line with `lines`
+const reconcile = async (client, { userId, orderId = null, lines, ttlSeconds }) => {
+  const active = await findActive(client, { userId, orderId });
+  const plan = planReservations(active, lines);
+  const expiresAt = expiresAtFrom(ttlSeconds);
+
+  await releaseReservations(client, plan.release, "released", "checkout_changed");
+  await setReservationStatus(
+    client,
+    plan.keep.map((r) => r.id),
+    { expires_at: expiresAt }
+  );
+
+  const reserved = [];
+  for (const line of plan.reserve) {
+    reserved.push(
+      ...(await reserveLine(client, line, { userId, orderId, expiresAt }))
+    );
+  }
+  return [...plan.keep.map((r) => ({ ...r, expires_at: expiresAt })), ...reserved];
+};
+
+const orderLines = async (client, orderId) => {
+  if (DATABASE_TYPE === "postgresql") {
+    const result = await client.query(
+      `SELECT o.user_id, oi.product_id, oi.variant_id, oi.quantity,
+              oi.product_snapshot->>'name' AS name
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       WHERE oi.order_id = $1`,
+      [orderId]
+    );
+    return result.rows;
+  }
+  const { data, error } = await pool
+    .from("order_items")
+    .select("product_id, variant_id, quantity, product_snapshot, orders!inner(user_id)")
+    .eq("order_id", orderId);
+  if (error) throw error;
+  return (data || []).map((row) => ({
+    user_id: row.orders?.user_id,
+    product_id: row.product_id,
+    variant_id: row.variant_id,
+    quantity: row.quantity,
+    name: row.product_snapshot?.name,
+  }));
+};
+
+export class StockReservation {
+  // Hold stock for everything in `lines` while the buyer pays. Calling it
+  // again (e.g. after the cart changed) adjusts the existing holds and
+  // extends their expiry. Throws 409 when a product has run out.
+  static async reserveForUser(
+    userId,
+    lines,
+    { ttlSeconds = RESERVATION_TTL_SECONDS, txClient = null } = {}
+  ) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, (client) =>
+        reconcile(client, { userId, lines, ttlSeconds })
+      );
+    }
+    return reconcile(null, { userId, lines, ttlSeconds });
+  }
+
+  // Hand the buyer's checkout reservations over to the order just placed
+  static async attachToOrder(userId, orderId, { txClient = null } = {}) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(txClient, async (client) => {
+        await client.query(
+          `UPDATE stock_reservations SET order_id = $1, updated_at = now()
+           WHERE user_id = $2 AND order_id IS NULL AND status = 'active'`,
+          [orderId, userId]
+        );
+      });
+    }
+    const { error } = await pool
+      .from("stock_reservations")
+      .update({ order_id: orderId, updated_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("order_id", null)
+      .eq("status", "active");
+    if (error) throw error;
+  }
+
+  // Make sure an unpaid order still holds its stock (re-reserving anything
+  // that expired) and push the expiry out so it survives the payment call
+  static async ensureForOrder(
+    orderId,
+    { ttlSeconds = RESERVATION_TTL_SECONDS, txClient = null } = {}
+  ) {
+    const run = async (client) => {
+      const lines = await orderLines(client, orderId);
+      if (lines.length === 0) return [];
+      return reconcile(client, {
+        userId: lines[0].user_id,
+        orderId,
+        lines,
+        ttlSeconds,
+      });
+    };
+    if (DATABASE_TYPE === "postgresql") return withTransaction(txClient, run);
+    return run(null);
+  }
+
+  // Payment received: turn the order's holds into real decrements of
+  // quantity_available
+  static async commitForOrder(orderId, { txClient = null } = {}) {
+    const run = async (client) => {
+      const reservations = await StockReservation.ensureForOrder(orderId, {
+        txClient: client,
+      });
+      for (const reservation of reservations) {
+        const { before, after } = await adjustInventory(
+          client,
+          reservation.inventory_id,
+          { available: -reservation.quantity, reserved: -reservation.quantity }
+        );
+        await recordMovement(client, {
+          before,
+          after,
+          type: "sale",
+          column: "quantity_available",
+          reason: "order_paid",
+          orderId,
+          userId: reservation.user_id,
+        });
+      }
+      await setReservationStatus(
+        client,
+        reservations.map((r) => r.id),
+        { status: "converted" }
+      );
+      return reservations;
+    };
+    if (DATABASE_TYPE === "postgresql") return withTransaction(txClient, run);
+    return run(null);
+  }
+
+  // Unpaid order cancelled: let the held stock go
+  static async releaseForOrder(orderId, reason, { txClient = null } = {}) {
+    const run = async (client) => {
+      const active = await findActive(client, { orderId });
+      await releaseReservations(client, active, "released", reason);
+      return active.length;
+    };
+    if (DATABASE_TYPE === "postgresql") return withTransaction(txClient, run);
+    return run(null);
+  }
+
+  // Paid order cancelled or refunded before shipping: put sold stock back
+  // into the warehouses it came from
+  static async restockForOrder(orderId, reason, { txClient = null } = {}) {
+    const run = async (client) => {
+      let converted;
+      if (DATABASE_TYPE === "postgresql") {
+        const result = await client.query(
+          `SELECT * FROM stock_reservations
+           WHERE order_id = $1 AND status = 'converted'
+           FOR UPDATE`,
+          [orderId]
+        );
+        converted = result.rows;
+      } else {
+        const { data, error } = await pool
+          .from("stock_reservations")
+          .select("*")
+          .eq("order_id", orderId)
+          .eq("status", "converted");
+        if (error) throw error;
+        converted = data || [];
+      }
+
+      for (const reservation of converted) {
+        const { before, after } = await adjustInventory(
+          client,
+          reservation.inventory_id,
+          { available: reservation.quantity }
+        );
+        await recordMovement(client, {
+          before,
+          after,
+          type: "restock",
+          column: "quantity_available",
+          reason,
+          orderId,
+          userId: reservation.user_id,
+        });
+      }
+      await setReservationStatus(
+        client,
+        converted.map((r) => r.id),
+        { status: "returned" }
+      );
+      return converted.length;
+    };
+    if (DATABASE_TYPE === "postgresql") return withTransaction(txClient, run);
+    return run(null);
+  }
+
+  // Sweeper: release every hold whose TTL has passed. Returns how many
+  // reservations expired.
+  static async releaseExpired(now = new Date()) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(null, async (client) => {
+        // SKIP LOCKED leaves holds that a checkout is converting right now
+        const result = await client.query(
+          `SELECT * FROM stock_reservations
+           WHERE status = 'active' AND expires_at < $1
+           FOR UPDATE SKIP LOCKED`,
+          [now.toISOString()]
+        );
+        await releaseReservations(client, result.rows, "expired", "reservation_expired");
+        return result.rows.length;
+      });
+    }
+
+    const { data, error } = await pool
+      .from("stock_reservations")
+      .select("*")
+      .eq("status", "active")
+      .lt("expires_at", now.toISOString());
+    if (error) throw error;
+    await releaseReservations(null, data || [], "expired", "reservation_expired");
+    return (data || []).length;
+  }
+}
+
+export default StockReservation;
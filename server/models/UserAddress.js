@@ -0,0 +1,351 @@
+import { pool } from "../config/database.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Columns a caller may write; everything else is managed here
+const ADDRESS_COLUMNS = [
+  "label",
+  "first_name",
+  "last_name",
+  "company",
+  "address_line_1",
+  "address_line_2",
+  "city",
+  "state",
+  "postal_code",
+  "country",
+  "phone",
+];
+
+const pickColumns = (address) =>
+  Object.fromEntries(
+    ADDRESS_COLUMNS.filter((c) => address[c] !== undefined).map((c) => [
+      c,
+      address[c],
+    ])
+  );
+
+// Flag columns for a default change; `is_default` mirrors the shipping flag
+const defaultFlags = ({ shipping, billing }) => {
+  const flags = {};
+  if (shipping !== undefined) {
+    flags.is_default_shipping = Boolean(shipping);
+    flags.is_default = Boolean(shipping);
+  }
+  if (billing !== undefined) flags.is_default_billing = Boolean(billing);
+  return flags;
+};
+
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+};
+
+// Clear the user's other defaults of the kinds being set on `keepId`
+// (null when the address is not saved yet). Runs before the new default is
+// written so the one-default-per-user indexes never see two.
+const clearDefaultsPg = async (client, userId, keepId, flags) => {
+  if (flags.is_default_shipping) {
+    await client.query(
+      `UPDATE user_addresses
+       SET is_default_shipping = false, is_default = false, updated_at = NOW()
+       WHERE user_id = $1 AND id IS DISTINCT FROM $2 AND is_default_shipping`,
+      [userId, keepId]
+    );
+  }
+  if (flags.is_default_billing) {
+    await client.query(
+      `UPDATE user_addresses
+       SET is_default_billing = false, updated_at = NOW()
+       WHERE user_id = $1 AND id IS DISTINCT FROM $2 AND is_default_billing`,
+      [userId, keepId]
+    );
+  }
+};
+
+const clearDefaultsSupabase = async (userId, keepId, flags) => {
+  const clear = async (flag, values) => {
+    let q = pool
+      .from("user_addresses")
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .eq(flag, true);
+    if (keepId) q = q.neq("id", keepId);
+    const { error } = await q;
+    if (error) throw error;
+  };
+  if (flags.is_default_shipping) {
+    await clear("is_default_shipping", {
+      is_default_shipping: false,
+      is_default: false,
+    });
+  }
+  if (flags.is_default_billing) {
+    await clear("is_default_billing", { is_default_billing: false });
+  }
+};
+
+const buildUpdate = (values, startAt = 1) => {
+  const keys = Object.keys(values);
+  return {
+    sql: keys.map((k, i) => `${k} = $${i + startAt}`).join(", "),
+    params: keys.map((k) => values[k]),
+  };
+};
+
+export class UserAddress {
+  // Defaults first, then newest
+  static async listForUser(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM user_addresses
+           WHERE user_id = $1
+           ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at DESC`,
+          [userId]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("user_addresses")
+        .select("*")
+        .eq("user_id", userId)
+        .order("is_default_shipping", { ascending: false })
+        .order("is_default_billing", { ascending: false })
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      return data || [];
+    }
+  }
+
+  static async findById(id, userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2`,
+          [id, userId]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("user_addresses")
+        .select("*")
+        .eq("id", id)
+        .eq("user_id", userId)
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    }
+  }
+
+  // Save a new address. A user's first address becomes the default for both
+  // shipping and billing unless the caller says otherwise.
+  static async create(userId, address, defaults = {}) {
+    const values = { ...pickColumns(address), user_id: userId };
+
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(async (client) => {
+        const count = await client.query(
+          `SELECT COUNT(*)::int AS count FROM user_addresses WHERE user_id = $1`,
+          [userId]
+        );
+        const first = count.rows[0].count === 0;
+        const flags = defaultFlags({
+          shipping: defaults.shipping ?? first,
+          billing: defaults.billing ?? first,
+        });
+        await clearDefaultsPg(client, userId, null, flags);
+        const row = { ...values, ...flags };
+        const keys = Object.keys(row);
+        const inserted = await client.query(
+          `INSERT INTO user_addresses (${keys.join(", ")})
+           VALUES (${keys.map((_, i) => `$${i + 1}`).join(", ")})
+           RETURNING *`,
+          keys.map((k) => row[k])
+        );
+        return inserted.rows[0];
+      });
+    } else {
+      const { count, error: countError } = await pool
+        .from("user_addresses")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", userId);
+      if (countError) throw countError;
+      const first = !count;
+      const flags = defaultFlags({
+        shipping: defaults.shipping ?? first,
+        billing: defaults.billing ?? first,
+      });
+      await clearDefaultsSupabase(userId, null, flags);
+      const { data, error } = await pool
+        .from("user_addresses")
+        .insert({ ...values, ...flags })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+  }
+
+  // Update the address fields; returns null when it is not the user's
+  static async update(id, userId, address) {
+    const values = {
+      ...pickColumns(address),
+      updated_at: new Date().toISOString(),
+    };
+
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const { sql, params } = buildUpdate(values, 3);
+        const result = await client.query(
+          `UPDATE user_addresses SET ${sql}
+           WHERE id = $1 AND user_id = $2
+           RETURNING *`,
+          [id, userId, ...params]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("user_addresses")
+        .update(values)
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select()
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      return data || null;
+    }
+  }
+
+  // Set or unset this address as the shipping and/or billing default.
+  // Setting a default clears it from the user's other addresses.
+  static async setDefault(id, userId, { shipping, billing }) {
+    const flags = {
+      ...defaultFlags({ shipping, billing }),
+      updated_at: new Date().toISOString(),
+    };
+
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(async (client) => {
+        const existing = await client.query(
+          `SELECT id FROM user_addresses WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+          [id, userId]
+        );
+        if (existing.rows.length === 0) return null;
+        await clearDefaultsPg(client, userId, id, flags);
+        const { sql, params } = buildUpdate(flags, 3);
+        const result = await client.query(
+          `UPDATE user_addresses SET ${sql}
+           WHERE id = $1 AND user_id = $2
+           RETURNING *`,
+          [id, userId, ...params]
+        );
+        return result.rows[0];
+      });
+    } else {
+      const existing = await UserAddress.findById(id, userId);
+      if (!existing) return null;
+      await clearDefaultsSupabase(userId, id, flags);
+      const { data, error } = await pool
+        .from("user_addresses")
+        .update(flags)
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+  }
+
+  // Delete an address. Defaults it held pass to the user's newest remaining
+  // address so checkout always has something to prefill.
+  static async remove(id, userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      return withTransaction(async (client) => {
+        const deleted = await client.query(
+          `DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING *`,
+          [id, userId]
+        );
+        const removed = deleted.rows[0];
+        if (!removed) return null;
+        const next = await client.query(
+          `SELECT id FROM user_addresses WHERE user_id = $1
+           ORDER BY created_at DESC LIMIT 1`,
+          [userId]
+        );
+        const flags = defaultFlags({
+          shipping: removed.is_default_shipping || undefined,
+          billing: removed.is_default_billing || undefined,
+        });
+        if (next.rows[0] && Object.keys(flags).length > 0) {
+          const { sql, params } = buildUpdate(flags, 2);
+          await client.query(
+            `UPDATE user_addresses SET ${sql} WHERE id = $1`,
+            [next.rows[0].id, ...params]
+          );
+        }
+        return removed;
+      });
+    } else {
+      const { data: removed, error } = await pool
+        .from("user_addresses")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", userId)
+        .select()
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      if (!removed) return null;
+      const flags = defaultFlags({
+        shipping: removed.is_default_shipping || undefined,
+        billing: removed.is_default_billing || undefined,
+      });
+      if (Object.keys(flags).length > 0) {
+        const { data: next, error: nextError } = await pool
+          .from("user_addresses")
+          .select("id")
+          .eq("user_id", userId)
+          .order("created_at", { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (nextError && nextError.code !== "PGRST116") throw nextError;
+        if (next) {
+          const { error: updateError } = await pool
+            .from("user_addresses")
+            .update(flags)
+            .eq("id", next.id);
+          if (updateError) throw updateError;
+        }
+      }
+      return removed;
+    }
+  }
+}
+
+export default UserAddress;
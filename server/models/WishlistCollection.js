@@ -0,0 +1,335 @@
+import { pool } from "../config/database.js";
+import { isUuid } from "../services/cart/cartValidation.js";
+import { newShareToken } from "../services/wishlist/collections.js";
+import { HttpError } from "../utils/httpError.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+const collectionNotFound = () => new HttpError(404, "Collection not found");
+
+const nameTaken = (name) =>
+  new HttpError(409, `You already have a collection called ${name}`);
+
+const isUniqueViolation = (error) => error?.code === "23505";
+
+// Supabase embeds -> the flat owner / count columns the pg queries return
+const withOwner = ({ users: owner, ...row }) => ({
+  ...row,
+  owner_first_name: owner?.first_name ?? null,
+  owner_last_name: owner?.last_name ?? null,
+});
+
+const withItemCount = ({ wishlist_items: items, ...row }) => ({
+  ...row,
+  item_count: items?.[0]?.count ?? 0,
+});
+
+// Named wishlist collections (`wishlist_collections`). Their entries are
+// ordinary `wishlist_items` rows with that `collection_id`; entries without
+// one are the wishlist itself.
+export class WishlistCollection {
+  // The user's collections with how many products each holds, oldest first
+  static async listForUser(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, COUNT(wi.id) AS item_count
+           FROM wishlist_collections c
+           LEFT JOIN wishlist_items wi ON wi.collection_id = c.id
+           WHERE c.user_id = $1
+           GROUP BY c.id
+           ORDER BY c.created_at ASC, c.id`,
+          [userId]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_collections")
+      .select("*, wishlist_items(count)")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(withItemCount);
+  }
+
+  // One of the user's collections (404 for anyone else's)
+  static async findOwned(userId, id) {
+    if (!isUuid(id)) throw collectionNotFound();
+    let collection;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, (SELECT COUNT(*) FROM wishlist_items wi
+                        WHERE wi.collection_id = c.id) AS item_count
+           FROM wishlist_collections c
+           WHERE c.id = $1 AND c.user_id = $2`,
+          [id, userId]
+        );
+        collection = result.rows[0];
+      } finally {
+        client.release();
+      }
+    } else {
+      const { data, error } = await pool
+        .from("wishlist_collections")
+        .select("*, wishlist_items(count)")
+        .eq("id", id)
+        .eq("user_id", userId)
+        .maybeSingle();
+      if (error && error.code !== "PGRST116") throw error;
+      collection = data && withItemCount(data);
+    }
+    if (!collection) throw collectionNotFound();
+    return collection;
+  }
+
+  // A collection by its share token, with the owner's name, whatever its
+  // visibility (the caller decides who may see it)
+  static async findByShareToken(token) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, u.first_name AS owner_first_name,
+                  u.last_name AS owner_last_name
+           FROM wishlist_collections c
+           JOIN users u ON u.id = c.user_id
+           WHERE c.share_token = $1`,
+          [token]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_collections")
+      .select("*, users(first_name, last_name)")
+      .eq("share_token", token)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? withOwner(data) : null;
+  }
+
+  // Public collections that hold something, most recently updated first,
+  // each with a cover image from its newest entry
+  static async listPublic({ limit, offset }) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `SELECT c.*, u.first_name AS owner_first_name,
+                  u.last_name AS owner_last_name,
+                  COUNT(wi.id) AS item_count,
+                  (ARRAY_AGG(p.images->>0 ORDER BY wi.created_at DESC))[1] AS cover_image,
+                  COUNT(*) OVER() AS total
+           FROM wishlist_collections c
+           JOIN users u ON u.id = c.user_id
+           JOIN wishlist_items wi ON wi.collection_id = c.id
+           JOIN products p ON p.id = wi.product_id
+           WHERE c.visibility = 'public'
+           GROUP BY c.id, u.id
+           ORDER BY c.updated_at DESC, c.id
+           LIMIT $1 OFFSET $2`,
+          [limit, offset]
+        );
+        return {
+          collections: result.rows,
+          total: Number(result.rows[0]?.total) || 0,
+        };
+      } finally {
+        client.release();
+      }
+    }
+    const { data, count, error } = await pool
+      .from("wishlist_collections")
+      .select(
+        "*, users(first_name, last_name), wishlist_items!inner(created_at, products(images))",
+        { count: "exact" }
+      )
+      .eq("visibility", "public")
+      .order("updated_at", { ascending: false })
+      .order("id", { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+    return {
+      collections: (data || []).map(({ wishlist_items: items, ...row }) => {
+        const newest = [...items].sort(
+          (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at)
+        )[0];
+        return {
+          ...withOwner(row),
+          item_count: items.length,
+          cover_image: newest?.products?.images?.[0] ?? null,
+        };
+      }),
+      total: count || 0,
+    };
+  }
+
+  static async create(userId, { name, description = null, visibility }) {
+    const row = {
+      user_id: userId,
+      name,
+      description,
+      visibility: visibility || "private",
+      share_token: newShareToken(),
+    };
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `INSERT INTO wishlist_collections
+             (user_id, name, description, visibility, share_token)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *, 0 AS item_count`,
+          [
+            row.user_id,
+            row.name,
+            row.description,
+            row.visibility,
+            row.share_token,
+          ]
+        );
+        return result.rows[0];
+      } catch (err) {
+        if (isUniqueViolation(err)) throw nameTaken(name);
+        throw err;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_collections")
+      .insert(row)
+      .select()
+      .single();
+    if (isUniqueViolation(error)) throw nameTaken(name);
+    if (error) throw error;
+    return { ...data, item_count: 0 };
+  }
+
+  // Change the name, description and/or visibility of one of the user's
+  // collections; fields left undefined keep their value
+  static async update(userId, id, fields) {
+    const current = await WishlistCollection.findOwned(userId, id);
+    const changes = {};
+    for (const key of ["name", "description", "visibility"]) {
+      if (fields[key] !== undefined) changes[key] = fields[key];
+    }
+    if (Object.keys(changes).length === 0) return current;
+
+    if (DATABASE_TYPE === "postgresql") {
+      const columns = Object.keys(changes);
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `UPDATE wishlist_collections
+           SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")},
+               updated_at = now()
+           WHERE id = $1
+           RETURNING *`,
+          [id, ...columns.map((column) => changes[column])]
+        );
+        return { ...result.rows[0], item_count: current.item_count };
+      } catch (err) {
+        if (isUniqueViolation(err)) throw nameTaken(changes.name);
+        throw err;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_collections")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (isUniqueViolation(error)) throw nameTaken(changes.name);
+    if (error) throw error;
+    return { ...data, item_count: current.item_count };
+  }
+
+  // Give the collection a new share token; the old link stops working
+  static async resetShareToken(userId, id) {
+    const current = await WishlistCollection.findOwned(userId, id);
+    const token = newShareToken();
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `UPDATE wishlist_collections
+           SET share_token = $2, updated_at = now()
+           WHERE id = $1
+           RETURNING *`,
+          [id, token]
+        );
+        return { ...result.rows[0], item_count: current.item_count };
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_collections")
+      .update({ share_token: token, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (error) throw error;
+    return { ...data, item_count: current.item_count };
+  }
+
+  // Mark a collection changed (an entry was added or removed) so it moves up
+  // the public listing
+  static async touch(id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          "UPDATE wishlist_collections SET updated_at = now() WHERE id = $1",
+          [id]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("wishlist_collections")
+      .update({ updated_at: new Date().toISOString() })
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  // Delete a collection and the entries in it
+  static async remove(userId, id) {
+    await WishlistCollection.findOwned(userId, id);
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query("DELETE FROM wishlist_collections WHERE id = $1", [
+          id,
+        ]);
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("wishlist_collections")
+      .delete()
+      .eq("id", id);
+    if (error) throw error;
+  }
+}
+
+export default WishlistCollection;
@@ -0,0 +1,274 @@
+import { pool } from "../config/database.js";
+import { approvedRatingStats } from "../services/products/reviews.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DATABASE_TYPE = process.env.DATABASE_TYPE || "supabase";
+
+// Wishlist entries joined to the product's current price, stock and rating
+const WISHLIST_SQL = `SELECT wi.id, wi.product_id, wi.collection_id, wi.price_at_add, wi.created_at,
+         p.name, p.slug, p.price, p.compare_price, p.images, p.status,
+         p.stock_quantity, b.name AS brand_name,
+         COALESCE(rs.avg_rating, 0) AS avg_rating,
+         COALESCE(rs.review_count, 0) AS review_count
+  FROM wishlist_items wi
+  JOIN products p ON p.id = wi.product_id
+  LEFT JOIN brands b ON b.id = p.brand_id
+  LEFT JOIN LATERAL (
+    SELECT AVG(r.rating) AS avg_rating, COUNT(*) AS review_count
+    FROM reviews r
+    WHERE r.product_id = p.id AND r.is_approved
+  ) rs ON true`;
+
+const SUPABASE_SELECT = `id, product_id, collection_id, price_at_add, created_at,
+  products(name, slug, price, compare_price, images, status, stock_quantity,
+    brands(name), reviews(rating, is_approved))`;
+
+// Flatten a Supabase row into the shape WISHLIST_SQL returns
+const flattenSupabaseRow = ({ products: product, ...row }) => ({
+  ...row,
+  name: product?.name,
+  slug: product?.slug ?? null,
+  price: product?.price,
+  compare_price: product?.compare_price ?? null,
+  images: product?.images,
+  status: product?.status,
+  stock_quantity: product?.stock_quantity ?? null,
+  brand_name: product?.brands?.name ?? null,
+  ...approvedRatingStats(product?.reviews),
+});
+
+// The unique index entries are kept apart by: one per product per
+// collection, with NULL (the wishlist itself) folded to a fixed id
+const ENTRY_KEY_SQL = `(user_id,
+  (COALESCE(collection_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+  product_id)`;
+
+// Narrow a Supabase query to the wishlist (null) or one collection
+const inCollection = (query, collectionId) =>
+  collectionId
+    ? query.eq("collection_id", collectionId)
+    : query.is("collection_id", null);
+
+// The user's wishlist (`wishlist_items`), one entry per product, and the
+// entries of their collections (see WishlistCollection). Rows come back
+// joined; services/wishlist/wishlist.js shapes them for the API.
+export class WishlistItem {
+  // The wishlist, or one collection when `collectionId` is given. Newest
+  // first.
+  static async listForUser(userId, collectionId = null) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `${WISHLIST_SQL}
+           WHERE wi.user_id = $1
+             AND wi.collection_id IS NOT DISTINCT FROM $2
+           ORDER BY wi.created_at DESC, wi.id`,
+          [userId, collectionId]
+        );
+        return result.rows;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await inCollection(
+      pool.from("wishlist_items").select(SUPABASE_SELECT).eq("user_id", userId),
+      collectionId
+    )
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return (data || []).map(flattenSupabaseRow);
+  }
+
+  static async findForUser(userId, id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `${WISHLIST_SQL}
+           WHERE wi.user_id = $1 AND wi.id = $2`,
+          [userId, id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_items")
+      .select(SUPABASE_SELECT)
+      .eq("user_id", userId)
+      .eq("id", id)
+      .maybeSingle();
+    if (error && error.code !== "PGRST116") throw error;
+    return data ? flattenSupabaseRow(data) : null;
+  }
+
+  // Save a product at `price` to the wishlist, or to a collection when
+  // `collectionId` is given. Saving it there again keeps the first save (and
+  // its price); `created` says which happened.
+  static async add(userId, productId, price, collectionId = null) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const inserted = await client.query(
+          `INSERT INTO wishlist_items (user_id, product_id, price_at_add, collection_id)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT ${ENTRY_KEY_SQL} DO NOTHING
+           RETURNING id`,
+          [userId, productId, price, collectionId]
+        );
+        if (inserted.rows[0]) {
+          return { id: inserted.rows[0].id, created: true };
+        }
+        const existing = await client.query(
+          `SELECT id FROM wishlist_items
+           WHERE user_id = $1 AND product_id = $2
+             AND collection_id IS NOT DISTINCT FROM $3`,
+          [userId, productId, collectionId]
+        );
+        return { id: existing.rows[0].id, created: false };
+      } finally {
+        client.release();
+      }
+    }
+    const { data: existing, error: findError } = await inCollection(
+      pool
+        .from("wishlist_items")
+        .select("id")
+        .eq("user_id", userId)
+        .eq("product_id", productId),
+      collectionId
+    ).maybeSingle();
+    if (findError && findError.code !== "PGRST116") throw findError;
+    if (existing) return { id: existing.id, created: false };
+    const { data, error } = await pool
+      .from("wishlist_items")
+      .insert({
+        user_id: userId,
+        product_id: productId,
+        price_at_add: price,
+        collection_id: collectionId,
+      })
+      .select("id")
+      .single();
+    if (error) throw error;
+    return { id: data.id, created: true };
+  }
+
+  // Remove one of the user's entries, from the wishlist or a collection.
+  // Returns `{ id, collection_id }` of what was removed, or null when the
+  // user has no such entry.
+  static async remove(userId, id) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `DELETE FROM wishlist_items WHERE user_id = $1 AND id = $2
+           RETURNING id, collection_id`,
+          [userId, id]
+        );
+        return result.rows[0] || null;
+      } finally {
+        client.release();
+      }
+    }
+    const { data, error } = await pool
+      .from("wishlist_items")
+      .delete()
+      .eq("user_id", userId)
+      .eq("id", id)
+      .select("id, collection_id");
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  // Empty the wishlist; collections keep their entries
+  static async clear(userId) {
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        await client.query(
+          "DELETE FROM wishlist_items WHERE user_id = $1 AND collection_id IS NULL",
+          [userId]
+        );
+      } finally {
+        client.release();
+      }
+      return;
+    }
+    const { error } = await pool
+      .from("wishlist_items")
+      .delete()
+      .eq("user_id", userId)
+      .is("collection_id", null);
+    if (error) throw error;
+  }
+
+  // Add a guest wishlist (from normalizeMergeItems) to the wishlist.
+  // Products already saved keep their entry; unknown or inactive products
+  // are skipped. Entries are saved at the product's current price; a price
+  // sent by the browser could fake a price drop. Returns how many were
+  // added.
+  static async merge(userId, items) {
+    if (items.length === 0) return 0;
+    if (DATABASE_TYPE === "postgresql") {
+      const client = await pool.connect();
+      try {
+        const result = await client.query(
+          `INSERT INTO wishlist_items (user_id, product_id, price_at_add, created_at)
+           SELECT $1, p.id, p.price, COALESCE(g.added_at, now())
+           FROM jsonb_to_recordset($2::jsonb)
+             AS g(product_id uuid, added_at timestamptz)
+           JOIN products p ON p.id = g.product_id AND p.status = 'active'
+           ON CONFLICT ${ENTRY_KEY_SQL} DO NOTHING`,
+          [userId, JSON.stringify(items)]
+        );
+        return result.rowCount;
+      } finally {
+        client.release();
+      }
+    }
+    const ids = items.map((item) => item.product_id);
+    const { data: products, error: productError } = await pool
+      .from("products")
+      .select("id, price")
+      .in("id", ids)
+      .eq("status", "active");
+    if (productError) throw productError;
+    const priceOf = new Map((products || []).map((p) => [p.id, p.price]));
+    // The unique index is on an expression, which upsert cannot name, so
+    // leave out what the wishlist already holds
+    const { data: saved, error: savedError } = await pool
+      .from("wishlist_items")
+      .select("product_id")
+      .eq("user_id", userId)
+      .is("collection_id", null)
+      .in("product_id", ids);
+    if (savedError) throw savedError;
+    const alreadySaved = new Set((saved || []).map((row) => row.product_id));
+    const rows = items
+      .filter(
+        (item) =>
+          priceOf.has(item.product_id) && !alreadySaved.has(item.product_id)
+      )
+      .map((item) => ({
+        user_id: userId,
+        product_id: item.product_id,
+        price_at_add: priceOf.get(item.product_id),
+        created_at: item.added_at ?? new Date().toISOString(),
+      }));
+    if (rows.length === 0) return 0;
+    const { data, error } = await pool
+      .from("wishlist_items")
+      .insert(rows)
+      .select("id");
+    if (error) throw error;
+    return (data || []).length;
+  }
+}
+
+export default WishlistItem;
@@ -0,0 +1,40 @@
+import express from "express";
+import { addressController } from "../controllers/addressController.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  validateAddressCreate,
+  validateAddressUpdate,
+  validateAddressId,
+  validateAddressDefault,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Address book for the authenticated user
+router.get("/", authenticate, addressController.getAddresses);
+router.post(
+  "/",
+  authenticate,
+  validateAddressCreate,
+  addressController.createAddress
+);
+router.put(
+  "/:id",
+  authenticate,
+  validateAddressUpdate,
+  addressController.updateAddress
+);
+router.delete(
+  "/:id",
+  authenticate,
+  validateAddressId,
+  addressController.deleteAddress
+);
+router.patch(
+  "/:id/default",
+  authenticate,
+  validateAddressDefault,
+  addressController.setDefaultAddress
+);
+
+export default router;
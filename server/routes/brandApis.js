@@ -0,0 +1,34 @@
+import express from "express";
+import { brandApiController } from "../controllers/brandApiController.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  validateBrandApiConfigId,
+  validateBrandSyncLogs,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Brand catalog connectors (admin)
+router.get(
+  "/",
+  authenticate,
+  authorize("admin"),
+  brandApiController.listConfigs
+);
+router.post(
+  "/:id/sync",
+  authenticate,
+  authorize("admin"),
+  validateBrandApiConfigId,
+  brandApiController.runSync
+);
+router.get(
+  "/:id/sync-logs",
+  authenticate,
+  authorize("admin"),
+  validateBrandApiConfigId,
+  validateBrandSyncLogs,
+  brandApiController.listSyncLogs
+);
+
+export default router;
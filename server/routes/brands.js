@@ -0,0 +1,24 @@
+import express from "express";
+import { brandController } from "../controllers/brandController.js";
+import { authenticate, optionalAuth } from "../middleware/auth.js";
+import {
+  validateBrandList,
+  validateProductList,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Public brand directory and storefronts (by id or slug)
+router.get("/", validateBrandList, brandController.listBrands);
+router.get("/:ref", optionalAuth, brandController.getBrand);
+router.get(
+  "/:ref/products",
+  validateProductList,
+  brandController.getBrandProducts
+);
+
+// Following a brand
+router.post("/:ref/follow", authenticate, brandController.followBrand);
+router.delete("/:ref/follow", authenticate, brandController.unfollowBrand);
+
+export default router;
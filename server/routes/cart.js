@@ -6,17 +6,39 @@ import {
   removeCartItem,
   clearCart,
   mergeCart,
+  reserveCart,
+  getCartSummary,
+  getGuestCartSummary,
+  getCartLists,
+  createCartList,
+  renameCartList,
+  deleteCartList,
+  moveCartItem,
+  moveCartList,
 } from "../controllers/cartController.js";
 import { authenticate } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Guests price the cart kept in their browser
+router.post("/summary", getGuestCartSummary);
+
 // Require authentication for cart operations
 router.get("/", authenticate, getCart);
+router.get("/summary", authenticate, getCartSummary);
 router.post("/items", authenticate, addCartItem);
 router.put("/items/:id", authenticate, updateCartItem);
 router.delete("/items/:id", authenticate, removeCartItem);
 router.delete("/", authenticate, clearCart);
 router.post("/merge", authenticate, mergeCart);
+router.post("/reservations", authenticate, reserveCart);
+
+// Saved-for-later list and named carts
+router.post("/items/:id/move", authenticate, moveCartItem);
+router.get("/lists", authenticate, getCartLists);
+router.post("/lists", authenticate, createCartList);
+router.patch("/lists/:id", authenticate, renameCartList);
+router.delete("/lists/:id", authenticate, deleteCartList);
+router.post("/lists/:id/move", authenticate, moveCartList);
 
 export default router;
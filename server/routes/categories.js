@@ -0,0 +1,54 @@
+import express from "express";
+import { categoryController } from "../controllers/categoryController.js";
+import { authenticate, authorize, optionalAuth } from "../middleware/auth.js";
+import {
+  validateCategory,
+  validateCategoryId,
+  validateCategoryPatch,
+  validateCategoryReorder,
+  validateProductList,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Public category tree (admins can add `?all=true` for inactive ones)
+router.get("/", optionalAuth, categoryController.getTree);
+router.get("/:ref", optionalAuth, categoryController.getCategory);
+router.get(
+  "/:ref/products",
+  optionalAuth,
+  validateProductList,
+  categoryController.getCategoryProducts
+);
+
+// Admin management
+router.post(
+  "/",
+  authenticate,
+  authorize("admin"),
+  validateCategory,
+  categoryController.createCategory
+);
+router.put(
+  "/order",
+  authenticate,
+  authorize("admin"),
+  validateCategoryReorder,
+  categoryController.reorderCategories
+);
+router.patch(
+  "/:id",
+  authenticate,
+  authorize("admin"),
+  validateCategoryPatch,
+  categoryController.updateCategory
+);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("admin"),
+  validateCategoryId,
+  categoryController.deleteCategory
+);
+
+export default router;
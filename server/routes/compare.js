@@ -0,0 +1,23 @@
+import express from "express";
+import { compareController } from "../controllers/compareController.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  validateCompareList,
+  validateCompareQuery,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+router.get("/", validateCompareQuery, compareController.compareProducts);
+
+// The signed-in shopper's saved compare list
+router.get("/list", authenticate, compareController.getCompareList);
+router.put(
+  "/list",
+  authenticate,
+  validateCompareList,
+  compareController.saveCompareList
+);
+router.delete("/list", authenticate, compareController.clearCompareList);
+
+export default router;
@@ -2,6 +2,16 @@ import express from "express";
 import authRoutes from "./auth.js";
 import productRoutes from "./products.js";
 import cartRoutes from "./cart.js";
+import orderRoutes from "./orders.js";
+import paymentRoutes from "./payments.js";
+import addressRoutes from "./addresses.js";
+import searchRoutes from "./search.js";
+import categoryRoutes from "./categories.js";
+import brandRoutes from "./brands.js";
+import reviewRoutes from "./reviews.js";
+import wishlistRoutes from "./wishlist.js";
+import compareRoutes from "./compare.js";
+import brandApiRoutes from "./brandApis.js";
 
 const router = express.Router();
 
@@ -18,5 +28,15 @@ router.get("/health", (req, res) => {
 router.use("/auth", authRoutes);
 router.use("/products", productRoutes);
 router.use("/cart", cartRoutes);
+router.use("/orders", orderRoutes);
+router.use("/payments", paymentRoutes);
+router.use("/addresses", addressRoutes);
+router.use("/search", searchRoutes);
+router.use("/categories", categoryRoutes);
+router.use("/brands", brandRoutes);
+router.use("/reviews", reviewRoutes);
+router.use("/wishlist", wishlistRoutes);
+router.use("/compare", compareRoutes);
+router.use("/brand-apis", brandApiRoutes);
 
 export default router;
@@ -0,0 +1,71 @@
+import express from "express";
+import { orderController } from "../controllers/orderController.js";
+import {
+  authenticate,
+  authorize,
+  authenticateGuestOrder,
+} from "../middleware/auth.js";
+import { byGuestEmail, idempotent } from "../middleware/idempotency.js";
+import {
+  validateOrder,
+  validateOrderList,
+  validateOrderId,
+  validateOrderCancel,
+  validateOrderStatusUpdate,
+  validateGuestOrder,
+  validateOrderClaim,
+  validateFulfillmentUpdate,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Guest checkout: placing returns an X-Guest-Token for paying and viewing
+// the order; the emailed claim link attaches it to an account later
+router.post(
+  "/guest",
+  validateGuestOrder,
+  idempotent("orders.guest_create", { owner: byGuestEmail }),
+  orderController.createGuestOrder
+);
+router.get("/guest", authenticateGuestOrder, orderController.getGuestOrder);
+router.post(
+  "/claim",
+  authenticate,
+  validateOrderClaim,
+  orderController.claimOrder
+);
+
+// All other order routes require an authenticated customer
+router.get("/", authenticate, validateOrderList, orderController.getOrders);
+router.get("/:id", authenticate, validateOrderId, orderController.getOrder);
+router.post(
+  "/",
+  authenticate,
+  validateOrder,
+  idempotent("orders.create"),
+  orderController.createOrder
+);
+router.post(
+  "/:id/cancel",
+  authenticate,
+  validateOrderCancel,
+  orderController.cancelOrder
+);
+
+// Fulfilment: admins and sellers advance orders through the state machine
+router.patch(
+  "/:id/status",
+  authenticate,
+  authorize("admin", "seller"),
+  validateOrderStatusUpdate,
+  orderController.updateOrderStatus
+);
+router.patch(
+  "/:id/fulfillments/:fulfillmentId",
+  authenticate,
+  authorize("admin", "seller"),
+  validateFulfillmentUpdate,
+  orderController.updateFulfillment
+);
+
+export default router;
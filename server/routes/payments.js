@@ -0,0 +1,46 @@
+import express from "express";
+import { paymentController } from "../controllers/paymentController.js";
+import {
+  authenticate,
+  authorize,
+  authenticateGuestOrder,
+} from "../middleware/auth.js";
+import { byGuestOrder, idempotent } from "../middleware/idempotency.js";
+import { validatePayment } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Gateway callbacks are unauthenticated; providers verify their own signatures
+router.post("/webhooks/:provider", paymentController.handleWebhook);
+
+// Guest checkout pays with the X-Guest-Token issued with the order
+router.post(
+  "/guest",
+  authenticateGuestOrder,
+  validatePayment,
+  idempotent("payments.guest_create", { owner: byGuestOrder }),
+  paymentController.createGuestPayment
+);
+
+// Protected routes
+router.post(
+  "/",
+  authenticate,
+  validatePayment,
+  idempotent("payments.create"),
+  paymentController.createPayment
+);
+router.post(
+  "/:id/capture",
+  authenticate,
+  idempotent("payments.capture"),
+  paymentController.capturePayment
+);
+router.post(
+  "/:id/refund",
+  authenticate,
+  authorize("admin"),
+  paymentController.refundPayment
+);
+
+export default router;
@@ -1,14 +1,39 @@
 import express from "express";
 import { productController } from "../controllers/productController.js";
+import { reviewController } from "../controllers/reviewController.js";
 import { authenticate, authorize, optionalAuth } from "../middleware/auth.js";
-import { validateProduct } from "../middleware/validation.js";
+import {
+  validateProduct,
+  validateProductId,
+  validateProductList,
+  validateProductPatch,
+  validateProductUpdate,
+  validateReview,
+  validateReviewList,
+  validateVariant,
+  validateVariantId,
+  validateVariantPatch,
+  validateVariantUpdate,
+} from "../middleware/validation.js";
 
 const router = express.Router();
 
 // Public routes (with optional auth for personalization)
-router.get("/", optionalAuth, productController.getProducts);
+router.get(
+  "/",
+  optionalAuth,
+  validateProductList,
+  productController.getProducts
+);
 router.get("/featured", optionalAuth, productController.getFeaturedProducts);
 router.get("/:id", optionalAuth, productController.getProduct);
+router.get("/:id/variants", optionalAuth, productController.getVariants);
+router.get(
+  "/:id/reviews",
+  optionalAuth,
+  validateReviewList,
+  reviewController.listReviews
+);
 
 // Protected routes
 router.post(
@@ -18,5 +43,64 @@ router.post(
   validateProduct,
   productController.createProduct
 );
+router.put(
+  "/:id",
+  authenticate,
+  authorize("admin", "seller"),
+  validateProductUpdate,
+  productController.updateProduct
+);
+router.patch(
+  "/:id",
+  authenticate,
+  authorize("admin", "seller"),
+  validateProductPatch,
+  productController.patchProduct
+);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("admin", "seller"),
+  validateProductId,
+  productController.deleteProduct
+);
+
+// Reviews (any signed-in shopper, one per product)
+router.post(
+  "/:id/reviews",
+  authenticate,
+  validateReview,
+  reviewController.createReview
+);
+
+// Variants (owner or admin)
+router.post(
+  "/:id/variants",
+  authenticate,
+  authorize("admin", "seller"),
+  validateVariant,
+  productController.createVariant
+);
+router.put(
+  "/:id/variants/:variantId",
+  authenticate,
+  authorize("admin", "seller"),
+  validateVariantUpdate,
+  productController.updateVariant
+);
+router.patch(
+  "/:id/variants/:variantId",
+  authenticate,
+  authorize("admin", "seller"),
+  validateVariantPatch,
+  productController.patchVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  authenticate,
+  authorize("admin", "seller"),
+  validateVariantId,
+  productController.deleteVariant
+);
 
 export default router;
@@ -0,0 +1,49 @@
+import express from "express";
+import { reviewController } from "../controllers/reviewController.js";
+import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  validateReviewId,
+  validateReviewModeration,
+  validateReviewUpdate,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Moderation (admin)
+router.get(
+  "/queue",
+  authenticate,
+  authorize("admin"),
+  reviewController.getModerationQueue
+);
+router.post(
+  "/:id/moderation",
+  authenticate,
+  authorize("admin"),
+  validateReviewModeration,
+  reviewController.moderateReview
+);
+
+// The reviewer's edits
+router.patch(
+  "/:id",
+  authenticate,
+  validateReviewUpdate,
+  reviewController.updateReview
+);
+
+// Helpful votes on other shoppers' reviews
+router.post(
+  "/:id/helpful",
+  authenticate,
+  validateReviewId,
+  reviewController.markHelpful
+);
+router.delete(
+  "/:id/helpful",
+  authenticate,
+  validateReviewId,
+  reviewController.unmarkHelpful
+);
+
+export default router;
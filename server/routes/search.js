@@ -0,0 +1,40 @@
+import express from "express";
+import { searchController } from "../controllers/searchController.js";
+import { authenticate, authorize, optionalAuth } from "../middleware/auth.js";
+import {
+  validateSearch,
+  validateSearchClick,
+  validateSearchReport,
+  validateSearchSuggest,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Public product search
+router.get("/", optionalAuth, validateSearch, searchController.searchProducts);
+router.get(
+  "/suggest",
+  optionalAuth,
+  validateSearchSuggest,
+  searchController.suggest
+);
+router.post(
+  "/:id/click",
+  optionalAuth,
+  validateSearchClick,
+  searchController.recordClick
+);
+
+// Admin search analytics
+router.get(
+  "/report",
+  authenticate,
+  authorize("admin"),
+  validateSearchReport,
+  searchController.report
+);
+
+// The signed-in user's recent searches
+router.delete("/history", authenticate, searchController.clearHistory);
+
+export default router;
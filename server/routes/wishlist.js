@@ -0,0 +1,90 @@
+import express from "express";
+import { wishlistCollectionController } from "../controllers/wishlistCollectionController.js";
+import { wishlistController } from "../controllers/wishlistController.js";
+import { authenticate, optionalAuth } from "../middleware/auth.js";
+import {
+  validatePublicCollections,
+  validateShareToken,
+  validateWishlistCollection,
+  validateWishlistCollectionId,
+  validateWishlistCollectionUpdate,
+  validateWishlistItem,
+  validateWishlistItemId,
+  validateWishlistMerge,
+  validateWishlistQuery,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+// Shared and public collections, readable without signing in
+router.get(
+  "/public",
+  validatePublicCollections,
+  wishlistCollectionController.listPublicCollections
+);
+router.get(
+  "/shared/:token",
+  optionalAuth,
+  validateShareToken,
+  wishlistCollectionController.getSharedCollection
+);
+
+// The signed-in shopper's wishlist (guests keep theirs in the browser)
+router.get(
+  "/",
+  authenticate,
+  validateWishlistQuery,
+  wishlistController.getWishlist
+);
+router.post(
+  "/items",
+  authenticate,
+  validateWishlistItem,
+  wishlistController.addItem
+);
+router.delete(
+  "/items/:id",
+  authenticate,
+  validateWishlistItemId,
+  wishlistController.removeItem
+);
+router.delete("/", authenticate, wishlistController.clearWishlist);
+router.post(
+  "/merge",
+  authenticate,
+  validateWishlistMerge,
+  wishlistController.mergeWishlist
+);
+
+// Their named collections
+router.get(
+  "/collections",
+  authenticate,
+  wishlistCollectionController.listCollections
+);
+router.post(
+  "/collections",
+  authenticate,
+  validateWishlistCollection,
+  wishlistCollectionController.createCollection
+);
+router.patch(
+  "/collections/:id",
+  authenticate,
+  validateWishlistCollectionUpdate,
+  wishlistCollectionController.updateCollection
+);
+router.delete(
+  "/collections/:id",
+  authenticate,
+  validateWishlistCollectionId,
+  wishlistCollectionController.deleteCollection
+);
+router.post(
+  "/collections/:id/share-link",
+  authenticate,
+  validateWishlistCollectionId,
+  wishlistCollectionController.resetShareLink
+);
+
+export default router;
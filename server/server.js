@@ -2,6 +2,8 @@ import dotenv from "dotenv";
 import app from "./app.js";
 import { testConnection } from "../server/config/database.js";
 import RefreshToken from "./models/RefreshToken.js";
+import StockReservation from "./models/StockReservation.js";
+import { runDueBrandSyncs } from "./services/brandApi/index.js";
 
 dotenv.config();
 
@@ -34,8 +36,49 @@ export const startServer = async (portOverride) => {
       }
     }, pruneInterval);
 
+    // Release stock holds whose checkout TTL has passed
+    const sweepInterval = parseInt(
+      process.env.RESERVATION_SWEEP_INTERVAL_MS || String(1000 * 60),
+      10
+    );
+    const reservationSweepJob = setInterval(async () => {
+      try {
+        const released = await StockReservation.releaseExpired();
+        if (released > 0) {
+          console.log(`🧹 Released ${released} expired stock reservations`);
+        }
+      } catch (e) {
+        console.warn("Reservation sweep error:", e.message || e);
+      }
+    }, sweepInterval);
+    // Do not keep the process (or a test run) alive just for the sweeper
+    reservationSweepJob.unref();
+
+    // Sync brand catalogs whose sync_frequency_minutes has passed
+    const brandSyncInterval = parseInt(
+      process.env.BRAND_SYNC_INTERVAL_MS || String(1000 * 60),
+      10
+    );
+    let brandSyncRunning = false;
+    const brandSyncJob = setInterval(async () => {
+      // A long sync outlasts the interval; the next tick waits for it
+      if (brandSyncRunning) return;
+      brandSyncRunning = true;
+      try {
+        const synced = await runDueBrandSyncs();
+        if (synced > 0) console.log(`🔄 Synced ${synced} brand catalogs`);
+      } catch (e) {
+        console.warn("Brand sync job error:", e.message || e);
+      } finally {
+        brandSyncRunning = false;
+      }
+    }, brandSyncInterval);
+    brandSyncJob.unref();
+
     // attach for test cleanup
     server.pruneJob = pruneJob;
+    server.reservationSweepJob = reservationSweepJob;
+    server.brandSyncJob = brandSyncJob;
     return server;
   } catch (error) {
     console.error("Failed to start server:", error);
@@ -0,0 +1,370 @@
+// HTTP client for one brand's catalog API, built from a `brand_api_configs`
+// row. It signs requests the way the config says (api_key, bearer_token or
+// oauth client credentials), keeps to the config's rate limits, retries
+// throttled and failed requests, and pages through the catalog as
+// `catalog_config` describes. It never touches the database.
+
+// `auth_type` values; "bearer" and "oauth2" are accepted as aliases
+export const BRAND_API_AUTH_TYPES = ["api_key", "bearer_token", "oauth"];
+
+const AUTH_ALIASES = { bearer: "bearer_token", oauth2: "oauth" };
+
+// `catalog_config.pagination.type` values
+export const BRAND_API_PAGINATION_TYPES = [
+  "page",
+  "offset",
+  "cursor",
+  "next_url",
+  "none",
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_MAX_PAGES = 500;
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 2;
+const MAX_RETRY_WAIT_MS = 30000;
+// An oauth token is renewed this long before it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+// A request the brand's API refused or that never got an answer.
+// `status` is the HTTP status (null for network errors and timeouts).
+export class BrandApiError extends Error {
+  constructor(message, { status = null, body = null, code = null } = {}) {
+    super(message);
+    this.name = "BrandApiError";
+    this.status = status;
+    this.body = body;
+    this.code = code;
+  }
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Environment variables a config may read secrets from. Without the prefix a
+// config could name JWT_SECRET (say) and have it sent to the brand's host.
+export const BRAND_API_ENV_PREFIX = "BRAND_API_";
+
+// `auth_config.<name>`, or the environment variable `auth_config.<name>_env`
+// names, so secrets can stay out of the database
+const secret = (authConfig, name, env) => {
+  if (authConfig[name] !== undefined && authConfig[name] !== null) {
+    return String(authConfig[name]);
+  }
+  const variable = authConfig[`${name}_env`];
+  if (!variable) return null;
+  if (!String(variable).startsWith(BRAND_API_ENV_PREFIX)) {
+    throw new BrandApiError(
+      `${name}_env must name a ${BRAND_API_ENV_PREFIX}* variable`,
+      { code: "config" }
+    );
+  }
+  return env[variable] ? String(env[variable]) : null;
+};
+
+// Seconds or an HTTP date -> milliseconds to wait, or null
+const retryAfterMs = (header, now) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const readPath = (source, path) =>
+  String(path)
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+export class BrandApiClient {
+  constructor(
+    config,
+    {
+      fetch = globalThis.fetch,
+      sleep = defaultSleep,
+      now = Date.now,
+      env = process.env,
+    } = {}
+  ) {
+    this.config = config;
+    this.authType = AUTH_ALIASES[config.auth_type] || config.auth_type;
+    if (!BRAND_API_AUTH_TYPES.includes(this.authType)) {
+      throw new BrandApiError(`Unknown auth_type "${config.auth_type}"`, {
+        code: "config",
+      });
+    }
+    this.authConfig = config.auth_config || {};
+    this.catalog = config.catalog_config || {};
+    this.baseUrl = new URL(String(config.base_url));
+    this.fetch = fetch;
+    this.sleep = sleep;
+    this.now = now;
+    this.env = env;
+    this.token = null;
+    this.lastRequestAt = null;
+    this.requestTimes = [];
+  }
+
+  // `path` under base_url, or a full URL on the same origin (next links)
+  url(path, params = {}) {
+    const base = this.baseUrl.href.replace(/\/+$/, "");
+    const url = /^https?:\/\//i.test(path)
+      ? new URL(path)
+      : new URL(`${base}/${String(path || "").replace(/^\/+/, "")}`);
+    if (url.origin !== this.baseUrl.origin) {
+      // Credentials only ever go to the brand's own API
+      throw new BrandApiError(`Refusing to follow ${url.origin}`, {
+        code: "config",
+      });
+    }
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    return url;
+  }
+
+  // Wait for the per-minute spacing; fail once the hourly budget is spent
+  async throttle() {
+    const perMinute = Number(this.config.rate_limit_per_minute) || 0;
+    const perHour = Number(this.config.rate_limit_per_hour) || 0;
+    const hourAgo = this.now() - 3600000;
+    this.requestTimes = this.requestTimes.filter((t) => t > hourAgo);
+    if (perHour > 0 && this.requestTimes.length >= perHour) {
+      throw new BrandApiError("Hourly request limit reached", {
+        code: "rate_limited",
+      });
+    }
+    if (perMinute > 0 && this.lastRequestAt !== null) {
+      const wait = this.lastRequestAt + 60000 / perMinute - this.now();
+      if (wait > 0) await this.sleep(wait);
+    }
+    this.lastRequestAt = this.now();
+    this.requestTimes.push(this.lastRequestAt);
+  }
+
+  async send(url, init) {
+    const timeoutMs = Number(this.catalog.timeout_ms) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await this.fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      throw new BrandApiError(
+        err.name === "AbortError"
+          ? `No answer from ${url.origin} within ${timeoutMs}ms`
+          : `Could not reach ${url.origin}: ${err.message}`,
+        { code: "network" }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Client-credentials access token, reused until shortly before it expires
+  async accessToken() {
+    if (this.token && this.token.expiresAt > this.now()) {
+      return this.token.value;
+    }
+    const tokenUrl = secret(this.authConfig, "token_url", this.env);
+    const clientId = secret(this.authConfig, "client_id", this.env);
+    const clientSecret = secret(this.authConfig, "client_secret", this.env);
+    if (!tokenUrl || !clientId || !clientSecret) {
+      throw new BrandApiError(
+        "oauth needs token_url, client_id and client_secret",
+        { code: "config" }
+      );
+    }
+    const form = new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: clientId,
+      client_secret: clientSecret,
+    });
+    if (this.authConfig.scope) form.set("scope", this.authConfig.scope);
+
+    await this.throttle();
+    // The token endpoint may live on a separate auth host
+    const response = await this.send(new URL(tokenUrl, this.baseUrl), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+      },
+      body: form.toString(),
+    });
+    const body = await readBody(response);
+    if (!response.ok || !body?.access_token) {
+      throw new BrandApiError(`Token request failed (${response.status})`, {
+        status: response.status,
+        body,
+        code: "auth",
+      });
+    }
+    const lifetimeMs = (Number(body.expires_in) || 3600) * 1000;
+    this.token = {
+      value: body.access_token,
+      expiresAt: this.now() + Math.max(0, lifetimeMs - TOKEN_EXPIRY_MARGIN_MS),
+    };
+    return this.token.value;
+  }
+
+  // Headers (and query params, for api keys sent that way) for a request
+  async credentials() {
+    if (this.authType === "api_key") {
+      const key = secret(this.authConfig, "api_key", this.env);
+      if (!key) {
+        throw new BrandApiError("api_key auth needs an api_key", {
+          code: "config",
+        });
+      }
+      return this.authConfig.query_param
+        ? { headers: {}, params: { [this.authConfig.query_param]: key } }
+        : {
+            headers: { [this.authConfig.header || "X-API-Key"]: key },
+            params: {},
+          };
+    }
+    if (this.authType === "bearer_token") {
+      const token = secret(this.authConfig, "token", this.env);
+      if (!token) {
+        throw new BrandApiError("bearer_token auth needs a token", {
+          code: "config",
+        });
+      }
+      return { headers: { Authorization: `Bearer ${token}` }, params: {} };
+    }
+    return {
+      headers: { Authorization: `Bearer ${await this.accessToken()}` },
+      params: {},
+    };
+  }
+
+  // GET `path` (or a same-origin URL) as JSON. Throttled (429) and failed
+  // (5xx, network) requests are retried; an expired oauth token is renewed
+  // once.
+  async get(path, params = {}) {
+    let renewedToken = false;
+    for (let attempt = 0; ; attempt++) {
+      const auth = await this.credentials();
+      const url = this.url(path, { ...params, ...auth.params });
+      await this.throttle();
+
+      let response;
+      try {
+        response = await this.send(url, {
+          method: "GET",
+          headers: { Accept: "application/json", ...auth.headers },
+        });
+      } catch (err) {
+        if (attempt >= MAX_RETRIES) throw err;
+        await this.sleep(1000 * 2 ** attempt);
+        continue;
+      }
+
+      if (response.ok) return readBody(response);
+
+      const body = await readBody(response);
+      if (response.status === 401 && this.authType === "oauth") {
+        if (!renewedToken) {
+          renewedToken = true;
+          this.token = null;
+          continue;
+        }
+      }
+      const retryable = response.status === 429 || response.status >= 500;
+      if (retryable && attempt < MAX_RETRIES) {
+        const wait =
+          retryAfterMs(response.headers.get("retry-after"), this.now()) ??
+          1000 * 2 ** attempt;
+        await this.sleep(Math.min(wait, MAX_RETRY_WAIT_MS));
+        continue;
+      }
+      throw new BrandApiError(`${url.pathname} answered ${response.status}`, {
+        status: response.status,
+        body,
+        code:
+          response.status === 401 || response.status === 403
+            ? "auth"
+            : response.status === 429
+              ? "rate_limited"
+              : "http",
+      });
+    }
+  }
+
+  // The products in one catalog response
+  items(body) {
+    const path = this.catalog.items_path;
+    const items = path
+      ? readPath(body, path)
+      : Array.isArray(body)
+        ? body
+        : (body?.data ?? body?.items ?? body?.products);
+    return Array.isArray(items) ? items : [];
+  }
+
+  // Every page of the catalog, as arrays of raw products
+  async *catalogPages() {
+    const pagination = this.catalog.pagination || {};
+    const type = pagination.type || "page";
+    if (!BRAND_API_PAGINATION_TYPES.includes(type)) {
+      throw new BrandApiError(`Unknown pagination type "${type}"`, {
+        code: "config",
+      });
+    }
+    const path = this.catalog.products_path || "/products";
+    const baseParams = { ...(this.catalog.params || {}) };
+    const pageSize = Number(pagination.page_size) || DEFAULT_PAGE_SIZE;
+    const maxPages = Number(pagination.max_pages) || DEFAULT_MAX_PAGES;
+    const sizeParam = pagination.size_param ?? "limit";
+    if (type !== "none" && sizeParam) baseParams[sizeParam] = pageSize;
+
+    let page = Number(pagination.first_page ?? 1);
+    let offset = 0;
+    let cursor = null;
+    let next = path;
+    for (let fetched = 0; fetched < maxPages; fetched++) {
+      const params = { ...baseParams };
+      if (type === "page") params[pagination.page_param || "page"] = page;
+      if (type === "offset") {
+        params[pagination.offset_param || "offset"] = offset;
+      }
+      if (type === "cursor" && cursor !== null) {
+        params[pagination.cursor_param || "cursor"] = cursor;
+      }
+
+      const body = await this.get(
+        type === "next_url" ? next : path,
+        type === "next_url" && fetched > 0 ? {} : params
+      );
+      const items = this.items(body);
+      if (items.length > 0) yield items;
+
+      if (type === "none" || items.length === 0) return;
+      if (type === "page" || type === "offset") {
+        if (items.length < pageSize) return;
+        page += 1;
+        offset += items.length;
+      } else if (type === "cursor") {
+        cursor = readPath(body, pagination.cursor_path || "next_cursor");
+        if (cursor === undefined || cursor === null || cursor === "") return;
+      } else {
+        const link = readPath(body, pagination.next_url_path || "next");
+        if (!link) return;
+        next = new URL(link, this.baseUrl).href;
+      }
+    }
+  }
+}
+
+export default BrandApiClient;
@@ -0,0 +1,233 @@
+import { newProductProblems, normalizeBrandProduct } from "./fieldMappings.js";
+
+// One catalog sync: page through a brand's API, map each product with the
+// config's `field_mappings`, and create or update our product and its
+// variants. `product_mappings` remembers which of our products (and, in
+// `variant_mappings`, which variants) each external id became, so the next
+// sync updates them instead of creating duplicates.
+//
+// The database is reached through `store` (see services/brandApi/index.js),
+// so a sync can run against a fake brand server and an in-memory store.
+
+// `api_sync_logs.sync_type` / `status` values
+export const SYNC_TYPES = ["full", "incremental", "webhook"];
+export const SYNC_STATUSES = ["started", "completed", "failed", "partial"];
+
+export const DEFAULT_SYNC_FREQUENCY_MINUTES = 15;
+
+// Products that failed are listed in the log's error_details, up to this many
+const MAX_LOGGED_FAILURES = 50;
+
+// A product from the API that could not be saved
+export class SyncRecordError extends Error {
+  constructor(problems) {
+    super(problems.join("; "));
+    this.name = "SyncRecordError";
+    this.problems = problems;
+  }
+}
+
+// When the config should next sync, counted from `from`
+export const nextSyncAt = (config, from) =>
+  new Date(
+    from.getTime() +
+      (Number(config.sync_frequency_minutes) ||
+        DEFAULT_SYNC_FREQUENCY_MINUTES) *
+        60000
+  );
+
+// Active configs that have never synced or whose next sync time has come
+export const isSyncDue = (config, now) =>
+  config.is_active !== false &&
+  (!config.next_sync_at || new Date(config.next_sync_at) <= now);
+
+// Create or update the variants of `productId`; `known` maps external
+// variant ids to ours. Variants the brand no longer lists are deactivated.
+// -> { variantMappings, problems }
+const syncVariants = async (store, productId, variants, known) => {
+  const variantMappings = {};
+  const problems = [];
+  for (const { external_id: externalId, ...columns } of variants) {
+    try {
+      const changes = { is_active: true, ...columns };
+      const existing = known[externalId]
+        ? await store.updateVariant(productId, known[externalId], changes)
+        : null;
+      const variant =
+        existing || (await store.createVariant(productId, changes));
+      variantMappings[externalId] = variant.id;
+    } catch (err) {
+      problems.push(`variant ${externalId}: ${err.message}`);
+      // Keep the old mapping so the next sync can retry the update
+      if (known[externalId]) variantMappings[externalId] = known[externalId];
+    }
+  }
+  for (const [externalId, variantId] of Object.entries(known)) {
+    if (variantMappings[externalId]) continue;
+    try {
+      await store.updateVariant(productId, variantId, { is_active: false });
+    } catch (err) {
+      problems.push(`variant ${externalId}: ${err.message}`);
+      variantMappings[externalId] = variantId;
+    }
+  }
+  return { variantMappings, problems };
+};
+
+// Save one product from the API -> "created" or "updated". Throws a
+// SyncRecordError when it cannot be saved (the rest of the sync goes on).
+export async function syncBrandProduct(config, raw, store) {
+  const mappings = config.field_mappings || {};
+  const normalized = normalizeBrandProduct(raw, mappings);
+  if (!normalized.external_id) {
+    throw new SyncRecordError(normalized.problems);
+  }
+  const mapping = await store.findMapping(config.id, normalized.external_id);
+  const problems = [
+    ...normalized.problems,
+    ...(mapping ? [] : newProductProblems(normalized.product)),
+  ];
+  if (problems.length > 0) throw new SyncRecordError(problems);
+
+  let productId = mapping?.internal_product_id;
+  let outcome = "updated";
+  if (!mapping || !(await store.updateProduct(productId, normalized.product))) {
+    // New to us, or our product was removed since: (re)create it
+    const product = await store.createProduct({
+      status: config.catalog_config?.default_status || "active",
+      ...normalized.product,
+      brand_id: config.brand_id,
+    });
+    productId = product.id;
+    outcome = "created";
+    // Mapped before the variants so a failure there cannot cause a duplicate
+    await store.saveMapping(config.id, normalized.external_id, {
+      productId,
+      externalData: raw,
+      variantMappings: {},
+    });
+  }
+
+  // Without a variant mapping the brand's variants are not synced at all
+  const known =
+    mapping && outcome === "updated" ? mapping.variant_mappings : {};
+  const variants = mappings.variants
+    ? await syncVariants(store, productId, normalized.variants, known || {})
+    : { variantMappings: known || {}, problems: [] };
+
+  await store.saveMapping(config.id, normalized.external_id, {
+    productId,
+    externalData: raw,
+    variantMappings: variants.variantMappings,
+  });
+  if (variants.problems.length > 0) {
+    throw new SyncRecordError(variants.problems);
+  }
+  return outcome;
+}
+
+const failureOf = (raw, err, mappings) => {
+  let externalId = null;
+  try {
+    externalId = normalizeBrandProduct(raw, mappings).external_id;
+  } catch {
+    // The mapping itself is broken; the message says how
+  }
+  return {
+    external_id: externalId,
+    error: err.message,
+    ...(err.problems ? { problems: err.problems } : {}),
+  };
+};
+
+// Run a sync for `config` with `client` (a BrandApiClient) and record it in
+// api_sync_logs. A product that cannot be saved is counted as failed and the
+// sync carries on; an API error ends the sync early. -> the finished log.
+export async function syncBrandCatalog(
+  config,
+  { client, store, syncType = "full", now = () => new Date() }
+) {
+  const startedAt = now();
+  const log = await store.startLog(config.id, syncType, startedAt);
+  const counts = { processed: 0, created: 0, updated: 0, failed: 0 };
+  const failures = [];
+  let fatal = null;
+
+  try {
+    for await (const page of client.catalogPages()) {
+      for (const raw of page) {
+        counts.processed += 1;
+        try {
+          counts[await syncBrandProduct(config, raw, store)] += 1;
+        } catch (err) {
+          counts.failed += 1;
+          if (failures.length < MAX_LOGGED_FAILURES) {
+            failures.push(failureOf(raw, err, config.field_mappings || {}));
+          }
+          if (!(err instanceof SyncRecordError)) {
+            console.warn(`Brand sync ${config.id}: ${err.message}`);
+          }
+        }
+      }
+    }
+  } catch (err) {
+    fatal = err;
+  }
+
+  const completedAt = now();
+  const saved = counts.created + counts.updated;
+  const status = fatal
+    ? saved > 0
+      ? "partial"
+      : "failed"
+    : counts.failed > 0
+      ? "partial"
+      : "completed";
+  const finished = await store.finishLog(log.id, {
+    status,
+    records_processed: counts.processed,
+    records_created: counts.created,
+    records_updated: counts.updated,
+    records_failed: counts.failed,
+    error_message: fatal
+      ? fatal.message
+      : counts.failed > 0
+        ? `${counts.failed} product(s) could not be saved`
+        : null,
+    error_details:
+      fatal || failures.length > 0
+        ? {
+            ...(fatal
+              ? {
+                  api: {
+                    code: fatal.code || null,
+                    status: fatal.status ?? null,
+                  },
+                }
+              : {}),
+            ...(failures.length > 0 ? { products: failures } : {}),
+          }
+        : null,
+    completed_at: completedAt,
+    duration_seconds: Math.round(
+      (completedAt.getTime() - startedAt.getTime()) / 1000
+    ),
+  });
+  await store.markSynced(
+    config.id,
+    completedAt,
+    nextSyncAt(config, completedAt)
+  );
+  return finished;
+}
+
+export default {
+  SYNC_TYPES,
+  SYNC_STATUSES,
+  DEFAULT_SYNC_FREQUENCY_MINUTES,
+  SyncRecordError,
+  nextSyncAt,
+  isSyncDue,
+  syncBrandProduct,
+  syncBrandCatalog,
+};
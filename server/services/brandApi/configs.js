@@ -0,0 +1,48 @@
+// API shapes for brand API configs and their sync logs (admin only)
+
+export const SYNC_LOGS_MAX_LIMIT = 100;
+
+// A config without its credentials (`auth_config`, `webhook_secret`).
+// Only which credential fields are set is shown.
+export const toBrandApiConfig = (row) => ({
+  id: row.id,
+  brand_id: row.brand_id,
+  brand_name: row.brand_name ?? null,
+  api_name: row.api_name,
+  api_version: row.api_version ?? null,
+  base_url: row.base_url,
+  auth_type: row.auth_type,
+  auth_fields: Object.keys(row.auth_config || {}).sort(),
+  rate_limit_per_minute: row.rate_limit_per_minute,
+  rate_limit_per_hour: row.rate_limit_per_hour,
+  sync_frequency_minutes: row.sync_frequency_minutes,
+  catalog_config: row.catalog_config || {},
+  field_mappings: row.field_mappings || {},
+  is_active: row.is_active !== false,
+  last_sync_at: row.last_sync_at ?? null,
+  next_sync_at: row.next_sync_at ?? null,
+});
+
+export const toSyncLog = (row) => ({
+  id: row.id,
+  sync_type: row.sync_type,
+  status: row.status,
+  records_processed: Number(row.records_processed) || 0,
+  records_created: Number(row.records_created) || 0,
+  records_updated: Number(row.records_updated) || 0,
+  records_failed: Number(row.records_failed) || 0,
+  error_message: row.error_message ?? null,
+  error_details: row.error_details ?? null,
+  started_at: row.started_at,
+  completed_at: row.completed_at ?? null,
+  duration_seconds: row.duration_seconds ?? null,
+});
+
+export function parseSyncLogParams(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    SYNC_LOGS_MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || 20)
+  );
+  return { page, limit, offset: (page - 1) * limit };
+}
@@ -0,0 +1,235 @@
+// Turns one product from a brand's API into our product and variant columns,
+// following the config's `field_mappings`:
+//
+//   {
+//     "external_id": "id",
+//     "name": "title",
+//     "price": { "path": "price_cents", "transform": "cents" },
+//     "images": "media[].url",
+//     "specifications": { "fields": { "material": "fabric" } },
+//     "status": { "path": "state", "values": { "live": "active" } },
+//     "variants": { "path": "skus", "external_id": "code", "price": "price" }
+//   }
+//
+// A field is a path (`a.b`, `a[].b` to collect from a list) or
+// `{ path, transform, values, default }`. Unmapped columns are left alone.
+
+// Product columns a mapping can fill
+export const PRODUCT_MAPPED_FIELDS = [
+  "name",
+  "description",
+  "short_description",
+  "sku",
+  "price",
+  "compare_price",
+  "stock_quantity",
+  "weight",
+  "images",
+  "specifications",
+  "tags",
+  "status",
+];
+
+// Variant columns a mapping can fill
+export const VARIANT_MAPPED_FIELDS = [
+  "name",
+  "sku",
+  "price",
+  "stock_quantity",
+  "attributes",
+  "images",
+  "is_active",
+];
+
+// Read `path` from `source`. `a[].b` reads `b` from every entry of list `a`.
+export function readPath(source, path) {
+  if (path === undefined || path === null || path === "") return source;
+  const [head, ...rest] = String(path).split(".");
+  if (source === null || source === undefined) return undefined;
+  if (head.endsWith("[]")) {
+    const list = source[head.slice(0, -2)];
+    if (!Array.isArray(list)) return undefined;
+    const tail = rest.join(".");
+    return list
+      .map((entry) => readPath(entry, tail))
+      .filter((value) => value !== undefined && value !== null);
+  }
+  return rest.length === 0
+    ? source[head]
+    : readPath(source[head], rest.join("."));
+}
+
+const TRANSFORMS = {
+  number: (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+  },
+  integer: (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.trunc(n) : undefined;
+  },
+  // Minor units (cents) -> major units
+  cents: (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.round(n) / 100 : undefined;
+  },
+  string: (value) => String(value),
+  boolean: (value) =>
+    typeof value === "string"
+      ? ["true", "1", "yes", "y"].includes(value.trim().toLowerCase())
+      : Boolean(value),
+  // "a, b" -> ["a", "b"]
+  list: (value) =>
+    Array.isArray(value)
+      ? value
+      : String(value)
+          .split(",")
+          .map((part) => part.trim())
+          .filter(Boolean),
+};
+
+export const MAPPING_TRANSFORMS = Object.keys(TRANSFORMS);
+
+// One mapped value, or undefined when the source has none
+export function mapField(source, spec) {
+  const rule =
+    typeof spec === "object" && spec !== null ? spec : { path: spec };
+  let value = readPath(source, rule.path);
+  if (value === undefined || value === null || value === "") {
+    return rule.default;
+  }
+  if (rule.values && typeof rule.values === "object") {
+    const key = String(value);
+    value = key in rule.values ? rule.values[key] : rule.default;
+  }
+  if (value !== undefined && rule.transform) {
+    const transform = TRANSFORMS[rule.transform];
+    if (!transform) throw new Error(`Unknown transform "${rule.transform}"`);
+    value = transform(value);
+  }
+  return value;
+}
+
+// `specifications` is a path to an object, `{ fields: { key: path } }`, or
+// both (`{ path, fields }`, fields win)
+const mapSpecifications = (source, spec) => {
+  if (typeof spec !== "object" || spec === null || !spec.fields) {
+    const value = mapField(source, spec);
+    return value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : undefined;
+  }
+  const base = spec.path ? readPath(source, spec.path) : null;
+  const specs = base && typeof base === "object" ? { ...base } : {};
+  for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+    const value = mapField(source, fieldSpec);
+    if (value !== undefined) specs[key] = value;
+  }
+  return Object.keys(specs).length > 0 ? specs : undefined;
+};
+
+// Numeric columns; APIs often send numbers as strings ("49.90")
+const NUMERIC_COLUMNS = ["price", "compare_price", "weight", "stock_quantity"];
+
+const toNumber = (value) => {
+  if (typeof value !== "string" || value.trim() === "") return value;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : value;
+};
+
+const mapColumns = (source, mappings, columns) => {
+  const out = {};
+  for (const column of columns) {
+    if (mappings[column] === undefined) continue;
+    let value =
+      column === "specifications"
+        ? mapSpecifications(source, mappings[column])
+        : mapField(source, mappings[column]);
+    if (NUMERIC_COLUMNS.includes(column)) value = toNumber(value);
+    if (value !== undefined) out[column] = value;
+  }
+  return out;
+};
+
+const toList = (value) =>
+  value === undefined ? undefined : Array.isArray(value) ? value : [value];
+
+const toId = (value) =>
+  value === undefined || value === null ? null : String(value);
+
+// Problems with a mapped product that would stop it being saved
+const productProblems = (product) => {
+  const problems = [];
+  if (
+    product.price !== undefined &&
+    (typeof product.price !== "number" || product.price < 0)
+  ) {
+    problems.push("price is not a number of 0 or more");
+  }
+  if (
+    product.stock_quantity !== undefined &&
+    (!Number.isInteger(product.stock_quantity) || product.stock_quantity < 0)
+  ) {
+    problems.push("stock_quantity is not a whole number of 0 or more");
+  }
+  return problems;
+};
+
+// What a product seen for the first time also needs
+export const newProductProblems = (product) => [
+  ...(product.name ? [] : ["name is missing"]),
+  ...(product.price === undefined ? ["price is missing"] : []),
+];
+
+// Raw API product -> { external_id, product, variants, problems }
+export function normalizeBrandProduct(raw, mappings = {}) {
+  const externalId = toId(mapField(raw, mappings.external_id ?? "id"));
+  const product = mapColumns(raw, mappings, PRODUCT_MAPPED_FIELDS);
+  if (product.images !== undefined) product.images = toList(product.images);
+  if (product.tags !== undefined) product.tags = toList(product.tags);
+
+  const variantSpec = mappings.variants;
+  const variants = [];
+  if (variantSpec && typeof variantSpec === "object") {
+    const list = readPath(raw, variantSpec.path ?? "variants");
+    for (const entry of Array.isArray(list) ? list : []) {
+      const variant = mapColumns(entry, variantSpec, VARIANT_MAPPED_FIELDS);
+      if (variant.images !== undefined) variant.images = toList(variant.images);
+      variants.push({
+        external_id: toId(mapField(entry, variantSpec.external_id ?? "id")),
+        ...variant,
+        name: variant.name || variant.sku || product.name || "Default",
+        price: variant.price ?? product.price,
+      });
+    }
+  }
+
+  // With variants and no stock of its own, a product holds what they hold
+  if (product.stock_quantity === undefined && variants.length > 0) {
+    const stocks = variants.map((v) => v.stock_quantity);
+    if (stocks.every(Number.isInteger)) {
+      product.stock_quantity = stocks.reduce((sum, n) => sum + n, 0);
+    }
+  }
+
+  const problems = productProblems(product);
+  if (!externalId) problems.unshift("external id is missing");
+  variants.forEach((variant, i) => {
+    if (!variant.external_id) problems.push(`variant ${i + 1} has no id`);
+    if (typeof variant.price !== "number" || variant.price < 0) {
+      problems.push(`variant ${i + 1} has no valid price`);
+    }
+  });
+
+  return { external_id: externalId, product, variants, problems };
+}
+
+export default {
+  PRODUCT_MAPPED_FIELDS,
+  VARIANT_MAPPED_FIELDS,
+  MAPPING_TRANSFORMS,
+  readPath,
+  mapField,
+  normalizeBrandProduct,
+  newProductProblems,
+};
@@ -0,0 +1,96 @@
+import { ApiSyncLog } from "../../models/ApiSyncLog.js";
+import { BrandApiConfig } from "../../models/BrandApiConfig.js";
+import { Product } from "../../models/Product.js";
+import { ProductMapping } from "../../models/ProductMapping.js";
+import { ProductVariant } from "../../models/ProductVariant.js";
+import { BrandApiClient } from "./BrandApiClient.js";
+import { syncBrandCatalog } from "./catalogSync.js";
+
+// Connector runtime: runs catalog syncs against the database. Syncs of one
+// config never overlap in this process, and each config keeps one client so
+// its rate limits and oauth token carry over between syncs.
+
+// Where a sync reads and writes; tests pass an in-memory store instead
+export const catalogStore = {
+  startLog: (configId, syncType, startedAt) =>
+    ApiSyncLog.start(configId, syncType, startedAt),
+  finishLog: (logId, result) => ApiSyncLog.finish(logId, result),
+  markSynced: (configId, lastSyncAt, nextSyncAt) =>
+    BrandApiConfig.markSynced(configId, lastSyncAt, nextSyncAt),
+  findMapping: (configId, externalId) =>
+    ProductMapping.find(configId, externalId),
+  saveMapping: (configId, externalId, mapping) =>
+    ProductMapping.save(configId, externalId, mapping),
+  createProduct: (columns) => Product.create(columns, { sourceType: "api" }),
+  updateProduct: (productId, columns) => Product.update(productId, columns),
+  createVariant: (productId, columns) =>
+    ProductVariant.create(productId, columns),
+  updateVariant: (productId, variantId, columns) =>
+    ProductVariant.update(productId, variantId, columns),
+};
+
+const running = new Set();
+const clients = new Map();
+
+// The config's client, rebuilt when the config has been edited
+const clientFor = (config) => {
+  const version = String(config.updated_at ?? "");
+  const cached = clients.get(config.id);
+  if (cached && cached.version === version) return cached.client;
+  const client = new BrandApiClient(config);
+  clients.set(config.id, { version, client });
+  return client;
+};
+
+export const isBrandSyncRunning = (configId) => running.has(configId);
+
+// Sync one config now -> the finished api_sync_logs row, or null when a sync
+// of it is already running
+export async function runBrandSync(config, { syncType = "full" } = {}) {
+  if (running.has(config.id)) return null;
+  running.add(config.id);
+  try {
+    let client;
+    try {
+      client = clientFor(config);
+    } catch (err) {
+      // A config the client cannot use (unknown auth_type, ...) is logged as
+      // a failed sync like any API error
+      client = {
+        async *catalogPages() {
+          throw err;
+        },
+      };
+    }
+    return await syncBrandCatalog(config, {
+      client,
+      store: catalogStore,
+      syncType,
+    });
+  } finally {
+    running.delete(config.id);
+  }
+}
+
+// Sync every config that is due, one after another -> number synced
+export async function runDueBrandSyncs(now = new Date()) {
+  let synced = 0;
+  for (const config of await BrandApiConfig.listDue(now)) {
+    try {
+      if (await runBrandSync(config)) synced++;
+    } catch (err) {
+      // The database failing for one config should not stop the others
+      console.warn(`Brand sync ${config.id} failed:`, err.message || err);
+    }
+  }
+  return synced;
+}
+
+export { BrandApiClient, BrandApiError } from "./BrandApiClient.js";
+export {
+  isSyncDue,
+  nextSyncAt,
+  syncBrandCatalog,
+  syncBrandProduct,
+} from "./catalogSync.js";
+export { normalizeBrandProduct } from "./fieldMappings.js";
@@ -0,0 +1,195 @@
+import {
+  PRICING_CONFIG,
+  STANDARD_SHIPPING,
+  buildOrderLines,
+  calculateOrderTotals,
+  roundMoney,
+  selectPromotion,
+  shippingForLines,
+} from "../../utils/orderPricing.js";
+import { availableStock } from "./cartValidation.js";
+
+// At or below this many units left a line is flagged as low stock
+export const LOW_STOCK_THRESHOLD = parseInt(
+  process.env.LOW_STOCK_THRESHOLD || "5",
+  10
+);
+
+const sameLine = (a, b) =>
+  a.product_id === b.product_id &&
+  (a.variant_id || null) === (b.variant_id || null);
+
+// Units left for a cart row: the stricter of product and variant stock,
+// as cart changes are clamped to. null when untracked.
+const rowStock = (row) =>
+  availableStock(
+    { stock_quantity: row.stock_quantity },
+    row.variant_id ? { stock_quantity: row.variant_stock_quantity } : null
+  );
+
+// in_stock | low_stock | insufficient | out_of_stock | unavailable
+export const stockStatus = (row) => {
+  if (row.status !== "active" || row.variant_is_active === false) {
+    return "unavailable";
+  }
+  const stock = rowStock(row);
+  if (stock === null) return "in_stock";
+  if (stock <= 0) return "out_of_stock";
+  if (Number(row.quantity) > stock) return "insufficient";
+  return stock <= LOW_STOCK_THRESHOLD ? "low_stock" : "in_stock";
+};
+
+const PURCHASABLE = ["in_stock", "low_stock"];
+
+// One cart line as the storefront shows it, priced from the catalogue
+const summarizeRow = (row) => {
+  const status = stockStatus(row);
+  const purchasable = PURCHASABLE.includes(status);
+  // buildOrderLines is what checkout prices with, so the numbers match
+  const [line] = buildOrderLines([
+    purchasable ? row : { ...row, status: "active", stock_quantity: null },
+  ]);
+  const priceAtAdd =
+    row.price_at_add != null ? roundMoney(row.price_at_add) : null;
+  const comparePrice =
+    !row.variant_id && row.compare_price != null
+      ? roundMoney(row.compare_price)
+      : null;
+
+  return {
+    item: {
+      id: row.id || null,
+      product_id: row.product_id,
+      variant_id: row.variant_id || null,
+      name: line.product_snapshot.name,
+      brand: line.product_snapshot.brand_name,
+      image: line.product_snapshot.image,
+      sku: line.product_snapshot.sku,
+      variant_name: line.product_snapshot.variant_name,
+      attributes: line.product_snapshot.attributes,
+      quantity: line.quantity,
+      unit_price: line.unit_price,
+      compare_price:
+        comparePrice != null && comparePrice > line.unit_price
+          ? comparePrice
+          : null,
+      line_total: line.total_price,
+      price_at_add: priceAtAdd,
+      price_changed: priceAtAdd != null && priceAtAdd !== line.unit_price,
+      stock_status: status,
+      available_quantity: rowStock(row),
+      purchasable,
+    },
+    line: purchasable ? line : null,
+  };
+};
+
+// Lines the shopper asked for that the catalogue no longer has
+const missingItem = (requested) => ({
+  id: requested.id || null,
+  product_id: requested.product_id,
+  variant_id: requested.variant_id || null,
+  name: null,
+  brand: null,
+  image: null,
+  sku: null,
+  variant_name: null,
+  attributes: {},
+  quantity: Number(requested.quantity),
+  unit_price: null,
+  compare_price: null,
+  line_total: 0,
+  price_at_add: null,
+  price_changed: false,
+  stock_status: "unavailable",
+  available_quantity: 0,
+  purchasable: false,
+});
+
+// Server-side cart summary: every line priced from the catalogue with price
+// and stock flags, the automatic promotion that applies, shipping options
+// and totals. Totals cover only the lines that can be bought right now and
+// are computed exactly as checkout will compute them.
+// `requested` is the guest cart as posted, so lines that match no product
+// can be reported too.
+export function buildCartSummary(
+  rows = [],
+  {
+    promotions = [],
+    shippingMethods = [STANDARD_SHIPPING],
+    shippingMethodCode = null,
+    requested = null,
+    now = new Date(),
+  } = {}
+) {
+  const summarized = rows.map(summarizeRow);
+  const items = summarized.map((s) => s.item);
+  for (const req of requested || []) {
+    if (!rows.some((row) => sameLine(row, req))) items.push(missingItem(req));
+  }
+  const lines = summarized.map((s) => s.line).filter(Boolean);
+
+  const promotion = lines.length
+    ? selectPromotion(promotions, lines, now)
+    : null;
+  const selected =
+    shippingMethods.find(
+      (m) => m.code === (shippingMethodCode || STANDARD_SHIPPING.code)
+    ) ||
+    shippingMethods[0] ||
+    STANDARD_SHIPPING;
+  const shippingOptions = shippingMethods.map((method) => ({
+    code: method.code,
+    name: method.name,
+    description: method.description || null,
+    delivery_time: method.delivery_time || null,
+    amount: promotion?.free_shipping ? 0 : shippingForLines(lines, method),
+    selected: method.code === selected.code,
+  }));
+
+  return {
+    items,
+    item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+    promotions: promotion ? [promotion] : [],
+    shipping_options: shippingOptions,
+    shipping_method: selected.code,
+    totals: calculateOrderTotals(lines, null, {
+      promotion,
+      shippingMethod: selected,
+    }),
+    tax_rate: PRICING_CONFIG.taxRate,
+    has_changes: items.some((item) => item.price_changed || !item.purchasable),
+    can_checkout: items.length > 0 && items.every((item) => item.purchasable),
+  };
+}
+
+// The user's saved-for-later list and named carts with their lines priced
+// like the cart's. `subtotal` counts only the lines that could be bought now.
+export function summarizeCartLists(lists = [], rows = []) {
+  return lists.map((list) => {
+    const items = rows
+      .filter((row) => row.list_id === list.id)
+      .map((row) => ({ ...summarizeRow(row).item, list_id: list.id }));
+    return {
+      id: list.id,
+      kind: list.kind,
+      name: list.name,
+      created_at: list.created_at,
+      updated_at: list.updated_at,
+      items,
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: roundMoney(
+        items
+          .filter((item) => item.purchasable)
+          .reduce((sum, item) => sum + item.line_total, 0)
+      ),
+    };
+  });
+}
+
+export default {
+  LOW_STOCK_THRESHOLD,
+  stockStatus,
+  buildCartSummary,
+  summarizeCartLists,
+};
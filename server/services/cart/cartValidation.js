@@ -0,0 +1,130 @@
+import { HttpError } from "../../utils/httpError.js";
+
+// Machine-readable reasons a cart change was refused or adjusted. The cart UI
+// keys its messages off these; `error` carries a readable fallback.
+export const CART_ERROR_CODES = {
+  ITEM_NOT_FOUND: "CART_ITEM_NOT_FOUND",
+  PRODUCT_NOT_FOUND: "PRODUCT_NOT_FOUND",
+  VARIANT_NOT_FOUND: "VARIANT_NOT_FOUND",
+  PRODUCT_UNAVAILABLE: "PRODUCT_UNAVAILABLE",
+  OUT_OF_STOCK: "OUT_OF_STOCK",
+  INVALID_QUANTITY: "INVALID_QUANTITY",
+  QUANTITY_ADJUSTED: "QUANTITY_ADJUSTED",
+  LIST_NOT_FOUND: "CART_LIST_NOT_FOUND",
+  LIST_NAME_TAKEN: "CART_LIST_NAME_TAKEN",
+  LIST_LOCKED: "CART_LIST_LOCKED",
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isUuid = (value) => UUID_PATTERN.test(String(value || ""));
+
+export const cartError = (status, code, message, extra = {}) =>
+  new HttpError(status, message, { code, ...extra });
+
+// Units that can go in the cart: the stricter of product and variant stock.
+// null when neither tracks stock.
+export const availableStock = (product, variant = null) => {
+  const tracked = [product?.stock_quantity, variant?.stock_quantity]
+    .filter((value) => value !== null && value !== undefined)
+    .map(Number);
+  return tracked.length ? Math.max(Math.min(...tracked), 0) : null;
+};
+
+// Throw a structured error unless the product exists and the variant, when
+// given, is one of its variants. Enough for lines parked in a list.
+export const assertExists = (
+  product,
+  variant,
+  { productId, variantId = null } = {}
+) => {
+  const ids = { product_id: productId, variant_id: variantId };
+  if (!product) {
+    throw cartError(
+      404,
+      CART_ERROR_CODES.PRODUCT_NOT_FOUND,
+      "Product not found",
+      ids
+    );
+  }
+  if (variantId && (!variant || variant.product_id !== productId)) {
+    throw cartError(
+      404,
+      CART_ERROR_CODES.VARIANT_NOT_FOUND,
+      `The selected option of ${product.name} does not exist`,
+      ids
+    );
+  }
+};
+
+// Throw a structured error unless the product (and variant, when given) can
+// be bought right now. Returns the units available (null when untracked).
+export const assertPurchasable = (
+  product,
+  variant,
+  { productId, variantId = null } = {}
+) => {
+  assertExists(product, variant, { productId, variantId });
+  const ids = { product_id: productId, variant_id: variantId };
+  if (product.status !== "active" || (variant && variant.is_active === false)) {
+    throw cartError(
+      409,
+      CART_ERROR_CODES.PRODUCT_UNAVAILABLE,
+      `${product.name} is no longer available`,
+      ids
+    );
+  }
+  const available = availableStock(product, variant);
+  if (available === 0) {
+    throw cartError(
+      409,
+      CART_ERROR_CODES.OUT_OF_STOCK,
+      `${product.name} is out of stock`,
+      { ...ids, available_quantity: 0 }
+    );
+  }
+  return available;
+};
+
+// Fit a requested line quantity to the stock. Returns the quantity to store
+// and, when it had to change, an adjustment the response passes on to the
+// shopper.
+export const clampQuantity = (requested, available, name = "this item") => {
+  if (available === null || requested <= available) {
+    return { quantity: requested, adjustment: null };
+  }
+  return {
+    quantity: available,
+    adjustment: {
+      code: CART_ERROR_CODES.QUANTITY_ADJUSTED,
+      message: `Only ${available} of ${name} left, so your cart holds ${available}`,
+      requested_quantity: requested,
+      available_quantity: available,
+    },
+  };
+};
+
+// Quantities arrive from JSON bodies; accept whole numbers from 1 up
+export const parseQuantity = (value) => {
+  const quantity = typeof value === "string" ? Number(value) : value;
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw cartError(
+      400,
+      CART_ERROR_CODES.INVALID_QUANTITY,
+      "quantity must be a whole number of at least 1"
+    );
+  }
+  return quantity;
+};
+
+export default {
+  CART_ERROR_CODES,
+  isUuid,
+  cartError,
+  availableStock,
+  assertExists,
+  assertPurchasable,
+  clampQuantity,
+  parseQuantity,
+};
@@ -499,6 +499,76 @@ CREATE POLICY "Users can manage own cart"
   TO authenticated
   USING (auth.uid() = user_id);
 
+-- ============================================
+-- Accounts: Address book defaults
+-- Created: 2026-10-19
+-- Purpose: let a saved address be the default for shipping, billing or both;
+-- `is_default` stays in sync with the shipping default for older readers
+-- ============================================
+ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS label varchar(50);
+ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS is_default_shipping boolean NOT NULL DEFAULT false;
+ALTER TABLE user_addresses ADD COLUMN IF NOT EXISTS is_default_billing boolean NOT NULL DEFAULT false;
+
+-- At most one default of each kind per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_shipping
+  ON user_addresses(user_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_addresses_default_billing
+  ON user_addresses(user_id) WHERE is_default_billing;
+
+-- ============================================
+-- Checkout: Guest orders
+-- Created: 2026-10-19
+-- Purpose: let guests check out by email; the order has no user until the
+-- buyer follows the emailed claim link and attaches it to an account
+-- ============================================
+ALTER TABLE orders ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS is_guest boolean NOT NULL DEFAULT false;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS guest_email varchar(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS claimed_at timestamptz;
+ALTER TABLE orders ADD CONSTRAINT chk_orders_owner
+  CHECK (user_id IS NOT NULL OR (is_guest AND guest_email IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_orders_guest_email ON orders(lower(guest_email)) WHERE is_guest;
+
+-- ============================================
+-- Checkout: Idempotency keys
+-- Created: 2026-10-19
+-- Purpose: replay the saved response when an order or payment request is
+-- retried with the same Idempotency-Key header
+-- ============================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scope varchar(100) NOT NULL, -- e.g. 'orders.create', 'payments.capture'
+  idempotency_key varchar(255) NOT NULL,
+  request_hash text NOT NULL, -- SHA-256 of method, path and body
+  status varchar(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz,
+  expires_at timestamptz NOT NULL,
+  UNIQUE(user_id, scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Checkout: Guest idempotency keys
+-- Created: 2026-10-19
+-- Purpose: let guest checkout retry safely; guests have no user, so their
+-- keys belong to a guest_key ('email:<address>' or 'order:<id>')
+-- ============================================
+ALTER TABLE idempotency_keys ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS guest_key varchar(300);
+ALTER TABLE idempotency_keys ADD CONSTRAINT chk_idempotency_keys_owner
+  CHECK ((user_id IS NULL) <> (guest_key IS NULL));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_idempotency_keys_guest
+  ON idempotency_keys(guest_key, scope, idempotency_key) WHERE guest_key IS NOT NULL;
+
 -- Add foreign key constraint for reviews.order_id now that orders table exists
 ALTER TABLE reviews 
 ADD CONSTRAINT fk_reviews_order_id 
@@ -611,11 +681,155 @@ CREATE INDEX IF NOT EXISTS idx_products_price ON products(price);
 CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
 CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING GIN(tags);
 
+-- ============================================
+-- Catalogue: Product slugs
+-- Created: 2026-10-19
+-- Purpose: new and renamed listings take the first free `slug`, `slug-2`,
+-- `slug-3`, ...; prefix lookups need a pattern index
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_products_slug_pattern ON products(slug varchar_pattern_ops);
+
+-- ============================================
+-- Catalogue: Product search
+-- Created: 2026-10-19
+-- Purpose: full-text search over name, brand, category, tags and
+-- descriptions (weighted in that order), plus trigram matching on product
+-- and brand names so misspelt queries still find results. The document is
+-- kept in its own table so `SELECT p.*` stays unchanged; triggers rebuild it
+-- when a product, or the name of its brand or category, changes.
+-- ============================================
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS product_search (
+  product_id uuid PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+  document tsvector NOT NULL,
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE product_search ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Product search documents are publicly readable"
+  ON product_search
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE OR REPLACE FUNCTION refresh_product_search(target_ids uuid[])
+RETURNS void AS $$
+  INSERT INTO product_search (product_id, document, updated_at)
+  SELECT
+    p.id,
+    setweight(to_tsvector('english', coalesce(p.name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(b.name, '') || ' ' || coalesce(c.name, '')), 'B') ||
+    setweight(to_tsvector('english', array_to_string(coalesce(p.tags, '{}'), ' ')), 'B') ||
+    setweight(to_tsvector('english', coalesce(p.short_description, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(p.description, '')), 'D'),
+    now()
+  FROM products p
+  LEFT JOIN brands b ON b.id = p.brand_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  WHERE p.id = ANY(target_ids)
+  ON CONFLICT (product_id) DO UPDATE SET
+    document = EXCLUDED.document,
+    updated_at = EXCLUDED.updated_at;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION refresh_product_search_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'products' THEN
+    PERFORM refresh_product_search(ARRAY[NEW.id]);
+  ELSIF TG_TABLE_NAME = 'brands' THEN
+    PERFORM refresh_product_search(ARRAY(SELECT id FROM products WHERE brand_id = NEW.id));
+  ELSE
+    PERFORM refresh_product_search(ARRAY(SELECT id FROM products WHERE category_id = NEW.id));
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_product_search ON products;
+CREATE TRIGGER trigger_product_search
+  AFTER INSERT OR UPDATE OF name, short_description, description, tags, brand_id, category_id
+  ON products
+  FOR EACH ROW EXECUTE FUNCTION refresh_product_search_trigger();
+
+DROP TRIGGER IF EXISTS trigger_product_search_brand ON brands;
+CREATE TRIGGER trigger_product_search_brand
+  AFTER UPDATE OF name ON brands
+  FOR EACH ROW EXECUTE FUNCTION refresh_product_search_trigger();
+
+DROP TRIGGER IF EXISTS trigger_product_search_category ON categories;
+CREATE TRIGGER trigger_product_search_category
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW EXECUTE FUNCTION refresh_product_search_trigger();
+
+-- Documents for products that existed before search
+SELECT refresh_product_search(ARRAY(
+  SELECT p.id FROM products p
+  WHERE NOT EXISTS (SELECT 1 FROM product_search ps WHERE ps.product_id = p.id)
+));
+
+CREATE INDEX IF NOT EXISTS idx_product_search_document ON product_search USING GIN(document);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN(name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_brands_name_trgm ON brands USING GIN(name gin_trgm_ops);
+
+-- ============================================
+-- Catalogue: Listing sorts
+-- Created: 2026-10-19
+-- Purpose: GET /products and GET /search page through active products in
+-- (sort key, id) order after a cursor; these let the newest and price
+-- sorts read their page straight off an index
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_products_active_newest
+  ON products (created_at DESC, id DESC) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_products_active_price
+  ON products (price, id) WHERE status = 'active';
+
+-- ============================================
+-- Catalogue: Category tree
+-- Created: 2026-10-19
+-- Purpose: /categories reads the tree with siblings in sort_order, and
+-- admins reorder one parent's children at a time
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_categories_parent_sort
+  ON categories (parent_id, sort_order);
+
+-- ============================================
+-- Catalogue: Brand followers
+-- Created: 2026-10-19
+-- Purpose: shoppers follow brands from their storefront pages; the brand
+-- list and pages show how many follow each
+-- ============================================
+CREATE TABLE IF NOT EXISTS brand_follows (
+  brand_id uuid NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  followed_at timestamptz DEFAULT now(),
+  PRIMARY KEY (brand_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_brand_follows_user_id ON brand_follows(user_id);
+
+ALTER TABLE brand_follows ENABLE ROW LEVEL SECURITY;
+
+-- The brand's own active products, by category, for its storefront
+CREATE INDEX IF NOT EXISTS idx_products_active_brand
+  ON products (brand_id, category_id) WHERE status = 'active';
+
 -- Product variants table indexes
 CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
 CREATE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(sku);
 CREATE INDEX IF NOT EXISTS idx_product_variants_is_active ON product_variants(is_active);
 
+-- ============================================
+-- Catalogue: Variant option combinations
+-- Created: 2026-10-19
+-- Purpose: the variant picker resolves a size/colour selection to exactly
+-- one variant, so a product's active variants may not share `attributes`.
+-- Deactivated variants stay for the orders that reference them.
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_active_attributes
+  ON product_variants(product_id, attributes) WHERE is_active;
+
 -- Reviews table indexes
 CREATE INDEX IF NOT EXISTS idx_reviews_product_id ON reviews(product_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_user_id ON reviews(user_id);
@@ -624,6 +838,111 @@ CREATE INDEX IF NOT EXISTS idx_reviews_rating ON reviews(rating);
 CREATE INDEX IF NOT EXISTS idx_reviews_is_approved ON reviews(is_approved);
 CREATE INDEX IF NOT EXISTS idx_reviews_created_at ON reviews(created_at);
 
+-- ============================================
+-- Reviews: Votes and moderation
+-- Created: 2026-10-19
+-- Purpose: one review per shopper and product; new and edited reviews wait
+-- in a moderation queue, and shoppers mark other reviews helpful once each
+-- ============================================
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderated_at timestamptz;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS moderated_by uuid
+  REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS rejection_reason text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_product_user
+  ON reviews (product_id, user_id);
+-- The moderation queue, oldest first
+CREATE INDEX IF NOT EXISTS idx_reviews_pending
+  ON reviews (updated_at) WHERE NOT is_approved AND moderated_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS review_votes (
+  review_id uuid NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (review_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_review_votes_user_id ON review_votes(user_id);
+
+ALTER TABLE review_votes ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Wishlist: Saved prices
+-- Created: 2026-10-19
+-- Purpose: each wishlist entry keeps the product's price when it was saved,
+-- so the wishlist can show what has dropped since
+-- ============================================
+ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS price_at_add numeric(10,2);
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_user_created
+  ON wishlist_items (user_id, created_at DESC);
+
+-- ============================================
+-- Wishlist: Collections
+-- Created: 2026-10-19
+-- Purpose: let shoppers group saved products into named collections that
+-- are private, shared by link, or public. Entries without a collection_id
+-- are the wishlist itself, which stays private.
+-- ============================================
+CREATE TABLE IF NOT EXISTS wishlist_collections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name varchar(100) NOT NULL,
+  description text,
+  visibility varchar(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'link', 'public')),
+  share_token varchar(64) NOT NULL UNIQUE,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_collections_user_name ON wishlist_collections(user_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_wishlist_collections_public
+  ON wishlist_collections (updated_at DESC) WHERE visibility = 'public';
+
+ALTER TABLE wishlist_items ADD COLUMN IF NOT EXISTS collection_id uuid REFERENCES wishlist_collections(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_collection_id ON wishlist_items(collection_id);
+
+-- A product appears once per collection. NULL collection_id (the wishlist)
+-- is folded to a fixed value so it is covered too.
+ALTER TABLE wishlist_items DROP CONSTRAINT IF EXISTS wishlist_items_user_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_user_collection_product ON wishlist_items (
+  user_id,
+  COALESCE(collection_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  product_id
+);
+
+ALTER TABLE wishlist_collections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own wishlist collections"
+  ON wishlist_collections
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Public wishlist collections are readable"
+  ON wishlist_collections
+  FOR SELECT
+  TO public
+  USING (visibility = 'public');
+
+-- ============================================
+-- Compare: Saved compare lists
+-- Created: 2026-10-19
+-- Purpose: keep each signed-in shopper's product comparison across devices.
+-- Product ids are kept in the order the shopper added them.
+-- ============================================
+CREATE TABLE IF NOT EXISTS compare_lists (
+  user_id uuid PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  product_ids uuid[] NOT NULL DEFAULT '{}' CHECK (cardinality(product_ids) <= 4),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE compare_lists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own compare list"
+  ON compare_lists
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id);
+
 -- Orders table indexes
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_order_number ON orders(order_number);
@@ -988,6 +1307,57 @@ CREATE POLICY "Users can read own referrals"
   ON referrals FOR SELECT TO authenticated
   USING (auth.uid() = referrer_id OR auth.uid() = referee_id);
 
+-- ============================================
+-- Cart: Server-side pricing
+-- Created: 2026-10-19
+-- Purpose: remember what a cart line cost when it was added so price changes
+-- can be pointed out, and record the shipping method and automatic
+-- promotion an order was priced with
+-- ============================================
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS price_at_add numeric(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_method varchar(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_id uuid REFERENCES promotions(id);
+
+-- ============================================
+-- Cart: Saved for later and named carts
+-- Created: 2026-10-19
+-- Purpose: let shoppers park cart lines in a "saved for later" list or in
+-- named carts (gift, work, ...). Lines without a list_id are the cart itself.
+-- ============================================
+CREATE TABLE IF NOT EXISTS cart_lists (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind varchar(20) NOT NULL DEFAULT 'named' CHECK (kind IN ('saved', 'named')),
+  name varchar(100) NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_lists_user_name ON cart_lists(user_id, lower(name));
+-- One saved-for-later list per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_lists_user_saved ON cart_lists(user_id) WHERE kind = 'saved';
+
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS list_id uuid REFERENCES cart_lists(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_cart_items_list_id ON cart_items(list_id);
+
+-- A product/variant appears once per list. NULL list_id and variant_id are
+-- folded to a fixed value so the cart and variant-less lines are covered too.
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_user_id_product_id_variant_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_user_list_line ON cart_items (
+  user_id,
+  COALESCE(list_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  product_id,
+  COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+ALTER TABLE cart_lists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own cart lists"
+  ON cart_lists
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id);
+
 
 
 
@@ -1179,6 +1549,35 @@ CREATE POLICY "Product inventory readable by staff"
     )
   );
 
+-- ============================================
+-- Checkout: Stock reservations
+-- Created: 2026-10-19
+-- Purpose: hold product_inventory stock (quantity_reserved) for a buyer from
+-- the payment step until the order is paid, cancelled or the hold expires
+-- ============================================
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  order_id uuid REFERENCES orders(id) ON DELETE CASCADE, -- set once the order is placed
+  inventory_id uuid NOT NULL REFERENCES product_inventory(id),
+  product_id uuid NOT NULL REFERENCES products(id),
+  variant_id uuid REFERENCES product_variants(id),
+  quantity integer NOT NULL CHECK (quantity > 0),
+  status varchar(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired', 'returned')),
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_active_expiry ON stock_reservations(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_user_id ON stock_reservations(user_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id);
+
+-- Guest orders hold stock by order only
+ALTER TABLE stock_reservations ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+
 
 
 
@@ -2483,6 +2882,71 @@ CREATE INDEX IF NOT EXISTS idx_revenue_tracking_created_at ON revenue_tracking(c
 
 CREATE INDEX IF NOT EXISTS idx_seller_analytics_seller_date ON seller_analytics(seller_id, date);
 
+-- ============================================
+-- Brands: API connector runtime
+-- Created: 2026-10-19
+-- Purpose: let brand_api_configs drive catalog syncs. catalog_config says
+-- where the catalog is and how it is paged; product_mappings also remembers
+-- which of our variants each of the brand's variants became.
+-- ============================================
+ALTER TABLE brand_api_configs ADD COLUMN IF NOT EXISTS catalog_config jsonb NOT NULL DEFAULT '{}';
+ALTER TABLE product_mappings ADD COLUMN IF NOT EXISTS variant_mappings jsonb NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_api_sync_logs_config_started ON api_sync_logs(brand_api_config_id, started_at DESC);
+
+CREATE POLICY "API sync logs readable by admin"
+  ON api_sync_logs FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM users
+      JOIN roles ON users.role_id = roles.id
+      WHERE users.id = auth.uid()
+      AND roles.name = 'admin'
+    )
+  );
+
+-- ============================================
+-- Orders: Seller fulfilment groups
+-- Created: 2026-10-19
+-- Purpose: split each order into one shipment per seller (or API brand), each
+-- with its own status, shipping and tracking, and settle revenue per group
+-- ============================================
+CREATE TABLE IF NOT EXISTS order_fulfillments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  seller_id uuid REFERENCES users(id), -- null for brand / platform stock
+  brand_id uuid REFERENCES brands(id), -- set when there is no seller
+  status varchar(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')),
+  subtotal numeric(10,2) NOT NULL DEFAULT 0 CHECK (subtotal >= 0),
+  discount_amount numeric(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+  shipping_amount numeric(10,2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0),
+  tax_amount numeric(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+  total_amount numeric(10,2) NOT NULL DEFAULT 0 CHECK (total_amount >= 0),
+  carrier varchar(100),
+  tracking_number varchar(255),
+  shipped_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_order_id ON order_fulfillments(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_seller_status ON order_fulfillments(seller_id, status);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS fulfillment_id uuid REFERENCES order_fulfillments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_order_items_fulfillment_id ON order_items(fulfillment_id);
+
+-- One revenue row per seller group, removed with the group
+ALTER TABLE revenue_tracking ADD COLUMN IF NOT EXISTS fulfillment_id uuid REFERENCES order_fulfillments(id) ON DELETE CASCADE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revenue_tracking_fulfillment_id ON revenue_tracking(fulfillment_id) WHERE fulfillment_id IS NOT NULL;
+
+ALTER TABLE order_fulfillments ENABLE ROW LEVEL SECURITY;
+
+-- Sellers can read their own shipments
+CREATE POLICY "Sellers can read own fulfillments"
+  ON order_fulfillments FOR SELECT TO authenticated
+  USING (auth.uid() = seller_id);
+
 
 
 
@@ -3824,6 +4288,36 @@ CREATE INDEX IF NOT EXISTS idx_product_similarities_score ON product_similaritie
 CREATE INDEX IF NOT EXISTS idx_user_search_history_user_id ON user_search_history(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_search_history_created_at ON user_search_history(created_at);
 
+-- ============================================
+-- Search: Autocomplete
+-- Created: 2026-10-19
+-- Purpose: GET /search/suggest looks up popular searches by lowercase
+-- prefix, a user's recent searches, and category names that start with or
+-- resemble what is typed (products and brands are indexed in
+-- "Catalogue: Product search")
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_search_queries_query_prefix
+  ON search_queries (lower(trim(query)) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_user_search_history_query_prefix
+  ON user_search_history (lower(trim(search_query)) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_user_search_history_user_recent
+  ON user_search_history (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_categories_name_trgm ON categories USING GIN(name gin_trgm_ops);
+
+-- ============================================
+-- Search: Query analytics
+-- Created: 2026-10-19
+-- Purpose: GET /search/report (admin) counts recent searches that found
+-- nothing or led to a click; POST /search/:id/click finds a user's latest
+-- history row for a query
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_search_queries_zero_results
+  ON search_queries (created_at) WHERE results_count = 0;
+CREATE INDEX IF NOT EXISTS idx_search_queries_clicked_product
+  ON search_queries (clicked_product_id) WHERE clicked_product_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_search_history_user_query
+  ON user_search_history (user_id, search_query, created_at DESC);
+
 
 
 
@@ -0,0 +1,88 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// How long reserved stock is held for a buyer who reached the payment step
+export const RESERVATION_TTL_SECONDS =
+  parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || "15") * 60;
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// Merge lines for the same product/variant into one wanted quantity
+export const groupLines = (lines = []) => {
+  const grouped = new Map();
+  for (const line of lines) {
+    const key = lineKey(line.product_id, line.variant_id);
+    const existing = grouped.get(key);
+    if (existing) {
+      existing.quantity += Number(line.quantity);
+    } else {
+      grouped.set(key, {
+        product_id: line.product_id,
+        variant_id: line.variant_id || null,
+        quantity: Number(line.quantity),
+        name: line.name || null,
+      });
+    }
+  }
+  return grouped;
+};
+
+// Work out how to get from the reservations a buyer holds to the ones their
+// cart (or order) needs. Products whose reserved total already matches are
+// kept; anything else is released and reserved again.
+export const planReservations = (active = [], lines = []) => {
+  const wanted = groupLines(lines);
+  const held = new Map();
+  for (const reservation of active) {
+    const key = lineKey(reservation.product_id, reservation.variant_id);
+    if (!held.has(key)) held.set(key, []);
+    held.get(key).push(reservation);
+  }
+
+  const heldTotal = (key) =>
+    (held.get(key) || []).reduce((sum, r) => sum + Number(r.quantity), 0);
+
+  const plan = { keep: [], release: [], reserve: [] };
+  for (const [key, reservations] of held) {
+    const line = wanted.get(key);
+    if (line && heldTotal(key) === line.quantity) {
+      plan.keep.push(...reservations);
+    } else {
+      plan.release.push(...reservations);
+    }
+  }
+  for (const [key, line] of wanted) {
+    if (heldTotal(key) !== line.quantity) plan.reserve.push(line);
+  }
+  return plan;
+};
+
+// Stock that can still be promised to a buyer
+export const freeQuantity = (row) =>
+  Number(row.quantity_available || 0) - Number(row.quantity_reserved || 0);
+
+// Split `quantity` across inventory rows, most free stock first.
+// Returns [{ inventory, quantity }] or null when there is not enough.
+export const allocateStock = (rows = [], quantity) => {
+  const sorted = [...rows].sort((a, b) => freeQuantity(b) - freeQuantity(a));
+  const allocations = [];
+  let remaining = quantity;
+  for (const inventory of sorted) {
+    if (remaining <= 0) break;
+    const take = Math.min(freeQuantity(inventory), remaining);
+    if (take > 0) {
+      allocations.push({ inventory, quantity: take });
+      remaining -= take;
+    }
+  }
+  return remaining > 0 ? null : allocations;
+};
+
+export default {
+  RESERVATION_TTL_SECONDS,
+  groupLines,
+  planReservations,
+  freeQuantity,
+  allocateStock,
+};
@@ -0,0 +1,162 @@
+import { fulfillmentKey, roundMoney } from "../../utils/orderPricing.js";
+
+// `order_fulfillments.status` values. A fulfilment group is the part of an
+// order one seller (or brand) ships on its own.
+export const FULFILLMENT_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "shipped",
+  "delivered",
+  "cancelled",
+];
+
+// Legal moves for a single group. Groups are confirmed when the parent order
+// is paid; after that the seller owns the flow.
+export const FULFILLMENT_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "shipped", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Parent statuses in the order they are reached while shipping
+const SHIPPING_PROGRESS = ["confirmed", "processing", "shipped", "delivered"];
+
+export const canTransitionFulfillment = (from, to) =>
+  (FULFILLMENT_TRANSITIONS[from] || []).includes(to);
+
+// Spread `amount` over groups in proportion to their subtotal; the last group
+// takes the rounding remainder so the parts always add up to the total.
+const allocate = (amount, groups, subtotal) => {
+  let remaining = roundMoney(amount);
+  return groups.map((group, index) => {
+    if (index === groups.length - 1) return remaining;
+    const share =
+      subtotal > 0 ? roundMoney((amount * group.subtotal) / subtotal) : 0;
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+// Split priced order lines into per-seller fulfilment groups. The customer
+// pays one shipping fee per order; it is shared pro rata with the discount
+// and tax so the groups add up to the order.
+export function splitOrderLines(lines = [], totals = {}) {
+  const byKey = new Map();
+  for (const line of lines) {
+    const key = fulfillmentKey(line);
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        key,
+        seller_id: line.seller_id || null,
+        brand_id: line.seller_id ? null : line.brand_id || null,
+        lines: [],
+        subtotal: 0,
+      });
+    }
+    const group = byKey.get(key);
+    group.lines.push(line);
+    group.subtotal = roundMoney(group.subtotal + Number(line.total_price));
+  }
+
+  const groups = [...byKey.values()];
+  const subtotal = roundMoney(groups.reduce((sum, g) => sum + g.subtotal, 0));
+  const discounts = allocate(
+    Number(totals.discount_amount || 0),
+    groups,
+    subtotal
+  );
+  const taxes = allocate(Number(totals.tax_amount || 0), groups, subtotal);
+  const shipping = allocate(
+    Number(totals.shipping_amount || 0),
+    groups,
+    subtotal
+  );
+
+  return groups.map((group, index) => ({
+    ...group,
+    discount_amount: discounts[index],
+    shipping_amount: shipping[index],
+    tax_amount: taxes[index],
+    total_amount: roundMoney(
+      group.subtotal - discounts[index] + shipping[index] + taxes[index]
+    ),
+  }));
+}
+
+// The parent order status implied by its groups. Cancelled groups are ignored
+// so one seller cancelling doesn't hold back the rest of the order; returns
+// `current` when the groups don't move it forward.
+export function deriveOrderStatus(fulfillments = [], current) {
+  const live = fulfillments.filter((f) => f.status !== "cancelled");
+  if (live.length === 0) return current;
+
+  const reached = (status) =>
+    SHIPPING_PROGRESS.indexOf(status) >= SHIPPING_PROGRESS.indexOf(current);
+
+  let derived = current;
+  if (live.every((f) => f.status === "delivered")) derived = "delivered";
+  else if (live.every((f) => ["shipped", "delivered"].includes(f.status))) {
+    derived = "shipped";
+  } else if (
+    live.some((f) => ["processing", "shipped", "delivered"].includes(f.status))
+  ) {
+    derived = "processing";
+  }
+
+  return SHIPPING_PROGRESS.includes(current) && reached(derived)
+    ? derived
+    : current;
+}
+
+// Parent statuses to pass through, in order, to get from `from` to `to`
+// (e.g. confirmed -> delivered walks processing, shipped, delivered)
+export function forwardPath(from, to) {
+  const start = SHIPPING_PROGRESS.indexOf(from);
+  const end = SHIPPING_PROGRESS.indexOf(to);
+  if (start === -1 || end <= start) return [];
+  return SHIPPING_PROGRESS.slice(start + 1, end + 1);
+}
+
+// Platform cut for one group from its `seller_commissions` row. The seller
+// keeps the discounted merchandise value plus the shipping it charged, minus
+// commission and the flat fee. Orders are single-currency and sellers have no
+// ship-from country yet, so conversion and cross-border fees stay at zero.
+export function computeRevenueShare(group, commission = null) {
+  const rate = Number(
+    commission?.commission_rate ?? process.env.DEFAULT_COMMISSION_RATE ?? 10
+  );
+  const gross = roundMoney(
+    Number(group.subtotal) - Number(group.discount_amount || 0)
+  );
+  const commissionAmount = roundMoney((gross * rate) / 100);
+  const flatFee = roundMoney(commission?.flat_fee || 0);
+  const platformRevenue = roundMoney(commissionAmount + flatFee);
+
+  return {
+    seller_type: commission?.seller_type || "manual",
+    gross_amount: gross,
+    commission_rate: rate,
+    commission_amount: commissionAmount,
+    flat_fee: flatFee,
+    cross_border_fee: 0,
+    currency_conversion_fee: 0,
+    platform_revenue: platformRevenue,
+    net_seller_amount: roundMoney(
+      gross + Number(group.shipping_amount || 0) - platformRevenue
+    ),
+  };
+}
+
+export default {
+  FULFILLMENT_STATUSES,
+  FULFILLMENT_TRANSITIONS,
+  canTransitionFulfillment,
+  splitOrderLines,
+  deriveOrderStatus,
+  forwardPath,
+  computeRevenueShare,
+};
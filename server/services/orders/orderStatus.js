@@ -0,0 +1,71 @@
+// `order_status` enum values, in the order a successful order moves through them
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "refunded",
+];
+
+// Legal moves between `order_status` values.
+// pending -> confirmed (paid) -> processing -> shipped -> delivered,
+// with cancellation before shipping and refunds once money was taken.
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled", "refunded"],
+  processing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+// Customers may only cancel before the order is being prepared
+export const CUSTOMER_CANCELLABLE = ["pending", "confirmed"];
+
+// Sellers move orders through fulfilment; everything else is admin-only
+export const SELLER_TARGET_STATUSES = ["processing", "shipped", "delivered"];
+
+// Statuses PATCH /orders/:id/status may set. An order is only confirmed by a
+// captured payment, which is what commits its stock and seller revenue.
+export const MANUAL_TARGET_STATUSES = ORDER_STATUSES.filter(
+  (status) => status !== "confirmed"
+);
+
+// Timestamp column stamped when an order enters a status
+export const STATUS_TIMESTAMPS = {
+  shipped: "shipped_at",
+  delivered: "delivered_at",
+};
+
+export const canTransitionOrder = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Stock is only held (reserved) until payment; paying turns the hold into
+// a real decrement
+export const commitsStock = (from, to) =>
+  from === "pending" && to === "confirmed";
+
+// An unpaid order that is cancelled just lets its reservation go
+export const releasesReservation = (from, to) =>
+  from === "pending" && to === "cancelled";
+
+// Paid goods that never left the warehouse go back into stock
+export const releasesStock = (from, to) =>
+  ["cancelled", "refunded"].includes(to) &&
+  ["confirmed", "processing"].includes(from);
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  CUSTOMER_CANCELLABLE,
+  SELLER_TARGET_STATUSES,
+  MANUAL_TARGET_STATUSES,
+  STATUS_TIMESTAMPS,
+  canTransitionOrder,
+  commitsStock,
+  releasesReservation,
+  releasesStock,
+};
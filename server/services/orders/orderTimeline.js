@@ -0,0 +1,31 @@
+// Build a chronological status timeline for an order.
+// Status changes recorded in audit_logs are preferred; orders that predate
+// auditing fall back to their payment and shipping timestamps.
+export const buildOrderTimeline = (order, { payments = [], auditLogs = [] } = {}) => {
+  const events = [{ status: "pending", at: order.created_at, note: "Order placed" }];
+
+  for (const log of auditLogs) {
+    const to = log.new_values?.status;
+    if (!to || to === log.old_values?.status) continue;
+    events.push({ status: to, at: log.created_at, note: log.new_values?.note || null });
+  }
+
+  const seen = new Set(events.map((e) => e.status));
+  const addFallback = (status, at, note = null) => {
+    if (!at || seen.has(status)) return;
+    events.push({ status, at, note });
+    seen.add(status);
+  };
+
+  const paid = payments.find((p) => p.status === "completed" && p.processed_at);
+  if (paid && order.status !== "pending") {
+    addFallback("confirmed", paid.processed_at, "Payment received");
+  }
+  addFallback("shipped", order.shipped_at);
+  addFallback("delivered", order.delivered_at);
+  addFallback(order.status, order.updated_at);
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+export default { buildOrderTimeline };
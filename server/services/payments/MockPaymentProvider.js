@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { PaymentProvider } from "./PaymentProvider.js";
+
+dotenv.config();
+
+// Test card numbers with fixed outcomes (modelled on common gateway test cards).
+// Any other Luhn-valid, unexpired card succeeds.
+export const MOCK_TEST_CARDS = {
+  "4000000000000002": { code: "card_declined", message: "Card was declined" },
+  "4000000000009995": {
+    code: "insufficient_funds",
+    message: "Card has insufficient funds",
+  },
+  // Authorizes fine, then fails at capture time
+  "4000000000000341": { captureFails: true },
+};
+
+const CAPTURE_FAIL_PREFIX = "mock_pi_cf_";
+const INTENT_PREFIX = "mock_pi_";
+
+const digitsOnly = (value) => String(value || "").replace(/\D/g, "");
+
+// Standard Luhn checksum
+export const isLuhnValid = (number) => {
+  const digits = digitsOnly(number);
+  if (digits.length < 12 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+};
+
+// Accepts "MM/YY" or "MM/YYYY"; a card is valid through the end of its month
+const isExpired = (expiry, now) => {
+  const match = /^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/.exec(String(expiry || ""));
+  if (!match) return true;
+  const month = parseInt(match[1], 10);
+  let year = parseInt(match[2], 10);
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12) return true;
+  return new Date(Date.UTC(year, month, 1)) <= now;
+};
+
+const hash = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex").slice(0, 24);
+
+// Deterministic, offline payment gateway. The same inputs always produce the
+// same intent id and outcome, so the full checkout flow can run without
+// network access and tests can assert exact results.
+//
+// Its webhooks mark orders paid, so it refuses to run in production and needs
+// a real MOCK_PAYMENT_WEBHOOK_SECRET: a known secret would let anyone forge
+// them.
+export class MockPaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret, now, env = process.env } = {}) {
+    super("mock");
+    if (env.NODE_ENV === "production") {
+      throw new Error(
+        "The mock payment provider cannot be used in production"
+      );
+    }
+    this.webhookSecret = webhookSecret || env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET is not set");
+    }
+    this.now = now || (() => new Date());
+  }
+
+  async authorize({ amount, currency = "USD", paymentMethod = {}, reference }) {
+    const cardNumber = digitsOnly(paymentMethod.cardNumber);
+    const last4 = cardNumber.slice(-4);
+    const raw = {
+      provider: this.name,
+      operation: "authorize",
+      amount,
+      currency,
+      card_last4: last4 || null,
+    };
+
+    const fail = (code, message) => ({
+      success: false,
+      intentId: null,
+      status: "failed",
+      code,
+      message,
+      raw: { ...raw, code },
+    });
+
+    if (!isLuhnValid(cardNumber)) {
+      return fail("invalid_card_number", "Card number is invalid");
+    }
+    if (isExpired(paymentMethod.expiryDate, this.now())) {
+      return fail("expired_card", "Card has expired");
+    }
+    if (!/^\d{3,4}$/.test(String(paymentMethod.cvv || ""))) {
+      return fail("invalid_cvc", "Security code is invalid");
+    }
+    if (!(Number(amount) > 0)) {
+      return fail("invalid_amount", "Amount must be greater than zero");
+    }
+
+    const testCard = MOCK_TEST_CARDS[cardNumber];
+    if (testCard && testCard.code) {
+      return fail(testCard.code, testCard.message);
+    }
+
+    const prefix =
+      testCard && testCard.captureFails ? CAPTURE_FAIL_PREFIX : INTENT_PREFIX;
+    const intentId = `${prefix}${hash(
+      `${reference}:${Number(amount).toFixed(2)}:${currency}:${cardNumber}`
+    )}`;
+
+    return {
+      success: true,
+      intentId,
+      status: "processing",
+      raw: { ...raw, intent_id: intentId, authorized: true },
+    };
+  }
+
+  async capture(intentId, { amount, currency = "USD" } = {}) {
+    const raw = {
+      provider: this.name,
+      operation: "capture",
+      intent_id: intentId,
+      amount,
+      currency,
+    };
+    if (!String(intentId || "").startsWith(INTENT_PREFIX)) {
+      return {
+        success: false,
+        intentId,
+        status: "failed",
+        code: "unknown_intent",
+        message: "Unknown payment intent",
+        raw,
+      };
+    }
+    if (intentId.startsWith(CAPTURE_FAIL_PREFIX)) {
+      return {
+        success: false,
+        intentId,
+        status: "failed",
+        code: "capture_failed",
+        message: "Payment could not be captured",
+        raw: { ...raw, code: "capture_failed" },
+      };
+    }
+    return {
+      success: true,
+      intentId,
+      status: "completed",
+      raw: { ...raw, captured: true },
+    };
+  }
+
+  async refund(intentId, { amount, currency = "USD" } = {}) {
+    const raw = {
+      provider: this.name,
+      operation: "refund",
+      intent_id: intentId,
+      amount,
+      currency,
+    };
+    if (!String(intentId || "").startsWith(INTENT_PREFIX)) {
+      return {
+        success: false,
+        intentId,
+        status: "failed",
+        code: "unknown_intent",
+        message: "Unknown payment intent",
+        raw,
+      };
+    }
+    return {
+      success: true,
+      intentId,
+      status: "refunded",
+      raw: { ...raw, refund_id: `mock_re_${hash(`${intentId}:${amount}`)}` },
+    };
+  }
+
+  // Sign a webhook payload the same way the mock gateway would (dev/test helper)
+  signWebhook(body) {
+    return crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(JSON.stringify(body))
+      .digest("hex");
+  }
+
+  // Body: { type: "payment.captured" | "payment.failed" | "payment.refunded",
+  //         data: { intent_id } }, signed in the `x-mock-signature` header.
+  parseWebhook(body, headers = {}) {
+    const signature = headers["x-mock-signature"];
+    const expected = this.signWebhook(body);
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const statusByType = {
+      "payment.captured": "completed",
+      "payment.failed": "failed",
+      "payment.refunded": "refunded",
+    };
+    const status = statusByType[body?.type];
+    if (!status || !body?.data?.intent_id) {
+      throw new Error("Unsupported webhook event");
+    }
+    return { intentId: body.data.intent_id, status, raw: body };
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,35 @@
+// Base class every payment provider implements. Providers talk to a gateway and
+// return normalized results; they never touch the database.
+//
+// Result shape for authorize/capture/refund:
+//   { success: boolean, intentId: string|null, status: payment_status,
+//     code?: string, message?: string, raw: object }
+//
+// parseWebhook returns { intentId, status, raw } or throws on a bad signature.
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Reserve funds for `amount` (in major units, e.g. 12.50)
+  async authorize({ amount, currency, paymentMethod, reference }) {
+    throw new Error(`${this.name}: authorize() not implemented`);
+  }
+
+  // Collect previously authorized funds
+  async capture(intentId, { amount, currency }) {
+    throw new Error(`${this.name}: capture() not implemented`);
+  }
+
+  // Return captured funds to the customer
+  async refund(intentId, { amount, currency }) {
+    throw new Error(`${this.name}: refund() not implemented`);
+  }
+
+  // Verify and normalize an incoming gateway webhook
+  parseWebhook(body, headers) {
+    throw new Error(`${this.name}: parseWebhook() not implemented`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,29 @@
+import dotenv from "dotenv";
+import { MockPaymentProvider } from "./MockPaymentProvider.js";
+
+dotenv.config();
+
+// Provider registry. Real gateways register a factory under their name and are
+// selected with PAYMENT_PROVIDER; the offline mock is the default.
+const factories = new Map([["mock", () => new MockPaymentProvider()]]);
+const instances = new Map();
+
+export const registerPaymentProvider = (name, factory) => {
+  factories.set(name, factory);
+  instances.delete(name);
+};
+
+export const getPaymentProvider = (
+  name = process.env.PAYMENT_PROVIDER || "mock"
+) => {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown payment provider: ${name}`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+};
+
+export { PaymentProvider } from "./PaymentProvider.js";
+export { MockPaymentProvider } from "./MockPaymentProvider.js";
+export { canTransitionPayment, PAYMENT_TRANSITIONS } from "./paymentStatus.js";
@@ -0,0 +1,15 @@
+// Legal moves between `payment_status` enum values.
+// pending -> processing (authorized) -> completed (captured) -> refunded
+export const PAYMENT_TRANSITIONS = {
+  pending: ["processing", "completed", "failed", "cancelled"],
+  processing: ["completed", "failed", "cancelled"],
+  completed: ["refunded"],
+  failed: [],
+  cancelled: [],
+  refunded: [],
+};
+
+export const canTransitionPayment = (from, to) =>
+  from === to || (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+export default { PAYMENT_TRANSITIONS, canTransitionPayment };
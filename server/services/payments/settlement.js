@@ -0,0 +1,42 @@
+import { Payment } from "../../models/Payment.js";
+import { getPaymentProvider } from "./index.js";
+
+// Keep the stored gateway_response as a per-operation history
+export const withGatewayResponse = (payment, operation, raw) => ({
+  ...(payment.gateway_response || {}),
+  [operation]: raw,
+});
+
+// Refund a completed payment through the provider that took it.
+// Resolves to the provider result and the (possibly updated) payment row.
+export const refundPayment = async (payment) => {
+  const provider = getPaymentProvider(payment.gateway_response?.provider);
+  const result = await provider.refund(payment.payment_intent_id, {
+    amount: Number(payment.amount),
+    currency: payment.currency,
+  });
+  if (!result.success) return { result, payment };
+
+  const updated = await Payment.updateStatus(payment, "refunded", {
+    gatewayResponse: withGatewayResponse(payment, "refund", result.raw),
+  });
+  return { result, payment: updated };
+};
+
+// Give back the money on an order that is being cancelled or refunded:
+// captured payments are refunded, authorized ones are released.
+// Returns the first failed refund result, or null when everything settled.
+export const settleOrderPayments = async (orderId) => {
+  const payments = await Payment.findByOrder(orderId);
+  for (const payment of payments) {
+    if (payment.status === "completed") {
+      const { result } = await refundPayment(payment);
+      if (!result.success) return result;
+    } else if (["pending", "processing"].includes(payment.status)) {
+      await Payment.updateStatus(payment, "cancelled");
+    }
+  }
+  return null;
+};
+
+export default { withGatewayResponse, refundPayment, settleOrderPayments };
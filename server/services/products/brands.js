@@ -0,0 +1,72 @@
+// Brand directory helpers. The `brands` table is small, so the list is read
+// whole with its counts (Brand.all) and filtered and sorted here.
+
+export const BRAND_SORTS = ["name", "products", "followers"];
+
+// How many featured products a brand page shows
+export const BRAND_FEATURED_LIMIT = 8;
+
+// GET /brands query -> list options
+export function parseBrandListParams(query = {}) {
+  const q = String(query.q || "").trim();
+  return {
+    q: q ? q.toLowerCase() : null,
+    featured: query.featured === "true",
+    sort: BRAND_SORTS.includes(query.sort) ? query.sort : "name",
+  };
+}
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+const SORT_COMPARE = {
+  name: byName,
+  products: (a, b) => b.product_count - a.product_count || byName(a, b),
+  followers: (a, b) => b.follower_count - a.follower_count || byName(a, b),
+};
+
+// What the API shows of a brand
+export const toBrand = (row) => ({
+  id: row.id,
+  name: row.name,
+  slug: row.slug,
+  description: row.description ?? null,
+  logo_url: row.logo_url ?? null,
+  website_url: row.website_url ?? null,
+  is_featured: row.is_featured === true,
+  product_count: Number(row.product_count) || 0,
+  follower_count: Number(row.follower_count) || 0,
+});
+
+// Active brands matching `q` (name contains) and `featured`, in `sort` order
+export function listBrands(
+  rows,
+  { q = null, featured = false, sort = "name" }
+) {
+  return rows
+    .filter((row) => row.is_active !== false)
+    .filter((row) => !featured || row.is_featured === true)
+    .filter((row) => !q || String(row.name).toLowerCase().includes(q))
+    .map(toBrand)
+    .sort(SORT_COMPARE[sort] || byName);
+}
+
+// An active brand by id or slug, or null
+export const findBrand = (rows, ref) =>
+  rows.find(
+    (row) => row.is_active !== false && (row.id === ref || row.slug === ref)
+  ) || null;
+
+// Products' embedded `categories` -> [{ id, name, slug, product_count }],
+// most products first (Supabase path of Brand.categoryCounts)
+export function countByCategory(products) {
+  const counts = new Map();
+  for (const { categories: category } of products) {
+    if (!category) continue;
+    const entry = counts.get(category.id) || { ...category, product_count: 0 };
+    entry.product_count += 1;
+    counts.set(category.id, entry);
+  }
+  return [...counts.values()].sort(
+    (a, b) => b.product_count - a.product_count || byName(a, b)
+  );
+}
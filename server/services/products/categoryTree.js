@@ -0,0 +1,161 @@
+import { HttpError } from "../../utils/httpError.js";
+
+// Category hierarchy helpers. `categories.parent_id` makes a tree; the whole
+// table is small, so it is read flat (Category.all) and assembled here.
+
+// Writable `categories` columns
+const CATEGORY_FIELDS = [
+  "name",
+  "slug",
+  "description",
+  "parent_id",
+  "image_url",
+  "sort_order",
+  "is_active",
+];
+
+// Only the fields present in `input`
+export function normalizeCategoryInput(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const field of CATEGORY_FIELDS) {
+    if (input[field] !== undefined) out[field] = input[field];
+  }
+  if (out.parent_id === "") out.parent_id = null;
+  return out;
+}
+
+// Siblings by `sort_order`, then name
+const bySortOrder = (a, b) =>
+  (a.sort_order ?? 0) - (b.sort_order ?? 0) ||
+  String(a.name).localeCompare(String(b.name));
+
+// What the API shows of a category
+const toNode = (row) => ({
+  id: row.id,
+  name: row.name,
+  slug: row.slug,
+  description: row.description ?? null,
+  image_url: row.image_url ?? null,
+  parent_id: row.parent_id ?? null,
+  sort_order: row.sort_order ?? 0,
+  is_active: row.is_active !== false,
+});
+
+// Flat rows (with `product_count`, the category's own active products) ->
+// nested roots. Each node gets `children` and a `product_count` that
+// includes its descendants. Without `includeInactive` an inactive category
+// is left out together with everything below it.
+export function buildCategoryTree(rows, { includeInactive = false } = {}) {
+  const kept = rows.filter((row) => includeInactive || row.is_active !== false);
+  const nodes = new Map(
+    kept.map((row) => [
+      row.id,
+      {
+        ...toNode(row),
+        own_count: Number(row.product_count) || 0,
+        children: [],
+      },
+    ])
+  );
+  // Nodes under a missing (or hidden) parent are unreachable and dropped
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parent_id === null) roots.push(node);
+    else nodes.get(node.parent_id)?.children.push(node);
+  }
+  const finish = (node) => {
+    node.children.sort(bySortOrder);
+    const { own_count: own, ...rest } = node;
+    const children = node.children.map(finish);
+    return {
+      ...rest,
+      children,
+      product_count: children.reduce(
+        (sum, child) => sum + child.product_count,
+        own
+      ),
+    };
+  };
+  return roots.sort(bySortOrder).map(finish);
+}
+
+// A node from buildCategoryTree by id or slug, or null
+export function findInTree(tree, ref) {
+  for (const node of tree) {
+    if (node.id === ref || node.slug === ref) return node;
+    const found = findInTree(node.children, ref);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Root-to-category path of { id, name, slug }, ending with the category
+export function breadcrumbsFor(rows, id) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const path = [];
+  const seen = new Set();
+  for (let row = byId.get(id); row && !seen.has(row.id);) {
+    seen.add(row.id);
+    path.unshift({ id: row.id, name: row.name, slug: row.slug });
+    row = row.parent_id ? byId.get(row.parent_id) : null;
+  }
+  return path;
+}
+
+// The category and every category below it
+export function descendantIds(rows, id) {
+  const children = new Map();
+  for (const row of rows) {
+    if (!row.parent_id) continue;
+    if (!children.has(row.parent_id)) children.set(row.parent_id, []);
+    children.get(row.parent_id).push(row.id);
+  }
+  const ids = [];
+  const queue = [id];
+  while (queue.length > 0) {
+    const next = queue.shift();
+    if (ids.includes(next)) continue;
+    ids.push(next);
+    queue.push(...(children.get(next) || []));
+  }
+  return ids;
+}
+
+// Moving category `id` under `parentId` must not put it inside itself
+export function assertValidParent(rows, id, parentId) {
+  if (!parentId) return;
+  if (!rows.some((row) => row.id === parentId)) {
+    throw new HttpError(400, "Parent category not found");
+  }
+  if (id && descendantIds(rows, id).includes(parentId)) {
+    throw new HttpError(
+      409,
+      "A category cannot be moved under itself or its subcategories"
+    );
+  }
+}
+
+// `order` must list exactly the children of `parentId` (null = top level)
+export function assertSiblingOrder(rows, parentId, order) {
+  const siblings = rows
+    .filter((row) => (row.parent_id ?? null) === (parentId ?? null))
+    .map((row) => row.id);
+  const listed = new Set(order);
+  if (
+    listed.size !== order.length ||
+    listed.size !== siblings.length ||
+    siblings.some((id) => !listed.has(id))
+  ) {
+    throw new HttpError(
+      400,
+      "Order must list every subcategory of the parent exactly once"
+    );
+  }
+}
+
+// Ids of a tree node and every node below it
+export const subtreeIds = (node) => [
+  node.id,
+  ...node.children.flatMap((child) => subtreeIds(child)),
+];
@@ -0,0 +1,372 @@
+import { isUuid } from "../cart/cartValidation.js";
+
+// Side-by-side comparison. Each product's `specifications` keys are merged
+// into one list of rows, so "Material", "material" and "fabric" land on the
+// same row; measured values ("1.2 kg", "2.5 lbs") are shown in one unit per
+// row; and each row says whether the products differ on it.
+
+// Most products one comparison (or a saved compare list) holds
+export const COMPARE_MAX_PRODUCTS = 4;
+
+// "a,b,c" or ["a", "b"] -> distinct product ids in the order given, at
+// most COMPARE_MAX_PRODUCTS. Values that are not UUIDs are dropped.
+export function parseCompareIds(raw) {
+  const values = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const ids = [];
+  for (const value of values) {
+    const id = String(value ?? "")
+      .trim()
+      .toLowerCase();
+    if (isUuid(id) && !ids.includes(id)) ids.push(id);
+  }
+  return ids.slice(0, COMPARE_MAX_PRODUCTS);
+}
+
+// Spec keys that mean the same thing under different names
+const KEY_ALIASES = {
+  fabric: "material",
+  materials: "material",
+  composition: "material",
+  colour: "color",
+  available_colours: "colors",
+  available_colors: "colors",
+  country_of_origin: "origin",
+  made_in: "origin",
+  care_instructions: "care",
+  item_weight: "weight",
+  net_weight: "weight",
+};
+
+// "Strap Width", "strap_width" and "strapWidth" -> "strap_width"
+export const specKey = (key) => {
+  const snake = String(key ?? "")
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return KEY_ALIASES[snake] || snake;
+};
+
+// "strap_width" -> "Strap Width"
+export const specLabel = (key) =>
+  key
+    .split("_")
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join(" ");
+
+// Unit -> [dimension, size in the dimension's base unit (g, cm, ml)]
+const UNITS = {
+  mg: ["mass", 0.001],
+  g: ["mass", 1],
+  gram: ["mass", 1],
+  grams: ["mass", 1],
+  kg: ["mass", 1000],
+  kilogram: ["mass", 1000],
+  kilograms: ["mass", 1000],
+  oz: ["mass", 28.349523125],
+  ounce: ["mass", 28.349523125],
+  ounces: ["mass", 28.349523125],
+  lb: ["mass", 453.59237],
+  lbs: ["mass", 453.59237],
+  pound: ["mass", 453.59237],
+  pounds: ["mass", 453.59237],
+  mm: ["length", 0.1],
+  cm: ["length", 1],
+  m: ["length", 100],
+  in: ["length", 2.54],
+  inch: ["length", 2.54],
+  inches: ["length", 2.54],
+  '"': ["length", 2.54],
+  ft: ["length", 30.48],
+  foot: ["length", 30.48],
+  feet: ["length", 30.48],
+  ml: ["volume", 1],
+  l: ["volume", 1000],
+  liter: ["volume", 1000],
+  liters: ["volume", 1000],
+  litre: ["volume", 1000],
+  litres: ["volume", 1000],
+  floz: ["volume", 29.5735295625],
+};
+
+// Units a row can be shown in, largest first
+const DISPLAY_UNITS = {
+  mass: [
+    ["kg", 1000],
+    ["g", 1],
+  ],
+  length: [
+    ["m", 100],
+    ["cm", 1],
+  ],
+  volume: [
+    ["l", 1000],
+    ["ml", 1],
+  ],
+};
+
+const MEASURE = /^(-?\d+(?:\.\d+)?)\s*([a-z]+|")$/;
+
+// "1.2 kg", "1,200g", "12 fl oz" -> { dimension, base } (base in g, cm or
+// ml), or null when the value is not a single measurement
+export function parseMeasure(value) {
+  if (typeof value !== "string") return null;
+  const text = value
+    .trim()
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")
+    .replace(",", ".")
+    .replace(/\bfl\.?\s*oz\b/, "floz")
+    .replace(/\.$/, "");
+  const match = MEASURE.exec(text);
+  const unit = match && UNITS[match[2]];
+  if (!unit) return null;
+  return { dimension: unit[0], base: Number(match[1]) * unit[1] };
+}
+
+const round = (n, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(n * factor) / factor;
+};
+
+// The largest unit every value in the row reaches at least 1 of
+const rowUnit = (dimension, bases) => {
+  const units = DISPLAY_UNITS[dimension];
+  const smallest = Math.min(...bases.map(Math.abs));
+  return units.find(([, size]) => smallest >= size) || units[units.length - 1];
+};
+
+const isBlank = (value) =>
+  value === null ||
+  value === undefined ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+const BOOLEAN_TEXT = { true: "Yes", false: "No", yes: "Yes", no: "No" };
+
+// A spec value -> what a cell shows
+const displayText = (value) => {
+  if (Array.isArray(value)) return value.map(String).join(", ");
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([k, v]) => `${specLabel(specKey(k))}: ${v}`)
+      .join(", ");
+  }
+  const text = String(value).trim();
+  return BOOLEAN_TEXT[text.toLowerCase()] || text;
+};
+
+// What two cells are compared by: measurements by size, text ignoring case
+const sameness = (cell) => {
+  if (!cell) return "";
+  if (cell.base !== undefined) return `#${round(cell.base, 3)}`;
+  if (Array.isArray(cell.value)) {
+    return cell.value
+      .map((v) => String(v).toLowerCase())
+      .sort()
+      .join("|");
+  }
+  return String(cell.display).toLowerCase();
+};
+
+const differs = (cells) =>
+  cells.length > 1 && new Set(cells.map(sameness)).size > 1;
+
+// One spec row from each product's value for it (undefined when missing).
+// A row whose present values are all measurements of one kind is shown in
+// a common unit.
+export function buildSpecRow(key, rawValues) {
+  const measures = rawValues.map((v) => (isBlank(v) ? null : parseMeasure(v)));
+  const present = rawValues.filter((v) => !isBlank(v));
+  const measured = measures.filter(Boolean);
+  const dimension =
+    measured.length > 0 &&
+    measured.length === present.length &&
+    measured.every((m) => m.dimension === measured[0].dimension)
+      ? measured[0].dimension
+      : null;
+
+  let unit = null;
+  let cells;
+  if (dimension) {
+    const [name, size] = rowUnit(
+      dimension,
+      measured.map((m) => m.base)
+    );
+    unit = name;
+    cells = measures.map((m) =>
+      m
+        ? {
+            value: round(m.base / size),
+            display: `${round(m.base / size)} ${name}`,
+            base: m.base,
+          }
+        : null
+    );
+  } else {
+    cells = rawValues.map((v) =>
+      isBlank(v) ? null : { value: v, display: displayText(v) }
+    );
+  }
+
+  const type = key === "colors" ? "colors" : dimension ? "measure" : "text";
+  return {
+    key,
+    label: specLabel(key),
+    group: "specifications",
+    type,
+    unit,
+    differs: differs(cells),
+    values: cells.map((cell) =>
+      cell ? { value: cell.value, display: cell.display } : null
+    ),
+  };
+}
+
+const firstImage = (images) =>
+  Array.isArray(images) && images.length > 0 ? images[0] : null;
+
+const isAvailable = (row) =>
+  row.status === "active" &&
+  (row.stock_quantity === null ||
+    row.stock_quantity === undefined ||
+    Number(row.stock_quantity) > 0);
+
+// A product's specifications with canonical keys. The first of several keys
+// that mean the same thing wins. The product's `weight` column (kg) fills
+// in when the specs have no weight.
+export function productSpecs(row) {
+  const specs = {};
+  const source =
+    row.specifications && typeof row.specifications === "object"
+      ? row.specifications
+      : {};
+  for (const [rawKey, value] of Object.entries(source)) {
+    const key = specKey(rawKey);
+    if (key && !(key in specs) && !isBlank(value)) specs[key] = value;
+  }
+  if (!("weight" in specs) && row.weight != null && Number(row.weight) > 0) {
+    specs.weight = `${Number(row.weight)} kg`;
+  }
+  return specs;
+}
+
+const money = (value) => `$${round(Number(value) || 0)}`;
+
+const overviewRow = (key, label, type, cells) => ({
+  key,
+  label,
+  group: "overview",
+  type,
+  unit: null,
+  differs: differs(cells),
+  values: cells,
+});
+
+// Products (rows from Product.findForCompare, in the order asked for) ->
+// { products, rows }. `rows[i].values[j]` is product j's cell, or null
+// when it has no value for that row.
+export function buildComparison(productRows) {
+  const products = productRows.map((row) => {
+    const price = Number(row.price) || 0;
+    const specs = productSpecs(row);
+    return {
+      id: row.id,
+      name: row.name,
+      slug: row.slug ?? null,
+      brand_name: row.brand_name ?? null,
+      category_name: row.category_name ?? null,
+      price,
+      compare_price:
+        row.compare_price != null ? Number(row.compare_price) : null,
+      image: firstImage(row.images),
+      avg_rating: Number(row.avg_rating) || 0,
+      review_count: Number(row.review_count) || 0,
+      in_stock: isAvailable(row),
+      colors: Array.isArray(specs.colors) ? specs.colors : [],
+      specs,
+    };
+  });
+
+  const cell = (value, display) => (isBlank(value) ? null : { value, display });
+  const rows = [
+    overviewRow(
+      "price",
+      "Price",
+      "price",
+      products.map((p) => cell(p.price, money(p.price)))
+    ),
+    overviewRow(
+      "rating",
+      "Customer Rating",
+      "rating",
+      products.map((p) =>
+        cell(p.avg_rating, `${round(p.avg_rating, 1)} out of 5`)
+      )
+    ),
+    overviewRow(
+      "reviews",
+      "Total Reviews",
+      "number",
+      products.map((p) => cell(p.review_count, String(p.review_count)))
+    ),
+    overviewRow(
+      "brand",
+      "Brand",
+      "text",
+      products.map((p) => cell(p.brand_name, p.brand_name))
+    ),
+    overviewRow(
+      "category",
+      "Category",
+      "text",
+      products.map((p) => cell(p.category_name, p.category_name))
+    ),
+    overviewRow(
+      "availability",
+      "Availability",
+      "boolean",
+      products.map((p) =>
+        cell(p.in_stock, p.in_stock ? "In stock" : "Out of stock")
+      )
+    ),
+  ];
+
+  // Spec rows in the order keys first appear across the products
+  const keys = [];
+  for (const product of products) {
+    for (const key of Object.keys(product.specs)) {
+      if (!keys.includes(key)) keys.push(key);
+    }
+  }
+  for (const key of keys) {
+    rows.push(
+      buildSpecRow(
+        key,
+        products.map((p) => p.specs[key])
+      )
+    );
+  }
+
+  return {
+    products: products.map(({ specs, ...product }) => product),
+    rows,
+  };
+}
+
+// Where the same comparison opens in the storefront
+export const compareShareUrl = (ids) =>
+  `${(process.env.FRONTEND_URL || "http://localhost:5173").replace(
+    /\/+$/,
+    ""
+  )}/compare?ids=${ids.join(",")}`;
+
+// Put rows fetched by id back into the order the ids were asked for,
+// dropping ids that were not found
+export const inRequestedOrder = (ids, rows) => {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+};
@@ -0,0 +1,145 @@
+import { HttpError } from "../../utils/httpError.js";
+
+// Product listing sorts and keyset (cursor) pagination, shared by
+// GET /products and GET /search. Each sort orders by one key and then by
+// product id, so the order is total and a page can start right after the
+// last row of the previous one. The SQL side lives in Product.js; the
+// Supabase path sorts and pages rows in memory with the helpers below.
+
+export const LISTING_MAX_LIMIT = 50;
+
+// `key` is the column the listing query exposes (see Product.list);
+// `sqlType` is what a cursor value is cast to when compared with it
+export const PRODUCT_SORTS = {
+  newest: { key: "created_at", direction: "desc", sqlType: "timestamptz" },
+  price_asc: { key: "price", direction: "asc", sqlType: "numeric" },
+  price_desc: { key: "price", direction: "desc", sqlType: "numeric" },
+  rating: { key: "avg_rating", direction: "desc", sqlType: "numeric" },
+  popularity: { key: "units_sold", direction: "desc", sqlType: "numeric" },
+  discount: { key: "discount", direction: "desc", sqlType: "numeric" },
+  // Search only: best match first
+  relevance: { key: "rank", direction: "desc", sqlType: "float8" },
+};
+
+export const LISTING_SORTS = Object.keys(PRODUCT_SORTS).filter(
+  (sort) => sort !== "relevance"
+);
+export const SEARCH_SORTS = Object.keys(PRODUCT_SORTS);
+
+// Order statuses whose items count as sold for the popularity sort
+export const SOLD_ORDER_STATUSES = [
+  "confirmed",
+  "processing",
+  "shipped",
+  "delivered",
+];
+
+// Share of the compare-at price taken off, 0-1 to four places
+export const discountOf = (price, comparePrice) => {
+  const compare = Number(comparePrice) || 0;
+  const current = Number(price) || 0;
+  return compare > current && compare > 0
+    ? Math.round(((compare - current) / compare) * 10000) / 10000
+    : 0;
+};
+
+// Units sold from embedded `order_items(quantity, orders(status))` rows
+export const unitsSoldOf = (items) =>
+  (items || [])
+    .filter((item) => SOLD_ORDER_STATUSES.includes(item.orders?.status))
+    .reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+// Timestamps compare by microseconds since the epoch; Postgres keeps
+// microseconds, which Date would drop
+const timeKey = (value) => {
+  const text = String(value);
+  const micros = (text.match(/\.(\d+)/)?.[1] || "").padEnd(6, "0").slice(0, 6);
+  return Math.floor(Date.parse(text) / 1000) * 1e6 + Number(micros);
+};
+
+const keyValue = (key, value) =>
+  key === "created_at" ? timeKey(value) : Number(value) || 0;
+
+// Is row `a` before row `b` in `sort` order? Ties go by id, in the same
+// direction, as in SQL
+export const compareBySort = (sort) => {
+  const { key, direction } = PRODUCT_SORTS[sort];
+  const sign = direction === "asc" ? 1 : -1;
+  return (a, b) => {
+    const diff = keyValue(key, a[key]) - keyValue(key, b[key]);
+    if (diff !== 0) return sign * Math.sign(diff);
+    const [idA, idB] = [String(a.id), String(b.id)];
+    return sign * (idA < idB ? -1 : idA > idB ? 1 : 0);
+  };
+};
+
+export const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: String(value), id })).toString(
+    "base64url"
+  );
+
+// A cursor from `encodeCursor` -> { value, id }. Cursors only continue the
+// sort they were made for.
+export function decodeCursor(cursor, sort) {
+  if (!cursor) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    parsed = null;
+  }
+  if (
+    !parsed ||
+    parsed.s !== sort ||
+    typeof parsed.v !== "string" ||
+    typeof parsed.id !== "string"
+  ) {
+    throw new HttpError(400, "Invalid or expired cursor");
+  }
+  return { value: parsed.v, id: parsed.id };
+}
+
+export const parseLimit = (value, fallback = 20) =>
+  Math.min(Math.max(parseInt(value, 10) || fallback, 1), LISTING_MAX_LIMIT);
+
+export const numberParam = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// GET /products query -> listing parameters
+export function parseListingParams(query = {}) {
+  const sort = LISTING_SORTS.includes(query.sort) ? query.sort : "newest";
+  return {
+    sort,
+    cursor: decodeCursor(query.cursor, sort),
+    limit: parseLimit(query.limit),
+    categoryId: query.category || null,
+    brandId: query.brand || null,
+    minPrice: numberParam(query.minPrice),
+    maxPrice: numberParam(query.maxPrice),
+    search: String(query.search || "").trim() || null,
+  };
+}
+
+// One page of rows already in memory (Supabase path): sorted, starting
+// after the cursor. `hasMore` tells whether anything follows.
+export function pageAfterCursor(rows, { sort, cursor, limit }) {
+  const compare = compareBySort(sort);
+  const { key } = PRODUCT_SORTS[sort];
+  const sorted = [...rows].sort(compare);
+  const start = cursor
+    ? sorted.findIndex(
+        (row) => compare(row, { id: cursor.id, [key]: cursor.value }) > 0
+      )
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < sorted.length;
+  return {
+    rows: page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sort, last[key], last.id) : null,
+  };
+}
@@ -0,0 +1,36 @@
+// `product_status` enum values
+export const PRODUCT_STATUSES = [
+  "draft",
+  "active",
+  "inactive",
+  "out_of_stock",
+  "discontinued",
+];
+
+// Legal moves between `product_status` values. A listing starts as a draft,
+// goes live as active and can be paused (inactive) or flagged out_of_stock.
+// Discontinued is the soft-deleted state; only admins bring a listing back.
+export const PRODUCT_TRANSITIONS = {
+  draft: ["active", "inactive", "discontinued"],
+  active: ["inactive", "out_of_stock", "discontinued"],
+  inactive: ["draft", "active", "discontinued"],
+  out_of_stock: ["active", "inactive", "discontinued"],
+  discontinued: ["inactive"],
+};
+
+// Transitions out of these statuses are admin-only
+export const ADMIN_ONLY_FROM = ["discontinued"];
+
+// Staying in the same status is allowed (a plain edit)
+export const canTransitionProduct = (from, to, role = "seller") => {
+  if (from === to) return true;
+  if (!(PRODUCT_TRANSITIONS[from] || []).includes(to)) return false;
+  return role === "admin" || !ADMIN_ONLY_FROM.includes(from);
+};
+
+export default {
+  PRODUCT_STATUSES,
+  PRODUCT_TRANSITIONS,
+  ADMIN_ONLY_FROM,
+  canTransitionProduct,
+};
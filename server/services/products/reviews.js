@@ -0,0 +1,163 @@
+// Product review rules: what a review may contain, how lists of them are
+// ordered and filtered, and the rating summary shown above them. New and
+// edited reviews wait for a moderator (`is_approved`); only approved ones
+// are public and count towards a product's rating.
+
+export const REVIEW_MAX_PHOTOS = 6;
+export const REVIEW_MAX_LIMIT = 50;
+
+// [column, ascending] pairs in order of precedence; Review.listForProduct
+// adds the id last so equal rows keep their place between pages
+export const REVIEW_SORTS = {
+  newest: [["created_at", false]],
+  helpful: [
+    ["helpful_count", false],
+    ["created_at", false],
+  ],
+  rating_desc: [
+    ["rating", false],
+    ["created_at", false],
+  ],
+  rating_asc: [
+    ["rating", true],
+    ["created_at", false],
+  ],
+};
+
+export const MODERATION_DECISIONS = ["approve", "reject"];
+
+// Writable review fields present in `input`, trimmed; photos are image URLs
+export function normalizeReviewInput(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  if (input.rating !== undefined) out.rating = Number(input.rating);
+  for (const field of ["title", "comment"]) {
+    if (input[field] === undefined) continue;
+    const text = input[field] === null ? "" : String(input[field]).trim();
+    out[field] = text || null;
+  }
+  const photos = input.images ?? input.photos;
+  if (photos !== undefined) {
+    out.images = [
+      ...new Set(
+        (Array.isArray(photos) ? photos : [])
+          .map((url) => String(url).trim())
+          .filter(Boolean)
+      ),
+    ];
+  }
+  return out;
+}
+
+const positiveInt = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// GET /products/:id/reviews query -> list options
+export function parseReviewListParams(query = {}) {
+  const limit = Math.min(positiveInt(query.limit, 10), REVIEW_MAX_LIMIT);
+  const page = positiveInt(query.page, 1);
+  const rating = parseInt(query.rating, 10);
+  return {
+    sort: REVIEW_SORTS[query.sort] ? query.sort : "newest",
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    verifiedOnly: query.verified === "true",
+    withPhotos: query.photos === "true",
+    page,
+    limit,
+    offset: (page - 1) * limit,
+  };
+}
+
+// [{ rating, count }] of approved reviews -> average, count and a count
+// per star (every star present, 5 first)
+export function ratingSummary(rows) {
+  const histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  for (const row of rows) {
+    const rating = Number(row.rating);
+    if (histogram[rating] !== undefined) {
+      histogram[rating] += Number(row.count) || 0;
+    }
+  }
+  const count = Object.values(histogram).reduce((sum, n) => sum + n, 0);
+  const total = Object.entries(histogram).reduce(
+    (sum, [rating, n]) => sum + Number(rating) * n,
+    0
+  );
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    histogram,
+  };
+}
+
+// Embedded Supabase `reviews(rating, is_approved)` -> the product's
+// `avg_rating` and `review_count`, as the SQL joins work them out
+export const approvedRatingStats = (reviews) => {
+  const ratings = (reviews || []).filter((r) => r.is_approved);
+  return {
+    avg_rating:
+      ratings.length > 0
+        ? ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length
+        : 0,
+    review_count: ratings.length,
+  };
+};
+
+// A purchase counts once it was delivered: its shipment, or the whole order
+// when the item was never split into one
+export const isDeliveredItem = (item) =>
+  (item.order_fulfillments?.status ?? item.orders?.status) === "delivered";
+
+// Latest order that delivered the product, from embedded
+// `order_items(order_id, orders(status, created_at), order_fulfillments(status))`
+// rows (Supabase path of Review.deliveredOrderId)
+export function latestDeliveredOrderId(items) {
+  const delivered = (items || [])
+    .filter(isDeliveredItem)
+    .sort(
+      (a, b) =>
+        Date.parse(b.orders?.created_at || 0) -
+        Date.parse(a.orders?.created_at || 0)
+    );
+  return delivered[0]?.order_id ?? null;
+}
+
+// "Sarah Miller" -> "Sarah M."
+export const authorName = (firstName, lastName) => {
+  const first = String(firstName || "").trim();
+  const initial = String(lastName || "").trim()[0];
+  if (!first) return "Customer";
+  return initial ? `${first} ${initial.toUpperCase()}.` : first;
+};
+
+// What the API shows of a review. `author_first_name` / `author_last_name`
+// come from the joined user; the reviewer's id and order stay private.
+export const toPublicReview = (row, { votedIds = new Set() } = {}) => ({
+  id: row.id,
+  product_id: row.product_id,
+  rating: Number(row.rating),
+  title: row.title ?? null,
+  comment: row.comment ?? null,
+  images: Array.isArray(row.images) ? row.images : [],
+  is_verified_purchase: row.is_verified_purchase === true,
+  helpful_count: Number(row.helpful_count) || 0,
+  voted_helpful: votedIds.has(row.id),
+  author: { name: authorName(row.author_first_name, row.author_last_name) },
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+// "approved", "rejected" (moderated but not approved) or "pending"
+export const moderationStatus = (row) => {
+  if (row.is_approved) return "approved";
+  return row.moderated_at ? "rejected" : "pending";
+};
+
+// The reviewer's own view also says where it stands in moderation
+export const toOwnReview = (row) => ({
+  ...toPublicReview(row),
+  status: moderationStatus(row),
+  rejection_reason: row.rejection_reason ?? null,
+});
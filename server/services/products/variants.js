@@ -0,0 +1,74 @@
+// Product variant helpers shared by the product and variant endpoints.
+// A variant is one purchasable combination of a product's options
+// (`attributes`, e.g. { "size": "M", "color": "Black" }) with its own SKU,
+// price, stock and images.
+
+// Writable `product_variants` columns and the camelCase names also accepted
+const VARIANT_FIELDS = {
+  name: "name",
+  sku: "sku",
+  price: "price",
+  stock_quantity: "stockQuantity",
+  attributes: "attributes",
+  images: "images",
+  is_active: "isActive",
+};
+
+export const VARIANT_JSON_COLUMNS = ["attributes", "images"];
+
+// Only the fields present in `input`, keyed by column name
+export function normalizeVariantInput(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const [column, alias] of Object.entries(VARIANT_FIELDS)) {
+    if (input[column] !== undefined) out[column] = input[column];
+    else if (input[alias] !== undefined) out[column] = input[alias];
+  }
+  return out;
+}
+
+// Database row -> API shape; both database paths return the same fields
+export const serializeVariant = (row) => ({
+  id: row.id,
+  product_id: row.product_id,
+  name: row.name,
+  sku: row.sku || null,
+  price:
+    row.price === null || row.price === undefined ? null : Number(row.price),
+  stock_quantity:
+    row.stock_quantity === null || row.stock_quantity === undefined
+      ? null
+      : Number(row.stock_quantity),
+  attributes: row.attributes || {},
+  images: row.images || [],
+  is_active: row.is_active !== false,
+});
+
+// The option axes the picker shows, in first-seen order:
+// [{ name: "color", values: ["Black", "Navy"] }, { name: "size", values: [...] }]
+export function variantOptions(variants = []) {
+  const axes = new Map();
+  for (const variant of variants) {
+    for (const [name, value] of Object.entries(variant.attributes || {})) {
+      if (value === null || value === undefined || value === "") continue;
+      if (!axes.has(name)) axes.set(name, []);
+      const values = axes.get(name);
+      if (!values.includes(String(value))) values.push(String(value));
+    }
+  }
+  return [...axes].map(([name, values]) => ({ name, values }));
+}
+
+// `variants` and `variant_options` for a product, active variants only
+export const withVariants = (product, rows = []) => {
+  const variants = rows.map(serializeVariant).filter((v) => v.is_active);
+  return { ...product, variants, variant_options: variantOptions(variants) };
+};
+
+export default {
+  VARIANT_JSON_COLUMNS,
+  normalizeVariantInput,
+  serializeVariant,
+  variantOptions,
+  withVariants,
+};
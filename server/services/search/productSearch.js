@@ -0,0 +1,157 @@
+import {
+  SEARCH_SORTS,
+  decodeCursor,
+  numberParam,
+  parseLimit,
+} from "../products/listing.js";
+
+// Product search helpers shared by both database paths: request parsing,
+// the facet buckets, and facet counting for rows already in memory (the
+// Supabase path; Postgres counts in SQL, see Product.search).
+
+// Price facet buckets; `max` is exclusive and null means "and up"
+export const PRICE_BUCKETS = [
+  { key: "0-25", min: 0, max: 25 },
+  { key: "25-50", min: 25, max: 50 },
+  { key: "50-100", min: 50, max: 100 },
+  { key: "100-200", min: 100, max: 200 },
+  { key: "200+", min: 200, max: null },
+];
+
+// Rating facet: products averaging at least this many stars
+export const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// `brand=zara,nike` -> ["zara", "nike"]
+const listParam = (value) =>
+  (Array.isArray(value) ? value.join(",") : String(value || ""))
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Query string -> search parameters. Brands and categories are ids or slugs.
+// Results come best match first unless another sort is asked for (newest
+// first without search text); `cursor` continues a previous page.
+export function parseSearchParams(query = {}) {
+  const q = String(query.q || "")
+    .trim()
+    .slice(0, 200);
+  const fallbackSort = q ? "relevance" : "newest";
+  const sort = SEARCH_SORTS.includes(query.sort) ? query.sort : fallbackSort;
+  return {
+    q,
+    brands: listParam(query.brand),
+    categories: listParam(query.category),
+    minPrice: numberParam(query.minPrice),
+    maxPrice: numberParam(query.maxPrice),
+    minRating: numberParam(query.minRating),
+    sort,
+    cursor: decodeCursor(query.cursor, sort),
+    limit: parseLimit(query.limit),
+  };
+}
+
+// Index into PRICE_BUCKETS for a price
+export const priceBucketIndex = (price) => {
+  const value = Number(price) || 0;
+  const index = PRICE_BUCKETS.findIndex(
+    (bucket) => bucket.max === null || value < bucket.max
+  );
+  return index === -1 ? PRICE_BUCKETS.length - 1 : index;
+};
+
+const matchesRef = (refs, id, slug) =>
+  refs.length === 0 || refs.includes(String(id)) || refs.includes(slug);
+
+// Does a row (`brand_id`, `brand_slug`, `category_id`, `category_slug`,
+// `price`, `avg_rating`) pass the filters, ignoring the `except` facet
+// ("brand", "category", "price" or "rating")? Each facet is counted with
+// every filter but its own, so picking a brand still shows how many results
+// the other brands would give.
+export function matchesSearchFilters(row, params, except = null) {
+  const price = Number(row.price) || 0;
+  return (
+    (except === "brand" ||
+      matchesRef(params.brands, row.brand_id, row.brand_slug)) &&
+    (except === "category" ||
+      matchesRef(params.categories, row.category_id, row.category_slug)) &&
+    (except === "price" ||
+      ((params.minPrice === null || price >= params.minPrice) &&
+        (params.maxPrice === null || price <= params.maxPrice))) &&
+    (except === "rating" ||
+      params.minRating === null ||
+      (Number(row.avg_rating) || 0) >= params.minRating)
+  );
+}
+
+const byCountThenName = (a, b) =>
+  b.count - a.count || String(a.name).localeCompare(String(b.name));
+
+const countRefs = (rows, key) => {
+  const counts = new Map();
+  for (const row of rows) {
+    const id = row[`${key}_id`];
+    if (!id) continue;
+    const entry = counts.get(id) || {
+      id,
+      slug: row[`${key}_slug`] || null,
+      name: row[`${key}_name`] || null,
+      count: 0,
+    };
+    entry.count++;
+    counts.set(id, entry);
+  }
+  return [...counts.values()].sort(byCountThenName);
+};
+
+// Facet counts for the candidate rows (every product matching `q`)
+export function buildFacets(rows, params) {
+  const without = (facet) =>
+    rows.filter((row) => matchesSearchFilters(row, params, facet));
+
+  const priceCounts = PRICE_BUCKETS.map(() => 0);
+  for (const row of without("price")) {
+    priceCounts[priceBucketIndex(row.price)]++;
+  }
+
+  const rated = without("rating");
+  return {
+    brands: countRefs(without("brand"), "brand"),
+    categories: countRefs(without("category"), "category"),
+    price: PRICE_BUCKETS.map((bucket, i) => ({
+      ...bucket,
+      count: priceCounts[i],
+    })),
+    rating: RATING_THRESHOLDS.map((min) => ({
+      min,
+      count: rated.filter((row) => (Number(row.avg_rating) || 0) >= min).length,
+    })),
+  };
+}
+
+// The same shape from the Postgres facet query: `brands` / `categories` as
+// json arrays, `price` as [{ bucket, count }] (bucket = PRICE_BUCKETS index)
+// and `rating` as { "4": n, ... }
+export function facetsFromCounts(row = {}) {
+  const priceCounts = new Map(
+    (row.price || []).map((entry) => [
+      Number(entry.bucket),
+      Number(entry.count),
+    ])
+  );
+  const refs = (list) =>
+    (list || [])
+      .map((entry) => ({ ...entry, count: Number(entry.count) }))
+      .sort(byCountThenName);
+  return {
+    brands: refs(row.brands),
+    categories: refs(row.categories),
+    price: PRICE_BUCKETS.map((bucket, i) => ({
+      ...bucket,
+      count: priceCounts.get(i) || 0,
+    })),
+    rating: RATING_THRESHOLDS.map((min) => ({
+      min,
+      count: Number(row.rating?.[min]) || 0,
+    })),
+  };
+}
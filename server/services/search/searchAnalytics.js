@@ -0,0 +1,93 @@
+import { normalizeQuery } from "./suggestions.js";
+
+// Search analytics: the admin report of top queries, zero-result queries and
+// click-through. Postgres aggregates in SQL (SearchQuery.report); the
+// Supabase path aggregates logged rows here. Both return the same shape.
+
+export const REPORT_DEFAULT_DAYS = 30;
+export const REPORT_DEFAULT_LIMIT = 20;
+
+// Share of searches followed by a product click, 0-1 to four places
+export const clickThroughRate = (clicks, searches) =>
+  searches > 0 ? Math.round((clicks / searches) * 10000) / 10000 : 0;
+
+// Aggregated row (from SQL or groupSearches) -> report entry
+export const reportEntry = (row) => {
+  const searches = Number(row.searches) || 0;
+  const clicks = Number(row.clicks) || 0;
+  return {
+    query: row.query,
+    searches,
+    searchers: Number(row.searchers) || 0,
+    avg_results: Math.round((Number(row.avg_results) || 0) * 10) / 10,
+    clicks,
+    ctr: clickThroughRate(clicks, searches),
+    last_searched_at: row.last_searched_at
+      ? new Date(row.last_searched_at).toISOString()
+      : null,
+  };
+};
+
+export const reportTotals = (row) => {
+  const searches = Number(row.searches) || 0;
+  const clicked = Number(row.clicked) || 0;
+  return {
+    searches,
+    zero_result_searches: Number(row.zero_results) || 0,
+    clicked_searches: clicked,
+    ctr: clickThroughRate(clicked, searches),
+  };
+};
+
+const newest = (a, b) => (!a || new Date(b) > new Date(a) ? b : a);
+
+// search_queries rows -> one aggregate per normalised query
+const groupSearches = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const query = normalizeQuery(row.query);
+    if (!query) continue;
+    const group = groups.get(query) || {
+      query,
+      searches: 0,
+      who: new Set(),
+      results: 0,
+      clicks: 0,
+      last_searched_at: null,
+    };
+    group.searches++;
+    group.who.add(row.user_id || row.session_id || row.id);
+    group.results += Number(row.results_count) || 0;
+    if (row.clicked_product_id) group.clicks++;
+    group.last_searched_at = newest(group.last_searched_at, row.created_at);
+    groups.set(query, group);
+  }
+  return [...groups.values()].map(({ who, results, ...group }) => ({
+    ...group,
+    searchers: who.size,
+    avg_results: group.searches > 0 ? results / group.searches : 0,
+  }));
+};
+
+const bySearches = (a, b) =>
+  b.searches - a.searches || a.query.localeCompare(b.query);
+
+// The report from raw search_queries rows (Supabase path)
+export function buildSearchReport(rows, { limit = REPORT_DEFAULT_LIMIT } = {}) {
+  const zeroRows = rows.filter((row) => !(Number(row.results_count) > 0));
+  return {
+    totals: reportTotals({
+      searches: rows.length,
+      zero_results: zeroRows.length,
+      clicked: rows.filter((row) => row.clicked_product_id).length,
+    }),
+    top_queries: groupSearches(rows)
+      .sort(bySearches)
+      .slice(0, limit)
+      .map(reportEntry),
+    zero_result_queries: groupSearches(zeroRows)
+      .sort(bySearches)
+      .slice(0, limit)
+      .map(reportEntry),
+  };
+}
@@ -0,0 +1,61 @@
+// Autocomplete helpers for GET /search/suggest: query normalisation, LIKE
+// patterns, and the in-memory ranking the Supabase path uses for popular
+// and recent searches.
+
+export const SUGGEST_LIMIT = 5;
+
+// Popular queries are counted over this many recent days
+export const POPULAR_WINDOW_DAYS = 30;
+
+// How a query is compared and counted: trimmed, lowercase, single spaces
+export const normalizeQuery = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .slice(0, 100);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// ILIKE patterns: names starting with the text, and names with a word
+// starting with it ("mid" -> "Silk Midi Dress")
+export const likePatterns = (q) => ({
+  prefix: `${escapeLike(q)}%`,
+  wordPrefix: `% ${escapeLike(q)}%`,
+});
+
+// PostgREST filter strings cannot carry these characters safely
+export const postgrestSafe = (q) => q.replace(/[,()%_*\\:"]/g, " ").trim();
+
+// Rows of { query, searcher } (searcher = user id or session) -> the most
+// searched queries starting with `q`, counting each searcher once
+export function rankPopularQueries(rows, q = "", limit = SUGGEST_LIMIT) {
+  const prefix = normalizeQuery(q);
+  const searchers = new Map();
+  rows.forEach((row, i) => {
+    const query = normalizeQuery(row.query);
+    if (!query || !query.startsWith(prefix)) return;
+    if (!searchers.has(query)) searchers.set(query, new Set());
+    searchers.get(query).add(row.searcher || `row-${i}`);
+  });
+  return [...searchers]
+    .map(([query, who]) => ({ query, count: who.size }))
+    .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+    .slice(0, limit);
+}
+
+// A user's history rows, newest first -> their distinct recent queries
+// starting with `q`
+export function distinctRecent(rows, q = "", limit = SUGGEST_LIMIT) {
+  const prefix = normalizeQuery(q);
+  const seen = new Set();
+  const recent = [];
+  for (const row of rows) {
+    const query = normalizeQuery(row.search_query ?? row.query);
+    if (!query || seen.has(query) || !query.startsWith(prefix)) continue;
+    seen.add(query);
+    recent.push(query);
+    if (recent.length === limit) break;
+  }
+  return recent;
+}
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { authorName } from "../products/reviews.js";
+import { toWishlistItem } from "./wishlist.js";
+
+// Wishlist collections: named groups of saved products. A collection is
+// `private` (owner only), `link` (anyone holding its share URL) or `public`
+// (also listed on /collections). The wishlist itself is always private.
+
+export const COLLECTION_VISIBILITIES = ["private", "link", "public"];
+
+// Most public collections one page lists
+export const PUBLIC_COLLECTIONS_MAX_LIMIT = 50;
+
+// Unguessable, URL-safe token the share URL is built from
+export const newShareToken = () => crypto.randomBytes(18).toString("base64url");
+
+const clientUrl = () =>
+  (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+export const shareUrl = (token) =>
+  `${clientUrl()}/collections/${encodeURIComponent(token)}`;
+
+// Whether `viewerId` (null for guests) may open the collection by its link
+export const canView = (collection, viewerId) =>
+  Boolean(collection) &&
+  (collection.visibility !== "private" || collection.user_id === viewerId);
+
+// Collection row -> what its owner sees
+export const toCollection = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description ?? null,
+  visibility: row.visibility,
+  share_url: shareUrl(row.share_token),
+  item_count: Number(row.item_count) || 0,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+// Collection row (with `owner_first_name` / `owner_last_name`) -> what
+// anyone it is shared with sees. Saved prices are the owner's business.
+export const toSharedCollection = (row, itemRows = []) => {
+  const items = itemRows.map(toWishlistItem).map((item) => ({
+    id: item.id,
+    product_id: item.product_id,
+    added_at: item.added_at,
+    product: item.product,
+  }));
+  return {
+    name: row.name,
+    description: row.description ?? null,
+    visibility: row.visibility,
+    owner: { name: authorName(row.owner_first_name, row.owner_last_name) },
+    share_url: shareUrl(row.share_token),
+    items,
+    item_count: items.length,
+    updated_at: row.updated_at,
+  };
+};
+
+// Public collection row -> a card on /collections
+export const toPublicCollection = (row) => ({
+  name: row.name,
+  description: row.description ?? null,
+  owner: { name: authorName(row.owner_first_name, row.owner_last_name) },
+  share_url: shareUrl(row.share_token),
+  share_token: row.share_token,
+  item_count: Number(row.item_count) || 0,
+  cover_image: row.cover_image ?? null,
+  updated_at: row.updated_at,
+});
+
+export function parsePublicCollectionParams(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    PUBLIC_COLLECTIONS_MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || 12)
+  );
+  return { page, limit, offset: (page - 1) * limit };
+}
@@ -0,0 +1,86 @@
+import { isUuid } from "../cart/cartValidation.js";
+
+// Wishlist rules. Each saved product remembers its price when it was saved
+// (`price_at_add`) so the wishlist can say when it has dropped since.
+
+// Most guest items one merge takes
+export const WISHLIST_MERGE_MAX = 100;
+
+const money = (value) => Math.round(value * 100) / 100;
+
+const positivePrice = (value) => {
+  const n = Number(value);
+  return value !== null && value !== "" && Number.isFinite(n) && n > 0
+    ? money(n)
+    : null;
+};
+
+// How much cheaper the product is now than when it was saved, or null when
+// it is not
+export const priceDrop = (savedPrice, currentPrice) => {
+  const saved = positivePrice(savedPrice);
+  const current = Number(currentPrice);
+  if (saved === null || !Number.isFinite(current) || current >= saved) {
+    return null;
+  }
+  return {
+    amount: money(saved - current),
+    percent: Math.round(((saved - current) / saved) * 100),
+  };
+};
+
+// Guest wishlist posted on sign-in -> one entry per product, keeping the
+// earliest save. Ids that are not UUIDs (demo products) are dropped.
+export function normalizeMergeItems(items) {
+  const byProduct = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!isUuid(item?.product_id)) continue;
+    const addedAt = Date.parse(item.added_at);
+    const entry = {
+      product_id: item.product_id,
+      added_at: Number.isFinite(addedAt)
+        ? new Date(addedAt).toISOString()
+        : null,
+    };
+    const seen = byProduct.get(entry.product_id);
+    if (!seen || (entry.added_at && entry.added_at < (seen.added_at || ""))) {
+      byProduct.set(entry.product_id, entry);
+    }
+  }
+  return [...byProduct.values()].slice(0, WISHLIST_MERGE_MAX);
+}
+
+const firstImage = (images) =>
+  Array.isArray(images) && images.length > 0 ? images[0] : null;
+
+// Joined wishlist row -> what the API returns. A product that was
+// withdrawn stays on the list, marked unavailable.
+export const toWishlistItem = (row) => {
+  const price = Number(row.price) || 0;
+  const available =
+    row.status === "active" &&
+    (row.stock_quantity === null ||
+      row.stock_quantity === undefined ||
+      Number(row.stock_quantity) > 0);
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    added_at: row.created_at,
+    price_at_add: positivePrice(row.price_at_add),
+    price_drop: priceDrop(row.price_at_add, price),
+    product: {
+      id: row.product_id,
+      name: row.name,
+      slug: row.slug ?? null,
+      brand_name: row.brand_name ?? null,
+      price,
+      compare_price:
+        row.compare_price != null ? Number(row.compare_price) : null,
+      image: firstImage(row.images),
+      avg_rating: Number(row.avg_rating) || 0,
+      review_count: Number(row.review_count) || 0,
+      in_stock: available,
+      is_active: row.status === "active",
+    },
+  };
+};
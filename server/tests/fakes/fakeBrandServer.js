@@ -0,0 +1,124 @@
+import http from "node:http";
+
+// A brand catalog API on localhost for connector tests. It serves `products`
+// from GET /products and checks credentials the way `auth` says:
+//
+//   { type: "api_key", key, header? }     header (default X-API-Key) or ?api_key=
+//   { type: "bearer_token", token }
+//   { type: "oauth", clientId, clientSecret, tokenTtl? }  POST /oauth/token
+//
+// `pagination` is "page" (?page=&limit=), "cursor" (?cursor= -> next_cursor)
+// or "next_url" (-> next). `rateLimitFirst: n` answers the first n catalog
+// requests with 429. Every request is recorded in `server.requests`.
+export async function startFakeBrandServer({
+  products = [],
+  auth = { type: "api_key", key: "test-key" },
+  pagination = "page",
+  rateLimitFirst = 0,
+} = {}) {
+  const requests = [];
+  const issuedTokens = new Set();
+  let tokenCount = 0;
+  let throttled = 0;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const authorized = (req, url) => {
+    if (auth.type === "api_key") {
+      const header = (auth.header || "X-API-Key").toLowerCase();
+      return (
+        req.headers[header] === auth.key ||
+        url.searchParams.get("api_key") === auth.key
+      );
+    }
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    if (!match) return false;
+    return auth.type === "bearer_token"
+      ? match[1] === auth.token
+      : issuedTokens.has(match[1]);
+  };
+
+  const catalogPage = (url) => {
+    const limit = Number(url.searchParams.get("limit")) || 2;
+    if (pagination === "page") {
+      const page = Number(url.searchParams.get("page")) || 1;
+      return { data: products.slice((page - 1) * limit, page * limit) };
+    }
+    const start = Number(url.searchParams.get("cursor")) || 0;
+    const data = products.slice(start, start + limit);
+    const more = start + limit < products.length;
+    if (pagination === "cursor") {
+      return { data, next_cursor: more ? String(start + limit) : null };
+    }
+    return {
+      data,
+      next: more ? `/products?cursor=${start + limit}&limit=${limit}` : null,
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+      });
+
+      if (req.method === "POST" && url.pathname === "/oauth/token") {
+        const form = new URLSearchParams(body);
+        if (
+          auth.type !== "oauth" ||
+          form.get("grant_type") !== "client_credentials" ||
+          form.get("client_id") !== auth.clientId ||
+          form.get("client_secret") !== auth.clientSecret
+        ) {
+          return send(res, 401, { error: "invalid_client" });
+        }
+        tokenCount += 1;
+        const token = `token-${tokenCount}`;
+        issuedTokens.add(token);
+        return send(res, 200, {
+          access_token: token,
+          token_type: "Bearer",
+          expires_in: auth.tokenTtl ?? 3600,
+        });
+      }
+
+      if (req.method === "GET" && url.pathname === "/products") {
+        if (!authorized(req, url)) {
+          return send(res, 401, { error: "unauthorized" });
+        }
+        if (throttled < rateLimitFirst) {
+          throttled += 1;
+          return send(res, 429, { error: "slow down" }, { "Retry-After": "0" });
+        }
+        return send(res, 200, catalogPage(url));
+      }
+
+      send(res, 404, { error: "not found" });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    // Forget issued oauth tokens, as if they had expired
+    revokeTokens: () => issuedTokens.clear(),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export default startFakeBrandServer;
@@ -0,0 +1,60 @@
+import {
+  normalizeAddress,
+  countryCode,
+  validateAddress,
+} from "../../utils/address.js";
+
+const address = (overrides = {}) =>
+  normalizeAddress({
+    firstName: "Ada",
+    lastName: "Lovelace",
+    address: "12 Main St",
+    city: "Springfield",
+    state: "IL",
+    zipCode: "62704",
+    country: "United States",
+    ...overrides,
+  });
+
+test("country names and ISO codes resolve to codes", () => {
+  expect(countryCode("United States")).toBe("US");
+  expect(countryCode("gb")).toBe("GB");
+  expect(countryCode("Narnia")).toBeNull();
+});
+
+test("a complete US address is valid", () => {
+  expect(validateAddress(address())).toEqual([]);
+  expect(validateAddress(address({ zipCode: "62704-1234" }))).toEqual([]);
+});
+
+test("postal codes are checked against the country format", () => {
+  expect(validateAddress(address({ zipCode: "6270" }))).toEqual([
+    { field: "postal_code", message: "Invalid postal code for US" },
+  ]);
+  expect(
+    validateAddress(address({ country: "CA", zipCode: "K1A 0B1", state: "ON" }))
+  ).toEqual([]);
+  expect(
+    validateAddress(address({ country: "United Kingdom", zipCode: "SW1A 1AA" }))
+  ).toEqual([]);
+});
+
+test("state is required only where the country uses it", () => {
+  expect(validateAddress(address({ state: "" })).map((e) => e.field)).toEqual([
+    "state",
+  ]);
+  expect(
+    validateAddress(address({ country: "DE", zipCode: "10115", state: "" }))
+  ).toEqual([]);
+  expect(
+    validateAddress(address({ country: "Narnia", zipCode: "X", state: "" }))
+  ).toEqual([{ field: "state", message: "state is required" }]);
+});
+
+test("missing fields are reported", () => {
+  const errors = validateAddress(address({ firstName: "", address: "" }));
+  expect(errors.map((e) => e.field)).toEqual(["first_name", "address_line_1"]);
+  expect(validateAddress(null)).toEqual([
+    { field: "address", message: "Address is required" },
+  ]);
+});
@@ -0,0 +1,361 @@
+import {
+  BrandApiClient,
+  BrandApiError,
+} from "../../services/brandApi/BrandApiClient.js";
+import {
+  isSyncDue,
+  syncBrandCatalog,
+} from "../../services/brandApi/catalogSync.js";
+import {
+  normalizeBrandProduct,
+  readPath,
+} from "../../services/brandApi/fieldMappings.js";
+import { startFakeBrandServer } from "../fakes/fakeBrandServer.js";
+
+const noSleep = async () => {};
+
+const catalog = [
+  {
+    id: 101,
+    title: "Trail Jacket",
+    price_cents: 12900,
+    media: [{ url: "a.jpg" }, { url: "b.jpg" }],
+    fabric: "nylon",
+    skus: [
+      { code: "TJ-S", size: "S", price: "129.00", qty: 3 },
+      { code: "TJ-M", size: "M", price: "129.00", qty: 5 },
+    ],
+  },
+  { id: 102, title: "Beanie", price_cents: 1500, skus: [] },
+  { id: 103, title: "Gloves", price_cents: 2500, skus: [] },
+];
+
+const mappings = {
+  name: "title",
+  price: { path: "price_cents", transform: "cents" },
+  images: "media[].url",
+  specifications: { fields: { material: "fabric" } },
+  variants: {
+    path: "skus",
+    external_id: "code",
+    sku: "code",
+    price: "price",
+    stock_quantity: "qty",
+  },
+};
+
+// Just enough of the database for a sync
+const memoryStore = () => {
+  let ids = 0;
+  const id = (prefix) => `${prefix}-${++ids}`;
+  const store = {
+    products: new Map(),
+    variants: new Map(),
+    mappings: new Map(),
+    logs: [],
+    synced: null,
+    startLog: async (configId, syncType, startedAt) => {
+      const log = { id: id("log"), configId, syncType, startedAt };
+      store.logs.push(log);
+      return log;
+    },
+    finishLog: async (logId, result) => {
+      const log = store.logs.find((l) => l.id === logId);
+      Object.assign(log, result);
+      return log;
+    },
+    markSynced: async (configId, lastSyncAt, nextSyncAt) => {
+      store.synced = { configId, lastSyncAt, nextSyncAt };
+    },
+    findMapping: async (configId, externalId) =>
+      store.mappings.get(`${configId}:${externalId}`) || null,
+    saveMapping: async (configId, externalId, mapping) => {
+      store.mappings.set(`${configId}:${externalId}`, {
+        internal_product_id: mapping.productId,
+        variant_mappings: mapping.variantMappings,
+      });
+    },
+    createProduct: async (columns) => {
+      const product = { id: id("product"), ...columns };
+      store.products.set(product.id, product);
+      return product;
+    },
+    updateProduct: async (productId, columns) => {
+      const product = store.products.get(productId);
+      return product ? Object.assign(product, columns) : null;
+    },
+    createVariant: async (productId, columns) => {
+      const variant = { id: id("variant"), product_id: productId, ...columns };
+      store.variants.set(variant.id, variant);
+      return variant;
+    },
+    updateVariant: async (productId, variantId, columns) => {
+      const variant = store.variants.get(variantId);
+      return variant ? Object.assign(variant, columns) : null;
+    },
+  };
+  return store;
+};
+
+const configFor = (url, overrides = {}) => ({
+  id: "cfg-1",
+  brand_id: "brand-1",
+  base_url: url,
+  auth_type: "api_key",
+  auth_config: { api_key: "test-key" },
+  field_mappings: mappings,
+  catalog_config: { pagination: { type: "page", page_size: 2 } },
+  sync_frequency_minutes: 30,
+  is_active: true,
+  ...overrides,
+});
+
+const allPages = async (client) => {
+  const items = [];
+  for await (const page of client.catalogPages()) items.push(...page);
+  return items;
+};
+
+test("readPath follows nested keys and collects from lists", () => {
+  const source = { a: { b: 1 }, list: [{ x: 1 }, { x: null }, { x: 3 }] };
+  expect(readPath(source, "a.b")).toBe(1);
+  expect(readPath(source, "list[].x")).toEqual([1, 3]);
+  expect(readPath(source, "missing.key")).toBeUndefined();
+});
+
+test("normalizeBrandProduct maps columns, transforms and variants", () => {
+  const normalized = normalizeBrandProduct(catalog[0], mappings);
+  expect(normalized.external_id).toBe("101");
+  expect(normalized.problems).toEqual([]);
+  expect(normalized.product).toEqual({
+    name: "Trail Jacket",
+    price: 129,
+    images: ["a.jpg", "b.jpg"],
+    specifications: { material: "nylon" },
+    stock_quantity: 8,
+  });
+  expect(normalized.variants.map((v) => [v.external_id, v.price])).toEqual([
+    ["TJ-S", 129],
+    ["TJ-M", 129],
+  ]);
+});
+
+test("normalizeBrandProduct maps values and reports unusable products", () => {
+  const status = {
+    path: "state",
+    values: { live: "active" },
+    default: "draft",
+  };
+  expect(
+    normalizeBrandProduct({ id: 1, state: "live" }, { status }).product.status
+  ).toBe("active");
+  expect(
+    normalizeBrandProduct({ id: 1, state: "gone" }, { status }).product.status
+  ).toBe("draft");
+  expect(
+    normalizeBrandProduct({ title: "x", cost: "abc" }, { price: "cost" })
+      .problems
+  ).toEqual(["external id is missing", "price is not a number of 0 or more"]);
+});
+
+test("isSyncDue skips inactive configs and waits for next_sync_at", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  expect(isSyncDue({ is_active: true, next_sync_at: null }, now)).toBe(true);
+  expect(
+    isSyncDue({ is_active: true, next_sync_at: "2026-10-19T13:00:00Z" }, now)
+  ).toBe(false);
+  expect(isSyncDue({ is_active: false, next_sync_at: null }, now)).toBe(false);
+});
+
+describe("against a fake brand server", () => {
+  let server;
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  test("api_key auth pages through the catalog", async () => {
+    server = await startFakeBrandServer({ products: catalog });
+    const client = new BrandApiClient(configFor(server.url), {
+      sleep: noSleep,
+    });
+
+    const items = await allPages(client);
+    expect(items.map((p) => p.id)).toEqual([101, 102, 103]);
+    expect(server.requests.map((r) => r.query.page)).toEqual(["1", "2"]);
+    expect(server.requests[0].headers["x-api-key"]).toBe("test-key");
+  });
+
+  test("bearer tokens can come from the environment", async () => {
+    server = await startFakeBrandServer({
+      products: catalog,
+      auth: { type: "bearer_token", token: "secret-token" },
+      pagination: "cursor",
+    });
+    const client = new BrandApiClient(
+      configFor(server.url, {
+        auth_type: "bearer_token",
+        auth_config: { token_env: "BRAND_API_ACME_TOKEN" },
+        catalog_config: { pagination: { type: "cursor", page_size: 2 } },
+      }),
+      { sleep: noSleep, env: { BRAND_API_ACME_TOKEN: "secret-token" } }
+    );
+
+    expect((await allPages(client)).length).toBe(3);
+    expect(server.requests.map((r) => r.query.cursor)).toEqual([
+      undefined,
+      "2",
+    ]);
+  });
+
+  test("oauth fetches a token once and renews it when refused", async () => {
+    server = await startFakeBrandServer({
+      products: catalog,
+      auth: { type: "oauth", clientId: "shop", clientSecret: "s3cret" },
+      pagination: "next_url",
+    });
+    const client = new BrandApiClient(
+      configFor(server.url, {
+        auth_type: "oauth",
+        auth_config: {
+          token_url: "/oauth/token",
+          client_id: "shop",
+          client_secret: "s3cret",
+        },
+        catalog_config: { pagination: { type: "next_url", page_size: 2 } },
+      }),
+      { sleep: noSleep }
+    );
+
+    expect((await allPages(client)).length).toBe(3);
+    const tokenRequests = () =>
+      server.requests.filter((r) => r.path === "/oauth/token").length;
+    expect(tokenRequests()).toBe(1);
+
+    server.revokeTokens();
+    expect((await allPages(client)).length).toBe(3);
+    expect(tokenRequests()).toBe(2);
+  });
+
+  test("429s are retried and bad credentials fail with an auth error", async () => {
+    server = await startFakeBrandServer({
+      products: catalog,
+      rateLimitFirst: 2,
+    });
+    const client = new BrandApiClient(configFor(server.url), {
+      sleep: noSleep,
+    });
+    expect((await allPages(client)).length).toBe(3);
+
+    const wrong = new BrandApiClient(
+      configFor(server.url, { auth_config: { api_key: "nope" } }),
+      { sleep: noSleep }
+    );
+    await expect(allPages(wrong)).rejects.toMatchObject({
+      name: "BrandApiError",
+      code: "auth",
+      status: 401,
+    });
+  });
+
+  test("secrets are only read from BRAND_API_ variables", async () => {
+    server = await startFakeBrandServer({ products: catalog });
+    const client = new BrandApiClient(
+      configFor(server.url, { auth_config: { api_key_env: "JWT_SECRET" } }),
+      { sleep: noSleep, env: { JWT_SECRET: "do-not-send" } }
+    );
+
+    await expect(allPages(client)).rejects.toMatchObject({ code: "config" });
+    expect(server.requests).toEqual([]);
+  });
+
+  test("links to other hosts are not followed", () => {
+    const client = new BrandApiClient(configFor("http://127.0.0.1:1"));
+    expect(() => client.url("http://example.com/products")).toThrow(
+      BrandApiError
+    );
+  });
+
+  test("a sync creates products, then updates them by mapping", async () => {
+    server = await startFakeBrandServer({ products: catalog });
+    const store = memoryStore();
+    const config = configFor(server.url);
+    const client = new BrandApiClient(config, { sleep: noSleep });
+
+    const first = await syncBrandCatalog(config, { client, store });
+    expect(first).toMatchObject({
+      status: "completed",
+      records_processed: 3,
+      records_created: 3,
+      records_updated: 0,
+      records_failed: 0,
+    });
+    expect(store.products.size).toBe(3);
+    expect(store.variants.size).toBe(2);
+    const jacketMapping = store.mappings.get("cfg-1:101");
+    const jacket = store.products.get(jacketMapping.internal_product_id);
+    expect(jacket).toMatchObject({
+      name: "Trail Jacket",
+      price: 129,
+      brand_id: "brand-1",
+      status: "active",
+    });
+    expect(Object.keys(jacketMapping.variant_mappings)).toEqual([
+      "TJ-S",
+      "TJ-M",
+    ]);
+    expect(store.synced.nextSyncAt - store.synced.lastSyncAt).toBe(30 * 60000);
+
+    // The brand reprices the jacket and drops its small size
+    catalog[0].price_cents = 9900;
+    const smallId = jacketMapping.variant_mappings["TJ-S"];
+    const dropped = catalog[0].skus.shift();
+    try {
+      const second = await syncBrandCatalog(config, { client, store });
+      expect(second).toMatchObject({
+        status: "completed",
+        records_created: 0,
+        records_updated: 3,
+      });
+      expect(store.products.size).toBe(3);
+      expect(jacket.price).toBe(99);
+      expect(store.variants.get(smallId).is_active).toBe(false);
+      expect(store.variants.size).toBe(2);
+    } finally {
+      catalog[0].price_cents = 12900;
+      catalog[0].skus.unshift(dropped);
+    }
+  });
+
+  test("products that cannot be saved leave a partial sync", async () => {
+    server = await startFakeBrandServer({
+      products: [...catalog, { id: 104, price_cents: 100 }],
+    });
+    const store = memoryStore();
+    const config = configFor(server.url);
+    const client = new BrandApiClient(config, { sleep: noSleep });
+
+    const log = await syncBrandCatalog(config, { client, store });
+    expect(log.status).toBe("partial");
+    expect(log.records_failed).toBe(1);
+    expect(log.error_details.products).toEqual([
+      {
+        external_id: "104",
+        error: "name is missing",
+        problems: ["name is missing"],
+      },
+    ]);
+  });
+
+  test("an API failure is logged and still schedules the next sync", async () => {
+    server = await startFakeBrandServer({ products: catalog });
+    const store = memoryStore();
+    const config = configFor(server.url, { auth_config: { api_key: "nope" } });
+    const client = new BrandApiClient(config, { sleep: noSleep });
+
+    const log = await syncBrandCatalog(config, { client, store });
+    expect(log.status).toBe("failed");
+    expect(log.error_details.api).toEqual({ code: "auth", status: 401 });
+    expect(store.synced.configId).toBe("cfg-1");
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  countByCategory,
+  findBrand,
+  listBrands,
+  parseBrandListParams,
+} from "../../services/products/brands.js";
+
+const brand = (name, overrides = {}) => ({
+  id: `id-${name.toLowerCase()}`,
+  name,
+  slug: name.toLowerCase(),
+  is_active: true,
+  is_featured: false,
+  product_count: 0,
+  follower_count: 0,
+  ...overrides,
+});
+
+const rows = [
+  brand("Zara", { product_count: 12, follower_count: 3, is_featured: true }),
+  brand("Adidas", { product_count: 40, follower_count: 3 }),
+  brand("Nike", { product_count: 40, follower_count: 9, is_featured: true }),
+  brand("Gone", { is_active: false, product_count: 99 }),
+];
+
+test("list params default to every brand by name", () => {
+  expect(parseBrandListParams({})).toEqual({
+    q: null,
+    featured: false,
+    sort: "name",
+  });
+  expect(
+    parseBrandListParams({ q: "  NI ", featured: "true", sort: "bogus" })
+  ).toEqual({ q: "ni", featured: true, sort: "name" });
+});
+
+test("brands are listed active only, filtered and sorted", () => {
+  const names = (options) =>
+    listBrands(rows, { ...parseBrandListParams({}), ...options }).map(
+      (b) => b.name
+    );
+
+  expect(names({})).toEqual(["Adidas", "Nike", "Zara"]);
+  expect(names({ featured: true })).toEqual(["Nike", "Zara"]);
+  expect(names({ q: "a" })).toEqual(["Adidas", "Zara"]);
+  // Ties fall back to the name
+  expect(names({ sort: "products" })).toEqual(["Adidas", "Nike", "Zara"]);
+  expect(names({ sort: "followers" })).toEqual(["Nike", "Adidas", "Zara"]);
+});
+
+test("listed brands carry their counts", () => {
+  const [adidas] = listBrands(rows, parseBrandListParams({}));
+  expect(adidas).toMatchObject({
+    slug: "adidas",
+    product_count: 40,
+    follower_count: 3,
+    is_featured: false,
+    logo_url: null,
+  });
+});
+
+test("a brand is found by id or slug unless inactive", () => {
+  expect(findBrand(rows, "nike").name).toBe("Nike");
+  expect(findBrand(rows, "id-zara").name).toBe("Zara");
+  expect(findBrand(rows, "gone")).toBeNull();
+  expect(findBrand(rows, "missing")).toBeNull();
+});
+
+test("category counts group a brand's products", () => {
+  const shoes = { id: "c1", name: "Shoes", slug: "shoes" };
+  const bags = { id: "c2", name: "Bags", slug: "bags" };
+  expect(
+    countByCategory([
+      { categories: bags },
+      { categories: shoes },
+      { categories: shoes },
+      { categories: null },
+    ])
+  ).toEqual([
+    { ...shoes, product_count: 2 },
+    { ...bags, product_count: 1 },
+  ]);
+});
@@ -0,0 +1,195 @@
+import {
+  buildCartSummary,
+  summarizeCartLists,
+} from "../../services/cart/cartSummary.js";
+import {
+  selectPromotion,
+  calculateOrderTotals,
+} from "../../utils/orderPricing.js";
+
+const row = (overrides = {}) => ({
+  id: "ci1",
+  product_id: "p1",
+  variant_id: null,
+  quantity: 1,
+  name: "Silk Scarf",
+  price: "40.00",
+  status: "active",
+  stock_quantity: 20,
+  seller_id: "s1",
+  ...overrides,
+});
+
+const promotion = (overrides = {}) => ({
+  id: "promo1",
+  name: "Spring sale",
+  discount_type: "percentage",
+  discount_value: "10",
+  start_date: "2026-01-01T00:00:00Z",
+  end_date: "2027-01-01T00:00:00Z",
+  is_active: true,
+  priority: 0,
+  ...overrides,
+});
+
+const now = new Date("2026-06-01T00:00:00Z");
+
+test("lines are priced from the catalogue and price changes are flagged", () => {
+  const summary = buildCartSummary(
+    [
+      row({ price_at_add: "35.00" }),
+      row({
+        id: "ci2",
+        product_id: "p2",
+        variant_id: "v1",
+        variant_price: "55.00",
+        price: "50.00",
+      }),
+    ],
+    { now }
+  );
+  expect(summary.items[0].unit_price).toBe(40);
+  expect(summary.items[0].price_changed).toBe(true);
+  expect(summary.items[1].unit_price).toBe(55);
+  expect(summary.items[1].price_changed).toBe(false);
+  expect(summary.totals.subtotal).toBe(95);
+  expect(summary.totals.shipping_amount).toBe(10);
+  expect(summary.totals.total_amount).toBe(105);
+  expect(summary.has_changes).toBe(true);
+  expect(summary.can_checkout).toBe(true);
+});
+
+test("unavailable and short-stocked lines are flagged and left out of totals", () => {
+  const summary = buildCartSummary(
+    [
+      row(),
+      row({ id: "ci2", product_id: "p2", quantity: 3, stock_quantity: 2 }),
+      row({ id: "ci3", product_id: "p3", status: "archived" }),
+      row({ id: "ci4", product_id: "p4", stock_quantity: 3 }),
+    ],
+    { now, requested: null }
+  );
+  expect(summary.items.map((i) => i.stock_status)).toEqual([
+    "in_stock",
+    "insufficient",
+    "unavailable",
+    "low_stock",
+  ]);
+  expect(summary.totals.subtotal).toBe(80);
+  expect(summary.can_checkout).toBe(false);
+});
+
+test("guest lines that match no product come back unavailable", () => {
+  const summary = buildCartSummary([row({ id: undefined })], {
+    now,
+    requested: [
+      { product_id: "p1", quantity: 1 },
+      { product_id: "gone", quantity: 2 },
+    ],
+  });
+  expect(summary.items).toHaveLength(2);
+  expect(summary.items[1]).toMatchObject({
+    product_id: "gone",
+    stock_status: "unavailable",
+    purchasable: false,
+  });
+});
+
+test("shipping options are priced once per cart and the selected one is charged", () => {
+  const express = {
+    code: "express",
+    name: "Express",
+    price: "25.00",
+    free_shipping_threshold: null,
+  };
+  const summary = buildCartSummary(
+    [row(), row({ id: "ci2", product_id: "p2", seller_id: "s2" })],
+    {
+      now,
+      shippingMethods: [
+        {
+          code: "standard",
+          name: "Standard",
+          price: 10,
+          free_shipping_threshold: 100,
+        },
+        express,
+      ],
+      shippingMethodCode: "express",
+    }
+  );
+  expect(summary.shipping_options).toEqual([
+    expect.objectContaining({ code: "standard", amount: 10, selected: false }),
+    expect.objectContaining({ code: "express", amount: 25, selected: true }),
+  ]);
+  expect(summary.totals.shipping_amount).toBe(25);
+  expect(summary.totals.total_amount).toBe(105);
+});
+
+test("the highest-priority applicable promotion wins", () => {
+  const lines = [
+    { product_id: "p1", category_id: "c1", quantity: 2, total_price: 80 },
+  ];
+  const picked = selectPromotion(
+    [
+      promotion(),
+      promotion({
+        id: "promo2",
+        discount_type: "fixed_amount",
+        discount_value: "30",
+        priority: 5,
+        applicable_categories: ["c1"],
+      }),
+      promotion({
+        id: "promo3",
+        priority: 9,
+        conditions: { minimum_order_amount: 500 },
+      }),
+      promotion({ id: "promo4", priority: 9, target_segments: ["seg1"] }),
+    ],
+    lines,
+    now
+  );
+  expect(picked).toMatchObject({ id: "promo2", amount: 30 });
+
+  const totals = calculateOrderTotals(lines, null, { promotion: picked });
+  expect(totals.discount_amount).toBe(30);
+  expect(totals.total_amount).toBe(60);
+});
+
+test("expired promotions and free-shipping promotions", () => {
+  const lines = [{ product_id: "p1", quantity: 1, total_price: 40 }];
+  expect(
+    selectPromotion(
+      [promotion({ end_date: "2026-02-01T00:00:00Z" })],
+      lines,
+      now
+    )
+  ).toBeNull();
+
+  const summary = buildCartSummary([row()], {
+    now,
+    promotions: [promotion({ discount_type: "free_shipping" })],
+  });
+  expect(summary.promotions[0].free_shipping).toBe(true);
+  expect(summary.totals.shipping_amount).toBe(0);
+  expect(summary.shipping_options[0].amount).toBe(0);
+});
+
+test("cart lists group their lines and total only what can be bought", () => {
+  const lists = [
+    { id: "l1", kind: "saved", name: "Saved for later" },
+    { id: "l2", kind: "named", name: "Birthday" },
+  ];
+  const [saved, birthday] = summarizeCartLists(lists, [
+    row({ list_id: "l1", quantity: 2 }),
+    row({ id: "ci2", list_id: "l1", product_id: "p2", stock_quantity: 0 }),
+    row({ id: "ci3", list_id: "l3", product_id: "p3" }),
+  ]);
+  expect(saved.items.map((i) => i.id)).toEqual(["ci1", "ci2"]);
+  expect(saved.items[1].stock_status).toBe("out_of_stock");
+  expect(saved.item_count).toBe(3);
+  expect(saved.subtotal).toBe(80);
+  expect(birthday.items).toEqual([]);
+  expect(birthday.subtotal).toBe(0);
+});
@@ -0,0 +1,121 @@
+import {
+  CART_ERROR_CODES,
+  availableStock,
+  assertPurchasable,
+  clampQuantity,
+  parseQuantity,
+} from "../../services/cart/cartValidation.js";
+import { stockStatus } from "../../services/cart/cartSummary.js";
+
+const product = (overrides = {}) => ({
+  id: "p1",
+  name: "Silk Scarf",
+  price: "40.00",
+  status: "active",
+  stock_quantity: 10,
+  ...overrides,
+});
+
+const variant = (overrides = {}) => ({
+  id: "v1",
+  product_id: "p1",
+  price: "45.00",
+  is_active: true,
+  stock_quantity: 3,
+  ...overrides,
+});
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    return [err.status, err.details?.code];
+  }
+  return null;
+};
+
+test("availableStock uses the stricter of product and variant stock", () => {
+  expect(availableStock(product(), variant())).toBe(3);
+  expect(availableStock(product({ stock_quantity: 2 }), variant())).toBe(2);
+  expect(availableStock(product({ stock_quantity: null }), null)).toBeNull();
+  expect(availableStock(product({ stock_quantity: -4 }))).toBe(0);
+});
+
+test("assertPurchasable rejects missing, foreign and inactive lines", () => {
+  const ids = { productId: "p1", variantId: "v1" };
+  expect(codeOf(() => assertPurchasable(null, null, ids))).toEqual([
+    404,
+    CART_ERROR_CODES.PRODUCT_NOT_FOUND,
+  ]);
+  expect(codeOf(() => assertPurchasable(product(), null, ids))).toEqual([
+    404,
+    CART_ERROR_CODES.VARIANT_NOT_FOUND,
+  ]);
+  expect(
+    codeOf(() =>
+      assertPurchasable(product(), variant({ product_id: "p2" }), ids)
+    )
+  ).toEqual([404, CART_ERROR_CODES.VARIANT_NOT_FOUND]);
+  expect(
+    codeOf(() =>
+      assertPurchasable(product({ status: "draft" }), null, { productId: "p1" })
+    )
+  ).toEqual([409, CART_ERROR_CODES.PRODUCT_UNAVAILABLE]);
+  expect(
+    codeOf(() =>
+      assertPurchasable(product({ status: "discontinued" }), variant(), ids)
+    )
+  ).toEqual([409, CART_ERROR_CODES.PRODUCT_UNAVAILABLE]);
+  expect(
+    codeOf(() =>
+      assertPurchasable(product(), variant({ is_active: false }), ids)
+    )
+  ).toEqual([409, CART_ERROR_CODES.PRODUCT_UNAVAILABLE]);
+  expect(
+    codeOf(() =>
+      assertPurchasable(product(), variant({ stock_quantity: 0 }), ids)
+    )
+  ).toEqual([409, CART_ERROR_CODES.OUT_OF_STOCK]);
+  expect(assertPurchasable(product(), variant(), ids)).toBe(3);
+});
+
+test("clampQuantity cuts the line to the stock and says so", () => {
+  expect(clampQuantity(2, 3)).toEqual({ quantity: 2, adjustment: null });
+  expect(clampQuantity(50, null)).toEqual({ quantity: 50, adjustment: null });
+
+  const { quantity, adjustment } = clampQuantity(5, 3, "Silk Scarf");
+  expect(quantity).toBe(3);
+  expect(adjustment).toMatchObject({
+    code: CART_ERROR_CODES.QUANTITY_ADJUSTED,
+    requested_quantity: 5,
+    available_quantity: 3,
+  });
+});
+
+test("parseQuantity accepts whole numbers from 1", () => {
+  expect(parseQuantity(2)).toBe(2);
+  expect(parseQuantity("4")).toBe(4);
+  for (const bad of [0, -1, 1.5, "two", null, undefined]) {
+    expect(codeOf(() => parseQuantity(bad))).toEqual([
+      400,
+      CART_ERROR_CODES.INVALID_QUANTITY,
+    ]);
+  }
+});
+
+test("stockStatus follows variant stock when the line has a variant", () => {
+  const row = {
+    status: "active",
+    quantity: 2,
+    variant_id: "v1",
+    stock_quantity: 20,
+    variant_stock_quantity: 1,
+  };
+  expect(stockStatus(row)).toBe("insufficient");
+  expect(stockStatus({ ...row, variant_stock_quantity: null })).toBe(
+    "in_stock"
+  );
+  expect(stockStatus({ ...row, variant_stock_quantity: 0 })).toBe(
+    "out_of_stock"
+  );
+});
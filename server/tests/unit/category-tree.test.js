@@ -0,0 +1,125 @@
+import {
+  assertSiblingOrder,
+  assertValidParent,
+  breadcrumbsFor,
+  buildCategoryTree,
+  descendantIds,
+  findInTree,
+  subtreeIds,
+} from "../../services/products/categoryTree.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const category = (id, overrides = {}) => ({
+  id,
+  name: id,
+  slug: id,
+  parent_id: null,
+  sort_order: 0,
+  is_active: true,
+  product_count: 0,
+  ...overrides,
+});
+
+// electronics
+//   phones (2 products)
+//     cases (3 products)
+//   laptops (1 product, listed first)
+// fashion (inactive)
+//   shoes (4 products)
+const rows = [
+  category("electronics", { sort_order: 0 }),
+  category("phones", {
+    parent_id: "electronics",
+    sort_order: 1,
+    product_count: 2,
+  }),
+  category("cases", { parent_id: "phones", product_count: 3 }),
+  category("laptops", {
+    parent_id: "electronics",
+    sort_order: 0,
+    product_count: 1,
+  }),
+  category("fashion", { sort_order: 1, is_active: false }),
+  category("shoes", { parent_id: "fashion", product_count: 4 }),
+];
+
+test("tree nests children in sort order and rolls up product counts", () => {
+  const tree = buildCategoryTree(rows);
+
+  expect(tree.map((node) => node.id)).toEqual(["electronics"]);
+  const [electronics] = tree;
+  expect(electronics.children.map((node) => node.id)).toEqual([
+    "laptops",
+    "phones",
+  ]);
+  expect(electronics.product_count).toBe(6);
+  expect(findInTree(tree, "phones").product_count).toBe(5);
+  expect(findInTree(tree, "cases").children).toEqual([]);
+});
+
+test("inactive categories and everything below them are hidden", () => {
+  expect(findInTree(buildCategoryTree(rows), "shoes")).toBeNull();
+
+  const all = buildCategoryTree(rows, { includeInactive: true });
+  expect(all.map((node) => node.id)).toEqual(["electronics", "fashion"]);
+  expect(findInTree(all, "shoes").product_count).toBe(4);
+});
+
+test("breadcrumbs run from the root down to the category", () => {
+  expect(breadcrumbsFor(rows, "cases").map((crumb) => crumb.slug)).toEqual([
+    "electronics",
+    "phones",
+    "cases",
+  ]);
+  expect(breadcrumbsFor(rows, "missing")).toEqual([]);
+});
+
+test("a subtree covers the category and all its descendants", () => {
+  const tree = buildCategoryTree(rows);
+  expect(subtreeIds(findInTree(tree, "electronics")).sort()).toEqual([
+    "cases",
+    "electronics",
+    "laptops",
+    "phones",
+  ]);
+  expect(descendantIds(rows, "phones")).toEqual(["phones", "cases"]);
+});
+
+test("a category cannot move under itself or a descendant", () => {
+  expect(() => assertValidParent(rows, "phones", "laptops")).not.toThrow();
+  expect(() => assertValidParent(rows, "phones", null)).not.toThrow();
+
+  for (const parentId of ["phones", "cases"]) {
+    let error;
+    try {
+      assertValidParent(rows, "phones", parentId);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(409);
+  }
+
+  expect(() => assertValidParent(rows, "phones", "nope")).toThrow(
+    "Parent category not found"
+  );
+});
+
+test("a reorder must list every sibling exactly once", () => {
+  expect(() =>
+    assertSiblingOrder(rows, "electronics", ["phones", "laptops"])
+  ).not.toThrow();
+  expect(() =>
+    assertSiblingOrder(rows, null, ["fashion", "electronics"])
+  ).not.toThrow();
+
+  for (const order of [
+    ["phones"],
+    ["phones", "phones"],
+    ["phones", "laptops", "cases"],
+  ]) {
+    expect(() => assertSiblingOrder(rows, "electronics", order)).toThrow(
+      HttpError
+    );
+  }
+});
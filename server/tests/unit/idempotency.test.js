@@ -0,0 +1,154 @@
+import {
+  byGuestEmail,
+  idempotent,
+  hashRequest,
+} from "../../middleware/idempotency.js";
+
+// In-memory stand-in for the IdempotencyKey model
+const createStore = () => {
+  const rows = new Map();
+  return {
+    rows,
+    begin: async ({ userId, guestKey, scope, key, requestHash }) => {
+      const id = `${userId ?? guestKey}:${scope}:${key}`;
+      if (rows.has(id)) return { created: false, record: rows.get(id) };
+      const record = { id, request_hash: requestHash, status: "processing" };
+      rows.set(id, record);
+      return { created: true, record };
+    },
+    complete: async (id, status, body) => {
+      Object.assign(rows.get(id), {
+        status: "completed",
+        response_status: status,
+        response_body: body,
+      });
+    },
+    release: async (id) => {
+      rows.delete(id);
+    },
+  };
+};
+
+const mockReq = (body, key = "key-1") => ({
+  method: "POST",
+  originalUrl: "/api/v1/orders",
+  body,
+  user: { id: "u1" },
+  get: (name) => (name === "Idempotency-Key" ? key : undefined),
+});
+
+// Resolves once the middleware (or the wrapped handler) has sent a response
+const run = (middleware, req, handler) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, headers: this.headers });
+        return this;
+      },
+    };
+    middleware(req, res, () => handler(req, res));
+  });
+
+test("request hashes ignore key order but not values", () => {
+  const a = hashRequest({ method: "POST", path: "/x", body: { a: 1, b: { c: 2, d: 3 } } });
+  const b = hashRequest({ method: "POST", path: "/x", body: { b: { d: 3, c: 2 }, a: 1 } });
+  const c = hashRequest({ method: "POST", path: "/x", body: { a: 2, b: { c: 2, d: 3 } } });
+  expect(a).toBe(b);
+  expect(a).not.toBe(c);
+});
+
+test("a repeated request replays the stored response without running the handler", async () => {
+  const store = createStore();
+  const middleware = idempotent("orders.create", { store });
+  let calls = 0;
+  const handler = (req, res) => {
+    calls += 1;
+    res.status(201).json({ success: true, data: { order: { id: "o1" } } });
+  };
+
+  const first = await run(middleware, mockReq({ notes: "hi" }), handler);
+  const second = await run(middleware, mockReq({ notes: "hi" }), handler);
+
+  expect(calls).toBe(1);
+  expect(second.status).toBe(201);
+  expect(second.body).toEqual(first.body);
+  expect(second.headers["Idempotent-Replayed"]).toBe("true");
+});
+
+test("reusing a key with a different payload is a conflict", async () => {
+  const store = createStore();
+  const middleware = idempotent("orders.create", { store });
+  const handler = (req, res) => res.status(201).json({ success: true });
+
+  await run(middleware, mockReq({ notes: "a" }), handler);
+  const reused = await run(middleware, mockReq({ notes: "b" }), handler);
+  expect(reused.status).toBe(409);
+});
+
+test("a request still in progress is not run twice", async () => {
+  const store = createStore();
+  const middleware = idempotent("orders.create", { store });
+  await store.begin({
+    userId: "u1",
+    scope: "orders.create",
+    key: "key-1",
+    requestHash: hashRequest({ method: "POST", path: "/api/v1/orders", body: {} }),
+  });
+
+  const result = await run(middleware, mockReq({}), () => {
+    throw new Error("handler should not run");
+  });
+  expect(result.status).toBe(409);
+});
+
+test("server errors release the key so the request can be retried", async () => {
+  const store = createStore();
+  const middleware = idempotent("orders.create", { store });
+
+  const failed = await run(middleware, mockReq({}), (req, res) =>
+    res.status(500).json({ success: false })
+  );
+  expect(failed.status).toBe(500);
+  await new Promise((r) => setImmediate(r));
+  expect(store.rows.size).toBe(0);
+});
+
+test("guest keys belong to the checkout email, not a user", async () => {
+  const store = createStore();
+  const middleware = idempotent("orders.guest_create", {
+    store,
+    owner: byGuestEmail,
+  });
+  let calls = 0;
+  const handler = (req, res) => {
+    calls += 1;
+    res.status(201).json({ success: true, data: { order: { id: `o${calls}` } } });
+  };
+  const guestReq = (email) => ({
+    ...mockReq({ email, items: [] }),
+    originalUrl: "/api/v1/orders/guest",
+    user: undefined,
+  });
+
+  const first = await run(middleware, guestReq("Ann@Example.com"), handler);
+  const retry = await run(middleware, guestReq("Ann@Example.com"), handler);
+  await run(middleware, guestReq("bob@example.com"), handler);
+
+  expect(retry.body).toEqual(first.body);
+  expect(retry.headers["Idempotent-Replayed"]).toBe("true");
+  expect(calls).toBe(2);
+  expect([...store.rows.keys()]).toEqual([
+    "email:ann@example.com:orders.guest_create:key-1",
+    "email:bob@example.com:orders.guest_create:key-1",
+  ]);
+});
@@ -0,0 +1,104 @@
+import {
+  MockPaymentProvider,
+  isLuhnValid,
+} from "../../services/payments/MockPaymentProvider.js";
+import { canTransitionPayment } from "../../services/payments/paymentStatus.js";
+
+const provider = new MockPaymentProvider({
+  webhookSecret: "test-secret",
+  now: () => new Date("2025-09-01T00:00:00Z"),
+});
+
+const card = (cardNumber) => ({
+  cardNumber,
+  expiryDate: "12/30",
+  cvv: "123",
+});
+
+test("luhn validation", () => {
+  expect(isLuhnValid("4242 4242 4242 4242")).toBe(true);
+  expect(isLuhnValid("4242 4242 4242 4241")).toBe(false);
+});
+
+test("authorize then capture succeeds with a deterministic intent id", async () => {
+  const args = {
+    amount: 49.99,
+    currency: "USD",
+    paymentMethod: card("4242424242424242"),
+    reference: "pay-1",
+  };
+  const first = await provider.authorize(args);
+  const second = await provider.authorize(args);
+  expect(first.success).toBe(true);
+  expect(first.status).toBe("processing");
+  expect(first.intentId).toBe(second.intentId);
+  expect(first.raw.card_last4).toBe("4242");
+
+  const captured = await provider.capture(first.intentId, { amount: 49.99 });
+  expect(captured.success).toBe(true);
+  expect(captured.status).toBe("completed");
+});
+
+test("declined and expired cards fail authorization", async () => {
+  const declined = await provider.authorize({
+    amount: 10,
+    paymentMethod: card("4000000000000002"),
+    reference: "pay-2",
+  });
+  expect(declined.success).toBe(false);
+  expect(declined.code).toBe("card_declined");
+
+  const expired = await provider.authorize({
+    amount: 10,
+    paymentMethod: { ...card("4242424242424242"), expiryDate: "01/24" },
+    reference: "pay-3",
+  });
+  expect(expired.code).toBe("expired_card");
+});
+
+test("capture-failure test card authorizes but fails capture", async () => {
+  const auth = await provider.authorize({
+    amount: 10,
+    paymentMethod: card("4000000000000341"),
+    reference: "pay-4",
+  });
+  expect(auth.success).toBe(true);
+  const captured = await provider.capture(auth.intentId, { amount: 10 });
+  expect(captured.success).toBe(false);
+  expect(captured.code).toBe("capture_failed");
+});
+
+test("webhooks require a valid signature", () => {
+  const body = { type: "payment.captured", data: { intent_id: "mock_pi_abc" } };
+  const signature = provider.signWebhook(body);
+  const event = provider.parseWebhook(body, { "x-mock-signature": signature });
+  expect(event).toEqual({ intentId: "mock_pi_abc", status: "completed", raw: body });
+  expect(() =>
+    provider.parseWebhook(body, { "x-mock-signature": "bad" })
+  ).toThrow(/signature/);
+});
+
+test("the mock needs a webhook secret and is refused in production", () => {
+  expect(() => new MockPaymentProvider({ env: {} })).toThrow(
+    /MOCK_PAYMENT_WEBHOOK_SECRET/
+  );
+  expect(
+    () =>
+      new MockPaymentProvider({
+        webhookSecret: "test-secret",
+        env: { NODE_ENV: "production" },
+      })
+  ).toThrow(/production/);
+  expect(
+    new MockPaymentProvider({ env: { MOCK_PAYMENT_WEBHOOK_SECRET: "s" } })
+      .webhookSecret
+  ).toBe("s");
+});
+
+test("payment status transitions follow payment_status", () => {
+  expect(canTransitionPayment("pending", "processing")).toBe(true);
+  expect(canTransitionPayment("processing", "completed")).toBe(true);
+  expect(canTransitionPayment("completed", "refunded")).toBe(true);
+  expect(canTransitionPayment("failed", "completed")).toBe(false);
+  expect(canTransitionPayment("refunded", "completed")).toBe(false);
+});
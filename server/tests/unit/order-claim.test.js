@@ -0,0 +1,28 @@
+process.env.ORDER_CLAIM_SECRET = process.env.ORDER_CLAIM_SECRET || "claimsecret";
+
+import {
+  signGuestOrderToken,
+  verifyGuestOrderToken,
+  signOrderClaimToken,
+  verifyOrderClaimToken,
+} from "../../utils/orderClaim.js";
+
+const order = { orderId: "order-1", email: "guest@example.com" };
+
+test("claim tokens carry the order and guest email", () => {
+  const payload = verifyOrderClaimToken(signOrderClaimToken(order));
+  expect(payload.sub).toBe("order-1");
+  expect(payload.email).toBe("guest@example.com");
+});
+
+test("guest access tokens cannot be used to claim an order", () => {
+  const guestToken = signGuestOrderToken(order);
+  expect(verifyGuestOrderToken(guestToken).sub).toBe("order-1");
+  expect(verifyOrderClaimToken(guestToken)).toBeNull();
+  expect(verifyGuestOrderToken(signOrderClaimToken(order))).toBeNull();
+});
+
+test("tampered tokens are rejected", () => {
+  expect(verifyOrderClaimToken(`${signOrderClaimToken(order)}x`)).toBeNull();
+  expect(verifyOrderClaimToken("not-a-token")).toBeNull();
+});
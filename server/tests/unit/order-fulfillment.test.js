@@ -0,0 +1,109 @@
+import {
+  canTransitionFulfillment,
+  splitOrderLines,
+  deriveOrderStatus,
+  forwardPath,
+  computeRevenueShare,
+} from "../../services/orders/fulfillment.js";
+import { calculateOrderTotals } from "../../utils/orderPricing.js";
+
+const line = (seller_id, total_price, extra = {}) => ({
+  product_id: `p-${seller_id}-${total_price}`,
+  seller_id,
+  quantity: 1,
+  unit_price: total_price,
+  total_price,
+  ...extra,
+});
+
+test("shipping is charged once per order, however many sellers ship it", () => {
+  const totals = calculateOrderTotals([
+    line("a", 20),
+    line("a", 30),
+    line("b", 40),
+  ]);
+  expect(totals.shipping_amount).toBe(10);
+  expect(totals.total_amount).toBe(100);
+  expect(
+    calculateOrderTotals([line("a", 60), line("b", 50)]).shipping_amount
+  ).toBe(0);
+});
+
+test("lines are split into per-seller groups that add up to the order", () => {
+  const lines = [
+    line("a", 60),
+    line(null, 30, { brand_id: "brand-1" }),
+    line("a", 10),
+  ];
+  const totals = {
+    subtotal: 100,
+    discount_amount: 10,
+    tax_amount: 9,
+    shipping_amount: 10,
+  };
+  const groups = splitOrderLines(lines, totals);
+
+  expect(groups.map((g) => g.key)).toEqual(["seller:a", "brand:brand-1"]);
+  expect(groups[0].lines).toHaveLength(2);
+  expect(groups[0].subtotal).toBe(70);
+  expect(groups[0].discount_amount).toBe(7);
+  expect(groups[1].discount_amount).toBe(3);
+  expect(groups[1].brand_id).toBe("brand-1");
+  expect(groups.map((g) => g.shipping_amount)).toEqual([7, 3]);
+  const sum = (field) => groups.reduce((s, g) => s + g[field], 0);
+  expect(sum("tax_amount")).toBeCloseTo(9);
+  expect(sum("shipping_amount")).toBe(10);
+  expect(sum("total_amount")).toBeCloseTo(109);
+});
+
+test("free shipping coupons zero every group", () => {
+  const groups = splitOrderLines([line("a", 20), line("b", 20)], {
+    shipping_amount: 0,
+  });
+  expect(groups.every((g) => g.shipping_amount === 0)).toBe(true);
+});
+
+test("the parent status follows the slowest live group", () => {
+  const f = (...statuses) => statuses.map((status) => ({ status }));
+  expect(deriveOrderStatus(f("confirmed", "processing"), "confirmed")).toBe(
+    "processing"
+  );
+  expect(deriveOrderStatus(f("shipped", "processing"), "processing")).toBe(
+    "processing"
+  );
+  expect(deriveOrderStatus(f("shipped", "delivered"), "processing")).toBe(
+    "shipped"
+  );
+  expect(deriveOrderStatus(f("delivered", "cancelled"), "shipped")).toBe(
+    "delivered"
+  );
+  expect(deriveOrderStatus(f("confirmed"), "shipped")).toBe("shipped");
+  expect(deriveOrderStatus(f("cancelled"), "confirmed")).toBe("confirmed");
+  expect(forwardPath("confirmed", "shipped")).toEqual([
+    "processing",
+    "shipped",
+  ]);
+});
+
+test("groups can't skip back or leave delivered", () => {
+  expect(canTransitionFulfillment("confirmed", "shipped")).toBe(true);
+  expect(canTransitionFulfillment("shipped", "cancelled")).toBe(false);
+  expect(canTransitionFulfillment("delivered", "shipped")).toBe(false);
+});
+
+test("revenue share applies commission and fees to the discounted value", () => {
+  const share = computeRevenueShare(
+    { subtotal: 100, discount_amount: 20, shipping_amount: 10 },
+    {
+      seller_type: "api_integrated",
+      commission_rate: "15.00",
+      flat_fee: "1.50",
+    }
+  );
+  expect(share.gross_amount).toBe(80);
+  expect(share.commission_amount).toBe(12);
+  expect(share.platform_revenue).toBe(13.5);
+  expect(share.net_seller_amount).toBe(76.5);
+  expect(share.seller_type).toBe("api_integrated");
+  expect(computeRevenueShare({ subtotal: 50 }).commission_rate).toBe(10);
+});
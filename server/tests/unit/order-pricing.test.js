@@ -0,0 +1,86 @@
+import {
+  buildOrderLines,
+  assertCouponUsable,
+  calculateOrderTotals,
+  generateOrderNumber,
+} from "../../utils/orderPricing.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const cartRow = (overrides = {}) => ({
+  product_id: "p1",
+  variant_id: null,
+  quantity: 2,
+  name: "Silk Scarf",
+  sku: "SCARF-1",
+  price: "19.99",
+  status: "active",
+  images: ["https://example.com/scarf.jpg"],
+  ...overrides,
+});
+
+test("buildOrderLines uses catalogue prices and snapshots the product", () => {
+  const [line] = buildOrderLines([cartRow()]);
+  expect(line.unit_price).toBe(19.99);
+  expect(line.total_price).toBe(39.98);
+  expect(line.product_snapshot.name).toBe("Silk Scarf");
+  expect(line.product_snapshot.image).toBe("https://example.com/scarf.jpg");
+});
+
+test("buildOrderLines prefers the variant price when a variant is selected", () => {
+  const [line] = buildOrderLines([
+    cartRow({ variant_id: "v1", variant_price: "24.50", variant_sku: "V-1" }),
+  ]);
+  expect(line.unit_price).toBe(24.5);
+  expect(line.product_snapshot.sku).toBe("V-1");
+});
+
+test("buildOrderLines rejects empty carts and inactive products", () => {
+  expect(() => buildOrderLines([])).toThrow(HttpError);
+  expect(() => buildOrderLines([cartRow({ status: "draft" })])).toThrow(
+    /no longer available/
+  );
+});
+
+test("buildOrderLines rejects quantities above the product's stock", () => {
+  expect(() =>
+    buildOrderLines([cartRow({ quantity: 3, stock_quantity: 2 })])
+  ).toThrow(/Insufficient stock/);
+  expect(buildOrderLines([cartRow({ quantity: 2, stock_quantity: 2 })])).toHaveLength(1);
+});
+
+test("calculateOrderTotals applies flat shipping below the threshold", () => {
+  const totals = calculateOrderTotals([{ total_price: 40 }]);
+  expect(totals.subtotal).toBe(40);
+  expect(totals.shipping_amount).toBe(10);
+  expect(totals.total_amount).toBe(50);
+});
+
+test("calculateOrderTotals applies capped percentage coupons", () => {
+  const totals = calculateOrderTotals([{ total_price: 200 }], {
+    discount_type: "percentage",
+    discount_value: 50,
+    maximum_discount_amount: 30,
+  });
+  expect(totals.discount_amount).toBe(30);
+  expect(totals.shipping_amount).toBe(0);
+  expect(totals.total_amount).toBe(170);
+});
+
+test("assertCouponUsable enforces minimum order and usage limits", () => {
+  const coupon = {
+    is_active: true,
+    minimum_order_amount: 50,
+    usage_limit: 1,
+    usage_count: 0,
+  };
+  expect(() => assertCouponUsable(coupon, 20)).toThrow(/minimum order/);
+  expect(() =>
+    assertCouponUsable({ ...coupon, usage_count: 1 }, 100)
+  ).toThrow(/usage limit/);
+  expect(() => assertCouponUsable(coupon, 100)).not.toThrow();
+});
+
+test("generateOrderNumber embeds the date", () => {
+  const number = generateOrderNumber(new Date("2025-09-24T10:00:00Z"));
+  expect(number).toMatch(/^ORD-20250924-[0-9A-F]{6}$/);
+});
@@ -0,0 +1,120 @@
+import {
+  canTransitionOrder,
+  commitsStock,
+  releasesReservation,
+  releasesStock,
+  CUSTOMER_CANCELLABLE,
+} from "../../services/orders/orderStatus.js";
+import { orderController } from "../../controllers/orderController.js";
+import { validateOrderStatusUpdate } from "../../middleware/validation.js";
+import { Order } from "../../models/Order.js";
+import { Payment } from "../../models/Payment.js";
+
+test("orders move forward through fulfilment", () => {
+  expect(canTransitionOrder("pending", "confirmed")).toBe(true);
+  expect(canTransitionOrder("confirmed", "processing")).toBe(true);
+  expect(canTransitionOrder("processing", "shipped")).toBe(true);
+  expect(canTransitionOrder("shipped", "delivered")).toBe(true);
+});
+
+test("illegal moves are rejected", () => {
+  expect(canTransitionOrder("pending", "shipped")).toBe(false);
+  expect(canTransitionOrder("delivered", "processing")).toBe(false);
+  expect(canTransitionOrder("shipped", "cancelled")).toBe(false);
+  expect(canTransitionOrder("refunded", "confirmed")).toBe(false);
+  expect(canTransitionOrder("pending", "pending")).toBe(false);
+});
+
+test("customers can only cancel before processing", () => {
+  expect(CUSTOMER_CANCELLABLE).toEqual(["pending", "confirmed"]);
+});
+
+test("only unshipped orders return stock", () => {
+  expect(releasesStock("confirmed", "cancelled")).toBe(true);
+  expect(releasesStock("processing", "refunded")).toBe(true);
+  expect(releasesStock("delivered", "refunded")).toBe(false);
+  expect(releasesStock("cancelled", "refunded")).toBe(false);
+  expect(releasesStock("pending", "cancelled")).toBe(false);
+});
+
+test("payment commits reserved stock and unpaid cancellations release it", () => {
+  expect(commitsStock("pending", "confirmed")).toBe(true);
+  expect(commitsStock("confirmed", "processing")).toBe(false);
+  expect(releasesReservation("pending", "cancelled")).toBe(true);
+  expect(releasesReservation("confirmed", "cancelled")).toBe(false);
+});
+
+test("a refused status change leaves the order's payments alone", async () => {
+  const originals = {
+    findById: Order.findById,
+    transitionStatus: Order.transitionStatus,
+    findByOrder: Payment.findByOrder,
+    updateStatus: Payment.updateStatus,
+  };
+  const calls = [];
+  Order.findById = async () => ({ id: "o1", status: "shipped" });
+  Order.transitionStatus = async () => calls.push("transitionStatus");
+  Payment.findByOrder = async () => {
+    calls.push("findByOrder");
+    return [];
+  };
+  Payment.updateStatus = async () => calls.push("updateStatus");
+  const statuses = [];
+  const res = {
+    status: (code) => {
+      statuses.push(code);
+      return res;
+    },
+    json: () => res,
+  };
+
+  try {
+    await orderController.updateOrderStatus(
+      {
+        params: { id: "o1" },
+        body: { status: "cancelled" },
+        user: { id: "admin-1", role: "admin" },
+      },
+      res
+    );
+
+    expect(statuses).toEqual([409]);
+    expect(calls).toEqual([]);
+  } finally {
+    Order.findById = originals.findById;
+    Order.transitionStatus = originals.transitionStatus;
+    Payment.findByOrder = originals.findByOrder;
+    Payment.updateStatus = originals.updateStatus;
+  }
+});
+
+// -> the response status validateOrderStatusUpdate sent, or null when it let
+// the request through
+const statusCheck = async (status) => {
+  const req = {
+    params: { id: "5f0c1a52-3b7e-4d21-9a53-0c7f1f6c2b11" },
+    body: { status },
+  };
+  let sent = null;
+  const res = {
+    status: (code) => {
+      sent = code;
+      return res;
+    },
+    json: () => res,
+  };
+  for (const handler of validateOrderStatusUpdate) {
+    let passed = false;
+    await handler(req, res, () => {
+      passed = true;
+    });
+    if (!passed) break;
+  }
+  return sent;
+};
+
+test("orders cannot be confirmed by hand, only by a captured payment", async () => {
+  expect(await statusCheck("confirmed")).toBe(400);
+  expect(await statusCheck("shipped")).toBeNull();
+  expect(await statusCheck("cancelled")).toBeNull();
+});
@@ -0,0 +1,67 @@
+import { buildOrderTimeline } from "../../services/orders/orderTimeline.js";
+
+const order = (overrides = {}) => ({
+  id: "o1",
+  status: "pending",
+  created_at: "2025-09-01T10:00:00Z",
+  updated_at: "2025-09-01T10:00:00Z",
+  shipped_at: null,
+  delivered_at: null,
+  ...overrides,
+});
+
+test("a new order only has the placed step", () => {
+  expect(buildOrderTimeline(order())).toEqual([
+    { status: "pending", at: "2025-09-01T10:00:00Z", note: "Order placed" },
+  ]);
+});
+
+test("audited status changes are listed in order", () => {
+  const timeline = buildOrderTimeline(order({ status: "shipped" }), {
+    auditLogs: [
+      {
+        old_values: { status: "confirmed" },
+        new_values: { status: "shipped", note: "Tracking 1Z999" },
+        created_at: "2025-09-03T09:00:00Z",
+      },
+      {
+        old_values: { status: "pending" },
+        new_values: { status: "confirmed" },
+        created_at: "2025-09-01T10:05:00Z",
+      },
+      {
+        old_values: { status: "confirmed" },
+        new_values: { status: "confirmed", notes: "edited" },
+        created_at: "2025-09-02T00:00:00Z",
+      },
+    ],
+  });
+  expect(timeline.map((e) => e.status)).toEqual([
+    "pending",
+    "confirmed",
+    "shipped",
+  ]);
+  expect(timeline[2].note).toBe("Tracking 1Z999");
+});
+
+test("unaudited orders fall back to payment and shipping timestamps", () => {
+  const timeline = buildOrderTimeline(
+    order({
+      status: "delivered",
+      shipped_at: "2025-09-02T12:00:00Z",
+      delivered_at: "2025-09-04T12:00:00Z",
+      updated_at: "2025-09-04T12:00:00Z",
+    }),
+    {
+      payments: [
+        { status: "completed", processed_at: "2025-09-01T10:01:00Z" },
+      ],
+    }
+  );
+  expect(timeline.map((e) => [e.status, e.at])).toEqual([
+    ["pending", "2025-09-01T10:00:00Z"],
+    ["confirmed", "2025-09-01T10:01:00Z"],
+    ["shipped", "2025-09-02T12:00:00Z"],
+    ["delivered", "2025-09-04T12:00:00Z"],
+  ]);
+});
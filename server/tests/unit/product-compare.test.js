@@ -0,0 +1,115 @@
+import {
+  COMPARE_MAX_PRODUCTS,
+  buildComparison,
+  inRequestedOrder,
+  parseCompareIds,
+  parseMeasure,
+  specKey,
+} from "../../services/products/compare.js";
+
+const A = "11111111-1111-4111-8111-111111111111";
+const B = "22222222-2222-4222-8222-222222222222";
+
+const product = (overrides) => ({
+  id: A,
+  name: "Leather Tote",
+  slug: "leather-tote",
+  price: "100.00",
+  compare_price: null,
+  images: ["https://x/tote.jpg"],
+  status: "active",
+  stock_quantity: 3,
+  brand_name: "Gucci",
+  category_name: "Bags",
+  avg_rating: "4.5",
+  review_count: "2",
+  specifications: {},
+  ...overrides,
+});
+
+test("compare ids are distinct UUIDs in the order given, capped", () => {
+  expect(parseCompareIds(` ${B},${A.toUpperCase()},nope,${B}`)).toEqual([B, A]);
+  const many = Array.from(
+    { length: COMPARE_MAX_PRODUCTS + 2 },
+    (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, "0")}`
+  );
+  expect(parseCompareIds(many)).toHaveLength(COMPARE_MAX_PRODUCTS);
+  expect(parseCompareIds(undefined)).toEqual([]);
+  expect(inRequestedOrder([B, A], [{ id: A }, { id: B }])).toEqual([
+    { id: B },
+    { id: A },
+  ]);
+});
+
+test("spec keys from different brands land on the same row", () => {
+  expect(specKey("Strap Width")).toBe("strap_width");
+  expect(specKey("strapWidth")).toBe("strap_width");
+  expect(specKey("Fabric")).toBe("material");
+  expect(specKey("available_colors")).toBe("colors");
+});
+
+test("measurements are read in any common unit", () => {
+  expect(parseMeasure("1,200 g")).toEqual({ dimension: "mass", base: 1200 });
+  expect(parseMeasure("2 lbs").base).toBeCloseTo(907.18, 2);
+  expect(parseMeasure('12"')).toEqual({ dimension: "length", base: 30.48 });
+  expect(parseMeasure("0.5 L")).toEqual({ dimension: "volume", base: 500 });
+  expect(parseMeasure("10 x 20 cm")).toBeNull();
+  expect(parseMeasure("Silk")).toBeNull();
+});
+
+test("rows are aligned across products, in one unit, with differences marked", () => {
+  const { products, rows } = buildComparison([
+    product({
+      specifications: { Material: "Silk", Weight: "1.5 kg", Lined: true },
+    }),
+    product({
+      id: B,
+      price: "100",
+      stock_quantity: 0,
+      category_name: null,
+      specifications: { fabric: "silk", item_weight: "800 g", lined: "yes" },
+      weight: "9",
+    }),
+  ]);
+  expect(products.map((p) => [p.id, p.in_stock])).toEqual([
+    [A, true],
+    [B, false],
+  ]);
+  const row = (key) => rows.find((r) => r.key === key);
+
+  expect(row("price")).toMatchObject({ group: "overview", differs: false });
+  expect(row("availability").differs).toBe(true);
+  expect(row("category").values).toEqual([
+    { value: "Bags", display: "Bags" },
+    null,
+  ]);
+
+  // "Silk" and "silk", true and "yes" are the same
+  expect(row("material")).toMatchObject({ label: "Material", differs: false });
+  expect(row("lined").values.map((v) => v.display)).toEqual(["Yes", "Yes"]);
+  expect(row("lined").differs).toBe(false);
+
+  // Grams and kilograms in one row are shown in the unit both reach; the
+  // spec wins over the weight column
+  expect(row("weight")).toMatchObject({
+    type: "measure",
+    unit: "g",
+    differs: true,
+    values: [
+      { value: 1500, display: "1500 g" },
+      { value: 800, display: "800 g" },
+    ],
+  });
+  expect(rows.filter((r) => r.group === "specifications")).toHaveLength(3);
+});
+
+test("the weight column fills in when the specs have none", () => {
+  const { rows } = buildComparison([
+    product({ weight: "1.2" }),
+    product({ id: B, specifications: { Weight: "1200 g" } }),
+  ]);
+  expect(rows.find((r) => r.key === "weight")).toMatchObject({
+    unit: "kg",
+    differs: false,
+  });
+});
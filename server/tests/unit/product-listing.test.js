@@ -0,0 +1,95 @@
+import {
+  decodeCursor,
+  discountOf,
+  encodeCursor,
+  pageAfterCursor,
+  parseListingParams,
+  unitsSoldOf,
+} from "../../services/products/listing.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const product = (id, overrides = {}) => ({
+  id,
+  price: 50,
+  created_at: "2026-10-01T10:00:00+00:00",
+  ...overrides,
+});
+
+// Every page of `rows`, following cursors the way a client would
+const allPages = (rows, sort, limit) => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = pageAfterCursor(rows, { sort, cursor, limit });
+    pages.push(page.rows.map((row) => row.id));
+    cursor = page.nextCursor && decodeCursor(page.nextCursor, sort);
+  } while (cursor);
+  return pages;
+};
+
+test("listing params default to newest first and bound the limit", () => {
+  expect(parseListingParams({ limit: "500", minPrice: "" })).toEqual({
+    sort: "newest",
+    cursor: null,
+    limit: 50,
+    categoryId: null,
+    brandId: null,
+    minPrice: null,
+    maxPrice: null,
+    search: null,
+  });
+});
+
+test("cursors only continue the sort they were made for", () => {
+  const cursor = encodeCursor("price_asc", "19.99", "p1");
+  expect(decodeCursor(cursor, "price_asc")).toEqual({
+    value: "19.99",
+    id: "p1",
+  });
+  expect(() => decodeCursor(cursor, "newest")).toThrow(HttpError);
+  expect(() => decodeCursor("not-a-cursor", "newest")).toThrow(
+    "Invalid or expired cursor"
+  );
+});
+
+test("pages follow each other without gaps or repeats on tied keys", () => {
+  const rows = [
+    product("a", { price: 20 }),
+    product("b", { price: 10 }),
+    product("c", { price: 20 }),
+    product("d", { price: 20 }),
+    product("e", { price: 30 }),
+  ];
+  expect(allPages(rows, "price_asc", 2)).toEqual([
+    ["b", "a"],
+    ["c", "d"],
+    ["e"],
+  ]);
+  expect(allPages(rows, "price_desc", 2)).toEqual([
+    ["e", "d"],
+    ["c", "a"],
+    ["b"],
+  ]);
+});
+
+test("newest keeps the microseconds Postgres stores", () => {
+  const rows = [
+    product("a", { created_at: "2026-10-01T10:00:00.1234+00:00" }),
+    product("b", { created_at: "2026-10-01T10:00:00.123456+00:00" }),
+    product("c", { created_at: "2026-10-01T10:00:00.12+00:00" }),
+  ];
+  expect(allPages(rows, "newest", 1)).toEqual([["b"], ["a"], ["c"]]);
+});
+
+test("discount and units sold feed their sorts", () => {
+  expect(discountOf(75, 100)).toBe(0.25);
+  expect(discountOf(100, 80)).toBe(0);
+  expect(discountOf(10, null)).toBe(0);
+  expect(
+    unitsSoldOf([
+      { quantity: 2, orders: { status: "delivered" } },
+      { quantity: 5, orders: { status: "pending" } },
+      { quantity: 1, orders: { status: "confirmed" } },
+    ])
+  ).toBe(3);
+});
@@ -0,0 +1,127 @@
+import {
+  authorName,
+  latestDeliveredOrderId,
+  moderationStatus,
+  normalizeReviewInput,
+  parseReviewListParams,
+  ratingSummary,
+  toOwnReview,
+  toPublicReview,
+} from "../../services/products/reviews.js";
+
+test("review input is trimmed and photos are deduplicated", () => {
+  expect(
+    normalizeReviewInput({
+      rating: "4",
+      title: "  Great fit ",
+      comment: "   ",
+      photos: ["https://x/a.jpg", " https://x/a.jpg", "https://x/b.jpg"],
+    })
+  ).toEqual({
+    rating: 4,
+    title: "Great fit",
+    comment: null,
+    images: ["https://x/a.jpg", "https://x/b.jpg"],
+  });
+  // Edits only carry what was sent
+  expect(normalizeReviewInput({ comment: "Shrank" })).toEqual({
+    comment: "Shrank",
+  });
+});
+
+test("list params default to the newest ten and ignore bad filters", () => {
+  expect(parseReviewListParams({})).toEqual({
+    sort: "newest",
+    rating: null,
+    verifiedOnly: false,
+    withPhotos: false,
+    page: 1,
+    limit: 10,
+    offset: 0,
+  });
+  expect(
+    parseReviewListParams({
+      sort: "helpful",
+      rating: "9",
+      verified: "true",
+      photos: "true",
+      page: "3",
+      limit: "500",
+    })
+  ).toMatchObject({
+    sort: "helpful",
+    rating: null,
+    verifiedOnly: true,
+    withPhotos: true,
+    limit: 50,
+    offset: 100,
+  });
+});
+
+test("the summary averages approved ratings and fills every star", () => {
+  expect(
+    ratingSummary([
+      { rating: 5, count: "3" },
+      { rating: 2, count: 1 },
+    ])
+  ).toEqual({
+    average: 4.3,
+    count: 4,
+    histogram: { 5: 3, 4: 0, 3: 0, 2: 1, 1: 0 },
+  });
+  expect(ratingSummary([]).average).toBe(0);
+});
+
+test("a purchase is verified by the latest delivered order", () => {
+  const item = (orderId, createdAt, orderStatus, shipmentStatus) => ({
+    order_id: orderId,
+    orders: { status: orderStatus, created_at: createdAt },
+    order_fulfillments: shipmentStatus ? { status: shipmentStatus } : null,
+  });
+  expect(
+    latestDeliveredOrderId([
+      item("old", "2026-01-01", "delivered"),
+      // Shipped in parts: the item's own shipment decides
+      item("split", "2026-03-01", "partially_shipped", "delivered"),
+      item("pending", "2026-05-01", "shipped", "shipped"),
+    ])
+  ).toBe("split");
+  expect(latestDeliveredOrderId([item("x", "2026-01-01", "paid")])).toBe(null);
+});
+
+test("public reviews hide the reviewer and own reviews show moderation", () => {
+  const row = {
+    id: "r1",
+    product_id: "p1",
+    user_id: "u1",
+    order_id: "o1",
+    rating: 5,
+    title: "Lovely",
+    comment: null,
+    images: null,
+    is_verified_purchase: true,
+    is_approved: false,
+    moderated_at: "2026-10-01",
+    rejection_reason: "Off topic",
+    helpful_count: "2",
+    author_first_name: "sarah",
+    author_last_name: "miller",
+  };
+  const review = toPublicReview(row, { votedIds: new Set(["r1"]) });
+  expect(review).not.toHaveProperty("user_id");
+  expect(review).not.toHaveProperty("order_id");
+  expect(review).toMatchObject({
+    images: [],
+    helpful_count: 2,
+    voted_helpful: true,
+    author: { name: "sarah M." },
+  });
+  expect(toOwnReview(row)).toMatchObject({
+    status: "rejected",
+    rejection_reason: "Off topic",
+  });
+  expect(moderationStatus({ is_approved: false, moderated_at: null })).toBe(
+    "pending"
+  );
+  expect(authorName("", "Miller")).toBe("Customer");
+});
@@ -0,0 +1,127 @@
+import {
+  buildFacets,
+  facetsFromCounts,
+  parseSearchParams,
+  priceBucketIndex,
+} from "../../services/search/productSearch.js";
+
+const row = (overrides = {}) => ({
+  id: "p1",
+  price: 40,
+  brand_id: "b-zara",
+  brand_slug: "zara",
+  brand_name: "ZARA",
+  category_id: "c-women",
+  category_slug: "women",
+  category_name: "Women",
+  avg_rating: 4.2,
+  ...overrides,
+});
+
+test("search params are trimmed, bounded and split into lists", () => {
+  expect(
+    parseSearchParams({
+      q: "  silk dress ",
+      brand: "zara, nike",
+      minPrice: "20",
+      maxPrice: "",
+      limit: "500",
+    })
+  ).toEqual({
+    q: "silk dress",
+    brands: ["zara", "nike"],
+    categories: [],
+    minPrice: 20,
+    maxPrice: null,
+    minRating: null,
+    sort: "relevance",
+    cursor: null,
+    limit: 50,
+  });
+});
+
+test("searches without text come newest first unless sorted otherwise", () => {
+  expect(parseSearchParams({}).sort).toBe("newest");
+  expect(parseSearchParams({ q: "silk", sort: "price_asc" }).sort).toBe(
+    "price_asc"
+  );
+  expect(parseSearchParams({ q: "silk", sort: "bogus" }).sort).toBe(
+    "relevance"
+  );
+});
+
+test("prices fall into the bucket whose upper bound they are below", () => {
+  expect(priceBucketIndex(0)).toBe(0);
+  expect(priceBucketIndex(24.99)).toBe(0);
+  expect(priceBucketIndex(25)).toBe(1);
+  expect(priceBucketIndex(199)).toBe(3);
+  expect(priceBucketIndex(5000)).toBe(4);
+});
+
+test("each facet is counted without its own filter", () => {
+  const rows = [
+    row(),
+    row({
+      id: "p2",
+      brand_id: "b-nike",
+      brand_slug: "nike",
+      brand_name: "NIKE",
+      price: 120,
+    }),
+    row({
+      id: "p3",
+      category_id: "c-men",
+      category_slug: "men",
+      category_name: "Men",
+      avg_rating: 2,
+    }),
+  ];
+  const facets = buildFacets(rows, parseSearchParams({ brand: "zara" }));
+
+  // The brand facet still offers NIKE; the others only count ZARA products
+  expect(facets.brands.map((b) => [b.slug, b.count])).toEqual([
+    ["zara", 2],
+    ["nike", 1],
+  ]);
+  expect(facets.categories.map((c) => [c.slug, c.count])).toEqual([
+    ["men", 1],
+    ["women", 1],
+  ]);
+  expect(facets.price.map((b) => b.count)).toEqual([0, 2, 0, 0, 0]);
+  expect(facets.rating).toEqual([
+    { min: 4, count: 1 },
+    { min: 3, count: 1 },
+    { min: 2, count: 2 },
+    { min: 1, count: 2 },
+  ]);
+});
+
+test("Postgres facet counts come out in the same shape", () => {
+  const facets = facetsFromCounts({
+    brands: [
+      { id: "b-nike", slug: "nike", name: "NIKE", count: 1 },
+      { id: "b-zara", slug: "zara", name: "ZARA", count: 3 },
+    ],
+    categories: null,
+    price: [
+      { bucket: 1, count: 3 },
+      { bucket: 3, count: 1 },
+    ],
+    rating: { 4: 2, 3: 3, 2: 3, 1: 4 },
+  });
+  expect(facets.brands[0]).toEqual({
+    id: "b-zara",
+    slug: "zara",
+    name: "ZARA",
+    count: 3,
+  });
+  expect(facets.categories).toEqual([]);
+  expect(facets.price.map((b) => [b.key, b.count])).toEqual([
+    ["0-25", 0],
+    ["25-50", 3],
+    ["50-100", 0],
+    ["100-200", 1],
+    ["200+", 0],
+  ]);
+  expect(facets.rating[0]).toEqual({ min: 4, count: 2 });
+});
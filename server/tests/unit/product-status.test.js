@@ -0,0 +1,33 @@
+import {
+  canTransitionProduct,
+  PRODUCT_STATUSES,
+} from "../../services/products/productStatus.js";
+
+test("listings go live, pause and come back", () => {
+  expect(canTransitionProduct("draft", "active")).toBe(true);
+  expect(canTransitionProduct("active", "inactive")).toBe(true);
+  expect(canTransitionProduct("inactive", "active")).toBe(true);
+  expect(canTransitionProduct("active", "out_of_stock")).toBe(true);
+  expect(canTransitionProduct("out_of_stock", "active")).toBe(true);
+});
+
+test("every status can be discontinued and a plain edit keeps the status", () => {
+  for (const status of PRODUCT_STATUSES) {
+    expect(canTransitionProduct(status, "discontinued")).toBe(true);
+    expect(canTransitionProduct(status, status)).toBe(true);
+  }
+});
+
+test("illegal moves are rejected", () => {
+  expect(canTransitionProduct("draft", "out_of_stock")).toBe(false);
+  expect(canTransitionProduct("active", "draft")).toBe(false);
+  expect(canTransitionProduct("discontinued", "active", "admin")).toBe(false);
+  expect(canTransitionProduct("active", "published")).toBe(false);
+});
+
+test("only admins restore discontinued listings", () => {
+  expect(canTransitionProduct("discontinued", "inactive", "seller")).toBe(
+    false
+  );
+  expect(canTransitionProduct("discontinued", "inactive", "admin")).toBe(true);
+});
@@ -0,0 +1,65 @@
+import {
+  normalizeVariantInput,
+  serializeVariant,
+  variantOptions,
+  withVariants,
+} from "../../services/products/variants.js";
+
+const variant = (overrides = {}) => ({
+  id: "v1",
+  product_id: "p1",
+  name: "Black / M",
+  sku: "DRESS-BLK-M",
+  price: "129.00",
+  stock_quantity: 4,
+  attributes: { color: "Black", size: "M" },
+  images: [],
+  is_active: true,
+  ...overrides,
+});
+
+test("variants serialise with numeric price and stock", () => {
+  expect(serializeVariant(variant())).toMatchObject({
+    price: 129,
+    stock_quantity: 4,
+    attributes: { color: "Black", size: "M" },
+    is_active: true,
+  });
+  expect(
+    serializeVariant(variant({ stock_quantity: null, attributes: null }))
+  ).toMatchObject({ stock_quantity: null, attributes: {} });
+});
+
+test("option axes list each value once in first-seen order", () => {
+  expect(
+    variantOptions([
+      variant(),
+      variant({ id: "v2", attributes: { color: "Navy", size: "M" } }),
+      variant({ id: "v3", attributes: { color: "Black", size: "L" } }),
+      variant({ id: "v4", attributes: { color: "", size: "XL" } }),
+    ])
+  ).toEqual([
+    { name: "color", values: ["Black", "Navy"] },
+    { name: "size", values: ["M", "L", "XL"] },
+  ]);
+});
+
+test("products expose only active variants", () => {
+  const product = withVariants({ id: "p1" }, [
+    variant(),
+    variant({ id: "v2", is_active: false, attributes: { color: "Red" } }),
+  ]);
+  expect(product.variants.map((v) => v.id)).toEqual(["v1"]);
+  expect(product.variant_options.map((o) => o.name)).toEqual(["color", "size"]);
+});
+
+test("variant input accepts column names and camelCase only", () => {
+  expect(
+    normalizeVariantInput({
+      name: "Navy / S",
+      stockQuantity: 2,
+      is_active: false,
+      product_id: "other",
+    })
+  ).toEqual({ name: "Navy / S", stock_quantity: 2, is_active: false });
+});
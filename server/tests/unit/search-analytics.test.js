@@ -0,0 +1,99 @@
+import {
+  buildSearchReport,
+  clickThroughRate,
+  reportEntry,
+} from "../../services/search/searchAnalytics.js";
+
+test("click-through is a share of searches, zero when nothing was searched", () => {
+  expect(clickThroughRate(1, 3)).toBe(0.3333);
+  expect(clickThroughRate(0, 0)).toBe(0);
+});
+
+test("SQL aggregate rows come back as numbers", () => {
+  expect(
+    reportEntry({
+      query: "silk dress",
+      searches: "4",
+      searchers: "3",
+      avg_results: "12.345",
+      clicks: "1",
+      last_searched_at: "2026-10-18T10:00:00Z",
+    })
+  ).toEqual({
+    query: "silk dress",
+    searches: 4,
+    searchers: 3,
+    avg_results: 12.3,
+    clicks: 1,
+    ctr: 0.25,
+    last_searched_at: "2026-10-18T10:00:00.000Z",
+  });
+});
+
+test("the report groups logged searches by normalised query", () => {
+  const rows = [
+    {
+      id: "1",
+      query: "Silk Dress",
+      user_id: "u1",
+      results_count: 10,
+      clicked_product_id: "p1",
+      created_at: "2026-10-18T10:00:00Z",
+    },
+    {
+      id: "2",
+      query: "silk  dress ",
+      session_id: "s1",
+      results_count: 8,
+      clicked_product_id: null,
+      created_at: "2026-10-18T11:00:00Z",
+    },
+    {
+      id: "3",
+      query: "velvet cape",
+      session_id: "s1",
+      results_count: 0,
+      clicked_product_id: null,
+      created_at: "2026-10-18T12:00:00Z",
+    },
+    {
+      id: "4",
+      query: "velvet cape",
+      user_id: "u2",
+      results_count: 0,
+      clicked_product_id: null,
+      created_at: "2026-10-17T12:00:00Z",
+    },
+    {
+      id: "5",
+      query: "linen",
+      user_id: "u2",
+      results_count: 3,
+      clicked_product_id: null,
+      created_at: "2026-10-16T12:00:00Z",
+    },
+  ];
+  const report = buildSearchReport(rows, { limit: 2 });
+
+  expect(report.totals).toEqual({
+    searches: 5,
+    zero_result_searches: 2,
+    clicked_searches: 1,
+    ctr: 0.2,
+  });
+  expect(report.top_queries.map((entry) => entry.query)).toEqual([
+    "silk dress",
+    "velvet cape",
+  ]);
+  expect(report.top_queries[0]).toMatchObject({
+    searches: 2,
+    searchers: 2,
+    avg_results: 9,
+    clicks: 1,
+    ctr: 0.5,
+    last_searched_at: "2026-10-18T11:00:00.000Z",
+  });
+  expect(report.zero_result_queries).toEqual([
+    expect.objectContaining({ query: "velvet cape", searches: 2, ctr: 0 }),
+  ]);
+});
@@ -0,0 +1,52 @@
+import {
+  distinctRecent,
+  likePatterns,
+  normalizeQuery,
+  rankPopularQueries,
+} from "../../services/search/suggestions.js";
+
+test("queries are compared trimmed, lowercase and single-spaced", () => {
+  expect(normalizeQuery("  Silk   Dress ")).toBe("silk dress");
+  expect(normalizeQuery(null)).toBe("");
+});
+
+test("LIKE patterns escape wildcards in the typed text", () => {
+  expect(likePatterns("50%_off")).toEqual({
+    prefix: "50\\%\\_off%",
+    wordPrefix: "% 50\\%\\_off%",
+  });
+});
+
+test("popular queries count each searcher once", () => {
+  const rows = [
+    { query: "silk dress", searcher: "u1" },
+    { query: "Silk Dress ", searcher: "u1" },
+    { query: "silk scarf", searcher: "u2" },
+    { query: "silk scarf", searcher: "s-3" },
+    { query: "sneakers", searcher: "u2" },
+    { query: "linen shirt", searcher: "u4" },
+  ];
+  expect(rankPopularQueries(rows, "Sil")).toEqual([
+    { query: "silk scarf", count: 2 },
+    { query: "silk dress", count: 1 },
+  ]);
+  expect(rankPopularQueries(rows, "", 2).map((q) => q.query)).toEqual([
+    "silk scarf",
+    "linen shirt",
+  ]);
+});
+
+test("recent searches are distinct, newest first and prefix-filtered", () => {
+  const rows = [
+    { search_query: "Silk dress" },
+    { search_query: "sneakers" },
+    { search_query: "silk dress" },
+    { search_query: "silk scarf" },
+  ];
+  expect(distinctRecent(rows)).toEqual([
+    "silk dress",
+    "sneakers",
+    "silk scarf",
+  ]);
+  expect(distinctRecent(rows, "sil", 1)).toEqual(["silk dress"]);
+});
@@ -0,0 +1,55 @@
+import {
+  groupLines,
+  planReservations,
+  allocateStock,
+} from "../../services/inventory/reservations.js";
+
+const inventory = (id, available, reserved = 0) => ({
+  id,
+  quantity_available: available,
+  quantity_reserved: reserved,
+});
+
+test("allocateStock takes from the row with the most free stock first", () => {
+  const rows = [inventory("a", 5, 4), inventory("b", 10, 2)];
+  expect(allocateStock(rows, 3)).toEqual([{ inventory: rows[1], quantity: 3 }]);
+});
+
+test("allocateStock splits across warehouses and fails when short", () => {
+  const rows = [inventory("a", 2), inventory("b", 3, 1)];
+  const allocations = allocateStock(rows, 4);
+  expect(allocations.map((a) => [a.inventory.id, a.quantity])).toEqual([
+    ["a", 2],
+    ["b", 2],
+  ]);
+  expect(allocateStock(rows, 5)).toBeNull();
+});
+
+test("groupLines merges lines for the same product and variant", () => {
+  const grouped = groupLines([
+    { product_id: "p1", variant_id: null, quantity: 1 },
+    { product_id: "p1", variant_id: null, quantity: 2 },
+    { product_id: "p1", variant_id: "v1", quantity: 1 },
+  ]);
+  expect([...grouped.values()].map((l) => l.quantity)).toEqual([3, 1]);
+});
+
+test("planReservations keeps matching holds and redoes changed ones", () => {
+  const active = [
+    { id: "r1", product_id: "p1", variant_id: null, quantity: 2 },
+    { id: "r2", product_id: "p2", variant_id: null, quantity: 1 },
+    { id: "r3", product_id: "p3", variant_id: null, quantity: 1 },
+  ];
+  const plan = planReservations(active, [
+    { product_id: "p1", variant_id: null, quantity: 2 },
+    { product_id: "p2", variant_id: null, quantity: 3 },
+    { product_id: "p4", variant_id: null, quantity: 1 },
+  ]);
+
+  expect(plan.keep.map((r) => r.id)).toEqual(["r1"]);
+  expect(plan.release.map((r) => r.id).sort()).toEqual(["r2", "r3"]);
+  expect(plan.reserve.map((l) => [l.product_id, l.quantity])).toEqual([
+    ["p2", 3],
+    ["p4", 1],
+  ]);
+});
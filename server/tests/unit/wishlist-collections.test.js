@@ -0,0 +1,101 @@
+import {
+  PUBLIC_COLLECTIONS_MAX_LIMIT,
+  canView,
+  newShareToken,
+  parsePublicCollectionParams,
+  shareUrl,
+  toCollection,
+  toSharedCollection,
+} from "../../services/wishlist/collections.js";
+
+const OWNER = "11111111-1111-4111-8111-111111111111";
+const VISITOR = "22222222-2222-4222-8222-222222222222";
+
+const collection = {
+  id: "c1",
+  user_id: OWNER,
+  name: "Birthday",
+  description: null,
+  visibility: "link",
+  share_token: "abc123_-XYZ",
+  owner_first_name: "sarah",
+  owner_last_name: "miller",
+  item_count: "2",
+  created_at: "2026-10-01T00:00:00Z",
+  updated_at: "2026-10-02T00:00:00Z",
+};
+
+test("link and public collections are open to anyone, private ones to their owner", () => {
+  for (const viewer of [VISITOR, null]) {
+    expect(canView(collection, viewer)).toBe(true);
+    expect(canView({ ...collection, visibility: "public" }, viewer)).toBe(true);
+    expect(canView({ ...collection, visibility: "private" }, viewer)).toBe(
+      false
+    );
+  }
+  expect(canView({ ...collection, visibility: "private" }, OWNER)).toBe(true);
+  expect(canView(null, OWNER)).toBe(false);
+});
+
+test("share tokens are URL-safe, unguessable and make the share URL", () => {
+  const token = newShareToken();
+  expect(token).toMatch(/^[A-Za-z0-9_-]{24}$/);
+  expect(newShareToken()).not.toBe(token);
+
+  const previous = process.env.FRONTEND_URL;
+  process.env.FRONTEND_URL = "https://shop.example.com/";
+  try {
+    expect(shareUrl(token)).toBe(
+      `https://shop.example.com/collections/${token}`
+    );
+    expect(toCollection(collection)).toMatchObject({
+      visibility: "link",
+      share_url: "https://shop.example.com/collections/abc123_-XYZ",
+      item_count: 2,
+    });
+  } finally {
+    if (previous === undefined) delete process.env.FRONTEND_URL;
+    else process.env.FRONTEND_URL = previous;
+  }
+});
+
+test("a shared collection shows the products but not the owner's saved prices", () => {
+  const shared = toSharedCollection(collection, [
+    {
+      id: "w1",
+      product_id: OWNER,
+      collection_id: "c1",
+      price_at_add: "100.00",
+      created_at: "2026-10-01T00:00:00Z",
+      name: "Silk Scarf",
+      slug: "silk-scarf",
+      price: "80.00",
+      images: [],
+      status: "active",
+      stock_quantity: 3,
+    },
+  ]);
+  expect(shared.owner).toEqual({ name: "sarah M." });
+  expect(shared.item_count).toBe(1);
+  expect(shared.items[0]).not.toHaveProperty("price_at_add");
+  expect(shared.items[0]).not.toHaveProperty("price_drop");
+  expect(shared.items[0].product).toMatchObject({
+    name: "Silk Scarf",
+    price: 80,
+    in_stock: true,
+  });
+  expect(shared).not.toHaveProperty("id");
+});
+
+test("public listing pages are clamped", () => {
+  expect(parsePublicCollectionParams({})).toEqual({
+    page: 1,
+    limit: 12,
+    offset: 0,
+  });
+  expect(parsePublicCollectionParams({ page: "3", limit: "500" })).toEqual({
+    page: 3,
+    limit: PUBLIC_COLLECTIONS_MAX_LIMIT,
+    offset: 2 * PUBLIC_COLLECTIONS_MAX_LIMIT,
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  WISHLIST_MERGE_MAX,
+  normalizeMergeItems,
+  priceDrop,
+  toWishlistItem,
+} from "../../services/wishlist/wishlist.js";
+import { validateWishlistMerge } from "../../middleware/validation.js";
+
+const A = "11111111-1111-4111-8111-111111111111";
+const B = "22222222-2222-4222-8222-222222222222";
+
+test("a price drop is reported only when the product got cheaper", () => {
+  expect(priceDrop("120.00", 90)).toEqual({ amount: 30, percent: 25 });
+  expect(priceDrop(90, 90)).toBeNull();
+  expect(priceDrop(90, 99.5)).toBeNull();
+  // Entries saved before prices were recorded have nothing to compare
+  expect(priceDrop(null, 10)).toBeNull();
+});
+
+test("guest items merge once per product, keeping the earliest save", () => {
+  expect(
+    normalizeMergeItems([
+      { product_id: A, added_at: "2026-10-02T00:00:00Z" },
+      { product_id: "vintage-denim-jacket" },
+      { product_id: A, added_at: "2026-09-01T00:00:00Z" },
+      { product_id: B, added_at: "yesterday" },
+      null,
+    ])
+  ).toEqual([
+    { product_id: A, added_at: "2026-09-01T00:00:00.000Z" },
+    { product_id: B, added_at: null },
+  ]);
+  expect(normalizeMergeItems("nope")).toEqual([]);
+
+  const many = Array.from({ length: WISHLIST_MERGE_MAX + 5 }, (_, i) => ({
+    product_id: `00000000-0000-4000-8000-${String(i).padStart(12, "0")}`,
+  }));
+  expect(normalizeMergeItems(many)).toHaveLength(WISHLIST_MERGE_MAX);
+});
+
+test("wishlist rows carry the current product and what dropped", () => {
+  const row = {
+    id: "w1",
+    product_id: A,
+    price_at_add: "100.00",
+    created_at: "2026-10-01T00:00:00Z",
+    name: "Silk Scarf",
+    slug: "silk-scarf",
+    price: "80.00",
+    compare_price: "120.00",
+    images: ["https://x/scarf.jpg"],
+    status: "active",
+    stock_quantity: 0,
+    brand_name: "Gucci",
+    avg_rating: "4.5",
+    review_count: "2",
+  };
+  expect(toWishlistItem(row)).toEqual({
+    id: "w1",
+    product_id: A,
+    added_at: "2026-10-01T00:00:00Z",
+    price_at_add: 100,
+    price_drop: { amount: 20, percent: 20 },
+    product: {
+      id: A,
+      name: "Silk Scarf",
+      slug: "silk-scarf",
+      brand_name: "Gucci",
+      price: 80,
+      compare_price: 120,
+      image: "https://x/scarf.jpg",
+      avg_rating: 4.5,
+      review_count: 2,
+      in_stock: false,
+      is_active: true,
+    },
+  });
+  const withdrawn = toWishlistItem({
+    ...row,
+    status: "inactive",
+    stock_quantity: null,
+  });
+  expect(withdrawn.product).toMatchObject({
+    in_stock: false,
+    is_active: false,
+  });
+});
+
+test("the merge refuses a price from the browser", async () => {
+  const check = async (items) => {
+    let sent = null;
+    const res = {
+      status: (code) => {
+        sent = code;
+        return res;
+      },
+      json: () => res,
+    };
+    const req = { body: { items } };
+    for (const handler of validateWishlistMerge) {
+      let passed = false;
+      await handler(req, res, () => {
+        passed = true;
+      });
+      if (!passed) break;
+    }
+    return sent;
+  };
+
+  expect(await check([{ product_id: A, added_at: null }])).toBeNull();
+  expect(await check([{ product_id: A, price_at_add: 999 }])).toBe(400);
+});
@@ -0,0 +1,101 @@
+// Address helpers shared by checkout and the address book.
+// The frontend sends camelCase form fields; orders store a snake_case snapshot
+// that mirrors the `user_addresses` columns.
+
+const pick = (obj, ...keys) => {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null) {
+      return String(obj[key]).trim();
+    }
+  }
+  return "";
+};
+
+export function normalizeAddress(input) {
+  if (!input || typeof input !== "object") return null;
+  return {
+    first_name: pick(input, "first_name", "firstName"),
+    last_name: pick(input, "last_name", "lastName"),
+    company: pick(input, "company") || null,
+    email: pick(input, "email") || null,
+    phone: pick(input, "phone") || null,
+    address_line_1: pick(input, "address_line_1", "addressLine1", "address"),
+    address_line_2:
+      pick(input, "address_line_2", "addressLine2", "apartment") || null,
+    city: pick(input, "city"),
+    state: pick(input, "state"),
+    postal_code: pick(input, "postal_code", "postalCode", "zipCode"),
+    country: pick(input, "country"),
+  };
+}
+
+// Per-country rules: postal code format and whether a state/province is
+// required. Countries not listed only need the common fields.
+const COUNTRY_RULES = {
+  US: { postalCode: /^\d{5}(-\d{4})?$/, stateRequired: true },
+  CA: { postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i, stateRequired: true },
+  GB: { postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i, stateRequired: false },
+  DE: { postalCode: /^\d{5}$/, stateRequired: false },
+  FR: { postalCode: /^\d{5}$/, stateRequired: false },
+  IN: { postalCode: /^\d{6}$/, stateRequired: true },
+  AU: { postalCode: /^\d{4}$/, stateRequired: true },
+  BD: { postalCode: /^\d{4}$/, stateRequired: false },
+};
+
+const COUNTRY_NAMES = {
+  "united states": "US",
+  "united states of america": "US",
+  usa: "US",
+  canada: "CA",
+  "united kingdom": "GB",
+  uk: "GB",
+  germany: "DE",
+  france: "FR",
+  india: "IN",
+  australia: "AU",
+  bangladesh: "BD",
+};
+
+// Resolve a country name or ISO 3166-1 alpha-2 code to the code, or null
+export function countryCode(country) {
+  const value = String(country || "").trim();
+  if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+  return COUNTRY_NAMES[value.toLowerCase()] || null;
+}
+
+const REQUIRED_FIELDS = [
+  "first_name",
+  "last_name",
+  "address_line_1",
+  "city",
+  "postal_code",
+  "country",
+];
+
+// Check a normalized address. Returns a list of { field, message } problems
+// (empty when the address is valid).
+export function validateAddress(address) {
+  if (!address) return [{ field: "address", message: "Address is required" }];
+  const errors = REQUIRED_FIELDS.filter((f) => !address[f]).map((field) => ({
+    field,
+    message: `${field} is required`,
+  }));
+
+  const rules = COUNTRY_RULES[countryCode(address.country)];
+  if (!rules) {
+    if (!address.state) errors.push({ field: "state", message: "state is required" });
+    return errors;
+  }
+  if (rules.stateRequired && !address.state) {
+    errors.push({ field: "state", message: "state is required" });
+  }
+  if (address.postal_code && !rules.postalCode.test(address.postal_code)) {
+    errors.push({
+      field: "postal_code",
+      message: `Invalid postal code for ${countryCode(address.country)}`,
+    });
+  }
+  return errors;
+}
+
+export default { normalizeAddress, countryCode, validateAddress };
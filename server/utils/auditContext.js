@@ -0,0 +1,9 @@
+// Who made a change and from where, for audit_logs entries
+export const auditContext = (req, note = null) => ({
+  actor: req.user ? { id: req.user.id, role: req.user.role } : null,
+  note,
+  ipAddress: req.ip || null,
+  userAgent: req.get("user-agent") || null,
+});
+
+export default auditContext;
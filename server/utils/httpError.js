@@ -0,0 +1,23 @@
+// Error carrying an HTTP status so models can signal client errors (empty cart,
+// insufficient stock, ...) and controllers can map them to a response without
+// string-matching messages.
+export class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an HttpError as the standard `{ success, message }` JSON body.
+// Returns false for any other error so callers can fall back to a 500.
+export const sendHttpError = (res, error) => {
+  if (!(error instanceof HttpError)) return false;
+  const body = { success: false, message: error.message };
+  if (error.details) body.errors = error.details;
+  res.status(error.status).json(body);
+  return true;
+};
+
+export default HttpError;
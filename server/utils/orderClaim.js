@@ -0,0 +1,54 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Signed tokens for guest orders, following utils/verifyEmail.js.
+// - "guest_order": returned to the browser that placed the order so it can
+//   pay for and view it without an account.
+// - "claim_order": only ever emailed to the guest address; following it
+//   proves ownership of the email and attaches the order to an account.
+const ORDER_CLAIM_SECRET =
+  process.env.ORDER_CLAIM_SECRET ||
+  process.env.VERIFY_EMAIL_SECRET ||
+  process.env.JWT_REFRESH_SECRET ||
+  "order-claim-dev-secret";
+const ORDER_CLAIM_EXPIRES_IN = process.env.ORDER_CLAIM_EXPIRES_IN || "30d";
+const GUEST_ORDER_EXPIRES_IN = process.env.GUEST_ORDER_EXPIRES_IN || "1d";
+
+const sign = (purpose, { orderId, email }, expiresIn) =>
+  jwt.sign({ sub: orderId, email, purpose }, ORDER_CLAIM_SECRET, {
+    expiresIn,
+  });
+
+const verify = (purpose, token) => {
+  try {
+    const payload = jwt.verify(token, ORDER_CLAIM_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export function signGuestOrderToken({ orderId, email }) {
+  return sign("guest_order", { orderId, email }, GUEST_ORDER_EXPIRES_IN);
+}
+
+export function verifyGuestOrderToken(token) {
+  return verify("guest_order", token);
+}
+
+export function signOrderClaimToken({ orderId, email }) {
+  return sign("claim_order", { orderId, email }, ORDER_CLAIM_EXPIRES_IN);
+}
+
+export function verifyOrderClaimToken(token) {
+  return verify("claim_order", token);
+}
+
+export default {
+  signGuestOrderToken,
+  verifyGuestOrderToken,
+  signOrderClaimToken,
+  verifyOrderClaimToken,
+};
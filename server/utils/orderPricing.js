@@ -0,0 +1,311 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { HttpError } from "./httpError.js";
+
+dotenv.config();
+
+// Pricing knobs. Defaults match what the storefront used to compute on the
+// client: free shipping above $100, otherwise a flat $10, no tax.
+export const PRICING_CONFIG = {
+  taxRate: parseFloat(process.env.ORDER_TAX_RATE || "0"),
+  freeShippingThreshold: parseFloat(
+    process.env.FREE_SHIPPING_THRESHOLD || "100"
+  ),
+  flatShippingFee: parseFloat(process.env.FLAT_SHIPPING_FEE || "10"),
+  currency: process.env.ORDER_CURRENCY || "USD",
+};
+
+// Round to cents; avoids 0.1 + 0.2 style drift in stored numeric(10,2) values
+export const roundMoney = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const firstImage = (images) => {
+  if (!images) return null;
+  const list = typeof images === "string" ? safeParse(images, []) : images;
+  if (!Array.isArray(list) || list.length === 0) return null;
+  const img = list[0];
+  return typeof img === "string" ? img : img?.url || null;
+};
+
+const safeParse = (value, fallback) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// Turn joined cart rows (cart_items + products + product_variants) into
+// order line items with a product snapshot. Prices always come from the
+// catalogue row, never from the client.
+export function buildOrderLines(rows = []) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new HttpError(400, "Cart is empty");
+  }
+
+  return rows.map((row) => {
+    if (row.status !== "active") {
+      throw new HttpError(
+        409,
+        `${row.name || "A product"} is no longer available`
+      );
+    }
+    const quantity = parseInt(row.quantity, 10);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Invalid quantity for ${row.name}`);
+    }
+    if (row.stock_quantity != null && quantity > Number(row.stock_quantity)) {
+      throw new HttpError(409, `Insufficient stock for ${row.name}`);
+    }
+    const unitPrice = roundMoney(
+      row.variant_id && row.variant_price != null
+        ? row.variant_price
+        : row.price
+    );
+
+    return {
+      product_id: row.product_id,
+      variant_id: row.variant_id || null,
+      seller_id: row.seller_id || null,
+      brand_id: row.brand_id || null,
+      category_id: row.category_id || null,
+      quantity,
+      unit_price: unitPrice,
+      total_price: roundMoney(unitPrice * quantity),
+      product_snapshot: {
+        name: row.name,
+        sku: row.variant_sku || row.sku || null,
+        brand_name: row.brand_name || null,
+        image: firstImage(row.variant_images) || firstImage(row.images),
+        variant_name: row.variant_name || null,
+        attributes: row.variant_attributes || {},
+      },
+    };
+  });
+}
+
+// Check a coupon row against the cart subtotal. Throws when the coupon cannot
+// be used so the caller can surface the reason to the shopper.
+export function assertCouponUsable(coupon, subtotal, now = new Date()) {
+  if (!coupon || coupon.is_active === false) {
+    throw new HttpError(400, "Invalid or expired coupon code");
+  }
+  if (
+    (coupon.valid_from && new Date(coupon.valid_from) > now) ||
+    (coupon.valid_until && new Date(coupon.valid_until) < now)
+  ) {
+    throw new HttpError(400, "Invalid or expired coupon code");
+  }
+  if (
+    coupon.usage_limit != null &&
+    Number(coupon.usage_count || 0) >= Number(coupon.usage_limit)
+  ) {
+    throw new HttpError(400, "Coupon usage limit reached");
+  }
+  if (Number(coupon.minimum_order_amount || 0) > subtotal) {
+    throw new HttpError(
+      400,
+      `Coupon requires a minimum order of ${roundMoney(
+        coupon.minimum_order_amount
+      )}`
+    );
+  }
+}
+
+// Each seller ships its own lines; products without a seller (API brands)
+// ship per brand, anything else from the platform
+export const fulfillmentKey = (line) => {
+  if (line.seller_id) return `seller:${line.seller_id}`;
+  if (line.brand_id) return `brand:${line.brand_id}`;
+  return "platform";
+};
+
+// The shipping method checkout falls back to, built from the pricing knobs.
+// Rows in `shipping_methods` are offered alongside it.
+export const STANDARD_SHIPPING = {
+  code: "standard",
+  name: "Standard shipping",
+  description: null,
+  delivery_time: null,
+  price: PRICING_CONFIG.flatShippingFee,
+  free_shipping_threshold: PRICING_CONFIG.freeShippingThreshold,
+};
+
+// Shipping for a merchandise subtotal: free above the method's threshold (if
+// it has one), otherwise the method's price
+export const shippingForSubtotal = (subtotal, method = STANDARD_SHIPPING) => {
+  const threshold = method.free_shipping_threshold;
+  return subtotal === 0 || (threshold != null && subtotal > Number(threshold))
+    ? 0
+    : Number(method.price || 0);
+};
+
+// Shipping for a whole cart: one fee per order, however many sellers ship it
+export const shippingForLines = (lines = [], method = STANDARD_SHIPPING) =>
+  shippingForSubtotal(
+    roundMoney(lines.reduce((sum, line) => sum + Number(line.total_price), 0)),
+    method
+  );
+
+const appliesToLine = (promotion, line) => {
+  const products = promotion.applicable_products || [];
+  const categories = promotion.applicable_categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+  return (
+    products.includes(line.product_id) || categories.includes(line.category_id)
+  );
+};
+
+// What an automatic promotion (`promotions` row) is worth on these lines, or
+// null when it does not apply. `conditions` may set `minimum_order_amount`,
+// `minimum_quantity` and `maximum_discount_amount`; these count only the
+// lines the promotion covers. Segment-targeted promotions are not applied.
+export function evaluatePromotion(promotion, lines = [], now = new Date()) {
+  if (!promotion || promotion.is_active === false) return null;
+  if (
+    (promotion.start_date && new Date(promotion.start_date) > now) ||
+    (promotion.end_date && new Date(promotion.end_date) < now)
+  ) {
+    return null;
+  }
+  if ((promotion.target_segments || []).length > 0) return null;
+
+  const eligible = lines.filter((line) => appliesToLine(promotion, line));
+  if (eligible.length === 0) return null;
+  const eligibleSubtotal = roundMoney(
+    eligible.reduce((sum, line) => sum + Number(line.total_price), 0)
+  );
+  const eligibleQuantity = eligible.reduce(
+    (sum, line) => sum + Number(line.quantity),
+    0
+  );
+  const conditions = promotion.conditions || {};
+  if (
+    eligibleSubtotal < Number(conditions.minimum_order_amount || 0) ||
+    eligibleQuantity < Number(conditions.minimum_quantity || 0)
+  ) {
+    return null;
+  }
+
+  const value = Number(promotion.discount_value || 0);
+  let amount = 0;
+  if (promotion.discount_type === "percentage") {
+    amount = (eligibleSubtotal * value) / 100;
+  } else if (promotion.discount_type === "fixed_amount") {
+    amount = value;
+  } else if (promotion.discount_type !== "free_shipping") {
+    return null;
+  }
+  if (conditions.maximum_discount_amount != null) {
+    amount = Math.min(amount, Number(conditions.maximum_discount_amount));
+  }
+
+  return {
+    id: promotion.id,
+    name: promotion.name,
+    description: promotion.description || null,
+    discount_type: promotion.discount_type,
+    amount: roundMoney(Math.min(amount, eligibleSubtotal)),
+    free_shipping: promotion.discount_type === "free_shipping",
+  };
+}
+
+// Promotions do not stack: the highest `priority` that applies wins, and
+// among equals the one worth most to the shopper
+export function selectPromotion(promotions = [], lines = [], now = new Date()) {
+  let best = null;
+  let bestPriority = -Infinity;
+  for (const promotion of promotions) {
+    const applied = evaluatePromotion(promotion, lines, now);
+    if (!applied) continue;
+    const priority = Number(promotion.priority || 0);
+    if (
+      priority > bestPriority ||
+      (priority === bestPriority && applied.amount > best.amount)
+    ) {
+      best = applied;
+      bestPriority = priority;
+    }
+  }
+  return best;
+}
+
+// Compute order totals from line items, an optional (already validated)
+// coupon and the options below. Tax is charged on the discounted merchandise
+// value. Shipping is charged once per order.
+// - `promotion`: an automatic promotion from selectPromotion, applied
+//   before the coupon
+// - `shippingMethod`: the chosen method (STANDARD_SHIPPING by default)
+export function calculateOrderTotals(
+  lines = [],
+  coupon = null,
+  { promotion = null, shippingMethod = STANDARD_SHIPPING } = {}
+) {
+  const subtotal = roundMoney(
+    lines.reduce((sum, line) => sum + Number(line.total_price), 0)
+  );
+  let shipping = shippingForLines(lines, shippingMethod);
+  if (promotion?.free_shipping) shipping = 0;
+
+  let discount = 0;
+  if (coupon) {
+    const value = Number(coupon.discount_value || 0);
+    switch (coupon.discount_type) {
+      case "percentage":
+        discount = (subtotal * value) / 100;
+        break;
+      case "fixed_amount":
+        discount = value;
+        break;
+      case "free_shipping":
+        shipping = 0;
+        break;
+      default:
+        discount = 0;
+    }
+    if (coupon.maximum_discount_amount != null) {
+      discount = Math.min(discount, Number(coupon.maximum_discount_amount));
+    }
+  }
+  discount = roundMoney(
+    Math.min(discount + Number(promotion?.amount || 0), subtotal)
+  );
+
+  const tax = roundMoney((subtotal - discount) * PRICING_CONFIG.taxRate);
+  const total = roundMoney(subtotal - discount + shipping + tax);
+
+  return {
+    subtotal,
+    tax_amount: tax,
+    shipping_amount: roundMoney(shipping),
+    discount_amount: discount,
+    total_amount: total,
+    currency: PRICING_CONFIG.currency,
+  };
+}
+
+// Human-friendly, unique-enough order reference: ORD-20250924-7F3K9Q
+export function generateOrderNumber(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const suffix = crypto
+    .randomBytes(4)
+    .toString("hex")
+    .toUpperCase()
+    .slice(0, 6);
+  return `ORD-${day}-${suffix}`;
+}
+
+export default {
+  PRICING_CONFIG,
+  roundMoney,
+  buildOrderLines,
+  assertCouponUsable,
+  fulfillmentKey,
+  STANDARD_SHIPPING,
+  shippingForSubtotal,
+  shippingForLines,
+  evaluatePromotion,
+  selectPromotion,
+  calculateOrderTotals,
+  generateOrderNumber,
+};
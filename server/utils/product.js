@@ -0,0 +1,84 @@
+// Product helpers shared by the product routes and the model.
+// The seller form posts snake_case column names; older clients send
+// camelCase (`brandId`, `stockQuantity`, ...). Both are accepted.
+
+export const SLUG_MAX_LENGTH = 200;
+
+// Writable `products` columns and the camelCase names also accepted.
+// `seller_id` is deliberately absent: it comes from the signed-in user.
+const PRODUCT_FIELDS = {
+  name: "name",
+  slug: "slug",
+  description: "description",
+  short_description: "shortDescription",
+  sku: "sku",
+  price: "price",
+  compare_price: "comparePrice",
+  cost_price: "costPrice",
+  brand_id: "brandId",
+  category_id: "categoryId",
+  stock_quantity: "stockQuantity",
+  weight: "weight",
+  dimensions: "dimensions",
+  images: "images",
+  specifications: "specifications",
+  tags: "tags",
+  is_featured: "isFeatured",
+  is_digital: "isDigital",
+  status: "status",
+  seo_title: "seoTitle",
+  seo_description: "seoDescription",
+};
+
+// Columns stored as jsonb (serialised for pg)
+export const PRODUCT_JSON_COLUMNS = ["dimensions", "images", "specifications"];
+
+// Only the fields present in `input`, keyed by column name
+export function normalizeProductInput(input) {
+  const out = {};
+  if (!input || typeof input !== "object") return out;
+  for (const [column, alias] of Object.entries(PRODUCT_FIELDS)) {
+    if (input[column] !== undefined) out[column] = input[column];
+    else if (input[alias] !== undefined) out[column] = input[alias];
+  }
+  return out;
+}
+
+// "Crème Brûlée Candle!" -> "creme-brulee-candle". Other slugged tables
+// (categories) pass their own column length and fallback.
+export function slugify(
+  value,
+  { maxLength = SLUG_MAX_LENGTH, fallback = "product" } = {}
+) {
+  const slug = String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+  return slug || fallback;
+}
+
+// `base`, or `base-2`, `base-3`, ... whichever is not in `taken`. The base
+// is shortened when needed so the suffix fits in the column.
+export function nextFreeSlug(base, taken = [], maxLength = SLUG_MAX_LENGTH) {
+  const used = new Set(taken);
+  if (!used.has(base)) return base;
+  for (let n = 2; ; n++) {
+    const suffix = `-${n}`;
+    const candidate = `${base
+      .slice(0, maxLength - suffix.length)
+      .replace(/-+$/, "")}${suffix}`;
+    if (!used.has(candidate)) return candidate;
+  }
+}
+
+export default {
+  SLUG_MAX_LENGTH,
+  PRODUCT_JSON_COLUMNS,
+  normalizeProductInput,
+  slugify,
+  nextFreeSlug,
+};
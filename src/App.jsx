@@ -18,6 +18,16 @@ const AdminDashboard = React.lazy(() =>
     default: module.AdminDashboard,
   }))
 );
+const AdminSearchReport = React.lazy(() =>
+  import("./pages/AdminSearchReport").then((module) => ({
+    default: module.AdminSearchReport,
+  }))
+);
+const AdminReviewQueue = React.lazy(() =>
+  import("./pages/AdminReviewQueue").then((module) => ({
+    default: module.AdminReviewQueue,
+  }))
+);
 const ProductsPage = React.lazy(() =>
   import("./pages/ProductsPage").then((module) => ({
     default: module.ProductsPage,
@@ -28,6 +38,11 @@ const CategoriesPage = React.lazy(() =>
     default: module.CategoriesPage,
   }))
 );
+const CategoryPage = React.lazy(() =>
+  import("./pages/CategoryPage").then((module) => ({
+    default: module.CategoryPage,
+  }))
+);
 const TrendingPage = React.lazy(() =>
   import("./pages/TrendingPage").then((module) => ({
     default: module.TrendingPage,
@@ -38,6 +53,11 @@ const BrandsPage = React.lazy(() =>
     default: module.BrandsPage,
   }))
 );
+const BrandPage = React.lazy(() =>
+  import("./pages/BrandPage").then((module) => ({
+    default: module.BrandPage,
+  }))
+);
 const ProductDetailsPage = React.lazy(() =>
   import("./pages/ProductDetailsPage").then((module) => ({
     default: module.ProductDetailsPage,
@@ -48,6 +68,16 @@ const WishlistPage = React.lazy(() =>
     default: module.WishlistPage,
   }))
 );
+const CollectionsPage = React.lazy(() =>
+  import("./pages/CollectionsPage").then((module) => ({
+    default: module.CollectionsPage,
+  }))
+);
+const SharedCollectionPage = React.lazy(() =>
+  import("./pages/SharedCollectionPage").then((module) => ({
+    default: module.SharedCollectionPage,
+  }))
+);
 const CartPage = React.lazy(() =>
   import("./pages/CartPage").then((module) => ({ default: module.CartPage }))
 );
@@ -61,6 +91,11 @@ const OrderSuccessPage = React.lazy(() =>
     default: module.OrderSuccessPage,
   }))
 );
+const ClaimOrderPage = React.lazy(() =>
+  import("./pages/ClaimOrderPage").then((module) => ({
+    default: module.ClaimOrderPage,
+  }))
+);
 const ComparePage = React.lazy(() =>
   import("./pages/ComparePage").then((module) => ({
     default: module.ComparePage,
@@ -136,12 +171,19 @@ function App() {
                   {/* Product routes */}
                   <Route path="/products" element={<ProductsPage />} />
                   <Route path="/categories" element={<CategoriesPage />} />
+                  <Route path="/categories/:slug" element={<CategoryPage />} />
                   <Route path="/brands" element={<BrandsPage />} />
+                  <Route path="/brands/:slug" element={<BrandPage />} />
                   <Route path="/trending" element={<TrendingPage />} />
                   <Route path="/product/:id" element={<ProductDetailsPage />} />
 
                   {/* Wishlist route */}
                   <Route path="/wishlist" element={<WishlistPage />} />
+                  <Route path="/collections" element={<CollectionsPage />} />
+                  <Route
+                    path="/collections/:token"
+                    element={<SharedCollectionPage />}
+                  />
 
                   {/* Support route */}
                   <Route path="/support" element={<SupportPage />} />
@@ -155,6 +197,7 @@ function App() {
                   {/* Checkout routes */}
                   <Route path="/checkout" element={<CheckoutPage />} />
                   <Route path="/order-success" element={<OrderSuccessPage />} />
+                  <Route path="/claim-order" element={<ClaimOrderPage />} />
 
                   {/* Protected admin routes */}
                   <Route
@@ -166,6 +209,14 @@ function App() {
                             path="/dashboard"
                             element={<AdminDashboard />}
                           />
+                          <Route
+                            path="/search"
+                            element={<AdminSearchReport />}
+                          />
+                          <Route
+                            path="/reviews"
+                            element={<AdminReviewQueue />}
+                          />
                           <Route path="*" element={<AdminDashboard />} />
                         </Routes>
                       </ProtectedRoute>
@@ -186,6 +237,10 @@ function App() {
                             path="/products/new"
                             element={<SellerProductNew />}
                           />
+                          <Route
+                            path="/products/:id/edit"
+                            element={<SellerProductNew />}
+                          />
                           <Route path="*" element={<SellerDashboard />} />
                         </Routes>
                       </ProtectedRoute>
@@ -202,10 +202,11 @@ export const AuthOverlay = ({ isOpen, onClose, authOverride = null }) => {
 
   const toggleMode = useCallback(() => {
     const newPath = isSignUp ? "/login" : "/register";
-    navigate(newPath, { replace: true });
+    // Keep the return-to path (see MainLayout) when switching modes
+    navigate(newPath, { replace: true, state: location.state });
     resetForm();
     clearError();
-  }, [isSignUp, navigate, resetForm, clearError]);
+  }, [isSignUp, navigate, location.state, resetForm, clearError]);
 
   const handleClose = useCallback(() => {
     onClose();
@@ -661,6 +662,7 @@ export const AuthOverlay = ({ isOpen, onClose, authOverride = null }) => {
               </p>
               <Link
                 to={isSignUp ? "/login" : "/register"}
+                state={location.state}
                 onClick={toggleMode}
                 className="inline-block text-purple-600 hover:text-purple-700 font-bold mt-2 transition-colors duration-200"
               >
@@ -0,0 +1,28 @@
+import React from "react";
+
+// "Calvin Klein" -> "CK"
+const initialsOf = (name) =>
+  String(name || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join("");
+
+// A brand's logo, or its initials on a tile when it has none
+export const BrandLogo = ({ brand, className = "" }) =>
+  brand.logo_url ? (
+    <img
+      src={brand.logo_url}
+      alt={brand.name}
+      className={`object-contain bg-white ${className}`}
+      loading="lazy"
+    />
+  ) : (
+    <div
+      className={`flex items-center justify-center bg-gradient-to-br from-purple-100 to-pink-100 text-purple-700 font-black ${className}`}
+      aria-label={brand.name}
+    >
+      {initialsOf(brand.name)}
+    </div>
+  );
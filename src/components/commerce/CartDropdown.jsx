@@ -1,4 +1,4 @@
-import React, { useCallback } from "react";
+import React from "react";
 import { Button } from "../ui/button";
 import { Card, CardContent } from "../ui/card";
 import { Separator } from "../ui/separator";
@@ -12,17 +12,15 @@ import {
   BarChart3,
   Star,
 } from "lucide-react";
-import { useSelector, useDispatch } from "react-redux";
-import { updateLocalItem, removeLocalItem } from "../../store/cartSlice";
+import { useSelector } from "react-redux";
 // wishlist/compare not used in cart dropdown
 import { useNavigate } from "react-router-dom";
-import {
-  useGetCartQuery,
-  useUpdateItemMutation,
-  useRemoveItemMutation,
-} from "../../services/api";
+import { useGetCartQuery } from "../../services/api";
 import { useAuthRedux } from "../../hooks/useAuthRedux";
+import { useCartSummary } from "../../hooks/useCartSummary";
+import { useCartActions } from "../../hooks/useCartActions";
 import { formatPrice, formatRating } from "../../utils/formatNumbers";
+import { CartItemNotice, variantLabel } from "./CartItemNotice";
 
 // Memoized cart item component
 const CartItem = React.memo(({ item, onUpdateQuantity, onRemoveItem }) => {
@@ -48,6 +46,10 @@ const CartItem = React.memo(({ item, onUpdateQuantity, onRemoveItem }) => {
         ? item.product.variants.map((v) => v.attributes?.color).filter(Boolean)
         : []);
   }
+  // Summary lines carry the server price; raw lines only show until it loads
+  const price = item.unit_price ?? item.price;
+  const comparePrice = item.compare_price ?? item.originalPrice;
+  const variant = item.attributes ? variantLabel(item) : "";
   return (
     <div className="p-6 border-b border-gray-50 last:border-b-0">
       <div className="flex gap-4">
@@ -58,7 +60,7 @@ const CartItem = React.memo(({ item, onUpdateQuantity, onRemoveItem }) => {
             className="w-20 h-20 object-cover rounded-xl"
             loading="lazy"
           />
-          {item.originalPrice && (
+          {comparePrice && (
             <div className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full">
               SALE
             </div>
@@ -73,9 +75,8 @@ const CartItem = React.memo(({ item, onUpdateQuantity, onRemoveItem }) => {
             <h4 className="font-semibold text-gray-900 leading-tight">
               {item.name}
             </h4>
-            <p className="text-sm text-gray-500">
-              Size: {item.size} • Color: {item.color}
-            </p>
+            {variant && <p className="text-sm text-gray-500">{variant}</p>}
+            <CartItemNotice item={item} compact />
           </div>
 
           {/* Rating */}
@@ -122,11 +123,11 @@ const CartItem = React.memo(({ item, onUpdateQuantity, onRemoveItem }) => {
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-2">
               <span className="font-bold text-gray-900">
-                ${formatPrice(item.price)}
+                ${formatPrice(price)}
               </span>
-              {item.originalPrice && (
+              {comparePrice && (
                 <span className="text-sm text-gray-400 line-through">
-                  ${formatPrice(item.originalPrice)}
+                  ${formatPrice(comparePrice)}
                 </span>
               )}
             </div>
@@ -180,53 +181,23 @@ export const CartDropdown = ({ isOpen, onClose }) => {
   const { data: cartResponse } = useGetCartQuery(undefined, {
     skip: !isAuthenticated,
   });
-  const [updateItemTrigger] = useUpdateItemMutation();
-  const [removeItemTrigger] = useRemoveItemMutation();
 
   // Fallback to Redux local cart for guest users
-  const dispatch = useDispatch();
   const ctxItems = useSelector((s) => s.cart?.localItems || []);
   const navigate = useNavigate();
 
-  const cartItems = cartResponse?.data?.items || ctxItems || [];
+  const rawItems = cartResponse?.data?.items || ctxItems || [];
+  // Prices, stock flags and totals come from the server summary
+  const { items: summaryItems, totals } = useCartSummary({ skip: !isOpen });
+  const cartItems = summaryItems.length > 0 ? summaryItems : rawItems;
 
   // not using wishlist/compare handlers in cart dropdown
 
-  const handleUpdateQuantity = useCallback(
-    async (itemId, newQuantity) => {
-      if (newQuantity <= 0) {
-        try {
-          await removeItemTrigger(itemId).unwrap();
-        } catch (e) {
-          dispatch(removeLocalItem(itemId));
-        }
-      } else {
-        try {
-          await updateItemTrigger({
-            itemId,
-            update: { quantity: newQuantity },
-          }).unwrap();
-        } catch (e) {
-          // fallback to local redux cart
-          dispatch(
-            updateLocalItem({ id: itemId, changes: { quantity: newQuantity } })
-          );
-        }
-      }
-    },
-    [updateItemTrigger, removeItemTrigger]
-  );
-
-  const handleRemoveItem = useCallback(
-    async (itemId) => {
-      try {
-        await removeItemTrigger(itemId).unwrap();
-      } catch (e) {
-        dispatch(removeLocalItem(itemId));
-      }
-    },
-    [removeItemTrigger]
-  );
+  const {
+    updateQuantity: handleUpdateQuantity,
+    removeItem: handleRemoveItem,
+    notice: cartNotice,
+  } = useCartActions();
 
   // no wishlist/compare handlers required
 
@@ -255,6 +226,12 @@ export const CartDropdown = ({ isOpen, onClose }) => {
             </Button>
           </div>
 
+          {cartNotice && (
+            <div className="px-6 py-3 bg-amber-50 border-b border-amber-100 text-sm text-amber-800">
+              {cartNotice}
+            </div>
+          )}
+
           {/* Cart Items */}
           <div className="max-h-80 overflow-y-auto scrollbar-hide">
             {cartItems.length > 0 ? (
@@ -295,40 +272,38 @@ export const CartDropdown = ({ isOpen, onClose }) => {
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Subtotal</span>
                   <span className="font-semibold">
-                    $
-                    {formatPrice(
-                      cartItems.reduce((s, it) => s + it.price * it.quantity, 0)
-                    )}
+                    {totals ? `$${formatPrice(totals.subtotal)}` : "…"}
                   </span>
                 </div>
+                {totals?.discount_amount > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Discount</span>
+                    <span className="font-semibold text-green-600">
+                      -${formatPrice(totals.discount_amount)}
+                    </span>
+                  </div>
+                )}
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Shipping</span>
                   <span className="font-semibold text-green-600">
-                    {(() => {
-                      const subtotal = cartItems.reduce(
-                        (s, it) => s + it.price * it.quantity,
-                        0
-                      );
-                      return subtotal > 100
+                    {!totals
+                      ? "…"
+                      : totals.shipping_amount === 0
                         ? "Free"
-                        : `$${subtotal > 0 ? 10 : 0}`;
-                    })()}
+                        : `$${formatPrice(totals.shipping_amount)}`}
+                  </span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Tax</span>
+                  <span className="font-semibold">
+                    {totals ? `$${formatPrice(totals.tax_amount)}` : "…"}
                   </span>
                 </div>
                 <Separator />
                 <div className="flex justify-between text-lg font-bold">
                   <span>Total</span>
                   <span>
-                    $
-                    {(() => {
-                      const subtotal = cartItems.reduce(
-                        (s, it) => s + it.price * it.quantity,
-                        0
-                      );
-                      const shipping =
-                        subtotal > 100 ? 0 : subtotal > 0 ? 10 : 0;
-                      return formatPrice(subtotal + shipping);
-                    })()}
+                    {totals ? `$${formatPrice(totals.total_amount)}` : "…"}
                   </span>
                 </div>
               </div>
@@ -0,0 +1,69 @@
+import React from "react";
+import { AlertTriangle, TrendingDown, TrendingUp } from "lucide-react";
+import { formatPrice } from "../../utils/formatNumbers";
+
+// "Size: M • Color: Black" from a summary line's variant attributes
+export const variantLabel = (item) => {
+  const attributes = Object.entries(item.attributes || {}).filter(
+    ([, value]) => value !== null && value !== undefined && value !== ""
+  );
+  if (attributes.length === 0) return item.variant_name || "";
+  return attributes
+    .map(
+      ([key, value]) =>
+        `${key.charAt(0).toUpperCase()}${key.slice(1).replace(/_/g, " ")}: ${value}`
+    )
+    .join(" • ");
+};
+
+// Price and stock flags the server raised for one cart line
+export const CartItemNotice = ({ item, compact = false }) => {
+  const notices = [];
+  if (item.stock_status === "out_of_stock") {
+    notices.push({ tone: "red", text: "Out of stock" });
+  } else if (item.stock_status === "unavailable") {
+    notices.push({ tone: "red", text: "No longer available" });
+  } else if (item.stock_status === "insufficient") {
+    notices.push({
+      tone: "red",
+      text: `Only ${item.available_quantity} left, lower the quantity to continue`,
+    });
+  } else if (item.stock_status === "low_stock") {
+    notices.push({
+      tone: "amber",
+      text: `Only ${item.available_quantity} left`,
+    });
+  }
+  if (item.price_changed && item.unit_price != null) {
+    const dropped = item.unit_price < item.price_at_add;
+    notices.push({
+      tone: dropped ? "green" : "amber",
+      icon: dropped ? TrendingDown : TrendingUp,
+      text: `Price ${dropped ? "dropped" : "went up"} from $${formatPrice(
+        item.price_at_add
+      )}`,
+    });
+  }
+  if (notices.length === 0) return null;
+
+  const tones = {
+    red: "text-red-600",
+    amber: "text-amber-600",
+    green: "text-green-600",
+  };
+  return (
+    <div className={compact ? "space-y-0.5" : "space-y-1"}>
+      {notices.map(({ tone, icon: Icon = AlertTriangle, text }) => (
+        <p
+          key={text}
+          className={`flex items-center gap-1 ${
+            compact ? "text-xs" : "text-sm"
+          } font-medium ${tones[tone]}`}
+        >
+          <Icon className="w-3 h-3 flex-shrink-0" />
+          {text}
+        </p>
+      ))}
+    </div>
+  );
+};
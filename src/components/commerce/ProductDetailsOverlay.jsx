@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect, useMemo } from "react";
 import { Button } from "../ui/button";
 import { Card, CardContent } from "../ui/card";
 import {
@@ -11,11 +11,11 @@ import {
   Check,
   ArrowRight,
 } from "lucide-react";
-import { useDispatch } from "react-redux";
-import { addLocalItem } from "../../store/cartSlice";
 import { useWishlist } from "../../contexts/WishlistContext";
-import { useAddItemMutation } from "../../services/api";
+import { useCartActions } from "../../hooks/useCartActions";
+import { useVariantSelection } from "../../hooks/useVariantSelection";
 import { formatPrice, formatRating } from "../../utils/formatNumbers";
+import { VariantPicker } from "./VariantPicker";
 
 export const ProductDetailsOverlay = ({
   product,
@@ -23,68 +23,75 @@ export const ProductDetailsOverlay = ({
   onClose,
   onViewFullDetails,
 }) => {
-  const [addItemTrigger] = useAddItemMutation();
-  const dispatch = useDispatch();
+  const { addItem: addToCart, notice: cartNotice } = useCartActions();
   const { addItem: addToWishlist, isInWishlist } = useWishlist();
 
   const [selectedImage, setSelectedImage] = useState(0);
-  const [selectedSize, setSelectedSize] = useState("M");
-  const [selectedColor, setSelectedColor] = useState(0);
   const [quantity, setQuantity] = useState(1);
 
-  // Mock product data structure for overlay
-  const overlayProduct = product
-    ? {
-        ...product,
-        images: product.images || [product.image],
-        colors: product.colors?.map((color, index) => ({
-          name: ["Black", "Navy", "Burgundy"][index] || `Color ${index + 1}`,
-          value: color,
-        })) || [{ name: "Default", value: "#000000" }],
-        sizes: ["XS", "S", "M", "L", "XL"],
-        description:
-          "Premium quality fashion piece crafted with attention to detail. Perfect for both casual and formal occasions.",
-        features: [
-          "Premium materials",
-          "Comfortable fit",
-          "Easy care",
-          "Versatile styling",
-        ],
-      }
-    : null;
+  const overlayProduct = useMemo(
+    () =>
+      product
+        ? {
+            ...product,
+            images: product.images?.length ? product.images : [product.image],
+            description:
+              product.description ||
+              "Premium quality fashion piece crafted with attention to detail. Perfect for both casual and formal occasions.",
+            features: product.features || [
+              "Premium materials",
+              "Comfortable fit",
+              "Easy care",
+              "Versatile styling",
+            ],
+          }
+        : null,
+    [product]
+  );
+
+  // Colour/size pickers only for products that really have variants
+  const {
+    hasVariants,
+    options: variantOptions,
+    selection,
+    select: selectOption,
+    variant,
+    isAvailable,
+  } = useVariantSelection(overlayProduct);
+
+  const price =
+    variant?.price != null
+      ? Number(variant.price)
+      : Number(overlayProduct?.price) || 0;
+  const images = variant?.images?.length
+    ? variant.images
+    : overlayProduct?.images || [];
+  const canAddToCart = !hasVariants || Boolean(variant);
+
+  useEffect(() => {
+    setSelectedImage(0);
+  }, [variant?.id, product?.id]);
 
   const handleAddToCart = useCallback(async () => {
-    if (!overlayProduct) return;
-    const cartItem = {
-      ...overlayProduct,
+    if (!overlayProduct || !canAddToCart) return;
+    await addToCart({
+      product_id: overlayProduct.id,
+      variant_id: variant?.id || null,
       quantity,
-      size: selectedSize,
-      color: overlayProduct.colors[selectedColor].name,
-      image: overlayProduct.images[0],
-    };
-
-    try {
-      await addItemTrigger({
-        product_id: overlayProduct.id,
-        quantity,
-      }).unwrap();
-    } catch (e) {
-      // fallback to local redux guest cart
-      dispatch(
-        addLocalItem({
-          id: `local-${Date.now()}`,
-          product_id: overlayProduct.id,
-          variant_id: null,
-          quantity,
-          name: overlayProduct.name,
-          price: overlayProduct.price,
-          image: overlayProduct.images[0],
-          size: selectedSize,
-          color: overlayProduct.colors[selectedColor]?.name,
-        })
-      );
-    }
-  }, [addItemTrigger, overlayProduct, quantity, selectedSize, selectedColor]);
+      name: overlayProduct.name,
+      price,
+      image: images[0],
+      attributes: variant?.attributes,
+    });
+  }, [
+    addToCart,
+    overlayProduct,
+    canAddToCart,
+    variant,
+    quantity,
+    price,
+    images,
+  ]);
 
   const handleAddToWishlist = useCallback(async () => {
     if (!overlayProduct) return;
@@ -128,7 +135,7 @@ export const ProductDetailsOverlay = ({
                 {/* Main Image */}
                 <div className="relative overflow-hidden rounded-2xl bg-gray-100">
                   <img
-                    src={overlayProduct.images[selectedImage]}
+                    src={images[selectedImage] || images[0]}
                     alt={overlayProduct.name}
                     className="w-full h-96 object-cover"
                     loading="lazy"
@@ -141,9 +148,9 @@ export const ProductDetailsOverlay = ({
                 </div>
 
                 {/* Thumbnail Images */}
-                {overlayProduct.images.length > 1 && (
+                {images.length > 1 && (
                   <div className="flex gap-2 overflow-x-auto">
-                    {overlayProduct.images.map((image, index) => (
+                    {images.map((image, index) => (
                       <button
                         key={index}
                         onClick={() => setSelectedImage(index)}
@@ -190,7 +197,7 @@ export const ProductDetailsOverlay = ({
                 {/* Price */}
                 <div className="flex items-center gap-4">
                   <span className="text-3xl font-black text-gray-900">
-                    ${formatPrice(overlayProduct.price)}
+                    ${formatPrice(price)}
                   </span>
                   {overlayProduct.originalPrice && (
                     <>
@@ -200,8 +207,7 @@ export const ProductDetailsOverlay = ({
                       <span className="bg-red-100 text-red-700 px-3 py-1 rounded-full text-sm font-bold">
                         Save $
                         {formatPrice(
-                          (Number(overlayProduct.originalPrice) || 0) -
-                            (Number(overlayProduct.price) || 0)
+                          (Number(overlayProduct.originalPrice) || 0) - price
                         )}
                       </span>
                     </>
@@ -230,52 +236,15 @@ export const ProductDetailsOverlay = ({
                   </ul>
                 </div>
 
-                {/* Color Selection */}
-                <div>
-                  <h3 className="font-semibold text-gray-900 mb-3">
-                    Color:{" "}
-                    <span className="font-normal">
-                      {overlayProduct.colors[selectedColor].name}
-                    </span>
-                  </h3>
-                  <div className="flex gap-2">
-                    {overlayProduct.colors.map((color, index) => (
-                      <button
-                        key={index}
-                        onClick={() => setSelectedColor(index)}
-                        className={`w-8 h-8 rounded-full border-2 transition-all ${
-                          selectedColor === index
-                            ? "border-purple-500 shadow-lg scale-110"
-                            : "border-gray-200 hover:border-gray-300"
-                        }`}
-                        style={{ backgroundColor: color.value }}
-                        title={color.name}
-                      />
-                    ))}
-                  </div>
-                </div>
-
-                {/* Size Selection */}
-                <div>
-                  <h3 className="font-semibold text-gray-900 mb-3">
-                    Size: <span className="font-normal">{selectedSize}</span>
-                  </h3>
-                  <div className="flex gap-2">
-                    {overlayProduct.sizes.map((size) => (
-                      <button
-                        key={size}
-                        onClick={() => setSelectedSize(size)}
-                        className={`w-10 h-10 rounded-lg border-2 font-semibold transition-all ${
-                          selectedSize === size
-                            ? "border-purple-500 bg-purple-50 text-purple-700"
-                            : "border-gray-200 hover:border-gray-300 text-gray-700"
-                        }`}
-                      >
-                        {size}
-                      </button>
-                    ))}
-                  </div>
-                </div>
+                {hasVariants && (
+                  <VariantPicker
+                    options={variantOptions}
+                    selection={selection}
+                    onSelect={selectOption}
+                    isAvailable={isAvailable}
+                    compact
+                  />
+                )}
 
                 {/* Quantity */}
                 <div>
@@ -305,10 +274,7 @@ export const ProductDetailsOverlay = ({
                     <span className="text-sm text-gray-600">
                       Total:{" "}
                       <span className="font-bold text-gray-900">
-                        $
-                        {formatPrice(
-                          Number(overlayProduct.price || 0) * quantity
-                        )}
+                        ${formatPrice(price * quantity)}
                       </span>
                     </span>
                   </div>
@@ -318,14 +284,17 @@ export const ProductDetailsOverlay = ({
                 <div className="space-y-3">
                   <Button
                     onClick={handleAddToCart}
+                    disabled={!canAddToCart}
                     className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-bold py-4 rounded-xl text-lg shadow-lg hover:shadow-xl transition-all duration-300"
                   >
                     <ShoppingBag className="w-4 h-4 mr-2" />
-                    Add to Cart - $
-                    {formatPrice(
-                      (Number(overlayProduct.price) || 0) * quantity
-                    )}
+                    {canAddToCart
+                      ? `Add to Cart - $${formatPrice(price * quantity)}`
+                      : "Select options"}
                   </Button>
+                  {cartNotice && (
+                    <p className="text-sm text-amber-700">{cartNotice}</p>
+                  )}
 
                   <div className="grid grid-cols-2 gap-3">
                     <Button
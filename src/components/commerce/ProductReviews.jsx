@@ -0,0 +1,471 @@
+import React, { useMemo, useState } from "react";
+import { Star, ThumbsUp } from "lucide-react";
+import { Button, Input, Separator, Textarea } from "../ui";
+import { useAuthRedux } from "../../hooks/useAuthRedux";
+import {
+  useCreateReviewMutation,
+  useGetProductReviewsQuery,
+  useUpdateReviewMutation,
+  useVoteReviewHelpfulMutation,
+} from "../../services/api";
+import { useNavigateWithScroll } from "../../utils/navigation";
+
+const PAGE_SIZE = 10;
+const MAX_PHOTOS = 6;
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "helpful", label: "Most Helpful" },
+  { value: "rating_desc", label: "Highest Rating" },
+  { value: "rating_asc", label: "Lowest Rating" },
+];
+
+const STATUS_TEXT = {
+  pending: "Your review is waiting for approval.",
+  approved: "Your review is published.",
+  rejected: "Your review was not published.",
+};
+
+// Validation errors first, then the API's message
+const reviewErrorMessage = (err) =>
+  err?.data?.errors?.[0]?.msg ||
+  err?.data?.message ||
+  "Something went wrong. Please try again.";
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "";
+
+const Stars = ({ rating, size = "w-4 h-4", onSelect }) => (
+  <div className="flex items-center gap-1">
+    {[1, 2, 3, 4, 5].map((value) => {
+      const star = (
+        <Star
+          className={`${size} ${
+            value <= Math.round(rating)
+              ? "fill-yellow-400 text-yellow-400"
+              : "text-gray-200"
+          }`}
+        />
+      );
+      return onSelect ? (
+        <button
+          key={value}
+          type="button"
+          onClick={() => onSelect(value)}
+          aria-label={`${value} star${value === 1 ? "" : "s"}`}
+        >
+          {star}
+        </button>
+      ) : (
+        <React.Fragment key={value}>{star}</React.Fragment>
+      );
+    })}
+  </div>
+);
+
+// Create or edit the shopper's review; photos are image URLs, one per line
+const ReviewForm = ({ productId, review, onDone }) => {
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [title, setTitle] = useState(review?.title || "");
+  const [comment, setComment] = useState(review?.comment || "");
+  const [photos, setPhotos] = useState((review?.images || []).join("\n"));
+  const [error, setError] = useState(null);
+  const [createReview, { isLoading: isCreating }] = useCreateReviewMutation();
+  const [updateReview, { isLoading: isUpdating }] = useUpdateReviewMutation();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      setError("Please choose a rating.");
+      return;
+    }
+    const images = photos
+      .split("\n")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    if (images.length > MAX_PHOTOS) {
+      setError(`Add at most ${MAX_PHOTOS} photos.`);
+      return;
+    }
+    const body = { productId, rating, title, comment, images };
+    setError(null);
+    try {
+      if (review) await updateReview({ id: review.id, ...body }).unwrap();
+      else await createReview(body).unwrap();
+      onDone();
+    } catch (err) {
+      setError(reviewErrorMessage(err));
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-4 bg-gray-50 rounded-2xl p-6"
+    >
+      <div className="flex items-center gap-3">
+        <span className="text-sm font-semibold text-gray-700">Your rating</span>
+        <Stars rating={rating} size="w-6 h-6" onSelect={setRating} />
+      </div>
+      <Input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={200}
+        placeholder="Title"
+        className="rounded-xl bg-white"
+      />
+      <Textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        maxLength={5000}
+        rows={4}
+        placeholder="What did you like or dislike?"
+        className="rounded-xl bg-white"
+      />
+      <Textarea
+        value={photos}
+        onChange={(e) => setPhotos(e.target.value)}
+        rows={2}
+        placeholder={`Photo URLs, one per line (up to ${MAX_PHOTOS})`}
+        className="rounded-xl bg-white"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex gap-3">
+        <Button
+          type="submit"
+          disabled={isCreating || isUpdating}
+          className="rounded-xl bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white"
+        >
+          {review ? "Update review" : "Submit review"}
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onDone}
+          className="rounded-xl"
+        >
+          Cancel
+        </Button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Reviews are published once a moderator has approved them.
+      </p>
+    </form>
+  );
+};
+
+// Rating summary, filters and approved reviews of a product, with helpful
+// votes and the shopper's own review
+export const ProductReviews = ({ productId }) => {
+  const navigate = useNavigateWithScroll();
+  const { isAuthenticated } = useAuthRedux();
+  const [sort, setSort] = useState("newest");
+  const [rating, setRating] = useState(null);
+  const [verifiedOnly, setVerifiedOnly] = useState(false);
+  const [withPhotos, setWithPhotos] = useState(false);
+  const [page, setPage] = useState(1);
+  const [isWriting, setIsWriting] = useState(false);
+  const [voteError, setVoteError] = useState(null);
+
+  const params = useMemo(
+    () => ({
+      productId,
+      sort,
+      rating: rating || undefined,
+      verified: verifiedOnly ? "true" : undefined,
+      photos: withPhotos ? "true" : undefined,
+      page,
+      limit: PAGE_SIZE,
+    }),
+    [productId, sort, rating, verifiedOnly, withPhotos, page]
+  );
+  const { data, isLoading, isError } = useGetProductReviewsQuery(params, {
+    skip: !productId,
+  });
+  const [voteHelpful] = useVoteReviewHelpfulMutation();
+
+  const summary = data?.data?.summary;
+  const reviews = data?.data?.reviews || [];
+  const myReview = data?.data?.my_review;
+  const total = data?.data?.pagination?.total || 0;
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  // Any filter change starts over on the first page
+  const filter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handleWrite = () => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: window.location.pathname } });
+      return;
+    }
+    setIsWriting(true);
+  };
+
+  const handleVote = async (review) => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: window.location.pathname } });
+      return;
+    }
+    setVoteError(null);
+    try {
+      await voteHelpful({
+        id: review.id,
+        productId,
+        helpful: !review.voted_helpful,
+      }).unwrap();
+    } catch (err) {
+      setVoteError(reviewErrorMessage(err));
+    }
+  };
+
+  if (isError) {
+    return (
+      <p className="text-gray-600">
+        Reviews could not be loaded. Please try again later.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Reviews Summary */}
+      <div className="flex flex-col md:flex-row md:items-center gap-8">
+        <div className="text-center">
+          <div className="text-4xl font-black text-gray-900 mb-2">
+            {summary ? summary.average.toFixed(1) : "–"}
+          </div>
+          <Stars rating={summary?.average || 0} size="w-5 h-5" />
+          <p className="text-sm text-gray-600 mt-2">
+            {summary?.count || 0} reviews
+          </p>
+        </div>
+        <div className="flex-1">
+          {[5, 4, 3, 2, 1].map((stars) => {
+            const count = summary?.histogram?.[stars] || 0;
+            return (
+              <button
+                key={stars}
+                type="button"
+                onClick={() =>
+                  filter(setRating)(rating === stars ? null : stars)
+                }
+                className={`w-full flex items-center gap-3 mb-2 rounded-lg px-1 ${
+                  rating === stars ? "bg-purple-50" : ""
+                }`}
+              >
+                <span className="text-sm font-medium w-8">{stars}★</span>
+                <div className="flex-1 bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-yellow-400 h-2 rounded-full"
+                    style={{
+                      width: `${
+                        summary?.count ? (count / summary.count) * 100 : 0
+                      }%`,
+                    }}
+                  />
+                </div>
+                <span className="text-sm text-gray-600 w-8">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+        {!myReview && !isWriting && (
+          <Button
+            onClick={handleWrite}
+            className="rounded-xl bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white"
+          >
+            Write a review
+          </Button>
+        )}
+      </div>
+
+      {/* The shopper's own review */}
+      {isWriting ? (
+        <ReviewForm
+          productId={productId}
+          review={myReview}
+          onDone={() => setIsWriting(false)}
+        />
+      ) : (
+        myReview && (
+          <div className="bg-purple-50 rounded-2xl p-6 flex flex-wrap items-center justify-between gap-4">
+            <div>
+              <p className="font-semibold text-gray-900">
+                {STATUS_TEXT[myReview.status]}
+              </p>
+              {myReview.rejection_reason && (
+                <p className="text-sm text-gray-600 mt-1">
+                  {myReview.rejection_reason}
+                </p>
+              )}
+            </div>
+            <Button
+              variant="outline"
+              onClick={() => setIsWriting(true)}
+              className="rounded-xl"
+            >
+              Edit your review
+            </Button>
+          </div>
+        )
+      )}
+
+      <Separator />
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={sort}
+          onChange={(e) => filter(setSort)(e.target.value)}
+          className="border border-gray-200 rounded-xl px-4 py-2 bg-white text-sm"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={verifiedOnly}
+            onChange={(e) => filter(setVerifiedOnly)(e.target.checked)}
+          />
+          Verified purchases
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={withPhotos}
+            onChange={(e) => filter(setWithPhotos)(e.target.checked)}
+          />
+          With photos
+        </label>
+        {rating && (
+          <button
+            type="button"
+            onClick={() => filter(setRating)(null)}
+            className="text-sm text-purple-600 hover:underline"
+          >
+            Clear {rating}★ filter
+          </button>
+        )}
+      </div>
+
+      {voteError && <p className="text-sm text-red-600">{voteError}</p>}
+
+      {/* Individual Reviews */}
+      <div className="space-y-6">
+        {isLoading && <p className="text-gray-500">Loading reviews...</p>}
+        {!isLoading && reviews.length === 0 && (
+          <p className="text-gray-600">
+            {summary?.count
+              ? "No reviews match these filters."
+              : "No reviews yet. Be the first to review this product."}
+          </p>
+        )}
+        {reviews.map((review) => (
+          <div key={review.id} className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-purple-100 rounded-full flex items-center justify-center">
+                  <span className="font-bold text-purple-600">
+                    {review.author.name[0]}
+                  </span>
+                </div>
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {review.author.name}
+                  </p>
+                  <div className="flex items-center gap-2">
+                    <Stars rating={review.rating} />
+                    {review.is_verified_purchase && (
+                      <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full font-medium">
+                        Verified Purchase
+                      </span>
+                    )}
+                  </div>
+                </div>
+              </div>
+              <span className="text-sm text-gray-500">
+                {formatDate(review.created_at)}
+              </span>
+            </div>
+            {review.title && (
+              <p className="font-semibold text-gray-900">{review.title}</p>
+            )}
+            {review.comment && (
+              <p className="text-gray-700 leading-relaxed">{review.comment}</p>
+            )}
+            {review.images.length > 0 && (
+              <div className="flex flex-wrap gap-3">
+                {review.images.map((url) => (
+                  <a
+                    key={url}
+                    href={url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    <img
+                      src={url}
+                      alt="Customer photo"
+                      loading="lazy"
+                      className="w-20 h-20 object-cover rounded-lg"
+                    />
+                  </a>
+                ))}
+              </div>
+            )}
+            {review.id !== myReview?.id && (
+              <button
+                type="button"
+                onClick={() => handleVote(review)}
+                className={`flex items-center gap-2 text-sm ${
+                  review.voted_helpful
+                    ? "text-purple-600 font-semibold"
+                    : "text-gray-500 hover:text-gray-900"
+                }`}
+              >
+                <ThumbsUp className="w-4 h-4" />
+                Helpful ({review.helpful_count})
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center gap-4">
+          <Button
+            variant="outline"
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="rounded-xl"
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page} of {pageCount}
+          </span>
+          <Button
+            variant="outline"
+            disabled={page >= pageCount}
+            onClick={() => setPage(page + 1)}
+            className="rounded-xl"
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Bookmark, FolderPlus, ShoppingCart, Trash2, X } from "lucide-react";
+import { Button } from "../ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import { removeSavedItem } from "../../store/cartSlice";
+import {
+  useGetCartListsQuery,
+  useCreateCartListMutation,
+  useDeleteCartListMutation,
+  useMoveCartListMutation,
+  useRemoveItemMutation,
+} from "../../services/api";
+import { useAuthRedux } from "../../hooks/useAuthRedux";
+import { formatPrice } from "../../utils/formatNumbers";
+import { cartErrorMessage, cartSkippedMessage } from "../../utils/cartErrors";
+import { CartItemNotice, variantLabel } from "./CartItemNotice";
+
+const SavedLine = ({ item, onMoveToCart, onRemove }) => (
+  <div className="flex gap-4 items-center">
+    <img
+      src={item.image}
+      alt={item.name}
+      className="w-16 h-16 object-cover rounded-lg flex-shrink-0"
+    />
+    <div className="flex-1 min-w-0">
+      {item.brand && (
+        <p className="text-xs text-purple-600 font-bold uppercase">
+          {item.brand}
+        </p>
+      )}
+      <p className="font-semibold text-gray-900 truncate">{item.name}</p>
+      {variantLabel(item) && (
+        <p className="text-xs text-gray-500">{variantLabel(item)}</p>
+      )}
+      <p className="text-sm text-gray-700">
+        {item.quantity} ×{" "}
+        {(item.unit_price ?? item.price) != null
+          ? `$${formatPrice(item.unit_price ?? item.price)}`
+          : "—"}
+      </p>
+      {item.stock_status && <CartItemNotice item={item} compact />}
+    </div>
+    <div className="flex items-center gap-2">
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => onMoveToCart(item)}
+        disabled={item.purchasable === false}
+        className="rounded-xl"
+      >
+        <ShoppingCart className="w-4 h-4 mr-1" />
+        Move to cart
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        onClick={() => onRemove(item)}
+        className="w-8 h-8 rounded-full hover:bg-red-50 hover:text-red-600"
+      >
+        <X className="w-4 h-4" />
+      </Button>
+    </div>
+  </div>
+);
+
+// Saved-for-later list and named carts under the cart. Signed-in shoppers
+// keep them on the server and can create named carts; guests have a
+// saved-for-later list in the browser, merged into their account on login.
+export const SavedCartLists = ({ onMoveItem }) => {
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useAuthRedux();
+  const guestSaved = useSelector((s) => s.cart?.savedItems || []);
+  const { data: listsResponse } = useGetCartListsQuery(undefined, {
+    skip: !isAuthenticated,
+  });
+  const [createList, { isLoading: isCreating }] = useCreateCartListMutation();
+  const [deleteList] = useDeleteCartListMutation();
+  const [moveList] = useMoveCartListMutation();
+  const [removeItemTrigger] = useRemoveItemMutation();
+  const [newName, setNewName] = useState("");
+  const [notice, setNotice] = useState(null);
+
+  const lists = isAuthenticated
+    ? listsResponse?.data || []
+    : guestSaved.length > 0
+      ? [{ id: "guest-saved", kind: "saved", items: guestSaved }]
+      : [];
+
+  const run = async (fn, successMessage = () => null) => {
+    setNotice(null);
+    try {
+      setNotice(successMessage(await fn()));
+    } catch (e) {
+      setNotice(cartErrorMessage(e));
+    }
+  };
+
+  const handleRemove = (item) => {
+    if (!isAuthenticated) return dispatch(removeSavedItem(item.id));
+    return run(() => removeItemTrigger(item.id).unwrap());
+  };
+
+  const handleMoveAll = (list) =>
+    run(
+      () => moveList({ listId: list.id, to: "cart" }).unwrap(),
+      cartSkippedMessage
+    );
+
+  const handleDelete = (list) => {
+    if (!window.confirm(`Delete "${list.name}" and everything in it?`)) return;
+    run(() => deleteList(list.id).unwrap());
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    await run(() => createList(name).unwrap());
+    setNewName("");
+  };
+
+  if (lists.length === 0 && !isAuthenticated) return null;
+
+  return (
+    <Card className="border-0 shadow-lg rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bookmark className="w-5 h-5 text-purple-600" />
+          Saved for later &amp; other carts
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {notice && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 text-sm p-3 rounded-xl">
+            {notice}
+          </div>
+        )}
+
+        {lists.map((list) => (
+          <div key={list.id} className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-bold text-gray-900">
+                {list.kind === "saved" ? "Saved for later" : list.name}
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  ({list.items.length})
+                </span>
+              </h3>
+              {isAuthenticated && (
+                <div className="flex items-center gap-2">
+                  {list.items.length > 0 && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleMoveAll(list)}
+                      className="rounded-xl"
+                    >
+                      Move all to cart
+                    </Button>
+                  )}
+                  {list.kind === "named" && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleDelete(list)}
+                      className="w-8 h-8 rounded-full hover:bg-red-50 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              )}
+            </div>
+            {list.items.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing here yet.</p>
+            ) : (
+              list.items.map((item) => (
+                <SavedLine
+                  key={item.id}
+                  item={item}
+                  onMoveToCart={(line) => onMoveItem(line.id, "cart")}
+                  onRemove={handleRemove}
+                />
+              ))
+            )}
+          </div>
+        ))}
+
+        {isAuthenticated && (
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              maxLength={100}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New cart name, e.g. Birthday gifts"
+              className="flex-1 px-4 py-2 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <Button
+              type="submit"
+              disabled={isCreating || !newName.trim()}
+              className="px-4 py-2 bg-gray-900 hover:bg-gray-800 text-white rounded-xl"
+            >
+              <FolderPlus className="w-4 h-4 mr-2" />
+              Create
+            </Button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SavedCartLists;
@@ -0,0 +1,54 @@
+import React from "react";
+import { isColorOption, optionLabel } from "../../utils/variants";
+
+// One row of buttons per option axis (colour, size, ...). Values with no
+// variant in stock for the other choices are shown struck through.
+export const VariantPicker = ({
+  options,
+  selection,
+  onSelect,
+  isAvailable,
+  compact = false,
+}) => (
+  <div className={compact ? "space-y-4" : "space-y-6"}>
+    {options.map((option) => (
+      <div key={option.name}>
+        <h3 className="font-semibold text-gray-900 mb-3">
+          {optionLabel(option.name)}:{" "}
+          <span className="font-normal">
+            {selection[option.name] || "Select"}
+          </span>
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {option.values.map((value) => {
+            const selected = selection[option.name] === value;
+            const available = isAvailable(option.name, value);
+            return (
+              <button
+                key={value}
+                type="button"
+                onClick={() => onSelect(option.name, value)}
+                title={available ? value : `${value} - out of stock`}
+                className={`${compact ? "h-9 px-3 text-sm" : "h-11 px-4"} rounded-xl border-2 font-semibold transition-all inline-flex items-center gap-2 ${
+                  selected
+                    ? "border-purple-500 bg-purple-50 text-purple-700"
+                    : "border-gray-200 hover:border-gray-300 text-gray-700"
+                } ${available ? "" : "line-through opacity-50"}`}
+              >
+                {isColorOption(option.name) && (
+                  <span
+                    className="w-4 h-4 rounded-full border border-gray-300"
+                    style={{ backgroundColor: value.toLowerCase() }}
+                  />
+                )}
+                {value}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+export default VariantPicker;
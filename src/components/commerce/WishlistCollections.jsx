@@ -0,0 +1,307 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Button, Input } from "../ui";
+import {
+  Check,
+  FolderPlus,
+  Globe,
+  Link2,
+  Plus,
+  RefreshCw,
+  Trash2,
+} from "lucide-react";
+import {
+  useAddCollectionItemMutation,
+  useCreateWishlistCollectionMutation,
+  useDeleteWishlistCollectionMutation,
+  useResetCollectionShareLinkMutation,
+  useUpdateWishlistCollectionMutation,
+} from "../../services/api";
+import { COLLECTION_VISIBILITY_OPTIONS } from "../../utils/wishlist";
+
+// Validation errors first, then the API's message
+const collectionErrorMessage = (err) =>
+  err?.data?.errors?.[0]?.msg ||
+  err?.data?.message ||
+  "Something went wrong. Please try again.";
+
+const tabClass = (active) =>
+  `px-4 py-2 rounded-xl text-sm font-semibold border transition-colors ${
+    active
+      ? "bg-gray-900 text-white border-gray-900"
+      : "bg-white text-gray-700 border-gray-200 hover:border-gray-300"
+  }`;
+
+// "Wishlist" plus one tab per collection, and a form for a new one.
+// `activeId` is null for the wishlist itself.
+export const CollectionTabs = ({ collections, activeId, onSelect }) => {
+  const navigate = useNavigate();
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [visibility, setVisibility] = useState("private");
+  const [error, setError] = useState(null);
+  const [createCollection, { isLoading }] =
+    useCreateWishlistCollectionMutation();
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const res = await createCollection({
+        name: name.trim(),
+        visibility,
+      }).unwrap();
+      setName("");
+      setVisibility("private");
+      setCreating(false);
+      onSelect(res.data.collection.id);
+    } catch (err) {
+      setError(collectionErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="mb-8 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onSelect(null)}
+          className={tabClass(activeId === null)}
+        >
+          Wishlist
+        </button>
+        {collections.map((collection) => (
+          <button
+            key={collection.id}
+            type="button"
+            onClick={() => onSelect(collection.id)}
+            className={tabClass(activeId === collection.id)}
+          >
+            {collection.name}
+            <span className="ml-2 text-xs opacity-70">
+              {collection.item_count}
+            </span>
+          </button>
+        ))}
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setCreating((open) => !open)}
+          className="rounded-xl"
+        >
+          <FolderPlus className="w-4 h-4 mr-2" />
+          New collection
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => navigate("/collections")}
+          className="ml-auto rounded-xl text-gray-600"
+        >
+          <Globe className="w-4 h-4 mr-2" />
+          Public collections
+        </Button>
+      </div>
+
+      {creating && (
+        <form
+          onSubmit={handleCreate}
+          className="flex flex-wrap items-center gap-3 bg-white border border-gray-200 rounded-xl p-4"
+        >
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Collection name, e.g. Birthday ideas"
+            maxLength={100}
+            className="flex-1 min-w-[200px]"
+          />
+          <select
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            className="border border-gray-200 rounded-xl px-4 py-2 bg-white text-sm"
+          >
+            {COLLECTION_VISIBILITY_OPTIONS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.name}
+              </option>
+            ))}
+          </select>
+          <Button
+            type="submit"
+            disabled={!name.trim() || isLoading}
+            className="rounded-xl"
+          >
+            Create
+          </Button>
+          {error && <p className="w-full text-sm text-red-600">{error}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Who can see the collection, its share link, and deleting it
+export const CollectionSharePanel = ({ collection, onDeleted }) => {
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+  const [updateCollection, { isLoading: saving }] =
+    useUpdateWishlistCollectionMutation();
+  const [resetShareLink, { isLoading: resetting }] =
+    useResetCollectionShareLinkMutation();
+  const [deleteCollection] = useDeleteWishlistCollectionMutation();
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(collectionErrorMessage(err));
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(collection.share_url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setError("Could not copy the link. Copy it from the box instead.");
+    }
+  };
+
+  const handleReset = () => {
+    if (
+      window.confirm(
+        "Make a new share link? Anyone with the current link will lose access."
+      )
+    ) {
+      run(() => resetShareLink(collection.id).unwrap());
+    }
+  };
+
+  const handleDelete = () => {
+    if (
+      window.confirm(`Delete "${collection.name}" and everything saved in it?`)
+    ) {
+      run(async () => {
+        await deleteCollection(collection.id).unwrap();
+        onDeleted();
+      });
+    }
+  };
+
+  const option = COLLECTION_VISIBILITY_OPTIONS.find(
+    (o) => o.id === collection.visibility
+  );
+
+  return (
+    <div className="mb-8 bg-white border border-gray-200 rounded-2xl p-6 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="text-sm font-semibold text-gray-700">
+          Who can see it
+        </label>
+        <select
+          value={collection.visibility}
+          disabled={saving}
+          onChange={(e) =>
+            run(() =>
+              updateCollection({
+                id: collection.id,
+                visibility: e.target.value,
+              }).unwrap()
+            )
+          }
+          className="border border-gray-200 rounded-xl px-4 py-2 bg-white text-sm"
+        >
+          {COLLECTION_VISIBILITY_OPTIONS.map((o) => (
+            <option key={o.id} value={o.id}>
+              {o.name}
+            </option>
+          ))}
+        </select>
+        {option && <span className="text-sm text-gray-500">{option.hint}</span>}
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={handleDelete}
+          className="ml-auto rounded-xl text-red-600 hover:bg-red-50"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Delete collection
+        </Button>
+      </div>
+
+      {collection.visibility !== "private" && (
+        <div className="flex flex-wrap items-center gap-3">
+          <Input
+            readOnly
+            value={collection.share_url}
+            onFocus={(e) => e.target.select()}
+            className="flex-1 min-w-[240px] text-sm"
+          />
+          <Button variant="outline" onClick={handleCopy} className="rounded-xl">
+            {copied ? (
+              <Check className="w-4 h-4 mr-2" />
+            ) : (
+              <Link2 className="w-4 h-4 mr-2" />
+            )}
+            {copied ? "Copied" : "Copy link"}
+          </Button>
+          <Button
+            variant="ghost"
+            onClick={handleReset}
+            disabled={resetting}
+            className="rounded-xl"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            New link
+          </Button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// "Add to collection" picker for a wishlist entry
+export const SaveToCollection = ({ productId, collections }) => {
+  const [message, setMessage] = useState(null);
+  const [addCollectionItem, { isLoading }] = useAddCollectionItemMutation();
+
+  if (collections.length === 0) return null;
+
+  const handleChange = async (e) => {
+    const collectionId = e.target.value;
+    e.target.value = "";
+    if (!collectionId) return;
+    try {
+      const res = await addCollectionItem({ collectionId, productId }).unwrap();
+      setMessage(res.message);
+    } catch (err) {
+      setMessage(collectionErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <label className="flex items-center gap-2 text-sm text-gray-600">
+        <Plus className="w-4 h-4" />
+        <select
+          defaultValue=""
+          disabled={isLoading}
+          onChange={handleChange}
+          className="flex-1 border border-gray-200 rounded-xl px-3 py-1.5 bg-white text-sm"
+        >
+          <option value="">Add to collection…</option>
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {collection.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {message && <p className="text-xs text-gray-500">{message}</p>}
+    </div>
+  );
+};
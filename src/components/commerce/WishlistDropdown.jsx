@@ -1,12 +1,24 @@
 import React, { useCallback } from "react";
 import { Button } from "../ui/button";
 import { Card, CardContent } from "../ui/card";
-import { Heart, ShoppingBag, X, Star, BarChart3 } from "lucide-react";
+import {
+  Heart,
+  ShoppingBag,
+  X,
+  Star,
+  BarChart3,
+  Folder,
+  Globe,
+  Link2,
+} from "lucide-react";
 import { useWishlist } from "../../contexts/WishlistContext";
 import { useCompare } from "../../contexts/CompareContext";
 import { useSelector } from "react-redux";
 import { useAuthRedux } from "../../hooks/useAuthRedux";
-import { useGetCartQuery } from "../../services/api";
+import {
+  useGetCartQuery,
+  useGetWishlistCollectionsQuery,
+} from "../../services/api";
 import { useAddItemMutation } from "../../services/api";
 import { useDispatch } from "react-redux";
 import { addLocalItem } from "../../store/cartSlice";
@@ -137,6 +149,10 @@ const WishlistItem = React.memo(
 
 WishlistItem.displayName = "WishlistItem";
 
+const VISIBILITY_ICONS = { link: Link2, public: Globe };
+
+const EMPTY = [];
+
 export const WishlistDropdown = ({ isOpen, onClose }) => {
   const { items: wishlistItems, removeItem } = useWishlist();
   const localItems = useSelector((s) => s.cart?.localItems || []);
@@ -144,6 +160,11 @@ export const WishlistDropdown = ({ isOpen, onClose }) => {
   const { data: cartResponse } = useGetCartQuery(undefined, {
     skip: !isAuthenticated,
   });
+  const { data: collectionsResponse } = useGetWishlistCollectionsQuery(
+    undefined,
+    { skip: !isAuthenticated || !isOpen }
+  );
+  const collections = collectionsResponse?.data?.collections || EMPTY;
   const serverItems = cartResponse?.data?.items || [];
   const sourceItems = isAuthenticated ? serverItems : localItems;
 
@@ -282,6 +303,38 @@ export const WishlistDropdown = ({ isOpen, onClose }) => {
             )}
           </div>
 
+          {/* Collections */}
+          {collections.length > 0 && (
+            <div className="px-6 py-4 border-t border-gray-100 space-y-2">
+              <p className="text-xs font-bold text-gray-500 uppercase tracking-wider">
+                Collections
+              </p>
+              {collections.map((collection) => {
+                const VisibilityIcon =
+                  VISIBILITY_ICONS[collection.visibility] || Folder;
+                return (
+                  <button
+                    key={collection.id}
+                    type="button"
+                    onClick={() => {
+                      navigate(`/wishlist?collection=${collection.id}`);
+                      onClose();
+                    }}
+                    className="w-full flex items-center gap-3 px-3 py-2 rounded-xl text-left text-sm hover:bg-gray-50"
+                  >
+                    <VisibilityIcon className="w-4 h-4 text-gray-400" />
+                    <span className="flex-1 font-semibold text-gray-900 truncate">
+                      {collection.name}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {collection.item_count}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
           {/* Footer - only show when wishlist has items */}
           {wishlistItems.length > 0 && (
             <div className="p-6 bg-gray-50 space-y-3">
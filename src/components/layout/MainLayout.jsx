@@ -34,15 +34,17 @@ export const MainLayout = () => {
     }
   }, [isAuthPath, isAuthenticated]);
 
-  // Close overlay and navigate to home when authenticated
+  // Close overlay when authenticated and go home, or back to the page that
+  // sent the user to sign in (`navigate("/login", { state: { from } })`)
+  const returnTo = location.state?.from || "/";
   useEffect(() => {
     if (isAuthenticated && isAuthOverlayOpen) {
       setIsAuthOverlayOpen(false);
       if (isAuthPath) {
-        navigate("/", { replace: true });
+        navigate(returnTo, { replace: true });
       }
     }
-  }, [isAuthenticated, isAuthOverlayOpen, isAuthPath, navigate]);
+  }, [isAuthenticated, isAuthOverlayOpen, isAuthPath, returnTo, navigate]);
 
   const handleAuthOverlayClose = useCallback(() => {
     setIsAuthOverlayOpen(false);
@@ -1,76 +1,20 @@
 import React from "react";
 import { Button } from "../ui/button";
 import { useNavigateWithScroll } from "../../utils/navigation";
+import { useGetBrandsQuery } from "../../services/api";
+import { BrandLogo } from "../commerce/BrandLogo";
+import { formatCompactNumber } from "../../utils/formatNumbers";
 
 export const BrandsSection = React.memo(() => {
   const navigate = useNavigateWithScroll();
 
-  const handleBrandClick = (brandId) => {
-    navigate(`/products?brand=${brandId}`);
-  };
+  // The twelve most followed brands
+  const { data } = useGetBrandsQuery({ sort: "followers" });
+  const brands = (data?.data?.brands || []).slice(0, 12);
 
-  const brands = [
-    { 
-      name: "ZARA", 
-      image: "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Contemporary Fashion"
-    },
-    { 
-      name: "H&M", 
-      image: "https://images.pexels.com/photos/1040945/pexels-photo-1040945.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Affordable Style"
-    },
-    { 
-      name: "UNIQLO", 
-      image: "https://images.pexels.com/photos/1620760/pexels-photo-1620760.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Essential Basics"
-    },
-    { 
-      name: "NIKE", 
-      image: "https://images.pexels.com/photos/1464625/pexels-photo-1464625.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Athletic Wear"
-    },
-    { 
-      name: "ADIDAS", 
-      image: "https://images.pexels.com/photos/1598505/pexels-photo-1598505.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Sports & Lifestyle"
-    },
-    { 
-      name: "PUMA", 
-      image: "https://images.pexels.com/photos/1464625/pexels-photo-1464625.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Performance Gear"
-    },
-    { 
-      name: "GUCCI", 
-      image: "https://images.pexels.com/photos/1152077/pexels-photo-1152077.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Luxury Fashion"
-    },
-    { 
-      name: "PRADA", 
-      image: "https://images.pexels.com/photos/1927259/pexels-photo-1927259.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Italian Elegance"
-    },
-    { 
-      name: "VERSACE", 
-      image: "https://images.pexels.com/photos/3373736/pexels-photo-3373736.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Bold & Glamorous"
-    },
-    { 
-      name: "BALENCIAGA", 
-      image: "https://images.pexels.com/photos/1571460/pexels-photo-1571460.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Avant-garde Design"
-    },
-    { 
-      name: "DIOR", 
-      image: "https://images.pexels.com/photos/1598505/pexels-photo-1598505.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Timeless Luxury"
-    },
-    { 
-      name: "CHANEL", 
-      image: "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=300",
-      description: "Classic Elegance"
-    }
-  ];
+  const handleBrandClick = (slug) => {
+    navigate(`/brands/${slug}`);
+  };
 
   return (
     <section className="py-24 bg-gradient-to-b from-white to-gray-50">
@@ -87,16 +31,15 @@ export const BrandsSection = React.memo(() => {
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-6 gap-8">
           {brands.map((brand) => (
             <div
-              key={brand.name}
+              key={brand.id}
               className="group cursor-pointer"
-              onClick={() => handleBrandClick(brand.name)}
+              onClick={() => handleBrandClick(brand.slug)}
             >
               <div className="relative overflow-hidden rounded-3xl bg-white border border-gray-100 hover:border-gray-200 hover:shadow-xl transition-all duration-500 hover:-translate-y-2">
                 <div className="aspect-square relative">
-                  <img
-                    src={brand.image}
-                    alt={brand.name}
-                    className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-700 ease-out"
+                  <BrandLogo
+                    brand={brand}
+                    className="w-full h-full text-4xl group-hover:scale-110 transition-transform duration-700 ease-out"
                   />
                   <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-black/20 to-transparent"></div>
                   
@@ -104,7 +47,9 @@ export const BrandsSection = React.memo(() => {
                   <div className="absolute inset-0 flex flex-col justify-end p-4">
                     <div className="bg-white/95 backdrop-blur-sm rounded-2xl p-3 transform translate-y-2 group-hover:translate-y-0 transition-transform duration-300">
                       <h3 className="font-black text-gray-900 text-lg">{brand.name}</h3>
-                      <p className="text-sm text-gray-600 font-medium">{brand.description}</p>
+                      <p className="text-sm text-gray-600 font-medium">
+                        {formatCompactNumber(brand.follower_count)} followers
+                      </p>
                     </div>
                   </div>
                 </div>
@@ -1,71 +1,18 @@
 import React from "react";
 import { Button } from "../ui/button";
 import { useNavigateWithScroll } from "../../utils/navigation";
+import { useGetCategoryTreeQuery } from "../../services/api";
+import { categoryGradient, formatItemCount } from "../../utils/categories";
 
 export const CategorySection = React.memo(() => {
   const navigate = useNavigateWithScroll();
 
-  const categories = [
-    {
-      id: "women",
-      label: "Women",
-      image: "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "2.5K+ items",
-      gradient: "from-pink-500 to-rose-500"
-    },
-    {
-      id: "men",
-      label: "Men",
-      image: "https://images.pexels.com/photos/1040945/pexels-photo-1040945.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "1.8K+ items",
-      gradient: "from-blue-500 to-indigo-500"
-    },
-    {
-      id: "kids",
-      label: "Kids",
-      image: "https://images.pexels.com/photos/1620760/pexels-photo-1620760.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "900+ items",
-      gradient: "from-yellow-400 to-orange-500"
-    },
-    {
-      id: "beauty",
-      label: "Beauty",
-      image: "https://images.pexels.com/photos/3373736/pexels-photo-3373736.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "1.2K+ items",
-      gradient: "from-purple-500 to-pink-500"
-    },
-    {
-      id: "shoes",
-      label: "Shoes",
-      image: "https://images.pexels.com/photos/1464625/pexels-photo-1464625.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "800+ items",
-      gradient: "from-gray-700 to-gray-900"
-    },
-    {
-      id: "bags",
-      label: "Bags",
-      image: "https://images.pexels.com/photos/1152077/pexels-photo-1152077.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "600+ items",
-      gradient: "from-emerald-500 to-teal-500"
-    },
-    {
-      id: "jewelry",
-      label: "Jewelry",
-      image: "https://images.pexels.com/photos/1927259/pexels-photo-1927259.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "450+ items",
-      gradient: "from-amber-500 to-yellow-500"
-    },
-    {
-      id: "home",
-      label: "Home & Living",
-      image: "https://images.pexels.com/photos/1571460/pexels-photo-1571460.jpeg?auto=compress&cs=tinysrgb&w=400",
-      count: "750+ items",
-      gradient: "from-green-500 to-emerald-500"
-    }
-  ];
+  const { data } = useGetCategoryTreeQuery();
+  // The first eight top-level categories fill the row
+  const categories = (data?.data?.categories || []).slice(0, 8);
 
-  const handleCategoryClick = (categoryId) => {
-    navigate(`/products?category=${categoryId}`);
+  const handleCategoryClick = (slug) => {
+    navigate(`/categories/${slug}`);
   };
 
   return (
@@ -81,27 +28,29 @@ export const CategorySection = React.memo(() => {
         </div>
 
         <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-6">
-          {categories.map((category) => (
+          {categories.map((category, index) => (
             <Button
               key={category.id}
               variant="ghost"
-              onClick={() => handleCategoryClick(category.id)}
+              onClick={() => handleCategoryClick(category.slug)}
               className="group flex flex-col items-center p-0 h-auto bg-transparent hover:bg-transparent"
             >
-              <div className="relative overflow-hidden rounded-3xl mb-4 w-full aspect-square">
-                <img
-                  src={category.image}
-                  alt={category.label}
-                  className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-700 ease-out"
-                />
-                <div className={`absolute inset-0 bg-gradient-to-t ${category.gradient} opacity-20 group-hover:opacity-30 transition-opacity duration-300`} />
+              <div className="relative overflow-hidden rounded-3xl mb-4 w-full aspect-square bg-gray-200">
+                {category.image_url && (
+                  <img
+                    src={category.image_url}
+                    alt={category.name}
+                    className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-700 ease-out"
+                  />
+                )}
+                <div className={`absolute inset-0 bg-gradient-to-t ${categoryGradient(index)} opacity-20 group-hover:opacity-30 transition-opacity duration-300`} />
                 <div className="absolute inset-0 bg-black/10 group-hover:bg-black/5 transition-colors duration-300" />
                 
                 {/* Category info overlay */}
                 <div className="absolute bottom-0 left-0 right-0 p-4 text-white">
                   <div className="bg-black/40 backdrop-blur-sm rounded-xl p-3">
-                    <p className="font-bold text-sm">{category.label}</p>
-                    <p className="text-xs opacity-90">{category.count}</p>
+                    <p className="font-bold text-sm">{category.name}</p>
+                    <p className="text-xs opacity-90">{formatItemCount(category.product_count)}</p>
                   </div>
                 </div>
               </div>
@@ -1,8 +1,71 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useEffect, useId } from "react";
 import { Button } from "./button";
 import { Input } from "./input";
-import { Search } from "lucide-react";
+import { Clock, Search, Tag, TrendingUp } from "lucide-react";
 import { useNavigateWithScroll } from "../../utils/navigation";
+import { useAuthRedux } from "../../hooks/useAuthRedux";
+import { useSearchSuggestions } from "../../hooks/useSearchSuggestions";
+import { useClearSearchHistoryMutation } from "../../services/api";
+import { formatPrice } from "../../utils/formatNumbers";
+
+const GROUP_TITLES = {
+  recent: "Recent searches",
+  query: "Popular searches",
+  product: "Products",
+  brand: "Brands",
+  category: "Categories",
+};
+
+const SuggestionLabel = ({ item }) => {
+  switch (item.type) {
+    case "recent":
+    case "query":
+      return (
+        <span className="flex items-center gap-3 text-gray-700">
+          {item.type === "recent" ? (
+            <Clock className="w-4 h-4 text-gray-400" />
+          ) : (
+            <TrendingUp className="w-4 h-4 text-gray-400" />
+          )}
+          {item.query}
+        </span>
+      );
+    case "product":
+      return (
+        <span className="flex items-center gap-3">
+          {item.product.image ? (
+            <img
+              src={item.product.image}
+              alt=""
+              className="w-8 h-8 rounded-md object-cover flex-shrink-0"
+            />
+          ) : (
+            <span className="w-8 h-8 rounded-md bg-gray-100 flex-shrink-0" />
+          )}
+          <span className="flex-1 min-w-0">
+            <span className="block truncate text-gray-900">
+              {item.product.name}
+            </span>
+            {item.product.brand_name && (
+              <span className="block text-xs text-gray-500">
+                {item.product.brand_name}
+              </span>
+            )}
+          </span>
+          <span className="text-sm font-semibold text-gray-900">
+            ${formatPrice(item.product.price)}
+          </span>
+        </span>
+      );
+    default:
+      return (
+        <span className="flex items-center gap-3 text-gray-700">
+          <Tag className="w-4 h-4 text-gray-400" />
+          {(item.brand || item.category).name}
+        </span>
+      );
+  }
+};
 
 export const SearchBar = React.memo(
   ({
@@ -10,37 +73,111 @@ export const SearchBar = React.memo(
     className = "",
     onSearch,
     showButton = true,
+    showSuggestions = true,
   }) => {
     const navigate = useNavigateWithScroll();
+    const { isAuthenticated } = useAuthRedux();
     const [searchQuery, setSearchQuery] = useState("");
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const listId = useId();
+    const { items } = useSearchSuggestions(searchQuery, {
+      enabled: showSuggestions && isOpen,
+    });
+    const [clearHistory] = useClearSearchHistoryMutation();
+    const showList = showSuggestions && isOpen && items.length > 0;
 
-    const handleSearch = useCallback(
-      (e) => {
-        e.preventDefault();
-        if (searchQuery.trim()) {
-          if (onSearch) {
-            onSearch(searchQuery.trim());
-          } else {
+    // A new list of suggestions starts with nothing highlighted
+    useEffect(() => {
+      setActiveIndex(-1);
+    }, [items]);
+
+    const submitQuery = useCallback(
+      (query) => {
+        const text = query.trim();
+        if (!text) return;
+        setIsOpen(false);
+        if (onSearch) {
+          onSearch(text);
+        } else {
+          navigate(`/products?search=${encodeURIComponent(text)}`);
+        }
+      },
+      [onSearch, navigate]
+    );
+
+    const choose = useCallback(
+      (item) => {
+        setIsOpen(false);
+        switch (item.type) {
+          case "recent":
+          case "query":
+            setSearchQuery(item.query);
+            submitQuery(item.query);
+            break;
+          case "product":
+            navigate(`/product/${item.product.id}`);
+            break;
+          case "brand":
             navigate(
-              `/products?search=${encodeURIComponent(searchQuery.trim())}`
+              `/brands/${encodeURIComponent(item.brand.slug || item.brand.id)}`
+            );
+            break;
+          default:
+            navigate(
+              `/products?category=${encodeURIComponent(item.category.slug || item.category.id)}`
             );
-          }
         }
       },
-      [searchQuery, onSearch, navigate]
+      [navigate, submitQuery]
+    );
+
+    const handleSearch = useCallback(
+      (e) => {
+        e.preventDefault();
+        submitQuery(searchQuery);
+      },
+      [searchQuery, submitQuery]
     );
 
     const handleInputChange = useCallback((e) => {
       setSearchQuery(e.target.value);
+      setIsOpen(true);
     }, []);
 
+    // Arrow keys move through the suggestions, Enter picks the highlighted
+    // one (or searches for the text), Escape closes the list
     const handleKeyDown = useCallback(
       (e) => {
-        if (e.key === "Enter") {
-          handleSearch(e);
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          if (!showSuggestions) return;
+          e.preventDefault();
+          setIsOpen(true);
+          if (items.length === 0) return;
+          const step = e.key === "ArrowDown" ? 1 : -1;
+          // Wraps around through -1, the text as typed
+          setActiveIndex((current) => {
+            const positions = items.length + 1;
+            return ((current + 1 + step + positions) % positions) - 1;
+          });
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          if (showList && items[activeIndex]) choose(items[activeIndex]);
+          else submitQuery(searchQuery);
+        } else if (e.key === "Escape") {
+          setIsOpen(false);
+          setActiveIndex(-1);
         }
       },
-      [handleSearch]
+      [
+        showSuggestions,
+        showList,
+        items,
+        activeIndex,
+        choose,
+        submitQuery,
+        searchQuery,
+      ]
     );
 
     return (
@@ -50,7 +187,18 @@ export const SearchBar = React.memo(
           value={searchQuery}
           onChange={handleInputChange}
           onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
           placeholder={placeholder}
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={
+            showList && activeIndex >= 0
+              ? `${listId}-${activeIndex}`
+              : undefined
+          }
           className="pl-12 pr-4 py-3 w-full border-gray-200 rounded-full focus:border-purple-400 focus:ring-2 focus:ring-purple-100 transition-all duration-200"
         />
         {showButton && (
@@ -61,6 +209,50 @@ export const SearchBar = React.memo(
             <Search className="w-4 h-4" />
           </Button>
         )}
+        {showList && (
+          // mousedown would blur the input and close the list before the
+          // click lands
+          <ul
+            id={listId}
+            role="listbox"
+            onMouseDown={(e) => e.preventDefault()}
+            className="absolute top-full left-0 right-0 mt-2 py-2 bg-white rounded-2xl shadow-xl border border-gray-100 z-[60] max-h-96 overflow-y-auto"
+          >
+            {items.map((item, index) => (
+              <React.Fragment key={item.key}>
+                {(index === 0 || items[index - 1].type !== item.type) && (
+                  <li
+                    role="presentation"
+                    className="flex items-center justify-between px-4 pt-2 pb-1 text-xs font-bold uppercase tracking-wider text-gray-400"
+                  >
+                    {GROUP_TITLES[item.type]}
+                    {item.type === "recent" && isAuthenticated && (
+                      <button
+                        type="button"
+                        onClick={() => clearHistory()}
+                        className="normal-case tracking-normal font-semibold text-purple-600 hover:text-purple-700"
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </li>
+                )}
+                <li
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  onClick={() => choose(item)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`px-4 py-2 cursor-pointer text-sm ${
+                    index === activeIndex ? "bg-purple-50" : ""
+                  }`}
+                >
+                  <SuggestionLabel item={item} />
+                </li>
+              </React.Fragment>
+            ))}
+          </ul>
+        )}
       </form>
     );
   }
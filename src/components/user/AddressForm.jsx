@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+
+export const EMPTY_ADDRESS_FORM = {
+  label: "",
+  firstName: "",
+  lastName: "",
+  phone: "",
+  address: "",
+  apartment: "",
+  city: "",
+  state: "",
+  zipCode: "",
+  country: "United States",
+};
+
+// Saved `user_addresses` row -> the camelCase fields the forms use
+export const addressToForm = (address) => ({
+  label: address.label || "",
+  firstName: address.first_name || "",
+  lastName: address.last_name || "",
+  phone: address.phone || "",
+  address: address.address_line_1 || "",
+  apartment: address.address_line_2 || "",
+  city: address.city || "",
+  state: address.state || "",
+  zipCode: address.postal_code || "",
+  country: address.country || "",
+});
+
+// Validation failures come back per field; show them as one message
+export const addressErrorMessage = (err) => {
+  const fieldErrors = err?.data?.errors;
+  if (Array.isArray(fieldErrors) && fieldErrors.length > 0) {
+    return fieldErrors.map((e) => e.msg).join(", ");
+  }
+  return err?.data?.message || "We couldn't save this address.";
+};
+
+const FIELDS = [
+  { name: "label", label: "Label", placeholder: "Home, Work...", half: true },
+  { name: "phone", label: "Phone", placeholder: "Phone number", half: true },
+  { name: "firstName", label: "First Name", half: true },
+  { name: "lastName", label: "Last Name", half: true },
+  { name: "address", label: "Street Address" },
+  { name: "apartment", label: "Apartment, suite, etc. (optional)" },
+  { name: "city", label: "City", half: true },
+  { name: "state", label: "State / Province", half: true },
+  { name: "zipCode", label: "Postal Code", half: true },
+  { name: "country", label: "Country", half: true },
+];
+
+// Add / edit form for the address book
+export const AddressForm = ({ initialValues, onSubmit, onCancel, saving }) => {
+  const [form, setForm] = useState({ ...EMPTY_ADDRESS_FORM, ...initialValues });
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      await onSubmit(form);
+    } catch (err) {
+      setError(addressErrorMessage(err));
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-4 rounded-xl border border-purple-200 bg-purple-50/40 p-6"
+    >
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        {FIELDS.map((field) => (
+          <div
+            key={field.name}
+            className={field.half ? "" : "md:col-span-2"}
+          >
+            <label className="mb-2 block text-sm font-semibold text-gray-700">
+              {field.label}
+            </label>
+            <Input
+              value={form[field.name]}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, [field.name]: e.target.value }))
+              }
+              placeholder={field.placeholder || field.label}
+              className="rounded-xl"
+            />
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-3">
+        <Button
+          type="submit"
+          disabled={saving}
+          className="rounded-xl bg-purple-600 hover:bg-purple-700"
+        >
+          {saving ? "Saving..." : "Save Address"}
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onCancel}
+          className="rounded-xl"
+        >
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
@@ -0,0 +1,199 @@
+import React from "react";
+import { CheckCircle, MapPin, CreditCard, Truck } from "lucide-react";
+import { useGetOrderQuery } from "../../services/api";
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const statusLabel = (status) =>
+  status ? status.charAt(0).toUpperCase() + status.slice(1) : "";
+
+const AddressBlock = ({ title, address }) => {
+  if (!address) return null;
+  return (
+    <div>
+      <p className="mb-1 flex items-center gap-1 text-sm font-semibold text-gray-700">
+        <MapPin className="h-4 w-4" />
+        {title}
+      </p>
+      <p className="text-sm text-gray-600">
+        {[address.first_name, address.last_name].filter(Boolean).join(" ")}
+        <br />
+        {address.address_line_1}
+        {address.address_line_2 ? `, ${address.address_line_2}` : ""}
+        <br />
+        {[address.city, address.state, address.postal_code]
+          .filter(Boolean)
+          .join(", ")}
+        <br />
+        {address.country}
+      </p>
+    </div>
+  );
+};
+
+const OrderItemRow = ({ item }) => (
+  <div className="flex items-center gap-3">
+    {item.product_snapshot?.image && (
+      <img
+        src={item.product_snapshot.image}
+        alt={item.product_snapshot?.name}
+        className="h-12 w-12 rounded-lg object-cover"
+      />
+    )}
+    <div className="flex-1">
+      <p className="text-sm font-semibold text-gray-900">
+        {item.product_snapshot?.name}
+      </p>
+      <p className="text-xs text-gray-500">
+        {item.product_snapshot?.variant_name
+          ? `${item.product_snapshot.variant_name} · `
+          : ""}
+        Qty {item.quantity} × {formatMoney(item.unit_price)}
+      </p>
+    </div>
+    <span className="text-sm font-semibold text-gray-900">
+      {formatMoney(item.total_price)}
+    </span>
+  </div>
+);
+
+// Items grouped by the seller shipment they travel in. Orders placed before
+// shipments were split show as one list.
+const groupShipments = (order) => {
+  const fulfillments = order.fulfillments || [];
+  if (fulfillments.length === 0) return [{ id: "all", items: order.items }];
+  return fulfillments
+    .map((fulfillment) => ({
+      ...fulfillment,
+      items: order.items.filter((item) => item.fulfillment_id === fulfillment.id),
+    }))
+    .filter((shipment) => shipment.items.length > 0);
+};
+
+// Expanded view of one order in the profile's order history
+export const OrderDetails = ({ orderId }) => {
+  const { data, isLoading, isError } = useGetOrderQuery(orderId);
+  const order = data?.data?.order;
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading order details...</p>;
+  }
+  if (isError || !order) {
+    return (
+      <p className="text-sm text-red-600">Couldn't load this order right now.</p>
+    );
+  }
+
+  const shipments = groupShipments(order);
+
+  return (
+    <div className="space-y-6 rounded-xl bg-gray-50 p-4">
+      <div className="space-y-4">
+        {shipments.map((shipment, index) => (
+          <div key={shipment.id} className="space-y-3">
+            {shipment.status && (
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                <Truck className="h-4 w-4" />
+                <span className="font-semibold text-gray-800">
+                  {shipments.length > 1
+                    ? `Shipment ${index + 1} of ${shipments.length}`
+                    : "Shipment"}
+                </span>
+                <span className="rounded-full bg-white px-2 py-0.5 font-medium">
+                  {statusLabel(shipment.status)}
+                </span>
+                {shipment.tracking_number && (
+                  <span>
+                    {shipment.carrier ? `${shipment.carrier} · ` : ""}
+                    Tracking {shipment.tracking_number}
+                  </span>
+                )}
+              </div>
+            )}
+            {shipment.items.map((item) => (
+              <OrderItemRow key={item.id} item={item} />
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-1 border-t border-gray-200 pt-4 text-sm">
+        <div className="flex justify-between text-gray-600">
+          <span>Subtotal</span>
+          <span>{formatMoney(order.subtotal)}</span>
+        </div>
+        {Number(order.discount_amount) > 0 && (
+          <div className="flex justify-between text-green-600">
+            <span>Discount</span>
+            <span>-{formatMoney(order.discount_amount)}</span>
+          </div>
+        )}
+        <div className="flex justify-between text-gray-600">
+          <span>Shipping</span>
+          <span>
+            {Number(order.shipping_amount) === 0
+              ? "Free"
+              : formatMoney(order.shipping_amount)}
+          </span>
+        </div>
+        <div className="flex justify-between text-gray-600">
+          <span>Tax</span>
+          <span>{formatMoney(order.tax_amount)}</span>
+        </div>
+        <div className="flex justify-between font-bold text-gray-900">
+          <span>Total</span>
+          <span>{formatMoney(order.total_amount)}</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <AddressBlock title="Shipping address" address={order.shipping_address} />
+        <AddressBlock title="Billing address" address={order.billing_address} />
+      </div>
+
+      {order.payments.length > 0 && (
+        <div>
+          <p className="mb-1 flex items-center gap-1 text-sm font-semibold text-gray-700">
+            <CreditCard className="h-4 w-4" />
+            Payment
+          </p>
+          {order.payments.map((payment) => (
+            <p key={payment.id} className="text-sm text-gray-600">
+              {payment.card_last4
+                ? `Card ending ${payment.card_last4}`
+                : statusLabel(payment.payment_method)}{" "}
+              · {formatMoney(payment.amount)} · {statusLabel(payment.status)}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <p className="mb-2 text-sm font-semibold text-gray-700">Status</p>
+        <ol className="space-y-2">
+          {order.timeline.map((step) => (
+            <li
+              key={`${step.status}-${step.at}`}
+              className="flex items-start gap-2 text-sm"
+            >
+              <CheckCircle className="mt-0.5 h-4 w-4 text-green-600" />
+              <div>
+                <span className="font-semibold text-gray-900">
+                  {statusLabel(step.status)}
+                </span>{" "}
+                <span className="text-gray-500">
+                  {new Date(step.at).toLocaleString()}
+                </span>
+                {step.note && (
+                  <p className="text-xs text-gray-500">{step.note}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetails;
@@ -21,10 +21,17 @@ import {
 } from "lucide-react";
 import { useAuthRedux } from "../../hooks/useAuthRedux";
 import { useNavigate } from "react-router-dom";
+import { useGetOrdersQuery } from "../../services/api";
 
 export const UserDropdown = ({ isOpen, onClose }) => {
   const { user, logout } = useAuthRedux();
   const navigate = useNavigate();
+  // Only the most recent order is needed for the Order History hint
+  const { data: latestOrders } = useGetOrdersQuery(
+    { page: 1, limit: 1 },
+    { skip: !isOpen || !user }
+  );
+  const latestOrder = latestOrders?.data?.orders?.[0];
 
   // Mount/unmount logging removed to reduce console noise.
 
@@ -51,7 +58,9 @@ export const UserDropdown = ({ isOpen, onClose }) => {
       icon: Package,
       label: "Order History",
       path: "/profile?tab=orders",
-      description: "Track your orders and purchases",
+      description: latestOrder
+        ? `Latest: ${latestOrder.order_number} · ${latestOrder.status}`
+        : "Track your orders and purchases",
       color: "text-blue-600",
     },
     {
@@ -1,190 +1,217 @@
 import React, {
   createContext,
   useContext,
-  useReducer,
-  useEffect,
   useCallback,
   useMemo,
+  useState,
 } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { useAuthRedux } from "../../hooks/useAuthRedux";
+import {
+  useClearCompareListMutation,
+  useGetCompareListQuery,
+  useSaveCompareListMutation,
+} from "../../services/api";
+import {
+  addLocalCompareItem,
+  clearLocalCompare,
+  COMPARE_MAX_ITEMS,
+  isComparable,
+  removeLocalCompareItem,
+  setLocalCompareItems,
+} from "../../store/compareSlice";
 
 const CompareContext = createContext();
 
-const compareReducer = (state, action) => {
-  switch (action.type) {
-    case "SET_LOADING":
-      return {
-        ...state,
-        loading: action.payload,
-      };
-    case "SET_ITEMS":
-      return {
-        ...state,
-        items: action.payload,
-        loading: false,
-      };
-    case "ADD_ITEM":
-      // Limit to 4 items for comparison
-      if (state.items.length >= 4) {
-        return {
-          ...state,
-          error: "You can compare up to 4 products at a time",
-        };
-      }
-
-      const existingItem = state.items.find(
-        (item) => item.product_id === action.payload.product_id
-      );
-      if (existingItem) {
-        return {
-          ...state,
-          error: "Product already in comparison",
-        };
-      }
-
-      return {
-        ...state,
-        items: [...state.items, action.payload],
-        error: null,
-      };
-    case "REMOVE_ITEM":
-      return {
-        ...state,
-        items: state.items.filter((item) => item.id !== action.payload),
-      };
-    case "CLEAR_COMPARE":
-      return {
-        ...state,
-        items: [],
-      };
-    case "SET_ERROR":
-      return {
-        ...state,
-        error: action.payload,
-        loading: false,
-      };
-    case "CLEAR_ERROR":
-      return {
-        ...state,
-        error: null,
-      };
-    default:
-      return state;
-  }
-};
-
-const initialState = {
-  items: [],
-  loading: false,
-  error: null,
-};
-
+const EMPTY = [];
+
+// Compared product from the API -> compare item
+const fromServer = (product) => ({
+  id: product.id,
+  product_id: product.id,
+  name: product.name,
+  brand: product.brand_name || "",
+  price: product.price,
+  originalPrice:
+    product.compare_price && product.compare_price > product.price
+      ? product.compare_price
+      : null,
+  rating: product.avg_rating,
+  reviews: product.review_count,
+  image: product.image,
+  colors: product.colors || [],
+});
+
+// Product from a card or page -> guest compare item
+const toLocalItem = (product) => ({
+  id: product.id,
+  product_id: product.id,
+  name: product.name,
+  brand: product.brand,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  rating: product.rating || 0,
+  // Detail pages carry their reviews, cards a count
+  reviews: Array.isArray(product.reviews)
+    ? (product.reviewsCount ?? product.reviews.length)
+    : product.reviews || 0,
+  image: product.image,
+  colors: product.colors || [],
+});
+
+const errorMessage = (err, fallback) => err?.data?.message || fallback;
+
+// Signed-in shoppers' compare lists live on the server (`/compare/list`);
+// guests' in the browser until they sign in and it is merged (see store.js)
 export const CompareProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(compareReducer, initialState);
+  const dispatch = useDispatch();
   const { isAuthenticated } = useAuthRedux();
+  const localItems = useSelector((s) => s.compare?.localItems || EMPTY);
+  const { data: listResponse, isLoading } = useGetCompareListQuery(undefined, {
+    skip: !isAuthenticated,
+  });
+  const [saveTrigger] = useSaveCompareListMutation();
+  const [clearTrigger] = useClearCompareListMutation();
+  const [error, setError] = useState(null);
+
+  const serverProducts = listResponse?.data?.products;
+  const items = useMemo(
+    () =>
+      isAuthenticated ? (serverProducts || EMPTY).map(fromServer) : localItems,
+    [isAuthenticated, serverProducts, localItems]
+  );
 
-  // Load compare items when user is authenticated
-  useEffect(() => {
-    if (isAuthenticated) {
-      // Mock compare items for demo (replace with API calls later)
-      const mockItems = [];
-      dispatch({ type: "SET_ITEMS", payload: mockItems });
-    } else {
-      dispatch({ type: "CLEAR_COMPARE" });
-    }
-  }, [isAuthenticated]);
+  // Saves the signed-in shopper's list as these product ids
+  const save = useCallback(
+    async (productIds, fallback) => {
+      try {
+        await saveTrigger(productIds).unwrap();
+        return { success: true };
+      } catch (err) {
+        const message = errorMessage(err, fallback);
+        setError(message);
+        return { success: false, error: message };
+      }
+    },
+    [saveTrigger]
+  );
+
+  const removeItem = useCallback(
+    async (itemId) => {
+      if (!isAuthenticated) {
+        dispatch(removeLocalCompareItem(itemId));
+        return { success: true };
+      }
+      return save(
+        items
+          .filter((item) => item.id !== itemId)
+          .map((item) => item.product_id),
+        "Failed to remove item from comparison"
+      );
+    },
+    [isAuthenticated, items, save, dispatch]
+  );
 
+  // Adds the product, or takes it out when it is already being compared
   const addItem = useCallback(
     async (product) => {
-      try {
-        // Check if item already exists and remove it (toggle functionality)
-        const existingItem = state.items.find(
-          (item) => item.product_id === product.id
-        );
-        if (existingItem) {
-          dispatch({ type: "REMOVE_ITEM", payload: existingItem.id });
-          return { success: true, action: "removed" };
-        }
-
-        const compareItem = {
-          id: Date.now(), // Mock ID
-          product_id: product.id,
-          name: product.name,
-          brand: product.brand,
-          price: product.price,
-          originalPrice: product.originalPrice,
-          rating: product.rating || 4.5,
-          reviews: product.reviews || 100,
-          image: product.image,
-          colors: product.colors || [],
-          category: product.category || "fashion",
-          description: product.description || "Premium quality fashion piece",
-          features: product.features || [
-            "Premium materials",
-            "Comfortable fit",
-            "Easy care",
-          ],
-          specifications: product.specifications || {
-            Material: "Premium fabric",
-            Care: "Machine washable",
-            Origin: "Made with care",
-          },
-        };
-
-        dispatch({ type: "ADD_ITEM", payload: compareItem });
+      const existing = items.find((item) => item.product_id === product.id);
+      if (existing) {
+        const result = await removeItem(existing.id);
+        return result.success ? { ...result, action: "removed" } : result;
+      }
+
+      if (items.length >= COMPARE_MAX_ITEMS) {
+        const message = `You can compare up to ${COMPARE_MAX_ITEMS} products at a time`;
+        setError(message);
+        return { success: false, error: message };
+      }
+      if (!isAuthenticated) {
+        dispatch(addLocalCompareItem(toLocalItem(product)));
+        setError(null);
         return { success: true, action: "added" };
-      } catch (error) {
-        const message = "Failed to add item to comparison";
-        dispatch({ type: "SET_ERROR", payload: message });
+      }
+      if (!isComparable(product.id)) {
+        const message = "This product can't be compared";
+        setError(message);
         return { success: false, error: message };
       }
+      const result = await save(
+        [...items.map((item) => item.product_id), product.id],
+        "Failed to add item to comparison"
+      );
+      if (!result.success) return result;
+      setError(null);
+      return { ...result, action: "added" };
     },
-    [state.items]
+    [items, isAuthenticated, removeItem, save, dispatch]
   );
 
-  const removeItem = useCallback(async (itemId) => {
-    try {
-      dispatch({ type: "REMOVE_ITEM", payload: itemId });
-      return { success: true };
-    } catch (error) {
-      const message = "Failed to remove item from comparison";
-      dispatch({ type: "SET_ERROR", payload: message });
-      return { success: false, error: message };
-    }
-  }, []);
+  // Compare exactly these products from the API, e.g. a comparison someone
+  // shared
+  const replaceItems = useCallback(
+    async (products) => {
+      const next = products.slice(0, COMPARE_MAX_ITEMS);
+      if (!isAuthenticated) {
+        dispatch(setLocalCompareItems(next.map(fromServer)));
+        return { success: true };
+      }
+      return save(
+        next.map((product) => product.id),
+        "Failed to save comparison"
+      );
+    },
+    [isAuthenticated, save, dispatch]
+  );
 
   const clearCompare = useCallback(async () => {
+    if (!isAuthenticated) {
+      dispatch(clearLocalCompare());
+      return { success: true };
+    }
     try {
-      dispatch({ type: "CLEAR_COMPARE" });
+      await clearTrigger().unwrap();
       return { success: true };
-    } catch (error) {
-      const message = "Failed to clear comparison";
-      dispatch({ type: "SET_ERROR", payload: message });
+    } catch (err) {
+      const message = errorMessage(err, "Failed to clear comparison");
+      setError(message);
       return { success: false, error: message };
     }
-  }, []);
+  }, [isAuthenticated, clearTrigger, dispatch]);
 
   const isInCompare = useCallback(
-    (productId) => {
-      return state.items.some((item) => item.product_id === productId);
-    },
-    [state.items]
+    (productId) => items.some((item) => item.product_id === productId),
+    [items]
   );
 
   const clearError = useCallback(() => {
-    dispatch({ type: "CLEAR_ERROR" });
+    setError(null);
   }, []);
 
   const value = useMemo(
     () => ({
-      ...state,
+      items,
+      loading: isAuthenticated && isLoading,
+      error,
       addItem,
       removeItem,
+      replaceItems,
       clearCompare,
       isInCompare,
       clearError,
     }),
-    [state, addItem, removeItem, clearCompare, isInCompare, clearError]
+    [
+      items,
+      isAuthenticated,
+      isLoading,
+      error,
+      addItem,
+      removeItem,
+      replaceItems,
+      clearCompare,
+      isInCompare,
+      clearError,
+    ]
   );
 
   return (
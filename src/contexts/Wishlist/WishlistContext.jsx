@@ -1,183 +1,160 @@
-import React, {
-  createContext,
-  useContext,
-  useReducer,
-  useEffect,
-  useCallback,
-  useMemo,
-} from "react";
+import React, { createContext, useContext, useCallback, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { useAuthRedux } from "../../hooks/useAuthRedux";
+import {
+  useAddWishlistItemMutation,
+  useClearWishlistMutation,
+  useGetWishlistQuery,
+  useRemoveWishlistItemMutation,
+} from "../../services/api";
+import {
+  addLocalWishlistItem,
+  clearLocalWishlist,
+  removeLocalWishlistItem,
+} from "../../store/wishlistSlice";
+import { toWishlistView } from "../../utils/wishlist";
 
 const WishlistContext = createContext();
 
-const wishlistReducer = (state, action) => {
-  switch (action.type) {
-    case "SET_LOADING":
-      return {
-        ...state,
-        loading: action.payload,
-      };
-    case "SET_ITEMS":
-      return {
-        ...state,
-        items: action.payload,
-        loading: false,
-      };
-    case "ADD_ITEM":
-      const existingItem = state.items.find(
-        (item) => item.product_id === action.payload.product_id
-      );
-      if (existingItem) {
-        return state; // Item already in wishlist
-      }
-      return {
-        ...state,
-        items: [...state.items, action.payload],
-      };
-    case "REMOVE_ITEM":
-      return {
-        ...state,
-        items: state.items.filter((item) => item.id !== action.payload),
-      };
-    case "CLEAR_WISHLIST":
-      return {
-        ...state,
-        items: [],
-      };
-    case "SET_ERROR":
-      return {
-        ...state,
-        error: action.payload,
-        loading: false,
-      };
-    default:
-      return state;
-  }
-};
-
-const initialState = {
-  items: [],
-  loading: false,
-  error: null,
-};
-
+const EMPTY = [];
+
+// Guest entries were saved with the product as shown at the time
+const fromLocal = (item) => ({
+  ...item,
+  colors: item.colors || [],
+  savedPrice: item.price_at_add ?? null,
+  priceDrop: null,
+  addedAt: item.added_at,
+});
+
+// Product from a card or page -> guest wishlist entry
+const toLocalItem = (product) => ({
+  id: `local-${Date.now()}`,
+  product_id: product.id,
+  name: product.name,
+  brand: product.brand,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  rating: product.rating,
+  // Detail pages carry their reviews, cards a count
+  reviews: Array.isArray(product.reviews)
+    ? (product.reviewsCount ?? product.reviews.length)
+    : product.reviews,
+  image: product.image,
+  inStock: true,
+  colors: product.colors || [],
+  price_at_add: product.price,
+  added_at: new Date().toISOString(),
+});
+
+const errorMessage = (err, fallback) => err?.data?.message || fallback;
+
+// Signed-in shoppers' wishlists live on the server (`/wishlist`); guests'
+// in the browser until they sign in and it is merged (see store.js)
 export const WishlistProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(wishlistReducer, initialState);
+  const dispatch = useDispatch();
   const { isAuthenticated } = useAuthRedux();
+  const localItems = useSelector((s) => s.wishlist?.localItems || EMPTY);
+  const {
+    data: wishlistResponse,
+    isLoading,
+    error: fetchError,
+  } = useGetWishlistQuery(undefined, { skip: !isAuthenticated });
+  const [addTrigger] = useAddWishlistItemMutation();
+  const [removeTrigger] = useRemoveWishlistItemMutation();
+  const [clearTrigger] = useClearWishlistMutation();
+
+  const serverItems = wishlistResponse?.data?.items;
+  const items = useMemo(
+    () =>
+      isAuthenticated
+        ? (serverItems || EMPTY).map(toWishlistView)
+        : localItems.map(fromLocal),
+    [isAuthenticated, serverItems, localItems]
+  );
 
-  // Mock wishlist items for demo (replace with API calls later)
-  useEffect(() => {
-    if (isAuthenticated) {
-      // Simulate loading wishlist items
-      const mockItems = [
-        {
-          id: 1,
-          product_id: "vintage-denim-jacket",
-          name: "Vintage Denim Jacket",
-          brand: "LEVI'S",
-          price: 159,
-          originalPrice: 199,
-          rating: 4.9,
-          reviews: 203,
-          image:
-            "https://images.pexels.com/photos/1620760/pexels-photo-1620760.jpeg?auto=compress&cs=tinysrgb&w=200",
-          inStock: true,
-          colors: ["#4169E1", "#000080", "#87CEEB"],
-        },
-        {
-          id: 2,
-          product_id: "designer-silk-scarf",
-          name: "Designer Silk Scarf",
-          brand: "GUCCI",
-          price: 399,
-          rating: 5.0,
-          reviews: 89,
-          image:
-            "https://images.pexels.com/photos/1152077/pexels-photo-1152077.jpeg?auto=compress&cs=tinysrgb&w=200",
-          inStock: false,
-          colors: ["#FFD700", "#FF6347", "#9370DB"],
-        },
-      ];
-      dispatch({ type: "SET_ITEMS", payload: mockItems });
-    } else {
-      dispatch({ type: "CLEAR_WISHLIST" });
-    }
-  }, [isAuthenticated]);
+  const isInWishlist = useCallback(
+    (productId) => items.some((item) => item.product_id === productId),
+    [items]
+  );
 
   const addItem = useCallback(
     async (product) => {
+      if (isInWishlist(product.id)) {
+        return { success: false, error: "Item already in wishlist" };
+      }
+      if (!isAuthenticated) {
+        dispatch(addLocalWishlistItem(toLocalItem(product)));
+        return { success: true };
+      }
       try {
-        // Check if item already exists
-        const existingItem = state.items.find(
-          (item) => item.product_id === product.id
-        );
-        if (existingItem) {
-          return { success: false, error: "Item already in wishlist" };
-        }
-
-        const wishlistItem = {
-          id: Date.now(), // Mock ID
-          product_id: product.id,
-          name: product.name,
-          brand: product.brand,
-          price: product.price,
-          originalPrice: product.originalPrice,
-          rating: product.rating,
-          reviews: product.reviews,
-          image: product.image,
-          inStock: true,
-          colors: product.colors || [],
+        await addTrigger(product.id).unwrap();
+        return { success: true };
+      } catch (err) {
+        return {
+          success: false,
+          error: errorMessage(err, "Failed to add item to wishlist"),
         };
+      }
+    },
+    [isAuthenticated, isInWishlist, addTrigger, dispatch]
+  );
 
-        dispatch({ type: "ADD_ITEM", payload: wishlistItem });
+  const removeItem = useCallback(
+    async (itemId) => {
+      if (!isAuthenticated) {
+        dispatch(removeLocalWishlistItem(itemId));
+        return { success: true };
+      }
+      try {
+        await removeTrigger(itemId).unwrap();
         return { success: true };
-      } catch (error) {
-        const message = "Failed to add item to wishlist";
-        dispatch({ type: "SET_ERROR", payload: message });
-        return { success: false, error: message };
+      } catch (err) {
+        return {
+          success: false,
+          error: errorMessage(err, "Failed to remove item from wishlist"),
+        };
       }
     },
-    [state.items]
+    [isAuthenticated, removeTrigger, dispatch]
   );
 
-  const removeItem = useCallback(async (itemId) => {
-    try {
-      dispatch({ type: "REMOVE_ITEM", payload: itemId });
+  const clearWishlist = useCallback(async () => {
+    if (!isAuthenticated) {
+      dispatch(clearLocalWishlist());
       return { success: true };
-    } catch (error) {
-      const message = "Failed to remove item from wishlist";
-      dispatch({ type: "SET_ERROR", payload: message });
-      return { success: false, error: message };
     }
-  }, []);
-
-  const clearWishlist = useCallback(async () => {
     try {
-      dispatch({ type: "CLEAR_WISHLIST" });
+      await clearTrigger().unwrap();
       return { success: true };
-    } catch (error) {
-      const message = "Failed to clear wishlist";
-      dispatch({ type: "SET_ERROR", payload: message });
-      return { success: false, error: message };
+    } catch (err) {
+      return {
+        success: false,
+        error: errorMessage(err, "Failed to clear wishlist"),
+      };
     }
-  }, []);
-
-  const isInWishlist = useCallback(
-    (productId) => {
-      return state.items.some((item) => item.product_id === productId);
-    },
-    [state.items]
-  );
+  }, [isAuthenticated, clearTrigger, dispatch]);
 
   const value = useMemo(
     () => ({
-      ...state,
+      items,
+      loading: isAuthenticated && isLoading,
+      error: fetchError ? "Failed to load wishlist" : null,
       addItem,
       removeItem,
       clearWishlist,
       isInWishlist,
     }),
-    [state, addItem, removeItem, clearWishlist, isInWishlist]
+    [
+      items,
+      isAuthenticated,
+      isLoading,
+      fetchError,
+      addItem,
+      removeItem,
+      clearWishlist,
+      isInWishlist,
+    ]
   );
 
   return (
@@ -0,0 +1,148 @@
+import { useCallback, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  addLocalItem,
+  updateLocalItem,
+  removeLocalItem,
+  saveLocalItemForLater,
+  moveSavedItemToCart,
+} from "../store/cartSlice";
+import {
+  useAddItemMutation,
+  useUpdateItemMutation,
+  useRemoveItemMutation,
+  useMoveCartItemMutation,
+} from "../services/api";
+import {
+  cartAdjustmentMessage,
+  cartErrorMessage,
+  isCartRejection,
+} from "../utils/cartErrors";
+
+// Add, quantity, remove and move controls shared by the cart views and the
+// product pages. Signed-in changes go to the server; when it refuses one
+// (out of stock, item gone, ...) or cuts the quantity to the stock left,
+// `notice` explains why. Guests fall back to the browser-held cart and
+// saved-for-later list.
+export const useCartActions = () => {
+  const dispatch = useDispatch();
+  const localItems = useSelector((s) => s.cart?.localItems || []);
+  const [addItemTrigger] = useAddItemMutation();
+  const [updateItemTrigger] = useUpdateItemMutation();
+  const [removeItemTrigger] = useRemoveItemMutation();
+  const [moveItemTrigger] = useMoveCartItemMutation();
+  const [notice, setNotice] = useState(null);
+
+  const removeItem = useCallback(
+    async (itemId) => {
+      setNotice(null);
+      try {
+        await removeItemTrigger(itemId).unwrap();
+      } catch (e) {
+        if (isCartRejection(e)) setNotice(cartErrorMessage(e));
+        else dispatch(removeLocalItem(itemId));
+      }
+    },
+    [removeItemTrigger, dispatch]
+  );
+
+  const updateQuantity = useCallback(
+    async (itemId, newQuantity) => {
+      if (newQuantity <= 0) return removeItem(itemId);
+      setNotice(null);
+      try {
+        const res = await updateItemTrigger({
+          itemId,
+          update: { quantity: newQuantity },
+        }).unwrap();
+        setNotice(cartAdjustmentMessage(res));
+      } catch (e) {
+        if (isCartRejection(e)) {
+          setNotice(cartErrorMessage(e));
+        } else {
+          dispatch(
+            updateLocalItem({ id: itemId, changes: { quantity: newQuantity } })
+          );
+        }
+      }
+    },
+    [updateItemTrigger, removeItem, dispatch]
+  );
+
+  // `to` is "cart", "saved" or a named cart id (named carts need an account)
+  const moveItem = useCallback(
+    async (itemId, to) => {
+      setNotice(null);
+      try {
+        const res = await moveItemTrigger({ itemId, to }).unwrap();
+        setNotice(cartAdjustmentMessage(res));
+      } catch (e) {
+        if (isCartRejection(e)) setNotice(cartErrorMessage(e));
+        else if (to === "saved") dispatch(saveLocalItemForLater(itemId));
+        else if (to === "cart") dispatch(moveSavedItemToCart(itemId));
+      }
+    },
+    [moveItemTrigger, dispatch]
+  );
+
+  // `line` is { product_id, variant_id?, quantity, name, price, image,
+  // attributes? }; the display fields are only kept for the guest cart.
+  // Resolves to true when the line went into a cart.
+  const addItem = useCallback(
+    async (line) => {
+      setNotice(null);
+      const variantId = line.variant_id || null;
+      try {
+        const res = await addItemTrigger({
+          product_id: line.product_id,
+          variant_id: variantId,
+          quantity: line.quantity,
+        }).unwrap();
+        setNotice(cartAdjustmentMessage(res));
+        return true;
+      } catch (e) {
+        if (isCartRejection(e)) {
+          setNotice(cartErrorMessage(e));
+          return false;
+        }
+      }
+      const existing = localItems.find(
+        (it) =>
+          it.product_id === line.product_id &&
+          (it.variant_id || null) === variantId
+      );
+      if (existing) {
+        dispatch(
+          updateLocalItem({
+            id: existing.id,
+            changes: { quantity: existing.quantity + line.quantity },
+          })
+        );
+      } else {
+        dispatch(
+          addLocalItem({
+            ...line,
+            id: `local-${Date.now()}`,
+            variant_id: variantId,
+          })
+        );
+      }
+      return true;
+    },
+    [addItemTrigger, localItems, dispatch]
+  );
+
+  const clearNotice = useCallback(() => setNotice(null), []);
+
+  return useMemo(
+    () => ({
+      addItem,
+      updateQuantity,
+      removeItem,
+      moveItem,
+      notice,
+      clearNotice,
+    }),
+    [addItem, updateQuantity, removeItem, moveItem, notice, clearNotice]
+  );
+};
@@ -0,0 +1,76 @@
+import { useMemo } from "react";
+import { useSelector } from "react-redux";
+import { useAuthRedux } from "./useAuthRedux";
+import {
+  useGetCartSummaryQuery,
+  useGetGuestCartSummaryQuery,
+} from "../services/api";
+
+const sameLine = (a, b) =>
+  a.product_id === b.product_id &&
+  (a.variant_id || null) === (b.variant_id || null);
+
+// Server-priced cart for the current shopper. Signed-in users get their
+// saved cart; guests post the browser-held cart and get the same summary
+// back, with the local line ids mapped onto it so quantity controls keep
+// working against `cart.localItems`.
+export const useCartSummary = ({ shippingMethod, country, skip } = {}) => {
+  const { isAuthenticated } = useAuthRedux();
+  const localItems = useSelector((s) => s.cart?.localItems || []);
+
+  const guestItems = useMemo(
+    () =>
+      localItems.map((it) => ({
+        product_id: it.product_id,
+        variant_id: it.variant_id || null,
+        quantity: it.quantity,
+      })),
+    [localItems]
+  );
+
+  const server = useGetCartSummaryQuery(
+    { shippingMethod, country },
+    { skip: skip || !isAuthenticated }
+  );
+  const guest = useGetGuestCartSummaryQuery(
+    { items: guestItems, shippingMethod, country },
+    { skip: skip || isAuthenticated || guestItems.length === 0 }
+  );
+  const active = isAuthenticated ? server : guest;
+
+  const summary = useMemo(() => {
+    const data = active.data?.data;
+    if (!data) return null;
+    if (isAuthenticated) return data;
+    // Only trust a summary computed for the cart as it is now
+    if (localItems.length === 0) return null;
+    return {
+      ...data,
+      items: data.items.map((item) => {
+        const local = localItems.find((it) => sameLine(it, item));
+        return {
+          ...item,
+          id: local?.id || item.id,
+          name: item.name || local?.name,
+          image: item.image || local?.image,
+        };
+      }),
+    };
+  }, [active.data, isAuthenticated, localItems]);
+
+  const { isLoading, isFetching, isError, error, refetch } = active;
+  return useMemo(
+    () => ({
+      summary,
+      items: summary?.items || [],
+      totals: summary?.totals || null,
+      isLoading,
+      isFetching,
+      error: isError
+        ? error?.data?.error || "We couldn't price your cart."
+        : null,
+      refetch,
+    }),
+    [summary, isLoading, isFetching, isError, error, refetch]
+  );
+};
@@ -0,0 +1,31 @@
+import { useCallback, useState } from "react";
+
+// Cursor pages for a listing endpoint built with `cursorPagination`. The
+// query is first called without a cursor; `loadMore` asks for the page after
+// the products loaded so far. New `params` start again from the first page.
+export const useCursorPagination = (useListQuery, params, options) => {
+  const paramsKey = JSON.stringify(params);
+  const [next, setNext] = useState({ paramsKey, cursor: null });
+  // A cursor left over from other filters is never sent
+  const cursor = next.paramsKey === paramsKey ? next.cursor : null;
+
+  const result = useListQuery(
+    { ...params, cursor: cursor || undefined },
+    options
+  );
+  const pagination = result.data?.data?.pagination;
+  const hasMore = Boolean(pagination?.hasMore && pagination?.nextCursor);
+
+  const loadMore = useCallback(() => {
+    if (!hasMore || result.isFetching) return;
+    setNext({ paramsKey, cursor: pagination.nextCursor });
+  }, [hasMore, result.isFetching, paramsKey, pagination]);
+
+  return {
+    ...result,
+    pagination,
+    hasMore,
+    loadMore,
+    isLoadingMore: result.isFetching && Boolean(cursor),
+  };
+};
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useRef } from "react";
+
+// Calls `onLoadMore` when the element given the returned ref scrolls into
+// view (or close to it). Put the ref on a sentinel after the last item.
+export const useInfiniteScroll = (
+  onLoadMore,
+  { enabled = true, rootMargin = "400px" } = {}
+) => {
+  const observer = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  return useCallback(
+    (node) => {
+      observer.current?.disconnect();
+      if (!node || !enabled || typeof IntersectionObserver === "undefined") {
+        return;
+      }
+      observer.current = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            onLoadMoreRef.current();
+          }
+        },
+        { rootMargin }
+      );
+      observer.current.observe(node);
+    },
+    [enabled, rootMargin]
+  );
+};
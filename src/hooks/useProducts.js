@@ -4,30 +4,58 @@ import {
   useGetProductQuery,
   useGetFeaturedProductsQuery,
 } from "../services/api";
+import { useCursorPagination } from "./useCursorPagination";
 
+const EMPTY = [];
+const DEFAULT_PAGINATION = {
+  limit: 20,
+  total: 0,
+  hasMore: false,
+  nextCursor: null,
+};
+
+// Active products for `filters` ({ category, brand, minPrice, maxPrice,
+// search, sort, limit }). `products` holds every page loaded so far;
+// `loadMore` fetches the next one (e.g. from useInfiniteScroll).
 export const useProducts = (filters = {}) => {
   // RTK Query hook — it handles loading, error, and caching
-  const { data, isLoading, isError, refetch } = useGetProductsQuery(filters, {
-    skip: false,
-  });
+  const {
+    data,
+    isLoading,
+    isError,
+    refetch,
+    pagination: serverPagination,
+    hasMore,
+    loadMore,
+    isLoadingMore,
+  } = useCursorPagination(useGetProductsQuery, filters);
 
-  const products = data?.data?.products || [];
-  const pagination = data?.data?.pagination || {
-    page: 1,
-    limit: 20,
-    hasMore: false,
-  };
+  const products = data?.data?.products || EMPTY;
+  const pagination = serverPagination || DEFAULT_PAGINATION;
   const error = isError ? data?.message || "Failed to fetch products" : null;
 
   return useMemo(
     () => ({
       products,
       loading: isLoading,
+      loadingMore: isLoadingMore,
       error,
       pagination,
+      total: pagination.total,
+      hasMore,
+      loadMore,
       refetch,
     }),
-    [products, isLoading, error, pagination, refetch]
+    [
+      products,
+      isLoading,
+      isLoadingMore,
+      error,
+      pagination,
+      hasMore,
+      loadMore,
+      refetch,
+    ]
   );
 };
 
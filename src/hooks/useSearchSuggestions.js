@@ -0,0 +1,57 @@
+import { useEffect, useMemo, useState } from "react";
+import { useGetSearchSuggestionsQuery } from "../services/api";
+
+// Wait for a pause in typing before asking the server
+const SUGGEST_DELAY_MS = 150;
+
+// Server suggestions -> one list in dropdown order, so arrow keys can walk
+// through every group. Popular searches the user already has under
+// "recent" are left out.
+const flattenSuggestions = (data) => {
+  if (!data) return [];
+  const recent = data.recent || [];
+  return [
+    ...recent.map((query) => ({ type: "recent", key: `r:${query}`, query })),
+    ...(data.queries || [])
+      .filter((entry) => !recent.includes(entry.query))
+      .map((entry) => ({
+        type: "query",
+        key: `q:${entry.query}`,
+        query: entry.query,
+      })),
+    ...(data.products || []).map((product) => ({
+      type: "product",
+      key: `p:${product.id}`,
+      product,
+    })),
+    ...(data.brands || []).map((brand) => ({
+      type: "brand",
+      key: `b:${brand.id}`,
+      brand,
+    })),
+    ...(data.categories || []).map((category) => ({
+      type: "category",
+      key: `c:${category.id}`,
+      category,
+    })),
+  ];
+};
+
+// Debounced autocomplete for the search box. `items` is flat, in the order
+// the dropdown shows them; each has a `type` (recent, query, product, brand,
+// category) and a unique `key`.
+export const useSearchSuggestions = (text, { enabled = true } = {}) => {
+  const [debounced, setDebounced] = useState(text.trim());
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(text.trim()), SUGGEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const { data, isFetching } = useGetSearchSuggestionsQuery(debounced, {
+    skip: !enabled,
+  });
+
+  const items = useMemo(() => flattenSuggestions(data?.data), [data]);
+  return { items, isFetching };
+};
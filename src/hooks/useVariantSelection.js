@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  findVariant,
+  initialSelection,
+  isOptionAvailable,
+  matchesSelection,
+} from "../utils/variants";
+
+// Selected options for a product with variants. `variant` is the one the
+// selection resolves to (null while incomplete, or for products without
+// variants). Picking a value that has no variant with the other choices
+// keeps only that value, so the shopper can carry on from there.
+export const useVariantSelection = (product) => {
+  const variants = useMemo(() => product?.variants || [], [product]);
+  const options = useMemo(() => product?.variant_options || [], [product]);
+  const [selection, setSelection] = useState(() => initialSelection(variants));
+
+  // Start over when another product (or a changed variant list) comes in;
+  // a refetch of the same variants keeps the shopper's choices
+  const variantsKey = useMemo(
+    () => variants.map((v) => v.id).join(","),
+    [variants]
+  );
+  const selectionKey = useRef(variantsKey);
+  useEffect(() => {
+    if (selectionKey.current === variantsKey) return;
+    selectionKey.current = variantsKey;
+    setSelection(initialSelection(variants));
+  }, [variants, variantsKey]);
+
+  const select = useCallback(
+    (axis, value) =>
+      setSelection((current) => {
+        const next = { ...current, [axis]: value };
+        return variants.some((v) => matchesSelection(v, next))
+          ? next
+          : { [axis]: value };
+      }),
+    [variants]
+  );
+
+  const variant = useMemo(
+    () => findVariant(variants, options, selection),
+    [variants, options, selection]
+  );
+
+  const isAvailable = useCallback(
+    (axis, value) => isOptionAvailable(variants, selection, axis, value),
+    [variants, selection]
+  );
+
+  return {
+    hasVariants: variants.length > 0,
+    options,
+    selection,
+    select,
+    variant,
+    isAvailable,
+  };
+};
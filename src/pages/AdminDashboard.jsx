@@ -16,6 +16,8 @@ import {
   Eye,
   Settings,
   BarChart3,
+  Search,
+  Star,
 } from "lucide-react";
 import { useNavigateWithScroll } from "../utils/navigation";
 
@@ -68,6 +70,8 @@ export const AdminDashboard = () => {
     { title: "Manage Users", icon: Users, href: "/admin/users" },
     { title: "View Orders", icon: ShoppingCart, href: "/admin/orders" },
     { title: "Analytics", icon: BarChart3, href: "/admin/analytics" },
+    { title: "Search Insights", icon: Search, href: "/admin/search" },
+    { title: "Review Moderation", icon: Star, href: "/admin/reviews" },
     { title: "Settings", icon: Settings, href: "/admin/settings" },
   ];
 
@@ -121,11 +125,12 @@ export const AdminDashboard = () => {
             <CardTitle className="text-xl font-bold">Quick Actions</CardTitle>
           </CardHeader>
           <CardContent className="p-6">
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
               {quickActions.map((action) => (
                 <Button
                   key={action.title}
                   variant="outline"
+                  onClick={() => navigate(action.href)}
                   className="h-auto p-6 flex flex-col items-center gap-3 hover:bg-purple-50 hover:border-purple-200 transition-all duration-300"
                 >
                   <action.icon className="w-8 h-8 text-purple-600" />
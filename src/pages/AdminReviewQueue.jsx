@@ -0,0 +1,170 @@
+import React, { useState } from "react";
+import { Card, CardContent } from "../components/ui/card";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Check, Star, X } from "lucide-react";
+import {
+  useGetReviewQueueQuery,
+  useModerateReviewMutation,
+} from "../services/api";
+
+const PAGE_SIZE = 20;
+
+// One pending review with approve / reject (and an optional reason)
+const QueueItem = ({ review }) => {
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState(null);
+  const [moderate, { isLoading }] = useModerateReviewMutation();
+
+  const decide = async (decision) => {
+    setError(null);
+    try {
+      await moderate({
+        id: review.id,
+        productId: review.product_id,
+        decision,
+        reason: decision === "reject" ? reason : undefined,
+      }).unwrap();
+    } catch (err) {
+      setError(err?.data?.message || "The review could not be moderated.");
+    }
+  };
+
+  return (
+    <Card className="border-0 shadow-lg rounded-2xl">
+      <CardContent className="p-6 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <p className="text-sm text-gray-500">{review.product_name}</p>
+            <p className="font-semibold text-gray-900">
+              {review.author.name}
+              {review.is_verified_purchase && (
+                <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full font-medium">
+                  Verified Purchase
+                </span>
+              )}
+            </p>
+          </div>
+          <div className="flex items-center gap-1">
+            {[1, 2, 3, 4, 5].map((value) => (
+              <Star
+                key={value}
+                className={`w-4 h-4 ${
+                  value <= review.rating
+                    ? "fill-yellow-400 text-yellow-400"
+                    : "text-gray-200"
+                }`}
+              />
+            ))}
+          </div>
+        </div>
+        {review.title && (
+          <p className="font-semibold text-gray-900">{review.title}</p>
+        )}
+        {review.comment && <p className="text-gray-700">{review.comment}</p>}
+        {review.images.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {review.images.map((url) => (
+              <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                <img
+                  src={url}
+                  alt="Customer photo"
+                  className="w-16 h-16 object-cover rounded-lg"
+                />
+              </a>
+            ))}
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-3 pt-2">
+          <Button
+            onClick={() => decide("approve")}
+            disabled={isLoading}
+            className="rounded-xl bg-green-600 hover:bg-green-700 text-white"
+          >
+            <Check className="w-4 h-4 mr-1" />
+            Approve
+          </Button>
+          <Input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={500}
+            placeholder="Reason for rejecting (optional)"
+            className="flex-1 min-w-[12rem] rounded-xl"
+          />
+          <Button
+            variant="outline"
+            onClick={() => decide("reject")}
+            disabled={isLoading}
+            className="rounded-xl text-red-600"
+          >
+            <X className="w-4 h-4 mr-1" />
+            Reject
+          </Button>
+        </div>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export const AdminReviewQueue = () => {
+  const [page, setPage] = useState(1);
+  const { data, isLoading, isError } = useGetReviewQueueQuery({
+    page,
+    limit: PAGE_SIZE,
+  });
+  const reviews = data?.data?.reviews || [];
+  const total = data?.data?.pagination?.total || 0;
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-black text-gray-900 mb-2">
+            Review moderation
+          </h1>
+          <p className="text-gray-600">
+            {total.toLocaleString()} reviews waiting, oldest first.
+          </p>
+        </div>
+
+        {isLoading && <p className="text-gray-500">Loading reviews...</p>}
+        {isError && (
+          <p className="text-red-600">The review queue could not be loaded.</p>
+        )}
+        {!isLoading && !isError && reviews.length === 0 && (
+          <p className="text-gray-600">Nothing to moderate right now.</p>
+        )}
+
+        <div className="space-y-6">
+          {reviews.map((review) => (
+            <QueueItem key={review.id} review={review} />
+          ))}
+        </div>
+
+        {pageCount > 1 && (
+          <div className="flex items-center justify-center gap-4 mt-8">
+            <Button
+              variant="outline"
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+            >
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {Math.min(page, pageCount)} of {pageCount}
+            </span>
+            <Button
+              variant="outline"
+              disabled={page >= pageCount}
+              onClick={() => setPage(page + 1)}
+            >
+              Next
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardHeader,
+  CardTitle,
+} from "../components/ui/card";
+import { Button } from "../components/ui/button";
+import { MousePointerClick, Search, SearchX, TrendingUp } from "lucide-react";
+import { useGetSearchReportQuery } from "../services/api";
+
+const PERIODS = [7, 30, 90];
+
+const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const QueryTable = ({ title, icon: Icon, entries, emptyText }) => (
+  <Card className="border-0 shadow-lg rounded-2xl overflow-hidden">
+    <CardHeader>
+      <CardTitle className="flex items-center gap-2">
+        <Icon className="w-5 h-5 text-purple-600" />
+        {title}
+      </CardTitle>
+    </CardHeader>
+    <CardContent className="p-6 pt-0">
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wider text-gray-400">
+              <th className="py-2 font-bold">Query</th>
+              <th className="py-2 font-bold text-right">Searches</th>
+              <th className="py-2 font-bold text-right">Searchers</th>
+              <th className="py-2 font-bold text-right">Avg results</th>
+              <th className="py-2 font-bold text-right">CTR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.query} className="border-t border-gray-100">
+                <td className="py-2 font-medium text-gray-900">
+                  {entry.query}
+                </td>
+                <td className="py-2 text-right">
+                  {entry.searches.toLocaleString()}
+                </td>
+                <td className="py-2 text-right">
+                  {entry.searchers.toLocaleString()}
+                </td>
+                <td className="py-2 text-right">{entry.avg_results}</td>
+                <td className="py-2 text-right">{percent(entry.ctr)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </CardContent>
+  </Card>
+);
+
+export const AdminSearchReport = () => {
+  const [days, setDays] = useState(30);
+  const { data, isLoading, isError } = useGetSearchReportQuery({ days });
+  const report = data?.data;
+
+  const stats = report
+    ? [
+        {
+          title: "Searches",
+          value: report.totals.searches.toLocaleString(),
+          icon: Search,
+        },
+        {
+          title: "Zero-result searches",
+          value: report.totals.zero_result_searches.toLocaleString(),
+          icon: SearchX,
+        },
+        {
+          title: "Click-through",
+          value: percent(report.totals.ctr),
+          icon: MousePointerClick,
+        },
+      ]
+    : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-3xl font-black text-gray-900 mb-2">
+              Search insights
+            </h1>
+            <p className="text-gray-600">
+              What shoppers search for, what finds nothing, and what gets
+              clicked.
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {PERIODS.map((period) => (
+              <Button
+                key={period}
+                variant={period === days ? "default" : "outline"}
+                onClick={() => setDays(period)}
+              >
+                {period} days
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        {isLoading && <p className="text-gray-500">Loading report...</p>}
+        {isError && (
+          <p className="text-red-600">The search report could not be loaded.</p>
+        )}
+
+        {report && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+              {stats.map((stat) => (
+                <Card
+                  key={stat.title}
+                  className="border-0 shadow-lg rounded-2xl"
+                >
+                  <CardContent className="p-6 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-600 mb-1">
+                        {stat.title}
+                      </p>
+                      <p className="text-2xl font-black text-gray-900">
+                        {stat.value}
+                      </p>
+                    </div>
+                    <div className="p-3 rounded-xl bg-purple-50">
+                      <stat.icon className="w-6 h-6 text-purple-600" />
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <QueryTable
+                title="Top queries"
+                icon={TrendingUp}
+                entries={report.top_queries}
+                emptyText="No searches in this period."
+              />
+              <QueryTable
+                title="Zero-result queries"
+                icon={SearchX}
+                entries={report.zero_result_queries}
+                emptyText="Every search found something."
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
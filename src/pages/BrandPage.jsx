@@ -0,0 +1,327 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { ArrowLeft, ExternalLink, Heart, Package, Users } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { BrandLogo } from "../components/commerce/BrandLogo";
+import { ProductCard } from "../components/commerce/ProductCard";
+import { useWishlist } from "../contexts/WishlistContext";
+import { useCompare } from "../contexts/CompareContext";
+import { useAuthRedux } from "../hooks/useAuthRedux";
+import { useCartActions } from "../hooks/useCartActions";
+import { useCursorPagination } from "../hooks/useCursorPagination";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
+import {
+  useGetBrandQuery,
+  useGetBrandProductsQuery,
+  useFollowBrandMutation,
+  useUnfollowBrandMutation,
+} from "../services/api";
+import { useNavigateWithScroll } from "../utils/navigation";
+import { formatCompactNumber } from "../utils/formatNumbers";
+import { formatItemCount } from "../utils/categories";
+import { toCardProduct } from "../utils/productCard";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "popularity", label: "Most Popular" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+  { value: "rating", label: "Highest Rated" },
+  { value: "discount", label: "Biggest Discount" },
+];
+
+const priceParam = (value) => (value === "" ? undefined : value);
+
+// A brand's storefront: who they are, their showcase products and their
+// whole catalogue with category, price and sort filters
+export const BrandPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigateWithScroll();
+  const { isAuthenticated } = useAuthRedux();
+
+  const [category, setCategory] = useState("all");
+  const [minPrice, setMinPrice] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [sortBy, setSortBy] = useState("newest");
+
+  const {
+    data: brandResponse,
+    isLoading: isLoadingBrand,
+    isError: isBrandError,
+  } = useGetBrandQuery(slug, { skip: !slug });
+  const brand = brandResponse?.data?.brand;
+  const categories = brandResponse?.data?.categories || [];
+  const featuredProducts = useMemo(
+    () => (brandResponse?.data?.featured_products || []).map(toCardProduct),
+    [brandResponse]
+  );
+
+  const listParams = useMemo(
+    () => ({
+      ref: slug,
+      category: category !== "all" ? category : undefined,
+      minPrice: priceParam(minPrice),
+      maxPrice: priceParam(maxPrice),
+      sort: sortBy,
+      limit: 24,
+    }),
+    [slug, category, minPrice, maxPrice, sortBy]
+  );
+  const {
+    data: productsResponse,
+    isLoading: isLoadingProducts,
+    isFetching,
+    hasMore,
+    loadMore,
+    isLoadingMore,
+  } = useCursorPagination(useGetBrandProductsQuery, listParams, {
+    skip: !brand,
+  });
+  const loadMoreRef = useInfiniteScroll(loadMore, {
+    enabled: hasMore && !isFetching,
+  });
+  const products = useMemo(
+    () => (productsResponse?.data?.products || []).map(toCardProduct),
+    [productsResponse]
+  );
+
+  const [followBrand, { isLoading: isFollowing }] = useFollowBrandMutation();
+  const [unfollowBrand, { isLoading: isUnfollowing }] =
+    useUnfollowBrandMutation();
+  const handleFollow = () => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: `/brands/${slug}` } });
+      return;
+    }
+    if (brand.is_following) unfollowBrand(slug);
+    else followBrand(slug);
+  };
+
+  const { addItem: addToCart } = useCartActions();
+  const cartItems = useSelector((s) => s.cart?.localItems || []);
+  const { addItem: addToWishlist, isInWishlist } = useWishlist();
+  const { addItem: addToCompare, isInCompare } = useCompare();
+
+  const handleAddToCart = useCallback(
+    (product) =>
+      addToCart({
+        product_id: product.id,
+        quantity: 1,
+        name: product.name,
+        price: product.price,
+        image: product.image,
+      }),
+    [addToCart]
+  );
+  const isInCart = useCallback(
+    (productId) => cartItems.some((item) => item.product_id === productId),
+    [cartItems]
+  );
+
+  const renderCard = (product) => (
+    <ProductCard
+      key={product.id}
+      product={product}
+      onAddToCart={handleAddToCart}
+      onAddToWishlist={addToWishlist}
+      onAddToCompare={addToCompare}
+      isInWishlist={isInWishlist}
+      isInCompare={isInCompare}
+      isInCart={isInCart}
+      showQuickView={false}
+    />
+  );
+
+  if (isBrandError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            Brand not found
+          </h1>
+          <Button onClick={() => navigate("/brands")}>Browse all brands</Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Brand header */}
+        <div className="flex items-start gap-6 mb-12">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => navigate(-1)}
+            className="rounded-full hover:bg-gray-100"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+
+          {isLoadingBrand || !brand ? (
+            <div className="h-28 flex-1 bg-gray-200 rounded-2xl animate-pulse" />
+          ) : (
+            <div className="flex flex-1 flex-col md:flex-row md:items-center gap-6">
+              <BrandLogo
+                brand={brand}
+                className="w-28 h-28 rounded-2xl shadow-sm text-3xl"
+              />
+              <div className="flex-1">
+                <h1 className="text-4xl font-black text-gray-900">
+                  {brand.name}
+                </h1>
+                {brand.description && (
+                  <p className="text-lg text-gray-600 mt-2">
+                    {brand.description}
+                  </p>
+                )}
+                <div className="flex flex-wrap items-center gap-6 mt-3 text-sm text-gray-600">
+                  <span className="flex items-center gap-1">
+                    <Package className="w-4 h-4" />
+                    {formatItemCount(brand.product_count)}
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <Users className="w-4 h-4" />
+                    {formatCompactNumber(brand.follower_count)} followers
+                  </span>
+                  {brand.website_url && (
+                    <a
+                      href={brand.website_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center gap-1 text-purple-600 hover:underline"
+                    >
+                      <ExternalLink className="w-4 h-4" />
+                      Website
+                    </a>
+                  )}
+                </div>
+              </div>
+              <Button
+                onClick={handleFollow}
+                disabled={isFollowing || isUnfollowing}
+                variant={brand.is_following ? "outline" : "default"}
+                className={`rounded-xl px-6 ${
+                  brand.is_following
+                    ? ""
+                    : "bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white"
+                }`}
+              >
+                <Heart
+                  className={`w-4 h-4 mr-2 ${
+                    brand.is_following ? "fill-current text-pink-500" : ""
+                  }`}
+                />
+                {brand.is_following ? "Following" : "Follow"}
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Showcase */}
+        {featuredProducts.length > 0 && (
+          <section className="mb-16">
+            <h2 className="text-2xl font-black text-gray-900 mb-6">
+              Featured from {brand?.name}
+            </h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
+              {featuredProducts.slice(0, 4).map(renderCard)}
+            </div>
+          </section>
+        )}
+
+        {/* Catalogue */}
+        <section>
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-black text-gray-900">
+              All products
+              {productsResponse?.data?.pagination && (
+                <span className="ml-3 text-base font-medium text-gray-500">
+                  {formatItemCount(productsResponse.data.pagination.total)}
+                </span>
+              )}
+            </h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <Input
+                type="number"
+                min="0"
+                value={minPrice}
+                onChange={(e) => setMinPrice(e.target.value)}
+                placeholder="Min $"
+                className="w-24 rounded-xl bg-white"
+              />
+              <Input
+                type="number"
+                min="0"
+                value={maxPrice}
+                onChange={(e) => setMaxPrice(e.target.value)}
+                placeholder="Max $"
+                className="w-24 rounded-xl bg-white"
+              />
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="border border-gray-200 rounded-xl px-4 py-2 bg-white text-sm"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {categories.length > 1 && (
+            <div className="flex flex-wrap gap-3 mb-8">
+              {[{ id: "all", name: "All" }, ...categories].map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => setCategory(option.id)}
+                  className={`px-4 py-2 rounded-full text-sm font-medium border transition-colors ${
+                    category === option.id
+                      ? "bg-purple-600 border-purple-600 text-white"
+                      : "bg-white border-gray-200 text-gray-700 hover:border-purple-300"
+                  }`}
+                >
+                  {option.name}
+                  {option.product_count !== undefined && (
+                    <span className="ml-2 opacity-70">
+                      {option.product_count}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
+            {products.map(renderCard)}
+          </div>
+
+          {hasMore && (
+            <div ref={loadMoreRef} className="flex justify-center py-10">
+              <Button
+                variant="outline"
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="rounded-xl"
+              >
+                {isLoadingMore ? "Loading more..." : "Load more products"}
+              </Button>
+            </div>
+          )}
+
+          {brand && !isLoadingProducts && products.length === 0 && (
+            <div className="text-center py-20 text-gray-600">
+              No products match these filters.
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
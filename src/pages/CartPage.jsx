@@ -19,17 +19,24 @@ import {
   Gift,
   ArrowRight,
   Star,
+  Bookmark,
 } from "lucide-react";
 import { useSelector, useDispatch } from "react-redux";
-import { updateLocalItem, removeLocalItem } from "../store/cartSlice";
 import { useWishlist } from "../contexts/WishlistContext";
 import { useAuthRedux } from "../hooks/useAuthRedux";
+import { useCartSummary } from "../hooks/useCartSummary";
+import { useCartActions } from "../hooks/useCartActions";
 import { useNavigateWithScroll } from "../utils/navigation";
+import { formatPrice } from "../utils/formatNumbers";
+import {
+  CartItemNotice,
+  variantLabel,
+} from "../components/commerce/CartItemNotice";
+import { SavedCartLists } from "../components/commerce/SavedCartLists";
 import {
   useGetCartQuery,
-  useUpdateItemMutation,
-  useRemoveItemMutation,
   useClearCartMutation,
+  useGetCartListsQuery,
 } from "../services/api";
 
 export const CartPage = () => {
@@ -38,22 +45,25 @@ export const CartPage = () => {
   const { data: cartResponse } = useGetCartQuery(undefined, {
     skip: !isAuthenticated,
   });
-  const [updateItemTrigger] = useUpdateItemMutation();
-  const [removeItemTrigger] = useRemoveItemMutation();
   const [clearCartTrigger] = useClearCartMutation();
+  const { data: listsResponse } = useGetCartListsQuery(undefined, {
+    skip: !isAuthenticated,
+  });
+  const namedLists = (listsResponse?.data || []).filter(
+    (list) => list.kind === "named"
+  );
 
   const dispatch = useDispatch();
   const ctxItems = useSelector((s) => s.cart?.localItems || []);
 
-  const cartItems = cartResponse?.data?.items || ctxItems || [];
+  const rawItems = cartResponse?.data?.items || ctxItems || [];
 
-  const subtotal = cartItems.reduce(
-    (sum, it) => sum + it.price * it.quantity,
-    0
-  );
+  // Every price and total on this page comes from the server, so what the
+  // shopper sees is what checkout charges
+  const { summary, items: summaryItems, totals } = useCartSummary();
+  const cartItems = summaryItems.length > 0 ? summaryItems : rawItems;
   const itemCount = cartItems.reduce((sum, it) => sum + it.quantity, 0);
-  const shipping = subtotal > 100 ? 0 : subtotal > 0 ? 10 : 0;
-  const totals = { subtotal, itemCount, shipping, total: subtotal + shipping };
+  const canCheckout = summary ? summary.can_checkout : false;
   const { addItem: addToWishlist, isInWishlist } = useWishlist();
   const navigate = useNavigateWithScroll();
 
@@ -62,43 +72,20 @@ export const CartPage = () => {
     window.scrollTo(0, 0);
   }, []);
 
-  const handleUpdateQuantity = async (itemId, newQuantity) => {
-    if (newQuantity <= 0) {
-      try {
-        await removeItemTrigger(itemId).unwrap();
-      } catch (e) {
-        dispatch(removeLocalItem(itemId));
-      }
-    } else {
-      try {
-        await updateItemTrigger({
-          itemId,
-          update: { quantity: newQuantity },
-        }).unwrap();
-      } catch (e) {
-        dispatch(
-          updateLocalItem({ id: itemId, changes: { quantity: newQuantity } })
-        );
-      }
-    }
-  };
-
-  const handleRemoveItem = async (itemId) => {
-    try {
-      await removeItemTrigger(itemId).unwrap();
-    } catch (e) {
-      // fallback to redux guest cart
-      dispatch(removeLocalItem(itemId));
-    }
-  };
+  const {
+    updateQuantity: handleUpdateQuantity,
+    removeItem: handleRemoveItem,
+    moveItem: handleMoveItem,
+    notice: cartNotice,
+  } = useCartActions();
 
   const handleMoveToWishlist = async (item) => {
     const product = {
       id: item.product_id,
       name: item.name,
       brand: item.brand,
-      price: item.price,
-      originalPrice: item.originalPrice,
+      price: item.unit_price ?? item.price,
+      originalPrice: item.compare_price ?? item.originalPrice,
       image: item.image,
       rating: 4.5, // Default rating
       reviews: 100, // Default reviews
@@ -106,11 +93,7 @@ export const CartPage = () => {
     };
 
     await addToWishlist(product);
-    try {
-      await removeItemTrigger(item.id).unwrap();
-    } catch (e) {
-      dispatch(removeLocalItem(item.id));
-    }
+    await handleRemoveItem(item.id);
   };
 
   const handleClearCart = async () => {
@@ -124,13 +107,9 @@ export const CartPage = () => {
     }
   };
 
+  // Guests can check out by email; signing in first merges their cart
   const handleCheckout = () => {
-    if (!isAuthenticated) {
-      // Could trigger auth modal or redirect to login
-      navigate("/login");
-    } else {
-      navigate("/checkout");
-    }
+    navigate("/checkout");
   };
 
   // Recommended products (mock data)
@@ -205,23 +184,33 @@ export const CartPage = () => {
 
         {cartItems.length === 0 ? (
           /* Empty Cart State */
-          <div className="text-center py-20">
-            <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
-              <ShoppingBag className="w-16 h-16 text-gray-400" />
+          <div className="space-y-8">
+            <div className="text-center py-20">
+              <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
+                <ShoppingBag className="w-16 h-16 text-gray-400" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">
+                Your cart is empty
+              </h2>
+              <p className="text-gray-600 mb-8 max-w-md mx-auto">
+                Looks like you haven't added anything to your cart yet. Start
+                shopping to fill it up!
+              </p>
+              <Button
+                onClick={() => navigate("/")}
+                className="bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-semibold px-8 py-3 rounded-xl"
+              >
+                Start Shopping
+              </Button>
+            </div>
+            {cartNotice && (
+              <div className="max-w-3xl mx-auto bg-amber-50 border border-amber-200 text-amber-800 text-sm p-3 rounded-xl">
+                {cartNotice}
+              </div>
+            )}
+            <div className="max-w-3xl mx-auto">
+              <SavedCartLists onMoveItem={handleMoveItem} />
             </div>
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">
-              Your cart is empty
-            </h2>
-            <p className="text-gray-600 mb-8 max-w-md mx-auto">
-              Looks like you haven't added anything to your cart yet. Start
-              shopping to fill it up!
-            </p>
-            <Button
-              onClick={() => navigate("/")}
-              className="bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-semibold px-8 py-3 rounded-xl"
-            >
-              Start Shopping
-            </Button>
           </div>
         ) : (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-12">
@@ -232,6 +221,11 @@ export const CartPage = () => {
                   <CardTitle>Cart Items</CardTitle>
                 </CardHeader>
                 <CardContent className="space-y-6">
+                  {cartNotice && (
+                    <div className="bg-amber-50 border border-amber-200 text-amber-800 text-sm p-3 rounded-xl">
+                      {cartNotice}
+                    </div>
+                  )}
                   {cartItems.map((item, index) => (
                     <div key={item.id}>
                       <div className="flex gap-6">
@@ -241,7 +235,7 @@ export const CartPage = () => {
                             alt={item.name}
                             className="w-32 h-32 object-cover rounded-xl"
                           />
-                          {item.originalPrice && (
+                          {item.compare_price && (
                             <div className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full">
                               SALE
                             </div>
@@ -257,9 +251,14 @@ export const CartPage = () => {
                               <h3 className="font-bold text-gray-900 text-xl leading-tight">
                                 {item.name}
                               </h3>
-                              <p className="text-gray-600 mt-1">
-                                Size: {item.size} • Color: {item.color}
-                              </p>
+                              {item.attributes && variantLabel(item) && (
+                                <p className="text-gray-600 mt-1">
+                                  {variantLabel(item)}
+                                </p>
+                              )}
+                              <div className="mt-2">
+                                <CartItemNotice item={item} />
+                              </div>
                             </div>
                             <Button
                               variant="ghost"
@@ -274,16 +273,21 @@ export const CartPage = () => {
                           <div className="flex items-center justify-between">
                             <div className="flex items-center gap-3">
                               <span className="text-2xl font-bold text-gray-900">
-                                ${item.price}
+                                {item.unit_price != null
+                                  ? `$${formatPrice(item.unit_price)}`
+                                  : "—"}
                               </span>
-                              {item.originalPrice && (
+                              {item.compare_price && (
                                 <span className="text-lg text-gray-400 line-through">
-                                  ${item.originalPrice}
+                                  ${formatPrice(item.compare_price)}
                                 </span>
                               )}
-                              {item.originalPrice && (
+                              {item.compare_price && (
                                 <span className="text-sm font-bold text-green-600">
-                                  Save ${item.originalPrice - item.price}
+                                  Save $
+                                  {formatPrice(
+                                    item.compare_price - item.unit_price
+                                  )}
                                 </span>
                               )}
                             </div>
@@ -322,10 +326,41 @@ export const CartPage = () => {
                                 </Button>
                               </div>
 
+                              {/* Save for Later */}
+                              <Button
+                                variant="outline"
+                                onClick={() => handleMoveItem(item.id, "saved")}
+                                className="rounded-xl hover:bg-purple-50 hover:border-purple-200 hover:text-purple-600"
+                              >
+                                <Bookmark className="w-4 h-4 mr-2" />
+                                Save for Later
+                              </Button>
+
+                              {/* Move to a named cart */}
+                              {namedLists.length > 0 && (
+                                <select
+                                  value=""
+                                  onChange={(e) =>
+                                    e.target.value &&
+                                    handleMoveItem(item.id, e.target.value)
+                                  }
+                                  className="px-3 py-2 border border-gray-200 rounded-xl text-sm bg-white"
+                                >
+                                  <option value="">Move to…</option>
+                                  {namedLists.map((list) => (
+                                    <option key={list.id} value={list.id}>
+                                      {list.name}
+                                    </option>
+                                  ))}
+                                </select>
+                              )}
+
                               {/* Move to Wishlist */}
                               <Button
                                 variant="outline"
+                                size="icon"
                                 onClick={() => handleMoveToWishlist(item)}
+                                title="Move to wishlist"
                                 className={`rounded-xl ${
                                   isInWishlist(item.product_id)
                                     ? "bg-red-50 border-red-200 text-red-600"
@@ -333,15 +368,12 @@ export const CartPage = () => {
                                 }`}
                               >
                                 <Heart
-                                  className={`w-4 h-4 mr-2 ${
+                                  className={`w-4 h-4 ${
                                     isInWishlist(item.product_id)
                                       ? "fill-current"
                                       : ""
                                   }`}
                                 />
-                                {isInWishlist(item.product_id)
-                                  ? "Saved for Later"
-                                  : "Save for Later"}
                               </Button>
                             </div>
                           </div>
@@ -350,7 +382,9 @@ export const CartPage = () => {
                             <p className="text-sm text-gray-600">
                               Subtotal:{" "}
                               <span className="font-bold text-gray-900">
-                                ${formatPrice(item.price * item.quantity)}
+                                {item.unit_price != null
+                                  ? `$${formatPrice(item.line_total)}`
+                                  : "—"}
                               </span>
                             </p>
                           </div>
@@ -364,6 +398,8 @@ export const CartPage = () => {
                 </CardContent>
               </Card>
 
+              <SavedCartLists onMoveItem={handleMoveItem} />
+
               {/* Recommended Products */}
               <Card className="border-0 shadow-lg rounded-2xl">
                 <CardHeader>
@@ -437,36 +473,67 @@ export const CartPage = () => {
                     <CardTitle>Order Summary</CardTitle>
                   </CardHeader>
                   <CardContent className="space-y-4">
-                    <div className="space-y-3">
-                      <div className="flex justify-between text-sm">
-                        <span className="text-gray-600">
-                          Subtotal ({totals.itemCount} items)
-                        </span>
-                        <span className="font-semibold">
-                          ${formatPrice(totals.subtotal)}
-                        </span>
-                      </div>
-                      <div className="flex justify-between text-sm">
-                        <span className="text-gray-600">Shipping</span>
-                        <span className="font-semibold text-green-600">
-                          {totals.shipping === 0
-                            ? "Free"
-                            : `$${formatPrice(totals.shipping)}`}
-                        </span>
-                      </div>
-                      <div className="flex justify-between text-sm">
-                        <span className="text-gray-600">Tax</span>
-                        <span className="font-semibold">$0.00</span>
-                      </div>
-                      <Separator />
-                      <div className="flex justify-between text-lg font-bold">
-                        <span>Total</span>
-                        <span>${formatPrice(totals.total)}</span>
+                    {totals ? (
+                      <div className="space-y-3">
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">
+                            Subtotal ({itemCount} items)
+                          </span>
+                          <span className="font-semibold">
+                            ${formatPrice(totals.subtotal)}
+                          </span>
+                        </div>
+                        {summary.promotions.map((promotion) => (
+                          <div
+                            key={promotion.id}
+                            className="flex justify-between text-sm"
+                          >
+                            <span className="text-green-600">
+                              {promotion.name}
+                            </span>
+                            <span className="font-semibold text-green-600">
+                              {promotion.amount > 0
+                                ? `-$${formatPrice(promotion.amount)}`
+                                : "Free shipping"}
+                            </span>
+                          </div>
+                        ))}
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Shipping</span>
+                          <span className="font-semibold text-green-600">
+                            {totals.shipping_amount === 0
+                              ? "Free"
+                              : `$${formatPrice(totals.shipping_amount)}`}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Tax</span>
+                          <span className="font-semibold">
+                            ${formatPrice(totals.tax_amount)}
+                          </span>
+                        </div>
+                        <Separator />
+                        <div className="flex justify-between text-lg font-bold">
+                          <span>Total</span>
+                          <span>${formatPrice(totals.total_amount)}</span>
+                        </div>
                       </div>
-                    </div>
+                    ) : (
+                      <p className="text-sm text-gray-500">
+                        Calculating totals...
+                      </p>
+                    )}
+
+                    {summary && !summary.can_checkout && (
+                      <p className="text-sm text-red-600">
+                        Some items can't be bought as they are. Update or remove
+                        them to continue.
+                      </p>
+                    )}
 
                     <Button
                       onClick={handleCheckout}
+                      disabled={!canCheckout}
                       className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-bold py-4 rounded-xl shadow-lg hover:shadow-xl transition-all duration-300"
                     >
                       Proceed to Checkout
@@ -0,0 +1,236 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { ArrowLeft, ChevronRight } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { ProductCard } from "../components/commerce/ProductCard";
+import { useWishlist } from "../contexts/WishlistContext";
+import { useCompare } from "../contexts/CompareContext";
+import { useCartActions } from "../hooks/useCartActions";
+import { useCursorPagination } from "../hooks/useCursorPagination";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
+import {
+  useGetCategoryQuery,
+  useGetCategoryProductsQuery,
+} from "../services/api";
+import { useNavigateWithScroll } from "../utils/navigation";
+import { formatItemCount } from "../utils/categories";
+import { toCardProduct } from "../utils/productCard";
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+  { value: "rating", label: "Highest Rated" },
+  { value: "popularity", label: "Most Popular" },
+  { value: "discount", label: "Biggest Discount" },
+];
+
+// One category: where it sits in the tree, its subcategories and the
+// products of it and everything below it, loaded as the shopper scrolls
+export const CategoryPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigateWithScroll();
+  const [sortBy, setSortBy] = useState("newest");
+
+  const {
+    data: categoryResponse,
+    isLoading: isLoadingCategory,
+    isError: isCategoryError,
+  } = useGetCategoryQuery(slug, { skip: !slug });
+  const category = categoryResponse?.data?.category;
+  const breadcrumbs = categoryResponse?.data?.breadcrumbs || [];
+
+  const listParams = useMemo(
+    () => ({ ref: slug, sort: sortBy, limit: 24 }),
+    [slug, sortBy]
+  );
+  const {
+    data: productsResponse,
+    isLoading: isLoadingProducts,
+    isFetching,
+    hasMore,
+    loadMore,
+    isLoadingMore,
+  } = useCursorPagination(useGetCategoryProductsQuery, listParams, {
+    skip: !category,
+  });
+  const loadMoreRef = useInfiniteScroll(loadMore, {
+    enabled: hasMore && !isFetching,
+  });
+  const products = useMemo(
+    () => (productsResponse?.data?.products || []).map(toCardProduct),
+    [productsResponse]
+  );
+
+  const { addItem: addToCart } = useCartActions();
+  const cartItems = useSelector((s) => s.cart?.localItems || []);
+  const { addItem: addToWishlist, isInWishlist } = useWishlist();
+  const { addItem: addToCompare, isInCompare } = useCompare();
+
+  const handleAddToCart = useCallback(
+    (product) =>
+      addToCart({
+        product_id: product.id,
+        quantity: 1,
+        name: product.name,
+        price: product.price,
+        image: product.image,
+      }),
+    [addToCart]
+  );
+  const isInCart = useCallback(
+    (productId) => cartItems.some((item) => item.product_id === productId),
+    [cartItems]
+  );
+
+  if (isCategoryError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            Category not found
+          </h1>
+          <Button onClick={() => navigate("/categories")}>
+            Browse all categories
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Breadcrumbs */}
+        <nav className="flex items-center flex-wrap gap-1 text-sm text-gray-500 mb-6">
+          <button
+            onClick={() => navigate("/categories")}
+            className="hover:text-purple-600"
+          >
+            Categories
+          </button>
+          {breadcrumbs.map((crumb, index) => (
+            <React.Fragment key={crumb.id}>
+              <ChevronRight className="w-4 h-4" />
+              {index === breadcrumbs.length - 1 ? (
+                <span className="text-gray-900 font-medium">{crumb.name}</span>
+              ) : (
+                <button
+                  onClick={() => navigate(`/categories/${crumb.slug}`)}
+                  className="hover:text-purple-600"
+                >
+                  {crumb.name}
+                </button>
+              )}
+            </React.Fragment>
+          ))}
+        </nav>
+
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => navigate(-1)}
+            className="rounded-full hover:bg-gray-100"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+          <div className="flex-1">
+            {isLoadingCategory ? (
+              <div className="h-10 w-64 bg-gray-200 rounded-xl animate-pulse" />
+            ) : (
+              <>
+                <h1 className="text-4xl font-black text-gray-900">
+                  {category?.name}
+                </h1>
+                {category?.description && (
+                  <p className="text-lg text-gray-600 mt-2">
+                    {category.description}
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="border border-gray-200 rounded-xl px-4 py-2 bg-white text-sm"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Subcategories */}
+        {category?.children?.length > 0 && (
+          <div className="flex flex-wrap gap-3 mb-10">
+            {category.children.map((child) => (
+              <button
+                key={child.id}
+                onClick={() => navigate(`/categories/${child.slug}`)}
+                className="bg-white border border-gray-200 px-4 py-2 rounded-full text-sm font-medium text-gray-700 hover:border-purple-300 hover:text-purple-700 transition-colors"
+              >
+                {child.name}
+                <span className="ml-2 text-gray-400">
+                  {formatItemCount(child.product_count)}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Products */}
+        {productsResponse?.data?.pagination && (
+          <p className="text-gray-600 mb-6">
+            {formatItemCount(productsResponse.data.pagination.total)}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-8">
+          {products.map((product) => (
+            <ProductCard
+              key={product.id}
+              product={product}
+              onAddToCart={handleAddToCart}
+              onAddToWishlist={addToWishlist}
+              onAddToCompare={addToCompare}
+              isInWishlist={isInWishlist}
+              isInCompare={isInCompare}
+              isInCart={isInCart}
+              showQuickView={false}
+            />
+          ))}
+        </div>
+
+        {hasMore && (
+          <div ref={loadMoreRef} className="flex justify-center py-10">
+            <Button
+              variant="outline"
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="rounded-xl"
+            >
+              {isLoadingMore ? "Loading more..." : "Load more products"}
+            </Button>
+          </div>
+        )}
+
+        {!isLoadingCategory && !isLoadingProducts && products.length === 0 && (
+          <div className="text-center py-20">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">
+              No products in this category yet
+            </h2>
+            <Button onClick={() => navigate("/products")}>
+              Browse all products
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -23,14 +23,25 @@ import {
 } from "lucide-react";
 import { useSelector, useDispatch } from "react-redux";
 import { useAuthRedux } from "../hooks/useAuthRedux";
-import { useGetCartQuery, useClearCartMutation } from "../services/api";
+import { useGetCartQuery, useReserveCartMutation } from "../services/api";
+import { clearLocalItems } from "../store/cartSlice";
 import {
-  updateLocalItem,
-  removeLocalItem,
-  clearLocalItems,
-} from "../store/cartSlice";
-import { useUpdateItemMutation, useRemoveItemMutation } from "../services/api";
+  useCreateOrderMutation,
+  useCreatePaymentMutation,
+  useCreateGuestOrderMutation,
+  useCreateGuestPaymentMutation,
+  useGetAddressesQuery,
+  useCreateAddressMutation,
+} from "../services/api";
+import { useCartSummary } from "../hooks/useCartSummary";
+import { useCartActions } from "../hooks/useCartActions";
 import { useNavigateWithScroll } from "../utils/navigation";
+import { formatPrice } from "../utils/formatNumbers";
+import { addressToForm } from "../components/user/AddressForm";
+import {
+  CartItemNotice,
+  variantLabel,
+} from "../components/commerce/CartItemNotice";
 
 export const CheckoutPage = () => {
   const localItems = useSelector((s) => s.cart?.localItems || []);
@@ -41,31 +52,35 @@ export const CheckoutPage = () => {
   const serverItems = cartResponse?.data?.items || [];
   const cartItems = isAuthenticated ? serverItems : localItems;
 
-  const totals = React.useMemo(() => {
-    const subtotal = cartItems.reduce((s, it) => s + it.price * it.quantity, 0);
-    const itemCount = cartItems.reduce((s, it) => s + it.quantity, 0);
-    const shipping = subtotal > 100 ? 0 : subtotal > 0 ? 10 : 0;
-    return { subtotal, itemCount, shipping, total: subtotal + shipping };
-  }, [cartItems]);
+  // An order whose payment has not gone through yet. The server clears the
+  // cart when the order is created, so retries pay for this order instead of
+  // placing a new one.
+  const [pendingOrder, setPendingOrder] = useState(null);
+  const [shippingMethod, setShippingMethod] = useState(null);
 
   const dispatch = useDispatch();
-  const [clearCartTrigger] = useClearCartMutation();
-
-  const clearCart = async () => {
-    // prefer server clear if authenticated; otherwise clear local
-    if (isAuthenticated) {
-      try {
-        await clearCartTrigger().unwrap();
-        return { success: true };
-      } catch (e) {
-        return { success: false, error: e };
-      }
+  const { updateQuantity: handleUpdateQuantity, notice: cartNotice } =
+    useCartActions();
+  const [createOrderTrigger] = useCreateOrderMutation();
+  const [createPaymentTrigger] = useCreatePaymentMutation();
+  const [createGuestOrderTrigger] = useCreateGuestOrderMutation();
+  const [createGuestPaymentTrigger] = useCreateGuestPaymentMutation();
+  // Issued with a guest order; lets this browser pay for it
+  const guestToken = React.useRef(null);
+  const [reserveCartTrigger, { isLoading: isReserving }] =
+    useReserveCartMutation();
+  const [reservedUntil, setReservedUntil] = useState(null);
+
+  // Idempotency keys are kept across retries that never reached the server
+  // (network errors), so a double click or retry cannot create a second order
+  // or charge. Any answer from the server starts a fresh attempt.
+  const idempotencyKeys = React.useRef({ order: null, payment: null });
+  const idempotencyKeyFor = (stage) => {
+    if (!idempotencyKeys.current[stage]) {
+      idempotencyKeys.current[stage] = crypto.randomUUID();
     }
-    dispatch(clearLocalItems());
-    return { success: true };
+    return idempotencyKeys.current[stage];
   };
-  const [updateItemTrigger] = useUpdateItemMutation();
-  const [removeItemTrigger] = useRemoveItemMutation();
   const { user } = useAuthRedux();
   const navigate = useNavigateWithScroll();
 
@@ -95,51 +110,84 @@ export const CheckoutPage = () => {
     billingAddress: "same",
   });
   const [isProcessing, setIsProcessing] = useState(false);
+  const [orderError, setOrderError] = useState(null);
+
+  // The server prices the cart for the chosen shipping method and country,
+  // exactly as it will when the order is placed
+  const { summary } = useCartSummary({
+    shippingMethod,
+    country: shippingInfo.country,
+    skip: !!pendingOrder,
+  });
+  const summaryItems = pendingOrder
+    ? (pendingOrder.items || []).map((it) => ({
+        id: it.id,
+        name: it.product_snapshot?.name,
+        brand: it.product_snapshot?.brand_name,
+        image: it.product_snapshot?.image,
+        attributes: it.product_snapshot?.attributes,
+        variant_name: it.product_snapshot?.variant_name,
+        unit_price: Number(it.unit_price),
+        quantity: it.quantity,
+      }))
+    : summary?.items || [];
+
+  const totals = React.useMemo(() => {
+    const source = pendingOrder || summary?.totals;
+    if (!source) return null;
+    return {
+      subtotal: Number(source.subtotal),
+      discount: Number(source.discount_amount),
+      shipping: Number(source.shipping_amount),
+      tax: Number(source.tax_amount),
+      total: Number(source.total_amount),
+    };
+  }, [pendingOrder, summary]);
+  const canPlaceOrder = !!pendingOrder || !!summary?.can_checkout;
+
+  // Address book: prefill the default shipping address, let the buyer pick
+  // another saved one, or save the address typed in here
+  const { data: addressesResponse } = useGetAddressesQuery(undefined, {
+    skip: !isAuthenticated,
+  });
+  const savedAddresses = addressesResponse?.data?.addresses || [];
+  const [createAddressTrigger] = useCreateAddressMutation();
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [saveAddress, setSaveAddress] = useState(false);
+
+  const applySavedAddress = React.useCallback((address) => {
+    const { label, ...fields } = addressToForm(address);
+    setShippingInfo((prev) => ({ ...prev, ...fields }));
+    setSelectedAddressId(address.id);
+    setSaveAddress(false);
+  }, []);
 
-  // Redirect if cart is empty
+  const prefilledAddress = React.useRef(false);
+  React.useEffect(() => {
+    if (prefilledAddress.current || savedAddresses.length === 0) return;
+    prefilledAddress.current = true;
+    const preferred =
+      savedAddresses.find((a) => a.is_default_shipping) || savedAddresses[0];
+    applySavedAddress(preferred);
+  }, [savedAddresses, applySavedAddress]);
+
+  // Redirect if cart is empty (unless an unpaid order is being retried)
   React.useEffect(() => {
-    if (cartItems.length === 0) {
+    if (cartItems.length === 0 && !pendingOrder) {
       navigate("/");
     }
-  }, [cartItems.length, navigate]);
+  }, [cartItems.length, pendingOrder, navigate]);
 
   const handleShippingChange = (field, value) => {
     setShippingInfo((prev) => ({ ...prev, [field]: value }));
+    // Editing a picked address turns it into a new one
+    setSelectedAddressId(null);
   };
 
   const handlePaymentChange = (field, value) => {
     setPaymentInfo((prev) => ({ ...prev, [field]: value }));
   };
 
-  const handleUpdateQuantity = async (itemId, newQuantity) => {
-    if (newQuantity <= 0) {
-      try {
-        await removeItemTrigger(itemId).unwrap();
-      } catch (e) {
-        dispatch(removeLocalItem(itemId));
-      }
-    } else {
-      try {
-        await updateItemTrigger({
-          itemId,
-          update: { quantity: newQuantity },
-        }).unwrap();
-      } catch (e) {
-        dispatch(
-          updateLocalItem({ id: itemId, changes: { quantity: newQuantity } })
-        );
-      }
-    }
-  };
-
-  const handleRemoveItem = async (itemId) => {
-    try {
-      await removeItemTrigger(itemId).unwrap();
-    } catch (e) {
-      dispatch(removeLocalItem(itemId));
-    }
-  };
-
   const validateShipping = () => {
     const required = [
       "firstName",
@@ -149,6 +197,7 @@ export const CheckoutPage = () => {
       "city",
       "state",
       "zipCode",
+      "country",
     ];
     return required.every((field) => shippingInfo[field].trim() !== "");
   };
@@ -158,21 +207,110 @@ export const CheckoutPage = () => {
     return required.every((field) => paymentInfo[field].trim() !== "");
   };
 
+  // Guests check out by email with the cart kept in the browser. The order
+  // is emailed a claim link for attaching it to an account later.
+  const placeGuestOrder = async () => {
+    const resp = await createGuestOrderTrigger({
+      idempotencyKey: idempotencyKeyFor("order"),
+      email: shippingInfo.email,
+      items: localItems.map((it) => ({
+        product_id: it.product_id,
+        variant_id: it.variant_id || null,
+        quantity: it.quantity,
+      })),
+      shippingAddress: shippingInfo,
+      shippingMethod: summary?.shipping_method,
+    }).unwrap();
+    guestToken.current = resp?.data?.guestToken;
+    dispatch(clearLocalItems());
+    return resp?.data?.order;
+  };
+
+  const paymentMethod = () => ({
+    type: "card",
+    cardNumber: paymentInfo.cardNumber,
+    expiryDate: paymentInfo.expiryDate,
+    cvv: paymentInfo.cvv,
+    nameOnCard: paymentInfo.nameOnCard,
+  });
+
   const handlePlaceOrder = async () => {
     setIsProcessing(true);
+    setOrderError(null);
 
-    // Simulate order processing
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Clear cart and redirect to success page
-    await clearCart();
-    navigate("/order-success");
+    let stage = "order";
+    try {
+      // The server prices the cart, writes the order and clears the cart
+      let order = pendingOrder;
+      if (!order && !isAuthenticated) {
+        order = await placeGuestOrder();
+        setPendingOrder(order);
+      } else if (!order) {
+        const resp = await createOrderTrigger({
+          shippingAddress: shippingInfo,
+          shippingMethod: summary?.shipping_method,
+          idempotencyKey: idempotencyKeyFor("order"),
+        }).unwrap();
+        order = resp?.data?.order;
+        setPendingOrder(order);
+        if (saveAddress) {
+          // Best effort: a failed save must not block the payment
+          createAddressTrigger({
+            ...shippingInfo,
+            isDefaultShipping: savedAddresses.length === 0,
+          })
+            .unwrap()
+            .catch(() => {});
+          setSaveAddress(false);
+        }
+      }
 
-    setIsProcessing(false);
+      stage = "payment";
+      const payment = guestToken.current
+        ? await createGuestPaymentTrigger({
+            idempotencyKey: idempotencyKeyFor("payment"),
+            guestToken: guestToken.current,
+            orderId: order.id,
+            paymentMethod: paymentMethod(),
+          }).unwrap()
+        : await createPaymentTrigger({
+            idempotencyKey: idempotencyKeyFor("payment"),
+            orderId: order.id,
+            paymentMethod: paymentMethod(),
+          }).unwrap();
+      navigate(`/order-success?order=${order.id}`, {
+        state: {
+          order: { ...order, ...payment?.data?.order },
+          guestEmail: guestToken.current ? order.guest_email : null,
+        },
+      });
+    } catch (e) {
+      if (typeof e?.status === "number") {
+        idempotencyKeys.current[stage] = null;
+      }
+      setOrderError(
+        e?.data?.message || "We couldn't place your order. Please try again."
+      );
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
-  const nextStep = () => {
+  const nextStep = async () => {
     if (step === 1 && validateShipping()) {
+      // Entering the payment step holds the cart's stock for a few minutes
+      if (isAuthenticated && !pendingOrder) {
+        setOrderError(null);
+        try {
+          const resp = await reserveCartTrigger().unwrap();
+          setReservedUntil(resp?.data?.expires_at || null);
+        } catch (e) {
+          setOrderError(
+            e?.data?.error || "Some items are no longer available."
+          );
+          return;
+        }
+      }
       setStep(2);
     } else if (step === 2 && validatePayment()) {
       setStep(3);
@@ -185,7 +323,7 @@ export const CheckoutPage = () => {
     }
   };
 
-  if (cartItems.length === 0) {
+  if (cartItems.length === 0 && !pendingOrder) {
     return null; // Will redirect via useEffect
   }
 
@@ -271,6 +409,48 @@ export const CheckoutPage = () => {
                   </CardTitle>
                 </CardHeader>
                 <CardContent className="space-y-6">
+                  {!isAuthenticated && (
+                    <p className="text-sm text-gray-600 bg-purple-50 rounded-xl p-3">
+                      You're checking out as a guest. We'll email your order
+                      confirmation with a link to add the order to an account.
+                    </p>
+                  )}
+                  {savedAddresses.length > 0 && (
+                    <div>
+                      <p className="block text-sm font-semibold text-gray-700 mb-2">
+                        Saved Addresses
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {savedAddresses.map((address) => (
+                          <button
+                            key={address.id}
+                            type="button"
+                            onClick={() => applySavedAddress(address)}
+                            className={`text-left rounded-xl border-2 p-4 transition-colors ${
+                              selectedAddressId === address.id
+                                ? "border-purple-600 bg-purple-50"
+                                : "border-gray-200 hover:border-purple-300"
+                            }`}
+                          >
+                            <p className="flex items-center gap-2 font-semibold text-gray-900">
+                              <MapPin className="w-4 h-4 text-purple-600" />
+                              {address.label ||
+                                `${address.first_name} ${address.last_name}`}
+                              {address.is_default_shipping && (
+                                <span className="text-xs font-medium text-green-700">
+                                  Default
+                                </span>
+                              )}
+                            </p>
+                            <p className="text-sm text-gray-600 mt-1">
+                              {address.address_line_1}, {address.city}{" "}
+                              {address.postal_code}
+                            </p>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <div>
                       <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -407,6 +587,79 @@ export const CheckoutPage = () => {
                       />
                     </div>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">
+                      Country
+                    </label>
+                    <Input
+                      value={shippingInfo.country}
+                      onChange={(e) =>
+                        handleShippingChange("country", e.target.value)
+                      }
+                      placeholder="Enter country"
+                      className="rounded-xl"
+                      required
+                    />
+                  </div>
+
+                  {!pendingOrder && summary?.shipping_options?.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-2">
+                        Shipping Method
+                      </label>
+                      <div className="space-y-2">
+                        {summary.shipping_options.map((option) => (
+                          <label
+                            key={option.code}
+                            className={`flex items-center justify-between gap-3 p-3 rounded-xl border cursor-pointer ${
+                              option.selected
+                                ? "border-purple-400 bg-purple-50"
+                                : "border-gray-200 hover:border-purple-200"
+                            }`}
+                          >
+                            <span className="flex items-center gap-3">
+                              <input
+                                type="radio"
+                                name="shippingMethod"
+                                checked={option.selected}
+                                onChange={() => setShippingMethod(option.code)}
+                              />
+                              <span>
+                                <span className="block font-semibold text-gray-900">
+                                  {option.name}
+                                </span>
+                                {(option.delivery_time ||
+                                  option.description) && (
+                                  <span className="block text-xs text-gray-500">
+                                    {option.delivery_time ||
+                                      option.description}
+                                  </span>
+                                )}
+                              </span>
+                            </span>
+                            <span className="font-semibold text-gray-900">
+                              {option.amount === 0
+                                ? "Free"
+                                : `$${formatPrice(option.amount)}`}
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {isAuthenticated && !selectedAddressId && !pendingOrder && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={saveAddress}
+                        onChange={(e) => setSaveAddress(e.target.checked)}
+                        className="rounded"
+                      />
+                      Save this address to my address book
+                    </label>
+                  )}
                 </CardContent>
               </Card>
             )}
@@ -421,6 +674,16 @@ export const CheckoutPage = () => {
                   </CardTitle>
                 </CardHeader>
                 <CardContent className="space-y-6">
+                  {reservedUntil && (
+                    <p className="text-sm text-gray-600 bg-purple-50 rounded-xl p-3">
+                      Your items are reserved until{" "}
+                      {new Date(reservedUntil).toLocaleTimeString([], {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                      .
+                    </p>
+                  )}
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">
                       Card Number
@@ -537,6 +800,18 @@ export const CheckoutPage = () => {
               </Card>
             )}
 
+            {orderError && (
+              <div className="bg-red-50 border border-red-200 text-red-700 text-sm p-4 rounded-xl">
+                {orderError}
+                {pendingOrder && (
+                  <p className="mt-1">
+                    Order #{pendingOrder.order_number} is saved and awaiting
+                    payment. Update your card details and try again.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Navigation Buttons */}
             <div className="flex items-center justify-between">
               <Button
@@ -552,7 +827,8 @@ export const CheckoutPage = () => {
                 <Button
                   onClick={nextStep}
                   disabled={
-                    step === 1 ? !validateShipping() : !validatePayment()
+                    isReserving ||
+                    (step === 1 ? !validateShipping() : !validatePayment())
                   }
                   className="bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-semibold px-8 py-3 rounded-xl"
                 >
@@ -561,7 +837,7 @@ export const CheckoutPage = () => {
               ) : (
                 <Button
                   onClick={handlePlaceOrder}
-                  disabled={isProcessing}
+                  disabled={isProcessing || !canPlaceOrder}
                   className="bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 text-white font-semibold px-8 py-3 rounded-xl"
                 >
                   {isProcessing ? (
@@ -584,9 +860,15 @@ export const CheckoutPage = () => {
                 <CardTitle>Order Summary</CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
+                {cartNotice && (
+                  <p className="text-sm text-amber-700 bg-amber-50 p-3 rounded-xl">
+                    {cartNotice}
+                  </p>
+                )}
+
                 {/* Cart Items */}
                 <div className="space-y-4 max-h-64 overflow-y-auto">
-                  {cartItems.map((item) => (
+                  {summaryItems.map((item) => (
                     <div key={item.id} className="flex gap-3">
                       <img
                         src={item.image}
@@ -598,12 +880,22 @@ export const CheckoutPage = () => {
                           {item.name}
                         </h4>
                         <p className="text-xs text-gray-500">
-                          {item.brand} • Size: {item.size}
+                          {[item.brand, variantLabel(item)]
+                            .filter(Boolean)
+                            .join(" • ")}
                         </p>
+                        {!pendingOrder && <CartItemNotice item={item} compact />}
                         <div className="flex items-center justify-between mt-1">
                           <span className="font-semibold text-gray-900">
-                            ${item.price}
+                            {item.unit_price != null
+                              ? `$${formatPrice(item.unit_price)}`
+                              : "—"}
                           </span>
+                          {pendingOrder ? (
+                            <span className="text-sm text-gray-600">
+                              Qty {item.quantity}
+                            </span>
+                          ) : (
                           <div className="flex items-center gap-2">
                             <Button
                               variant="outline"
@@ -629,6 +921,7 @@ export const CheckoutPage = () => {
                               <Plus className="w-3 h-3" />
                             </Button>
                           </div>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -638,27 +931,47 @@ export const CheckoutPage = () => {
                 <Separator />
 
                 {/* Order Totals */}
-                <div className="space-y-2">
-                  <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Subtotal</span>
-                    <span className="font-semibold">${totals.subtotal}</span>
-                  </div>
-                  <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Shipping</span>
-                    <span className="font-semibold text-green-600">
-                      {totals.shipping === 0 ? "Free" : `$${totals.shipping}`}
-                    </span>
-                  </div>
-                  <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Tax</span>
-                    <span className="font-semibold">$0.00</span>
-                  </div>
-                  <Separator />
-                  <div className="flex justify-between text-lg font-bold">
-                    <span>Total</span>
-                    <span>${totals.total}</span>
+                {totals ? (
+                  <div className="space-y-2">
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Subtotal</span>
+                      <span className="font-semibold">
+                        ${formatPrice(totals.subtotal)}
+                      </span>
+                    </div>
+                    {totals.discount > 0 && (
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-600">
+                          {summary?.promotions?.[0]?.name || "Discount"}
+                        </span>
+                        <span className="font-semibold text-green-600">
+                          -${formatPrice(totals.discount)}
+                        </span>
+                      </div>
+                    )}
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Shipping</span>
+                      <span className="font-semibold text-green-600">
+                        {totals.shipping === 0
+                          ? "Free"
+                          : `$${formatPrice(totals.shipping)}`}
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Tax</span>
+                      <span className="font-semibold">
+                        ${totals.tax.toFixed(2)}
+                      </span>
+                    </div>
+                    <Separator />
+                    <div className="flex justify-between text-lg font-bold">
+                      <span>Total</span>
+                      <span>${formatPrice(totals.total)}</span>
+                    </div>
                   </div>
-                </div>
+                ) : (
+                  <p className="text-sm text-gray-500">Calculating totals...</p>
+                )}
 
                 {/* Security Badge */}
                 <div className="bg-green-50 p-3 rounded-xl">
@@ -0,0 +1,91 @@
+import React from "react";
+import { useSearchParams } from "react-router-dom";
+import { CheckCircle, Package, AlertCircle } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Card, CardContent } from "../components/ui/card";
+import { useAuthRedux } from "../hooks/useAuthRedux";
+import { useClaimOrderMutation } from "../services/api";
+import { useNavigateWithScroll } from "../utils/navigation";
+
+// Landing page for the link emailed after guest checkout. Signed-in users
+// claim straight away; others sign in or register first and come back here.
+export const ClaimOrderPage = () => {
+  const navigate = useNavigateWithScroll();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { isAuthenticated } = useAuthRedux();
+  const [claimOrder, { data, error, isLoading, isUninitialized }] =
+    useClaimOrderMutation();
+
+  React.useEffect(() => {
+    if (token && isAuthenticated && isUninitialized) {
+      claimOrder(token);
+    }
+  }, [token, isAuthenticated, isUninitialized, claimOrder]);
+
+  const returnTo = { from: `/claim-order?token=${encodeURIComponent(token || "")}` };
+  const order = data?.data?.order;
+
+  let icon = <Package className="w-12 h-12 text-purple-600 mx-auto mb-4" />;
+  let title = "Add your order to an account";
+  let message =
+    "Sign in or create an account with any email to keep track of your guest order.";
+  let actions = (
+    <div className="flex flex-col sm:flex-row gap-3 justify-center">
+      <Button
+        onClick={() => navigate("/login", { state: returnTo })}
+        className="rounded-xl bg-purple-600 hover:bg-purple-700"
+      >
+        Sign In
+      </Button>
+      <Button
+        variant="outline"
+        onClick={() => navigate("/register", { state: returnTo })}
+        className="rounded-xl"
+      >
+        Create Account
+      </Button>
+    </div>
+  );
+
+  if (!token) {
+    icon = <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />;
+    title = "Invalid link";
+    message = "This link is missing its token. Please use the link from your email.";
+    actions = null;
+  } else if (isAuthenticated && (isLoading || isUninitialized)) {
+    title = "Adding order to your account...";
+    message = "";
+    actions = null;
+  } else if (isAuthenticated && error) {
+    icon = <AlertCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />;
+    title = "We couldn't add this order";
+    message = error?.data?.message || "Please try again later.";
+    actions = null;
+  } else if (order) {
+    icon = <CheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />;
+    title = "Order added to your account";
+    message = `Order #${order.order_number} now appears in your order history.`;
+    actions = (
+      <Button
+        onClick={() => navigate("/profile?tab=orders")}
+        className="rounded-xl bg-purple-600 hover:bg-purple-700"
+      >
+        View Orders
+      </Button>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12 px-4">
+      <Card className="max-w-lg w-full border-0 shadow-lg rounded-2xl">
+        <CardContent className="p-8 text-center">
+          {icon}
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">{title}</h1>
+          {message && <p className="text-gray-600 mb-6">{message}</p>}
+          {actions}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
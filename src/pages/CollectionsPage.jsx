@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import { Button, Card, CardContent } from "../components/ui";
+import { ArrowLeft, Heart } from "lucide-react";
+import { useGetPublicCollectionsQuery } from "../services/api";
+import { useNavigateWithScroll } from "../utils/navigation";
+
+const PAGE_SIZE = 12;
+
+// Collections shoppers have made public, newest changes first
+export const CollectionsPage = () => {
+  const navigate = useNavigateWithScroll();
+  const [page, setPage] = useState(1);
+  const { data, isLoading, isError } = useGetPublicCollectionsQuery({
+    page,
+    limit: PAGE_SIZE,
+  });
+  const collections = data?.data?.collections || [];
+  const total = data?.data?.pagination?.total || 0;
+  const pages = Math.ceil(total / PAGE_SIZE);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="flex items-center gap-4 mb-8">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => navigate(-1)}
+            className="rounded-full hover:bg-gray-100"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+          <div>
+            <h1 className="text-3xl font-black text-gray-900">Collections</h1>
+            <p className="text-gray-600 mt-1">
+              Wishlists shoppers have shared with everyone
+            </p>
+          </div>
+        </div>
+
+        {isError ? (
+          <p className="text-center text-gray-600 py-20">
+            Collections could not be loaded. Please try again.
+          </p>
+        ) : isLoading ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8">
+            {[...Array(6)].map((_, i) => (
+              <div
+                key={i}
+                className="h-72 bg-gray-200 rounded-2xl animate-pulse"
+              />
+            ))}
+          </div>
+        ) : collections.length === 0 ? (
+          <div className="text-center py-20">
+            <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
+              <Heart className="w-16 h-16 text-gray-400" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">
+              No public collections yet
+            </h2>
+            <p className="text-gray-600 max-w-md mx-auto">
+              Make one of your wishlist collections public and it will show up
+              here.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8">
+              {collections.map((collection) => (
+                <Card
+                  key={collection.share_token}
+                  onClick={() =>
+                    navigate(`/collections/${collection.share_token}`)
+                  }
+                  className="group cursor-pointer border-0 shadow-sm hover:shadow-xl transition-all duration-300 bg-white overflow-hidden rounded-2xl"
+                >
+                  <CardContent className="p-0">
+                    <div className="h-48 bg-gradient-to-br from-red-50 to-pink-100 overflow-hidden">
+                      {collection.cover_image ? (
+                        <img
+                          src={collection.cover_image}
+                          alt={collection.name}
+                          loading="lazy"
+                          className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500"
+                        />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center">
+                          <Heart className="w-12 h-12 text-red-300" />
+                        </div>
+                      )}
+                    </div>
+                    <div className="p-6 space-y-2">
+                      <h3 className="font-bold text-gray-900 text-lg leading-tight">
+                        {collection.name}
+                      </h3>
+                      <p className="text-sm text-gray-600">
+                        By {collection.owner.name} · {collection.item_count}{" "}
+                        {collection.item_count === 1 ? "item" : "items"}
+                      </p>
+                      {collection.description && (
+                        <p className="text-sm text-gray-700 line-clamp-2">
+                          {collection.description}
+                        </p>
+                      )}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+
+            {pages > 1 && (
+              <div className="flex items-center justify-center gap-4 mt-10">
+                <Button
+                  variant="outline"
+                  disabled={page <= 1}
+                  onClick={() => setPage((p) => p - 1)}
+                  className="rounded-xl"
+                >
+                  Previous
+                </Button>
+                <span className="text-sm text-gray-600">
+                  Page {page} of {pages}
+                </span>
+                <Button
+                  variant="outline"
+                  disabled={page >= pages}
+                  onClick={() => setPage((p) => p + 1)}
+                  className="rounded-xl"
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,4 +1,5 @@
-import React from "react";
+import React, { useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import { Button } from "../components/ui/button";
 import {
   Card,
@@ -6,7 +7,6 @@ import {
   CardHeader,
   CardTitle,
 } from "../components/ui/card";
-import { Separator } from "../components/ui/separator";
 import {
   ArrowLeft,
   BarChart3,
@@ -17,41 +17,93 @@ import {
   Check,
   Minus,
   Eye,
+  Link2,
 } from "lucide-react";
 import { useCompare } from "../contexts/CompareContext";
-import { useSelector } from "react-redux";
-import { useAuthRedux } from "../hooks/useAuthRedux";
-import { useGetCartQuery } from "../services/api";
-import { useDispatch } from "react-redux";
-import { addLocalItem } from "../store/cartSlice";
-import { useAddItemMutation } from "../services/api";
+import { COMPARE_MAX_ITEMS, isComparable } from "../store/compareSlice";
+import { useGetComparisonQuery } from "../services/api";
+import { useCartActions } from "../hooks/useCartActions";
 import { useWishlist } from "../contexts/WishlistContext";
 import { useNavigateWithScroll } from "../utils/navigation";
+import { formatPrice } from "../utils/formatNumbers";
 
-export const ComparePage = () => {
-  const { items: compareItems, removeItem, clearCompare } = useCompare();
-  const localItems = useSelector((s) => s.cart?.localItems || []);
-  const { isAuthenticated } = useAuthRedux();
-  const { data: cartResponse } = useGetCartQuery(undefined, {
-    skip: !isAuthenticated,
-  });
-  const serverItems = cartResponse?.data?.items || [];
-  const sourceItems = isAuthenticated ? serverItems : localItems;
+// ?ids=a,b,c -> the product ids a shared comparison shows
+const parseSharedIds = (raw) =>
+  [...new Set(raw.split(",").map((id) => id.trim().toLowerCase()))]
+    .filter(isComparable)
+    .slice(0, COMPARE_MAX_ITEMS);
+
+// Label column plus one column per product
+const gridCols = (count) =>
+  count === 1
+    ? "lg:grid-cols-2"
+    : count === 2
+      ? "lg:grid-cols-3"
+      : count === 3
+        ? "lg:grid-cols-4"
+        : "lg:grid-cols-5";
+
+const GROUPS = [
+  { id: "overview", label: "Overview" },
+  { id: "specifications", label: "Specifications" },
+];
 
-  const isInCart = (productId) =>
-    sourceItems.some((item) => item.product_id === productId);
-  const dispatch = useDispatch();
-  const [addItemTrigger] = useAddItemMutation();
+// Side by side comparison of the shopper's compare list, or of the products
+// in a shared link (`/compare?ids=...`). Rows come from the API, which lines
+// up each product's specifications and flags the rows where they differ.
+export const ComparePage = () => {
+  const {
+    items: compareItems,
+    loading: listLoading,
+    removeItem,
+    replaceItems,
+    clearCompare,
+  } = useCompare();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sharedParam = searchParams.get("ids");
+  const isShared = sharedParam !== null;
+  const { addItem: addToCart, notice: cartNotice } = useCartActions();
   const { addItem: addToWishlist, isInWishlist } = useWishlist();
   const navigate = useNavigateWithScroll();
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [shareError, setShareError] = useState(null);
+
+  const ownIds = useMemo(
+    () => compareItems.map((item) => item.product_id).filter(isComparable),
+    [compareItems]
+  );
+  const ids = useMemo(
+    () => (isShared ? parseSharedIds(sharedParam) : ownIds),
+    [isShared, sharedParam, ownIds]
+  );
+  const demoCount = isShared ? 0 : compareItems.length - ownIds.length;
+
+  const { data, isFetching, isError } = useGetComparisonQuery(ids, {
+    skip: ids.length === 0,
+  });
+  const comparison = ids.length > 0 ? data?.data : null;
+  const products = comparison?.products || [];
+  const rows = useMemo(
+    () =>
+      (comparison?.rows || []).filter((row) => !onlyDifferences || row.differs),
+    [comparison, onlyDifferences]
+  );
+  const differingCount = (comparison?.rows || []).filter(
+    (row) => row.differs
+  ).length;
 
   // Scroll to top when component mounts
   React.useEffect(() => {
     window.scrollTo(0, 0);
   }, []);
 
-  const handleRemoveFromCompare = async (itemId) => {
-    await removeItem(itemId);
+  const handleRemoveFromCompare = async (productId) => {
+    if (isShared) {
+      setSearchParams({ ids: ids.filter((id) => id !== productId).join(",") });
+      return;
+    }
+    await removeItem(productId);
   };
 
   const handleClearCompare = async () => {
@@ -64,81 +116,76 @@ export const ComparePage = () => {
     }
   };
 
-  const handleAddToCart = async (item) => {
-    const product = {
-      id: item.product_id,
-      name: item.name,
-      brand: item.brand,
-      price: item.price,
-      originalPrice: item.originalPrice,
-      image: item.image,
-    };
+  // Make the shared comparison the shopper's own compare list
+  const handleUseShared = async () => {
+    const result = await replaceItems(products);
+    if (result.success) setSearchParams({});
+  };
 
+  const handleCopyLink = async () => {
+    setShareError(null);
     try {
-      await addItemTrigger({ product_id: product.id, quantity: 1 }).unwrap();
-    } catch (e) {
-      dispatch(
-        addLocalItem({
-          id: `local-${Date.now()}`,
-          product_id: product.id,
-          variant_id: null,
-          quantity: 1,
-          name: product.name,
-          price: product.price,
-          image: product.image,
-        })
-      );
+      await navigator.clipboard.writeText(comparison.share_url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      setShareError(`Could not copy the link: ${comparison.share_url}`);
     }
   };
 
-  const handleAddToWishlist = async (item) => {
-    const product = {
-      id: item.product_id,
-      name: item.name,
-      brand: item.brand,
-      price: item.price,
-      originalPrice: item.originalPrice,
-      image: item.image,
-      rating: item.rating,
-      reviews: item.reviews,
-      colors: item.colors,
-    };
+  const handleAddToCart = (product) =>
+    addToCart({
+      product_id: product.id,
+      quantity: 1,
+      name: product.name,
+      price: product.price,
+      image: product.image,
+    });
 
-    await addToWishlist(product);
+  const handleAddToWishlist = async (product) => {
+    await addToWishlist({
+      id: product.id,
+      name: product.name,
+      brand: product.brand_name,
+      price: product.price,
+      originalPrice:
+        product.compare_price > product.price ? product.compare_price : null,
+      image: product.image,
+      rating: product.avg_rating,
+      reviews: product.review_count,
+      colors: product.colors,
+    });
   };
 
   const handleViewProduct = (productId) => {
     navigate(`/product/${productId}`);
   };
 
-  // Comparison attributes
-  const comparisonAttributes = [
-    { key: "price", label: "Price", type: "price" },
-    { key: "rating", label: "Customer Rating", type: "rating" },
-    { key: "reviews", label: "Total Reviews", type: "number" },
-    { key: "colors", label: "Available Colors", type: "colors" },
-    { key: "features", label: "Key Features", type: "features" },
-    { key: "specifications", label: "Specifications", type: "specifications" },
-  ];
-
-  const renderAttributeValue = (item, attribute) => {
-    switch (attribute.type) {
+  const renderCell = (row, cell, product) => {
+    if (!cell) {
+      return (
+        <div className="flex justify-center">
+          <Minus className="w-4 h-4 text-gray-300" />
+        </div>
+      );
+    }
+    switch (row.type) {
       case "price":
         return (
           <div className="space-y-1 text-center">
             <div className="flex items-center justify-center gap-2">
               <span className="text-2xl font-bold text-gray-900">
-                ${item.price}
+                ${formatPrice(product.price)}
               </span>
-              {item.originalPrice && (
+              {product.compare_price > product.price && (
                 <span className="text-lg text-gray-400 line-through">
-                  ${item.originalPrice}
+                  ${formatPrice(product.compare_price)}
                 </span>
               )}
             </div>
-            {item.originalPrice && (
+            {product.compare_price > product.price && (
               <span className="text-sm font-bold text-green-600">
-                Save ${item.originalPrice - item.price}
+                Save ${formatPrice(product.compare_price - product.price)}
               </span>
             )}
           </div>
@@ -151,7 +198,7 @@ export const ComparePage = () => {
                 <Star
                   key={i}
                   className={`w-4 h-4 ${
-                    i < Math.floor(item.rating)
+                    i < Math.floor(cell.value)
                       ? "fill-yellow-400 text-yellow-400"
                       : "text-gray-200"
                   }`}
@@ -159,7 +206,7 @@ export const ComparePage = () => {
               ))}
             </div>
             <p className="text-sm text-gray-600 font-semibold">
-              {item.rating} out of 5
+              {cell.display}
             </p>
           </div>
         );
@@ -167,86 +214,64 @@ export const ComparePage = () => {
         return (
           <div className="text-center">
             <span className="text-xl font-bold text-gray-900">
-              {item[attribute.key].toLocaleString()}
+              {Number(cell.value).toLocaleString()}
             </span>
             <p className="text-sm text-gray-600">reviews</p>
           </div>
         );
-      case "colors":
+      case "boolean":
+        return (
+          <div className="flex items-center justify-center gap-2 text-sm">
+            {cell.value ? (
+              <Check className="w-4 h-4 text-green-500" />
+            ) : (
+              <X className="w-4 h-4 text-red-500" />
+            )}
+            <span className="text-gray-700">{cell.display}</span>
+          </div>
+        );
+      case "colors": {
+        const colors = Array.isArray(cell.value) ? cell.value : [cell.value];
         return (
           <div className="space-y-2">
             <div className="flex gap-1 flex-wrap justify-center">
-              {item.colors.slice(0, 6).map((color, index) => (
+              {colors.slice(0, 6).map((color, index) => (
                 <div
                   key={index}
                   className="w-6 h-6 rounded-full border border-gray-200"
                   style={{ backgroundColor: color }}
-                  title={`Color ${index + 1}`}
+                  title={String(color)}
                 />
               ))}
             </div>
             <p className="text-sm text-gray-600 text-center">
-              {item.colors.length} color{item.colors.length !== 1 ? "s" : ""}{" "}
-              available
-              {item.colors.length > 6 && ` (+${item.colors.length - 6} more)`}
+              {colors.length} color{colors.length !== 1 ? "s" : ""} available
+              {colors.length > 6 && ` (+${colors.length - 6} more)`}
             </p>
           </div>
         );
-      case "features":
-        return (
-          <ul className="space-y-1">
-            {item.features.slice(0, 4).map((feature, index) => (
-              <li key={index} className="flex items-start gap-2 text-sm">
-                <Check className="w-3 h-3 text-green-500 flex-shrink-0 mt-0.5" />
-                <span className="text-gray-700">{feature}</span>
-              </li>
-            ))}
-            {item.features.length > 4 && (
-              <li className="text-sm text-gray-500 ml-5">
-                +{item.features.length - 4} more features
-              </li>
-            )}
-          </ul>
-        );
-      case "specifications":
+      }
+      default:
         return (
-          <div className="space-y-2">
-            {Object.entries(item.specifications)
-              .slice(0, 3)
-              .map(([key, value]) => (
-                <div key={key} className="text-sm">
-                  <span className="font-medium text-gray-700">{key}:</span>
-                  <span className="text-gray-600 ml-1">{value}</span>
-                </div>
-              ))}
-            {Object.keys(item.specifications).length > 3 && (
-              <p className="text-sm text-gray-500">
-                +{Object.keys(item.specifications).length - 3} more specs
-              </p>
-            )}
-          </div>
+          <p className="text-sm text-gray-700 text-center">{cell.display}</p>
         );
-      default:
-        return <span className="text-gray-700">{item[attribute.key]}</span>;
     }
   };
 
-  // Redirect if no items to compare
-  React.useEffect(() => {
-    if (compareItems.length === 0) {
-      navigate("/");
-    }
-  }, [compareItems.length, navigate]);
+  // Best value is rating weighted by review count per dollar
+  const valueScore = (product) =>
+    product.price > 0
+      ? (product.avg_rating * product.review_count) / product.price
+      : 0;
 
-  if (compareItems.length === 0) {
-    return null; // Will redirect via useEffect
-  }
+  const hasProducts = products.length > 0;
+  const loading = isFetching || (!isShared && listLoading);
 
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="flex items-center justify-between mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
           <div className="flex items-center gap-4">
             <Button
               variant="ghost"
@@ -262,244 +287,93 @@ export const ComparePage = () => {
                 Product Comparison
               </h1>
               <p className="text-gray-600 mt-1">
-                Comparing {compareItems.length} product
-                {compareItems.length !== 1 ? "s" : ""}
+                Comparing {products.length} product
+                {products.length !== 1 ? "s" : ""}
+                {differingCount > 0 &&
+                  ` · ${differingCount} difference${
+                    differingCount !== 1 ? "s" : ""
+                  }`}
               </p>
             </div>
           </div>
 
-          <Button
-            variant="outline"
-            onClick={handleClearCompare}
-            className="rounded-xl hover:bg-red-50 hover:border-red-200 hover:text-red-600"
-          >
-            Clear All
-          </Button>
-        </div>
-
-        {/* Comparison Table */}
-        <Card className="border-0 shadow-lg rounded-2xl overflow-hidden">
-          <CardContent className="p-0">
-            {/* Product Headers */}
-            <div
-              className={`grid grid-cols-1 gap-0 border-b border-gray-100 ${
-                compareItems.length === 1
-                  ? "lg:grid-cols-2"
-                  : compareItems.length === 2
-                  ? "lg:grid-cols-3"
-                  : compareItems.length === 3
-                  ? "lg:grid-cols-4"
-                  : "lg:grid-cols-5"
-              }`}
-            >
-              <div className="lg:col-span-1 p-6 bg-gray-50 border-r border-gray-100">
-                <h3 className="font-bold text-gray-900 text-lg">Products</h3>
-                <p className="text-sm text-gray-600 mt-1">
-                  Comparing {compareItems.length} item
-                  {compareItems.length !== 1 ? "s" : ""}
-                </p>
-              </div>
-
-              {compareItems.map((item) => (
-                <div
-                  key={item.id}
-                  className="p-6 text-center border-r border-gray-100 last:border-r-0"
+          {hasProducts && (
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={onlyDifferences}
+                  onChange={(e) => setOnlyDifferences(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                Only show differences
+              </label>
+              <Button
+                variant="outline"
+                onClick={handleCopyLink}
+                className="rounded-xl"
+              >
+                {copied ? (
+                  <Check className="w-4 h-4 mr-2" />
+                ) : (
+                  <Link2 className="w-4 h-4 mr-2" />
+                )}
+                {copied ? "Copied" : "Share"}
+              </Button>
+              {!isShared && (
+                <Button
+                  variant="outline"
+                  onClick={handleClearCompare}
+                  className="rounded-xl hover:bg-red-50 hover:border-red-200 hover:text-red-600"
                 >
-                  <div className="relative mb-4">
-                    <img
-                      src={item.image}
-                      alt={item.name}
-                      className="w-24 h-24 object-cover rounded-xl mx-auto"
-                    />
-                    <Button
-                      variant="outline"
-                      size="icon"
-                      onClick={() => handleRemoveFromCompare(item.id)}
-                      className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-white shadow-lg hover:bg-red-50 hover:border-red-200"
-                    >
-                      <X className="w-3 h-3 text-red-500" />
-                    </Button>
-                  </div>
-                  <div className="space-y-2">
-                    <p className="text-xs text-blue-600 font-bold uppercase">
-                      {item.brand}
-                    </p>
-                    <h4 className="font-semibold text-gray-900 leading-tight">
-                      {item.name}
-                    </h4>
-                    <div className="flex items-center gap-2 justify-center">
-                      <Button
-                        variant="outline"
-                        size="icon"
-                        onClick={() => handleAddToWishlist(item)}
-                        className={`w-8 h-8 rounded-full ${
-                          isInWishlist(item.product_id)
-                            ? "text-red-500 border-red-200 bg-red-50"
-                            : "hover:text-red-500 hover:border-red-200"
-                        }`}
-                      >
-                        <Heart
-                          className={`w-3 h-3 ${
-                            isInWishlist(item.product_id) ? "fill-current" : ""
-                          }`}
-                        />
-                      </Button>
-                      <Button
-                        variant="outline"
-                        size="icon"
-                        onClick={() => handleViewProduct(item.product_id)}
-                        className="w-8 h-8 rounded-full hover:text-blue-600 hover:border-blue-200"
-                      >
-                        <Eye className="w-3 h-3" />
-                      </Button>
-                      <Button
-                        onClick={() => handleAddToCart(item)}
-                        className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold px-4 py-1 rounded-lg text-sm"
-                      >
-                        <ShoppingBag className="w-3 h-3 mr-1" />
-                        Add
-                      </Button>
-                    </div>
-                  </div>
-                </div>
-              ))}
+                  Clear All
+                </Button>
+              )}
             </div>
+          )}
+        </div>
 
-            {/* Comparison Attributes */}
-            <div className="divide-y divide-gray-100">
-              {comparisonAttributes.map((attribute) => (
-                <div
-                  key={attribute.key}
-                  className={`grid grid-cols-1 gap-0 ${
-                    compareItems.length === 1
-                      ? "lg:grid-cols-2"
-                      : compareItems.length === 2
-                      ? "lg:grid-cols-3"
-                      : compareItems.length === 3
-                      ? "lg:grid-cols-4"
-                      : "lg:grid-cols-5"
-                  }`}
-                >
-                  <div className="lg:col-span-1 p-6 bg-gray-50 border-r border-gray-100">
-                    <h4 className="font-semibold text-gray-900">
-                      {attribute.label}
-                    </h4>
-                  </div>
-
-                  {compareItems.map((item) => (
-                    <div
-                      key={item.id}
-                      className="p-6 border-r border-gray-100 last:border-r-0"
-                    >
-                      {renderAttributeValue(item, attribute)}
-                    </div>
-                  ))}
-                </div>
-              ))}
+        {isShared && hasProducts && (
+          <div className="mb-6 flex flex-wrap items-center justify-between gap-4 bg-blue-50 border border-blue-100 rounded-2xl p-4">
+            <p className="text-blue-800 text-sm">
+              You are looking at a comparison someone shared.
+            </p>
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                onClick={() => setSearchParams({})}
+                className="rounded-xl"
+              >
+                Back to my comparison
+              </Button>
+              <Button onClick={handleUseShared} className="rounded-xl">
+                Use this comparison
+              </Button>
             </div>
-          </CardContent>
-        </Card>
-
-        {/* Comparison Insights */}
-        {compareItems.length >= 2 && (
-          <Card className="border-0 shadow-lg rounded-2xl mt-8">
-            <CardHeader>
-              <CardTitle className="flex items-center gap-2">
-                <BarChart3 className="w-5 h-5 text-blue-600" />
-                Comparison Insights
-              </CardTitle>
-            </CardHeader>
-            <CardContent className="space-y-6">
-              {/* Best Value */}
-              <div className="bg-green-50 p-4 rounded-xl">
-                <h4 className="font-semibold text-green-800 mb-2">
-                  💰 Best Value
-                </h4>
-                {(() => {
-                  const bestValue = compareItems.reduce((best, item) => {
-                    const valueScore =
-                      (item.rating * item.reviews) / item.price;
-                    const bestScore = (best.rating * best.reviews) / best.price;
-                    return valueScore > bestScore ? item : best;
-                  });
-                  return (
-                    <p className="text-green-700">
-                      <span className="font-bold">{bestValue.name}</span> by{" "}
-                      {bestValue.brand} offers the best value for money
-                    </p>
-                  );
-                })()}
-              </div>
-
-              {/* Highest Rated */}
-              <div className="bg-yellow-50 p-4 rounded-xl">
-                <h4 className="font-semibold text-yellow-800 mb-2">
-                  ⭐ Highest Rated
-                </h4>
-                {(() => {
-                  const highestRated = compareItems.reduce((best, item) =>
-                    item.rating > best.rating ? item : best
-                  );
-                  return (
-                    <p className="text-yellow-700">
-                      <span className="font-bold">{highestRated.name}</span> has
-                      the highest customer rating at {highestRated.rating}/5
-                    </p>
-                  );
-                })()}
-              </div>
-
-              {/* Most Popular */}
-              <div className="bg-blue-50 p-4 rounded-xl">
-                <h4 className="font-semibold text-blue-800 mb-2">
-                  🔥 Most Popular
-                </h4>
-                {(() => {
-                  const mostPopular = compareItems.reduce((best, item) =>
-                    item.reviews > best.reviews ? item : best
-                  );
-                  return (
-                    <p className="text-blue-700">
-                      <span className="font-bold">{mostPopular.name}</span> is
-                      the most popular with{" "}
-                      {mostPopular.reviews.toLocaleString()} reviews
-                    </p>
-                  );
-                })()}
-              </div>
+          </div>
+        )}
 
-              {/* Price Range */}
-              <div className="bg-purple-50 p-4 rounded-xl">
-                <h4 className="font-semibold text-purple-800 mb-2">
-                  💵 Price Range
-                </h4>
-                {(() => {
-                  const prices = compareItems.map((item) => item.price);
-                  const minPrice = Math.min(...prices);
-                  const maxPrice = Math.max(...prices);
-                  return (
-                    <p className="text-purple-700">
-                      Price range:{" "}
-                      <span className="font-bold">
-                        ${minPrice} - ${maxPrice}
-                      </span>
-                      {minPrice !== maxPrice && (
-                        <span className="ml-2">
-                          (
-                          {Math.round(((maxPrice - minPrice) / minPrice) * 100)}
-                          % difference)
-                        </span>
-                      )}
-                    </p>
-                  );
-                })()}
-              </div>
-            </CardContent>
-          </Card>
+        {demoCount > 0 && (
+          <p className="mb-6 text-sm text-amber-700">
+            {demoCount} product{demoCount !== 1 ? "s" : ""} in your list can't
+            be compared here.
+          </p>
+        )}
+        {cartNotice && (
+          <p className="mb-6 text-sm text-amber-700">{cartNotice}</p>
+        )}
+        {shareError && (
+          <p className="mb-6 text-sm text-red-600">{shareError}</p>
         )}
 
-        {/* Empty State */}
-        {compareItems.length === 0 && (
+        {isError ? (
+          <p className="text-center text-gray-600 py-20">
+            The comparison could not be loaded. Please try again.
+          </p>
+        ) : loading && !hasProducts ? (
+          <div className="h-96 bg-gray-200 rounded-2xl animate-pulse" />
+        ) : !hasProducts ? (
+          /* Empty State */
           <div className="text-center py-20">
             <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
               <BarChart3 className="w-16 h-16 text-gray-400" />
@@ -518,6 +392,251 @@ export const ComparePage = () => {
               Discover Products
             </Button>
           </div>
+        ) : (
+          <>
+            {/* Comparison Table */}
+            <Card className="border-0 shadow-lg rounded-2xl overflow-hidden">
+              <CardContent className="p-0">
+                {/* Product Headers */}
+                <div
+                  className={`grid grid-cols-1 gap-0 border-b border-gray-100 ${gridCols(
+                    products.length
+                  )}`}
+                >
+                  <div className="lg:col-span-1 p-6 bg-gray-50 border-r border-gray-100">
+                    <h3 className="font-bold text-gray-900 text-lg">
+                      Products
+                    </h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Rows where they differ are highlighted
+                    </p>
+                  </div>
+
+                  {products.map((product) => (
+                    <div
+                      key={product.id}
+                      className="p-6 text-center border-r border-gray-100 last:border-r-0"
+                    >
+                      <div className="relative mb-4">
+                        <img
+                          src={product.image}
+                          alt={product.name}
+                          className="w-24 h-24 object-cover rounded-xl mx-auto"
+                        />
+                        <Button
+                          variant="outline"
+                          size="icon"
+                          onClick={() => handleRemoveFromCompare(product.id)}
+                          className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-white shadow-lg hover:bg-red-50 hover:border-red-200"
+                        >
+                          <X className="w-3 h-3 text-red-500" />
+                        </Button>
+                      </div>
+                      <div className="space-y-2">
+                        <p className="text-xs text-blue-600 font-bold uppercase">
+                          {product.brand_name}
+                        </p>
+                        <h4 className="font-semibold text-gray-900 leading-tight">
+                          {product.name}
+                        </h4>
+                        <div className="flex items-center gap-2 justify-center">
+                          <Button
+                            variant="outline"
+                            size="icon"
+                            onClick={() => handleAddToWishlist(product)}
+                            className={`w-8 h-8 rounded-full ${
+                              isInWishlist(product.id)
+                                ? "text-red-500 border-red-200 bg-red-50"
+                                : "hover:text-red-500 hover:border-red-200"
+                            }`}
+                          >
+                            <Heart
+                              className={`w-3 h-3 ${
+                                isInWishlist(product.id) ? "fill-current" : ""
+                              }`}
+                            />
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="icon"
+                            onClick={() => handleViewProduct(product.id)}
+                            className="w-8 h-8 rounded-full hover:text-blue-600 hover:border-blue-200"
+                          >
+                            <Eye className="w-3 h-3" />
+                          </Button>
+                          <Button
+                            onClick={() => handleAddToCart(product)}
+                            disabled={!product.in_stock}
+                            className="bg-gradient-to-r from-blue-500 to-indigo-500 hover:from-blue-600 hover:to-indigo-600 text-white font-semibold px-4 py-1 rounded-lg text-sm disabled:opacity-50"
+                          >
+                            <ShoppingBag className="w-3 h-3 mr-1" />
+                            Add
+                          </Button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {/* Comparison Rows */}
+                {GROUPS.map((group) => {
+                  const groupRows = rows.filter(
+                    (row) => row.group === group.id
+                  );
+                  if (groupRows.length === 0) return null;
+                  return (
+                    <div key={group.id}>
+                      <div className="px-6 py-3 bg-gray-100 text-xs font-bold uppercase tracking-wider text-gray-600">
+                        {group.label}
+                      </div>
+                      <div className="divide-y divide-gray-100">
+                        {groupRows.map((row) => (
+                          <div
+                            key={row.key}
+                            className={`grid grid-cols-1 gap-0 ${gridCols(
+                              products.length
+                            )} ${row.differs ? "bg-amber-50/60" : ""}`}
+                          >
+                            <div className="lg:col-span-1 p-6 bg-gray-50 border-r border-gray-100">
+                              <h4 className="font-semibold text-gray-900">
+                                {row.label}
+                              </h4>
+                              {row.unit && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                  in {row.unit}
+                                </p>
+                              )}
+                              {row.differs && (
+                                <p className="text-xs font-semibold text-amber-700 mt-1">
+                                  Differs
+                                </p>
+                              )}
+                            </div>
+
+                            {products.map((product, index) => (
+                              <div
+                                key={product.id}
+                                className="p-6 border-r border-gray-100 last:border-r-0"
+                              >
+                                {renderCell(row, row.values[index], product)}
+                              </div>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+                {rows.length === 0 && (
+                  <p className="p-6 text-center text-gray-600">
+                    These products match on everything we compare.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Comparison Insights */}
+            {products.length >= 2 && (
+              <Card className="border-0 shadow-lg rounded-2xl mt-8">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <BarChart3 className="w-5 h-5 text-blue-600" />
+                    Comparison Insights
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  {/* Best Value */}
+                  <div className="bg-green-50 p-4 rounded-xl">
+                    <h4 className="font-semibold text-green-800 mb-2">
+                      💰 Best Value
+                    </h4>
+                    {(() => {
+                      const bestValue = products.reduce((best, product) =>
+                        valueScore(product) > valueScore(best) ? product : best
+                      );
+                      return (
+                        <p className="text-green-700">
+                          <span className="font-bold">{bestValue.name}</span>
+                          {bestValue.brand_name &&
+                            ` by ${bestValue.brand_name}`}{" "}
+                          offers the best value for money
+                        </p>
+                      );
+                    })()}
+                  </div>
+
+                  {/* Highest Rated */}
+                  <div className="bg-yellow-50 p-4 rounded-xl">
+                    <h4 className="font-semibold text-yellow-800 mb-2">
+                      ⭐ Highest Rated
+                    </h4>
+                    {(() => {
+                      const highestRated = products.reduce((best, product) =>
+                        product.avg_rating > best.avg_rating ? product : best
+                      );
+                      return (
+                        <p className="text-yellow-700">
+                          <span className="font-bold">{highestRated.name}</span>{" "}
+                          has the highest customer rating at{" "}
+                          {Math.round(highestRated.avg_rating * 10) / 10}/5
+                        </p>
+                      );
+                    })()}
+                  </div>
+
+                  {/* Most Popular */}
+                  <div className="bg-blue-50 p-4 rounded-xl">
+                    <h4 className="font-semibold text-blue-800 mb-2">
+                      🔥 Most Popular
+                    </h4>
+                    {(() => {
+                      const mostPopular = products.reduce((best, product) =>
+                        product.review_count > best.review_count
+                          ? product
+                          : best
+                      );
+                      return (
+                        <p className="text-blue-700">
+                          <span className="font-bold">{mostPopular.name}</span>{" "}
+                          is the most popular with{" "}
+                          {mostPopular.review_count.toLocaleString()} reviews
+                        </p>
+                      );
+                    })()}
+                  </div>
+
+                  {/* Price Range */}
+                  <div className="bg-purple-50 p-4 rounded-xl">
+                    <h4 className="font-semibold text-purple-800 mb-2">
+                      💵 Price Range
+                    </h4>
+                    {(() => {
+                      const prices = products.map((product) => product.price);
+                      const minPrice = Math.min(...prices);
+                      const maxPrice = Math.max(...prices);
+                      return (
+                        <p className="text-purple-700">
+                          Price range:{" "}
+                          <span className="font-bold">
+                            ${formatPrice(minPrice)} - ${formatPrice(maxPrice)}
+                          </span>
+                          {minPrice > 0 && minPrice !== maxPrice && (
+                            <span className="ml-2">
+                              (
+                              {Math.round(
+                                ((maxPrice - minPrice) / minPrice) * 100
+                              )}
+                              % difference)
+                            </span>
+                          )}
+                        </p>
+                      );
+                    })()}
+                  </div>
+                </CardContent>
+              </Card>
+            )}
+          </>
         )}
       </div>
     </div>
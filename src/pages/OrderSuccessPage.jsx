@@ -2,22 +2,63 @@ import React from 'react';
 import { Button } from '../components/ui/button';
 import { Card, CardContent } from '../components/ui/card';
 import { CheckCircle, Package, Truck, Mail, ArrowRight, Download } from 'lucide-react';
+import { useLocation, useSearchParams } from 'react-router-dom';
 import { useNavigateWithScroll } from '../utils/navigation';
+import { useAuthRedux } from '../hooks/useAuthRedux';
+import { useGetOrderQuery } from '../services/api';
 
 export const OrderSuccessPage = () => {
   const navigate = useNavigateWithScroll();
-  
-  // Mock order data
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated } = useAuthRedux();
+
+  // CheckoutPage hands the placed order over via navigation state and the
+  // ?order= param; the param lets a reload fetch it again from the API.
+  const stateOrder = location.state?.order || null;
+  // Set when the order was placed through guest checkout
+  const guestEmail = location.state?.guestEmail || null;
+  const orderId = searchParams.get('order') || stateOrder?.id;
+  const { data, isLoading } = useGetOrderQuery(orderId, {
+    skip: !orderId || !isAuthenticated,
+  });
+  const order = data?.data?.order || stateOrder;
+
+  if (!order && isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12">
+        <div className="w-12 h-12 border-b-2 border-purple-600 rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center py-12">
+        <div className="text-center">
+          <Package className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">No recent order found</h1>
+          <p className="text-gray-600 mb-6">Your order history is available in your profile.</p>
+          <Button onClick={() => navigate('/')} className="rounded-xl">
+            Continue Shopping
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  const placedAt = order.created_at ? new Date(order.created_at) : new Date();
   const orderData = {
-    orderNumber: 'ORD-' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-    total: 258.00,
-    estimatedDelivery: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', {
+    orderNumber: order.order_number,
+    total: Number(order.total_amount || 0).toFixed(2),
+    itemCount: order.item_count ?? (order.items || []).reduce((sum, it) => sum + it.quantity, 0),
+    estimatedDelivery: new Date(placedAt.getTime() + 5 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric'
     }),
-    email: 'customer@example.com'
+    email: guestEmail || order.shipping_address?.email || user?.email || ''
   };
 
   return (
@@ -45,11 +86,30 @@ export const OrderSuccessPage = () => {
                 </p>
               </div>
 
+              {guestEmail && (
+                <div className="bg-purple-50 rounded-2xl p-4 text-sm text-gray-700 text-center">
+                  You checked out as a guest. Use the link in that email to add this order to a new or
+                  existing account so you can track it.
+                </div>
+              )}
+
               {/* Order Summary */}
               <div className="bg-gray-50 rounded-2xl p-6">
                 <h3 className="font-bold text-gray-900 mb-4">Order Summary</h3>
+                <div className="space-y-3 mb-4">
+                  {(order.items || []).map((item) => (
+                    <div key={item.id} className="flex justify-between text-sm">
+                      <span className="text-gray-700">
+                        {item.product_snapshot?.name} × {item.quantity}
+                      </span>
+                      <span className="font-semibold text-gray-900">
+                        ${Number(item.total_price).toFixed(2)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
                 <div className="flex justify-between items-center">
-                  <span className="text-gray-600">Total Amount</span>
+                  <span className="text-gray-600">Total Amount ({orderData.itemCount} items)</span>
                   <span className="text-2xl font-bold text-gray-900">${orderData.total}</span>
                 </div>
               </div>
@@ -105,7 +165,8 @@ export const OrderSuccessPage = () => {
                   <Button
                     variant="outline"
                     className="rounded-xl py-3 font-semibold"
-                    onClick={() => navigate('/profile/orders')}
+                    onClick={() => navigate('/profile?tab=orders')}
+                    disabled={!isAuthenticated}
                   >
                     <Package className="w-4 h-4 mr-2" />
                     Track Order
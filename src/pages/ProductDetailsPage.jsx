@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { Button, Card, CardContent, Separator } from "../components/ui";
 import {
   ArrowLeft,
@@ -16,14 +16,56 @@ import {
 } from "lucide-react";
 import { useSelector } from "react-redux";
 import { useAuthRedux } from "../hooks/useAuthRedux";
-import { useGetCartQuery } from "../services/api";
+import { useCartActions } from "../hooks/useCartActions";
+import { useVariantSelection } from "../hooks/useVariantSelection";
+import { useGetCartQuery, useGetProductQuery } from "../services/api";
 import { useWishlist } from "../contexts/WishlistContext";
 import { useCompare } from "../contexts/CompareContext";
 import { useParams } from "react-router-dom";
 import { useNavigateWithScroll } from "../utils/navigation";
-import { useDispatch } from "react-redux";
-import { addLocalItem } from "../store/cartSlice";
-import { useAddItemMutation } from "../services/api";
+import { formatPrice } from "../utils/formatNumbers";
+import { VariantPicker } from "../components/commerce/VariantPicker";
+import { ProductReviews } from "../components/commerce/ProductReviews";
+
+const PLACEHOLDER_IMAGE =
+  "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=800";
+
+// API product -> the fields this page renders
+const toDetails = (p) => {
+  const price = Number(p.price) || 0;
+  const compare = p.compare_price != null ? Number(p.compare_price) : null;
+  const images = Array.isArray(p.images) && p.images.length ? p.images : [];
+  return {
+    id: p.id,
+    name: p.name,
+    brand: p.brand_name || "",
+    price,
+    originalPrice: compare && compare > price ? compare : null,
+    discount:
+      compare && compare > price
+        ? Math.round(((compare - price) / compare) * 100)
+        : 0,
+    rating: Number(p.avg_rating) || 0,
+    reviewsCount: Number(p.review_count) || 0,
+    stockCount: p.stock_quantity ?? null,
+    images: images.length ? images : [PLACEHOLDER_IMAGE],
+    description: p.description || p.short_description || "",
+    features: [],
+    specifications: p.specifications || {},
+    // Fetched by ProductReviews
+    reviews: [],
+    variants: p.variants || [],
+    variant_options: p.variant_options || [],
+  };
+};
+
+// Units left: the stricter of product and variant stock (null = untracked)
+const unitsLeft = (product, variant) => {
+  const tracked = [product.stockCount, variant?.stock_quantity]
+    .filter((value) => value !== null && value !== undefined)
+    .map(Number);
+  return tracked.length ? Math.max(Math.min(...tracked), 0) : null;
+};
 
 export const ProductDetailsPage = () => {
   const { id } = useParams();
@@ -35,17 +77,17 @@ export const ProductDetailsPage = () => {
   const serverItems = cartResponse?.data?.items || [];
   const sourceItems = isAuthenticated ? serverItems : localItems;
 
-  const isInCart = (productId) =>
-    sourceItems.some((item) => item.product_id === productId);
-  const dispatch = useDispatch();
-  const [addItemTrigger] = useAddItemMutation();
+  const isInCart = (productId, variantId = null) =>
+    sourceItems.some(
+      (item) =>
+        item.product_id === productId && (item.variant_id || null) === variantId
+    );
+  const { addItem: addToCart, notice: cartNotice } = useCartActions();
   const { addItem: addToWishlist, isInWishlist } = useWishlist();
   const { addItem: addToCompare, isInCompare } = useCompare();
   const navigate = useNavigateWithScroll();
 
   const [selectedImage, setSelectedImage] = useState(0);
-  const [selectedSize, setSelectedSize] = useState("M");
-  const [selectedColor, setSelectedColor] = useState(0);
   const [quantity, setQuantity] = useState(1);
   const [activeTab, setActiveTab] = useState("description");
 
@@ -54,119 +96,152 @@ export const ProductDetailsPage = () => {
     window.scrollTo(0, 0);
   }, [id]);
 
-  // Mock product data (in real app, fetch by ID)
-  const product = {
-    id: id || "silk-midi-dress",
-    name: "Silk Midi Dress",
-    brand: "ZARA",
-    price: 129,
-    originalPrice: 189,
-    discount: 32,
-    rating: 4.8,
-    reviewsCount: 124,
-    inStock: true,
-    stockCount: 15,
-    images: [
-      "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=800",
-      "https://images.pexels.com/photos/1040945/pexels-photo-1040945.jpeg?auto=compress&cs=tinysrgb&w=800",
-      "https://images.pexels.com/photos/1620760/pexels-photo-1620760.jpeg?auto=compress&cs=tinysrgb&w=800",
-      "https://images.pexels.com/photos/1927259/pexels-photo-1927259.jpeg?auto=compress&cs=tinysrgb&w=800",
-    ],
-    colors: [
-      { name: "Black", value: "#000000" },
-      { name: "Navy", value: "#1e3a8a" },
-      { name: "Burgundy", value: "#7c2d12" },
-    ],
-    sizes: ["XS", "S", "M", "L", "XL"],
-    description:
-      "Elevate your wardrobe with this stunning silk midi dress. Crafted from premium mulberry silk, this dress features a flattering A-line silhouette that gracefully flows to mid-calf length. The subtle sheen of the silk fabric catches light beautifully, making it perfect for both day and evening occasions.",
-    features: [
-      "100% Premium Mulberry Silk",
-      "A-line silhouette for flattering fit",
-      "Midi length (hits mid-calf)",
-      "Side zip closure",
-      "Fully lined",
-      "Dry clean only",
-    ],
-    specifications: {
-      Material: "100% Silk",
-      Care: "Dry clean only",
-      Origin: "Made in Italy",
-      Fit: "True to size",
-      Model: "5'8\" wearing size S",
-    },
-    reviews: [
-      {
-        id: 1,
-        name: "Sarah M.",
-        rating: 5,
-        date: "2 days ago",
-        comment:
-          "Absolutely gorgeous dress! The silk quality is exceptional and the fit is perfect. I've received so many compliments.",
-        verified: true,
-      },
-      {
-        id: 2,
-        name: "Emma L.",
-        rating: 4,
-        date: "1 week ago",
-        comment:
-          "Beautiful dress, runs slightly large so I'd recommend sizing down. The color is exactly as shown.",
-        verified: true,
-      },
-      {
-        id: 3,
-        name: "Jessica R.",
-        rating: 5,
-        date: "2 weeks ago",
-        comment:
-          "This dress is a showstopper! Perfect for special occasions. The silk drapes beautifully.",
-        verified: true,
+  const { data: productResponse } = useGetProductQuery(id, { skip: !id });
+  const serverProduct = productResponse?.data?.product;
+
+  // Demo listing shown for ids the API does not know
+  const mockProduct = useMemo(
+    () => ({
+      id: id || "silk-midi-dress",
+      name: "Silk Midi Dress",
+      brand: "ZARA",
+      price: 129,
+      originalPrice: 189,
+      discount: 32,
+      rating: 4.8,
+      reviewsCount: 124,
+      inStock: true,
+      stockCount: 15,
+      images: [
+        "https://images.pexels.com/photos/1926769/pexels-photo-1926769.jpeg?auto=compress&cs=tinysrgb&w=800",
+        "https://images.pexels.com/photos/1040945/pexels-photo-1040945.jpeg?auto=compress&cs=tinysrgb&w=800",
+        "https://images.pexels.com/photos/1620760/pexels-photo-1620760.jpeg?auto=compress&cs=tinysrgb&w=800",
+        "https://images.pexels.com/photos/1927259/pexels-photo-1927259.jpeg?auto=compress&cs=tinysrgb&w=800",
+      ],
+      colors: [
+        { name: "Black", value: "#000000" },
+        { name: "Navy", value: "#1e3a8a" },
+        { name: "Burgundy", value: "#7c2d12" },
+      ],
+      sizes: ["XS", "S", "M", "L", "XL"],
+      description:
+        "Elevate your wardrobe with this stunning silk midi dress. Crafted from premium mulberry silk, this dress features a flattering A-line silhouette that gracefully flows to mid-calf length. The subtle sheen of the silk fabric catches light beautifully, making it perfect for both day and evening occasions.",
+      features: [
+        "100% Premium Mulberry Silk",
+        "A-line silhouette for flattering fit",
+        "Midi length (hits mid-calf)",
+        "Side zip closure",
+        "Fully lined",
+        "Dry clean only",
+      ],
+      specifications: {
+        Material: "100% Silk",
+        Care: "Dry clean only",
+        Origin: "Made in Italy",
+        Fit: "True to size",
+        Model: "5'8\" wearing size S",
       },
-    ],
-  };
+      reviews: [
+        {
+          id: 1,
+          name: "Sarah M.",
+          rating: 5,
+          date: "2 days ago",
+          comment:
+            "Absolutely gorgeous dress! The silk quality is exceptional and the fit is perfect. I've received so many compliments.",
+          verified: true,
+        },
+        {
+          id: 2,
+          name: "Emma L.",
+          rating: 4,
+          date: "1 week ago",
+          comment:
+            "Beautiful dress, runs slightly large so I'd recommend sizing down. The color is exactly as shown.",
+          verified: true,
+        },
+        {
+          id: 3,
+          name: "Jessica R.",
+          rating: 5,
+          date: "2 weeks ago",
+          comment:
+            "This dress is a showstopper! Perfect for special occasions. The silk drapes beautifully.",
+          verified: true,
+        },
+      ],
+    }),
+    [id]
+  );
 
-  const handleAddToCart = async () => {
-    const cartItem = {
-      ...product,
-      quantity,
-      size: selectedSize,
-      color: product.colors[selectedColor].name,
-      image: product.images[0],
+  const product = useMemo(() => {
+    if (serverProduct) return toDetails(serverProduct);
+    // Every colour/size combination of the demo listing is a variant
+    const variants = mockProduct.colors.flatMap((color) =>
+      mockProduct.sizes.map((size) => ({
+        id: `${mockProduct.id}-${color.name}-${size}`.toLowerCase(),
+        name: `${color.name} / ${size}`,
+        price: mockProduct.price,
+        stock_quantity: null,
+        attributes: { color: color.name, size },
+        images: [],
+      }))
+    );
+    return {
+      ...mockProduct,
+      variants,
+      variant_options: [
+        { name: "color", values: mockProduct.colors.map((c) => c.name) },
+        { name: "size", values: mockProduct.sizes },
+      ],
     };
+  }, [serverProduct, mockProduct]);
+
+  const {
+    hasVariants,
+    options: variantOptions,
+    selection,
+    select: selectOption,
+    variant,
+    isAvailable,
+  } = useVariantSelection(product);
+
+  // The selected variant's price, stock and pictures win over the product's
+  const price = variant?.price != null ? Number(variant.price) : product.price;
+  const stockLeft = unitsLeft(product, variant);
+  const images = variant?.images?.length ? variant.images : product.images;
+  const canAddToCart = (!hasVariants || Boolean(variant)) && stockLeft !== 0;
+
+  useEffect(() => {
+    setSelectedImage(0);
+  }, [variant?.id]);
 
-    try {
-      await addItemTrigger({ product_id: product.id, quantity }).unwrap();
-    } catch (e) {
-      dispatch(
-        addLocalItem({
-          id: `local-${Date.now()}`,
-          product_id: product.id,
-          variant_id: null,
-          quantity,
-          name: product.name,
-          price: product.price,
-          image: product.images[0],
-          size: selectedSize,
-          color: product.colors[selectedColor].name,
-        })
-      );
-    }
+  const handleAddToCart = async () => {
+    if (!canAddToCart) return;
+    await addToCart({
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      quantity,
+      name: product.name,
+      price,
+      image: images[0],
+      attributes: variant?.attributes,
+    });
   };
 
   const handleAddToWishlist = async () => {
     await addToWishlist({
       ...product,
-      image: product.images[0],
-      colors: product.colors.map((c) => c.value),
+      price,
+      image: images[0],
     });
   };
 
   const handleAddToCompare = async () => {
     await addToCompare({
       ...product,
-      image: product.images[0],
-      colors: product.colors.map((c) => c.value),
+      price,
+      image: images[0],
     });
   };
 
@@ -236,7 +311,7 @@ export const ProductDetailsPage = () => {
             {/* Main Image */}
             <div className="relative overflow-hidden rounded-2xl bg-white shadow-lg">
               <img
-                src={product.images[selectedImage]}
+                src={images[selectedImage] || images[0]}
                 alt={product.name}
                 className="w-full h-[600px] object-cover"
               />
@@ -264,7 +339,7 @@ export const ProductDetailsPage = () => {
 
             {/* Thumbnail Images */}
             <div className="flex gap-4 overflow-x-auto">
-              {product.images.map((image, index) => (
+              {images.map((image, index) => (
                 <button
                   key={index}
                   onClick={() => setSelectedImage(index)}
@@ -319,15 +394,15 @@ export const ProductDetailsPage = () => {
               {/* Price */}
               <div className="flex items-center gap-4 mb-6">
                 <span className="text-4xl font-black text-gray-900">
-                  ${product.price}
+                  ${formatPrice(price)}
                 </span>
-                {product.originalPrice && (
+                {product.originalPrice > price && (
                   <>
                     <span className="text-2xl text-gray-400 line-through">
                       ${product.originalPrice}
                     </span>
                     <span className="bg-red-100 text-red-700 px-3 py-1 rounded-full text-sm font-bold">
-                      Save ${product.originalPrice - product.price}
+                      Save ${formatPrice(product.originalPrice - price)}
                     </span>
                   </>
                 )}
@@ -335,65 +410,44 @@ export const ProductDetailsPage = () => {
 
               {/* Stock Status */}
               <div className="flex items-center gap-2 mb-6">
-                <div className="w-3 h-3 bg-green-500 rounded-full"></div>
-                <span className="text-sm font-semibold text-green-700">
-                  In Stock ({product.stockCount} left)
-                </span>
-              </div>
-            </div>
-
-            {/* Color Selection */}
-            <div>
-              <h3 className="font-semibold text-gray-900 mb-3">
-                Color:{" "}
-                <span className="font-normal">
-                  {product.colors[selectedColor].name}
+                <div
+                  className={`w-3 h-3 rounded-full ${
+                    stockLeft === 0 ? "bg-red-500" : "bg-green-500"
+                  }`}
+                ></div>
+                <span
+                  className={`text-sm font-semibold ${
+                    stockLeft === 0 ? "text-red-700" : "text-green-700"
+                  }`}
+                >
+                  {stockLeft === 0
+                    ? "Out of Stock"
+                    : stockLeft === null
+                      ? "In Stock"
+                      : `In Stock (${stockLeft} left)`}
                 </span>
-              </h3>
-              <div className="flex gap-3">
-                {product.colors.map((color, index) => (
-                  <button
-                    key={index}
-                    onClick={() => setSelectedColor(index)}
-                    className={`w-12 h-12 rounded-full border-4 transition-all ${
-                      selectedColor === index
-                        ? "border-purple-500 shadow-lg scale-110"
-                        : "border-gray-200 hover:border-gray-300"
-                    }`}
-                    style={{ backgroundColor: color.value }}
-                    title={color.name}
-                  />
-                ))}
               </div>
             </div>
 
-            {/* Size Selection */}
-            <div>
-              <h3 className="font-semibold text-gray-900 mb-3">
-                Size: <span className="font-normal">{selectedSize}</span>
-              </h3>
-              <div className="flex gap-3">
-                {product.sizes.map((size) => (
-                  <button
-                    key={size}
-                    onClick={() => setSelectedSize(size)}
-                    className={`w-12 h-12 rounded-xl border-2 font-semibold transition-all ${
-                      selectedSize === size
-                        ? "border-purple-500 bg-purple-50 text-purple-700"
-                        : "border-gray-200 hover:border-gray-300 text-gray-700"
-                    }`}
+            {/* Variant Selection */}
+            {hasVariants && (
+              <div>
+                <VariantPicker
+                  options={variantOptions}
+                  selection={selection}
+                  onSelect={selectOption}
+                  isAvailable={isAvailable}
+                />
+                {variantOptions.some((option) => option.name === "size") && (
+                  <Button
+                    variant="ghost"
+                    className="text-sm text-purple-600 hover:text-purple-700 p-0 h-auto mt-2"
                   >
-                    {size}
-                  </button>
-                ))}
+                    Size Guide
+                  </Button>
+                )}
               </div>
-              <Button
-                variant="ghost"
-                className="text-sm text-purple-600 hover:text-purple-700 p-0 h-auto mt-2"
-              >
-                Size Guide
-              </Button>
-            </div>
+            )}
 
             {/* Quantity */}
             <div>
@@ -423,7 +477,7 @@ export const ProductDetailsPage = () => {
                 <span className="text-sm text-gray-600">
                   Total:{" "}
                   <span className="font-bold text-gray-900">
-                    ${formatPrice(product.price * quantity)}
+                    ${formatPrice(price * quantity)}
                   </span>
                 </span>
               </div>
@@ -433,11 +487,21 @@ export const ProductDetailsPage = () => {
             <div className="space-y-4">
               <Button
                 onClick={handleAddToCart}
+                disabled={!canAddToCart}
                 className="w-full bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-bold py-4 rounded-xl text-lg shadow-lg hover:shadow-xl transition-all duration-300"
               >
                 <ShoppingBag className="w-5 h-5 mr-3" />
-                Add to Cart - ${formatPrice(product.price * quantity)}
+                {hasVariants && !variant
+                  ? "Select options"
+                  : stockLeft === 0
+                    ? "Out of Stock"
+                    : isInCart(product.id, variant?.id || null)
+                      ? `Add Another - $${formatPrice(price * quantity)}`
+                      : `Add to Cart - $${formatPrice(price * quantity)}`}
               </Button>
+              {cartNotice && (
+                <p className="text-sm text-amber-700">{cartNotice}</p>
+              )}
 
               <div className="grid grid-cols-2 gap-4">
                 <Button
@@ -528,7 +592,8 @@ export const ProductDetailsPage = () => {
                   }`}
                 >
                   {tab}
-                  {tab === "reviews" && ` (${product.reviews.length})`}
+                  {tab === "reviews" &&
+                    ` (${serverProduct ? product.reviewsCount : product.reviews.length})`}
                 </button>
               ))}
             </div>
@@ -574,7 +639,11 @@ export const ProductDetailsPage = () => {
                 </div>
               )}
 
-              {activeTab === "reviews" && (
+              {activeTab === "reviews" && serverProduct && (
+                <ProductReviews productId={serverProduct.id} />
+              )}
+
+              {activeTab === "reviews" && !serverProduct && (
                 <div className="space-y-8">
                   {/* Reviews Summary */}
                   <div className="flex items-center gap-8">
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useMemo } from "react";
 import { Button, Card, CardContent, Input, SearchBar } from "../components/ui";
 import {
   ArrowLeft,
@@ -16,16 +16,20 @@ import {
 } from "lucide-react";
 import { useSelector } from "react-redux";
 import { useAuthRedux } from "../hooks/useAuthRedux";
+import { useCursorPagination } from "../hooks/useCursorPagination";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
 import {
   useGetCartQuery,
   useAddItemMutation,
   useRemoveItemMutation,
-  useGetProductsQuery,
+  useSearchProductsQuery,
+  useRecordSearchClickMutation,
 } from "../services/api";
 import { useDispatch } from "react-redux";
 import { addLocalItem } from "../store/cartSlice";
 import { useWishlist } from "../contexts/WishlistContext";
 import { useCompare } from "../contexts/CompareContext";
+import { useLocation } from "react-router-dom";
 import { useNavigateWithScroll } from "../utils/navigation";
 import { ProductDetailsOverlay } from "../components/commerce/ProductDetailsOverlay";
 import { ProductActions } from "../components/commerce/ProductActions";
@@ -46,9 +50,11 @@ export const ProductsPage = () => {
   const navigate = useNavigateWithScroll();
 
   const [viewMode, setViewMode] = useState("grid");
-  const [sortBy, setSortBy] = useState("newest");
+  // "" leaves the order to the server: best match when searching, newest
+  // first otherwise
+  const [sortBy, setSortBy] = useState("");
   const [selectedCategory, setSelectedCategory] = useState("all");
-  const [priceRange, setPriceRange] = useState([0, 500]);
+  const [priceRange, setPriceRange] = useState([null, null]);
   const [searchQuery, setSearchQuery] = useState("");
   const [selectedBrand, setSelectedBrand] = useState("all");
   const [minRating, setMinRating] = useState(0);
@@ -56,17 +62,43 @@ export const ProductsPage = () => {
   const [quickViewProduct, setQuickViewProduct] = useState(null);
   const [isQuickViewOpen, setIsQuickViewOpen] = useState(false);
 
-  // Use server products if available. Keep the previous mock products as a commented fallback.
-  const { data: productsResponse, isLoading: productsLoading } =
-    useGetProductsQuery();
-  // support both shapes: { data: { products: [...] } } or { data: [...] }
-  const serverProductsList =
-    (productsResponse &&
-      productsResponse.data &&
-      productsResponse.data.products) ||
-    productsResponse?.data ||
-    productsResponse ||
-    [];
+  // Search, filters and facet counts all come from the server (/search)
+  const searchParams = useMemo(
+    () => ({
+      q: searchQuery || undefined,
+      category: selectedCategory !== "all" ? selectedCategory : undefined,
+      brand: selectedBrand !== "all" ? selectedBrand : undefined,
+      minPrice: priceRange[0] ?? undefined,
+      maxPrice: priceRange[1] ?? undefined,
+      minRating: minRating || undefined,
+      sort: sortBy || undefined,
+      limit: 24,
+    }),
+    [
+      searchQuery,
+      selectedCategory,
+      selectedBrand,
+      priceRange,
+      minRating,
+      sortBy,
+    ]
+  );
+  // Further pages load as the shopper scrolls to the end of the grid
+  const {
+    data: searchResponse,
+    hasMore,
+    loadMore,
+    isFetching: isFetchingProducts,
+    isLoadingMore,
+  } = useCursorPagination(useSearchProductsQuery, searchParams);
+  const loadMoreRef = useInfiniteScroll(loadMore, {
+    enabled: hasMore && !isFetchingProducts,
+  });
+  const [recordSearchClick] = useRecordSearchClickMutation();
+  const serverProductsList = searchResponse?.data?.products || [];
+  const facets = searchResponse?.data?.facets;
+  const totalFound =
+    searchResponse?.data?.pagination?.total ?? serverProductsList.length;
 
   const products =
     serverProductsList.map((p) => {
@@ -150,64 +182,37 @@ export const ProductsPage = () => {
   ]
   */ [];
 
+  // Facet entries are keyed by slug (what the URL and the filter send)
+  const facetOptions = (entries = []) =>
+    entries.map((entry) => ({
+      id: entry.slug || entry.id,
+      name: entry.name,
+      count: entry.count,
+    }));
+  const facetTotal = (entries = []) =>
+    entries.reduce((sum, entry) => sum + entry.count, 0);
+
   const categories = [
-    { id: "all", name: "All Products", count: products.length },
-    {
-      id: "women",
-      name: "Women's Fashion",
-      count: products.filter((p) => p.category === "women").length,
-    },
     {
-      id: "men",
-      name: "Men's Fashion",
-      count: products.filter((p) => p.category === "men").length,
-    },
-    {
-      id: "accessories",
-      name: "Accessories",
-      count: products.filter((p) => p.category === "accessories").length,
-    },
-    {
-      id: "shoes",
-      name: "Shoes",
-      count: products.filter((p) => p.category === "shoes").length,
+      id: "all",
+      name: "All Products",
+      count: facetTotal(facets?.categories),
     },
+    ...facetOptions(facets?.categories),
   ];
 
   const brands = [
-    { id: "all", name: "All Brands", count: products.length },
-    {
-      id: "ZARA",
-      name: "ZARA",
-      count: products.filter((p) => p.brand === "ZARA").length,
-    },
-    {
-      id: "H&M",
-      name: "H&M",
-      count: products.filter((p) => p.brand === "H&M").length,
-    },
-    {
-      id: "LEVI'S",
-      name: "LEVI'S",
-      count: products.filter((p) => p.brand === "LEVI'S").length,
-    },
-    {
-      id: "MANGO",
-      name: "MANGO",
-      count: products.filter((p) => p.brand === "MANGO").length,
-    },
-    {
-      id: "COACH",
-      name: "COACH",
-      count: products.filter((p) => p.brand === "COACH").length,
-    },
-    {
-      id: "NIKE",
-      name: "NIKE",
-      count: products.filter((p) => p.brand === "NIKE").length,
-    },
+    { id: "all", name: "All Brands", count: facetTotal(facets?.brands) },
+    ...facetOptions(facets?.brands),
   ];
 
+  const ratingCount = (rating) =>
+    facets?.rating?.find((entry) => entry.min === rating)?.count;
+
+  const priceBuckets = facets?.price || [];
+  const isPriceBucket = (bucket) =>
+    priceRange[0] === bucket.min && priceRange[1] === bucket.max;
+
   const handleAddToWishlist = async (product) => {
     await addToWishlist(product);
   };
@@ -305,7 +310,19 @@ export const ProductsPage = () => {
     }
   };
 
+  // Opening a product from text search results counts as that search's
+  // click (see docs/search.md)
   const handleViewProduct = (productId) => {
+    const searchId = searchResponse?.data?.search_id;
+    if (searchId) {
+      const position =
+        serverProductsList.findIndex((p) => p.id === productId) + 1;
+      recordSearchClick({
+        searchId,
+        productId,
+        position: position || undefined,
+      });
+    }
     navigate(`/product/${productId}`);
   };
 
@@ -319,38 +336,22 @@ export const ProductsPage = () => {
     setQuickViewProduct(null);
   };
 
-  const filteredProducts = products.filter((product) => {
-    const matchesCategory =
-      selectedCategory === "all" || product.category === selectedCategory;
-    const matchesBrand =
-      selectedBrand === "all" || product.brand === selectedBrand;
-    const matchesSearch =
-      product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      product.brand.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesPrice =
-      product.price >= priceRange[0] && product.price <= priceRange[1];
-    const matchesRating = product.rating >= minRating;
-
-    return (
-      matchesCategory &&
-      matchesBrand &&
-      matchesSearch &&
-      matchesPrice &&
-      matchesRating
-    );
-  });
+  // The server has already applied the search and filters
+  const filteredProducts = products;
 
-  // Handle search from URL params
+  // Handle search from URL params (also when the header search or its
+  // suggestions navigate here while the page is open)
+  const { search: locationSearch } = useLocation();
   React.useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
+    const urlParams = new URLSearchParams(locationSearch);
     const searchParam = urlParams.get("search");
     const categoryParam = urlParams.get("category");
     const brandParam = urlParams.get("brand");
 
     if (searchParam) setSearchQuery(searchParam);
-    if (categoryParam) setSelectedCategory(categoryParam);
-    if (brandParam) setSelectedBrand(brandParam);
-  }, []);
+    if (categoryParam) setSelectedCategory(categoryParam.toLowerCase());
+    if (brandParam) setSelectedBrand(brandParam.toLowerCase());
+  }, [locationSearch]);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -370,9 +371,7 @@ export const ProductsPage = () => {
               <h1 className="text-3xl font-black text-gray-900">
                 All Products
               </h1>
-              <p className="text-gray-600 mt-1">
-                {filteredProducts.length} products found
-              </p>
+              <p className="text-gray-600 mt-1">{totalFound} products found</p>
             </div>
           </div>
 
@@ -403,11 +402,15 @@ export const ProductsPage = () => {
               onChange={(e) => setSortBy(e.target.value)}
               className="px-4 py-2 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
             >
-              <option value="newest">Newest First</option>
-              <option value="price-low">Price: Low to High</option>
-              <option value="price-high">Price: High to Low</option>
+              <option value="">
+                {searchQuery ? "Best Match" : "Newest First"}
+              </option>
+              {searchQuery && <option value="newest">Newest First</option>}
+              <option value="price_asc">Price: Low to High</option>
+              <option value="price_desc">Price: High to Low</option>
               <option value="rating">Highest Rated</option>
-              <option value="popular">Most Popular</option>
+              <option value="popularity">Most Popular</option>
+              <option value="discount">Biggest Discount</option>
             </select>
 
             {/* Mobile filter toggle */}
@@ -538,6 +541,11 @@ export const ProductsPage = () => {
                         <span>
                           {rating > 0 ? `${rating}+ Stars` : "All Ratings"}
                         </span>
+                        {ratingCount(rating) !== undefined && (
+                          <span className="ml-auto text-sm text-gray-500">
+                            ({ratingCount(rating)})
+                          </span>
+                        )}
                       </button>
                     ))}
                   </div>
@@ -549,13 +557,47 @@ export const ProductsPage = () => {
                     Price Range
                   </label>
                   <div className="space-y-3">
+                    {priceBuckets.length > 0 && (
+                      <div className="space-y-2">
+                        {priceBuckets.map((bucket) => (
+                          <button
+                            key={bucket.key}
+                            onClick={() =>
+                              setPriceRange(
+                                isPriceBucket(bucket)
+                                  ? [null, null]
+                                  : [bucket.min, bucket.max]
+                              )
+                            }
+                            className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                              isPriceBucket(bucket)
+                                ? "bg-purple-100 text-purple-700 font-semibold"
+                                : "hover:bg-gray-100 text-gray-700"
+                            }`}
+                          >
+                            <div className="flex justify-between items-center">
+                              <span>
+                                {bucket.max === null
+                                  ? `$${bucket.min} & up`
+                                  : `$${bucket.min} - $${bucket.max}`}
+                              </span>
+                              <span className="text-sm text-gray-500">
+                                ({bucket.count})
+                              </span>
+                            </div>
+                          </button>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex items-center gap-2">
                       <Input
                         type="number"
-                        value={priceRange[0]}
+                        value={priceRange[0] ?? ""}
                         onChange={(e) =>
                           setPriceRange([
-                            parseInt(e.target.value),
+                            e.target.value === ""
+                              ? null
+                              : Number(e.target.value),
                             priceRange[1],
                           ])
                         }
@@ -565,11 +607,13 @@ export const ProductsPage = () => {
                       <span className="text-gray-500">to</span>
                       <Input
                         type="number"
-                        value={priceRange[1]}
+                        value={priceRange[1] ?? ""}
                         onChange={(e) =>
                           setPriceRange([
                             priceRange[0],
-                            parseInt(e.target.value),
+                            e.target.value === ""
+                              ? null
+                              : Number(e.target.value),
                           ])
                         }
                         placeholder="Max"
@@ -577,7 +621,11 @@ export const ProductsPage = () => {
                       />
                     </div>
                     <p className="text-sm text-gray-500">
-                      ${priceRange[0]} - ${priceRange[1]}
+                      {priceRange[0] === null && priceRange[1] === null
+                        ? "Any price"
+                        : `$${priceRange[0] ?? 0} - ${
+                            priceRange[1] === null ? "any" : `$${priceRange[1]}`
+                          }`}
                     </p>
                   </div>
                 </div>
@@ -589,9 +637,9 @@ export const ProductsPage = () => {
                     setSelectedCategory("all");
                     setSelectedBrand("all");
                     setSearchQuery("");
-                    setPriceRange([0, 500]);
+                    setPriceRange([null, null]);
                     setMinRating(0);
-                    setSortBy("newest");
+                    setSortBy("");
                   }}
                 >
                   Clear All Filters
@@ -692,7 +740,7 @@ export const ProductsPage = () => {
                               size="icon"
                               onClick={(e) => {
                                 e.stopPropagation();
-                                handleAddToCart(product);
+                                handleToggleCart(product);
                               }}
                               className={`w-10 h-10 rounded-full shadow-lg border-0 transition-all duration-300 ${
                                 isInCart(product.id)
@@ -901,7 +949,7 @@ export const ProductsPage = () => {
                             <Button
                               onClick={(e) => {
                                 e.stopPropagation();
-                                handleAddToCart(product);
+                                handleToggleCart(product);
                               }}
                               className={`font-semibold px-6 py-2 rounded-xl ${
                                 isInCart(product.id)
@@ -923,6 +971,19 @@ export const ProductsPage = () => {
               ))}
             </div>
 
+            {hasMore && (
+              <div ref={loadMoreRef} className="flex justify-center py-10">
+                <Button
+                  variant="outline"
+                  onClick={loadMore}
+                  disabled={isLoadingMore}
+                  className="rounded-xl"
+                >
+                  {isLoadingMore ? "Loading more..." : "Load more products"}
+                </Button>
+              </div>
+            )}
+
             {filteredProducts.length === 0 && (
               <div className="text-center py-20">
                 <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
@@ -938,7 +999,7 @@ export const ProductsPage = () => {
                   onClick={() => {
                     setSelectedCategory("all");
                     setSearchQuery("");
-                    setPriceRange([0, 500]);
+                    setPriceRange([null, null]);
                   }}
                   className="bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white font-semibold px-8 py-3 rounded-xl"
                 >
@@ -1,4 +1,5 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
 import {
   Card,
   CardContent,
@@ -37,13 +38,91 @@ const initial = {
   seo_description: "",
 };
 
+// Statuses a seller can pick; discontinuing is the separate delete action
+const STATUS_OPTIONS = [
+  { value: "draft", label: "Draft" },
+  { value: "active", label: "Active" },
+  { value: "inactive", label: "Inactive" },
+  { value: "out_of_stock", label: "Out of stock" },
+];
+
+const text = (value) => (value === null || value === undefined ? "" : value);
+
+// Product as returned by the API -> form fields
+const toForm = (product) => ({
+  ...initial,
+  name: text(product.name),
+  slug: text(product.slug),
+  short_description: text(product.short_description),
+  description: text(product.description),
+  price: text(product.price),
+  compare_price: text(product.compare_price),
+  cost_price: text(product.cost_price),
+  sku: text(product.sku),
+  brand_id: text(product.brand_id),
+  category_id: text(product.category_id),
+  stock_quantity: text(product.stock_quantity),
+  weight: text(product.weight),
+  dim_length: text(product.dimensions?.length),
+  dim_width: text(product.dimensions?.width),
+  dim_height: text(product.dimensions?.height),
+  images: (product.images || []).join(", "),
+  specifications: Object.keys(product.specifications || {}).length
+    ? JSON.stringify(product.specifications, null, 2)
+    : "",
+  tags: (product.tags || []).join(", "),
+  is_featured: !!product.is_featured,
+  is_digital: !!product.is_digital,
+  status: product.status || "draft",
+  seo_title: text(product.seo_title),
+  seo_description: text(product.seo_description),
+});
+
+const apiError = (err, fallback) =>
+  err?.response?.data?.message || err?.message || fallback;
+
+// Create a listing, or edit one at /seller/products/:id/edit
 export const SellerProductNew = () => {
+  const { id } = useParams();
+  const isEdit = Boolean(id);
   const [form, setForm] = useState(initial);
+  const [savedStatus, setSavedStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const navigate = useNavigateWithScroll();
 
+  useEffect(() => {
+    if (!id) {
+      setForm(initial);
+      setSavedStatus(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoading(true);
+    productAPI
+      .getProduct(id)
+      .then((resp) => {
+        if (cancelled) return;
+        const product = resp?.data?.product;
+        if (!product) {
+          setError("Product not found");
+          return;
+        }
+        setForm(toForm(product));
+        setSavedStatus(product.status);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(apiError(err, "Failed to load product"));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
   const validate = () => {
     if (!form.name.trim()) return "Product name is required";
     if (!form.price || isNaN(Number(form.price)))
@@ -93,12 +172,8 @@ export const SellerProductNew = () => {
 
       const payload = {
         name: form.name,
-        slug:
-          form.slug ||
-          form.name
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, "-")
-            .replace(/(^-|-$)/g, ""),
+        // The server derives a unique slug from the name when none is given
+        ...(form.slug.trim() ? { slug: form.slug.trim() } : {}),
         short_description: form.short_description || null,
         description: form.description || null,
         price: Number(form.price),
@@ -129,22 +204,56 @@ export const SellerProductNew = () => {
           : [],
         is_featured: !!form.is_featured,
         is_digital: !!form.is_digital,
-        status: form.status,
+        ...(savedStatus !== "discontinued" ? { status: form.status } : {}),
         seo_title: form.seo_title || null,
         seo_description: form.seo_description || null,
       };
 
-      const resp = await productAPI.createProduct(payload);
+      const resp = isEdit
+        ? await productAPI.updateProduct(id, payload)
+        : await productAPI.createProduct(payload);
       if (resp && resp.success) {
-        setSuccess("Product created successfully");
-        setForm(initial);
-        // navigate to seller products list or dashboard
-        navigate("/seller/products");
+        const product = resp.data?.product;
+        if (isEdit) {
+          setSuccess("Product updated successfully");
+          if (product) {
+            setForm(toForm(product));
+            setSavedStatus(product.status);
+          }
+        } else if (product?.id) {
+          // Keep editing the new listing (its slug may have been adjusted)
+          navigate(`/seller/products/${product.id}/edit`);
+        } else {
+          navigate("/seller/dashboard");
+        }
       } else {
-        setError(resp?.message || "Failed to create product");
+        setError(resp?.message || "Failed to save product");
       }
     } catch (err) {
-      setError(err?.message || "Failed to create product");
+      setError(apiError(err, "Failed to save product"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Soft delete: the listing is discontinued and leaves the storefront
+  const handleDiscontinue = async () => {
+    if (
+      !window.confirm(
+        "Discontinue this product? It will be removed from the store."
+      )
+    ) {
+      return;
+    }
+    setError(null);
+    setSuccess(null);
+    setLoading(true);
+    try {
+      const resp = await productAPI.deleteProduct(id);
+      setSavedStatus(resp?.data?.product?.status || "discontinued");
+      setSuccess("Product discontinued");
+    } catch (err) {
+      setError(apiError(err, "Failed to discontinue product"));
     } finally {
       setLoading(false);
     }
@@ -155,9 +264,15 @@ export const SellerProductNew = () => {
       <div className="max-w-3xl mx-auto px-4">
         <Card className="rounded-2xl border-0 shadow-lg">
           <CardHeader>
-            <CardTitle>Add Product</CardTitle>
+            <CardTitle>{isEdit ? "Edit Product" : "Add Product"}</CardTitle>
           </CardHeader>
           <CardContent>
+            {savedStatus === "discontinued" && (
+              <div className="mb-4 rounded-xl bg-gray-100 p-3 text-sm text-gray-700">
+                This product is discontinued and hidden from the store. Only an
+                admin can restore it.
+              </div>
+            )}
             <form onSubmit={handleSubmit} className="space-y-4">
               <Input
                 placeholder="Product name"
@@ -345,21 +460,43 @@ export const SellerProductNew = () => {
               <div className="flex items-center gap-3">
                 <select
                   value={form.status}
+                  disabled={savedStatus === "discontinued"}
                   onChange={(e) =>
                     setForm((p) => ({ ...p, status: e.target.value }))
                   }
                   className="rounded-md border px-3 py-2"
                 >
-                  <option value="draft">Draft</option>
-                  <option value="published">Published</option>
+                  {savedStatus === "discontinued" && (
+                    <option value="discontinued">Discontinued</option>
+                  )}
+                  {STATUS_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
                 </select>
-                <div className="flex-1 text-right">
+                <div className="flex-1 flex justify-end gap-2">
+                  {isEdit && savedStatus !== "discontinued" && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className="rounded-xl hover:bg-red-50 hover:text-red-600"
+                      onClick={handleDiscontinue}
+                      disabled={loading}
+                    >
+                      Discontinue
+                    </Button>
+                  )}
                   <Button
                     type="submit"
                     className="rounded-xl"
                     disabled={loading}
                   >
-                    {loading ? "Saving..." : "Create Product"}
+                    {loading
+                      ? "Saving..."
+                      : isEdit
+                        ? "Save Changes"
+                        : "Create Product"}
                   </Button>
                 </div>
               </div>
@@ -0,0 +1,207 @@
+import React, { useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
+import { Button, Card, CardContent } from "../components/ui";
+import { ArrowLeft, Check, Heart, ShoppingBag, Star } from "lucide-react";
+import { useGetSharedCollectionQuery } from "../services/api";
+import { useCartActions } from "../hooks/useCartActions";
+import { useNavigateWithScroll } from "../utils/navigation";
+import { formatPrice } from "../utils/formatNumbers";
+import { toWishlistView } from "../utils/wishlist";
+
+// Read-only view of a collection someone shared. Visitors can put its
+// products in their own cart; only the owner can change it (on /wishlist).
+export const SharedCollectionPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigateWithScroll();
+  const { data, isLoading, isError } = useGetSharedCollectionQuery(token, {
+    skip: !token,
+  });
+  const collection = data?.data?.collection;
+  const isOwner = data?.data?.is_owner;
+  const items = useMemo(
+    () => (collection?.items || []).map(toWishlistView),
+    [collection]
+  );
+  const { addItem: addToCart, notice: cartNotice } = useCartActions();
+  const [added, setAdded] = useState({});
+
+  const handleAddToCart = async (item) => {
+    if (!item.inStock) return;
+    const ok = await addToCart({
+      product_id: item.product_id,
+      quantity: 1,
+      name: item.name,
+      price: item.price,
+      image: item.image,
+    });
+    if (ok) setAdded((prev) => ({ ...prev, [item.id]: true }));
+  };
+
+  if (isError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">
+            Collection not found
+          </h1>
+          <p className="text-gray-600 mb-6 max-w-md">
+            The link may have been changed, or the collection is no longer
+            shared.
+          </p>
+          <Button onClick={() => navigate("/collections")}>
+            Browse public collections
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="flex items-start justify-between gap-4 mb-8">
+          <div className="flex items-start gap-4">
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => navigate(-1)}
+              className="rounded-full hover:bg-gray-100"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </Button>
+            {isLoading || !collection ? (
+              <div className="h-16 w-72 bg-gray-200 rounded-2xl animate-pulse" />
+            ) : (
+              <div>
+                <h1 className="text-3xl font-black text-gray-900 flex items-center gap-3">
+                  <Heart className="w-8 h-8 text-red-500" />
+                  {collection.name}
+                </h1>
+                <p className="text-gray-600 mt-1">
+                  A collection by {collection.owner.name} ·{" "}
+                  {collection.item_count}{" "}
+                  {collection.item_count === 1 ? "item" : "items"}
+                </p>
+                {collection.description && (
+                  <p className="text-gray-700 mt-3 max-w-2xl">
+                    {collection.description}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+          {isOwner && (
+            <Button
+              variant="outline"
+              onClick={() => navigate("/wishlist")}
+              className="rounded-xl"
+            >
+              Manage in your wishlist
+            </Button>
+          )}
+        </div>
+
+        {cartNotice && (
+          <p className="mb-6 text-sm text-amber-700">{cartNotice}</p>
+        )}
+
+        {!isLoading && collection && items.length === 0 ? (
+          <div className="text-center py-20">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">
+              Nothing here yet
+            </h2>
+            <Button onClick={() => navigate("/")}>Discover Products</Button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8">
+            {items.map((item) => (
+              <Card
+                key={item.id}
+                className="group border-0 shadow-sm hover:shadow-xl transition-all duration-300 bg-white overflow-hidden rounded-2xl"
+              >
+                <CardContent className="p-0">
+                  <button
+                    type="button"
+                    onClick={() => navigate(`/product/${item.product_id}`)}
+                    className="relative block w-full overflow-hidden"
+                  >
+                    <img
+                      src={item.image}
+                      alt={item.name}
+                      className="w-full h-64 object-cover group-hover:scale-105 transition-transform duration-500"
+                    />
+                    {!item.inStock && (
+                      <div className="absolute inset-0 bg-black/50 flex items-center justify-center">
+                        <span className="text-white font-bold bg-black/70 px-4 py-2 rounded-full">
+                          OUT OF STOCK
+                        </span>
+                      </div>
+                    )}
+                  </button>
+
+                  <div className="p-6 space-y-4">
+                    <div>
+                      <p className="text-sm text-red-600 font-bold uppercase tracking-wider">
+                        {item.brand}
+                      </p>
+                      <h3 className="font-bold text-gray-900 text-lg leading-tight">
+                        {item.name}
+                      </h3>
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                      <div className="flex items-center gap-1">
+                        {[...Array(5)].map((_, i) => (
+                          <Star
+                            key={i}
+                            className={`w-4 h-4 ${
+                              i < Math.floor(item.rating)
+                                ? "fill-yellow-400 text-yellow-400"
+                                : "text-gray-200"
+                            }`}
+                          />
+                        ))}
+                      </div>
+                      <span className="text-sm text-gray-600">
+                        ({item.reviews})
+                      </span>
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                      <span className="text-xl font-bold text-gray-900">
+                        ${formatPrice(item.price)}
+                      </span>
+                      {item.originalPrice && (
+                        <span className="text-sm text-gray-400 line-through">
+                          ${formatPrice(item.originalPrice)}
+                        </span>
+                      )}
+                    </div>
+
+                    <Button
+                      onClick={() => handleAddToCart(item)}
+                      disabled={!item.inStock}
+                      className="w-full bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white font-semibold py-2 rounded-xl disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {added[item.id] ? (
+                        <Check className="w-4 h-4 mr-2" />
+                      ) : (
+                        <ShoppingBag className="w-4 h-4 mr-2" />
+                      )}
+                      {!item.inStock
+                        ? "Out of Stock"
+                        : added[item.id]
+                          ? "Added to Cart"
+                          : "Add to Cart"}
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -42,6 +42,22 @@ import {
   Home,
 } from "lucide-react";
 import { useNavigateWithScroll } from "../utils/navigation";
+import {
+  useGetOrdersQuery,
+  useCancelOrderMutation,
+  useGetAddressesQuery,
+  useCreateAddressMutation,
+  useUpdateAddressMutation,
+  useDeleteAddressMutation,
+  useSetDefaultAddressMutation,
+} from "../services/api";
+import { OrderDetails } from "../components/user/OrderDetails";
+import {
+  AddressForm,
+  addressToForm,
+} from "../components/user/AddressForm";
+
+const ORDERS_PER_PAGE = 5;
 
 export const UserProfilePage = () => {
   const { user, logout } = useAuthRedux();
@@ -51,6 +67,8 @@ export const UserProfilePage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
+  const [orderPage, setOrderPage] = useState(1);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
   const [editForm, setEditForm] = useState({
     firstName: "",
     lastName: "",
@@ -150,67 +168,78 @@ export const UserProfilePage = () => {
     window.history.pushState({}, "", url);
   };
 
-  // Mock data for orders, addresses, etc.
-  const mockOrders = [
-    {
-      id: "ORD-2025-001",
-      date: "2025-01-15",
-      status: "delivered",
-      total: 258.0,
-      items: 3,
-      trackingNumber: "TRK123456789",
-      estimatedDelivery: "2025-01-18",
-    },
-    {
-      id: "ORD-2025-002",
-      date: "2025-01-10",
-      status: "shipped",
-      total: 149.99,
-      items: 2,
-      trackingNumber: "TRK987654321",
-      estimatedDelivery: "2025-01-16",
-    },
-    {
-      id: "ORD-2025-003",
-      date: "2025-01-05",
-      status: "processing",
-      total: 89.5,
-      items: 1,
-      trackingNumber: null,
-      estimatedDelivery: "2025-01-20",
-    },
-  ];
+  const {
+    data: ordersResponse,
+    isFetching: ordersLoading,
+    isError: ordersError,
+  } = useGetOrdersQuery(
+    { page: orderPage, limit: ORDERS_PER_PAGE },
+    { skip: activeTab !== "orders" }
+  );
+  const orders = ordersResponse?.data?.orders || [];
+  const [cancelOrder, { isLoading: cancellingOrder }] = useCancelOrderMutation();
+  const [orderActionError, setOrderActionError] = useState(null);
 
-  const mockAddresses = [
-    {
-      id: 1,
-      type: "home",
-      isDefault: true,
-      firstName: "John",
-      lastName: "Doe",
-      address: "123 Main Street",
-      apartment: "Apt 4B",
-      city: "New York",
-      state: "NY",
-      zipCode: "10001",
-      country: "United States",
-      phone: "+1 (555) 123-4567",
-    },
-    {
-      id: 2,
-      type: "work",
-      isDefault: false,
-      firstName: "John",
-      lastName: "Doe",
-      address: "456 Business Ave",
-      apartment: "Suite 200",
-      city: "New York",
-      state: "NY",
-      zipCode: "10002",
-      country: "United States",
-      phone: "+1 (555) 987-6543",
-    },
-  ];
+  const handleCancelOrder = async (order) => {
+    if (!window.confirm(`Cancel order ${order.order_number}?`)) return;
+    setOrderActionError(null);
+    try {
+      await cancelOrder({ id: order.id }).unwrap();
+    } catch (err) {
+      setOrderActionError(
+        err?.data?.message || "We couldn't cancel this order. Please try again."
+      );
+    }
+  };
+  const ordersPagination = ordersResponse?.data?.pagination;
+
+  const {
+    data: addressesResponse,
+    isLoading: addressesLoading,
+    isError: addressesError,
+  } = useGetAddressesQuery(undefined, { skip: activeTab !== "addresses" });
+  const addresses = addressesResponse?.data?.addresses || [];
+  const [createAddress, { isLoading: creatingAddress }] =
+    useCreateAddressMutation();
+  const [updateAddress, { isLoading: updatingAddress }] =
+    useUpdateAddressMutation();
+  const [deleteAddress] = useDeleteAddressMutation();
+  const [setDefaultAddress] = useSetDefaultAddressMutation();
+  // null: no form open, "new": adding, otherwise the id being edited
+  const [editingAddressId, setEditingAddressId] = useState(null);
+  const [addressActionError, setAddressActionError] = useState(null);
+
+  const handleSaveAddress = async (form) => {
+    if (editingAddressId === "new") {
+      await createAddress(form).unwrap();
+    } else {
+      await updateAddress({ id: editingAddressId, ...form }).unwrap();
+    }
+    setEditingAddressId(null);
+  };
+
+  const handleDeleteAddress = async (address) => {
+    if (!window.confirm("Delete this address?")) return;
+    setAddressActionError(null);
+    try {
+      await deleteAddress(address.id).unwrap();
+    } catch (err) {
+      setAddressActionError(
+        err?.data?.message || "We couldn't delete this address."
+      );
+    }
+  };
+
+  const handleSetDefaultAddress = async (address, kinds) => {
+    setAddressActionError(null);
+    try {
+      await setDefaultAddress({ id: address.id, ...kinds }).unwrap();
+    } catch (err) {
+      setAddressActionError(
+        err?.data?.message || "We couldn't update the default address."
+      );
+    }
+  };
 
   const tabs = [
     { id: "profile", label: "Profile", icon: User },
@@ -227,7 +256,10 @@ export const UserProfilePage = () => {
         return "bg-blue-100 text-blue-800";
       case "processing":
         return "bg-yellow-100 text-yellow-800";
+      case "confirmed":
+        return "bg-purple-100 text-purple-800";
       case "cancelled":
+      case "refunded":
         return "bg-red-100 text-red-800";
       default:
         return "bg-gray-100 text-gray-800";
@@ -587,7 +619,34 @@ export const UserProfilePage = () => {
                   </CardTitle>
                 </CardHeader>
                 <CardContent className="space-y-6">
-                  {mockOrders.map((order) => {
+                  {ordersLoading && orders.length === 0 && (
+                    <p className="text-gray-600">Loading your orders...</p>
+                  )}
+                  {orderActionError && (
+                    <p className="rounded-xl bg-red-50 p-4 text-sm text-red-700">
+                      {orderActionError}
+                    </p>
+                  )}
+                  {ordersError && (
+                    <p className="text-red-600">
+                      We couldn't load your orders. Please try again later.
+                    </p>
+                  )}
+                  {!ordersLoading && !ordersError && orders.length === 0 && (
+                    <div className="py-8 text-center">
+                      <Package className="mx-auto mb-3 h-10 w-10 text-gray-400" />
+                      <p className="mb-4 text-gray-600">
+                        You haven't placed any orders yet.
+                      </p>
+                      <Button
+                        onClick={() => navigate("/products")}
+                        className="rounded-xl"
+                      >
+                        Start Shopping
+                      </Button>
+                    </div>
+                  )}
+                  {orders.map((order) => {
                     const StatusIcon = getStatusIcon(order.status);
                     return (
                       <div
@@ -597,11 +656,11 @@ export const UserProfilePage = () => {
                         <div className="mb-4 flex items-start justify-between">
                           <div>
                             <h3 className="text-lg font-bold text-gray-900">
-                              Order {order.id}
+                              Order {order.order_number}
                             </h3>
                             <p className="text-gray-600">
                               Placed on{" "}
-                              {new Date(order.date).toLocaleDateString()}
+                              {new Date(order.created_at).toLocaleDateString()}
                             </p>
                           </div>
                           <Badge
@@ -621,13 +680,14 @@ export const UserProfilePage = () => {
                               Total Amount
                             </p>
                             <p className="font-bold text-gray-900">
-                              ${order.total}
+                              ${Number(order.total_amount).toFixed(2)}
                             </p>
                           </div>
                           <div>
                             <p className="text-sm text-gray-500">Items</p>
                             <p className="font-bold text-gray-900">
-                              {order.items} item{order.items !== 1 ? "s" : ""}
+                              {order.item_count} item
+                              {order.item_count !== 1 ? "s" : ""}
                             </p>
                           </div>
                           <div>
@@ -638,27 +698,28 @@ export const UserProfilePage = () => {
                             </p>
                             <p className="font-bold text-gray-900">
                               {new Date(
-                                order.estimatedDelivery
+                                order.delivered_at ||
+                                  new Date(order.created_at).getTime() +
+                                    5 * 24 * 60 * 60 * 1000
                               ).toLocaleDateString()}
                             </p>
                           </div>
                         </div>
 
-                        {order.trackingNumber && (
-                          <div className="mb-4 rounded-xl bg-blue-50 p-4">
-                            <p className="text-sm font-medium text-blue-700">
-                              Tracking Number:{" "}
-                              <span className="font-mono">
-                                {order.trackingNumber}
-                              </span>
-                            </p>
-                          </div>
-                        )}
-
                         <div className="flex gap-3">
-                          <Button variant="outline" className="rounded-xl">
+                          <Button
+                            variant="outline"
+                            className="rounded-xl"
+                            onClick={() =>
+                              setExpandedOrderId(
+                                expandedOrderId === order.id ? null : order.id
+                              )
+                            }
+                          >
                             <Eye className="mr-2 h-4 w-4" />
-                            View Details
+                            {expandedOrderId === order.id
+                              ? "Hide Details"
+                              : "View Details"}
                           </Button>
                           {order.status === "delivered" && (
                             <Button variant="outline" className="rounded-xl">
@@ -666,16 +727,52 @@ export const UserProfilePage = () => {
                               Download Invoice
                             </Button>
                           )}
-                          {order.trackingNumber && (
-                            <Button className="rounded-xl bg-blue-600 hover:bg-blue-700">
-                              <Truck className="mr-2 h-4 w-4" />
-                              Track Package
+                          {["pending", "confirmed"].includes(order.status) && (
+                            <Button
+                              variant="outline"
+                              className="rounded-xl hover:border-red-200 hover:bg-red-50 hover:text-red-600"
+                              disabled={cancellingOrder}
+                              onClick={() => handleCancelOrder(order)}
+                            >
+                              <X className="mr-2 h-4 w-4" />
+                              Cancel Order
                             </Button>
                           )}
                         </div>
+
+                        {expandedOrderId === order.id && (
+                          <div className="mt-4">
+                            <OrderDetails orderId={order.id} />
+                          </div>
+                        )}
                       </div>
                     );
                   })}
+
+                  {ordersPagination && ordersPagination.totalPages > 1 && (
+                    <div className="flex items-center justify-between">
+                      <Button
+                        variant="outline"
+                        className="rounded-xl"
+                        disabled={orderPage <= 1 || ordersLoading}
+                        onClick={() => setOrderPage((p) => p - 1)}
+                      >
+                        Previous
+                      </Button>
+                      <span className="text-sm text-gray-600">
+                        Page {ordersPagination.page} of{" "}
+                        {ordersPagination.totalPages}
+                      </span>
+                      <Button
+                        variant="outline"
+                        className="rounded-xl"
+                        disabled={!ordersPagination.hasMore || ordersLoading}
+                        onClick={() => setOrderPage((p) => p + 1)}
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  )}
                 </CardContent>
               </Card>
             )}
@@ -689,87 +786,168 @@ export const UserProfilePage = () => {
                       <MapPin className="h-6 w-6 text-purple-600" />
                       Saved Addresses
                     </CardTitle>
-                    <Button className="rounded-xl bg-purple-600 hover:bg-purple-700">
+                    <Button
+                      onClick={() => setEditingAddressId("new")}
+                      disabled={editingAddressId !== null}
+                      className="rounded-xl bg-purple-600 hover:bg-purple-700"
+                    >
                       <Plus className="mr-2 h-4 w-4" />
                       Add Address
                     </Button>
                   </div>
                 </CardHeader>
                 <CardContent className="space-y-6">
-                  {mockAddresses.map((address) => (
-                    <div
-                      key={address.id}
-                      className="rounded-xl border border-gray-200 p-6"
-                    >
-                      <div className="mb-4 flex items-start justify-between">
-                        <div className="flex items-center gap-3">
-                          <div className="flex h-10 w-10 items-center justify-center rounded-full bg-purple-100">
-                            {address.type === "home" ? (
-                              <Home className="h-5 w-5 text-purple-600" />
-                            ) : (
-                              <MapPin className="h-5 w-5 text-purple-600" />
-                            )}
+                  {editingAddressId === "new" && (
+                    <AddressForm
+                      onSubmit={handleSaveAddress}
+                      onCancel={() => setEditingAddressId(null)}
+                      saving={creatingAddress}
+                    />
+                  )}
+
+                  {addressActionError && (
+                    <p className="text-sm text-red-600">{addressActionError}</p>
+                  )}
+
+                  {addressesLoading && (
+                    <p className="text-gray-500">Loading addresses...</p>
+                  )}
+                  {addressesError && (
+                    <p className="text-red-600">
+                      We couldn't load your addresses. Please try again.
+                    </p>
+                  )}
+                  {!addressesLoading &&
+                    !addressesError &&
+                    addresses.length === 0 &&
+                    editingAddressId !== "new" && (
+                      <p className="text-gray-500">
+                        You have no saved addresses yet.
+                      </p>
+                    )}
+
+                  {addresses.map((address) =>
+                    editingAddressId === address.id ? (
+                      <AddressForm
+                        key={address.id}
+                        initialValues={addressToForm(address)}
+                        onSubmit={handleSaveAddress}
+                        onCancel={() => setEditingAddressId(null)}
+                        saving={updatingAddress}
+                      />
+                    ) : (
+                      <div
+                        key={address.id}
+                        className="rounded-xl border border-gray-200 p-6"
+                      >
+                        <div className="mb-4 flex items-start justify-between">
+                          <div className="flex items-center gap-3">
+                            <div className="flex h-10 w-10 items-center justify-center rounded-full bg-purple-100">
+                              {address.label?.toLowerCase() === "home" ? (
+                                <Home className="h-5 w-5 text-purple-600" />
+                              ) : (
+                                <MapPin className="h-5 w-5 text-purple-600" />
+                              )}
+                            </div>
+                            <div>
+                              <h3 className="font-bold capitalize text-gray-900">
+                                {address.label || "Address"}
+                              </h3>
+                              <div className="flex gap-1">
+                                {address.is_default_shipping && (
+                                  <Badge className="border-0 bg-green-100 text-xs text-green-800">
+                                    Default shipping
+                                  </Badge>
+                                )}
+                                {address.is_default_billing && (
+                                  <Badge className="border-0 bg-blue-100 text-xs text-blue-800">
+                                    Default billing
+                                  </Badge>
+                                )}
+                              </div>
+                            </div>
                           </div>
-                          <div>
-                            <h3 className="font-bold capitalize text-gray-900">
-                              {address.type} Address
-                            </h3>
-                            {address.isDefault && (
-                              <Badge className="border-0 bg-green-100 text-xs text-green-800">
-                                Default
-                              </Badge>
-                            )}
+                          <div className="flex gap-2">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              className="rounded-lg"
+                              disabled={editingAddressId !== null}
+                              onClick={() => setEditingAddressId(address.id)}
+                            >
+                              <Edit2 className="h-3 w-3" />
+                            </Button>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              className="rounded-lg hover:border-red-200 hover:bg-red-50 hover:text-red-600"
+                              onClick={() => handleDeleteAddress(address)}
+                            >
+                              <Trash2 className="h-3 w-3" />
+                            </Button>
                           </div>
                         </div>
-                        <div className="flex gap-2">
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            className="rounded-lg"
-                          >
-                            <Edit2 className="h-3 w-3" />
-                          </Button>
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            className="rounded-lg hover:border-red-200 hover:bg-red-50 hover:text-red-600"
-                          >
-                            <Trash2 className="h-3 w-3" />
-                          </Button>
-                        </div>
-                      </div>
 
-                      <div className="space-y-2 text-gray-700">
-                        <p className="font-medium">
-                          {address.firstName} {address.lastName}
-                        </p>
-                        <p>{address.address}</p>
-                        {address.apartment && <p>{address.apartment}</p>}
-                        <p>
-                          {address.city}, {address.state} {address.zipCode}
-                        </p>
-                        <p>{address.country}</p>
-                        {address.phone && (
-                          <p className="flex items-center gap-2 text-sm">
-                            <Phone className="h-4 w-4" />
-                            {address.phone}
+                        <div className="space-y-2 text-gray-700">
+                          <p className="font-medium">
+                            {address.first_name} {address.last_name}
+                          </p>
+                          <p>{address.address_line_1}</p>
+                          {address.address_line_2 && (
+                            <p>{address.address_line_2}</p>
+                          )}
+                          <p>
+                            {[address.city, address.state, address.postal_code]
+                              .filter(Boolean)
+                              .join(", ")}
                           </p>
+                          <p>{address.country}</p>
+                          {address.phone && (
+                            <p className="flex items-center gap-2 text-sm">
+                              <Phone className="h-4 w-4" />
+                              {address.phone}
+                            </p>
+                          )}
+                        </div>
+
+                        {!(
+                          address.is_default_shipping &&
+                          address.is_default_billing
+                        ) && (
+                          <div className="mt-4 flex gap-2 border-t border-gray-100 pt-4">
+                            {!address.is_default_shipping && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                className="rounded-xl"
+                                onClick={() =>
+                                  handleSetDefaultAddress(address, {
+                                    shipping: true,
+                                  })
+                                }
+                              >
+                                Default for Shipping
+                              </Button>
+                            )}
+                            {!address.is_default_billing && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                className="rounded-xl"
+                                onClick={() =>
+                                  handleSetDefaultAddress(address, {
+                                    billing: true,
+                                  })
+                                }
+                              >
+                                Default for Billing
+                              </Button>
+                            )}
+                          </div>
                         )}
                       </div>
-
-                      {!address.isDefault && (
-                        <div className="mt-4 border-t border-gray-100 pt-4">
-                          <Button
-                            variant="outline"
-                            size="sm"
-                            className="rounded-xl"
-                          >
-                            Set as Default
-                          </Button>
-                        </div>
-                      )}
-                    </div>
-                  ))}
+                    )
+                  )}
                 </CardContent>
               </Card>
             )}
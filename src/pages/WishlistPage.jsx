@@ -10,22 +10,73 @@ import {
   Grid,
   List,
   BarChart3,
+  TrendingDown,
 } from "lucide-react";
 import { useWishlist } from "../contexts/WishlistContext";
 import { useSelector } from "react-redux";
 import { useAuthRedux } from "../hooks/useAuthRedux";
-import { useGetCartQuery } from "../services/api";
+import {
+  useGetCartQuery,
+  useGetWishlistCollectionQuery,
+  useGetWishlistCollectionsQuery,
+  useRemoveCollectionItemMutation,
+} from "../services/api";
+import {
+  CollectionSharePanel,
+  CollectionTabs,
+  SaveToCollection,
+} from "../components/commerce/WishlistCollections";
 import { useCompare } from "../contexts/CompareContext";
 import { useNavigateWithScroll } from "../utils/navigation";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useDispatch } from "react-redux";
 import { addLocalItem } from "../store/cartSlice";
 import { useAddItemMutation } from "../services/api";
+import { formatPrice } from "../utils/formatNumbers";
+import { toWishlistView } from "../utils/wishlist";
+
+// "Price dropped $20 (20%) since you saved it"
+const PriceDropNote = ({ item }) =>
+  item.priceDrop ? (
+    <p className="flex items-center gap-1 text-sm font-semibold text-green-600">
+      <TrendingDown className="w-4 h-4 flex-shrink-0" />
+      Price dropped ${formatPrice(item.priceDrop.amount)} (
+      {item.priceDrop.percent}%) since you saved it
+    </p>
+  ) : null;
+
+const EMPTY = [];
 
 export const WishlistPage = () => {
-  const { items: wishlistItems, removeItem, clearWishlist } = useWishlist();
+  const { items: savedItems, removeItem, clearWishlist } = useWishlist();
   const localItems = useSelector((s) => s.cart?.localItems || []);
   const { isAuthenticated } = useAuthRedux();
+
+  // Signed-in shoppers also have named collections; `?collection=` picks one
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { data: collectionsResponse } = useGetWishlistCollectionsQuery(
+    undefined,
+    { skip: !isAuthenticated }
+  );
+  const collections = collectionsResponse?.data?.collections || EMPTY;
+  const activeCollection =
+    collections.find((c) => c.id === searchParams.get("collection")) || null;
+  const { data: collectionResponse } = useGetWishlistCollectionQuery(
+    activeCollection?.id,
+    { skip: !activeCollection }
+  );
+  const [removeCollectionItem] = useRemoveCollectionItemMutation();
+  const collectionItems = collectionResponse?.data?.items;
+  const wishlistItems = React.useMemo(
+    () =>
+      activeCollection
+        ? (collectionItems || EMPTY).map(toWishlistView)
+        : savedItems,
+    [activeCollection, collectionItems, savedItems]
+  );
+
+  const selectCollection = (collectionId) =>
+    setSearchParams(collectionId ? { collection: collectionId } : {});
   const { data: cartResponse } = useGetCartQuery(undefined, {
     skip: !isAuthenticated,
   });
@@ -46,6 +97,13 @@ export const WishlistPage = () => {
   }, []);
 
   const handleRemoveFromWishlist = async (itemId) => {
+    if (activeCollection) {
+      await removeCollectionItem({
+        collectionId: activeCollection.id,
+        itemId,
+      });
+      return;
+    }
     await removeItem(itemId);
   };
 
@@ -122,7 +180,7 @@ export const WishlistPage = () => {
             <div>
               <h1 className="text-3xl font-black text-gray-900 flex items-center gap-3">
                 <Heart className="w-8 h-8 text-red-500" />
-                My Wishlist
+                {activeCollection ? activeCollection.name : "My Wishlist"}
               </h1>
               <p className="text-gray-600 mt-1">
                 {wishlistItems.length}{" "}
@@ -152,7 +210,7 @@ export const WishlistPage = () => {
               </Button>
             </div>
 
-            {wishlistItems.length > 0 && (
+            {!activeCollection && wishlistItems.length > 0 && (
               <Button
                 variant="outline"
                 onClick={handleClearWishlist}
@@ -164,8 +222,31 @@ export const WishlistPage = () => {
           </div>
         </div>
 
+        {isAuthenticated && (
+          <CollectionTabs
+            collections={collections}
+            activeId={activeCollection?.id ?? null}
+            onSelect={selectCollection}
+          />
+        )}
+        {activeCollection && (
+          <CollectionSharePanel
+            collection={activeCollection}
+            onDeleted={() => selectCollection(null)}
+          />
+        )}
+
         {/* Content */}
-        {wishlistItems.length === 0 ? (
+        {wishlistItems.length === 0 && activeCollection ? (
+          <div className="text-center py-20">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">
+              Nothing in this collection yet
+            </h2>
+            <p className="text-gray-600 max-w-md mx-auto">
+              Add products to it from your wishlist with "Add to collection".
+            </p>
+          </div>
+        ) : wishlistItems.length === 0 ? (
           <div className="text-center py-20">
             <div className="w-32 h-32 mx-auto mb-8 bg-gray-100 rounded-full flex items-center justify-center">
               <Heart className="w-16 h-16 text-gray-400" />
@@ -287,6 +368,15 @@ export const WishlistPage = () => {
                           </div>
                         </div>
 
+                        <PriceDropNote item={item} />
+
+                        {!activeCollection && (
+                          <SaveToCollection
+                            productId={item.product_id}
+                            collections={collections}
+                          />
+                        )}
+
                         <div className="flex gap-2">
                           <Button
                             variant="outline"
@@ -422,6 +512,15 @@ export const WishlistPage = () => {
                             </Button>
                           </div>
                         </div>
+
+                        <PriceDropNote item={item} />
+
+                        {!activeCollection && (
+                          <SaveToCollection
+                            productId={item.product_id}
+                            collections={collections}
+                          />
+                        )}
                       </div>
                     </div>
                   )}
@@ -6,4 +6,13 @@ export { cartAPI } from "./cartAPI";
 export * from "./rtk/rtkAuthApi";
 export * from "./rtk/baseApi";
 export * from "./rtk/rtkProductsApi";
+export * from "./rtk/rtkSearchApi";
+export * from "./rtk/rtkCategoriesApi";
+export * from "./rtk/rtkBrandsApi";
+export * from "./rtk/rtkReviewsApi";
+export * from "./rtk/rtkWishlistApi";
+export * from "./rtk/rtkCompareApi";
 export * from "./rtk/rtkCartApi";
+export * from "./rtk/rtkOrdersApi";
+export * from "./rtk/rtkPaymentsApi";
+export * from "./rtk/rtkAddressesApi";
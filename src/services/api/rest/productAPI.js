@@ -33,7 +33,13 @@ export const productAPI = {
     return response.data;
   },
 
-  // Delete product (admin only)
+  // Change some fields, e.g. { status: "inactive" } (owner or admin)
+  patchProduct: async (id, changes) => {
+    const response = await apiClient.patch(`/products/${id}`, changes);
+    return response.data;
+  },
+
+  // Discontinue product (soft delete; owner or admin)
   deleteProduct: async (id) => {
     const response = await apiClient.delete(`/products/${id}`);
     return response.data;
@@ -22,5 +22,15 @@ export const baseApi = createApi({
       return headers;
     },
   }),
+  tagTypes: [
+    "Cart",
+    "Order",
+    "Address",
+    "SearchHistory",
+    "Brand",
+    "Review",
+    "Wishlist",
+    "Compare",
+  ],
   endpoints: () => ({}),
 });
@@ -0,0 +1,23 @@
+import { defaultSerializeQueryArgs } from "@reduxjs/toolkit/query/react";
+
+// Endpoint options for listings paged with `cursor` / `pagination.nextCursor`
+// (GET /products, GET /search and the category and brand product lists).
+// Every page of one filter set shares a cache entry: asking for the next
+// cursor appends its products, asking without a cursor starts the list over.
+export const cursorPagination = {
+  serializeQueryArgs: ({ endpointName, endpointDefinition, queryArgs }) => {
+    const { cursor: _cursor, ...filters } = queryArgs || {};
+    return defaultSerializeQueryArgs({
+      endpointName,
+      endpointDefinition,
+      queryArgs: filters,
+    });
+  },
+  merge: (current, incoming, { arg }) => {
+    if (!arg?.cursor || !current?.data) return incoming;
+    current.data.products.push(...(incoming.data?.products || []));
+    current.data.pagination = incoming.data?.pagination;
+  },
+  forceRefetch: ({ currentArg, previousArg }) =>
+    currentArg?.cursor !== previousArg?.cursor,
+};
@@ -0,0 +1,49 @@
+import { baseApi } from "./baseApi";
+
+const addressTags = [{ type: "Address", id: "LIST" }];
+
+export const rtkAddressesApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // Saved addresses for the signed-in user, default shipping first
+    getAddresses: build.query({
+      query: () => ({ url: "/addresses" }),
+      providesTags: addressTags,
+    }),
+    // Accepts checkout form names (firstName, address, zipCode, ...) plus
+    // optional label, isDefaultShipping and isDefaultBilling
+    createAddress: build.mutation({
+      query: (address) => ({ url: "/addresses", method: "POST", body: address }),
+      invalidatesTags: addressTags,
+    }),
+    updateAddress: build.mutation({
+      query: ({ id, ...address }) => ({
+        url: `/addresses/${id}`,
+        method: "PUT",
+        body: address,
+      }),
+      invalidatesTags: addressTags,
+    }),
+    deleteAddress: build.mutation({
+      query: (id) => ({ url: `/addresses/${id}`, method: "DELETE" }),
+      invalidatesTags: addressTags,
+    }),
+    // { id, shipping?, billing? }
+    setDefaultAddress: build.mutation({
+      query: ({ id, shipping, billing }) => ({
+        url: `/addresses/${id}/default`,
+        method: "PATCH",
+        body: { shipping, billing },
+      }),
+      invalidatesTags: addressTags,
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetAddressesQuery,
+  useCreateAddressMutation,
+  useUpdateAddressMutation,
+  useDeleteAddressMutation,
+  useSetDefaultAddressMutation,
+} = rtkAddressesApi;
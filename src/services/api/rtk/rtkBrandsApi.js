@@ -0,0 +1,59 @@
+import { baseApi } from "./baseApi";
+import { cursorPagination } from "./cursorPagination";
+
+export const rtkBrandsApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // { q, featured, sort } -> active brands with product and follower counts
+    getBrands: build.query({
+      query: (params = {}) => ({ url: "/brands", params }),
+      providesTags: [{ type: "Brand", id: "LIST" }],
+      keepUnusedDataFor: 300,
+    }),
+    // One brand (id or slug) with its categories and showcase products
+    getBrand: build.query({
+      query: (ref) => ({ url: `/brands/${encodeURIComponent(ref)}` }),
+      providesTags: (result, error, ref) => [{ type: "Brand", id: ref }],
+      keepUnusedDataFor: 120,
+    }),
+    // { ref, category, minPrice, maxPrice, sort, limit, cursor }; pages
+    // accumulate as in getProducts
+    getBrandProducts: build.query({
+      query: ({ ref, ...params }) => ({
+        url: `/brands/${encodeURIComponent(ref)}/products`,
+        params,
+      }),
+      ...cursorPagination,
+      keepUnusedDataFor: 60,
+    }),
+    // Both answer with { following, follower_count }
+    followBrand: build.mutation({
+      query: (ref) => ({
+        url: `/brands/${encodeURIComponent(ref)}/follow`,
+        method: "POST",
+      }),
+      invalidatesTags: (result, error, ref) => [
+        { type: "Brand", id: ref },
+        { type: "Brand", id: "LIST" },
+      ],
+    }),
+    unfollowBrand: build.mutation({
+      query: (ref) => ({
+        url: `/brands/${encodeURIComponent(ref)}/follow`,
+        method: "DELETE",
+      }),
+      invalidatesTags: (result, error, ref) => [
+        { type: "Brand", id: ref },
+        { type: "Brand", id: "LIST" },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetBrandsQuery,
+  useGetBrandQuery,
+  useGetBrandProductsQuery,
+  useFollowBrandMutation,
+  useUnfollowBrandMutation,
+} = rtkBrandsApi;
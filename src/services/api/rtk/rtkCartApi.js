@@ -16,8 +16,28 @@ export const rtkCartApi = baseApi.injectEndpoints({
       },
       // Client-side guard: callers can skip by checking tokenStorage.getToken() before using the hook
     }),
+    // Server-priced lines, stock flags, promotions, shipping options and totals
+    getCartSummary: build.query({
+      query: ({ shippingMethod, country } = {}) => ({
+        url: "/cart/summary",
+        params: {
+          ...(shippingMethod ? { shipping_method: shippingMethod } : {}),
+          ...(country ? { country } : {}),
+        },
+      }),
+      providesTags: [{ type: "Cart", id: "LIST" }],
+    }),
+    // Same summary for a browser-held guest cart
+    getGuestCartSummary: build.query({
+      query: ({ items, shippingMethod, country }) => ({
+        url: "/cart/summary",
+        method: "POST",
+        body: { items, shipping_method: shippingMethod, country },
+      }),
+    }),
     addItem: build.mutation({
       query: (item) => ({ url: "/cart/items", method: "POST", body: item }),
+      invalidatesTags: [{ type: "Cart", id: "LIST" }],
       async onQueryStarted(arg, { dispatch, queryFulfilled, getState }) {
         // Optimistic update: add a temporary item to the cached getCart query
         try {
@@ -54,9 +74,17 @@ export const rtkCartApi = baseApi.injectEndpoints({
         method: "PUT",
         body: update,
       }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Cart", id: "LISTS" },
+      ],
     }),
     removeItem: build.mutation({
       query: (itemId) => ({ url: `/cart/items/${itemId}`, method: "DELETE" }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Cart", id: "LISTS" },
+      ],
       async onQueryStarted(itemId, { dispatch, queryFulfilled }) {
         // Optimistic update: remove item from getCart cache immediately
         const patchResult = dispatch(
@@ -78,10 +106,63 @@ export const rtkCartApi = baseApi.injectEndpoints({
     }),
     clearCart: build.mutation({
       query: () => ({ url: "/cart", method: "DELETE" }),
+      invalidatesTags: [{ type: "Cart", id: "LIST" }],
     }),
     // Bulk merge guest items into user cart
     mergeCart: build.mutation({
       query: (body) => ({ url: "/cart/merge", method: "POST", body }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Cart", id: "LISTS" },
+      ],
+    }),
+    // Saved-for-later list and named carts, each with priced lines
+    getCartLists: build.query({
+      query: () => ({ url: "/cart/lists" }),
+      providesTags: [{ type: "Cart", id: "LISTS" }],
+    }),
+    createCartList: build.mutation({
+      query: (name) => ({ url: "/cart/lists", method: "POST", body: { name } }),
+      invalidatesTags: [{ type: "Cart", id: "LISTS" }],
+    }),
+    renameCartList: build.mutation({
+      query: ({ listId, name }) => ({
+        url: `/cart/lists/${listId}`,
+        method: "PATCH",
+        body: { name },
+      }),
+      invalidatesTags: [{ type: "Cart", id: "LISTS" }],
+    }),
+    deleteCartList: build.mutation({
+      query: (listId) => ({ url: `/cart/lists/${listId}`, method: "DELETE" }),
+      invalidatesTags: [{ type: "Cart", id: "LISTS" }],
+    }),
+    // `to` is "cart", "saved" or a named cart id
+    moveCartItem: build.mutation({
+      query: ({ itemId, to }) => ({
+        url: `/cart/items/${itemId}/move`,
+        method: "POST",
+        body: { to },
+      }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Cart", id: "LISTS" },
+      ],
+    }),
+    moveCartList: build.mutation({
+      query: ({ listId, to }) => ({
+        url: `/cart/lists/${listId}/move`,
+        method: "POST",
+        body: { to },
+      }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Cart", id: "LISTS" },
+      ],
+    }),
+    // Hold the cart's stock while the buyer pays (server applies a TTL)
+    reserveCart: build.mutation({
+      query: () => ({ url: "/cart/reservations", method: "POST" }),
     }),
   }),
   overrideExisting: false,
@@ -89,9 +170,18 @@ export const rtkCartApi = baseApi.injectEndpoints({
 
 export const {
   useGetCartQuery,
+  useGetCartSummaryQuery,
+  useGetGuestCartSummaryQuery,
   useAddItemMutation,
   useUpdateItemMutation,
   useRemoveItemMutation,
   useClearCartMutation,
   useMergeCartMutation,
+  useReserveCartMutation,
+  useGetCartListsQuery,
+  useCreateCartListMutation,
+  useRenameCartListMutation,
+  useDeleteCartListMutation,
+  useMoveCartItemMutation,
+  useMoveCartListMutation,
 } = rtkCartApi;
@@ -0,0 +1,34 @@
+import { baseApi } from "./baseApi";
+import { cursorPagination } from "./cursorPagination";
+
+export const rtkCategoriesApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // Nested category tree with rolled-up product counts
+    getCategoryTree: build.query({
+      query: () => ({ url: "/categories" }),
+      keepUnusedDataFor: 300,
+    }),
+    // One category (id or slug) with children and breadcrumbs
+    getCategory: build.query({
+      query: (ref) => ({ url: `/categories/${encodeURIComponent(ref)}` }),
+      keepUnusedDataFor: 300,
+    }),
+    // { ref, sort, limit, cursor, ... }: products of the category and its
+    // subcategories; pages accumulate as in getProducts
+    getCategoryProducts: build.query({
+      query: ({ ref, ...params }) => ({
+        url: `/categories/${encodeURIComponent(ref)}/products`,
+        params,
+      }),
+      ...cursorPagination,
+      keepUnusedDataFor: 60,
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetCategoryTreeQuery,
+  useGetCategoryQuery,
+  useGetCategoryProductsQuery,
+} = rtkCategoriesApi;
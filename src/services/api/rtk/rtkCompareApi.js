@@ -0,0 +1,50 @@
+import { baseApi } from "./baseApi";
+
+export const rtkCompareApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // -> { product_ids, products, rows, share_url }; each row has one cell
+    // per product and says whether they differ
+    getComparison: build.query({
+      query: (productIds) => ({
+        url: "/compare",
+        params: { ids: productIds.join(",") },
+      }),
+    }),
+    // The signed-in shopper's saved list, compared
+    getCompareList: build.query({
+      query: () => ({ url: "/compare/list" }),
+      providesTags: [{ type: "Compare", id: "LIST" }],
+    }),
+    // Replaces the list; answers with it compared, which becomes the cached
+    // list so it is not fetched again
+    saveCompareList: build.mutation({
+      query: (productIds) => ({
+        url: "/compare/list",
+        method: "PUT",
+        body: { product_ids: productIds },
+      }),
+      async onQueryStarted(productIds, { dispatch, queryFulfilled }) {
+        try {
+          const { data } = await queryFulfilled;
+          dispatch(
+            baseApi.util.upsertQueryData("getCompareList", undefined, data)
+          );
+        } catch (err) {
+          // The cached list stays as it was
+        }
+      },
+    }),
+    clearCompareList: build.mutation({
+      query: () => ({ url: "/compare/list", method: "DELETE" }),
+      invalidatesTags: [{ type: "Compare", id: "LIST" }],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetComparisonQuery,
+  useGetCompareListQuery,
+  useSaveCompareListMutation,
+  useClearCompareListMutation,
+} = rtkCompareApi;
@@ -0,0 +1,111 @@
+import { baseApi } from "./baseApi";
+
+export const rtkOrdersApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // Paginated order history for the signed-in user, newest first
+    getOrders: build.query({
+      query: ({ page = 1, limit = 10, status } = {}) => ({
+        url: "/orders",
+        params: status ? { page, limit, status } : { page, limit },
+      }),
+      providesTags: (result) => [
+        { type: "Order", id: "LIST" },
+        ...(result?.data?.orders || []).map((o) => ({ type: "Order", id: o.id })),
+      ],
+    }),
+    // One order with items, addresses, payments and status timeline
+    getOrder: build.query({
+      query: (id) => ({ url: `/orders/${id}` }),
+      providesTags: (result, error, id) => [{ type: "Order", id }],
+    }),
+    // Place an order from the server-side cart. Totals are computed by the API.
+    // Pass `idempotencyKey` so a retried request cannot create a second order.
+    createOrder: build.mutation({
+      query: ({ idempotencyKey, ...body }) => ({
+        url: "/orders",
+        method: "POST",
+        body,
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+      }),
+      invalidatesTags: [
+        { type: "Cart", id: "LIST" },
+        { type: "Order", id: "LIST" },
+      ],
+    }),
+    // Guest checkout: `items` is the browser cart. The response includes a
+    // `guestToken` for paying and viewing this order without an account.
+    // Takes an `idempotencyKey` like createOrder.
+    createGuestOrder: build.mutation({
+      query: ({ idempotencyKey, ...body }) => ({
+        url: "/orders/guest",
+        method: "POST",
+        body,
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+      }),
+    }),
+    getGuestOrder: build.query({
+      query: (guestToken) => ({
+        url: "/orders/guest",
+        headers: { "X-Guest-Token": guestToken },
+      }),
+    }),
+    // Attach a guest order to the signed-in account (token from the email)
+    claimOrder: build.mutation({
+      query: (token) => ({
+        url: "/orders/claim",
+        method: "POST",
+        body: { token },
+      }),
+      invalidatesTags: [{ type: "Order", id: "LIST" }],
+    }),
+    // Customers can cancel while an order is pending or confirmed
+    cancelOrder: build.mutation({
+      query: ({ id, reason }) => ({
+        url: `/orders/${id}/cancel`,
+        method: "POST",
+        body: reason ? { reason } : {},
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: "Order", id },
+        { type: "Order", id: "LIST" },
+      ],
+    }),
+    // Admin / seller fulfilment: move an order to the next status
+    updateOrderStatus: build.mutation({
+      query: ({ id, status, note }) => ({
+        url: `/orders/${id}/status`,
+        method: "PATCH",
+        body: { status, note },
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: "Order", id },
+        { type: "Order", id: "LIST" },
+      ],
+    }),
+    // Seller / admin: move one seller's shipment within an order
+    updateFulfillment: build.mutation({
+      query: ({ id, fulfillmentId, ...body }) => ({
+        url: `/orders/${id}/fulfillments/${fulfillmentId}`,
+        method: "PATCH",
+        body,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: "Order", id },
+        { type: "Order", id: "LIST" },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetOrdersQuery,
+  useGetOrderQuery,
+  useCreateOrderMutation,
+  useCreateGuestOrderMutation,
+  useGetGuestOrderQuery,
+  useClaimOrderMutation,
+  useCancelOrderMutation,
+  useUpdateOrderStatusMutation,
+  useUpdateFulfillmentMutation,
+} = rtkOrdersApi;
@@ -0,0 +1,37 @@
+import { baseApi } from "./baseApi";
+
+export const rtkPaymentsApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // Authorize + capture payment for an order. Card details go straight to
+    // the configured provider and are never stored. Pass `idempotencyKey` so
+    // a retried request cannot charge twice.
+    createPayment: build.mutation({
+      query: ({ idempotencyKey, ...body }) => ({
+        url: "/payments",
+        method: "POST",
+        body,
+        headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+      }),
+      invalidatesTags: (result, error, { orderId }) => [
+        { type: "Order", id: orderId },
+        { type: "Order", id: "LIST" },
+      ],
+    }),
+    // Guest checkout: pay with the token returned by createGuestOrder
+    createGuestPayment: build.mutation({
+      query: ({ guestToken, idempotencyKey, ...body }) => ({
+        url: "/payments/guest",
+        method: "POST",
+        body,
+        headers: {
+          "X-Guest-Token": guestToken,
+          ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+        },
+      }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const { useCreatePaymentMutation, useCreateGuestPaymentMutation } =
+  rtkPaymentsApi;
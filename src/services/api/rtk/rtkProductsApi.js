@@ -1,9 +1,13 @@
 import { baseApi } from "./baseApi";
+import { cursorPagination } from "./cursorPagination";
 
 export const rtkProductsApi = baseApi.injectEndpoints({
   endpoints: (build) => ({
+    // { category, brand, minPrice, maxPrice, search, sort, limit, cursor };
+    // pages of the same filters accumulate (see cursorPagination)
     getProducts: build.query({
       query: (params) => ({ url: "/products", params }),
+      ...cursorPagination,
       keepUnusedDataFor: 60,
     }),
     getProduct: build.query({
@@ -0,0 +1,75 @@
+import { baseApi } from "./baseApi";
+
+export const rtkReviewsApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // { productId, sort, rating, verified, photos, page, limit } ->
+    // { summary, reviews, my_review, pagination }
+    getProductReviews: build.query({
+      query: ({ productId, ...params }) => ({
+        url: `/products/${productId}/reviews`,
+        params,
+      }),
+      providesTags: (result, error, { productId }) => [
+        { type: "Review", id: productId },
+      ],
+    }),
+    // { productId, rating, title, comment, images }; waits for moderation
+    createReview: build.mutation({
+      query: ({ productId, ...body }) => ({
+        url: `/products/${productId}/reviews`,
+        method: "POST",
+        body,
+      }),
+      invalidatesTags: (result, error, { productId }) => [
+        { type: "Review", id: productId },
+      ],
+    }),
+    // { id, productId, ...changes }; goes back into moderation
+    updateReview: build.mutation({
+      query: ({ id, productId, ...body }) => ({
+        url: `/reviews/${id}`,
+        method: "PATCH",
+        body,
+      }),
+      invalidatesTags: (result, error, { productId }) => [
+        { type: "Review", id: productId },
+      ],
+    }),
+    // { id, productId, helpful } -> { voted_helpful, helpful_count }
+    voteReviewHelpful: build.mutation({
+      query: ({ id, helpful }) => ({
+        url: `/reviews/${id}/helpful`,
+        method: helpful ? "POST" : "DELETE",
+      }),
+      invalidatesTags: (result, error, { productId }) => [
+        { type: "Review", id: productId },
+      ],
+    }),
+    // Admin moderation
+    getReviewQueue: build.query({
+      query: (params = {}) => ({ url: "/reviews/queue", params }),
+      providesTags: [{ type: "Review", id: "QUEUE" }],
+    }),
+    moderateReview: build.mutation({
+      query: ({ id, decision, reason }) => ({
+        url: `/reviews/${id}/moderation`,
+        method: "POST",
+        body: { decision, reason },
+      }),
+      invalidatesTags: (result, error, { productId }) => [
+        { type: "Review", id: "QUEUE" },
+        { type: "Review", id: productId },
+      ],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetProductReviewsQuery,
+  useCreateReviewMutation,
+  useUpdateReviewMutation,
+  useVoteReviewHelpfulMutation,
+  useGetReviewQueueQuery,
+  useModerateReviewMutation,
+} = rtkReviewsApi;
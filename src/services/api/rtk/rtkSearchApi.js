@@ -0,0 +1,57 @@
+import { baseApi } from "./baseApi";
+import { cursorPagination } from "./cursorPagination";
+import { searchSessionHeaders } from "../../../utils/searchSession";
+
+export const rtkSearchApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // Ranked search with facet counts: { q, brand, category, minPrice,
+    // maxPrice, minRating, sort, limit, cursor }; pages of the same search
+    // accumulate. Logged searches come back with a `search_id` to report
+    // clicks against.
+    searchProducts: build.query({
+      query: (params) => ({
+        url: "/search",
+        params,
+        headers: searchSessionHeaders(),
+      }),
+      ...cursorPagination,
+      keepUnusedDataFor: 60,
+    }),
+    // A product opened from search results; position is 1-based
+    recordSearchClick: build.mutation({
+      query: ({ searchId, productId, position }) => ({
+        url: `/search/${searchId}/click`,
+        method: "POST",
+        body: { product_id: productId, position },
+        headers: searchSessionHeaders(),
+      }),
+    }),
+    // Admin: top queries, zero-result queries and click-through
+    getSearchReport: build.query({
+      query: ({ days, limit } = {}) => ({
+        url: "/search/report",
+        params: { days, limit },
+      }),
+    }),
+    // Autocomplete for the search box; includes the signed-in user's
+    // recent searches
+    getSearchSuggestions: build.query({
+      query: (q) => ({ url: "/search/suggest", params: { q } }),
+      providesTags: ["SearchHistory"],
+      keepUnusedDataFor: 30,
+    }),
+    clearSearchHistory: build.mutation({
+      query: () => ({ url: "/search/history", method: "DELETE" }),
+      invalidatesTags: ["SearchHistory"],
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useSearchProductsQuery,
+  useRecordSearchClickMutation,
+  useGetSearchReportQuery,
+  useGetSearchSuggestionsQuery,
+  useClearSearchHistoryMutation,
+} = rtkSearchApi;
@@ -0,0 +1,144 @@
+import { baseApi } from "./baseApi";
+
+export const rtkWishlistApi = baseApi.injectEndpoints({
+  endpoints: (build) => ({
+    // -> { items, count }; each item has its product, `price_at_add` and
+    // `price_drop`
+    getWishlist: build.query({
+      query: () => ({ url: "/wishlist" }),
+      providesTags: [{ type: "Wishlist", id: "LIST" }],
+    }),
+    addWishlistItem: build.mutation({
+      query: (productId) => ({
+        url: "/wishlist/items",
+        method: "POST",
+        body: { product_id: productId },
+      }),
+      invalidatesTags: [{ type: "Wishlist", id: "LIST" }],
+    }),
+    removeWishlistItem: build.mutation({
+      query: (itemId) => ({
+        url: `/wishlist/items/${itemId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "Wishlist", id: "LIST" }],
+    }),
+    clearWishlist: build.mutation({
+      query: () => ({ url: "/wishlist", method: "DELETE" }),
+      invalidatesTags: [{ type: "Wishlist", id: "LIST" }],
+    }),
+    // The guest wishlist after signing in
+    mergeWishlist: build.mutation({
+      query: (items) => ({
+        url: "/wishlist/merge",
+        method: "POST",
+        body: { items },
+      }),
+      invalidatesTags: [{ type: "Wishlist", id: "LIST" }],
+    }),
+
+    // Named collections -> { collections }, each with `visibility`,
+    // `share_url` and `item_count`
+    getWishlistCollections: build.query({
+      query: () => ({ url: "/wishlist/collections" }),
+      providesTags: [{ type: "Wishlist", id: "COLLECTIONS" }],
+    }),
+    // One collection's entries -> { items, count, collection }
+    getWishlistCollection: build.query({
+      query: (collectionId) => ({
+        url: "/wishlist",
+        params: { collection_id: collectionId },
+      }),
+      providesTags: (result, error, collectionId) => [
+        { type: "Wishlist", id: collectionId },
+      ],
+    }),
+    createWishlistCollection: build.mutation({
+      query: (collection) => ({
+        url: "/wishlist/collections",
+        method: "POST",
+        body: collection,
+      }),
+      invalidatesTags: [{ type: "Wishlist", id: "COLLECTIONS" }],
+    }),
+    // `changes` is any of { name, description, visibility }
+    updateWishlistCollection: build.mutation({
+      query: ({ id, ...changes }) => ({
+        url: `/wishlist/collections/${id}`,
+        method: "PATCH",
+        body: changes,
+      }),
+      invalidatesTags: (result, error, { id }) => [
+        { type: "Wishlist", id: "COLLECTIONS" },
+        { type: "Wishlist", id },
+      ],
+    }),
+    deleteWishlistCollection: build.mutation({
+      query: (id) => ({
+        url: `/wishlist/collections/${id}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "Wishlist", id: "COLLECTIONS" }],
+    }),
+    // New share URL; the old one stops working
+    resetCollectionShareLink: build.mutation({
+      query: (id) => ({
+        url: `/wishlist/collections/${id}/share-link`,
+        method: "POST",
+      }),
+      invalidatesTags: (result, error, id) => [
+        { type: "Wishlist", id: "COLLECTIONS" },
+        { type: "Wishlist", id },
+      ],
+    }),
+    addCollectionItem: build.mutation({
+      query: ({ collectionId, productId }) => ({
+        url: "/wishlist/items",
+        method: "POST",
+        body: { product_id: productId, collection_id: collectionId },
+      }),
+      invalidatesTags: (result, error, { collectionId }) => [
+        { type: "Wishlist", id: "COLLECTIONS" },
+        { type: "Wishlist", id: collectionId },
+      ],
+    }),
+    removeCollectionItem: build.mutation({
+      query: ({ itemId }) => ({
+        url: `/wishlist/items/${itemId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: (result, error, { collectionId }) => [
+        { type: "Wishlist", id: "COLLECTIONS" },
+        { type: "Wishlist", id: collectionId },
+      ],
+    }),
+
+    // Read-only collection behind a share URL -> { collection, is_owner }
+    getSharedCollection: build.query({
+      query: (token) => ({ url: `/wishlist/shared/${token}` }),
+    }),
+    // -> { collections, pagination }
+    getPublicCollections: build.query({
+      query: (params = {}) => ({ url: "/wishlist/public", params }),
+    }),
+  }),
+  overrideExisting: false,
+});
+
+export const {
+  useGetWishlistQuery,
+  useAddWishlistItemMutation,
+  useRemoveWishlistItemMutation,
+  useClearWishlistMutation,
+  useMergeWishlistMutation,
+  useGetWishlistCollectionsQuery,
+  useGetWishlistCollectionQuery,
+  useCreateWishlistCollectionMutation,
+  useUpdateWishlistCollectionMutation,
+  useDeleteWishlistCollectionMutation,
+  useResetCollectionShareLinkMutation,
+  useAddCollectionItemMutation,
+  useRemoveCollectionItemMutation,
+  useGetSharedCollectionQuery,
+  useGetPublicCollectionsQuery,
+} = rtkWishlistApi;
@@ -1,9 +1,9 @@
 import { createSlice } from "@reduxjs/toolkit";
 
-const loadLocalItems = () => {
+const loadStored = (key) => {
   try {
     if (typeof window === "undefined") return [];
-    const raw = window.localStorage.getItem("guest_cart");
+    const raw = window.localStorage.getItem(key);
     return raw ? JSON.parse(raw) : [];
   } catch (e) {
     return [];
@@ -11,7 +11,9 @@ const loadLocalItems = () => {
 };
 
 const initialState = {
-  localItems: loadLocalItems(),
+  localItems: loadStored("guest_cart"),
+  // Guest "saved for later" lines, same shape as localItems
+  savedItems: loadStored("guest_saved"),
 };
 
 const cartSlice = createSlice({
@@ -35,8 +37,44 @@ const cartSlice = createSlice({
     clearLocalItems(state) {
       state.localItems = [];
     },
+    // Move a guest cart line to saved-for-later
+    saveLocalItemForLater(state, action) {
+      const item = state.localItems.find((it) => it.id === action.payload);
+      if (!item) return;
+      state.localItems = state.localItems.filter((it) => it.id !== item.id);
+      state.savedItems.push(item);
+    },
+    // Move a saved guest line back to the cart
+    moveSavedItemToCart(state, action) {
+      const item = state.savedItems.find((it) => it.id === action.payload);
+      if (!item) return;
+      state.savedItems = state.savedItems.filter((it) => it.id !== item.id);
+      const existing = state.localItems.find(
+        (it) =>
+          it.product_id === item.product_id &&
+          (it.variant_id || null) === (item.variant_id || null)
+      );
+      if (existing) existing.quantity += item.quantity;
+      else state.localItems.push(item);
+    },
+    removeSavedItem(state, action) {
+      state.savedItems = state.savedItems.filter((it) => it.id !== action.payload);
+    },
+    clearSavedItems(state) {
+      state.savedItems = [];
+    },
   },
 });
 
-export const { addLocalItem, updateLocalItem, removeLocalItem, setLocalItems, clearLocalItems } = cartSlice.actions;
+export const {
+  addLocalItem,
+  updateLocalItem,
+  removeLocalItem,
+  setLocalItems,
+  clearLocalItems,
+  saveLocalItemForLater,
+  moveSavedItemToCart,
+  removeSavedItem,
+  clearSavedItems,
+} = cartSlice.actions;
 export default cartSlice.reducer;
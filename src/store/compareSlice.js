@@ -0,0 +1,60 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+// Same cap as the server (COMPARE_MAX_PRODUCTS)
+export const COMPARE_MAX_ITEMS = 4;
+
+const PRODUCT_ID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Only catalogue products can be compared by the API; demo products have
+// other ids
+export const isComparable = (productId) => PRODUCT_ID.test(String(productId));
+
+const loadStored = (key) => {
+  try {
+    if (typeof window === "undefined") return [];
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// A guest's compare list, kept in the browser until they sign in and it is
+// merged into their saved list (see store.js). Items carry what the compare
+// dropdown shows; the comparison itself comes from the API.
+const initialState = {
+  localItems: loadStored("guest_compare"),
+};
+
+const compareSlice = createSlice({
+  name: "compare",
+  initialState,
+  reducers: {
+    addLocalCompareItem(state, action) {
+      const exists = state.localItems.some(
+        (it) => it.product_id === action.payload.product_id
+      );
+      if (!exists) state.localItems.push(action.payload);
+    },
+    removeLocalCompareItem(state, action) {
+      state.localItems = state.localItems.filter(
+        (it) => it.id !== action.payload
+      );
+    },
+    setLocalCompareItems(state, action) {
+      state.localItems = action.payload;
+    },
+    clearLocalCompare(state) {
+      state.localItems = [];
+    },
+  },
+});
+
+export const {
+  addLocalCompareItem,
+  removeLocalCompareItem,
+  setLocalCompareItems,
+  clearLocalCompare,
+} = compareSlice.actions;
+export default compareSlice.reducer;
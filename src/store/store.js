@@ -2,11 +2,37 @@ import { configureStore, createListenerMiddleware } from "@reduxjs/toolkit";
 import { setupListeners } from "@reduxjs/toolkit/query";
 import { baseApi } from "../services/api/baseApi";
 import authReducer, { setUser } from "./authSlice";
-import cartReducer, { clearLocalItems } from "./cartSlice";
+import cartReducer, { clearLocalItems, clearSavedItems } from "./cartSlice";
+import wishlistReducer, { clearLocalWishlist } from "./wishlistSlice";
+import compareReducer, {
+  clearLocalCompare,
+  COMPARE_MAX_ITEMS,
+  isComparable,
+} from "./compareSlice";
+import { rtkWishlistApi } from "../services/api/rtk/rtkWishlistApi";
+import { rtkCompareApi } from "../services/api/rtk/rtkCompareApi";
 import { tokenStorage } from "../utils/tokenStorage";
 
 const listenerMiddleware = createListenerMiddleware();
 
+// Wait briefly for tokens to be persisted to localStorage by auth flow
+// Sometimes setUser is dispatched before tokenStorage has the token available
+// Poll tokenStorage for up to ~500ms before attempting a merge so the
+// outgoing request includes Authorization header.
+const waitForToken = async () => {
+  let token = tokenStorage.getToken();
+  let tries = 0;
+  const maxTries = 5; // 5 * 100ms = 500ms
+  while (!token && tries < maxTries) {
+    // small delay
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((r) => setTimeout(r, 100));
+    token = tokenStorage.getToken();
+    tries += 1;
+  }
+  return token;
+};
+
 // Listen for auth setUser - when a user logs in (payload truthy), trigger cart merge
 listenerMiddleware.startListening({
   actionCreator: setUser,
@@ -18,33 +44,22 @@ listenerMiddleware.startListening({
       // Read current guest local items from state
       const state = listenerApi.getState();
       const localItems = state.cart?.localItems || [];
-      if (!localItems || localItems.length === 0) return;
+      const savedItems = state.cart?.savedItems || [];
+      if (localItems.length === 0 && savedItems.length === 0) return;
 
-      // Convert to server payload: { items: [{ product_id, variant_id, quantity }] }
-      const payloadItems = localItems.map((li) => ({
+      // Convert to server payload: { items: [{ product_id, variant_id, quantity }], saved_items }
+      const toPayload = (li) => ({
         product_id: li.product_id,
         variant_id: li.variant_id || null,
         quantity: li.quantity,
-      }));
+      });
+      const payloadItems = localItems.map(toPayload);
+      const payloadSaved = savedItems.map(toPayload);
 
       // Debug: log token availability and items before initiating merge
       // Optional debug info removed in production; token availability can be inspected via debug tools when needed.
 
-      // Wait briefly for tokens to be persisted to localStorage by auth flow
-      // Sometimes setUser is dispatched before tokenStorage has the token available
-      // Poll tokenStorage for up to ~500ms before attempting the merge so the
-      // outgoing request includes Authorization header.
-      let token = tokenStorage.getToken();
-      let tries = 0;
-      const maxTries = 5; // 5 * 100ms = 500ms
-      while (!token && tries < maxTries) {
-        // small delay
-        // eslint-disable-next-line no-await-in-loop
-        await new Promise((r) => setTimeout(r, 100));
-        token = tokenStorage.getToken();
-        tries += 1;
-      }
-
+      const token = await waitForToken();
       if (!token) {
         // Can't attach Authorization header — skip merge to avoid 401 spam.
         return;
@@ -52,7 +67,10 @@ listenerMiddleware.startListening({
 
       // Initiate the RTK Query mutation via baseApi endpoint (fire-and-forget handled below)
       const mergePromise = listenerApi.dispatch(
-        baseApi.endpoints.mergeCart.initiate({ items: payloadItems })
+        baseApi.endpoints.mergeCart.initiate({
+          items: payloadItems,
+          saved_items: payloadSaved,
+        })
       );
 
       // Wait for merge to finish
@@ -63,8 +81,9 @@ listenerMiddleware.startListening({
       });
 
       if (result) {
-        // Clear guest cart on successful merge
+        // Clear guest cart and saved items on successful merge
         listenerApi.dispatch(clearLocalItems());
+        listenerApi.dispatch(clearSavedItems());
       }
     } catch (err) {
       console.error("Error in auth->cart merge listener:", err);
@@ -72,11 +91,96 @@ listenerMiddleware.startListening({
   },
 });
 
+// On login, merge the guest wishlist the same way
+listenerMiddleware.startListening({
+  actionCreator: setUser,
+  effect: async (action, listenerApi) => {
+    try {
+      if (!action.payload) return; // ignore logout
+      const localItems = listenerApi.getState().wishlist?.localItems || [];
+      if (localItems.length === 0) return;
+
+      if (!(await waitForToken())) return;
+
+      const result = await listenerApi
+        .dispatch(
+          rtkWishlistApi.endpoints.mergeWishlist.initiate(
+            localItems.map((it) => ({
+              product_id: it.product_id,
+              added_at: it.added_at,
+            }))
+          )
+        )
+        .unwrap()
+        .catch((e) => {
+          console.warn("mergeWishlist failed in listener", e);
+          return null;
+        });
+
+      if (result) listenerApi.dispatch(clearLocalWishlist());
+    } catch (err) {
+      console.error("Error in auth->wishlist merge listener:", err);
+    }
+  },
+});
+
+// On login, add the guest compare list to the saved one while there is room
+listenerMiddleware.startListening({
+  actionCreator: setUser,
+  effect: async (action, listenerApi) => {
+    try {
+      if (!action.payload) return; // ignore logout
+      const localItems = listenerApi.getState().compare?.localItems || [];
+      if (localItems.length === 0) return;
+
+      if (!(await waitForToken())) return;
+
+      const listQuery = listenerApi.dispatch(
+        rtkCompareApi.endpoints.getCompareList.initiate()
+      );
+      const saved = await listQuery.unwrap().catch((e) => {
+        console.warn("getCompareList failed in listener", e);
+        return null;
+      });
+      listQuery.unsubscribe();
+      if (!saved) return;
+
+      const savedIds = saved.data?.product_ids || [];
+      const guestIds = localItems
+        .map((it) => it.product_id)
+        .filter(isComparable);
+      const mergedIds = [...new Set([...savedIds, ...guestIds])].slice(
+        0,
+        COMPARE_MAX_ITEMS
+      );
+
+      const result =
+        mergedIds.length === savedIds.length
+          ? saved
+          : await listenerApi
+              .dispatch(
+                rtkCompareApi.endpoints.saveCompareList.initiate(mergedIds)
+              )
+              .unwrap()
+              .catch((e) => {
+                console.warn("saveCompareList failed in listener", e);
+                return null;
+              });
+
+      if (result) listenerApi.dispatch(clearLocalCompare());
+    } catch (err) {
+      console.error("Error in auth->compare merge listener:", err);
+    }
+  },
+});
+
 export const store = configureStore({
   reducer: {
     [baseApi.reducerPath]: baseApi.reducer,
     auth: authReducer,
     cart: cartReducer,
+    wishlist: wishlistReducer,
+    compare: compareReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -88,8 +192,12 @@ export const store = configureStore({
       .prepend(listenerMiddleware.middleware),
 });
 
-// Persist cart.localItems to localStorage
+// Persist cart.localItems, cart.savedItems, wishlist.localItems and
+// compare.localItems to localStorage
 let lastCartJson = null;
+let lastSavedJson = null;
+let lastWishlistJson = null;
+let lastCompareJson = null;
 store.subscribe(() => {
   try {
     const state = store.getState();
@@ -100,6 +208,27 @@ store.subscribe(() => {
         window.localStorage.setItem("guest_cart", cartJson);
       }
     }
+    const savedJson = JSON.stringify(state.cart?.savedItems || []);
+    if (savedJson !== lastSavedJson) {
+      lastSavedJson = savedJson;
+      if (typeof window !== "undefined") {
+        window.localStorage.setItem("guest_saved", savedJson);
+      }
+    }
+    const wishlistJson = JSON.stringify(state.wishlist?.localItems || []);
+    if (wishlistJson !== lastWishlistJson) {
+      lastWishlistJson = wishlistJson;
+      if (typeof window !== "undefined") {
+        window.localStorage.setItem("guest_wishlist", wishlistJson);
+      }
+    }
+    const compareJson = JSON.stringify(state.compare?.localItems || []);
+    if (compareJson !== lastCompareJson) {
+      lastCompareJson = compareJson;
+      if (typeof window !== "undefined") {
+        window.localStorage.setItem("guest_compare", compareJson);
+      }
+    }
   } catch (e) {
     // ignore
   }
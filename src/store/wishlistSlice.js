@@ -0,0 +1,47 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+const loadStored = (key) => {
+  try {
+    if (typeof window === "undefined") return [];
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// A guest's wishlist, kept in the browser until they sign in and it is
+// merged into their account (see store.js). Items carry what the wishlist
+// shows, including `price_at_add` for the guest's own price drops, and
+// `added_at` for the merge.
+const initialState = {
+  localItems: loadStored("guest_wishlist"),
+};
+
+const wishlistSlice = createSlice({
+  name: "wishlist",
+  initialState,
+  reducers: {
+    addLocalWishlistItem(state, action) {
+      const exists = state.localItems.some(
+        (it) => it.product_id === action.payload.product_id
+      );
+      if (!exists) state.localItems.unshift(action.payload);
+    },
+    removeLocalWishlistItem(state, action) {
+      state.localItems = state.localItems.filter(
+        (it) => it.id !== action.payload
+      );
+    },
+    clearLocalWishlist(state) {
+      state.localItems = [];
+    },
+  },
+});
+
+export const {
+  addLocalWishlistItem,
+  removeLocalWishlistItem,
+  clearLocalWishlist,
+} = wishlistSlice.actions;
+export default wishlistSlice.reducer;
@@ -0,0 +1,39 @@
+// Shopper-facing text for the error codes the cart API returns
+// (server/services/cart/cartValidation.js)
+const MESSAGES = {
+  CART_ITEM_NOT_FOUND: "That item is no longer in your cart.",
+  PRODUCT_NOT_FOUND: "This product no longer exists.",
+  VARIANT_NOT_FOUND: "The selected option is no longer offered.",
+  PRODUCT_UNAVAILABLE: "This product is no longer available.",
+  OUT_OF_STOCK: "This item is out of stock.",
+  INVALID_QUANTITY: "Please choose a quantity of at least 1.",
+  CART_LIST_NOT_FOUND: "That list no longer exists.",
+  CART_LIST_NAME_TAKEN: "You already have a list with that name.",
+  CART_LIST_LOCKED: "The saved-for-later list can't be renamed.",
+};
+
+// The server answered with a reason the change was refused. Anything else
+// (no session, network failure) lets callers fall back to the guest cart.
+export const isCartRejection = (err) =>
+  typeof err?.status === "number" && err.status !== 401;
+
+export const cartErrorMessage = (err) =>
+  err?.data?.error ||
+  MESSAGES[err?.data?.code] ||
+  "We couldn't update your cart. Please try again.";
+
+// Successful responses may say the quantity was cut to the stock left
+export const cartAdjustmentMessage = (response) =>
+  response?.adjustment?.message || null;
+
+// Bulk moves leave lines that can't go into the cart where they were
+export const cartSkippedMessage = (response) => {
+  const skipped = response?.skipped || [];
+  if (skipped.length === 1) {
+    return `1 item stayed behind: ${skipped[0].message}`;
+  }
+  if (skipped.length > 1) {
+    return `${skipped.length} items stayed behind because they can't be bought right now.`;
+  }
+  return response?.adjustments?.[0]?.message || null;
+};
@@ -0,0 +1,20 @@
+// Category card overlays cycle through these, in tree order
+export const CATEGORY_GRADIENTS = [
+  "from-pink-500 to-rose-500",
+  "from-blue-500 to-indigo-500",
+  "from-yellow-400 to-orange-500",
+  "from-purple-500 to-pink-500",
+  "from-gray-700 to-gray-900",
+  "from-emerald-500 to-teal-500",
+  "from-amber-500 to-yellow-500",
+  "from-green-500 to-emerald-500",
+];
+
+export const categoryGradient = (index) =>
+  CATEGORY_GRADIENTS[index % CATEGORY_GRADIENTS.length];
+
+// "1 item", "2,500 items"
+export const formatItemCount = (count) => {
+  const n = Number(count) || 0;
+  return `${n.toLocaleString()} ${n === 1 ? "item" : "items"}`;
+};
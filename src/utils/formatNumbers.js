@@ -19,3 +19,13 @@ export function formatRating(value) {
   // keep one decimal for ratings
   return n.toFixed(1).replace(/\.0$/, "");
 }
+
+// Large counts shortened for badges: 950, 1.2K, 2.4M
+export function formatCompactNumber(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "0";
+  return new Intl.NumberFormat("en-US", {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  }).format(n);
+}
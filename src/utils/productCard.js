@@ -0,0 +1,25 @@
+// A listed product from the API -> the shape ProductCard renders
+export const toCardProduct = (p) => {
+  const price = Number(p.price) || 0;
+  const comparePrice = Number(p.compare_price) || 0;
+  return {
+    id: p.id,
+    slug: p.slug || null,
+    name: p.name,
+    brand: p.brand_name || p.brands?.name || p.brand?.name || "",
+    price,
+    originalPrice: comparePrice > price ? comparePrice : null,
+    image: Array.isArray(p.images) && p.images.length > 0 ? p.images[0] : null,
+    isNew: p.is_featured || false,
+    discount:
+      comparePrice > price
+        ? Math.round(((comparePrice - price) / comparePrice) * 100)
+        : 0,
+    rating: Number(p.avg_rating) || 0,
+    reviews: Number(p.review_count) || 0,
+    colors: Array.isArray(p.specifications?.available_colors)
+      ? p.specifications.available_colors
+      : [],
+    _server: p,
+  };
+};
@@ -0,0 +1,27 @@
+// Identifies this browser tab's searches to the server (X-Session-Id), so a
+// guest's clicks can be matched to the search they came from
+const SESSION_KEY = "olossia_search_session";
+
+const newId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const getSearchSessionId = () => {
+  try {
+    let id = sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = newId();
+      sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Headers for requests that belong to the search session
+export const searchSessionHeaders = () => {
+  const id = getSearchSessionId();
+  return id ? { "X-Session-Id": id } : {};
+};
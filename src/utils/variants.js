@@ -0,0 +1,48 @@
+// Variant selection helpers for the product pages. A selection maps each
+// option axis to a value, e.g. { color: "Black", size: "M" }; it resolves to
+// the variant whose `attributes` match every axis.
+
+export const matchesSelection = (variant, selection) =>
+  Object.entries(selection).every(
+    ([axis, value]) => String(variant.attributes?.[axis] ?? "") === value
+  );
+
+const inStock = (variant) =>
+  variant.stock_quantity === null ||
+  variant.stock_quantity === undefined ||
+  Number(variant.stock_quantity) > 0;
+
+// The variant a complete selection points at, or null
+export const findVariant = (variants = [], options = [], selection = {}) => {
+  if (options.some((option) => !selection[option.name])) return null;
+  return (
+    variants.find((variant) => matchesSelection(variant, selection)) || null
+  );
+};
+
+// Whether picking `value` on `axis` (keeping the other choices) leads to a
+// variant that is in stock
+export const isOptionAvailable = (variants, selection, axis, value) =>
+  variants.some(
+    (variant) =>
+      inStock(variant) &&
+      matchesSelection(variant, { ...selection, [axis]: value })
+  );
+
+// Start from the first variant in stock, so the page opens on something
+// that can be bought
+export const initialSelection = (variants = []) => {
+  const variant = variants.find(inStock) || variants[0];
+  if (!variant) return {};
+  return Object.fromEntries(
+    Object.entries(variant.attributes || {})
+      .filter(([, value]) => value !== null && value !== "")
+      .map(([axis, value]) => [axis, String(value)])
+  );
+};
+
+// "size" -> "Size", "fit_type" -> "Fit type"
+export const optionLabel = (name) =>
+  `${name.charAt(0).toUpperCase()}${name.slice(1).replace(/_/g, " ")}`;
+
+export const isColorOption = (name) => /^colou?r$/i.test(name);
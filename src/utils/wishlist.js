@@ -0,0 +1,31 @@
+// A wishlist or collection entry from the API -> the fields the wishlist
+// views render. Shared collections leave out the owner's saved price.
+export const toWishlistView = (item) => {
+  const { product } = item;
+  return {
+    id: item.id,
+    product_id: item.product_id,
+    slug: product.slug,
+    name: product.name,
+    brand: product.brand_name || "",
+    price: product.price,
+    originalPrice:
+      product.compare_price && product.compare_price > product.price
+        ? product.compare_price
+        : null,
+    rating: product.avg_rating,
+    reviews: product.review_count,
+    image: product.image,
+    inStock: product.in_stock,
+    colors: [],
+    savedPrice: item.price_at_add ?? null,
+    priceDrop: item.price_drop ?? null,
+    addedAt: item.added_at,
+  };
+};
+
+export const COLLECTION_VISIBILITY_OPTIONS = [
+  { id: "private", name: "Private", hint: "Only you can see it" },
+  { id: "link", name: "Anyone with the link", hint: "Not listed anywhere" },
+  { id: "public", name: "Public", hint: "Listed on Collections" },
+];